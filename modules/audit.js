@@ -98,6 +98,26 @@ function resolveActor(explicit) {
   return "system";
 }
 
+/**
+ * Signed-in user of the privileged app handling the request: what its auth middleware put in
+ * `$g.user` (Glade: the admin's username). Null outside a request or when nobody is signed in.
+ * @private
+ */
+function resolveUser(explicit) {
+  if (explicit != null && String(explicit).trim() !== "") {
+    return String(explicit);
+  }
+  try {
+    const { getContext } = require("./gingee.js");
+    const store = getContext();
+    const user = store && store.$g && store.$g.user;
+    if (typeof user === "string" && user.trim() !== "") return user;
+  } catch (_) {
+    /* no ALS context */
+  }
+  return null;
+}
+
 /**
  * Emit one audit event as a single JSON line.
  *
@@ -105,6 +125,7 @@ function resolveActor(explicit) {
  * @param {object} [details]
  * @param {object} [options]
  * @param {string} [options.actor] - Override actor (defaults to current app or system)
+ * @param {string} [options.user] - Override user (defaults to the request's signed-in `$g.user`)
  * @param {string} [options.app] - Target application name
  */
 function emit(event, details = {}, options = {}) {
@@ -114,6 +135,7 @@ function emit(event, details = {}, options = {}) {
     ts: new Date().toISOString(),
     event: String(event || "unknown"),
     actor: resolveActor(options.actor),
+    user: resolveUser(options.user),
     app:
       options.app != null
         ? String(options.app)
@@ -124,6 +146,8 @@ function emit(event, details = {}, options = {}) {
       details && typeof details === "object" ? details : { value: details },
   };
 
+  if (record.user === null) delete record.user;
+
   // Prefer top-level app; avoid duplicating bulky nested app key when same
   if (record.app && record.details && record.details.app === record.app) {
     const { app: _a, ...rest } = record.details;
@@ -140,7 +164,8 @@ function emit(event, details = {}, options = {}) {
 
   try {
     log().info(
-      `[audit] ${record.event} app=${record.app || "-"} actor=${record.actor}`,
+      `[audit] ${record.event} app=${record.app || "-"} actor=${record.actor}` +
+        (record.user ? ` user=${record.user}` : ""),
     );
   } catch (_) {
     /* ignore */
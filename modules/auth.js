@@ -2,6 +2,15 @@ const crypto = require("./crypto.js");
 const base64 = require("./encode.js").base64;
 const gingee = require("./gingee.js");
 const secrets = require("./secrets.js");
+const jwtKeys = require("./engine/jwt_keys.js");
+const sessionStore = require("./engine/session_store.js");
+const totp = require("./engine/totp.js");
+const apiKeys = require("./engine/api_keys.js");
+
+/** Defaults for `auth.sessions` lifetimes (app `jwt.access_ttl` / `jwt.refresh_ttl` override the pair). */
+const DEFAULT_ACCESS_TTL = "15m";
+const DEFAULT_REFRESH_TTL = "30d";
+const DEFAULT_SESSION_TTL = "8h";
 
 /**
  * Resolve optional options object; allow env:/file: refs via secrets.resolveDeep.
@@ -98,6 +107,185 @@ function _resolveJwtIss(ctx, options) {
   return null;
 }
 
+/**
+ * Expected audience: options.aud → app jwt.audience → server jwt.audience. Null when unset.
+ * @private
+ */
+function _resolveJwtAud(ctx, options) {
+  const opts = _resolveJwtOptions(options);
+  const aud = Object.prototype.hasOwnProperty.call(opts, "aud")
+    ? opts.aud
+    : _jwtSetting(ctx, "audience");
+  return aud == null || aud === "" ? null : String(aud);
+}
+
+/**
+ * A `jwt` setting without a per-call override: app `jwt.<name>` → server `jwt.<name>`.
+ * @private
+ */
+function _jwtSetting(ctx, name) {
+  const appJwt = ctx.app && ctx.app.config && ctx.app.config.jwt;
+  if (appJwt && typeof appJwt === "object" && appJwt[name] != null) {
+    return appJwt[name];
+  }
+  const serverJwt = (ctx.globalConfig && ctx.globalConfig.jwt) || null;
+  if (serverJwt && typeof serverJwt === "object" && serverJwt[name] != null) {
+    return serverJwt[name];
+  }
+  return null;
+}
+
+/**
+ * The app's asymmetric keyring (`app.json` → `jwt.keys`), or null.
+ * @private
+ */
+function _resolveKeyring(ctx) {
+  const appCfg = (ctx.app && ctx.app.config) || {};
+  return jwtKeys.getKeyring(appCfg.jwt);
+}
+
+/**
+ * Splits a compact JWS and decodes its header. Returns null on a malformed token.
+ * @private
+ */
+function _parseToken(token) {
+  const [encodedHeader, encodedPayload, encodedSignature, extra] = String(
+    token || "",
+  ).split(".");
+  if (
+    !encodedHeader ||
+    !encodedPayload ||
+    !encodedSignature ||
+    extra !== undefined
+  ) {
+    return null;
+  }
+  const header = JSON.parse(base64.decodeUrl(encodedHeader));
+  if (!header || typeof header !== "object" || typeof header.alg !== "string") {
+    return null;
+  }
+  return { encodedHeader, encodedPayload, encodedSignature, header };
+}
+
+/**
+ * Local public key for an asymmetric token: the `kid` from the header, or (no kid)
+ * the only key of that alg.
+ * @private
+ */
+function _localKey(ctx, header) {
+  const keyring = _resolveKeyring(ctx);
+  if (!keyring) return null;
+  if (header.kid != null) {
+    return keyring.keys.get(String(header.kid)) || null;
+  }
+  const candidates = [...keyring.keys.values()].filter(
+    (k) => k.alg === header.alg,
+  );
+  return candidates.length === 1 ? candidates[0] : null;
+}
+
+/**
+ * @private
+ */
+function _reject(ctx, reason) {
+  if (ctx && ctx.logger) {
+    ctx.logger.error(`JWT Verification Failed: ${reason}`);
+  }
+  return null;
+}
+
+/**
+ * Checks the signature. HS256 needs the shared secret; RS256 / ES256 / EdDSA need a public key
+ * whose alg matches the header, so a public key is never used as an HMAC secret and
+ * `alg: none` is never accepted.
+ * @private
+ * @returns {boolean}
+ */
+function _checkSignature(ctx, parsed, options, key) {
+  const { encodedHeader, encodedPayload, encodedSignature, header } = parsed;
+  const signatureInput = `${encodedHeader}.${encodedPayload}`;
+  if (header.crit !== undefined) {
+    _reject(ctx, "Unsupported 'crit' header.");
+    return false;
+  }
+
+  if (header.alg === "HS256") {
+    const jwtSecret = _resolveJwtSecret(ctx, options);
+    if (!jwtSecret) {
+      _reject(ctx, "no jwt secret configured (app or server).");
+      return false;
+    }
+    const expectedSignatureHex = crypto.hmacSha256Encrypt(
+      signatureInput,
+      jwtSecret,
+    );
+    const expectedEncodedSignature = base64.encodeUrl(
+      Buffer.from(expectedSignatureHex, "hex"),
+    );
+    if (encodedSignature !== expectedEncodedSignature) {
+      _reject(ctx, "Invalid signature.");
+      return false;
+    }
+    return true;
+  }
+
+  if (!jwtKeys.ALGORITHMS[header.alg]) {
+    _reject(ctx, `Unsupported alg '${header.alg}'.`);
+    return false;
+  }
+  if (!key) {
+    _reject(
+      ctx,
+      `No key for kid '${header.kid == null ? "" : header.kid}' (${header.alg}).`,
+    );
+    return false;
+  }
+  if (key.alg !== header.alg) {
+    _reject(ctx, `Key '${key.kid}' is ${key.alg}, token says ${header.alg}.`);
+    return false;
+  }
+  if (
+    !jwtKeys.verify(header.alg, signatureInput, encodedSignature, key.publicKey)
+  ) {
+    _reject(ctx, "Invalid signature.");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * exp (required), nbf, iss and aud checks. Returns the payload or null.
+ * @private
+ */
+function _checkClaims(ctx, parsed, options) {
+  const payload = JSON.parse(base64.decodeUrl(parsed.encodedPayload));
+  const now = Math.floor(Date.now() / 1000);
+
+  if (payload.exp == null || payload.exp < now) {
+    return _reject(ctx, "Token has expired.");
+  }
+  if (payload.nbf != null && payload.nbf > now) {
+    return _reject(ctx, "Token is not valid yet (nbf).");
+  }
+
+  const expectedIss = _resolveJwtIss(ctx, options);
+  if (expectedIss) {
+    if (payload.iss !== expectedIss) {
+      return _reject(ctx, `Invalid issuer (expected '${expectedIss}').`);
+    }
+  }
+
+  const expectedAud = _resolveJwtAud(ctx, options);
+  if (expectedAud) {
+    const aud = Array.isArray(payload.aud) ? payload.aud : [payload.aud];
+    if (!aud.includes(String(expectedAud))) {
+      return _reject(ctx, `Invalid audience (expected '${expectedAud}').`);
+    }
+  }
+
+  return payload;
+}
+
 /**
  * @private
  * @function createJWTToken
@@ -118,9 +306,26 @@ function createJWTToken(payload, expiresIn = "1h", options = {}) {
   }
 
   const ctx = gingee.getContext();
-  const jwtSecret = _resolveJwtSecret(ctx, options);
+  const opts = _resolveJwtOptions(options);
+
+  // An explicit secret always means HS256; otherwise the app keyring signs when configured.
+  let signingKey = null;
+  if (opts.secret == null || String(opts.secret) === "") {
+    const keyring = _resolveKeyring(ctx);
+    if (keyring && opts.kid != null) {
+      signingKey = keyring.keys.get(String(opts.kid)) || null;
+      if (!signingKey || !signingKey.privateKey) {
+        throw new Error(
+          `JWT key '${opts.kid}' has no private key in jwt.keys.`,
+        );
+      }
+    } else if (keyring) {
+      signingKey = keyring.active;
+    }
+  }
 
-  if (!jwtSecret) {
+  const jwtSecret = signingKey ? null : _resolveJwtSecret(ctx, options);
+  if (!signingKey && !jwtSecret) {
     throw new Error(
       "JWT secret is not set. Configure app.json jwt_secret (or jwt.secret), " +
         "gingee.json jwt.secret, or pass options.secret. " +
@@ -128,10 +333,9 @@ function createJWTToken(payload, expiresIn = "1h", options = {}) {
     );
   }
 
-  const header = {
-    alg: "HS256",
-    typ: "JWT",
-  };
+  const header = signingKey
+    ? { alg: signingKey.alg, typ: "JWT", kid: signingKey.kid }
+    : { alg: "HS256", typ: "JWT" };
   const encodedHeader = base64.encodeUrl(JSON.stringify(header));
 
   const now = Math.floor(Date.now() / 1000);
@@ -146,81 +350,153 @@ function createJWTToken(payload, expiresIn = "1h", options = {}) {
   const encodedPayload = base64.encodeUrl(JSON.stringify(fullPayload));
 
   const signatureInput = `${encodedHeader}.${encodedPayload}`;
+  if (signingKey) {
+    const signature = jwtKeys.sign(
+      signingKey.alg,
+      signatureInput,
+      signingKey.privateKey,
+    );
+    return `${signatureInput}.${signature}`;
+  }
   const signatureHex = crypto.hmacSha256Encrypt(signatureInput, jwtSecret);
   const encodedSignature = base64.encodeUrl(Buffer.from(signatureHex, "hex"));
 
   return `${encodedHeader}.${encodedPayload}.${encodedSignature}`;
 }
 
+/**
+ * Deny-list and revocation cut-off checks for a verified payload (`checkRevoked`).
+ * Session tokens (`sid`) are live only while their session is; other tokens are revoked by
+ * `jti` or by a user / app cut-off later than their `iat`.
+ * @private
+ * @returns {Promise<object|null>}
+ */
+async function _checkRevoked(ctx, payload) {
+  if (!payload) return null;
+  try {
+    const { appName } = ctx;
+    if (payload.jti != null) {
+      if (await sessionStore.isDenied(appName, String(payload.jti))) {
+        return _reject(ctx, "Token has been revoked.");
+      }
+    }
+    if (payload.sid != null) {
+      const session = await sessionStore.load(appName, String(payload.sid));
+      if (!session) {
+        return _reject(ctx, "Session has ended.");
+      }
+      return payload;
+    }
+    const cut = await sessionStore.cutoff(
+      appName,
+      payload.sub == null ? null : String(payload.sub),
+    );
+    if (cut && Number(payload.iat) * 1000 <= cut) {
+      return _reject(ctx, "Token has been revoked.");
+    }
+    return payload;
+  } catch (e) {
+    return _reject(
+      ctx,
+      `revocation check failed: ${e && e.message ? e.message : e}`,
+    );
+  }
+}
+
 /**
  * @private
  * @function verifyJWTToken
  * @memberof module:auth.jwt
  * @description Verifies a JWT and returns its payload if valid.
  * @param {string} token - The JWT string to verify.
- * @param {object} [options] - Optional overrides: `{ secret, iss }` (values may use env:/file: refs).
- * @returns {object|null} The token's payload if valid and not expired, otherwise null.
+ * @param {object} [options] - Optional overrides: `{ secret, iss, aud, checkRevoked }` (values may use env:/file: refs).
+ * @returns {object|null|Promise<object|null>} The token's payload if valid and not expired, otherwise null.
+ * A promise when `checkRevoked` is set (the deny-list lives in the cache service).
  */
 function verifyJWTToken(token, options = {}) {
   let ctx = null;
+  let payload = null;
   try {
     ctx = gingee.getContext();
-    const [encodedHeader, encodedPayload, encodedSignature] = String(
-      token || "",
-    ).split(".");
-    if (!encodedHeader || !encodedPayload || !encodedSignature) {
-      return null; // Invalid structure
-    }
-
-    const jwtSecret = _resolveJwtSecret(ctx, options);
-    if (!jwtSecret) {
-      if (ctx.logger) {
-        ctx.logger.error(
-          "JWT Verification Failed: no jwt secret configured (app or server).",
-        );
+    const parsed = _parseToken(token);
+    if (parsed) {
+      const key =
+        parsed.header.alg === "HS256" ? null : _localKey(ctx, parsed.header);
+      if (_checkSignature(ctx, parsed, options, key)) {
+        payload = _checkClaims(ctx, parsed, options);
       }
-      return null;
     }
-
-    const signatureInput = `${encodedHeader}.${encodedPayload}`;
-    const expectedSignatureHex = crypto.hmacSha256Encrypt(
-      signatureInput,
-      jwtSecret,
-    );
-    const expectedEncodedSignature = base64.encodeUrl(
-      Buffer.from(expectedSignatureHex, "hex"),
-    );
-
-    if (encodedSignature !== expectedEncodedSignature) {
-      if (ctx.logger) {
-        ctx.logger.error("JWT Verification Failed: Invalid signature.");
-      }
-      return null;
+  } catch (e) {
+    if (ctx && ctx.logger) {
+      ctx.logger.error(
+        "JWT Verification Failed with error:",
+        e && e.message ? e.message : e,
+      );
     }
+    payload = null;
+  }
+  if (options && options.checkRevoked) {
+    return _checkRevoked(ctx, payload);
+  }
+  return payload;
+}
 
-    const payload = JSON.parse(base64.decodeUrl(encodedPayload));
-    const now = Math.floor(Date.now() / 1000);
-
-    if (payload.exp == null || payload.exp < now) {
-      if (ctx.logger) {
-        ctx.logger.error("JWT Verification Failed: Token has expired.");
-      }
+/**
+ * @private
+ * @function verifyJWTTokenAsync
+ * @description Like verifyJWTToken, but a kid missing from the app keyring is looked up in the
+ * remote JWKS (app `jwt.jwks_uri` → server `jwt.jwks_uri`).
+ * @param {string} token
+ * @param {object} [options] - `{ secret, iss, aud, checkRevoked }`
+ * @returns {Promise<object|null>}
+ */
+async function verifyJWTTokenAsync(token, options = {}) {
+  let ctx = null;
+  try {
+    ctx = gingee.getContext();
+    const parsed = _parseToken(token);
+    if (!parsed) {
       return null;
     }
-
-    const expectedIss = _resolveJwtIss(ctx, options);
-    if (expectedIss) {
-      if (payload.iss !== expectedIss) {
-        if (ctx.logger) {
-          ctx.logger.error(
-            `JWT Verification Failed: Invalid issuer (expected '${expectedIss}').`,
-          );
+    const { header } = parsed;
+    let key = header.alg === "HS256" ? null : _localKey(ctx, header);
+    let fromJwks = false;
+    if (!key && jwtKeys.ALGORITHMS[header.alg] && header.kid != null) {
+      // Config only: a per-call URL would let scripts without the httpclient permission fetch.
+      const jwksUri = _jwtSetting(ctx, "jwks_uri");
+      if (jwksUri) {
+        const remote = await jwtKeys.getRemoteKey(
+          String(jwksUri),
+          String(header.kid),
+          {
+            ttlMs: _jwtSetting(ctx, "jwks_cache_ttl_ms"),
+            logger: ctx.logger,
+          },
+        );
+        if (remote) {
+          key = {
+            kid: String(header.kid),
+            alg: remote.alg,
+            publicKey: remote.key,
+          };
+          fromJwks = true;
         }
-        return null;
       }
     }
-
-    return payload;
+    if (!_checkSignature(ctx, parsed, options, key)) {
+      return null;
+    }
+    // An IdP signs tokens for all of its clients; only the audience says this app is meant.
+    if (fromJwks && !_resolveJwtAud(ctx, options)) {
+      return _reject(
+        ctx,
+        "jwt.audience is required for tokens from jwt.jwks_uri.",
+      );
+    }
+    const payload = _checkClaims(ctx, parsed, options);
+    return options && options.checkRevoked
+      ? await _checkRevoked(ctx, payload)
+      : payload;
   } catch (e) {
     if (ctx && ctx.logger) {
       ctx.logger.error(
@@ -232,6 +508,446 @@ function verifyJWTToken(token, options = {}) {
   }
 }
 
+/**
+ * A lifetime as seconds: a number of seconds or a string like '15m' / '30d'.
+ * @private
+ */
+function _lifetimeSeconds(value, fallback) {
+  const raw = value == null || value === "" ? fallback : value;
+  const seconds =
+    typeof raw === "number" || /^\d+$/.test(String(raw))
+      ? Math.floor(Number(raw))
+      : _calculateExpiry(0, String(raw));
+  if (!Number.isFinite(seconds) || seconds <= 0) {
+    throw new Error(`Invalid session lifetime '${raw}'.`);
+  }
+  if (seconds > sessionStore.MAX_SESSION_TTL_SECONDS) {
+    throw new Error(`Session lifetime '${raw}' is longer than 365 days.`);
+  }
+  return seconds;
+}
+
+/**
+ * What scripts see of a session record (never the refresh secret).
+ * @private
+ */
+function _publicSession(session) {
+  return {
+    id: session.id,
+    userId: session.userId,
+    data: session.data || {},
+    createdAt: session.createdAt,
+    expiresAt: session.expiresAt,
+  };
+}
+
+/**
+ * Access + refresh token pair for the session's current refresh generation
+ * (the session has just been started or extended by its refresh lifetime).
+ * @private
+ */
+function _tokenPair(session) {
+  const accessToken = createJWTToken(
+    {
+      ...session.claims,
+      sub: session.userId,
+      sid: session.id,
+      jti: sessionStore.newTokenId(),
+    },
+    `${session.accessTtl}s`,
+  );
+  return {
+    accessToken,
+    refreshToken: sessionStore.refreshTokenFor(session),
+    tokenType: "Bearer",
+    expiresIn: session.accessTtl,
+    refreshExpiresIn: session.refreshTtl,
+    sessionId: session.id,
+  };
+}
+
+/**
+ * @private
+ * @function createSession
+ * @param {string|number} userId
+ * @param {object} [options] - `{ ttl, data }`
+ * @returns {Promise<object>}
+ */
+async function createSession(userId, options = {}) {
+  const ctx = gingee.getContext();
+  const ttl = _lifetimeSeconds(options.ttl, DEFAULT_SESSION_TTL);
+  const now = Date.now();
+  const session = {
+    id: sessionStore.newSessionId(),
+    userId: String(userId),
+    data: options.data || {},
+    createdAt: now,
+    expiresAt: now + ttl * 1000,
+  };
+  await sessionStore.save(ctx.appName, session);
+  return _publicSession(session);
+}
+
+/**
+ * @private
+ * @function getSession
+ * @param {string} sessionId
+ * @returns {Promise<object|null>}
+ */
+async function getSession(sessionId) {
+  const ctx = gingee.getContext();
+  const session = await sessionStore.load(ctx.appName, sessionId);
+  return session ? _publicSession(session) : null;
+}
+
+/**
+ * @private
+ * @function updateSession
+ * @param {string} sessionId
+ * @param {object} data - merged into the session's data
+ * @returns {Promise<object|null>}
+ */
+async function updateSession(sessionId, data) {
+  const ctx = gingee.getContext();
+  const session = await sessionStore.load(ctx.appName, sessionId);
+  if (!session) return null;
+  session.data = { ...session.data, ...data };
+  await sessionStore.save(ctx.appName, session);
+  return _publicSession(session);
+}
+
+/**
+ * @private
+ * @function destroySession
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+async function destroySession(sessionId) {
+  const ctx = gingee.getContext();
+  if (sessionId) {
+    await sessionStore.destroy(ctx.appName, String(sessionId));
+  }
+}
+
+/**
+ * @private
+ * @function issueTokens
+ * @param {string|number} userId - becomes the access token's `sub`
+ * @param {object} [claims] - extra access-token claims
+ * @param {object} [options] - `{ accessTtl, refreshTtl, data }`
+ * @returns {Promise<object>}
+ */
+async function issueTokens(userId, claims = {}, options = {}) {
+  const ctx = gingee.getContext();
+  const accessTtl = _lifetimeSeconds(
+    options.accessTtl != null
+      ? options.accessTtl
+      : _jwtSetting(ctx, "access_ttl"),
+    DEFAULT_ACCESS_TTL,
+  );
+  const refreshTtl = _lifetimeSeconds(
+    options.refreshTtl != null
+      ? options.refreshTtl
+      : _jwtSetting(ctx, "refresh_ttl"),
+    DEFAULT_REFRESH_TTL,
+  );
+  const now = Date.now();
+  const session = {
+    id: sessionStore.newSessionId(),
+    userId: String(userId),
+    data: options.data || {},
+    claims: claims || {},
+    accessTtl,
+    refreshTtl,
+    createdAt: now,
+    expiresAt: now + refreshTtl * 1000,
+  };
+  sessionStore.startRefreshFamily(session);
+  const pair = _tokenPair(session);
+  await sessionStore.save(ctx.appName, session);
+  return pair;
+}
+
+/**
+ * @private
+ * @function refreshTokens
+ * @param {string} refreshToken
+ * @returns {Promise<object|null>}
+ */
+async function refreshTokens(refreshToken) {
+  const ctx = gingee.getContext();
+  const parsed = sessionStore.parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await sessionStore.load(ctx.appName, parsed.sessionId);
+  if (!session || !sessionStore.isGenuineRefreshToken(session, parsed)) {
+    return null;
+  }
+  if (parsed.generation !== session.refresh.generation) {
+    // An already-rotated token came back: assume it leaked and end the whole family.
+    await sessionStore.destroy(ctx.appName, session.id);
+    if (ctx.logger) {
+      ctx.logger.warn(
+        `Refresh token reuse detected for user '${session.userId}'; session revoked.`,
+      );
+    }
+    return null;
+  }
+  session.refresh.generation += 1;
+  session.expiresAt = Date.now() + session.refreshTtl * 1000;
+  const pair = _tokenPair(session);
+  await sessionStore.save(ctx.appName, session);
+  return pair;
+}
+
+/**
+ * @private
+ * @function revokeToken
+ * @param {string} token - refresh token or access token (JWT)
+ * @returns {Promise<boolean>}
+ */
+async function revokeToken(token) {
+  const ctx = gingee.getContext();
+  const parsed = sessionStore.parseRefreshToken(token);
+  if (parsed) {
+    const session = await sessionStore.load(ctx.appName, parsed.sessionId);
+    if (!session || !sessionStore.isGenuineRefreshToken(session, parsed)) {
+      return false;
+    }
+    await sessionStore.destroy(ctx.appName, session.id);
+    return true;
+  }
+  // Only a token this app would accept may revoke anything.
+  const payload = verifyJWTToken(token);
+  if (!payload || (payload.jti == null && payload.sid == null)) {
+    return false;
+  }
+  if (payload.jti != null) {
+    await sessionStore.deny(ctx.appName, String(payload.jti), payload.exp);
+  }
+  if (payload.sid != null) {
+    await sessionStore.destroy(ctx.appName, String(payload.sid));
+  }
+  return true;
+}
+
+/**
+ * @private
+ * @function revokeUser
+ * @param {string|number} userId
+ * @returns {Promise<void>}
+ */
+async function revokeUser(userId) {
+  const ctx = gingee.getContext();
+  await sessionStore.revokeBefore(ctx.appName, String(userId));
+}
+
+/**
+ * @private
+ * @function revokeApp
+ * @returns {Promise<void>}
+ */
+async function revokeApp() {
+  const ctx = gingee.getContext();
+  await sessionStore.revokeBefore(ctx.appName, null);
+}
+
+/**
+ * @private
+ * @function generateTotp
+ * @param {string} secret - base32
+ * @param {object} [options] - `{ time, digits, period, algorithm }`
+ * @returns {string}
+ */
+function generateTotp(secret, options = {}) {
+  const o = totp.resolveOptions(options);
+  const time = options.time != null ? Number(options.time) : Date.now();
+  return totp.hotp(
+    totp.base32Decode(secret),
+    totp.counterAt(time, o.period),
+    o,
+  );
+}
+
+/**
+ * @private
+ * @function verifyTotp
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {object} [options] - `{ window, replayKey, time, digits, period, algorithm }`
+ * @returns {Promise<boolean>}
+ */
+async function verifyTotp(secret, code, options = {}) {
+  const ctx = gingee.getContext();
+  const o = totp.resolveOptions(options);
+  const window = options.window != null ? Number(options.window) : 1;
+  if (!Number.isInteger(window) || window < 0 || window > 10) {
+    throw new Error("TOTP window must be between 0 and 10 steps.");
+  }
+  const time = options.time != null ? Number(options.time) : Date.now();
+  const step = totp.matchCounter(secret, code, time, window, o);
+  if (step === -1) return false;
+  // Remember the step for as long as any code in the window could still be presented.
+  return totp.claimCounter(
+    ctx.appName,
+    options.replayKey != null ? options.replayKey : secret,
+    step,
+    (2 * window + 2) * o.period,
+  );
+}
+
+/**
+ * @private
+ * @function totpQrCode
+ * @param {string} uri - from `auth.totp.uri`
+ * @param {object} [options] - `qrcode` options (`width`, `margin`, `output`, ...)
+ * @returns {Promise<string|Buffer>}
+ */
+async function totpQrCode(uri, options = {}) {
+  // Loaded on use: the QR library is only needed while enrolling.
+  const { qrcode } = require("./qrcode.js");
+  return qrcode(uri, { output: "dataurl", ...options });
+}
+
+/**
+ * @private
+ * @function generateRecoveryCodes
+ * @param {number} [count=10]
+ * @returns {Promise<{codes: string[], hashes: string[]}>}
+ */
+async function generateRecoveryCodes(count = 10) {
+  const n = Number(count);
+  if (!Number.isInteger(n) || n < 1 || n > 50) {
+    throw new Error("Recovery code count must be between 1 and 50.");
+  }
+  const codes = [];
+  while (codes.length < n) {
+    const code = totp.generateRecoveryCode();
+    if (!codes.includes(code)) codes.push(code);
+  }
+  const hashes = [];
+  for (const code of codes) {
+    hashes.push(await crypto.hashPassword(totp.normalizeRecoveryCode(code)));
+  }
+  return { codes, hashes };
+}
+
+/**
+ * @private
+ * @function useRecoveryCode
+ * @param {string} code
+ * @param {string[]} hashes
+ * @returns {Promise<string[]|null>} the hashes left after removing the matching one, or null
+ */
+async function useRecoveryCode(code, hashes) {
+  const normalized = totp.normalizeRecoveryCode(code);
+  if (!normalized || !Array.isArray(hashes)) return null;
+  for (let i = 0; i < hashes.length; i += 1) {
+    if (await crypto.verifyPassword(normalized, hashes[i])) {
+      return hashes.filter((_, j) => j !== i);
+    }
+  }
+  return null;
+}
+
+/**
+ * @private
+ * @function createApiKey
+ * @param {object} options - `{ name, scopes, expiresIn }`
+ * @returns {Promise<object>}
+ */
+async function createApiKey(options = {}) {
+  const ctx = gingee.getContext();
+  const name = options.name != null ? String(options.name).trim() : "";
+  if (!name) {
+    throw new Error("auth.apiKeys.create needs a name.");
+  }
+  const scopes = apiKeys.normalizeScopes(options.scopes);
+  let expiresAt = null;
+  if (options.expiresIn != null && options.expiresIn !== "") {
+    const raw = options.expiresIn;
+    const seconds =
+      typeof raw === "number" || /^\d+$/.test(String(raw))
+        ? Math.floor(Number(raw))
+        : _calculateExpiry(0, String(raw));
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      throw new Error(`Invalid API key lifetime '${raw}'.`);
+    }
+    expiresAt = new Date(Date.now() + seconds * 1000).toISOString();
+  }
+  const { settings, store } = apiKeys.storeFor(ctx.app);
+  const { id, key, hash } = apiKeys.newKey(settings.prefix);
+  const record = {
+    id,
+    name,
+    prefix: settings.prefix,
+    hash,
+    scopes,
+    createdAt: new Date().toISOString(),
+    expiresAt,
+    revokedAt: null,
+  };
+  await store.create(ctx.app, settings, record);
+  return { key, ...apiKeys.publicKey(record) };
+}
+
+/**
+ * @private
+ * @function listApiKeys
+ * @returns {Promise<object[]>}
+ */
+async function listApiKeys() {
+  const ctx = gingee.getContext();
+  const { settings, store } = apiKeys.storeFor(ctx.app);
+  const records = await store.list(ctx.app, settings);
+  return records.map(apiKeys.publicKey);
+}
+
+/**
+ * @private
+ * @function getApiKey
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function getApiKey(id) {
+  const ctx = gingee.getContext();
+  const { settings, store } = apiKeys.storeFor(ctx.app);
+  const record = id ? await store.get(ctx.app, settings, String(id)) : null;
+  return record ? apiKeys.publicKey(record) : null;
+}
+
+/**
+ * @private
+ * @function revokeApiKey
+ * @param {string} idOrKey - key id, or the full key
+ * @returns {Promise<boolean>}
+ */
+async function revokeApiKey(idOrKey) {
+  const ctx = gingee.getContext();
+  const parsed = apiKeys.parseKey(idOrKey);
+  const id = parsed ? parsed.id : String(idOrKey || "");
+  if (!id) return false;
+  const { settings, store } = apiKeys.storeFor(ctx.app);
+  return store.revoke(ctx.app, settings, id, new Date().toISOString());
+}
+
+/**
+ * @private
+ * @function verifyApiKey
+ * @param {string} key
+ * @param {object} [options] - `{ scopes }`
+ * @returns {Promise<object|null>}
+ */
+async function verifyApiKey(key, options = {}) {
+  const ctx = gingee.getContext();
+  const result = await apiKeys.checkKey(
+    ctx.app,
+    key,
+    apiKeys.normalizeScopes(options.scopes),
+  );
+  apiKeys.recordUse(ctx.app, result);
+  return result.ok ? apiKeys.publicKey(result.record) : null;
+}
+
 /**
  * A helper to calculate the 'exp' claim from a string like '1h' or '7d'.
  * @private
@@ -274,11 +990,14 @@ module.exports = {
      * @function create
      * @memberof module:auth.jwt
      * @description Creates a JSON Web Token (JWT) with the given payload and expiration.
-     * Secret resolution: <code>options.secret</code> → <code>app.json</code> <code>jwt_secret</code> / <code>jwt.secret</code> →
+     * When <code>app.json</code> → <code>jwt.keys</code> is configured the token is signed with the active key
+     * (RS256 / ES256 / EdDSA) and carries its <code>kid</code>; <code>options.kid</code> picks another key.
+     * Otherwise (or with <code>options.secret</code>) it is HS256. Secret resolution: <code>options.secret</code> →
+     * <code>app.json</code> <code>jwt_secret</code> / <code>jwt.secret</code> →
      * <code>gingee.json</code> <code>jwt.secret</code>. Optional <code>iss</code> from options / app / server is set when configured.
      * @param {object} payload - The data to include in the token.
      * @param {string} [expiresIn='1h'] - The token's lifespan.
-     * @param {object} [options] - Optional <code>{ secret, iss, expiresIn }</code> (secret/iss may use <code>env:</code> / <code>file:</code> refs).
+     * @param {object} [options] - Optional <code>{ secret, iss, kid, expiresIn }</code> (secret/iss may use <code>env:</code> / <code>file:</code> refs).
      * @returns {string} The JWT string.
      * @example
      * const token = auth.jwt.create({ userId: 42, role: 'admin' }, '2h');
@@ -287,10 +1006,15 @@ module.exports = {
     /**
      * @function verify
      * @memberof module:auth.jwt
-     * @description Verifies a JWT and returns its payload if valid (signature + exp; iss when configured).
+     * @description Verifies a JWT and returns its payload if valid (signature + exp + nbf; iss and aud when configured).
+     * HS256 tokens are checked with the secret, RS256 / ES256 / EdDSA tokens with the app's <code>jwt.keys</code>
+     * (by <code>kid</code>). Any other <code>alg</code>, including <code>none</code>, is rejected.
+     * With <code>checkRevoked: true</code> the token is also checked against the revocation deny-list kept by
+     * <code>auth.sessions</code> (revoked <code>jti</code>, ended session, user / app cut-off) and a promise is returned.
      * @param {string} token - The JWT string to verify.
-     * @param {object} [options] - Optional <code>{ secret, iss }</code> overrides (may use <code>env:</code> / <code>file:</code> refs).
-     * @returns {object|null} The token's payload if valid and not expired, otherwise null.
+     * @param {object} [options] - Optional <code>{ secret, iss, aud, checkRevoked }</code> overrides (may use <code>env:</code> / <code>file:</code> refs).
+     * @returns {object|null|Promise<object|null>} The token's payload if valid and not expired, otherwise null
+     * (a promise of it with <code>checkRevoked</code>).
      * @example
      * const payload = auth.jwt.verify(token);
      * if (payload) {
@@ -300,5 +1024,288 @@ module.exports = {
      * }
      */
     verify: verifyJWTToken,
+    /**
+     * @function verifyAsync
+     * @memberof module:auth.jwt
+     * @description Same checks as <code>verify</code>, plus tokens signed by an identity provider: a <code>kid</code>
+     * that is not in the app's <code>jwt.keys</code> is looked up in the JWKS at <code>jwt.jwks_uri</code>. The JWKS is
+     * fetched with <code>httpclient</code> (egress policy applies) and cached for <code>jwt.jwks_cache_ttl_ms</code>;
+     * an unknown <code>kid</code> refreshes it so IdP key rotation is picked up.
+     * @param {string} token - The JWT string to verify.
+     * @param {object} [options] - Optional <code>{ secret, iss, aud, checkRevoked }</code> overrides.
+     * @returns {Promise<object|null>} The token's payload if valid, otherwise null.
+     * @example
+     * const claims = await auth.jwt.verifyAsync(token, { aud: 'orders-api' });
+     * if (!claims) return $g.response.send({ error: 'Unauthorized' }, 401);
+     */
+    verifyAsync: verifyJWTTokenAsync,
+  },
+  /**
+   * @namespace sessions
+   * @memberof module:auth
+   * @description Server-side sessions kept in the cache service (memory or redis), so tokens can be revoked before
+   * they expire. Use <code>issue</code> / <code>refresh</code> for access + refresh token pairs (APIs, mobile clients) and
+   * <code>create</code> / <code>get</code> for cookie sessions. Records live in an engine-private namespace that the
+   * app's <code>cache</code> module cannot read.
+   */
+  sessions: {
+    /**
+     * @function issue
+     * @memberof module:auth.sessions
+     * @description Starts a session and returns its first token pair. The access token is a JWT signed like
+     * <code>auth.jwt.create</code> (claims plus <code>sub</code>, <code>sid</code> and <code>jti</code>); the refresh token is
+     * opaque. Lifetimes come from the options, then <code>app.json</code> <code>jwt.access_ttl</code> /
+     * <code>jwt.refresh_ttl</code>, then 15m / 30d.
+     * @param {string|number} userId - The user the session belongs to (the access token's <code>sub</code>).
+     * @param {object} [claims] - Extra access-token claims (e.g. <code>{ role: 'admin' }</code>).
+     * @param {object} [options] - <code>{ accessTtl, refreshTtl, data }</code>; lifetimes as seconds or '15m' / '30d'.
+     * @returns {Promise<object>} <code>{ accessToken, refreshToken, tokenType, expiresIn, refreshExpiresIn, sessionId }</code>.
+     * @example
+     * const tokens = await auth.sessions.issue(user.id, { role: user.role });
+     * $g.response.send(tokens);
+     */
+    issue: issueTokens,
+    /**
+     * @function refresh
+     * @memberof module:auth.sessions
+     * @description Exchanges a refresh token for a new pair. Refresh tokens are single-use: the old one stops working,
+     * and presenting an already-rotated token again is treated as theft and ends the whole session.
+     * Each refresh extends the session by its refresh lifetime.
+     * @param {string} refreshToken
+     * @returns {Promise<object|null>} A new pair (same shape as <code>issue</code>), or null.
+     * @example
+     * const tokens = await auth.sessions.refresh($g.request.body.refresh_token);
+     * if (!tokens) return $g.response.send({ error: 'invalid_grant' }, 401);
+     */
+    refresh: refreshTokens,
+    /**
+     * @function verify
+     * @memberof module:auth.sessions
+     * @description <code>auth.jwt.verify</code> with <code>checkRevoked: true</code>: the payload of a valid access token
+     * whose session is still live, otherwise null.
+     * @param {string} accessToken
+     * @param {object} [options] - Same overrides as <code>auth.jwt.verify</code>.
+     * @returns {Promise<object|null>}
+     * @example
+     * const claims = await auth.sessions.verify(bearerToken);
+     */
+    verify: (accessToken, options = {}) =>
+      verifyJWTToken(accessToken, { ...options, checkRevoked: true }),
+    /**
+     * @function revoke
+     * @memberof module:auth.sessions
+     * @description Revokes a token before it expires. A refresh token, or an access token from <code>issue</code>,
+     * ends its session (logout); any other JWT with a <code>jti</code> is deny-listed until its <code>exp</code>.
+     * Only tokens that verify for this app are honoured.
+     * @param {string} token
+     * @returns {Promise<boolean>} Whether anything was revoked.
+     */
+    revoke: revokeToken,
+    /**
+     * @function revokeUser
+     * @memberof module:auth.sessions
+     * @description Revokes every session and token issued so far to a user (e.g. after a password change).
+     * Plain JWTs are matched by <code>sub</code> and <code>iat</code> when verified with <code>checkRevoked</code>.
+     * @param {string|number} userId
+     * @returns {Promise<void>}
+     */
+    revokeUser,
+    /**
+     * @function revokeApp
+     * @memberof module:auth.sessions
+     * @description Revokes every session and token the app has issued so far.
+     * @returns {Promise<void>}
+     */
+    revokeApp,
+    /**
+     * @function create
+     * @memberof module:auth.sessions
+     * @description Starts a cookie-style session: no tokens, the returned <code>id</code> is the secret to put in an
+     * <code>HttpOnly</code> cookie. Revoked by <code>destroy</code>, <code>revokeUser</code> and <code>revokeApp</code>.
+     * @param {string|number} userId
+     * @param {object} [options] - <code>{ ttl, data }</code>; <code>ttl</code> as seconds or '8h' (default 8h).
+     * @returns {Promise<object>} <code>{ id, userId, data, createdAt, expiresAt }</code> (times in epoch ms).
+     * @example
+     * const session = await auth.sessions.create(user.id, { ttl: '8h', data: { theme: 'dark' } });
+     * $g.response.cookies.sid = `${session.id}; HttpOnly; SameSite=Lax; Path=/`;
+     */
+    create: createSession,
+    /**
+     * @function get
+     * @memberof module:auth.sessions
+     * @description Looks up a live session by id.
+     * @param {string} sessionId
+     * @returns {Promise<object|null>} <code>{ id, userId, data, createdAt, expiresAt }</code>, or null when it has
+     * expired or been revoked.
+     */
+    get: getSession,
+    /**
+     * @function update
+     * @memberof module:auth.sessions
+     * @description Merges <code>data</code> into a live session's data.
+     * @param {string} sessionId
+     * @param {object} data
+     * @returns {Promise<object|null>} The updated session, or null.
+     */
+    update: updateSession,
+    /**
+     * @function destroy
+     * @memberof module:auth.sessions
+     * @description Ends a session by id, together with its tokens.
+     * @param {string} sessionId
+     * @returns {Promise<void>}
+     */
+    destroy: destroySession,
+  },
+  /**
+   * @namespace totp
+   * @memberof module:auth
+   * @description Time-based one-time passwords (RFC 6238) for two-factor login with authenticator apps, and
+   * one-time recovery codes. Defaults match what authenticator apps expect: 6 digits, 30 second steps, SHA1.
+   * Store the secret like a password-equivalent (encrypted, e.g. with <code>crypto.encrypt</code>).
+   */
+  totp: {
+    /**
+     * @function generateSecret
+     * @memberof module:auth.totp
+     * @description Creates a new random base32 secret for a user's authenticator.
+     * @param {number} [bytes=20] - Secret length in bytes.
+     * @returns {string} The base32 secret.
+     * @example
+     * const secret = auth.totp.generateSecret();
+     */
+    generateSecret: totp.generateSecret,
+    /**
+     * @function uri
+     * @memberof module:auth.totp
+     * @description Builds the <code>otpauth://totp/...</code> URI that authenticator apps import, usually by scanning
+     * it as a QR code (see <code>qrCode</code>).
+     * @param {string} secret - The base32 secret.
+     * @param {object} options - <code>{ account, issuer, digits, period, algorithm }</code>; <code>account</code> is required.
+     * @returns {string} The URI.
+     * @example
+     * const uri = auth.totp.uri(secret, { account: user.email, issuer: 'Orders' });
+     */
+    uri: totp.buildUri,
+    /**
+     * @function qrCode
+     * @memberof module:auth.totp
+     * @description Renders an <code>otpauth://</code> URI as a QR code with the <code>qrcode</code> module.
+     * @param {string} uri - From <code>auth.totp.uri</code>.
+     * @param {object} [options] - <code>qrcode</code> options; the output defaults to a data URL.
+     * @returns {Promise<string|Buffer>} A data URL (or a Buffer with <code>{ output: 'buffer' }</code>).
+     * @example
+     * const img = await auth.totp.qrCode(uri); // <img src="${img}">
+     */
+    qrCode: totpQrCode,
+    /**
+     * @function generate
+     * @memberof module:auth.totp
+     * @description The current code for a secret (mostly useful in tests).
+     * @param {string} secret - The base32 secret.
+     * @param {object} [options] - <code>{ time, digits, period, algorithm }</code>; <code>time</code> in epoch ms.
+     * @returns {string} The code.
+     */
+    generate: generateTotp,
+    /**
+     * @function verify
+     * @memberof module:auth.totp
+     * @description Checks a code, allowing <code>window</code> steps of clock drift either way (default 1).
+     * An accepted code, and every code from an earlier step, is refused afterwards: the last used step is kept in
+     * the cache service per secret (or per <code>replayKey</code>).
+     * @param {string} secret - The base32 secret.
+     * @param {string} code - What the user typed.
+     * @param {object} [options] - <code>{ window, replayKey, time, digits, period, algorithm }</code>.
+     * @returns {Promise<boolean>} True once per valid code.
+     * @example
+     * if (!(await auth.totp.verify(user.totpSecret, $g.request.body.code, { replayKey: user.id }))) {
+     *   return $g.response.send({ error: 'Invalid code' }, 401);
+     * }
+     */
+    verify: verifyTotp,
+    /**
+     * @function generateRecoveryCodes
+     * @memberof module:auth.totp
+     * @description Creates one-time recovery codes for users who lose their authenticator. Show <code>codes</code>
+     * to the user once and store only <code>hashes</code> (Argon2, via <code>crypto.hashPassword</code>).
+     * @param {number} [count=10]
+     * @returns {Promise<{codes: string[], hashes: string[]}>}
+     * @example
+     * const { codes, hashes } = await auth.totp.generateRecoveryCodes();
+     */
+    generateRecoveryCodes,
+    /**
+     * @function useRecoveryCode
+     * @memberof module:auth.totp
+     * @description Checks a recovery code against the stored hashes. On a match it returns the remaining hashes;
+     * save them so the code cannot be used again. Case, spaces and dashes are ignored.
+     * @param {string} code - What the user typed.
+     * @param {string[]} hashes - The stored hashes.
+     * @returns {Promise<string[]|null>} The hashes to keep, or null when no code matched.
+     * @example
+     * const remaining = await auth.totp.useRecoveryCode(input, user.recoveryHashes);
+     * if (remaining) await saveRecoveryHashes(user.id, remaining);
+     */
+    useRecoveryCode,
+  },
+  /**
+   * @namespace apiKeys
+   * @memberof module:auth
+   * @description API keys for machine-to-machine callers. Keys look like <code>gk_&lt;id&gt;_&lt;secret&gt;</code>; only a
+   * SHA-256 of the secret is stored, so a key is shown once, at creation. Keys are stored per app in the store chosen by
+   * <code>app.json</code> → <code>api_keys.store</code>: <code>cache</code> (default; durable with redis) or <code>db</code>
+   * (a table in the <code>api_keys.db</code> database). Callers send the key in the <code>X-API-Key</code> header.
+   * routes.json entries with <code>auth: { api_key: true, scopes: [...] }</code> are checked by the engine before the
+   * script runs, which then sees the key as <code>$g.apiKey</code>.
+   */
+  apiKeys: {
+    /**
+     * @function create
+     * @memberof module:auth.apiKeys
+     * @description Creates a key. The returned <code>key</code> is the only copy of the secret: hand it to the caller
+     * and do not store it.
+     * @param {object} options - <code>{ name, scopes, expiresIn }</code>; <code>name</code> is required,
+     * <code>expiresIn</code> as seconds or '90d' (default: no expiry).
+     * @returns {Promise<object>} <code>{ key, id, name, prefix, scopes, createdAt, expiresAt, revokedAt }</code>.
+     * @example
+     * const { key, id } = await auth.apiKeys.create({ name: 'billing sync', scopes: ['orders:read'], expiresIn: '90d' });
+     */
+    create: createApiKey,
+    /**
+     * @function list
+     * @memberof module:auth.apiKeys
+     * @description The app's keys, oldest first, including expired and revoked ones. Never includes secrets.
+     * @returns {Promise<object[]>} <code>{ id, name, prefix, scopes, createdAt, expiresAt, revokedAt }</code> entries.
+     */
+    list: listApiKeys,
+    /**
+     * @function get
+     * @memberof module:auth.apiKeys
+     * @description One key by id.
+     * @param {string} id
+     * @returns {Promise<object|null>} Same shape as <code>list</code> entries, or null.
+     */
+    get: getApiKey,
+    /**
+     * @function revoke
+     * @memberof module:auth.apiKeys
+     * @description Revokes a key immediately. The record is kept (with <code>revokedAt</code>) for the key list.
+     * @param {string} idOrKey - The key id, or the full key.
+     * @returns {Promise<boolean>} False when there is no such key or it was already revoked.
+     */
+    revoke: revokeApiKey,
+    /**
+     * @function verify
+     * @memberof module:auth.apiKeys
+     * @description Checks a key in a script (for routes that accept several kinds of credentials). Counted in
+     * <code>/metrics</code> like keys checked by routes.json.
+     * @param {string} key - e.g. <code>$g.request.headers['x-api-key']</code>
+     * @param {object} [options] - <code>{ scopes }</code>: scopes the key must hold.
+     * @returns {Promise<object|null>} The key (as in <code>list</code>) when genuine, unexpired, unrevoked and in scope;
+     * otherwise null.
+     * @example
+     * const apiKey = await auth.apiKeys.verify($g.request.headers['x-api-key'], { scopes: ['orders:read'] });
+     */
+    verify: verifyApiKey,
   },
 };
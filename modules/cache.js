@@ -1,5 +1,6 @@
 // This is the secure, sandboxed cache module for application developers.
 // It acts as a facade over the main cache_service.
+const nodeCrypto = require("crypto");
 const cacheService = require("./cache_service.js");
 const { getContext } = require("./gingee.js");
 
@@ -9,16 +10,24 @@ const { getContext } = require("./gingee.js");
  * <b>IMPORTANT:</b> Requires explicit permission to use the module. See docs/permissions-guide for more details.
  */
 
+/**
+ * The current app's key prefix, inside the namespace reserved for app keys.
+ * @private
+ */
+function _appPrefix() {
+  const { appName } = getContext();
+  return `${cacheService.APP_KEY_PREFIX}${appName}:`;
+}
+
 /**
  * Constructs a secure, namespaced cache key for the current app.
  * @private
  */
 function _getNamespacedKey(key) {
-  const { appName } = getContext();
   if (!key || typeof key !== "string") {
     throw new Error("Cache key must be a non-empty string.");
   }
-  return `${appName}:${key}`;
+  return `${_appPrefix()}${key}`;
 }
 
 /**
@@ -42,23 +51,92 @@ async function get(key) {
   return cacheService.get(namespacedKey);
 }
 
+/**
+ * Tag names as engine-private tag index keys for the current app.
+ * @private
+ */
+function _getTagKeys(tags) {
+  const { appName } = getContext();
+  if (!Array.isArray(tags)) {
+    throw new Error("Cache tags must be an array of strings.");
+  }
+  return tags.map((t) => {
+    if (!t || typeof t !== "string") {
+      throw new Error("Cache tags must be non-empty strings.");
+    }
+    return `_tag:${appName}:${t}`;
+  });
+}
+
 /**
  * @function set
  * @memberof module:cache
  * @description Stores a value in the application's cache.
  * @param {string} key - The key to store the value under.
  * @param {any} value - The JSON-serializable value to store.
- * @param {number} [ttl] - Optional Time-To-Live in seconds. Uses the server default if not provided.
+ * @param {number|object} [ttl] - Optional Time-To-Live in seconds, or an options object. Uses the server default if not provided.
+ * @param {number} [ttl.ttl] - Time-To-Live in seconds.
+ * @param {string[]} [ttl.tags] - Tags to file the key under, for `invalidateTag`.
  * @returns {Promise<void>}
- * @throws {Error} If the key is invalid or storage fails.
+ * @throws {Error} If the key or tags are invalid or storage fails.
  * @example
  * const cache = require('cache');
  * await cache.set('my_key', { message: 'Hello, world!' }, 3600);
+ * await cache.set(`product:${id}`, product, { ttl: 600, tags: ['catalog', `vendor:${vendorId}`] });
  * console.log("Value stored in cache.");
  */
 async function set(key, value, ttl) {
   const namespacedKey = _getNamespacedKey(key);
-  return cacheService.set(namespacedKey, value, ttl);
+  if (!ttl || typeof ttl !== "object") {
+    return cacheService.set(namespacedKey, value, ttl);
+  }
+  const tagKeys = _getTagKeys(ttl.tags || []);
+  await cacheService.set(namespacedKey, value, ttl.ttl);
+  if (tagKeys.length > 0) {
+    await cacheService.tag(tagKeys, namespacedKey, ttl.ttl);
+  }
+}
+
+/**
+ * @function invalidateTag
+ * @memberof module:cache
+ * @description Deletes every key stored with the given tag (see `set`) since the tag was last invalidated.
+ * @param {string} tag - The tag to invalidate.
+ * @returns {Promise<number>} A promise that resolves with the number of keys deleted.
+ * @throws {Error} If the tag is invalid or deletion fails.
+ * @example
+ * const cache = require('cache');
+ * const removed = await cache.invalidateTag(`vendor:${vendorId}`);
+ */
+async function invalidateTag(tag) {
+  const [tagKey] = _getTagKeys([tag]);
+  return cacheService.invalidateTag(tagKey);
+}
+
+/**
+ * @function keys
+ * @memberof module:cache
+ * @description Lists the application's keys that match a pattern, without blocking the cache server.
+ * In the pattern `*` matches any run of characters and `?` matches one; everything else is literal.
+ * @param {string} [pattern="*"] - The pattern, e.g. `'user:*'`.
+ * @param {object} [options]
+ * @param {number} [options.limit=1000] - At most this many keys (max 10000).
+ * @returns {Promise<string[]>} A promise that resolves with the matching keys, sorted.
+ * @throws {Error} If the pattern is invalid or the scan fails.
+ * @example
+ * const cache = require('cache');
+ * const sessions = await cache.keys('session:*', { limit: 100 });
+ */
+async function keys(pattern = "*", options = {}) {
+  if (typeof pattern !== "string" || pattern === "") {
+    throw new Error("Cache key pattern must be a non-empty string.");
+  }
+  const prefix = _appPrefix();
+  const found = await cacheService.scan(
+    cacheService.escapeGlob(prefix) + cacheService.wildcardGlob(pattern),
+    options,
+  );
+  return found.map((k) => k.slice(prefix.length)).sort();
 }
 
 /**
@@ -91,8 +169,201 @@ async function del(key) {
  */
 async function clear() {
   const { appName } = getContext();
-  const prefix = `${appName}:`;
-  return cacheService.clear(prefix);
+  await cacheService.clear(`_tag:${appName}:`);
+  return cacheService.clear(_appPrefix());
+}
+
+/**
+ * @function incr
+ * @memberof module:cache
+ * @description Atomically adds to an integer counter, across requests and (with Redis) across nodes.
+ * A missing key starts at 0. The TTL is applied only when the counter has no expiry yet, so a
+ * fixed window starts with the first increment.
+ * @param {string} key - The counter key.
+ * @param {number} [by=1] - The integer to add.
+ * @param {number} [ttl] - Optional Time-To-Live in seconds. Uses the server default if not provided.
+ * @returns {Promise<number>} A promise that resolves with the new value.
+ * @throws {Error} If the key is invalid, `by` is not an integer, or the stored value is not an integer.
+ * @example
+ * const cache = require('cache');
+ * const hits = await cache.incr(`login:${ip}`, 1, 60);
+ * if (hits > 5) $g.response.send({ error: 'Too many attempts' }, 429);
+ */
+async function incr(key, by = 1, ttl) {
+  const namespacedKey = _getNamespacedKey(key);
+  return cacheService.incr(namespacedKey, by, ttl);
+}
+
+/**
+ * @function decr
+ * @memberof module:cache
+ * @description Atomically subtracts from an integer counter. Same rules as `incr`.
+ * @param {string} key - The counter key.
+ * @param {number} [by=1] - The integer to subtract.
+ * @param {number} [ttl] - Optional Time-To-Live in seconds.
+ * @returns {Promise<number>} A promise that resolves with the new value.
+ * @throws {Error} If the key is invalid, `by` is not an integer, or the stored value is not an integer.
+ * @example
+ * const cache = require('cache');
+ * const left = await cache.decr('stock:sku-42');
+ */
+async function decr(key, by = 1, ttl) {
+  const namespacedKey = _getNamespacedKey(key);
+  if (!Number.isSafeInteger(by)) {
+    throw new Error("Cache increment must be an integer.");
+  }
+  return cacheService.incr(namespacedKey, -by, ttl);
+}
+
+/**
+ * @function setIfAbsent
+ * @memberof module:cache
+ * @description Stores a value only if the key holds none, as one atomic step. Useful for
+ * idempotency keys and "first writer wins" records.
+ * @param {string} key - The key to store the value under.
+ * @param {any} value - The JSON-serializable value to store.
+ * @param {number} [ttl] - Optional Time-To-Live in seconds. Uses the server default if not provided.
+ * @returns {Promise<boolean>} True if the value was stored, false if the key already had a value.
+ * @throws {Error} If the key is invalid or storage fails.
+ * @example
+ * const cache = require('cache');
+ * const first = await cache.setIfAbsent(`idem:${$g.request.headers['idempotency-key']}`, true, 86400);
+ * if (!first) return $g.response.send({ error: 'Duplicate request' }, 409);
+ */
+async function setIfAbsent(key, value, ttl) {
+  const namespacedKey = _getNamespacedKey(key);
+  return cacheService.setIfAbsent(namespacedKey, value, ttl);
+}
+
+/**
+ * @function getOrSet
+ * @memberof module:cache
+ * @description Returns the cached value, or calls `producer` and caches its result. While one
+ * caller is producing a value, other callers for the same key (in this process or on other
+ * nodes) wait for it instead of calling the producer too. A null or undefined result is not cached.
+ * @param {string} key - The key to read or fill.
+ * @param {number} ttl - Time-To-Live in seconds for a produced value (falsy for the server default).
+ * @param {function(): (any|Promise<any>)} producer - Computes the value on a miss.
+ * @returns {Promise<any>} A promise that resolves with the cached or produced value.
+ * @throws {Error} If the key is invalid, `producer` is not a function, or `producer` throws.
+ * @example
+ * const cache = require('cache');
+ * const rates = await cache.getOrSet('fx:rates', 300, () => fetchRates());
+ */
+async function getOrSet(key, ttl, producer) {
+  const namespacedKey = _getNamespacedKey(key);
+  return cacheService.getOrSet(namespacedKey, ttl, producer);
+}
+
+/**
+ * @function mget
+ * @memberof module:cache
+ * @description Retrieves several values in one round trip.
+ * @param {string[]} keys - The keys to retrieve.
+ * @returns {Promise<any[]>} A promise that resolves with the values in the order of `keys`, null where not found.
+ * @throws {Error} If any key is invalid or retrieval fails.
+ * @example
+ * const cache = require('cache');
+ * const [a, b] = await cache.mget(['user:1', 'user:2']);
+ */
+async function mget(keys) {
+  if (!Array.isArray(keys)) {
+    throw new Error("cache.mget expects an array of keys.");
+  }
+  return cacheService.mget(keys.map(_getNamespacedKey));
+}
+
+/**
+ * @function mset
+ * @memberof module:cache
+ * @description Stores several values in one round trip, all with the same TTL.
+ * @param {Object<string, any>} entries - Key/value pairs to store.
+ * @param {number} [ttl] - Optional Time-To-Live in seconds. Uses the server default if not provided.
+ * @returns {Promise<void>}
+ * @throws {Error} If any key is invalid or storage fails.
+ * @example
+ * const cache = require('cache');
+ * await cache.mset({ 'user:1': alice, 'user:2': bob }, 600);
+ */
+async function mset(entries, ttl) {
+  if (!entries || typeof entries !== "object" || Array.isArray(entries)) {
+    throw new Error("cache.mset expects an object of key/value pairs.");
+  }
+  return cacheService.mset(
+    Object.entries(entries).map(([key, value]) => [
+      _getNamespacedKey(key),
+      value,
+    ]),
+    ttl,
+  );
+}
+
+const LOCK_POLL_MS = 50;
+
+/**
+ * @function lock
+ * @memberof module:cache
+ * @description Takes a named lock shared by every request and (with Redis) every node, held for
+ * at most `ttlMs` unless extended. Each successful acquisition gets a fencing token that is larger
+ * than any earlier one for the same name; pass it to the resource you protect and have it reject
+ * writes carrying a smaller token, so a holder whose lock expired mid-work cannot overwrite newer
+ * results. Lock state is not removed by `cache.clear()`.
+ * @param {string} name - The lock name.
+ * @param {number} ttlMs - How long the lock is held, in milliseconds.
+ * @param {object} [options]
+ * @param {number} [options.wait=0] - Milliseconds to keep retrying while another holder has it.
+ * @returns {Promise<{name: string, token: number, expiresAt: number, extend: function(number=): Promise<boolean>, release: function(): Promise<boolean>}|null>}
+ * A promise that resolves with the lock, or null if it is held elsewhere. `extend` and `release`
+ * resolve false once the lock has expired or been taken by someone else.
+ * @throws {Error} If the name is invalid or `ttlMs` is not a positive integer.
+ * @example
+ * const cache = require('cache');
+ * const lock = await cache.lock('nightly-report', 30000, { wait: 2000 });
+ * if (!lock) return $g.response.send({ error: 'Report is already running' }, 409);
+ * try {
+ *   await buildReport({ fence: lock.token });
+ * } finally {
+ *   await lock.release();
+ * }
+ */
+async function lock(name, ttlMs, options = {}) {
+  const { appName } = getContext();
+  if (!name || typeof name !== "string") {
+    throw new Error("Lock name must be a non-empty string.");
+  }
+  if (!Number.isSafeInteger(ttlMs) || ttlMs <= 0) {
+    throw new Error("Lock ttlMs must be a positive integer.");
+  }
+  // Engine-private keys: outside the app prefix, so cache.clear() cannot reset the fence.
+  const heldKey = `_lock:${appName}:held:${name}`;
+  const fenceKey = `_lock:${appName}:fence:${name}`;
+  const owner = nodeCrypto.randomUUID();
+  const deadline = Date.now() + Math.max(0, Number(options.wait) || 0);
+
+  let token = await cacheService.acquireLock(heldKey, owner, ttlMs, fenceKey);
+  while (token == null && Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, LOCK_POLL_MS));
+    token = await cacheService.acquireLock(heldKey, owner, ttlMs, fenceKey);
+  }
+  if (token == null) return null;
+
+  const handle = {
+    name,
+    token,
+    expiresAt: Date.now() + ttlMs,
+    async extend(moreMs = ttlMs) {
+      if (!Number.isSafeInteger(moreMs) || moreMs <= 0) {
+        throw new Error("Lock ttlMs must be a positive integer.");
+      }
+      const ok = await cacheService.extendLock(heldKey, owner, moreMs);
+      if (ok) handle.expiresAt = Date.now() + moreMs;
+      return ok;
+    },
+    async release() {
+      return cacheService.releaseLock(heldKey, owner);
+    },
+  };
+  return handle;
 }
 
 module.exports = {
@@ -100,4 +371,13 @@ module.exports = {
   set,
   del,
   clear,
+  invalidateTag,
+  keys,
+  incr,
+  decr,
+  setIfAbsent,
+  getOrSet,
+  mget,
+  mset,
+  lock,
 };
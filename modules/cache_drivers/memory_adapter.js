@@ -1,15 +1,49 @@
+/**
+ * In-process cache adapter. Node-local: use the redis adapter when several nodes share state.
+ * Values are the JSON strings produced by cache_service; entries expire lazily on access.
+ * The atomic operations below mirror redis_adapter.js so both providers behave the same.
+ */
+
+/** key -> { value: string, expiresAt: number } (expiresAt 0 = no expiry) */
 const cache = new Map();
+/** tag key -> { members: Set<string>, expiresAt: number } */
+const tagSets = new Map();
+
+const INTEGER_RE = /^-?\d+$/;
+
+/**
+ * The live entry for a key, dropping it if it has expired.
+ * @private
+ */
+function _entry(key) {
+  const entry = cache.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+    cache.delete(key);
+    return null;
+  }
+  return entry;
+}
+
+/** @private */
+function _put(key, value, ttlMs) {
+  cache.set(key, {
+    value: String(value),
+    expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0,
+  });
+}
 
 function init(cacheConfig) {
   //do nothing for memory adapter
 }
 
 async function get(key) {
-  return cache.get(key) || null;
+  const entry = _entry(key);
+  return entry ? entry.value : null;
 }
 
 async function set(key, value, ttl) {
-  cache.set(key, value);
+  _put(key, value, ttl * 1000);
 }
 
 async function del(key) {
@@ -20,6 +54,203 @@ async function clear(prefix = "") {
   for (const key of cache.keys()) {
     if (key.startsWith(prefix)) cache.delete(key);
   }
+  for (const key of tagSets.keys()) {
+    if (key.startsWith(prefix)) tagSets.delete(key);
+  }
+}
+
+/** @private */
+function _tagSet(tagKey) {
+  const set = tagSets.get(tagKey);
+  if (set && set.expiresAt && set.expiresAt <= Date.now()) {
+    tagSets.delete(tagKey);
+    return null;
+  }
+  return set || null;
+}
+
+/**
+ * Record `key` under each tag. A tag lives at least as long as its longest-lived key.
+ * @param {string[]} tagKeys
+ * @param {string} key
+ * @param {number} ttl - seconds
+ */
+async function tag(tagKeys, key, ttl) {
+  const until = Date.now() + ttl * 1000;
+  for (const tagKey of tagKeys) {
+    const set = _tagSet(tagKey) || { members: new Set(), expiresAt: 0 };
+    set.members.add(key);
+    if (set.expiresAt < until) set.expiresAt = until;
+    tagSets.set(tagKey, set);
+  }
+}
+
+/**
+ * Delete every key recorded under a tag, and the tag itself.
+ * @param {string} tagKey
+ * @returns {Promise<number>} how many keys were deleted
+ */
+async function invalidateTag(tagKey) {
+  const set = _tagSet(tagKey);
+  tagSets.delete(tagKey);
+  let deleted = 0;
+  for (const key of set ? set.members : []) {
+    if (_entry(key)) {
+      cache.delete(key);
+      deleted++;
+    }
+  }
+  return deleted;
+}
+
+/**
+ * Redis-style glob (`*`, `?`, backslash escapes) as an anchored RegExp.
+ * @private
+ */
+function _globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*") source += ".*";
+    else if (ch === "?") source += ".";
+    else {
+      const literal = ch === "\\" && i + 1 < pattern.length ? pattern[++i] : ch;
+      source += literal.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "s");
+}
+
+/**
+ * Live keys matching a glob, at most `limit` of them.
+ * @param {string} pattern - `*` and `?` wildcards; backslash escapes the next character
+ * @param {number} limit
+ * @returns {Promise<string[]>}
+ */
+async function scan(pattern, limit) {
+  const re = _globToRegExp(pattern);
+  const keys = [];
+  for (const key of [...cache.keys()]) {
+    if (keys.length >= limit) break;
+    if (re.test(key) && _entry(key)) keys.push(key);
+  }
+  return keys;
+}
+
+/**
+ * Size and remaining life of live keys; missing keys are left out.
+ * @param {string[]} keys
+ * @returns {Promise<Array<{ key: string, bytes: number, ttlMs: number }>>} ttlMs -1 = no expiry
+ */
+async function inspect(keys) {
+  const out = [];
+  for (const key of keys) {
+    const entry = _entry(key);
+    if (!entry) continue;
+    out.push({
+      key,
+      bytes: Buffer.byteLength(entry.value),
+      ttlMs: entry.expiresAt ? entry.expiresAt - Date.now() : -1,
+    });
+  }
+  return out;
+}
+
+/**
+ * Add `delta` to an integer value (a missing key counts as 0). The TTL is applied only when
+ * the key has no expiry yet, so a counter's window starts with its first increment.
+ * @param {string} key
+ * @param {number} delta - integer
+ * @param {number} ttl - seconds
+ * @returns {Promise<number>} the new value
+ * @throws {Error} When the stored value is not an integer.
+ */
+async function incr(key, delta, ttl) {
+  const entry = _entry(key);
+  if (entry && !INTEGER_RE.test(entry.value)) {
+    throw new Error(`Cache value at '${key}' is not an integer.`);
+  }
+  const next = (entry ? Number(entry.value) : 0) + delta;
+  if (entry && entry.expiresAt) {
+    entry.value = String(next);
+  } else {
+    _put(key, next, ttl * 1000);
+  }
+  return next;
+}
+
+/**
+ * @param {string} key
+ * @param {string} value
+ * @param {number} ttl - seconds
+ * @returns {Promise<boolean>} false when the key already holds a value
+ */
+async function setIfAbsent(key, value, ttl) {
+  if (_entry(key)) return false;
+  _put(key, value, ttl * 1000);
+  return true;
+}
+
+/**
+ * @param {string[]} keys
+ * @returns {Promise<Array<string|null>>} in the order of `keys`
+ */
+async function mget(keys) {
+  return keys.map((key) => {
+    const entry = _entry(key);
+    return entry ? entry.value : null;
+  });
+}
+
+/**
+ * @param {Array<[string, string]>} entries
+ * @param {number} ttl - seconds
+ */
+async function mset(entries, ttl) {
+  for (const [key, value] of entries) _put(key, value, ttl * 1000);
+}
+
+/**
+ * Take a lock if nobody holds it and, when `fenceKey` is given, bump its fencing counter.
+ * @param {string} key
+ * @param {string} owner - random id of the would-be holder
+ * @param {number} ttlMs
+ * @param {string} [fenceKey] - counter that never expires
+ * @returns {Promise<number|null>} the fencing token (1 without `fenceKey`), or null when held
+ */
+async function acquireLock(key, owner, ttlMs, fenceKey) {
+  if (_entry(key)) return null;
+  _put(key, owner, ttlMs);
+  if (!fenceKey) return 1;
+  const fence = _entry(fenceKey);
+  const token = (fence ? Number(fence.value) : 0) + 1;
+  _put(fenceKey, token, 0);
+  return token;
+}
+
+/**
+ * @param {string} key
+ * @param {string} owner
+ * @returns {Promise<boolean>} false when `owner` no longer holds the lock
+ */
+async function releaseLock(key, owner) {
+  const entry = _entry(key);
+  if (!entry || entry.value !== owner) return false;
+  cache.delete(key);
+  return true;
+}
+
+/**
+ * @param {string} key
+ * @param {string} owner
+ * @param {number} ttlMs - new time to live, from now
+ * @returns {Promise<boolean>} false when `owner` no longer holds the lock
+ */
+async function extendLock(key, owner, ttlMs) {
+  const entry = _entry(key);
+  if (!entry || entry.value !== owner) return false;
+  entry.expiresAt = Date.now() + ttlMs;
+  return true;
 }
 
 module.exports = {
@@ -28,4 +259,15 @@ module.exports = {
   set,
   del,
   clear,
+  incr,
+  setIfAbsent,
+  mget,
+  mset,
+  acquireLock,
+  releaseLock,
+  extendLock,
+  tag,
+  invalidateTag,
+  scan,
+  inspect,
 };
@@ -11,6 +11,60 @@ const Redis = require("ioredis");
 
 let redis;
 
+// The scripts below keep each operation a single round trip, so it stays atomic across nodes.
+const LUA_INCR = `
+local v = redis.call('INCRBY', KEYS[1], ARGV[1])
+if tonumber(ARGV[2]) > 0 and redis.call('TTL', KEYS[1]) == -1 then
+  redis.call('EXPIRE', KEYS[1], ARGV[2])
+end
+return v
+`;
+
+const LUA_ACQUIRE_LOCK = `
+if not redis.call('SET', KEYS[1], ARGV[1], 'NX', 'PX', ARGV[2]) then
+  return false
+end
+if KEYS[2] then
+  return redis.call('INCR', KEYS[2])
+end
+return 1
+`;
+
+const LUA_RELEASE_LOCK = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('DEL', KEYS[1])
+end
+return 0
+`;
+
+// Tag sets live at least as long as their longest-lived key (TTL -1 = none yet).
+const LUA_TAG = `
+for i = 1, #KEYS do
+  redis.call('SADD', KEYS[i], ARGV[1])
+  if redis.call('TTL', KEYS[i]) < tonumber(ARGV[2]) then
+    redis.call('EXPIRE', KEYS[i], ARGV[2])
+  end
+end
+return #KEYS
+`;
+
+const LUA_INVALIDATE_TAG = `
+local members = redis.call('SMEMBERS', KEYS[1])
+local deleted = 0
+for _, key in ipairs(members) do
+  deleted = deleted + redis.call('DEL', key)
+end
+redis.call('DEL', KEYS[1])
+return deleted
+`;
+
+const LUA_EXTEND_LOCK = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+  return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0
+`;
+
 /**
  * Resolve ioredis constructor args from cache config.
  * Prefers nested `config.redis`; falls back to top-level host/port/url for legacy flat configs.
@@ -118,12 +172,177 @@ async function clear(prefix = "") {
   }
 }
 
+/**
+ * Add `delta` to an integer value (a missing key counts as 0). The TTL is applied only when
+ * the key has no expiry yet, so a counter's window starts with its first increment.
+ * @param {string} key
+ * @param {number} delta - integer
+ * @param {number} ttl - seconds
+ * @returns {Promise<number>} the new value
+ * @throws {Error} When the stored value is not an integer.
+ */
+async function incr(key, delta, ttl) {
+  try {
+    return Number(await redis.eval(LUA_INCR, 1, key, delta, ttl || 0));
+  } catch (e) {
+    if (/not an integer/i.test(e.message)) {
+      throw new Error(`Cache value at '${key}' is not an integer.`);
+    }
+    throw e;
+  }
+}
+
+/**
+ * @param {string} key
+ * @param {string} value
+ * @param {number} ttl - seconds
+ * @returns {Promise<boolean>} false when the key already holds a value
+ */
+async function setIfAbsent(key, value, ttl) {
+  return (await redis.set(key, value, "EX", ttl, "NX")) === "OK";
+}
+
+/**
+ * @param {string[]} keys
+ * @returns {Promise<Array<string|null>>} in the order of `keys`
+ */
+async function mget(keys) {
+  if (keys.length === 0) return [];
+  return redis.mget(keys);
+}
+
+/**
+ * @param {Array<[string, string]>} entries
+ * @param {number} ttl - seconds
+ */
+async function mset(entries, ttl) {
+  if (entries.length === 0) return;
+  const tx = redis.multi();
+  for (const [key, value] of entries) tx.set(key, value, "EX", ttl);
+  await tx.exec();
+}
+
+/**
+ * Take a lock if nobody holds it and, when `fenceKey` is given, bump its fencing counter.
+ * @param {string} key
+ * @param {string} owner - random id of the would-be holder
+ * @param {number} ttlMs
+ * @param {string} [fenceKey] - counter that never expires
+ * @returns {Promise<number|null>} the fencing token (1 without `fenceKey`), or null when held
+ */
+async function acquireLock(key, owner, ttlMs, fenceKey) {
+  const keys = fenceKey ? [key, fenceKey] : [key];
+  const token = await redis.eval(
+    LUA_ACQUIRE_LOCK,
+    keys.length,
+    ...keys,
+    owner,
+    ttlMs,
+  );
+  return token == null ? null : Number(token);
+}
+
+/**
+ * @param {string} key
+ * @param {string} owner
+ * @returns {Promise<boolean>} false when `owner` no longer holds the lock
+ */
+async function releaseLock(key, owner) {
+  return Number(await redis.eval(LUA_RELEASE_LOCK, 1, key, owner)) === 1;
+}
+
+/**
+ * @param {string} key
+ * @param {string} owner
+ * @param {number} ttlMs - new time to live, from now
+ * @returns {Promise<boolean>} false when `owner` no longer holds the lock
+ */
+async function extendLock(key, owner, ttlMs) {
+  return Number(await redis.eval(LUA_EXTEND_LOCK, 1, key, owner, ttlMs)) === 1;
+}
+
+/**
+ * Record `key` under each tag. A tag lives at least as long as its longest-lived key.
+ * @param {string[]} tagKeys
+ * @param {string} key
+ * @param {number} ttl - seconds
+ */
+async function tag(tagKeys, key, ttl) {
+  if (tagKeys.length === 0) return;
+  await redis.eval(LUA_TAG, tagKeys.length, ...tagKeys, key, ttl);
+}
+
+/**
+ * Delete every key recorded under a tag, and the tag itself.
+ * @param {string} tagKey
+ * @returns {Promise<number>} how many keys were deleted
+ */
+async function invalidateTag(tagKey) {
+  return Number(await redis.eval(LUA_INVALIDATE_TAG, 1, tagKey));
+}
+
+/**
+ * Keys matching a glob, at most `limit` of them (SCAN, so it does not block the server).
+ * @param {string} pattern - `*` and `?` wildcards; backslash escapes the next character
+ * @param {number} limit
+ * @returns {Promise<string[]>}
+ */
+async function scan(pattern, limit) {
+  const keys = new Set();
+  let cursor = "0";
+  do {
+    const [next, batch] = await redis.scan(
+      cursor,
+      "MATCH",
+      pattern,
+      "COUNT",
+      500,
+    );
+    cursor = String(next);
+    for (const key of batch) {
+      if (keys.size >= limit) break;
+      keys.add(key);
+    }
+  } while (cursor !== "0" && keys.size < limit);
+  return [...keys];
+}
+
+/**
+ * Size and remaining life of live keys; missing keys are left out.
+ * @param {string[]} keys
+ * @returns {Promise<Array<{ key: string, bytes: number, ttlMs: number }>>} ttlMs -1 = no expiry
+ */
+async function inspect(keys) {
+  if (keys.length === 0) return [];
+  const pipeline = redis.pipeline();
+  for (const key of keys) pipeline.strlen(key).pttl(key);
+  const replies = await pipeline.exec();
+  const out = [];
+  keys.forEach((key, i) => {
+    const ttlMs = Number(replies[i * 2 + 1][1]);
+    if (ttlMs === -2) return;
+    out.push({ key, bytes: Number(replies[i * 2][1]), ttlMs });
+  });
+  return out;
+}
+
 module.exports = {
   init,
   get,
   set,
   del,
   clear,
+  incr,
+  setIfAbsent,
+  mget,
+  mset,
+  acquireLock,
+  releaseLock,
+  extendLock,
+  tag,
+  invalidateTag,
+  scan,
+  inspect,
   // test helper
   _resolveRedisConnection: resolveRedisConnection,
 };
@@ -0,0 +1,532 @@
+/**
+ * SQLite cache adapter: a persistent, single-node cache in one database file, for deployments
+ * that want the cache (sessions, API keys, static file entries, app data) to survive restarts
+ * without running Redis. Same semantics as memory_adapter.js and redis_adapter.js.
+ *
+ * Config (gingee.json → cache.sqlite):
+ *   path              — database file, relative to the project root (default ./data/cache.sqlite)
+ *   max_entries       — LRU-evict least recently read entries above this count (default 100000)
+ *   max_bytes         — ... or above this many bytes of keys + values (default 256 MB)
+ *   sweep_interval_ms — how often expired entries are deleted (default 60000; 0 = only at start)
+ *
+ * Engine state under PINNED_PREFIXES (sessions, API keys, login state, signing keys, lock
+ * fences) is never evicted; it leaves only when it expires. Everything else, app keys included,
+ * counts towards the caps. Use one server process per database file.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+const DEFAULTS = {
+  path: "./data/cache.sqlite",
+  max_entries: 100000,
+  max_bytes: 256 * 1024 * 1024,
+  sweep_interval_ms: 60000,
+};
+
+const INTEGER_RE = /^-?\d+$/;
+/** Rows removed per eviction statement when over max_bytes. */
+const EVICT_BATCH = 16;
+/** Engine key prefixes exempt from LRU eviction. App keys live under `app:` and never match. */
+const PINNED_PREFIXES = ["_auth:", "_oidc:", "_storage:", "_lock:", "_fill:"];
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS cache_entries (
+  key TEXT PRIMARY KEY,
+  value TEXT NOT NULL,
+  expires_at INTEGER NOT NULL DEFAULT 0,
+  accessed_at INTEGER NOT NULL,
+  size INTEGER NOT NULL
+);
+CREATE INDEX IF NOT EXISTS cache_entries_expires ON cache_entries (expires_at) WHERE expires_at > 0;
+CREATE INDEX IF NOT EXISTS cache_entries_accessed ON cache_entries (accessed_at);
+CREATE TABLE IF NOT EXISTS cache_tags (
+  tag TEXT NOT NULL,
+  key TEXT NOT NULL,
+  expires_at INTEGER NOT NULL,
+  PRIMARY KEY (tag, key)
+);
+`;
+
+let db = null;
+let stmts = null;
+let limits = null;
+let sweepTimer = null;
+/** `substr(key, 1, ?) <> ?` parameters for PINNED_PREFIXES. */
+const pinnedParams = PINNED_PREFIXES.flatMap((p) => [p.length, p]);
+/** Running totals of cache_entries, kept in step with every write. */
+const totals = { entries: 0, bytes: 0 };
+
+/**
+ * Resolve cache.sqlite settings with defaults.
+ * @param {object} [config] - full cache section
+ * @param {string} [projectRoot]
+ * @returns {{ file: string, maxEntries: number, maxBytes: number, sweepIntervalMs: number }}
+ */
+function resolveSqliteConfig(config = {}, projectRoot = process.cwd()) {
+  const c =
+    config.sqlite &&
+    typeof config.sqlite === "object" &&
+    !Array.isArray(config.sqlite)
+      ? config.sqlite
+      : {};
+  const file = String(c.path || DEFAULTS.path);
+  const num = (v, d) => (v != null && Number(v) >= 0 ? Number(v) : d);
+  return {
+    file: path.isAbsolute(file) ? file : path.resolve(projectRoot, file),
+    maxEntries: num(c.max_entries, DEFAULTS.max_entries),
+    maxBytes: num(c.max_bytes, DEFAULTS.max_bytes),
+    sweepIntervalMs: num(c.sweep_interval_ms, DEFAULTS.sweep_interval_ms),
+  };
+}
+
+/** @private */
+function _prepare() {
+  return {
+    get: db.prepare(
+      "SELECT value, expires_at, size FROM cache_entries WHERE key = ?",
+    ),
+    size: db.prepare("SELECT size FROM cache_entries WHERE key = ?"),
+    upsert: db.prepare(
+      "INSERT INTO cache_entries (key, value, expires_at, accessed_at, size) VALUES (?, ?, ?, ?, ?) " +
+        "ON CONFLICT (key) DO UPDATE SET value = excluded.value, expires_at = excluded.expires_at, " +
+        "accessed_at = excluded.accessed_at, size = excluded.size",
+    ),
+    updateValue: db.prepare(
+      "UPDATE cache_entries SET value = ?, size = ?, accessed_at = ? WHERE key = ?",
+    ),
+    touch: db.prepare("UPDATE cache_entries SET accessed_at = ? WHERE key = ?"),
+    expire: db.prepare("UPDATE cache_entries SET expires_at = ? WHERE key = ?"),
+    remove: db.prepare(
+      "DELETE FROM cache_entries WHERE key = ? RETURNING size",
+    ),
+    removePrefix: db.prepare(
+      "DELETE FROM cache_entries WHERE substr(key, 1, length(?)) = ? RETURNING size",
+    ),
+    removeExpired: db.prepare(
+      "DELETE FROM cache_entries WHERE expires_at > 0 AND expires_at <= ? RETURNING size",
+    ),
+    evictCount: db.prepare(
+      "DELETE FROM cache_entries WHERE key IN (SELECT key FROM cache_entries WHERE " +
+        PINNED_PREFIXES.map(() => "substr(key, 1, ?) <> ?").join(" AND ") +
+        " ORDER BY accessed_at LIMIT ?) RETURNING size",
+    ),
+    scan: db.prepare(
+      "SELECT key FROM cache_entries WHERE key GLOB ? AND (expires_at = 0 OR expires_at > ?) LIMIT ?",
+    ),
+    totals: db.prepare(
+      "SELECT COUNT(*) AS entries, COALESCE(SUM(size), 0) AS bytes FROM cache_entries",
+    ),
+    tagUpsert: db.prepare(
+      "INSERT INTO cache_tags (tag, key, expires_at) VALUES (?, ?, ?) " +
+        "ON CONFLICT (tag, key) DO UPDATE SET expires_at = max(expires_at, excluded.expires_at)",
+    ),
+    tagMembers: db.prepare(
+      "SELECT key FROM cache_tags WHERE tag = ? AND expires_at > ?",
+    ),
+    tagRemove: db.prepare("DELETE FROM cache_tags WHERE tag = ?"),
+    tagRemovePrefix: db.prepare(
+      "DELETE FROM cache_tags WHERE substr(tag, 1, length(?)) = ?",
+    ),
+    tagRemoveExpired: db.prepare(
+      "DELETE FROM cache_tags WHERE expires_at <= ?",
+    ),
+  };
+}
+
+/** @private */
+function _forget(rows) {
+  for (const r of rows) {
+    totals.entries--;
+    totals.bytes -= r.size;
+  }
+  return rows.length;
+}
+
+/**
+ * The live row for a key, deleting it if it has expired.
+ * @private
+ */
+function _row(key) {
+  const row = stmts.get.get(key);
+  if (!row) return null;
+  if (row.expires_at && row.expires_at <= Date.now()) {
+    _forget(stmts.remove.all(key));
+    return null;
+  }
+  return row;
+}
+
+/** @private */
+function _put(key, value, ttlMs) {
+  const now = Date.now();
+  const text = String(value);
+  const size = Buffer.byteLength(key) + Buffer.byteLength(text);
+  const old = stmts.size.get(key);
+  stmts.upsert.run(key, text, ttlMs > 0 ? now + ttlMs : 0, now, size);
+  if (old) {
+    totals.bytes += size - old.size;
+  } else {
+    totals.entries++;
+    totals.bytes += size;
+  }
+}
+
+/**
+ * Drop least recently read entries until the table is back under its caps.
+ * @private
+ */
+function _evict() {
+  let evicted = 0;
+  while (
+    (limits.maxEntries > 0 && totals.entries > limits.maxEntries) ||
+    (limits.maxBytes > 0 && totals.bytes > limits.maxBytes)
+  ) {
+    const over = limits.maxEntries > 0 ? totals.entries - limits.maxEntries : 0;
+    const removed = _forget(
+      stmts.evictCount.all(...pinnedParams, over > 0 ? over : EVICT_BATCH),
+    );
+    if (removed === 0) break;
+    evicted += removed;
+  }
+  return evicted;
+}
+
+/**
+ * Delete expired entries and tag records.
+ * @returns {number} entries deleted
+ */
+function sweep() {
+  if (!db) return 0;
+  const now = Date.now();
+  const removed = _forget(stmts.removeExpired.all(now));
+  stmts.tagRemoveExpired.run(now);
+  return removed;
+}
+
+/** @private */
+function _transaction(fn) {
+  return (...args) => db.transaction(fn).immediate(...args);
+}
+
+/**
+ * Our scan pattern (`*`, `?`, backslash escapes) as an SQLite GLOB pattern.
+ * @private
+ */
+function _toSqliteGlob(pattern) {
+  let out = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*" || ch === "?") out += ch;
+    else {
+      const literal = ch === "\\" && i + 1 < pattern.length ? pattern[++i] : ch;
+      out +=
+        literal === "*" || literal === "?" || literal === "["
+          ? `[${literal}]`
+          : literal;
+    }
+  }
+  return out;
+}
+
+/**
+ * Close the database and stop the sweeper.
+ */
+function close() {
+  if (sweepTimer) clearInterval(sweepTimer);
+  sweepTimer = null;
+  if (db) {
+    try {
+      db.close();
+    } catch (_) {
+      /* ignore */
+    }
+  }
+  db = null;
+  stmts = null;
+}
+
+/**
+ * @param {object} config - full cache section
+ * @param {object} logger
+ * @param {object} [options]
+ * @param {string} [options.projectRoot] - base for a relative cache.sqlite.path
+ */
+async function init(config = {}, logger, options = {}) {
+  const log = logger || console;
+  const settings = resolveSqliteConfig(config, options.projectRoot);
+  close();
+  fs.mkdirSync(path.dirname(settings.file), { recursive: true });
+  db = new Database(settings.file);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = NORMAL");
+  db.exec(SCHEMA);
+  stmts = _prepare();
+  limits = settings;
+  const t = stmts.totals.get();
+  totals.entries = t.entries;
+  totals.bytes = t.bytes;
+  const swept = sweep();
+  _evict();
+  if (settings.sweepIntervalMs > 0) {
+    sweepTimer = setInterval(() => {
+      try {
+        sweep();
+      } catch (e) {
+        log.error(`SQLite cache sweep failed: ${e.message}`);
+      }
+    }, settings.sweepIntervalMs);
+    if (typeof sweepTimer.unref === "function") sweepTimer.unref();
+  }
+  log.info(
+    `SQLite cache adapter ready (${settings.file}; ${totals.entries} entries, ${swept} expired removed).`,
+  );
+}
+
+/**
+ * Synchronous read, for engine callers that cannot await (see cache_service.syncStore).
+ * @param {string} key
+ * @returns {string|null}
+ */
+function getSync(key) {
+  const row = _row(key);
+  if (!row) return null;
+  stmts.touch.run(Date.now(), key);
+  return row.value;
+}
+
+/**
+ * Synchronous write, for engine callers that cannot await.
+ * @param {string} key
+ * @param {string} value
+ * @param {number} ttl - seconds
+ */
+function setSync(key, value, ttl) {
+  _put(key, value, ttl * 1000);
+  _evict();
+}
+
+async function get(key) {
+  return getSync(key);
+}
+
+async function set(key, value, ttl) {
+  setSync(key, value, ttl);
+}
+
+async function del(key) {
+  _forget(stmts.remove.all(key));
+}
+
+async function clear(prefix = "") {
+  _transaction(() => {
+    _forget(stmts.removePrefix.all(prefix, prefix));
+    stmts.tagRemovePrefix.run(prefix, prefix);
+  })();
+}
+
+/**
+ * Add `delta` to an integer value (a missing key counts as 0). The TTL is applied only when
+ * the key has no expiry yet, so a counter's window starts with its first increment.
+ * @param {string} key
+ * @param {number} delta - integer
+ * @param {number} ttl - seconds
+ * @returns {Promise<number>} the new value
+ * @throws {Error} When the stored value is not an integer.
+ */
+async function incr(key, delta, ttl) {
+  return _transaction(() => {
+    const row = _row(key);
+    if (row && !INTEGER_RE.test(row.value)) {
+      throw new Error(`Cache value at '${key}' is not an integer.`);
+    }
+    const next = (row ? Number(row.value) : 0) + delta;
+    if (row && row.expires_at) {
+      const text = String(next);
+      const size = Buffer.byteLength(key) + Buffer.byteLength(text);
+      stmts.updateValue.run(text, size, Date.now(), key);
+      totals.bytes += size - row.size;
+    } else {
+      _put(key, next, ttl * 1000);
+    }
+    return next;
+  })();
+}
+
+/**
+ * @param {string} key
+ * @param {string} value
+ * @param {number} ttl - seconds
+ * @returns {Promise<boolean>} false when the key already holds a value
+ */
+async function setIfAbsent(key, value, ttl) {
+  const stored = _transaction(() => {
+    if (_row(key)) return false;
+    _put(key, value, ttl * 1000);
+    return true;
+  })();
+  _evict();
+  return stored;
+}
+
+/**
+ * @param {string[]} keys
+ * @returns {Promise<Array<string|null>>} in the order of `keys`
+ */
+async function mget(keys) {
+  return keys.map((key) => getSync(key));
+}
+
+/**
+ * @param {Array<[string, string]>} entries
+ * @param {number} ttl - seconds
+ */
+async function mset(entries, ttl) {
+  _transaction(() => {
+    for (const [key, value] of entries) _put(key, value, ttl * 1000);
+  })();
+  _evict();
+}
+
+/**
+ * Take a lock if nobody holds it and, when `fenceKey` is given, bump its fencing counter.
+ * @param {string} key
+ * @param {string} owner - random id of the would-be holder
+ * @param {number} ttlMs
+ * @param {string} [fenceKey] - counter that never expires
+ * @returns {Promise<number|null>} the fencing token (1 without `fenceKey`), or null when held
+ */
+async function acquireLock(key, owner, ttlMs, fenceKey) {
+  return _transaction(() => {
+    if (_row(key)) return null;
+    _put(key, owner, ttlMs);
+    if (!fenceKey) return 1;
+    const fence = _row(fenceKey);
+    const token = (fence ? Number(fence.value) : 0) + 1;
+    _put(fenceKey, token, 0);
+    return token;
+  })();
+}
+
+/**
+ * @param {string} key
+ * @param {string} owner
+ * @returns {Promise<boolean>} false when `owner` no longer holds the lock
+ */
+async function releaseLock(key, owner) {
+  return _transaction(() => {
+    const row = _row(key);
+    if (!row || row.value !== owner) return false;
+    _forget(stmts.remove.all(key));
+    return true;
+  })();
+}
+
+/**
+ * @param {string} key
+ * @param {string} owner
+ * @param {number} ttlMs - new time to live, from now
+ * @returns {Promise<boolean>} false when `owner` no longer holds the lock
+ */
+async function extendLock(key, owner, ttlMs) {
+  return _transaction(() => {
+    const row = _row(key);
+    if (!row || row.value !== owner) return false;
+    stmts.expire.run(Date.now() + ttlMs, key);
+    return true;
+  })();
+}
+
+/**
+ * Record `key` under each tag. A tag lives at least as long as its longest-lived key.
+ * @param {string[]} tagKeys
+ * @param {string} key
+ * @param {number} ttl - seconds
+ */
+async function tag(tagKeys, key, ttl) {
+  const until = Date.now() + ttl * 1000;
+  _transaction(() => {
+    for (const tagKey of tagKeys) stmts.tagUpsert.run(tagKey, key, until);
+  })();
+}
+
+/**
+ * Delete every key recorded under a tag, and the tag itself.
+ * @param {string} tagKey
+ * @returns {Promise<number>} how many keys were deleted
+ */
+async function invalidateTag(tagKey) {
+  return _transaction(() => {
+    const members = stmts.tagMembers.all(tagKey, Date.now());
+    stmts.tagRemove.run(tagKey);
+    let deleted = 0;
+    for (const { key } of members) {
+      if (_row(key)) deleted += _forget(stmts.remove.all(key));
+    }
+    return deleted;
+  })();
+}
+
+/**
+ * Live keys matching a glob, at most `limit` of them.
+ * @param {string} pattern - `*` and `?` wildcards; backslash escapes the next character
+ * @param {number} limit
+ * @returns {Promise<string[]>}
+ */
+async function scan(pattern, limit) {
+  return stmts.scan
+    .all(_toSqliteGlob(pattern), Date.now(), limit)
+    .map((r) => r.key);
+}
+
+/**
+ * Size and remaining life of live keys; missing keys are left out.
+ * @param {string[]} keys
+ * @returns {Promise<Array<{ key: string, bytes: number, ttlMs: number }>>} ttlMs -1 = no expiry
+ */
+async function inspect(keys) {
+  const out = [];
+  for (const key of keys) {
+    const row = _row(key);
+    if (!row) continue;
+    out.push({
+      key,
+      bytes: row.size - Buffer.byteLength(key),
+      ttlMs: row.expires_at ? row.expires_at - Date.now() : -1,
+    });
+  }
+  return out;
+}
+
+/**
+ * @returns {{ entries: number, bytes: number }} current table totals (keys + values)
+ */
+function stats() {
+  return { entries: totals.entries, bytes: totals.bytes };
+}
+
+module.exports = {
+  init,
+  close,
+  get,
+  set,
+  del,
+  clear,
+  incr,
+  setIfAbsent,
+  mget,
+  mset,
+  acquireLock,
+  releaseLock,
+  extendLock,
+  tag,
+  invalidateTag,
+  scan,
+  inspect,
+  getSync,
+  setSync,
+  sweep,
+  stats,
+  resolveSqliteConfig,
+};
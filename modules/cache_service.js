@@ -1,4 +1,5 @@
 const path = require("path");
+const nodeCrypto = require("crypto");
 let activeAdapter;
 let cacheSvcConfig;
 /** @type {object|null} */
@@ -6,9 +7,12 @@ let serviceLogger = null;
 /** Last successfully initialized provider name */
 let activeProvider = null;
 
+/** Providers with an in-process memory fallback, and their display names. */
+const FALLBACK_PROVIDERS = { redis: "Redis", sqlite: "SQLite" };
+
 /**
- * Whether Redis init failure should abort (true) or fall back to memory (false).
- * Default: fail closed when provider is redis.
+ * Whether a Redis or SQLite init failure should abort (true) or fall back to memory (false).
+ * Default: fail closed when provider is redis or sqlite.
  * @param {object} cacheConfig
  * @param {string} provider
  * @returns {boolean}
@@ -18,11 +22,17 @@ function resolveFailClosed(cacheConfig, provider) {
   const v = c.fail_closed;
   if (v === true || v === "true" || v === 1 || v === "1") return true;
   if (v === false || v === "false" || v === 0 || v === "0") return false;
-  // Default: redis is fail-closed; memory has nothing to fall back from
-  return String(provider).toLowerCase() === "redis";
+  // Default: redis and sqlite are fail-closed; memory has nothing to fall back from
+  return String(provider).toLowerCase() in FALLBACK_PROVIDERS;
 }
 
-async function init(cacheConfig = {}, logger) {
+/**
+ * @param {object} [cacheConfig]
+ * @param {object} [logger]
+ * @param {object} [options]
+ * @param {string} [options.projectRoot] - base for relative paths (cache.sqlite.path)
+ */
+async function init(cacheConfig = {}, logger, options = {}) {
   serviceLogger = logger || console;
   const log = serviceLogger;
   const provider = String(
@@ -34,27 +44,31 @@ async function init(cacheConfig = {}, logger) {
 
   if (provider === "redis") {
     adapterPath = path.join(__dirname, "cache_drivers", "redis_adapter.js");
+  } else if (provider === "sqlite") {
+    adapterPath = path.join(__dirname, "cache_drivers", "sqlite_adapter.js");
   } else {
     adapterPath = path.join(__dirname, "cache_drivers", "memory_adapter.js");
   }
 
+  await shutdown();
   try {
     const adapter = require(adapterPath);
-    await adapter.init(cacheConfig, log);
+    await adapter.init(cacheConfig, log, options);
     activeAdapter = adapter;
     cacheSvcConfig = cacheConfig;
     activeProvider = provider;
     log.info(
       `[Cache] Successfully initialized with provider: '${provider}'` +
-        (provider === "redis" ? ` (fail_closed=${failClosed})` : ""),
+        (provider in FALLBACK_PROVIDERS ? ` (fail_closed=${failClosed})` : ""),
     );
   } catch (e) {
-    if (provider === "redis") {
+    if (provider in FALLBACK_PROVIDERS) {
+      const label = FALLBACK_PROVIDERS[provider];
       if (failClosed) {
         const err = new Error(
-          `[Cache] Redis provider failed and fail_closed=true (no memory fallback): ${e.message}`,
+          `[Cache] ${label} provider failed and fail_closed=true (no memory fallback): ${e.message}`,
         );
-        err.code = "CACHE_REDIS_FAIL_CLOSED";
+        err.code = `CACHE_${provider.toUpperCase()}_FAIL_CLOSED`;
         err.cause = e;
         log.error(err.message);
         activeAdapter = null;
@@ -62,7 +76,9 @@ async function init(cacheConfig = {}, logger) {
         throw err;
       }
       log.error(
-        `[Cache] Redis provider failed (${e.message}); fail_closed=false — falling back to memory (NOT multi-node safe; sessions will be node-local)`,
+        provider === "redis"
+          ? `[Cache] Redis provider failed (${e.message}); fail_closed=false — falling back to memory (NOT multi-node safe; sessions will be node-local)`
+          : `[Cache] SQLite provider failed (${e.message}); fail_closed=false — falling back to memory (cache and sessions will not survive a restart)`,
       );
       const memoryAdapter = require(
         path.join(__dirname, "cache_drivers", "memory_adapter.js"),
@@ -81,6 +97,19 @@ async function init(cacheConfig = {}, logger) {
   }
 }
 
+/**
+ * Release the active provider (the sqlite adapter closes its database file). Re-init calls this.
+ * @returns {Promise<void>}
+ */
+async function shutdown() {
+  const adapter = activeAdapter;
+  activeAdapter = null;
+  activeProvider = null;
+  if (adapter && typeof adapter.close === "function") {
+    await adapter.close();
+  }
+}
+
 function assertReady() {
   if (!activeAdapter) {
     throw new Error("Cache service is not initialized");
@@ -109,6 +138,256 @@ async function clear(prefix = "") {
   return activeAdapter.clear(prefix);
 }
 
+/** @private */
+function _ttl(ttl) {
+  return ttl || (cacheSvcConfig && cacheSvcConfig.ttl) || 3600;
+}
+
+/**
+ * Atomically add an integer to a counter; a missing key starts at 0. The TTL applies only when
+ * the counter has no expiry yet.
+ * @param {string} key
+ * @param {number} [delta=1]
+ * @param {number} [ttl] - seconds (server default when omitted)
+ * @returns {Promise<number>} the new value
+ */
+async function incr(key, delta = 1, ttl) {
+  assertReady();
+  if (!Number.isSafeInteger(delta)) {
+    throw new Error("Cache increment must be an integer.");
+  }
+  return activeAdapter.incr(key, delta, _ttl(ttl));
+}
+
+/**
+ * @param {string} key
+ * @param {any} value
+ * @param {number} [ttl] - seconds
+ * @returns {Promise<boolean>} true when stored, false when the key already held a value
+ */
+async function setIfAbsent(key, value, ttl) {
+  assertReady();
+  return activeAdapter.setIfAbsent(key, JSON.stringify(value), _ttl(ttl));
+}
+
+/**
+ * @param {string[]} keys
+ * @returns {Promise<any[]>} values in key order, null where missing
+ */
+async function mget(keys) {
+  assertReady();
+  const raw = await activeAdapter.mget(keys);
+  return raw.map((v) => (v ? JSON.parse(v) : null));
+}
+
+/**
+ * @param {Array<[string, any]>} entries
+ * @param {number} [ttl] - seconds, for every entry
+ * @returns {Promise<void>}
+ */
+async function mset(entries, ttl) {
+  assertReady();
+  return activeAdapter.mset(
+    entries.map(([key, value]) => [key, JSON.stringify(value)]),
+    _ttl(ttl),
+  );
+}
+
+/**
+ * @param {string} key
+ * @param {string} owner - random id of the would-be holder
+ * @param {number} ttlMs
+ * @param {string} [fenceKey] - never-expiring counter that yields the fencing token
+ * @returns {Promise<number|null>} fencing token, or null when the lock is held
+ */
+async function acquireLock(key, owner, ttlMs, fenceKey) {
+  assertReady();
+  return activeAdapter.acquireLock(key, owner, ttlMs, fenceKey);
+}
+
+/**
+ * @param {string} key
+ * @param {string} owner
+ * @returns {Promise<boolean>} false when `owner` no longer held it
+ */
+async function releaseLock(key, owner) {
+  assertReady();
+  return activeAdapter.releaseLock(key, owner);
+}
+
+/**
+ * @param {string} key
+ * @param {string} owner
+ * @param {number} ttlMs
+ * @returns {Promise<boolean>} false when `owner` no longer holds it
+ */
+async function extendLock(key, owner, ttlMs) {
+  assertReady();
+  return activeAdapter.extendLock(key, owner, ttlMs);
+}
+
+/** How long one node may hold a getOrSet fill before others stop waiting for it. */
+const FILL_LOCK_MS = 10000;
+const FILL_POLL_MS = 50;
+
+/** Fills running in this process, by key, so concurrent callers share one producer call. */
+const fills = new Map();
+
+/** @private */
+function _sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Produce and store a value while holding the key's fill lock; without the lock, wait for the
+ * holder's value and produce it ourselves if it never appears.
+ * @private
+ */
+async function _fill(key, ttl, producer) {
+  const lockKey = `_fill:${key}`;
+  const owner = nodeCrypto.randomUUID();
+  let held = await acquireLock(lockKey, owner, FILL_LOCK_MS);
+  if (held == null) {
+    const deadline = Date.now() + FILL_LOCK_MS;
+    while (held == null && Date.now() < deadline) {
+      await _sleep(FILL_POLL_MS);
+      const ready = await get(key);
+      if (ready !== null) return ready;
+      held = await acquireLock(lockKey, owner, FILL_LOCK_MS);
+    }
+  }
+  try {
+    if (held != null) {
+      const filled = await get(key);
+      if (filled !== null) return filled;
+    }
+    const value = await producer();
+    if (value != null) await set(key, value, ttl);
+    return value == null ? null : value;
+  } finally {
+    if (held != null) await releaseLock(lockKey, owner);
+  }
+}
+
+/**
+ * Cached value for `key`, or the result of `producer()` stored under it. Only one caller per
+ * key runs the producer at a time: callers in this process share its promise and other nodes
+ * wait on a fill lock, so an expired hot key does not stampede the backend.
+ * A null or undefined result is returned but not cached.
+ * @param {string} key
+ * @param {number} [ttl] - seconds
+ * @param {function(): (any|Promise<any>)} producer
+ * @returns {Promise<any>}
+ */
+async function getOrSet(key, ttl, producer) {
+  if (typeof producer !== "function") {
+    throw new Error("getOrSet needs a producer function.");
+  }
+  const cached = await get(key);
+  if (cached !== null) return cached;
+  if (!fills.has(key)) {
+    fills.set(
+      key,
+      _fill(key, ttl, producer).finally(() => fills.delete(key)),
+    );
+  }
+  return fills.get(key);
+}
+
+/**
+ * Record `key` under each tag key so `invalidateTag` can find it.
+ * @param {string[]} tagKeys
+ * @param {string} key
+ * @param {number} [ttl] - seconds the key lives; the tag lives at least as long
+ * @returns {Promise<void>}
+ */
+async function tag(tagKeys, key, ttl) {
+  assertReady();
+  return activeAdapter.tag(tagKeys, key, _ttl(ttl));
+}
+
+/**
+ * @param {string} tagKey
+ * @returns {Promise<number>} how many keys were deleted
+ */
+async function invalidateTag(tagKey) {
+  assertReady();
+  return activeAdapter.invalidateTag(tagKey);
+}
+
+/** Most keys a single scan returns. */
+const SCAN_MAX = 10000;
+
+/**
+ * Namespace of the keys apps store through the `cache` module (`app:<appName>:<key>`).
+ * Engine keys (`_auth:`, `static:`, `_gbox:` …) never start with it, so no app name can reach them.
+ */
+const APP_KEY_PREFIX = "app:";
+
+/**
+ * Escape text for use inside a `scan` pattern, so it only matches itself.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeGlob(text) {
+  return String(text).replace(/[*?[\]\\]/g, "\\$&");
+}
+
+/**
+ * A user pattern where only `*` and `?` are wildcards, as a `scan` pattern.
+ * @param {string} pattern
+ * @returns {string}
+ */
+function wildcardGlob(pattern) {
+  return String(pattern).replace(/[[\]\\]/g, "\\$&");
+}
+
+/**
+ * Keys matching a glob pattern (`*` any run, `?` one character, backslash escapes), in no
+ * particular order.
+ * @param {string} pattern
+ * @param {object} [options]
+ * @param {number} [options.limit=1000] - at most this many (capped at 10000)
+ * @returns {Promise<string[]>}
+ */
+async function scan(pattern, options = {}) {
+  assertReady();
+  const limit = Math.min(
+    Math.max(1, Math.floor(Number(options.limit) || 1000)),
+    SCAN_MAX,
+  );
+  return activeAdapter.scan(String(pattern), limit);
+}
+
+/**
+ * @param {string[]} keys
+ * @returns {Promise<Array<{ key: string, bytes: number, ttlMs: number }>>} live keys only;
+ *   `bytes` is the stored value size, `ttlMs` -1 when the key never expires
+ */
+async function inspect(keys) {
+  assertReady();
+  return activeAdapter.inspect(keys);
+}
+
+/**
+ * Synchronous access to the active provider, for engine code that cannot await (the script
+ * transpile cache). Values are JSON-encoded like the async API.
+ * @returns {{ get: function(string): any, set: function(string, any, number=): void }|null}
+ *   null when the provider has no synchronous access (memory, redis)
+ */
+function syncStore() {
+  const adapter = activeAdapter;
+  if (!adapter || typeof adapter.getSync !== "function") return null;
+  return {
+    get: (key) => {
+      const result = adapter.getSync(key);
+      return result ? JSON.parse(result) : null;
+    },
+    set: (key, value, ttl) =>
+      adapter.setSync(key, JSON.stringify(value), _ttl(ttl)),
+  };
+}
+
 /** @returns {string|null} */
 function getProvider() {
   return activeProvider;
@@ -120,6 +399,24 @@ module.exports = {
   set,
   del,
   clear,
+  incr,
+  setIfAbsent,
+  mget,
+  mset,
+  acquireLock,
+  releaseLock,
+  extendLock,
+  getOrSet,
+  tag,
+  invalidateTag,
+  escapeGlob,
+  wildcardGlob,
+  scan,
+  inspect,
+  SCAN_MAX,
+  APP_KEY_PREFIX,
+  syncStore,
   getProvider,
   resolveFailClosed,
+  shutdown,
 };
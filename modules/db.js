@@ -1,12 +1,62 @@
 const path = require("path");
 const { getContext } = require("./gingee.js");
-const dbInstances = new Map();
+const { QueryBuilder } = require("./dbproviders/query_builder.js");
+const {
+  resolveSlowQueryMs,
+  recordDbTiming,
+} = require("./engine/slow_queries.js");
+const { dbInstances, dbMeta, dbReplicas } = require("./engine/db_registry.js");
+
+/** db.stream rows fetched per round trip (default, upper bound). */
+const STREAM_BATCH_SIZE = 500;
+const STREAM_MAX_BATCH_SIZE = 10000;
+
+/** Statements that may be sent to a read replica through db.query. */
+const READ_ONLY_SQL_RE = /^\s*(select|with)\b/i;
+const WRITE_SQL_RE =
+  /\b(insert|update|delete|merge|create|alter|drop|truncate)\b|\bfor\s+(update|share)\b/i;
+
+/**
+ * Driver error codes meaning the replica could not be reached or dropped the connection
+ * (Node sockets, pg SQLSTATE 57P01-03, mysql2, mssql, node-oracledb).
+ */
+const REPLICA_UNAVAILABLE_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ENOTFOUND",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "EPIPE",
+  "EAI_AGAIN",
+  "57P01",
+  "57P02",
+  "57P03",
+  "PROTOCOL_CONNECTION_LOST",
+  "ER_CON_COUNT_ERROR",
+  "ESOCKET",
+  "ECONNCLOSED",
+  "ORA-03113",
+  "ORA-03114",
+  "ORA-03135",
+  "ORA-12170",
+  "ORA-12514",
+  "ORA-12528",
+  "ORA-12537",
+  "ORA-12541",
+  "NJS-040",
+  "NJS-500",
+]);
+/** Pool acquire / connect failures that drivers raise without a code. */
+const REPLICA_UNAVAILABLE_MESSAGE_RE =
+  /timeout exceeded when trying to connect|connection terminated|cannot use a pool after calling end|pool is (closed|draining)|no connections? available/i;
 
 /**
  * @module db
  * @description Provides a unified interface for database operations, allowing dynamic loading of different database adapters.
  * This module supports multiple database types by loading the appropriate adapter based on configuration.
  * It provides methods for querying, executing commands, and managing transactions.
+ * Every call is timed into the `gingee_db_query_duration_seconds` metric, and statements slower than
+ * the database's `slow_query_ms` (default 1000) are logged to the app log with parameters redacted.
  * <b>IMPORTANT:</b> Requires explicit permission to use the module. See docs/permissions-guide for more details.
  */
 
@@ -26,9 +76,41 @@ function init(dbName, dbConfig, app, logger) {
     const AdapterClass = require(
       path.join(__dirname, "dbproviders", `${dbConfig.type}.js`),
     );
+    const replicas = Array.isArray(dbConfig.replicas) ? dbConfig.replicas : [];
+    if (replicas.length > 0 && dbConfig.type === "sqlite") {
+      throw new Error("SQLite databases do not support replicas.");
+    }
     const adapterInstance = new AdapterClass(dbConfig, app, logger);
     const dbKey = `${app.name}_${dbConfig.name}`;
     dbInstances.set(dbKey, adapterInstance);
+    dbMeta.set(dbKey, {
+      app: app.name,
+      name: dbConfig.name,
+      type: dbConfig.type,
+      slowQueryMs: resolveSlowQueryMs(dbConfig),
+      logger,
+    });
+    if (replicas.length > 0) {
+      // Each replica inherits the primary's settings (credentials, pool, ...) and overrides some.
+      // eslint-disable-next-line no-unused-vars
+      const { replicas: _omit, ...primaryConfig } = dbConfig;
+      dbReplicas.set(dbKey, {
+        adapters: replicas.map(
+          (replica) =>
+            new AdapterClass(
+              {
+                ...primaryConfig,
+                ...replica,
+                type: dbConfig.type,
+                name: dbConfig.name,
+              },
+              app,
+              logger,
+            ),
+        ),
+        next: 0,
+      });
+    }
   } catch (e) {
     logger.error(
       `Failed to load database adapter for app '${app.name}' - '${dbConfig.type}': ${e.message}`,
@@ -53,7 +135,20 @@ async function shutdownApp(appName, logger) {
           await adapter.shutdown();
           logger.info(`Gracefully shut down db pool for '${uniqueDbName}'.`);
         }
+        const replicaSet = dbReplicas.get(uniqueDbName);
+        if (replicaSet) {
+          for (const replica of replicaSet.adapters) {
+            if (typeof replica.shutdown === "function") {
+              await replica.shutdown();
+            }
+          }
+          logger.info(
+            `Gracefully shut down ${replicaSet.adapters.length} replica pool(s) for '${uniqueDbName}'.`,
+          );
+        }
         dbInstances.delete(uniqueDbName);
+        dbMeta.delete(uniqueDbName);
+        dbReplicas.delete(uniqueDbName);
       }
     }
   } catch (err) {
@@ -101,6 +196,155 @@ function _getAdapter(simpleDbName) {
   return adapter;
 }
 
+/**
+ * Picks the adapter for a db.query call: the next replica (round-robin) for read-only
+ * statements when replicas are configured, otherwise the primary.
+ * @private
+ */
+function _getReadAdapter(simpleDbName, sql, options) {
+  const primary = _getAdapter(simpleDbName);
+  if (options && options.primary) return { adapter: primary, primary };
+  const sqlText = String(sql || "");
+  if (!READ_ONLY_SQL_RE.test(sqlText) || WRITE_SQL_RE.test(sqlText)) {
+    return { adapter: primary, primary };
+  }
+  const { appName } = getContext();
+  const replicaSet = dbReplicas.get(`${appName}_${simpleDbName}`);
+  if (!replicaSet) return { adapter: primary, primary };
+  const adapter =
+    replicaSet.adapters[replicaSet.next % replicaSet.adapters.length];
+  replicaSet.next = (replicaSet.next + 1) % replicaSet.adapters.length;
+  return { adapter, primary };
+}
+
+/**
+ * Feeds one operation's duration to the db histogram and the slow-query log. Never throws.
+ * @private
+ */
+function _recordTiming(dbName, operation, sql, params, startedAt) {
+  try {
+    const { appName } = getContext();
+    const meta = dbMeta.get(`${appName}_${dbName}`);
+    if (!meta) return;
+    recordDbTiming({
+      app: appName,
+      db: dbName,
+      operation,
+      sql,
+      params,
+      durationMs: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      slowQueryMs: meta.slowQueryMs,
+      logger: meta.logger,
+    });
+  } catch (_) {
+    /* no app context */
+  }
+}
+
+/**
+ * @private
+ */
+async function _timed(dbName, operation, sql, params, run) {
+  const startedAt = process.hrtime.bigint();
+  try {
+    return await run();
+  } finally {
+    _recordTiming(dbName, operation, sql, params, startedAt);
+  }
+}
+
+/**
+ * Times the statements a script runs on a transaction client.
+ * @private
+ */
+function _timedClient(dbName, client) {
+  return {
+    ...client,
+    query: (sql, params) =>
+      _timed(dbName, "query", sql, params, () => client.query(sql, params)),
+    execute: (sql, params) =>
+      _timed(dbName, "execute", sql, params, () => client.execute(sql, params)),
+  };
+}
+
+/**
+ * Whether a replica error means the replica is unreachable (connection refused or lost,
+ * pool acquire failure), as opposed to an error the primary would raise too.
+ * @private
+ */
+function _isReplicaUnavailable(err) {
+  if (!err) return false;
+  const code = err.code === undefined ? "" : String(err.code);
+  if (REPLICA_UNAVAILABLE_CODES.has(code)) return true;
+  if (/^08/.test(code)) return true; // SQLSTATE class 08: connection exception
+  return REPLICA_UNAVAILABLE_MESSAGE_RE.test(String(err.message || ""));
+}
+
+/**
+ * Runs a db.query, falling back to the primary once if the replica is unreachable.
+ * Other replica errors (syntax, constraints, statement timeouts) are thrown as is.
+ * @private
+ */
+async function _runQuery(dbName, sql, params, options) {
+  return _timed(dbName, "query", sql, params, async () => {
+    const { adapter, primary } = _getReadAdapter(dbName, sql, options);
+    if (adapter === primary) return primary.query(sql, params);
+    try {
+      return await adapter.query(sql, params);
+    } catch (err) {
+      if (!_isReplicaUnavailable(err)) throw err;
+      if (adapter.logger) {
+        adapter.logger.warn(
+          `Replica query failed for db '${dbName}', retrying on primary: ${err.message}`,
+        );
+      }
+      return primary.query(sql, params);
+    }
+  });
+}
+
+/**
+ * Combines the caller's signal with the request's abort signal (request timeout, client gone).
+ * @private
+ * @returns {{ signal: AbortSignal|null, release: function }}
+ */
+function _streamSignal(optionSignal) {
+  let store = null;
+  try {
+    store = getContext();
+  } catch (_) {
+    store = null;
+  }
+  const signals = [optionSignal, store && store.requestAbortSignal].filter(
+    Boolean,
+  );
+  if (signals.length < 2) return { signal: signals[0] || null, release() {} };
+
+  const controller = new AbortController();
+  const forward = (event) => controller.abort(event.target.reason);
+  for (const s of signals) {
+    if (s.aborted) controller.abort(s.reason);
+    else s.addEventListener("abort", forward, { once: true });
+  }
+  return {
+    signal: controller.signal,
+    release: () =>
+      signals.forEach((s) => s.removeEventListener("abort", forward)),
+  };
+}
+
+/**
+ * @private
+ */
+function _streamAbortError(signal) {
+  const reason = signal.reason;
+  const detail = reason ? `: ${reason.message || reason}` : "";
+  const err = new Error(`db.stream aborted${detail}`);
+  err.name = "AbortError";
+  err.code = "ABORT_ERR";
+  return err;
+}
+
 // --- Public API ---
 
 /**
@@ -109,7 +353,12 @@ function _getAdapter(simpleDbName) {
  * @description Executes a SQL query against the specified database.
  * @param {string} dbName The name of the database to query.
  * @param {string} sql The SQL query string.
+ * When the database has `replicas`, read-only statements (`SELECT`, or `WITH` without writes) go
+ * to a replica (round-robin, retried once on the primary if the replica fails); everything else
+ * goes to the primary. Pass `{ primary: true }` to read your own writes.
  * @param {Array} params The parameters for the query.
+ * @param {object} [options]
+ * @param {boolean} [options.primary=false] Always run on the primary, even for reads.
  * @returns {Promise<Object>} The result of the query.
  * @example
  * const result = await db.query('myDatabase', 'SELECT * FROM users WHERE id = ?', [userId]);
@@ -117,8 +366,8 @@ function _getAdapter(simpleDbName) {
  * @throws {Error} If the database connection is not configured or the query fails.
  * @throws {Error} If the SQL query is invalid or the parameters do not match.
  */
-async function query(dbName, sql, params) {
-  return _getAdapter(dbName).query(sql, params);
+async function query(dbName, sql, params, options) {
+  return _runQuery(dbName, sql, params, options);
 }
 
 /**
@@ -128,6 +377,7 @@ async function query(dbName, sql, params) {
  * @param {string} dbName The name of the database to query.
  * @param {string} sql The SQL query string.
  * @param {Array} params The parameters for the query.
+ * @param {object} [options] Same as `db.query` (`{ primary: true }` skips replicas).
  * @returns {Promise<Object|null>} The first row of the result or null if no rows were found.
  * @example
  * const user = await db.query.one('myDatabase', 'SELECT * FROM users WHERE id = ?', [userId]);
@@ -139,8 +389,8 @@ async function query(dbName, sql, params) {
  * @throws {Error} If the database connection is not configured or the query fails.
  * @throws {Error} If the SQL query is invalid or the parameters do not match.
  */
-query.one = async function (dbName, sql, params) {
-  const res = await _getAdapter(dbName).query(sql, params);
+query.one = async function (dbName, sql, params, options) {
+  const res = await _runQuery(dbName, sql, params, options);
   return res.rows[0] || null;
 };
 
@@ -151,6 +401,7 @@ query.one = async function (dbName, sql, params) {
  * @param {string} dbName The name of the database to query.
  * @param {string} sql The SQL query string.
  * @param {Array} params The parameters for the query.
+ * @param {object} [options] Same as `db.query` (`{ primary: true }` skips replicas).
  * @returns {Promise<Array>} An array of rows returned by the query.
  * @example
  * const users = await db.query.many('myDatabase', 'SELECT * FROM users WHERE active = ?', [true]);
@@ -158,15 +409,101 @@ query.one = async function (dbName, sql, params) {
  * @throws {Error} If the database connection is not configured or the query fails.
  * @throws {Error} If the SQL query is invalid or the parameters do not match.
  */
-query.many = async function (dbName, sql, params) {
-  const res = await _getAdapter(dbName).query(sql, params);
+query.many = async function (dbName, sql, params, options) {
+  const res = await _runQuery(dbName, sql, params, options);
   return res.rows;
 };
 
+/**
+ * @function stream
+ * @memberof module:db
+ * @description Runs a query and returns its rows as an async iterator instead of loading them all
+ * into memory, for exports and other large result sets. Rows are fetched `batchSize` at a time with
+ * each driver's native mechanism (PostgreSQL cursor, MySQL / SQL Server row streams, Oracle result
+ * set, SQLite statement iterator), and the next batch is only fetched once the script has consumed
+ * the previous one. Leaving the loop early (`break`, `return`, an exception) closes the cursor and
+ * frees the connection.
+ *
+ * The stream stops when the request is aborted: the client disconnects or the request runs out of
+ * its `limits` time budget. Iteration then throws an error with `name` `"AbortError"`. Use
+ * `$g.response.startStream()` for long exports so the stream idle timeout applies instead of the
+ * short request timeout. Read replicas are used as with `db.query`.
+ * @param {string} dbName The name of the database to query.
+ * @param {string} sql The SQL query string.
+ * @param {Array} [params] The parameters for the query.
+ * @param {object} [options]
+ * @param {number} [options.batchSize=500] Rows fetched per round trip (1 to 10000).
+ * @param {AbortSignal} [options.signal] An extra signal that stops the stream.
+ * @param {boolean} [options.primary=false] Always run on the primary, even when replicas are configured.
+ * @returns {AsyncIterableIterator<Object>} The rows, one at a time.
+ * @example
+ * $g.response.startStream(200, 'application/x-ndjson');
+ * for await (const order of db.stream('main', 'SELECT * FROM orders WHERE created_at >= $1', [since])) {
+ *     $g.response.write(JSON.stringify(order) + '\n');
+ * }
+ * $g.response.endStream();
+ * @throws {Error} If the database connection is not configured, the query fails or the request is aborted.
+ */
+async function* stream(dbName, sql, params, options = {}) {
+  const batchSize =
+    options.batchSize == null ? STREAM_BATCH_SIZE : Number(options.batchSize);
+  if (
+    !Number.isInteger(batchSize) ||
+    batchSize < 1 ||
+    batchSize > STREAM_MAX_BATCH_SIZE
+  ) {
+    throw new Error(
+      `db.stream() batchSize must be an integer between 1 and ${STREAM_MAX_BATCH_SIZE}.`,
+    );
+  }
+  const { adapter, primary } = _getReadAdapter(dbName, sql, options);
+  if (typeof adapter.stream !== "function") {
+    throw new Error(`The database '${dbName}' does not support db.stream().`);
+  }
+
+  const { signal, release } = _streamSignal(options.signal);
+  const startedAt = process.hrtime.bigint();
+  let yielded = false;
+  const rowsFrom = async function* (target) {
+    const rows = target.stream(sql, params || [], { batchSize, signal });
+    for await (const row of rows) {
+      if (signal && signal.aborted) break;
+      yielded = true;
+      yield row;
+    }
+  };
+
+  try {
+    if (signal && signal.aborted) throw _streamAbortError(signal);
+    try {
+      yield* rowsFrom(adapter);
+    } catch (err) {
+      // Fall back like db.query, but only while nothing has been handed to the script.
+      if (adapter === primary || yielded || (signal && signal.aborted)) {
+        throw err;
+      }
+      if (adapter.logger) {
+        adapter.logger.warn(
+          `Replica stream failed for db '${dbName}', retrying on primary: ${err.message}`,
+        );
+      }
+      yield* rowsFrom(primary);
+    }
+    if (signal && signal.aborted) throw _streamAbortError(signal);
+  } catch (err) {
+    if (signal && signal.aborted) throw _streamAbortError(signal);
+    throw err;
+  } finally {
+    release();
+    _recordTiming(dbName, "stream", sql, params, startedAt);
+  }
+}
+
 /**
  * @function execute
  * @memberof module:db
  * @description Executes a SQL update/insert/delete command against the specified database.
+ * Always runs on the primary.
  * @param {string} dbName The name of the database to execute the command on.
  * @param {string} sql The SQL insert/update/delete command string.
  * @param {Array} params The parameters for the command.
@@ -178,13 +515,16 @@ query.many = async function (dbName, sql, params) {
  * @throws {Error} If the SQL command is invalid or the parameters do not match.
  */
 async function execute(dbName, sql, params) {
-  return _getAdapter(dbName).execute(sql, params);
+  return _timed(dbName, "execute", sql, params, () =>
+    _getAdapter(dbName).execute(sql, params),
+  );
 }
 
 /**
  * @function transaction
  * @memberof module:db
  * @description Executes a transaction with the provided callback function.
+ * Always runs on the primary.
  * @param {string} dbName The name of the database to use for the transaction.
  * @param {Function} callback The function to execute within the transaction context.
  * @returns {Promise<any>} The result of the transaction callback.
@@ -196,7 +536,79 @@ async function execute(dbName, sql, params) {
  * @throws {Error} If the database connection is not configured.
  */
 async function transaction(dbName, callback) {
-  return _getAdapter(dbName).transaction(callback);
+  return _timed(dbName, "transaction", null, null, () =>
+    _getAdapter(dbName).transaction((client) =>
+      callback(_timedClient(dbName, client)),
+    ),
+  );
+}
+
+/**
+ * @function table
+ * @memberof module:db
+ * @description Starts a query builder for a table. The builder compiles to the SQL dialect of the
+ * configured database (postgres, mysql, sqlite, mssql, oracle), quotes identifiers and always binds
+ * values as parameters. Chain `select`, `where`, `orWhere`, `whereIn`, `whereNotIn`, `whereNull`,
+ * `whereNotNull`, `orderBy`, `limit` and `offset`, then run it with `all()`, `first()`, `count()`,
+ * `insert(rows)`, `update(values)`, `upsert(rows, conflictColumns)`, `delete()` or `paginate()`.
+ * `update()` and `delete()` without a `where` refuse to run unless called with `{ all: true }`.
+ * Use `.using(client)` inside `db.transaction` to run on the transaction's connection.
+ * Reads follow the `db.query` replica routing unless `{ primary: true }` is passed.
+ * @param {string} dbName The name of the database.
+ * @param {string} tableName The table name (optionally `schema.table`).
+ * @param {object} [options]
+ * @param {boolean} [options.primary=false] Send reads to the primary instead of a replica.
+ * @returns {QueryBuilder} A fluent query builder.
+ * @example
+ * const admins = await db.table('main', 'users')
+ *     .select('id', 'email')
+ *     .where({ role: 'admin' })
+ *     .where('created_at', '>=', since)
+ *     .orderBy('id')
+ *     .limit(50)
+ *     .all();
+ * await db.table('main', 'users').where('id', userId).update({ active: false });
+ * await db.table('main', 'settings').upsert({ key: 'theme', value: 'dark' }, 'key');
+ * @throws {Error} If the database is not configured or an identifier/operator is invalid.
+ */
+function table(dbName, tableName, options = {}) {
+  const { appName } = getContext();
+  _getAdapter(dbName);
+  const readOptions = { primary: !!options.primary };
+  return new QueryBuilder(tableName, {
+    type: dbMeta.get(`${appName}_${dbName}`).type,
+    runner: {
+      query: (sql, params) => query(dbName, sql, params, readOptions),
+      execute: (sql, params) => execute(dbName, sql, params),
+    },
+  });
+}
+
+/**
+ * @function paginate
+ * @memberof module:db
+ * @description Fetches one page of a `db.table()` query using keyset (cursor) pagination on the
+ * builder's `orderBy` columns, which must be part of the selected columns and should end with a
+ * unique column. Cursors are opaque strings; pass `nextCursor` or `prevCursor` back to move between pages.
+ * @param {QueryBuilder} builder A query built with `db.table()` with at least one `orderBy`.
+ * @param {object} [options]
+ * @param {number} [options.limit=20] Page size (max 1000).
+ * @param {string} [options.cursor] A cursor from a previous page.
+ * @param {boolean} [options.total=true] Also count all rows matching the query (`total` is null when false).
+ * @returns {Promise<{rows: Array<object>, total: number|null, nextCursor: string|null, prevCursor: string|null}>}
+ * @example
+ * const page = await db.paginate(
+ *     db.table('main', 'orders').where({ status: 'open' }).orderBy('created_at', 'desc').orderBy('id', 'desc'),
+ *     { limit: 25, cursor: $g.request.query.cursor }
+ * );
+ * $g.response.send({ items: page.rows, total: page.total, next: page.nextCursor, prev: page.prevCursor });
+ * @throws {Error} If the builder has no orderBy or the cursor is invalid.
+ */
+async function paginate(builder, options) {
+  if (!(builder instanceof QueryBuilder)) {
+    throw new Error("db.paginate() expects a builder created with db.table().");
+  }
+  return builder.paginate(options);
 }
 
 module.exports = {
@@ -204,6 +616,9 @@ module.exports = {
   shutdownApp,
   reinitApp,
   query,
+  stream,
   execute,
   transaction,
+  table,
+  paginate,
 };
@@ -1,4 +1,6 @@
+const { addAbortSignal } = require("stream");
 const { loadOptional } = require("../internal_utils.js");
+const { resolvePoolOptions } = require("./pool_options.js");
 
 /**
  * A class that provides an interface for interacting with a Microsoft SQL Server database.
@@ -31,6 +33,7 @@ class MssqlAdapter {
    */
   async _createPool(dbConfig) {
     try {
+      const { min, max, idleTimeoutMs } = resolvePoolOptions(dbConfig);
       const config = {
         user: dbConfig.user,
         password: dbConfig.password,
@@ -38,9 +41,9 @@ class MssqlAdapter {
         database: dbConfig.database,
         port: dbConfig.port || 1433,
         pool: {
-          max: dbConfig.max || 10,
-          min: dbConfig.min || 0,
-          idleTimeoutMillis: dbConfig.idleTimeoutMillis || 30000,
+          max,
+          min,
+          idleTimeoutMillis: idleTimeoutMs,
         },
         options: {
           encrypt: dbConfig.encrypt || false,
@@ -49,6 +52,7 @@ class MssqlAdapter {
       };
       const pool = new this.sql.ConnectionPool(config);
       await pool.connect();
+      this.pool = pool;
       this.logger.info(
         `Initialized MS SQL Server connection pool for: ${dbConfig.database}`,
       );
@@ -170,6 +174,61 @@ class MssqlAdapter {
     }
   }
 
+  /**
+   * @description Streams the rows of a query with the driver's streaming mode
+   * (`request.toReadableStream()`), which pauses the request when the consumer falls
+   * `batchSize` rows behind. Leaving early or aborting cancels the request.
+   * @param {string} sqlString - The SQL query string to execute.
+   * @param {Array} params - The parameters to include in the query.
+   * @param {{ batchSize: number, signal?: AbortSignal }} options
+   * @returns {AsyncGenerator<Object>} The rows, one at a time.
+   */
+  async *stream(sqlString, params = [], { batchSize, signal } = {}) {
+    const pool = await this.poolPromise;
+    const request = pool.request();
+    this._prepareRequest(request, params);
+    const rows = request.toReadableStream({ highWaterMark: batchSize });
+    const cancel = () => request.cancel();
+    if (signal) {
+      addAbortSignal(signal, rows);
+      signal.addEventListener("abort", cancel, { once: true });
+    }
+    // Errors arrive through the stream; keep the query promise from rejecting unhandled.
+    Promise.resolve(request.query(this._transpileSql(sqlString))).catch(
+      () => {},
+    );
+    let finished = false;
+    try {
+      for await (const row of rows) yield row;
+      finished = true;
+    } catch (error) {
+      if (!(signal && signal.aborted)) {
+        this.logger.error(
+          `MSSQL: stream error ${error.message} for SQL: ${sqlString}`,
+          { stack: error.stack },
+        );
+      }
+      throw error;
+    } finally {
+      if (signal) signal.removeEventListener("abort", cancel);
+      if (!finished) cancel();
+    }
+  }
+
+  /**
+   * @description Current pool usage for the metrics gauges; null until the pool has connected.
+   * @returns {{ total: number, idle: number, waiting: number, max: number }|null}
+   */
+  poolStats() {
+    if (!this.pool) return null;
+    return {
+      total: this.pool.size,
+      idle: this.pool.available,
+      waiting: this.pool.pending,
+      max: this.pool.config.pool.max,
+    };
+  }
+
   /**
    * @description Shuts down the database connection pool.
    * @returns {Promise<void>}
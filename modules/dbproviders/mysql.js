@@ -1,4 +1,6 @@
+const { addAbortSignal } = require("stream");
 const { loadOptional } = require("../internal_utils.js");
+const { resolvePoolOptions } = require("./pool_options.js");
 
 /**
  * A class that provides an interface for interacting with a MySQL database.
@@ -17,6 +19,8 @@ class MysqlAdapter {
       "mysql2",
       "MySQL database adapter",
     );
+    const { min, max, idleTimeoutMs } = resolvePoolOptions(dbConfig);
+    this.maxConnections = max;
     this.pool = mysql.createPool({
       host: dbConfig.host,
       user: dbConfig.user,
@@ -24,7 +28,10 @@ class MysqlAdapter {
       database: dbConfig.database,
       port: dbConfig.port || 3306,
       waitForConnections: dbConfig.waitForConnections || true,
-      connectionLimit: dbConfig.max || 10,
+      connectionLimit: max,
+      // mysql2 has no minimum; idle connections above maxIdle close after idleTimeout.
+      maxIdle: min,
+      idleTimeout: idleTimeoutMs,
       queueLimit: dbConfig.queueLimit || 0,
     });
     this.logger = logger;
@@ -120,6 +127,53 @@ class MysqlAdapter {
     }
   }
 
+  /**
+   * Streams the rows of a query with mysql2's row stream, pausing the socket when the
+   * consumer falls `batchSize` rows behind. A connection left mid-result (early `break`,
+   * abort, error) is destroyed rather than returned to the pool.
+   * @param {string} sql - The SQL query to execute.
+   * @param {Array} [params=[]] - The parameters for the SQL query.
+   * @param {{ batchSize: number, signal?: AbortSignal }} options
+   * @returns {AsyncGenerator<Object>} The rows, one at a time.
+   */
+  async *stream(sql, params = [], { batchSize, signal } = {}) {
+    const connection = await this.pool.getConnection();
+    let finished = false;
+    try {
+      const rows = connection.connection
+        .query(this._transpileSql(sql), params)
+        .stream({ highWaterMark: batchSize });
+      if (signal) addAbortSignal(signal, rows);
+      for await (const row of rows) yield row;
+      finished = true;
+    } catch (error) {
+      if (!(signal && signal.aborted)) {
+        this.logger.error(
+          `MySQL: stream error ${error.message} for SQL: ${sql}`,
+          { stack: error.stack },
+        );
+      }
+      throw error;
+    } finally {
+      if (finished) connection.release();
+      else connection.destroy();
+    }
+  }
+
+  /**
+   * Current pool usage for the metrics gauges (read from the mysql2 core pool).
+   * @returns {{ total: number, idle: number, waiting: number, max: number }}
+   */
+  poolStats() {
+    const core = this.pool.pool || {};
+    return {
+      total: (core._allConnections && core._allConnections.length) || 0,
+      idle: (core._freeConnections && core._freeConnections.length) || 0,
+      waiting: (core._connectionQueue && core._connectionQueue.length) || 0,
+      max: this.maxConnections,
+    };
+  }
+
   /**
    * Shuts down the database connection pool.
    * @returns {Promise<void>}
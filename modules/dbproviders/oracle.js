@@ -1,4 +1,5 @@
 const { loadOptional } = require("../internal_utils.js");
+const { resolvePoolOptions } = require("./pool_options.js");
 
 /**
  * A class that provides an interface for interacting with an Oracle database.
@@ -31,12 +32,17 @@ class OracleAdapter {
    */
   async _createPool(dbConfig) {
     try {
+      const { min, max, idleTimeoutMs } = resolvePoolOptions(dbConfig);
       const config = {
         user: dbConfig.user,
         password: dbConfig.password,
         connectString: dbConfig.connectString, // e.g., "localhost:1521/XEPDB1"
+        poolMin: min,
+        poolMax: max,
+        poolTimeout: Math.ceil(idleTimeoutMs / 1000), // oracledb uses seconds
       };
       const pool = await this.oracledb.createPool(config);
+      this.pool = pool;
       this.logger.info(`Initialized OracleDB connection pool.`);
       return pool;
     } catch (err) {
@@ -182,6 +188,66 @@ class OracleAdapter {
     }
   }
 
+  /**
+   * @description Streams the rows of a query through a ResultSet, fetching `batchSize` rows per
+   * round trip. Rows get the same camelCase keys as `query`. Aborting breaks the running call.
+   * @param {string} sqlString - The SQL query string to execute.
+   * @param {Array} params - The parameters to include in the query.
+   * @param {{ batchSize: number, signal?: AbortSignal }} options
+   * @returns {AsyncGenerator<Object>} The rows, one at a time.
+   */
+  async *stream(sqlString, params = [], { batchSize, signal } = {}) {
+    const pool = await this.poolPromise;
+    const connection = await pool.getConnection();
+    const interrupt = () => connection.break().catch(() => {});
+    if (signal) signal.addEventListener("abort", interrupt, { once: true });
+    let resultSet;
+    try {
+      const result = await this._execute(connection, sqlString, params, {
+        resultSet: true,
+        fetchArraySize: batchSize,
+      });
+      resultSet = result.resultSet;
+      while (!(signal && signal.aborted)) {
+        const rows = await resultSet.getRows(batchSize);
+        for (const row of this._normalizeRows(rows, result.metaData)) {
+          yield row;
+        }
+        if (rows.length < batchSize) break;
+      }
+    } catch (error) {
+      if (!(signal && signal.aborted)) {
+        this.logger.error(
+          `OracleDB: stream error ${error.message} for SQL: ${sqlString}`,
+          { stack: error.stack },
+        );
+      }
+      throw error;
+    } finally {
+      if (signal) signal.removeEventListener("abort", interrupt);
+      try {
+        if (resultSet) await resultSet.close();
+      } finally {
+        await connection.close();
+      }
+    }
+  }
+
+  /**
+   * @description Current pool usage for the metrics gauges; null until the pool has been created.
+   * The queue length is only available with pool statistics enabled, so `waiting` is null.
+   * @returns {{ total: number, idle: number, waiting: null, max: number }|null}
+   */
+  poolStats() {
+    if (!this.pool) return null;
+    return {
+      total: this.pool.connectionsOpen,
+      idle: this.pool.connectionsOpen - this.pool.connectionsInUse,
+      waiting: null,
+      max: this.pool.poolMax,
+    };
+  }
+
   /**
    * @description Shuts down the database connection pool.
    * @returns {Promise<void>}
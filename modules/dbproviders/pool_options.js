@@ -0,0 +1,49 @@
+/**
+ * Normalized pool settings for app.json `db[].pool` ({ min, max, idle_timeout_ms }).
+ * Each adapter maps the result onto its driver's own option names. The older top-level
+ * `min` / `max` / `idleTimeoutMillis` keys are still honored when `pool` does not set them.
+ * @private
+ */
+
+const POOL_DEFAULTS = { min: 0, max: 10, idleTimeoutMs: 30000 };
+
+/**
+ * @private
+ */
+function pick(poolValue, legacyValue, fallback, what) {
+  const raw = poolValue !== undefined ? poolValue : legacyValue;
+  if (raw === undefined || raw === null) return fallback;
+  const n = Number(raw);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`db pool '${what}' must be a non-negative integer.`);
+  }
+  return n;
+}
+
+/**
+ * @param {object} dbConfig - one entry of app.json `db`
+ * @returns {{ min: number, max: number, idleTimeoutMs: number }}
+ * @throws {Error} on invalid values or min > max
+ */
+function resolvePoolOptions(dbConfig) {
+  const pool = (dbConfig && dbConfig.pool) || {};
+  const resolved = {
+    min: pick(pool.min, dbConfig.min, POOL_DEFAULTS.min, "min"),
+    max: pick(pool.max, dbConfig.max, POOL_DEFAULTS.max, "max"),
+    idleTimeoutMs: pick(
+      pool.idle_timeout_ms,
+      dbConfig.idleTimeoutMillis,
+      POOL_DEFAULTS.idleTimeoutMs,
+      "idle_timeout_ms",
+    ),
+  };
+  if (resolved.max < 1) {
+    throw new Error("db pool 'max' must be at least 1.");
+  }
+  if (resolved.min > resolved.max) {
+    throw new Error("db pool 'min' cannot be greater than 'max'.");
+  }
+  return resolved;
+}
+
+module.exports = { POOL_DEFAULTS, resolvePoolOptions };
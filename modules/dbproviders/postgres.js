@@ -1,4 +1,5 @@
 const { loadOptional } = require("../internal_utils.js");
+const { resolvePoolOptions } = require("./pool_options.js");
 
 /**
  * A class that provides an interface for interacting with a PostgreSQL database.
@@ -17,7 +18,15 @@ class PostgresAdapter {
       "pg",
       "PostgreSQL database adapter",
     );
-    this.pool = new Pool(dbConfig);
+    // eslint-disable-next-line no-unused-vars
+    const { type, name, pool, replicas, ...pgConfig } = dbConfig;
+    const { min, max, idleTimeoutMs } = resolvePoolOptions(dbConfig);
+    this.pool = new Pool({
+      ...pgConfig,
+      min,
+      max,
+      idleTimeoutMillis: idleTimeoutMs,
+    });
     this.logger = logger;
   }
 
@@ -90,6 +99,62 @@ class PostgresAdapter {
     }
   }
 
+  /**
+   * Streams the rows of a query through a server-side cursor (DECLARE / FETCH), `batchSize`
+   * rows per round trip. The cursor lives in its own read-only transaction on a pooled client.
+   * @param {string} sql - The SQL query to execute.
+   * @param {Array} [params=[]] - The parameters for the SQL query.
+   * @param {{ batchSize: number, signal?: AbortSignal }} options
+   * @returns {AsyncGenerator<Object>} The rows, one at a time.
+   */
+  async *stream(sql, params = [], { batchSize, signal } = {}) {
+    const client = await this.pool.connect();
+    let clientError;
+    try {
+      await client.query("BEGIN READ ONLY");
+      await client.query(
+        `DECLARE gingee_stream NO SCROLL CURSOR FOR ${sql}`,
+        params,
+      );
+      while (!(signal && signal.aborted)) {
+        const { rows } = await client.query(
+          `FETCH ${batchSize} FROM gingee_stream`,
+        );
+        for (const row of rows) yield row;
+        if (rows.length < batchSize) break;
+      }
+    } catch (error) {
+      clientError = error;
+      this.logger.error(
+        `Postgres: stream error ${error.message} for SQL: ${sql}`,
+        { stack: error.stack },
+      );
+      throw error;
+    } finally {
+      let releaseError;
+      try {
+        // Ending the transaction also closes the cursor.
+        await client.query(clientError ? "ROLLBACK" : "COMMIT");
+      } catch (err) {
+        releaseError = err; // drop the connection instead of returning it to the pool
+      }
+      client.release(releaseError);
+    }
+  }
+
+  /**
+   * Current pool usage for the metrics gauges.
+   * @returns {{ total: number, idle: number, waiting: number, max: number }}
+   */
+  poolStats() {
+    return {
+      total: this.pool.totalCount,
+      idle: this.pool.idleCount,
+      waiting: this.pool.waitingCount,
+      max: this.pool.options.max,
+    };
+  }
+
   /**
    * Shuts down the database connection pool.
    * @returns {Promise<void>}
@@ -0,0 +1,733 @@
+/**
+ * Dialect-aware query builder behind `db.table()` and `db.paginate()`.
+ * Compiles to the engine's generic SQL (`$1, $2, …` placeholders, which every adapter already
+ * transpiles) with per-dialect identifier quoting, LIMIT/OFFSET and upsert syntax.
+ * Identifiers are validated (letters, digits, `_`, `$`, dotted `table.column`); values are
+ * always bound as parameters.
+ * @private
+ */
+
+const IDENTIFIER_RE = /^[A-Za-z_][A-Za-z0-9_$]*$/;
+const OPERATORS = ["=", "!=", "<>", "<", "<=", ">", ">=", "LIKE", "NOT LIKE"];
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Per-dialect SQL differences. Oracle identifiers are left unquoted so they keep Oracle's
+ * usual case-insensitive (upper-cased) behavior.
+ */
+const DIALECTS = {
+  postgres: { quote: (id) => `"${id}"`, limit: "limit", upsert: "on_conflict" },
+  sqlite: {
+    quote: (id) => `"${id}"`,
+    limit: "limit",
+    upsert: "on_conflict",
+    noLimit: "-1",
+  },
+  mysql: {
+    quote: (id) => `\`${id}\``,
+    limit: "limit",
+    upsert: "on_duplicate",
+    noLimit: "18446744073709551615",
+  },
+  mssql: { quote: (id) => `[${id}]`, limit: "fetch", upsert: "merge" },
+  oracle: {
+    quote: (id) => id,
+    limit: "fetch",
+    upsert: "merge",
+    multiInsert: "insert_all",
+  },
+};
+
+/**
+ * @private
+ */
+function getDialect(type) {
+  const dialect = DIALECTS[type];
+  if (!dialect) {
+    throw new Error(`Query builder does not support database type '${type}'.`);
+  }
+  return dialect;
+}
+
+/**
+ * Quote a (possibly dotted) identifier; `*` passes through.
+ * @private
+ */
+function quoteIdentifier(dialect, name) {
+  const raw = String(name);
+  if (raw === "*") return raw;
+  return raw
+    .split(".")
+    .map((part) => {
+      if (part === "*") return part;
+      if (!IDENTIFIER_RE.test(part)) {
+        throw new Error(`Invalid SQL identifier '${raw}'.`);
+      }
+      return dialect.quote(part);
+    })
+    .join(".");
+}
+
+/**
+ * @private
+ */
+function nonNegativeInt(value, what) {
+  const n = Number(value);
+  if (!Number.isInteger(n) || n < 0) {
+    throw new Error(`${what} must be a non-negative integer.`);
+  }
+  return n;
+}
+
+/**
+ * Value lookup for a column on a result row (adapters differ in key casing; Oracle
+ * returns camelCased lower-case keys).
+ * @private
+ */
+function rowValue(row, column) {
+  const key = String(column).split(".").pop();
+  if (key in row) return row[key];
+  const lower = key.toLowerCase();
+  if (lower in row) return row[lower];
+  const camel = lower.replace(/_([a-z])/g, (g) => g[1].toUpperCase());
+  if (camel in row) return row[camel];
+  return undefined;
+}
+
+/**
+ * @private
+ */
+function encodeCursor(direction, values) {
+  return Buffer.from(JSON.stringify({ d: direction, v: values })).toString(
+    "base64url",
+  );
+}
+
+/**
+ * @private
+ */
+function decodeCursor(cursor) {
+  try {
+    const parsed = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString(),
+    );
+    if (
+      (parsed.d === "next" || parsed.d === "prev") &&
+      Array.isArray(parsed.v) &&
+      parsed.v.every((v) => v !== null && typeof v !== "object")
+    ) {
+      return parsed;
+    }
+  } catch (_) {
+    /* fall through */
+  }
+  throw new Error("Invalid pagination cursor.");
+}
+
+/**
+ * Fluent SELECT / INSERT / UPDATE / UPSERT / DELETE builder for one table.
+ * Created by `db.table(dbName, tableName)`; run with `.all()`, `.first()`, `.count()`,
+ * `.insert()`, `.update()`, `.upsert()`, `.delete()` or `.paginate()`.
+ * @private
+ */
+class QueryBuilder {
+  /**
+   * @param {string} table - table name (optionally `schema.table`)
+   * @param {object} options
+   * @param {string} options.type - database type (postgres, mysql, sqlite, mssql, oracle)
+   * @param {{ query: function, execute: function }} options.runner - runs the compiled SQL
+   */
+  constructor(table, options) {
+    this.type = options.type;
+    this.dialect = getDialect(options.type);
+    this.runner = options.runner;
+    this.table = table;
+    quoteIdentifier(this.dialect, table);
+    this.columns = [];
+    this.conditions = [];
+    this.orders = [];
+    this.limitValue = null;
+    this.offsetValue = null;
+  }
+
+  /**
+   * Columns to return (default `*`).
+   * @param {...(string|string[])} columns
+   * @returns {QueryBuilder}
+   */
+  select(...columns) {
+    this.columns.push(...columns.flat());
+    return this;
+  }
+
+  /**
+   * Add an AND condition: `where({ a: 1 })`, `where('a', 1)`, `where('a', '>', 1)`, or a
+   * group `where(q => q.where(...).orWhere(...))`. A `null` value compiles to IS (NOT) NULL;
+   * an `undefined` value throws (usually a missing input that would match every NULL row).
+   * @returns {QueryBuilder}
+   */
+  where(...args) {
+    return this._addWhere("AND", args);
+  }
+
+  /**
+   * Add an OR condition (same forms as `where`).
+   * @returns {QueryBuilder}
+   */
+  orWhere(...args) {
+    return this._addWhere("OR", args);
+  }
+
+  /**
+   * `column IN (...)`; an empty list matches nothing.
+   * @param {string} column
+   * @param {Array} values
+   * @returns {QueryBuilder}
+   */
+  whereIn(column, values) {
+    this.conditions.push({
+      bool: "AND",
+      type: "in",
+      column,
+      values,
+      not: false,
+    });
+    return this;
+  }
+
+  /**
+   * `column NOT IN (...)`; an empty list matches everything.
+   * @param {string} column
+   * @param {Array} values
+   * @returns {QueryBuilder}
+   */
+  whereNotIn(column, values) {
+    this.conditions.push({
+      bool: "AND",
+      type: "in",
+      column,
+      values,
+      not: true,
+    });
+    return this;
+  }
+
+  /**
+   * @param {string} column
+   * @returns {QueryBuilder}
+   */
+  whereNull(column) {
+    this.conditions.push({ bool: "AND", type: "null", column, not: false });
+    return this;
+  }
+
+  /**
+   * @param {string} column
+   * @returns {QueryBuilder}
+   */
+  whereNotNull(column) {
+    this.conditions.push({ bool: "AND", type: "null", column, not: true });
+    return this;
+  }
+
+  /**
+   * @param {string} column
+   * @param {'asc'|'desc'} [direction='asc']
+   * @returns {QueryBuilder}
+   */
+  orderBy(column, direction = "asc") {
+    const dir = String(direction).toUpperCase();
+    if (dir !== "ASC" && dir !== "DESC") {
+      throw new Error(`Invalid orderBy direction '${direction}'.`);
+    }
+    this.orders.push({ column, direction: dir });
+    return this;
+  }
+
+  /**
+   * @param {number} n
+   * @returns {QueryBuilder}
+   */
+  limit(n) {
+    this.limitValue = nonNegativeInt(n, "limit");
+    return this;
+  }
+
+  /**
+   * @param {number} n
+   * @returns {QueryBuilder}
+   */
+  offset(n) {
+    this.offsetValue = nonNegativeInt(n, "offset");
+    return this;
+  }
+
+  /**
+   * Run through a transaction client (`db.transaction` callback argument) instead of the pool.
+   * @param {{ query: function, execute: function }} client
+   * @returns {QueryBuilder}
+   */
+  using(client) {
+    this.runner = client;
+    return this;
+  }
+
+  /**
+   * Independent copy (conditions, order and limits included).
+   * @returns {QueryBuilder}
+   */
+  clone() {
+    const copy = new QueryBuilder(this.table, {
+      type: this.type,
+      runner: this.runner,
+    });
+    copy.columns = [...this.columns];
+    copy.conditions = [...this.conditions];
+    copy.orders = [...this.orders];
+    copy.limitValue = this.limitValue;
+    copy.offsetValue = this.offsetValue;
+    return copy;
+  }
+
+  /**
+   * Compiled SELECT.
+   * @returns {{ sql: string, params: Array }}
+   */
+  toSQL() {
+    const params = [];
+    const cols =
+      this.columns.length > 0
+        ? this.columns.map((c) => this._q(c)).join(", ")
+        : "*";
+    let sql = `SELECT ${cols} FROM ${this._q(this.table)}`;
+    sql += this._whereClause(params);
+    sql += this._orderAndLimit();
+    return { sql, params };
+  }
+
+  /**
+   * All matching rows.
+   * @returns {Promise<Array<object>>}
+   */
+  async all() {
+    const { sql, params } = this.toSQL();
+    const res = await this.runner.query(sql, params);
+    return res.rows;
+  }
+
+  /**
+   * First matching row, or null.
+   * @returns {Promise<object|null>}
+   */
+  async first() {
+    const rows = await this.clone().limit(1).all();
+    return rows[0] || null;
+  }
+
+  /**
+   * Number of matching rows (ignores select, order, limit and offset).
+   * @returns {Promise<number>}
+   */
+  async count() {
+    const params = [];
+    const sql =
+      `SELECT COUNT(*) AS ${this.dialect.quote("count")} FROM ${this._q(this.table)}` +
+      this._whereClause(params);
+    const res = await this.runner.query(sql, params);
+    const row = (res.rows && res.rows[0]) || {};
+    return Number(rowValue(row, "count") || 0);
+  }
+
+  /**
+   * Insert one row or many (same columns).
+   * @param {object|object[]} rows
+   * @returns {Promise<number>} rows affected
+   */
+  async insert(rows) {
+    const { sql, params } = this._compileInsert(rows);
+    return this.runner.execute(sql, params);
+  }
+
+  /**
+   * Update matching rows. Without a where clause, pass `{ all: true }` to update every row.
+   * @param {object} values
+   * @param {{ all?: boolean }} [options]
+   * @returns {Promise<number>} rows affected
+   */
+  async update(values, options = {}) {
+    const entries = Object.entries(values || {});
+    if (entries.length === 0)
+      throw new Error("update() needs at least one column.");
+    this._guardUnfiltered("update", options);
+    const params = [];
+    const set = entries
+      .map(([col, value]) => `${this._q(col)} = ${this._bind(params, value)}`)
+      .join(", ");
+    const sql = `UPDATE ${this._q(this.table)} SET ${set}${this._whereClause(params)}`;
+    return this.runner.execute(sql, params);
+  }
+
+  /**
+   * Insert rows, updating existing ones that collide on `conflictColumns`.
+   * @param {object|object[]} rows
+   * @param {string|string[]} conflictColumns - unique / primary key columns
+   * @param {string[]} [updateColumns] - columns to overwrite (default: all non-conflict columns)
+   * @returns {Promise<number>} rows affected (driver-specific for upserts)
+   */
+  async upsert(rows, conflictColumns, updateColumns) {
+    const { sql, params } = this._compileUpsert(
+      rows,
+      conflictColumns,
+      updateColumns,
+    );
+    return this.runner.execute(sql, params);
+  }
+
+  /**
+   * Delete matching rows. Without a where clause, pass `{ all: true }` to delete every row.
+   * @param {{ all?: boolean }} [options]
+   * @returns {Promise<number>} rows affected
+   */
+  async delete(options = {}) {
+    this._guardUnfiltered("delete", options);
+    const params = [];
+    const sql = `DELETE FROM ${this._q(this.table)}${this._whereClause(params)}`;
+    return this.runner.execute(sql, params);
+  }
+
+  /**
+   * Keyset (cursor) pagination over this query's orderBy columns. The orderBy columns must be
+   * non-null in every matching row (NULLs sort differently per database and cannot be compared
+   * with `>` / `<`); a page containing a NULL one throws. Filter them with `whereNotNull()`.
+   * @param {object} [options]
+   * @param {number} [options.limit=20] - page size (max 1000)
+   * @param {string} [options.cursor] - `nextCursor` / `prevCursor` from a previous page
+   * @param {boolean} [options.total=true] - also count all matching rows
+   * @returns {Promise<{ rows: object[], total: number|null, nextCursor: string|null,
+   *   prevCursor: string|null }>}
+   */
+  async paginate(options = {}) {
+    if (this.orders.length === 0) {
+      throw new Error("paginate() needs at least one orderBy() column.");
+    }
+    const limit = Math.min(
+      nonNegativeInt(options.limit == null ? 20 : options.limit, "limit") || 1,
+      MAX_PAGE_SIZE,
+    );
+    const cursor = options.cursor ? decodeCursor(options.cursor) : null;
+    if (cursor && cursor.v.length !== this.orders.length) {
+      throw new Error("Invalid pagination cursor.");
+    }
+    const backward = !!cursor && cursor.d === "prev";
+
+    const page = this.clone();
+    page.limitValue = limit + 1;
+    page.offsetValue = null;
+    if (backward) {
+      page.orders = this.orders.map((o) => ({
+        column: o.column,
+        direction: o.direction === "ASC" ? "DESC" : "ASC",
+      }));
+    }
+    if (cursor) {
+      page.where((q) => {
+        page.orders.forEach((order, i) => {
+          q.orWhere((inner) => {
+            for (let j = 0; j < i; j++) {
+              inner.where(page.orders[j].column, cursor.v[j]);
+            }
+            inner.where(
+              order.column,
+              order.direction === "ASC" ? ">" : "<",
+              cursor.v[i],
+            );
+          });
+        });
+      });
+    }
+
+    let rows = await page.all();
+    const hasMore = rows.length > limit;
+    if (hasMore) rows = rows.slice(0, limit);
+    if (backward) rows.reverse();
+
+    const keyOf = (row) =>
+      this.orders.map((o) => {
+        const v = rowValue(row, o.column);
+        if (v === undefined) {
+          throw new Error(
+            `paginate(): orderBy column '${o.column}' must be selected.`,
+          );
+        }
+        if (v === null) {
+          throw new Error(
+            `paginate(): orderBy column '${o.column}' is NULL in a matching row; keyset pagination needs non-null orderBy columns (add whereNotNull('${o.column}')).`,
+          );
+        }
+        return v;
+      });
+    // Check every row, not just the page edges, so the error does not depend on where a page ends.
+    rows.forEach(keyOf);
+
+    let nextCursor = null;
+    let prevCursor = null;
+    if (rows.length > 0) {
+      const first = rows[0];
+      const last = rows[rows.length - 1];
+      if (backward) {
+        nextCursor = encodeCursor("next", keyOf(last));
+        if (hasMore) prevCursor = encodeCursor("prev", keyOf(first));
+      } else {
+        if (hasMore) nextCursor = encodeCursor("next", keyOf(last));
+        if (cursor) prevCursor = encodeCursor("prev", keyOf(first));
+      }
+    }
+
+    const total = options.total === false ? null : await this.count();
+    return { rows, total, nextCursor, prevCursor };
+  }
+
+  // --- compilation helpers ---
+
+  /** @private */
+  _q(name) {
+    return quoteIdentifier(this.dialect, name);
+  }
+
+  /** @private */
+  _bind(params, value) {
+    let v = value;
+    if (this.type === "sqlite") {
+      // better-sqlite3 binds numbers, strings, bigints, buffers and null only.
+      if (typeof v === "boolean") v = v ? 1 : 0;
+      else if (v instanceof Date) v = v.toISOString();
+    }
+    params.push(v === undefined ? null : v);
+    return `$${params.length}`;
+  }
+
+  /** @private */
+  _addWhere(bool, args) {
+    const [a, b, c] = args;
+    if (typeof a === "function") {
+      const group = new QueryBuilder(this.table, { type: this.type });
+      a(group);
+      if (group.conditions.length > 0) {
+        this.conditions.push({
+          bool,
+          type: "group",
+          conditions: group.conditions,
+        });
+      }
+      return this;
+    }
+    if (a && typeof a === "object") {
+      for (const [column, value] of Object.entries(a)) {
+        this._addWhere(bool, [column, value]);
+      }
+      return this;
+    }
+    let op = "=";
+    let value = b;
+    if (args.length >= 3) {
+      op = String(b).toUpperCase();
+      value = c;
+    }
+    if (!OPERATORS.includes(op))
+      throw new Error(`Invalid where operator '${b}'.`);
+    if (value === undefined) {
+      throw new Error(
+        `where() value for '${a}' is undefined; pass null to match NULL.`,
+      );
+    }
+    if (value === null) {
+      if (op !== "=" && op !== "!=" && op !== "<>") {
+        throw new Error(`Operator '${op}' cannot compare with null.`);
+      }
+      this.conditions.push({ bool, type: "null", column: a, not: op !== "=" });
+      return this;
+    }
+    this.conditions.push({ bool, type: "basic", column: a, op, value });
+    return this;
+  }
+
+  /** @private */
+  _compileConditions(conditions, params) {
+    return conditions
+      .map((cond, i) => {
+        let sql;
+        if (cond.type === "group") {
+          sql = `(${this._compileConditions(cond.conditions, params)})`;
+        } else if (cond.type === "null") {
+          sql = `${this._q(cond.column)} IS ${cond.not ? "NOT " : ""}NULL`;
+        } else if (cond.type === "in") {
+          const values = Array.isArray(cond.values) ? cond.values : [];
+          if (values.length === 0) {
+            sql = cond.not ? "1 = 1" : "1 = 0";
+          } else {
+            const list = values.map((v) => this._bind(params, v)).join(", ");
+            sql = `${this._q(cond.column)} ${cond.not ? "NOT IN" : "IN"} (${list})`;
+          }
+        } else {
+          sql = `${this._q(cond.column)} ${cond.op} ${this._bind(params, cond.value)}`;
+        }
+        return i === 0 ? sql : `${cond.bool} ${sql}`;
+      })
+      .join(" ");
+  }
+
+  /** @private */
+  _whereClause(params) {
+    if (this.conditions.length === 0) return "";
+    return ` WHERE ${this._compileConditions(this.conditions, params)}`;
+  }
+
+  /** @private */
+  _orderAndLimit() {
+    let sql = "";
+    if (this.orders.length > 0) {
+      sql += ` ORDER BY ${this.orders
+        .map((o) => `${this._q(o.column)} ${o.direction}`)
+        .join(", ")}`;
+    }
+    const { limitValue, offsetValue } = this;
+    if (limitValue === null && offsetValue === null) return sql;
+
+    if (this.dialect.limit === "fetch") {
+      // SQL Server requires ORDER BY with OFFSET/FETCH.
+      if (this.orders.length === 0 && this.type === "mssql") {
+        sql += " ORDER BY (SELECT NULL)";
+      }
+      sql += ` OFFSET ${offsetValue || 0} ROWS`;
+      if (limitValue !== null) sql += ` FETCH NEXT ${limitValue} ROWS ONLY`;
+      return sql;
+    }
+    if (limitValue !== null) {
+      sql += ` LIMIT ${limitValue}`;
+    } else if (this.dialect.noLimit) {
+      sql += ` LIMIT ${this.dialect.noLimit}`;
+    }
+    if (offsetValue !== null) sql += ` OFFSET ${offsetValue}`;
+    return sql;
+  }
+
+  /** @private */
+  _guardUnfiltered(what, options) {
+    if (this.conditions.length === 0 && !(options && options.all === true)) {
+      throw new Error(
+        `${what}() without where() would touch every row; pass { all: true } to confirm.`,
+      );
+    }
+  }
+
+  /** @private */
+  _normalizeRows(rows) {
+    const list = Array.isArray(rows) ? rows : [rows];
+    if (list.length === 0 || list.some((r) => !r || typeof r !== "object")) {
+      throw new Error(
+        "insert()/upsert() need a row object or a non-empty array of rows.",
+      );
+    }
+    const columns = Object.keys(list[0]);
+    if (columns.length === 0)
+      throw new Error("insert()/upsert() rows have no columns.");
+    return { list, columns };
+  }
+
+  /** @private */
+  _compileInsert(rows) {
+    const { list, columns } = this._normalizeRows(rows);
+    const params = [];
+    const table = this._q(this.table);
+    const colList = `(${columns.map((c) => this._q(c)).join(", ")})`;
+    const tuple = (row) =>
+      `(${columns.map((c) => this._bind(params, row[c])).join(", ")})`;
+
+    if (list.length > 1 && this.dialect.multiInsert === "insert_all") {
+      const intos = list.map(
+        (row) => `INTO ${table} ${colList} VALUES ${tuple(row)}`,
+      );
+      return {
+        sql: `INSERT ALL ${intos.join(" ")} SELECT 1 FROM dual`,
+        params,
+      };
+    }
+    const values = list.map(tuple).join(", ");
+    return { sql: `INSERT INTO ${table} ${colList} VALUES ${values}`, params };
+  }
+
+  /** @private */
+  _compileUpsert(rows, conflictColumns, updateColumns) {
+    const { list, columns } = this._normalizeRows(rows);
+    const conflict = [].concat(conflictColumns || []);
+    if (conflict.length === 0)
+      throw new Error("upsert() needs conflict column(s).");
+    const updates = updateColumns
+      ? [].concat(updateColumns)
+      : columns.filter((c) => !conflict.includes(c));
+    const q = (c) => this._q(c);
+    const table = q(this.table);
+
+    if (this.dialect.upsert === "on_conflict") {
+      const { sql, params } = this._compileInsert(list);
+      const action =
+        updates.length > 0
+          ? `DO UPDATE SET ${updates.map((c) => `${q(c)} = EXCLUDED.${q(c)}`).join(", ")}`
+          : "DO NOTHING";
+      return {
+        sql: `${sql} ON CONFLICT (${conflict.map(q).join(", ")}) ${action}`,
+        params,
+      };
+    }
+
+    if (this.dialect.upsert === "on_duplicate") {
+      const { sql, params } = this._compileInsert(list);
+      const set = (updates.length > 0 ? updates : [conflict[0]])
+        .map((c) => `${q(c)} = VALUES(${q(c)})`)
+        .join(", ");
+      return { sql: `${sql} ON DUPLICATE KEY UPDATE ${set}`, params };
+    }
+
+    // MERGE (SQL Server, Oracle)
+    const params = [];
+    let source;
+    if (this.type === "oracle") {
+      source = list
+        .map(
+          (row) =>
+            `SELECT ${columns.map((c) => `${this._bind(params, row[c])} ${q(c)}`).join(", ")} FROM dual`,
+        )
+        .join(" UNION ALL ");
+      source = `(${source})`;
+    } else {
+      const values = list
+        .map(
+          (row) =>
+            `(${columns.map((c) => this._bind(params, row[c])).join(", ")})`,
+        )
+        .join(", ");
+      source = `(VALUES ${values}) AS source (${columns.map(q).join(", ")})`;
+    }
+    const as = this.type === "oracle" ? " " : " AS ";
+    const sourceRef = this.type === "oracle" ? `${source} source` : source;
+    const on = conflict
+      .map((c) => `target.${q(c)} = source.${q(c)}`)
+      .join(" AND ");
+    let sql = `MERGE INTO ${table}${as}target USING ${sourceRef} ON (${on})`;
+    if (updates.length > 0) {
+      sql += ` WHEN MATCHED THEN UPDATE SET ${updates
+        .map((c) => `target.${q(c)} = source.${q(c)}`)
+        .join(", ")}`;
+    }
+    sql += ` WHEN NOT MATCHED THEN INSERT (${columns.map(q).join(", ")}) VALUES (${columns
+      .map((c) => `source.${q(c)}`)
+      .join(", ")})`;
+    if (this.type === "mssql") sql += ";";
+    return { sql, params };
+  }
+}
+
+module.exports = {
+  QueryBuilder,
+  DIALECTS,
+};
@@ -1,6 +1,7 @@
 const Database = require("better-sqlite3");
 const path = require("path");
 const fs = require("fs");
+const { AsyncLocalStorage } = require("async_hooks");
 
 /**
  * A class that provides an interface for interacting with a SQLite database.
@@ -32,7 +33,12 @@ class SqliteAdapter {
     }
 
     this.db = new Database(dbPath);
+    this.dbPath = dbPath;
     this.logger = logger;
+    // The open transaction of the current async context, if any: `{ depth, chain }`.
+    this._txScope = new AsyncLocalStorage();
+    this._txChain = Promise.resolve();
+    this._txPending = 0;
   }
 
   /**
@@ -43,6 +49,16 @@ class SqliteAdapter {
     return sql.replace(/\$(\d+)/g, "?");
   }
 
+  /**
+   * Waits until no transaction is open or queued, unless the caller is inside one: the single
+   * connection would otherwise run other requests' statements in it (and roll them back with it).
+   * @private
+   */
+  async _outsideTransactions() {
+    if (this._txScope.getStore()) return;
+    while (this._txPending > 0) await this._txChain;
+  }
+
   /**
    * Executes a SQL query and returns the result.
    * @param {string} sql - The SQL query to execute.
@@ -55,6 +71,7 @@ class SqliteAdapter {
       if (!this.db) {
         throw new Error("Database connection is not initialized.");
       }
+      await this._outsideTransactions();
       const stmt = this.db.prepare(this._transpile(sql));
       const rows = stmt.all(params);
       return { rows, rowCount: rows.length };
@@ -79,6 +96,7 @@ class SqliteAdapter {
       if (!this.db) {
         throw new Error("Database connection is not initialized.");
       }
+      await this._outsideTransactions();
       const stmt = this.db.prepare(this._transpile(sql));
       return stmt.run(params).changes;
     } catch (error) {
@@ -91,7 +109,8 @@ class SqliteAdapter {
   }
 
   /**
-   * Executes a transaction with multiple queries.
+   * Executes a transaction with multiple queries. A transaction started inside another one on
+   * this database becomes a SAVEPOINT of it, so it can roll back on its own without deadlocking.
    * @param {function} callback - A function that receives a transaction client object.
    * @returns {Promise<any>} The result of the transaction.
    * @throws {Error} If the transaction fails.
@@ -101,14 +120,60 @@ class SqliteAdapter {
       if (!this.db) {
         throw new Error("Database connection is not initialized.");
       }
-      const tx = this.db.transaction(async () => {
-        const txClient = {
-          query: (sql, params) => this.query(sql, params),
-          execute: (sql, params) => this.execute(sql, params),
+      const txClient = {
+        query: (sql, params) => this.query(sql, params),
+        execute: (sql, params) => this.execute(sql, params),
+      };
+      const outer = this._txScope.getStore();
+      if (outer) {
+        // Nested: runs after earlier nested transactions of the same outer one.
+        const savepoint = `gingee_sp_${outer.depth}`;
+        const scope = { depth: outer.depth + 1, chain: Promise.resolve() };
+        const run = async () => {
+          this.db.exec(`SAVEPOINT ${savepoint}`);
+          try {
+            const result = await this._txScope.run(scope, () =>
+              callback(txClient),
+            );
+            this.db.exec(`RELEASE ${savepoint}`);
+            return result;
+          } catch (err) {
+            if (this.db.inTransaction) {
+              this.db.exec(`ROLLBACK TO ${savepoint}`);
+              this.db.exec(`RELEASE ${savepoint}`);
+            }
+            throw err;
+          }
         };
-        return await callback(txClient);
-      });
-      return tx();
+        const pending = outer.chain.then(run, run);
+        outer.chain = pending.catch(() => {});
+        return await pending;
+      }
+
+      // better-sqlite3's db.transaction() only accepts synchronous functions, so run an
+      // explicit BEGIN/COMMIT and serialize async callbacks on this single connection.
+      const run = async () => {
+        const scope = { depth: 1, chain: Promise.resolve() };
+        this.db.exec("BEGIN");
+        try {
+          const result = await this._txScope.run(scope, () =>
+            callback(txClient),
+          );
+          this.db.exec("COMMIT");
+          return result;
+        } catch (err) {
+          if (this.db.inTransaction) this.db.exec("ROLLBACK");
+          throw err;
+        }
+      };
+      this._txPending++;
+      const pending = this._txChain.then(run, run);
+      this._txChain = pending
+        .catch(() => {})
+        .finally(() => {
+          this._txPending--;
+        });
+      return await pending;
     } catch (err) {
       this.logger.error(`SQLite: transaction error ${err.message}`, {
         stack: err.stack,
@@ -117,6 +182,45 @@ class SqliteAdapter {
     }
   }
 
+  /**
+   * Streams the rows of a query with a statement iterator on a separate read-only connection,
+   * so the app's main connection stays usable while a long export runs. Yields to the event
+   * loop every `batchSize` rows.
+   * @param {string} sql - The SQL query to execute.
+   * @param {Array} [params=[]] - The parameters for the SQL query.
+   * @param {{ batchSize: number, signal?: AbortSignal }} options
+   * @returns {AsyncGenerator<Object>} The rows, one at a time.
+   */
+  async *stream(sql, params = [], { batchSize, signal } = {}) {
+    let reader;
+    let rows;
+    try {
+      reader = new Database(this.dbPath, {
+        readonly: true,
+        fileMustExist: true,
+      });
+      rows = reader.prepare(this._transpile(sql)).iterate(params);
+      let sinceYield = 0;
+      for (const row of rows) {
+        yield row;
+        if (++sinceYield >= batchSize) {
+          sinceYield = 0;
+          await new Promise((resolve) => setImmediate(resolve));
+          if (signal && signal.aborted) break;
+        }
+      }
+    } catch (error) {
+      this.logger.error(
+        `SQLite: stream error ${error.message} for SQL: ${sql}`,
+        { stack: error.stack },
+      );
+      throw error;
+    } finally {
+      if (rows) rows.return();
+      if (reader) reader.close();
+    }
+  }
+
   /**
    * Shuts down the database connection.
    * @returns {Promise<void>}
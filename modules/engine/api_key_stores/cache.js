@@ -0,0 +1,87 @@
+/**
+ * @module engine/api_key_stores/cache
+ * @description Default `api_keys.store`: one `cache_service` key per record under the
+ * engine-private `_auth:<app>:ak:` prefix; `list` scans the prefix. Durable only with the redis
+ * provider; with the memory provider keys are lost on restart. Engine-internal.
+ */
+
+const cacheService = require("../../cache_service.js");
+
+/** Records outlive any sensible key; expired ones are refused on read, not deleted. */
+const KEEP_SECONDS = 10 * 365 * 24 * 60 * 60;
+
+/** Id index key written by earlier versions; `list` skips it. */
+const LEGACY_INDEX = "index";
+
+/** @private */
+function _prefix(app) {
+  if (!app || !app.name) {
+    throw new Error("auth.apiKeys needs an app context.");
+  }
+  return `_auth:${app.name}:ak:`;
+}
+
+/**
+ * @param {object} app - live app
+ * @param {object} settings - resolved app.json `api_keys` (unused here)
+ * @param {object} record - `{ id, name, prefix, hash, scopes, createdAt, expiresAt, revokedAt }`
+ * @returns {Promise<void>}
+ */
+async function create(app, settings, record) {
+  const prefix = _prefix(app);
+  await cacheService.set(`${prefix}${record.id}`, record, KEEP_SECONDS);
+}
+
+/**
+ * @param {object} app
+ * @param {object} settings
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function get(app, settings, id) {
+  return (await cacheService.get(`${_prefix(app)}${id}`)) || null;
+}
+
+/**
+ * @param {object} app
+ * @param {object} settings
+ * @returns {Promise<object[]>} oldest first (at most `cacheService.SCAN_MAX` keys)
+ */
+async function list(app, settings) {
+  const prefix = _prefix(app);
+  const keys = (
+    await cacheService.scan(`${cacheService.escapeGlob(prefix)}*`, {
+      limit: cacheService.SCAN_MAX,
+    })
+  ).filter((key) => key !== `${prefix}${LEGACY_INDEX}`);
+  const records = keys.length > 0 ? await cacheService.mget(keys) : [];
+  return records
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        String(a.createdAt).localeCompare(String(b.createdAt)) ||
+        String(a.id).localeCompare(String(b.id)),
+    );
+}
+
+/**
+ * @param {object} app
+ * @param {object} settings
+ * @param {string} id
+ * @param {string} revokedAt - ISO time
+ * @returns {Promise<boolean>} false when there is no such key or it was already revoked
+ */
+async function revoke(app, settings, id, revokedAt) {
+  const record = await get(app, settings, id);
+  if (!record || record.revokedAt) return false;
+  record.revokedAt = revokedAt;
+  await cacheService.set(`${_prefix(app)}${id}`, record, KEEP_SECONDS);
+  return true;
+}
+
+module.exports = {
+  create,
+  get,
+  list,
+  revoke,
+};
@@ -0,0 +1,139 @@
+/**
+ * @module engine/api_key_stores/db
+ * @description `api_keys.store: "db"`: key records in a `gingee_api_keys` table of the app database
+ * named by `api_keys.db` (created on first use; needs the `db` permission). Survives restarts and
+ * is shared by every node that uses the same database. Engine-internal.
+ */
+
+const db = require("../../db.js");
+const { createTableDdl } = require("../migrations.js");
+
+const TABLE = "gingee_api_keys";
+const COLUMNS =
+  "app VARCHAR(190) NOT NULL, id VARCHAR(32) NOT NULL, name VARCHAR(255) NOT NULL, " +
+  "prefix VARCHAR(16) NOT NULL, hash VARCHAR(64) NOT NULL, scopes VARCHAR(2000) NOT NULL, " +
+  "created_at VARCHAR(40) NOT NULL, expires_at VARCHAR(40), revoked_at VARCHAR(40), " +
+  "PRIMARY KEY (app, id)";
+
+/** `<app>:<db>` pairs whose table has been ensured by this process. */
+const ensured = new Set();
+
+/** @private */
+function _col(row, name) {
+  const v = row[name] ?? row[name.toUpperCase()];
+  return v == null ? null : v;
+}
+
+/** @private */
+function _fromRow(row) {
+  return {
+    id: String(_col(row, "id")),
+    name: _col(row, "name"),
+    prefix: _col(row, "prefix"),
+    hash: _col(row, "hash"),
+    scopes: JSON.parse(_col(row, "scopes") || "[]"),
+    createdAt: _col(row, "created_at"),
+    expiresAt: _col(row, "expires_at"),
+    revokedAt: _col(row, "revoked_at"),
+  };
+}
+
+/**
+ * Query builder on the key table, creating it first if needed.
+ * @private
+ */
+async function _table(app, settings) {
+  if (!app || !app.name) {
+    throw new Error("auth.apiKeys needs an app context.");
+  }
+  if (!(app.grantedPermissions || []).includes("db")) {
+    throw new Error(
+      `App '${app.name}' uses api_keys.store 'db' but has not been granted the 'db' permission.`,
+    );
+  }
+  const cfg = (Array.isArray(app.config && app.config.db) ? app.config.db : [])
+    .filter((c) => c && c.name === settings.db)
+    .pop();
+  if (!cfg || !cfg.type) {
+    throw new Error(
+      `App '${app.name}' has no database named '${settings.db}' for api_keys.db.`,
+    );
+  }
+  const memo = `${app.name}:${settings.db}`;
+  if (!ensured.has(memo)) {
+    await db.execute(settings.db, createTableDdl(cfg.type, TABLE, COLUMNS), []);
+    ensured.add(memo);
+  }
+  return db.table(settings.db, TABLE, { primary: true });
+}
+
+/**
+ * @param {object} app - live app
+ * @param {object} settings - resolved app.json `api_keys`
+ * @param {object} record - `{ id, name, prefix, hash, scopes, createdAt, expiresAt, revokedAt }`
+ * @returns {Promise<void>}
+ */
+async function create(app, settings, record) {
+  const table = await _table(app, settings);
+  await table.insert({
+    app: app.name,
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    hash: record.hash,
+    scopes: JSON.stringify(record.scopes || []),
+    created_at: record.createdAt,
+    expires_at: record.expiresAt || null,
+    revoked_at: record.revokedAt || null,
+  });
+}
+
+/**
+ * @param {object} app
+ * @param {object} settings
+ * @param {string} id
+ * @returns {Promise<object|null>}
+ */
+async function get(app, settings, id) {
+  const table = await _table(app, settings);
+  const row = await table.where({ app: app.name, id: String(id) }).first();
+  return row ? _fromRow(row) : null;
+}
+
+/**
+ * @param {object} app
+ * @param {object} settings
+ * @returns {Promise<object[]>} oldest first
+ */
+async function list(app, settings) {
+  const table = await _table(app, settings);
+  const rows = await table
+    .where({ app: app.name })
+    .orderBy("created_at")
+    .orderBy("id")
+    .all();
+  return rows.map(_fromRow);
+}
+
+/**
+ * @param {object} app
+ * @param {object} settings
+ * @param {string} id
+ * @param {string} revokedAt - ISO time
+ * @returns {Promise<boolean>} false when there is no such key or it was already revoked
+ */
+async function revoke(app, settings, id, revokedAt) {
+  const table = await _table(app, settings);
+  const changed = await table
+    .where({ app: app.name, id: String(id), revoked_at: null })
+    .update({ revoked_at: revokedAt });
+  return Number(changed) > 0;
+}
+
+module.exports = {
+  TABLE,
+  create,
+  get,
+  list,
+  revoke,
+};
@@ -0,0 +1,255 @@
+/**
+ * @module engine/api_keys
+ * @description API keys for machine-to-machine callers: key format and hashing for `auth.apiKeys`,
+ * the pluggable per-app key store (app.json `api_keys.store`: `cache` or `db`), and the routes.json
+ * `auth: { api_key: true, scopes: [...] }` check the engine runs before a route's script.
+ * Keys look like `<prefix>_<id>_<secret>`; only a SHA-256 of the secret is stored. Engine-internal.
+ */
+
+const nodeCrypto = require("crypto");
+const metrics = require("../metrics.js");
+const cacheStore = require("./api_key_stores/cache.js");
+const dbStore = require("./api_key_stores/db.js");
+
+/** Request header that carries the key (also the built-in OpenAPI `api_key` scheme). */
+const API_KEY_HEADER = "x-api-key";
+const DEFAULT_PREFIX = "gk";
+const DEFAULT_STORE = "cache";
+const PREFIX_RE = /^[a-z][a-z0-9]{0,15}$/;
+const ID_RE = /^[0-9a-f]{16}$/;
+
+/** Built-in stores; each exports `create`, `get`, `list` and `revoke`, called with `(app, settings, ...)`. */
+const STORES = { cache: cacheStore, db: dbStore };
+
+/**
+ * app.json `api_keys` with defaults filled in.
+ * @param {object} app - live app
+ * @returns {{ store: string, db: string|null, prefix: string }}
+ * @throws {Error} On an unknown store, a bad prefix, or `store: "db"` without `db`.
+ */
+function resolveSettings(app) {
+  const raw = (app && app.config && app.config.api_keys) || {};
+  const settings = {
+    store: String(raw.store || DEFAULT_STORE).toLowerCase(),
+    db: raw.db ? String(raw.db) : null,
+    prefix: String(raw.prefix || DEFAULT_PREFIX).toLowerCase(),
+  };
+  if (!STORES[settings.store]) {
+    throw new Error(
+      `Unknown api_keys.store '${settings.store}' (use ${Object.keys(STORES).join(" or ")}).`,
+    );
+  }
+  if (settings.store === "db" && !settings.db) {
+    throw new Error("api_keys.store 'db' needs api_keys.db (a database name).");
+  }
+  if (!PREFIX_RE.test(settings.prefix)) {
+    throw new Error(
+      "api_keys.prefix must be 1-16 letters or digits, starting with a letter.",
+    );
+  }
+  return settings;
+}
+
+/**
+ * The store driver for an app.
+ * @param {object} app - live app
+ * @returns {{ settings: object, store: object }}
+ */
+function storeFor(app) {
+  const settings = resolveSettings(app);
+  return { settings, store: STORES[settings.store] };
+}
+
+/**
+ * @param {string} secret
+ * @returns {string} hex SHA-256 (keys carry 256 random bits, so a slow hash adds nothing)
+ */
+function hashSecret(secret) {
+  return nodeCrypto.createHash("sha256").update(String(secret)).digest("hex");
+}
+
+/**
+ * A new key and the parts stored for it.
+ * @param {string} prefix
+ * @returns {{ id: string, key: string, hash: string }}
+ */
+function newKey(prefix) {
+  const id = nodeCrypto.randomBytes(8).toString("hex");
+  const secret = nodeCrypto.randomBytes(32).toString("base64url");
+  return { id, key: `${prefix}_${id}_${secret}`, hash: hashSecret(secret) };
+}
+
+/**
+ * @param {string} key
+ * @returns {{ prefix: string, id: string, secret: string }|null}
+ */
+function parseKey(key) {
+  const text = String(key || "").trim();
+  const first = text.indexOf("_");
+  const second = text.indexOf("_", first + 1);
+  if (first < 1 || second === -1) return null;
+  const parsed = {
+    prefix: text.slice(0, first),
+    id: text.slice(first + 1, second),
+    secret: text.slice(second + 1),
+  };
+  if (!ID_RE.test(parsed.id) || parsed.secret.length < 16) return null;
+  return parsed;
+}
+
+/**
+ * @param {*} scopes
+ * @returns {string[]} trimmed, de-duplicated scope names
+ * @throws {Error} When scopes is not an array of strings.
+ */
+function normalizeScopes(scopes) {
+  if (scopes == null) return [];
+  if (!Array.isArray(scopes)) {
+    throw new Error("API key scopes must be an array of strings.");
+  }
+  const out = [];
+  for (const s of scopes) {
+    if (typeof s !== "string" || s.trim() === "") {
+      throw new Error("API key scopes must be non-empty strings.");
+    }
+    if (!out.includes(s.trim())) out.push(s.trim());
+  }
+  return out;
+}
+
+/**
+ * What callers see of a stored key (never the hash).
+ * @param {object} record
+ * @returns {object}
+ */
+function publicKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    scopes: record.scopes || [],
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt || null,
+    revokedAt: record.revokedAt || null,
+  };
+}
+
+/**
+ * Looks up a presented key and checks it is genuine, unexpired, unrevoked and holds the scopes.
+ * @param {object} app - live app
+ * @param {string} key
+ * @param {string[]} [requiredScopes]
+ * @returns {Promise<{ ok: boolean, reason?: string, record?: object, missing?: string[] }>}
+ *   reason: `missing`, `invalid`, `expired`, `revoked` or `scope`
+ */
+async function checkKey(app, key, requiredScopes = []) {
+  if (!key) return { ok: false, reason: "missing" };
+  const parsed = parseKey(key);
+  const { settings, store } = storeFor(app);
+  if (!parsed || parsed.prefix !== settings.prefix) {
+    return { ok: false, reason: "invalid" };
+  }
+  const record = await store.get(app, settings, parsed.id);
+  const given = Buffer.from(hashSecret(parsed.secret));
+  if (
+    !record ||
+    typeof record.hash !== "string" ||
+    record.hash.length !== given.length ||
+    !nodeCrypto.timingSafeEqual(Buffer.from(record.hash), given)
+  ) {
+    return { ok: false, reason: "invalid" };
+  }
+  if (record.revokedAt) return { ok: false, reason: "revoked", record };
+  if (record.expiresAt && Date.parse(record.expiresAt) <= Date.now()) {
+    return { ok: false, reason: "expired", record };
+  }
+  const held = record.scopes || [];
+  const missing = requiredScopes.filter((s) => !held.includes(s));
+  if (missing.length > 0) {
+    return { ok: false, reason: "scope", record, missing };
+  }
+  return { ok: true, record };
+}
+
+/**
+ * Count one key check in `gingee_api_key_requests_total` (labels `app`, `key` id or `-`, `result`).
+ * @param {object} app
+ * @param {{ ok: boolean, reason?: string, record?: object }} result - from checkKey
+ */
+function recordUse(app, result) {
+  metrics.inc("gingee_api_key_requests_total", {
+    app: app.name,
+    key: result.record ? result.record.id : "-",
+    result: result.ok ? "ok" : result.reason,
+  });
+}
+
+/**
+ * The engine-enforced API key rule of a routes.json `auth` value, or null.
+ * `{ "api_key": true, "scopes": [...] }` and `{ "api_key": [...scopes] }` are enforced; the string
+ * and list forms only document the route in OpenAPI.
+ * @param {*} auth - routes.json entry `auth`
+ * @returns {{ scopes: string[] }|null}
+ * @throws {Error} On malformed scopes.
+ */
+function compileRouteRule(auth) {
+  if (!auth || typeof auth !== "object" || Array.isArray(auth)) return null;
+  if (!auth.api_key) return null;
+  const scopes = Array.isArray(auth.api_key) ? auth.api_key : auth.scopes;
+  return { scopes: normalizeScopes(scopes) };
+}
+
+/**
+ * Enforce a route's API key rule before its script runs. Answers 401 (no usable key) or
+ * 403 (missing scope) itself; counts every outcome in `gingee_api_key_requests_total`.
+ *
+ * @param {object} req - Node request
+ * @param {object} res - Node response
+ * @param {object} app - live app
+ * @param {{ scopes: string[] }} rule - from compileRouteRule
+ * @returns {Promise<object|null>} the key (public view) when the request may proceed, else null
+ */
+async function enforceRouteRule(req, res, app, rule) {
+  const header = req.headers[API_KEY_HEADER];
+  const presented = Array.isArray(header) ? header[0] : header;
+  const result = await checkKey(app, presented, rule.scopes);
+  recordUse(app, result);
+  if (result.ok) return publicKey(result.record);
+
+  const forbidden = result.reason === "scope";
+  const body = forbidden
+    ? {
+        error: "FORBIDDEN",
+        message: `API key lacks scope: ${result.missing.join(", ")}.`,
+      }
+    : {
+        error: "UNAUTHORIZED",
+        message:
+          result.reason === "missing"
+            ? "This endpoint requires an API key (X-API-Key header)."
+            : `API key is ${result.reason}.`,
+      };
+  if (!res.headersSent) {
+    const headers = { "Content-Type": "application/json" };
+    if (!forbidden) headers["WWW-Authenticate"] = 'ApiKey header="X-API-Key"';
+    res.writeHead(forbidden ? 403 : 401, headers);
+    res.end(JSON.stringify(body));
+  }
+  return null;
+}
+
+module.exports = {
+  API_KEY_HEADER,
+  DEFAULT_PREFIX,
+  resolveSettings,
+  storeFor,
+  hashSecret,
+  newKey,
+  parseKey,
+  normalizeScopes,
+  publicKey,
+  checkKey,
+  recordUse,
+  compileRouteRule,
+  enforceRouteRule,
+};
@@ -9,7 +9,6 @@
 
 const fs = require("fs");
 const path = require("path");
-const { match } = require("path-to-regexp");
 const { als } = require("../gingee.js");
 const {
   runStartupScripts,
@@ -18,6 +17,8 @@ const {
 const db = require("../db.js");
 const email = require("../email.js");
 const ai = require("../ai.js");
+const storageBuckets = require("./storage_buckets.js");
+const { assertJwksAudience } = require("./jwt_keys.js");
 const scheduler = require("../scheduler.js");
 const secrets = require("../secrets.js");
 const appLogger = require("../logger.js");
@@ -25,7 +26,14 @@ const gdev = require("../gdev.js");
 const { projectRoot } = require("./paths.js");
 const workerManager = require("./isolation/worker_manager.js");
 const { loadJsonFile } = require("../internal_utils.js");
-const { confineScriptPath } = require("./request/path_confine.js");
+const { compileRoutes } = require("./request/routes.js");
+const tusUploads = require("./request/tus.js");
+const corsPolicy = require("./request/cors.js");
+const {
+  warnHostConflicts,
+  warnRefusedAppHosts,
+} = require("./request/resolve.js");
+const { runPendingMigrations } = require("./migrations.js");
 
 /**
  * Initialize a single app directory. Throws on fatal config errors for that app.
@@ -76,7 +84,7 @@ async function initializeOneApp(appName, webPath, config, logger) {
     jwt_secret: null,
     jwt_iss: null,
     cache: {
-      client: { enabled: false, no_cache_regex: [] },
+      client: { enabled: false, etag: true, no_cache_regex: [] },
       server: { enabled: false, no_cache_regex: [] },
     },
     logging: {
@@ -94,6 +102,7 @@ async function initializeOneApp(appName, webPath, config, logger) {
     logging: { ...defaultAppConfig.logging, ...(userAppConfig.logging || {}) },
   };
   const isDevelopment = appConfig.mode === "development";
+  assertJwksAudience(appConfig, config);
 
   const app = {
     name: appName,
@@ -111,24 +120,12 @@ async function initializeOneApp(appName, webPath, config, logger) {
   if (fs.existsSync(routesPath)) {
     try {
       const routesConfig = loadJsonFile(routesPath);
-      app.compiledRoutes = [];
+      app.compiledRoutes = compileRoutes(routesConfig, {
+        appName,
+        appBoxPath,
+        logger,
+      });
       if (routesConfig && Array.isArray(routesConfig.routes)) {
-        for (const route of routesConfig.routes) {
-          const scriptPath = confineScriptPath(appBoxPath, route.script);
-          if (!scriptPath) {
-            logger.error(
-              `Skipping route '${route.path || "?"}' for app '${appName}': ` +
-                `script path escapes box or is invalid (${route.script}).`,
-            );
-            continue;
-          }
-          app.compiledRoutes.push({
-            method: route.method ? route.method.toUpperCase() : "GET",
-            script: route.script,
-            scriptPath,
-            matcher: match(route.path, { decode: decodeURIComponent }),
-          });
-        }
         logger.info(
           `Initialized ${app.compiledRoutes.length} manifest routes for app '${appName}'.`,
         );
@@ -179,10 +176,33 @@ async function initializeOneApp(appName, webPath, config, logger) {
     );
   }
 
+  storageBuckets.initApp(app, logger);
+  tusUploads.initApp(app, logger);
+  corsPolicy.initApp(app, logger);
+
   await als.run({ app, logger, projectRoot }, async () => {
     await loadPermissionsForApp(app);
   });
 
+  // Schema migrations run before startup scripts so those can rely on the schema.
+  const migrationsOk = await als.run(
+    { app, logger, globalConfig: config },
+    async () => runPendingMigrations(app),
+  );
+  if (migrationsOk === false) {
+    logger.error(
+      `Skipping app '${appName}': migrations failed. Fix the migrations and reload.`,
+    );
+    if (appConfig.type === "SPA" && isDevelopment) {
+      try {
+        gdev.stopDevServer(app);
+      } catch (_) {
+        /* ignore */
+      }
+    }
+    return null;
+  }
+
   if (appConfig.startup_scripts) {
     const startupOk = await als.run(
       { app, logger, globalConfig: config },
@@ -269,6 +289,8 @@ async function initializeApps(config, logger, webPath) {
   logger.info(
     `App registry: ${loaded.length} app(s) loaded${loaded.length ? ` (${loaded.join(", ")})` : ""}.`,
   );
+  warnRefusedAppHosts(apps, config, logger);
+  warnHostConflicts(apps, config, logger);
 
   // Process isolation: start workers after full registry is known (supports isolation groups).
   workerManager.setAppsRegistry(apps);
@@ -21,10 +21,14 @@ const packageJson = require("../../package.json");
 const { ensureProjectDirs } = require("./paths.js");
 const { createServerLogger } = require("./logger_setup.js");
 const { startHttpServers } = require("./http_servers.js");
+const { sweepStaleUploads } = require("./request_context/uploads.js");
+const { sweepExpiredTusUploads } = require("./request/tus.js");
 const { initializeApps } = require("./app_registry.js");
 const workerManager = require("./isolation/worker_manager.js");
 const websocketHub = require("./websocket_hub.js");
 const queueService = require("./queue_service.js");
+const storageBuckets = require("./storage_buckets.js");
+const searchIndexes = require("./search_indexes.js");
 
 /**
  * Boot the Gingee control plane and start listening.
@@ -46,8 +50,12 @@ async function startServer(options) {
   // Initialize the app logger factory with the main server logger instance.
   appLogger.init(logger);
 
-  // Cache: redis is fail-closed by default (cache.fail_closed); set false only for dev fallback
-  await cache.init(config.cache || {}, logger);
+  // Upload leftovers: streaming folders a crash left behind, and expired tus partial uploads.
+  sweepStaleUploads(projectRoot, logger);
+  sweepExpiredTusUploads(projectRoot, logger);
+
+  // Cache: redis and sqlite are fail-closed by default (cache.fail_closed); set false only for dev fallback
+  await cache.init(config.cache || {}, logger, { projectRoot });
 
   // Server-level email defaults (optional); per-app email is initialized in initializeApps
   email.initServer(config.email, logger);
@@ -64,6 +72,12 @@ async function startServer(options) {
   // Outbound URL / SSRF policy for httpclient + scheduler URL jobs
   egress.initServer(config.egress, logger);
 
+  // Local storage bucket root (S3 buckets are configured per app)
+  storageBuckets.initServer(config.storage, logger, projectRoot);
+
+  // Embedded full-text search (per-app index files)
+  searchIndexes.initServer(config.search, logger, projectRoot);
+
   // Prometheus metrics (engine /metrics; default localhost-only)
   metrics.initServer(config.metrics, logger, packageJson.version || "unknown");
 
@@ -140,6 +154,9 @@ async function startServer(options) {
     } catch (_) {
       /* ignore */
     }
+    // Synchronous for the sqlite provider, so its database is closed before exit.
+    cache.shutdown().catch(() => {});
+    searchIndexes.closeAll();
     als.run({ logger }, () => {
       for (const appName in apps) {
         gdev.stopDevServer(apps[appName]);
@@ -41,10 +41,20 @@ function buildDefaultConfig() {
     web_root: "./web",
     content_encoding: {
       enabled: true,
-      /** Min raw body size (bytes) before `$g.response.send` will gzip. Default 1KiB. */
+      /** Min raw body size (bytes) before `$g.response.send` will compress. Default 1KiB. */
       size_threshold: 1024,
+      /** Codings in server preference order (zstd only where the Node build supports it). */
+      encodings: ["br", "zstd", "gzip"],
+      /** Brotli quality 0–11 for on-the-fly compression. */
+      brotli_quality: 5,
     },
     max_body_size: "25mb",
+    // Static files at or above stream_threshold are streamed from disk (no server cache,
+    // no on-the-fly gzip). Range requests honor at most max_ranges ranges.
+    static: {
+      stream_threshold: "1mib",
+      max_ranges: 20,
+    },
     logging: {
       level: "error",
       rotation: {
@@ -119,6 +129,11 @@ function buildDefaultConfig() {
       ...QUEUE_DEFAULTS,
       redis: { ...(QUEUE_DEFAULTS.redis || {}) },
     },
+    // Host-based routing: { "shop.example.com": "shop", "*.admin.example.com": "admin" }.
+    // Mapped hosts serve that app at `/`; wins over app.json `hosts`.
+    hosts: {},
+    // Host patterns app.json `hosts` may claim (e.g. ["*.apps.example.com"]); none by default.
+    app_hosts: [],
     default_app: "glade", //set default app as the glade admin panel
     privileged_apps: ["glade"], //set glade as a priviledged app by default
   };
@@ -144,6 +159,8 @@ function mergeUserConfig(defaultConfig, userConfig) {
       },
     },
     box: { ...defaultConfig.box, ...uc.box },
+    static: { ...defaultConfig.static, ...(uc.static || {}) },
+    hosts: { ...defaultConfig.hosts, ...(uc.hosts || {}) },
     jwt: { ...(defaultConfig.jwt || {}), ...(uc.jwt || {}) },
     scheduler: {
       ...defaultConfig.scheduler,
@@ -0,0 +1,50 @@
+/**
+ * @module engine/db_registry
+ * @description The database adapters behind the `db` module, keyed `<app>_<db name>`, and their
+ * pool usage for the metrics scrape. Engine-internal — apps see only their own databases
+ * through `require('db')`.
+ */
+
+/** unique db key -> adapter (primary) */
+const dbInstances = new Map();
+/** unique db key -> { app, name, type, slowQueryMs, logger } */
+const dbMeta = new Map();
+/** unique db key -> { adapters: object[], next: number } (read replicas, round-robin) */
+const dbReplicas = new Map();
+
+/**
+ * Pool usage of every initialized database (primary and replicas), for the metrics scrape.
+ * @returns {Array<{app: string, db: string, target: string, total: number, idle: number,
+ *   waiting: number|null, max: number}>}
+ */
+function getPoolStats() {
+  const stats = [];
+  const collect = (meta, target, adapter) => {
+    if (!adapter || typeof adapter.poolStats !== "function") return;
+    try {
+      const s = adapter.poolStats();
+      if (s) stats.push({ app: meta.app, db: meta.name, target, ...s });
+    } catch (_) {
+      /* pool not ready */
+    }
+  };
+  for (const [key, adapter] of dbInstances.entries()) {
+    const meta = dbMeta.get(key);
+    if (!meta) continue;
+    collect(meta, "primary", adapter);
+    const replicaSet = dbReplicas.get(key);
+    if (replicaSet) {
+      replicaSet.adapters.forEach((replica, i) =>
+        collect(meta, `replica-${i}`, replica),
+      );
+    }
+  }
+  return stats;
+}
+
+module.exports = {
+  dbInstances,
+  dbMeta,
+  dbReplicas,
+  getPoolStats,
+};
@@ -25,8 +25,11 @@ const { resolveAllowDynamicCodeForApp } = require("../../gbox.js");
 const { als } = require("../../gingee.js");
 const { createGRequire, runInGBox } = require("../../gbox.js");
 const { FakeIncomingMessage, FakeServerResponse } = require("./fake_http.js");
+const { canNegotiateEncoding } = require("../request/encoding.js");
 const ai = require("../../ai.js");
 const email = require("../../email.js");
+const storageBuckets = require("../storage_buckets.js");
+const searchIndexes = require("../search_indexes.js");
 
 /** @type {object|null} */
 let workerState = null;
@@ -152,6 +155,7 @@ async function runHttpScript(msg) {
     url: msg.url || "/",
     headers: msg.headers || {},
     body,
+    bodyPath: msg.bodyPath || null,
   });
 
   let streamMode = false;
@@ -210,11 +214,7 @@ async function runHttpScript(msg) {
 
   const acceptEncoding =
     (req && req.headers && req.headers["accept-encoding"]) || "";
-  const canCompress =
-    !!(globalConfig &&
-      globalConfig.content_encoding &&
-      globalConfig.content_encoding.enabled) &&
-    String(acceptEncoding).includes("gzip");
+  const canCompress = canNegotiateEncoding(globalConfig, acceptEncoding);
 
   const store = {
     globalConfig,
@@ -229,6 +229,11 @@ async function runHttpScript(msg) {
     appNames: Object.keys(allApps),
     logger: workerLog,
     routeParams: msg.routeParams || {},
+    routeSchema: msg.routeSchema || null,
+    uploadPolicy: msg.uploadPolicy || null,
+    tusUpload: msg.tusUpload || null,
+    oidcLogin: msg.oidcLogin || null,
+    apiKey: msg.apiKey || null,
     scriptPath,
     scriptFolder: path.dirname(scriptPath),
     staticFileCache: null,
@@ -269,6 +274,7 @@ async function runHttpScript(msg) {
         }
       }
 
+      store.mainScriptStarted = true;
       const script = runInGBox(scriptPath, gBoxConfig);
       if (typeof script === "function") {
         await script();
@@ -402,6 +408,16 @@ process.on("message", async (msg) => {
       } catch (e) {
         workerLog.error(`[worker] email.initServer failed: ${e.message}`);
       }
+      storageBuckets.initServer(
+        globalConfig.storage || null,
+        workerLog,
+        msg.projectRoot,
+      );
+      searchIndexes.initServer(
+        globalConfig.search || null,
+        workerLog,
+        msg.projectRoot,
+      );
 
       for (const entry of list) {
         const name = entry.appName;
@@ -5,11 +5,12 @@
  * Engine-internal.
  */
 
+const fs = require("fs");
 const { EventEmitter } = require("events");
 
 /**
- * Incoming message shim. Buffers a body and emits data/end when listeners attach
- * so modules/gingee body parsing still works.
+ * Incoming message shim. Buffers a body (or streams it from a file the master spooled)
+ * and emits data/end when listeners attach so modules/gingee body parsing still works.
  */
 class FakeIncomingMessage extends EventEmitter {
   /**
@@ -18,6 +19,7 @@ class FakeIncomingMessage extends EventEmitter {
    * @param {string} opts.url
    * @param {object} opts.headers
    * @param {Buffer} [opts.body]
+   * @param {string} [opts.bodyPath] - file holding the body; read as a stream instead of `body`
    */
   constructor(opts) {
     super();
@@ -27,6 +29,8 @@ class FakeIncomingMessage extends EventEmitter {
     this.connection = { encrypted: false };
     this.socket = this.connection;
     this._body = Buffer.isBuffer(opts.body) ? opts.body : Buffer.alloc(0);
+    this._bodyPath = opts.bodyPath || null;
+    this._bodyStream = null;
     this._bodyEmitted = false;
     this.bodyResolved = false;
     this.body = undefined;
@@ -55,9 +59,32 @@ class FakeIncomingMessage extends EventEmitter {
     return result;
   }
 
+  pause() {
+    if (this._bodyStream) this._bodyStream.pause();
+    return this;
+  }
+
+  resume() {
+    if (this._bodyStream) this._bodyStream.resume();
+    return this;
+  }
+
+  destroy() {
+    if (this._bodyStream) this._bodyStream.destroy();
+    return this;
+  }
+
   _emitBufferedBody() {
     if (this._bodyEmitted) return;
     this._bodyEmitted = true;
+    if (this._bodyPath) {
+      this._bodyStream = fs.createReadStream(this._bodyPath);
+      this._bodyStream.on("data", (chunk) => this.emit("data", chunk));
+      this._bodyStream.on("end", () => this.emit("end"));
+      this._bodyStream.on("error", (err) => this.emit("error", err));
+      this._bodyStream.on("close", () => this.emit("close"));
+      return;
+    }
     if (this._body.length > 0) {
       this.emit("data", this._body);
     }
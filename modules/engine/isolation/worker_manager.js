@@ -5,6 +5,8 @@
  */
 
 const { fork } = require("child_process");
+const crypto = require("crypto");
+const fs = require("fs");
 const path = require("path");
 const {
   shouldIsolateApp,
@@ -19,8 +21,10 @@ const {
   applyAfterSpawn,
   describeLimits,
 } = require("./resource_limits.js");
-const { projectRoot } = require("../paths.js");
+const { projectRoot, appTempPath } = require("../paths.js");
+const { UPLOADS_DIR } = require("../request_context/uploads.js");
 const { allowDynamicCodeFromBox } = require("../../gbox.js");
+const { mergeVary } = require("../request/encoding.js");
 // Server default still passed at worker init; per-request apps re-resolve in app_worker
 
 /** workerKey → handle */
@@ -166,6 +170,12 @@ function buildInitPayload(workerKey, cfg, appNames) {
       ai: cfg.ai && typeof cfg.ai === "object" ? { ...cfg.ai } : null,
       email:
         cfg.email && typeof cfg.email === "object" ? { ...cfg.email } : null,
+      storage:
+        cfg.storage && typeof cfg.storage === "object"
+          ? { ...cfg.storage }
+          : null,
+      search:
+        cfg.search && typeof cfg.search === "object" ? { ...cfg.search } : null,
     },
   };
 }
@@ -778,6 +788,71 @@ function readRequestBody(req, maxBytes) {
   });
 }
 
+/**
+ * Stream the remaining request body to `filePath` instead of memory. Used for multipart bodies,
+ * which the worker then reads from disk; the file is removed by the caller.
+ * @param {object} req
+ * @param {string} filePath
+ * @param {number} maxBytes
+ * @returns {Promise<void>}
+ */
+function spoolRequestBody(req, filePath, maxBytes) {
+  return new Promise((resolve, reject) => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const out = fs.createWriteStream(filePath);
+    let size = 0;
+    let settled = false;
+
+    const done = (err) => {
+      if (settled) return;
+      settled = true;
+      req.removeListener("data", onData);
+      req.removeListener("end", onEnd);
+      req.removeListener("error", onError);
+      if (err) {
+        out.destroy();
+        reject(err);
+      } else {
+        out.end(() => resolve());
+      }
+    };
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        done(new Error(`Request body exceeds limit (${maxBytes} bytes)`));
+        req.destroy();
+        return;
+      }
+      if (!out.write(chunk)) {
+        req.pause();
+        out.once("drain", () => req.resume());
+      }
+    };
+    const onEnd = () => done(null);
+    const onError = (err) => done(err);
+
+    out.on("error", (err) => {
+      done(err);
+      req.destroy();
+    });
+    req.on("data", onData);
+    req.on("end", onEnd);
+    req.on("error", onError);
+  });
+}
+
+/**
+ * Multipart bodies go to the worker as a file, not as base64 over IPC.
+ * @private
+ */
+function shouldSpoolBody(req) {
+  if (!req || req.method === "GET" || req.method === "HEAD") return false;
+  if (req.complete && !req.readable) return false;
+  const type = req.headers && req.headers["content-type"];
+  return /^\s*multipart\/form-data\b/i.test(String(type || ""));
+}
+
 /**
  * Run an HTTP script on the app worker (buffered or streaming).
  * @param {object} opts
@@ -790,6 +865,11 @@ async function executeOnWorker(opts) {
     res,
     scriptPath,
     routeParams,
+    routeSchema,
+    uploadPolicy,
+    tusUpload,
+    oidcLogin,
+    apiKey,
     maxBodySize,
     useCache,
     logger,
@@ -810,7 +890,30 @@ async function executeOnWorker(opts) {
     maxBytes = parseFloat(maxBodySize) * 1000 * 1000;
   }
 
-  const body = await readRequestBody(req, maxBytes);
+  // Multipart bodies are spooled next to the per-request upload folders (a crash leaves them
+  // to sweepStaleUploads) and removed once the response is done.
+  let body = Buffer.alloc(0);
+  let bodyPath = null;
+  if (shouldSpoolBody(req)) {
+    bodyPath = path.join(
+      appTempPath(projectRoot, app.name),
+      UPLOADS_DIR,
+      `${crypto.randomUUID()}.body`,
+    );
+    const removeSpool = () => fs.rm(bodyPath, { force: true }, () => {});
+    if (typeof res.on === "function") {
+      res.on("finish", removeSpool);
+      res.on("close", removeSpool);
+    }
+    try {
+      await spoolRequestBody(req, bodyPath, maxBytes);
+    } catch (err) {
+      removeSpool();
+      throw err;
+    }
+  } else {
+    body = await readRequestBody(req, maxBytes);
+  }
   const requestId = `${app.name}-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
 
   // Register stream target so worker can push SSE frames to real res
@@ -838,7 +941,13 @@ async function executeOnWorker(opts) {
       url: req.url,
       headers: req.headers,
       bodyBase64: body.length ? body.toString("base64") : "",
+      bodyPath,
       routeParams: routeParams || {},
+      routeSchema: routeSchema || null,
+      uploadPolicy: uploadPolicy || null,
+      tusUpload: tusUpload || null,
+      oidcLogin: oidcLogin || null,
+      apiKey: apiKey || null,
       maxBodySize: maxBodySize || "25mb",
       useCache: useCache !== false,
       // Worker uses this for waitForResponseSettle / AbortSignal budget (capped by master).
@@ -884,7 +993,18 @@ async function executeOnWorker(opts) {
   for (const [k, v] of Object.entries(headers)) {
     if (k.toLowerCase() === "transfer-encoding") continue;
     try {
-      res.setHeader(k, v);
+      // Keep master-set Vary entries (e.g. Origin from CORS).
+      res.setHeader(
+        k,
+        k.toLowerCase() === "vary"
+          ? String(v)
+              .split(",")
+              .reduce(
+                (acc, name) => mergeVary(acc, name.trim()),
+                res.getHeader("Vary"),
+              )
+          : v,
+      );
     } catch (_) {
       /* ignore */
     }
@@ -0,0 +1,347 @@
+/**
+ * @module engine/jwt_keys
+ * @description Asymmetric JWT keys for `auth.jwt`: the app's keyring (`app.json` → `jwt.keys`),
+ * JWS signing / verification for RS256, ES256 and EdDSA, the public JWKS the engine serves
+ * for each app, and a cache of remote JWKS documents fetched through `httpclient`
+ * (egress policy and outbound limits apply).
+ * Engine-internal — not for sandboxed app require.
+ */
+
+const nodeCrypto = require("crypto");
+const httpclient = require("../httpclient.js");
+
+/** alg -> how to sign / verify with node:crypto */
+const ALGORITHMS = {
+  RS256: { digest: "sha256", keyType: "rsa" },
+  ES256: {
+    digest: "sha256",
+    keyType: "ec",
+    curve: "prime256v1",
+    dsaEncoding: "ieee-p1363",
+  },
+  EdDSA: { digest: null, keyType: "ed25519" },
+};
+
+const DEFAULT_JWKS_PATH = "/.well-known/jwks.json";
+const DEFAULT_JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+/** An unknown `kid` triggers a refetch at most this often (rotation at the IdP). */
+const JWKS_REFETCH_COOLDOWN_MS = 30 * 1000;
+
+/** jwt config object -> parsed keyring (app config objects are replaced on reload) */
+const keyringCache = new WeakMap();
+
+/** jwks_uri -> { keys: Map(kid -> { key, alg }), fetchedAt, expiresAt, inflight } */
+const remoteJwks = new Map();
+
+/**
+ * @private
+ */
+function _algForKey(keyObject) {
+  const type = keyObject.asymmetricKeyType;
+  if (type === "rsa") return "RS256";
+  if (type === "ed25519") return "EdDSA";
+  if (type === "ec") {
+    const details = keyObject.asymmetricKeyDetails || {};
+    if (details.namedCurve === "prime256v1") return "ES256";
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function _assertKeyMatchesAlg(keyObject, alg, label) {
+  const spec = ALGORITHMS[alg];
+  if (!spec) {
+    throw new Error(
+      `${label}: unsupported alg '${alg}' (use RS256, ES256 or EdDSA).`,
+    );
+  }
+  if (keyObject.asymmetricKeyType !== spec.keyType) {
+    throw new Error(
+      `${label}: a ${keyObject.asymmetricKeyType} key cannot sign ${alg}.`,
+    );
+  }
+  if (spec.curve) {
+    const details = keyObject.asymmetricKeyDetails || {};
+    if (details.namedCurve !== spec.curve) {
+      throw new Error(`${label}: ${alg} needs a P-256 key.`);
+    }
+  }
+}
+
+/**
+ * The app's asymmetric keyring from `jwt.keys`, parsed once per config object.
+ * Each entry is `{ kid, alg?, private_key?, public_key? }` with PEM strings (usually `file:` refs,
+ * already resolved at app load). `active_kid` picks the signing key; otherwise the first entry
+ * with a private key signs. Entries with only a public key still verify (rotation).
+ * @param {object|null|undefined} jwtConfig - `app.json` → `jwt`
+ * @returns {{ keys: Map<string, {kid: string, alg: string, privateKey: object|null, publicKey: object}>,
+ *   active: object|null }|null} null when no keys are configured.
+ * @throws {Error} On unreadable keys, duplicate kids or an alg that does not fit the key.
+ */
+function getKeyring(jwtConfig) {
+  if (!jwtConfig || typeof jwtConfig !== "object") return null;
+  if (!Array.isArray(jwtConfig.keys) || jwtConfig.keys.length === 0) {
+    return null;
+  }
+  if (keyringCache.has(jwtConfig)) return keyringCache.get(jwtConfig);
+
+  const keys = new Map();
+  jwtConfig.keys.forEach((entry, i) => {
+    const kid = entry && entry.kid != null ? String(entry.kid) : "";
+    const label = `jwt.keys[${i}]`;
+    if (!kid) throw new Error(`${label}: 'kid' is required.`);
+    if (keys.has(kid)) throw new Error(`${label}: duplicate kid '${kid}'.`);
+    if (!entry.private_key && !entry.public_key) {
+      throw new Error(`${label}: needs 'private_key' or 'public_key'.`);
+    }
+    let privateKey = null;
+    let publicKey;
+    try {
+      if (entry.private_key) {
+        privateKey = nodeCrypto.createPrivateKey(String(entry.private_key));
+      }
+      publicKey = entry.public_key
+        ? nodeCrypto.createPublicKey(String(entry.public_key))
+        : nodeCrypto.createPublicKey(privateKey);
+    } catch (e) {
+      throw new Error(`${label}: cannot read key '${kid}': ${e.message}`);
+    }
+    const alg = entry.alg ? String(entry.alg) : _algForKey(publicKey);
+    if (!alg) {
+      throw new Error(
+        `${label}: cannot infer 'alg' for key '${kid}'; set it explicitly.`,
+      );
+    }
+    _assertKeyMatchesAlg(publicKey, alg, label);
+    keys.set(kid, { kid, alg, privateKey, publicKey });
+  });
+
+  let active = null;
+  if (jwtConfig.active_kid != null && jwtConfig.active_kid !== "") {
+    active = keys.get(String(jwtConfig.active_kid)) || null;
+    if (!active || !active.privateKey) {
+      throw new Error(
+        `jwt.active_kid '${jwtConfig.active_kid}' has no private key in jwt.keys.`,
+      );
+    }
+  } else {
+    active = [...keys.values()].find((k) => k.privateKey) || null;
+  }
+
+  const keyring = { keys, active };
+  keyringCache.set(jwtConfig, keyring);
+  return keyring;
+}
+
+/**
+ * JWS signature over `header.payload` (base64url, no padding).
+ * @param {string} alg
+ * @param {string} signingInput
+ * @param {object} privateKey - node KeyObject
+ * @returns {string}
+ */
+function sign(alg, signingInput, privateKey) {
+  const spec = ALGORITHMS[alg];
+  const key = spec.dsaEncoding
+    ? { key: privateKey, dsaEncoding: spec.dsaEncoding }
+    : privateKey;
+  return nodeCrypto
+    .sign(spec.digest, Buffer.from(signingInput), key)
+    .toString("base64url");
+}
+
+/**
+ * @param {string} alg
+ * @param {string} signingInput
+ * @param {string} encodedSignature - base64url
+ * @param {object} publicKey - node KeyObject
+ * @returns {boolean}
+ */
+function verify(alg, signingInput, encodedSignature, publicKey) {
+  const spec = ALGORITHMS[alg];
+  if (!spec) return false;
+  const key = spec.dsaEncoding
+    ? { key: publicKey, dsaEncoding: spec.dsaEncoding }
+    : publicKey;
+  try {
+    return nodeCrypto.verify(
+      spec.digest,
+      Buffer.from(signingInput),
+      key,
+      Buffer.from(encodedSignature, "base64url"),
+    );
+  } catch (_) {
+    return false;
+  }
+}
+
+/**
+ * Public JWK Set for a keyring (every key, including retired public-only ones).
+ * @param {object} keyring - from {@link getKeyring}
+ * @returns {{ keys: Array<object> }}
+ */
+function toPublicJwks(keyring) {
+  return {
+    keys: [...keyring.keys.values()].map((k) => ({
+      ...k.publicKey.export({ format: "jwk" }),
+      kid: k.kid,
+      alg: k.alg,
+      use: "sig",
+    })),
+  };
+}
+
+/**
+ * Where the engine serves the app's JWKS; null when the app has no keys or turned it off
+ * with `jwt.jwks_path: false`.
+ * @param {object} appConfig
+ * @returns {string|null}
+ */
+function resolveJwksPath(appConfig) {
+  const jwtConfig = appConfig && appConfig.jwt;
+  if (
+    !jwtConfig ||
+    !Array.isArray(jwtConfig.keys) ||
+    jwtConfig.keys.length === 0
+  ) {
+    return null;
+  }
+  if (jwtConfig.jwks_path === false) return null;
+  let p = typeof jwtConfig.jwks_path === "string" && jwtConfig.jwks_path.trim();
+  if (!p) p = DEFAULT_JWKS_PATH;
+  return p.startsWith("/") ? p : `/${p}`;
+}
+
+/**
+ * Load-time check: an app that trusts an identity provider JWKS (`jwt.jwks_uri`, its own or
+ * the server's) must name its `jwt.audience`. The IdP signs tokens for every one of its clients,
+ * so without it a token minted for another client would verify.
+ * @param {object} appConfig - app.json
+ * @param {object} [globalConfig] - gingee.json
+ * @throws {Error} When a JWKS URI applies and no audience does.
+ */
+function assertJwksAudience(appConfig, globalConfig) {
+  const setting = (name) => {
+    const appJwt = appConfig && appConfig.jwt;
+    if (appJwt && typeof appJwt === "object" && appJwt[name] != null) {
+      return appJwt[name];
+    }
+    const serverJwt = globalConfig && globalConfig.jwt;
+    return serverJwt && typeof serverJwt === "object" ? serverJwt[name] : null;
+  };
+  const jwksUri = setting("jwks_uri");
+  const audience = setting("audience");
+  if (jwksUri && (audience == null || audience === "")) {
+    throw new Error(
+      "jwt.jwks_uri is set but jwt.audience is not; set jwt.audience to this app's client id at the identity provider.",
+    );
+  }
+}
+
+/**
+ * @private
+ */
+function _importJwks(body) {
+  const doc =
+    typeof body === "string"
+      ? JSON.parse(body)
+      : JSON.parse(Buffer.from(body).toString("utf8"));
+  if (!doc || !Array.isArray(doc.keys)) {
+    throw new Error("response is not a JWK Set (no 'keys' array)");
+  }
+  const keys = new Map();
+  for (const jwk of doc.keys) {
+    if (!jwk || !jwk.kid || (jwk.use && jwk.use !== "sig")) continue;
+    let key;
+    try {
+      key = nodeCrypto.createPublicKey({ key: jwk, format: "jwk" });
+    } catch (_) {
+      continue; // unsupported kty / crv
+    }
+    const alg = jwk.alg || _algForKey(key);
+    if (!ALGORITHMS[alg]) continue;
+    keys.set(String(jwk.kid), { key, alg });
+  }
+  return keys;
+}
+
+/**
+ * @private
+ */
+async function _fetchJwks(uri, entry, ttlMs) {
+  const res = await httpclient.get(uri, {
+    headers: { Accept: "application/jwk-set+json, application/json" },
+  });
+  if (res.status !== 200) {
+    throw new Error(`HTTP ${res.status}${res.code ? ` (${res.code})` : ""}`);
+  }
+  entry.keys = _importJwks(res.body);
+  entry.fetchedAt = Date.now();
+  entry.expiresAt = entry.fetchedAt + ttlMs;
+}
+
+/**
+ * Public key for `kid` from a remote JWKS (identity provider). The document is cached for
+ * `ttlMs`; an unknown kid refetches it (at most every 30 s) so IdP key rotation is picked up.
+ * If a refresh fails, the previous document keeps being used.
+ * @param {string} uri - https URL of the JWK Set
+ * @param {string} kid
+ * @param {object} [options]
+ * @param {number} [options.ttlMs=600000]
+ * @param {object} [options.logger]
+ * @returns {Promise<{ key: object, alg: string }|null>}
+ */
+async function getRemoteKey(uri, kid, options = {}) {
+  const ttlMs =
+    Number(options.ttlMs) > 0
+      ? Number(options.ttlMs)
+      : DEFAULT_JWKS_CACHE_TTL_MS;
+  let entry = remoteJwks.get(uri);
+  if (!entry) {
+    entry = { keys: null, fetchedAt: 0, expiresAt: 0, inflight: null };
+    remoteJwks.set(uri, entry);
+  }
+  const now = Date.now();
+  const known = entry.keys && entry.keys.has(kid);
+  const stale = now >= entry.expiresAt;
+  const mayRefetch = now - entry.fetchedAt >= JWKS_REFETCH_COOLDOWN_MS;
+  if (stale || (!known && mayRefetch)) {
+    if (!entry.inflight) {
+      entry.inflight = _fetchJwks(uri, entry, ttlMs).finally(() => {
+        entry.inflight = null;
+      });
+    }
+    try {
+      await entry.inflight;
+    } catch (e) {
+      if (options.logger) {
+        options.logger.warn(`JWKS fetch failed for ${uri}: ${e.message}`);
+      }
+      if (!entry.keys) return null;
+    }
+  }
+  return (entry.keys && entry.keys.get(kid)) || null;
+}
+
+/**
+ * @private
+ */
+function _resetForTests() {
+  remoteJwks.clear();
+}
+
+module.exports = {
+  ALGORITHMS,
+  DEFAULT_JWKS_PATH,
+  DEFAULT_JWKS_CACHE_TTL_MS,
+  getKeyring,
+  sign,
+  verify,
+  toPublicJwks,
+  resolveJwksPath,
+  assertJwksAudience,
+  getRemoteKey,
+  _resetForTests,
+};
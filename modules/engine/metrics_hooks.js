@@ -6,6 +6,7 @@
 
 const limits = require("../limits.js");
 const scheduler = require("../scheduler.js");
+const { getPoolStats } = require("./db_registry.js");
 
 /**
  * Prometheus scrape hooks (live gauges).
@@ -17,6 +18,7 @@ function metricsScrapeHooks(apps) {
     limitsStats: limits.getStats(),
     appsCount: apps ? Object.keys(apps).length : 0,
     schedulerJobs: scheduler.listJobs().length,
+    dbPools: getPoolStats(),
   };
 }
 
@@ -0,0 +1,408 @@
+/**
+ * @module engine/migrations
+ * @description Versioned schema migrations per app database.
+ * Scripts live in `box/migrations/<dbName>/<version>_<name>.js` and export `{ up, down }`;
+ * applied versions are recorded in a `gingee_migrations` ledger table inside each database.
+ * Engine-internal — driven at app boot/install/reload and by platform / Glade.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { als, getContext } = require("../gingee.js");
+const { runInGBox } = require("../gbox.js");
+const { createLifecycleGBoxConfig } = require("../gapp_start.js");
+const db = require("../db.js");
+
+const MIGRATIONS_DIR = "migrations";
+const LEDGER_TABLE = "gingee_migrations";
+const MIGRATION_FILE_RE = /^(\d+)[_-]([A-Za-z0-9_-]+)\.js$/;
+
+const LEDGER_COLUMNS =
+  "app VARCHAR(190) NOT NULL, version VARCHAR(64) NOT NULL, name VARCHAR(255) NOT NULL, " +
+  "batch INTEGER NOT NULL, applied_at VARCHAR(40) NOT NULL, PRIMARY KEY (app, version)";
+
+/**
+ * `CREATE TABLE` that is a no-op when the table exists, on every supported dialect.
+ * Also used for other engine-owned tables (e.g. the `db` API key store).
+ * @param {string} type - db type from app.json
+ * @param {string} table
+ * @param {string} columns - column definitions
+ * @returns {string}
+ */
+function createTableDdl(type, table, columns) {
+  switch (type) {
+    case "mssql":
+      return `IF OBJECT_ID(N'${table}', N'U') IS NULL CREATE TABLE ${table} (${columns})`;
+    case "oracle":
+      // ORA-00955: name is already used by an existing object
+      return (
+        `BEGIN EXECUTE IMMEDIATE 'CREATE TABLE ${table} (${columns})'; ` +
+        "EXCEPTION WHEN OTHERS THEN IF SQLCODE != -955 THEN RAISE; END IF; END;"
+      );
+    default:
+      return `CREATE TABLE IF NOT EXISTS ${table} (${columns})`;
+  }
+}
+
+/**
+ * Numeric version key without leading zeros, so `001_init.js` and `1_init.js` are the same version.
+ * @private
+ */
+function normalizeVersion(version) {
+  return String(version).replace(/^0+(?=\d)/, "");
+}
+
+/**
+ * @private
+ */
+function compareVersions(a, b) {
+  const x = normalizeVersion(a);
+  const y = normalizeVersion(b);
+  if (x.length !== y.length) return x.length - y.length;
+  return x < y ? -1 : x > y ? 1 : 0;
+}
+
+/**
+ * Parses migration file names (`<version>_<name>.js`) into sorted descriptors.
+ * @param {string[]} fileNames
+ * @returns {Array<{version: string, name: string, file: string}>}
+ * @throws {Error} on duplicate versions
+ */
+function parseMigrationFiles(fileNames) {
+  const seen = new Map();
+  const list = [];
+  for (const file of fileNames) {
+    const m = MIGRATION_FILE_RE.exec(file);
+    if (!m) continue;
+    const version = normalizeVersion(m[1]);
+    if (seen.has(version)) {
+      throw new Error(
+        `Duplicate migration version ${version}: '${seen.get(version)}' and '${file}'.`,
+      );
+    }
+    seen.set(version, file);
+    list.push({ version, name: m[2], file });
+  }
+  return list.sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * Migration versions per db name found in a package file list (`box/migrations/<db>/<file>`).
+ * Used by rollback to tell which applied migrations the older package does not know about.
+ * @param {string[]} packageFiles - paths relative to the app web root (forward slashes)
+ * @returns {Map<string, Set<string>>}
+ */
+function migrationVersionsInFileList(packageFiles) {
+  const byDb = new Map();
+  const prefix = `box/${MIGRATIONS_DIR}/`;
+  for (const file of packageFiles) {
+    if (!file.startsWith(prefix)) continue;
+    const parts = file.slice(prefix.length).split("/");
+    if (parts.length !== 2) continue;
+    const m = MIGRATION_FILE_RE.exec(parts[1]);
+    if (!m) continue;
+    if (!byDb.has(parts[0])) byDb.set(parts[0], new Set());
+    byDb.get(parts[0]).add(normalizeVersion(m[1]));
+  }
+  return byDb;
+}
+
+/**
+ * Migration scripts on disk for one app database.
+ * @param {object} app
+ * @param {string} dbName
+ * @returns {Array<{version: string, name: string, file: string}>}
+ */
+function discoverMigrations(app, dbName) {
+  const dir = path.join(app.appBoxPath, MIGRATIONS_DIR, dbName);
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (_) {
+    return [];
+  }
+  return parseMigrationFiles(entries);
+}
+
+/**
+ * Databases from app.json `db` that migrations can target.
+ * @private
+ */
+function appDatabases(app, dbName) {
+  const list = (app.config && Array.isArray(app.config.db) ? app.config.db : [])
+    .filter((c) => c && c.name && c.type)
+    .map((c) => ({ name: c.name, type: c.type }));
+  if (!dbName) return list;
+  const match = list.filter((c) => c.name === dbName);
+  if (match.length === 0) {
+    throw new Error(
+      `App '${app.name}' has no database named '${dbName}' in app.json.`,
+    );
+  }
+  return match;
+}
+
+/**
+ * Migrations touch the app's databases, so they need the same grant as `require('db')`.
+ * @private
+ */
+function assertDbPermission(app) {
+  const granted = app.grantedPermissions || [];
+  if (!granted.includes("db")) {
+    throw new Error(
+      `App '${app.name}' has migrations but has not been granted the 'db' permission.`,
+    );
+  }
+}
+
+/**
+ * Runs `fn` in a non-HTTP context for the app (db / cache / log resolve the app from it).
+ * @private
+ */
+function inAppContext(app, extra, fn) {
+  const { globalConfig } = als.getStore() || {};
+  return als.run(
+    {
+      appName: app.name,
+      app,
+      logger: app.logger,
+      globalConfig: globalConfig || {},
+      ...extra,
+    },
+    fn,
+  );
+}
+
+/**
+ * @private
+ */
+async function ensureLedger(dbName, type) {
+  await db.execute(
+    dbName,
+    createTableDdl(type, LEDGER_TABLE, LEDGER_COLUMNS),
+    [],
+  );
+}
+
+/**
+ * Ledger rows for this app, oldest first.
+ * @private
+ */
+async function readLedger(app, dbName) {
+  const rows = await db
+    .table(dbName, LEDGER_TABLE, { primary: true })
+    .where({ app: app.name })
+    .all();
+  return rows
+    .map((r) => ({
+      version: String(r.version ?? r.VERSION),
+      name: r.name ?? r.NAME,
+      batch: Number(r.batch ?? r.BATCH),
+      appliedAt: r.applied_at ?? r.appliedAt ?? r.APPLIED_AT,
+    }))
+    .sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * Loads a migration script in the app sandbox and runs one direction in a transaction,
+ * updating the ledger in the same transaction.
+ * @private
+ */
+async function runMigration(app, dbName, migration, direction, batch) {
+  const fullPath = path.join(
+    app.appBoxPath,
+    MIGRATIONS_DIR,
+    dbName,
+    migration.file,
+  );
+  return inAppContext(
+    app,
+    { scriptPath: fullPath, scriptFolder: path.dirname(fullPath) },
+    async () => {
+      const { globalConfig } = getContext();
+      const mod = runInGBox(
+        fullPath,
+        createLifecycleGBoxConfig(app, globalConfig || {}),
+      );
+      const step = mod && mod[direction];
+      if (typeof step !== "function") {
+        throw new Error(
+          `Migration '${dbName}/${migration.file}' does not export an '${direction}' function.`,
+        );
+      }
+      await db.transaction(dbName, async (tx) => {
+        const client = {
+          dbName,
+          query: (sql, params) => tx.query(sql, params),
+          execute: (sql, params) => tx.execute(sql, params),
+          table: (tableName) => db.table(dbName, tableName).using(tx),
+        };
+        await step(client);
+        const ledger = db.table(dbName, LEDGER_TABLE).using(tx);
+        if (direction === "up") {
+          await ledger.insert({
+            app: app.name,
+            version: migration.version,
+            name: migration.name,
+            batch,
+            applied_at: new Date().toISOString(),
+          });
+        } else {
+          await ledger
+            .where({ app: app.name, version: migration.version })
+            .delete();
+        }
+      });
+      app.logger.info(
+        `Migration ${direction}: ${dbName}/${migration.file}${direction === "up" ? ` (batch ${batch})` : ""}`,
+      );
+    },
+  );
+}
+
+/**
+ * Applied, pending and missing (applied but no longer on disk) migrations per database.
+ * @param {object} app
+ * @returns {Promise<Array<{dbName: string, type: string, applied: object[], pending: object[],
+ *   missing: object[]}>>}
+ */
+async function getMigrationStatus(app) {
+  const result = [];
+  for (const { name: dbName, type } of appDatabases(app)) {
+    const files = discoverMigrations(app, dbName);
+    if (files.length === 0) continue;
+    const applied = await inAppContext(app, {}, async () => {
+      await ensureLedger(dbName, type);
+      return readLedger(app, dbName);
+    });
+    const appliedSet = new Set(applied.map((a) => a.version));
+    const fileSet = new Set(files.map((f) => f.version));
+    result.push({
+      dbName,
+      type,
+      applied,
+      pending: files
+        .filter((f) => !appliedSet.has(f.version))
+        .map(({ version, name }) => ({ version, name })),
+      missing: applied.filter((a) => !fileSet.has(a.version)),
+    });
+  }
+  return result;
+}
+
+/**
+ * Applies pending migrations (oldest first) as one new batch per database.
+ * Stops at the first failure; earlier migrations in the run stay applied.
+ * @param {object} app
+ * @param {object} [options]
+ * @param {string} [options.dbName] - only this database
+ * @returns {Promise<Array<{dbName: string, version: string, name: string}>>} applied migrations
+ */
+async function migrateUp(app, options = {}) {
+  const done = [];
+  for (const { name: dbName, type } of appDatabases(app, options.dbName)) {
+    const files = discoverMigrations(app, dbName);
+    if (files.length === 0) continue;
+    const applied = await inAppContext(app, {}, async () => {
+      await ensureLedger(dbName, type);
+      return readLedger(app, dbName);
+    });
+    const appliedSet = new Set(applied.map((a) => a.version));
+    const pending = files.filter((f) => !appliedSet.has(f.version));
+    if (pending.length > 0) assertDbPermission(app);
+    const batch = applied.reduce((max, a) => Math.max(max, a.batch), 0) + 1;
+    for (const migration of pending) {
+      await runMigration(app, dbName, migration, "up", batch);
+      done.push({ dbName, version: migration.version, name: migration.name });
+    }
+  }
+  return done;
+}
+
+/**
+ * Reverts applied migrations (newest first) using their `down` functions.
+ * By default reverts the last batch of each database.
+ * @param {object} app
+ * @param {object} [options]
+ * @param {string} [options.dbName] - only this database
+ * @param {number} [options.steps] - revert this many migrations instead of the last batch
+ * @param {Map<string, Set<string>>} [options.keep] - revert every applied version not in this set
+ *   (per db name); used when rolling an app back to an older package
+ * @returns {Promise<Array<{dbName: string, version: string, name: string}>>} reverted migrations
+ */
+async function migrateDown(app, options = {}) {
+  const done = [];
+  for (const { name: dbName, type } of appDatabases(app, options.dbName)) {
+    const files = discoverMigrations(app, dbName);
+    if (files.length === 0) continue;
+    const applied = await inAppContext(app, {}, async () => {
+      await ensureLedger(dbName, type);
+      return readLedger(app, dbName);
+    });
+    if (applied.length === 0) continue;
+    const newestFirst = [...applied].reverse();
+
+    let targets;
+    if (options.keep) {
+      const keep = options.keep.get(dbName) || new Set();
+      targets = newestFirst.filter((a) => !keep.has(a.version));
+    } else if (options.steps) {
+      targets = newestFirst.slice(0, Math.max(0, Number(options.steps) || 0));
+    } else {
+      const lastBatch = newestFirst[0].batch;
+      targets = newestFirst.filter((a) => a.batch === lastBatch);
+    }
+
+    if (targets.length > 0) assertDbPermission(app);
+    for (const entry of targets) {
+      const migration = files.find((f) => f.version === entry.version);
+      if (!migration) {
+        throw new Error(
+          `Cannot revert migration ${dbName}/${entry.version}_${entry.name}: script not found in box/${MIGRATIONS_DIR}/${dbName}.`,
+        );
+      }
+      await runMigration(app, dbName, migration, "down");
+      done.push({ dbName, version: entry.version, name: entry.name });
+    }
+  }
+  return done;
+}
+
+/**
+ * Boot / install / reload hook: applies pending migrations unless app.json sets
+ * `migrations.auto: false`.
+ * @param {object} app
+ * @returns {Promise<boolean>} false if a migration failed (the app should not be registered)
+ */
+async function runPendingMigrations(app) {
+  const cfg = (app.config && app.config.migrations) || {};
+  if (cfg.auto === false) return true;
+  const logger = (als.getStore() || {}).logger || app.logger;
+  try {
+    const applied = await migrateUp(app);
+    if (applied.length > 0) {
+      logger.info(
+        `Applied ${applied.length} migration(s) for app '${app.name}'.`,
+      );
+    }
+    return true;
+  } catch (e) {
+    logger.error(
+      `FATAL: Migration failed for app '${app.name}'. App will not be registered. ${e.message}`,
+    );
+    return false;
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  LEDGER_TABLE,
+  createTableDdl,
+  parseMigrationFiles,
+  migrationVersionsInFileList,
+  discoverMigrations,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  runPendingMigrations,
+};
@@ -130,6 +130,17 @@ function ensureProjectDirs(root = projectRoot) {
   return { logsDir, settingsDir, backupsDir, tempDir };
 }
 
+/**
+ * App-scoped temp directory (the fs TEMP scope): `<project>/temp/apps/<app>`.
+ * Not served over HTTP and not packaged with the app; streamed uploads land under `uploads/`.
+ * @param {string} root - project root
+ * @param {string} appName
+ * @returns {string}
+ */
+function appTempPath(root, appName) {
+  return path.join(root, "temp", "apps", appName);
+}
+
 module.exports = {
   engineRoot,
   projectRoot,
@@ -137,4 +148,5 @@ module.exports = {
   resolveLocalModulesPaths,
   localModulesPathsFromConfig,
   ensureProjectDirs,
+  appTempPath,
 };
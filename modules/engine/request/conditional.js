@@ -0,0 +1,139 @@
+/**
+ * @module engine/request/conditional
+ * @description ETag / Last-Modified validators and conditional GET (304) evaluation.
+ * Shared by static file serving and script `$g.response` helpers.
+ * Engine-internal.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Strong entity tag from body bytes (quoted, sha1 base64url, 27 chars).
+ * @param {Buffer|string} data
+ * @param {boolean} [weak=false] - prefix with `W/`
+ * @returns {string}
+ */
+function computeEtag(data, weak = false) {
+  const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data), "utf8");
+  const hash = crypto.createHash("sha1").update(buf).digest("base64url");
+  return formatEtag(hash, weak);
+}
+
+/**
+ * Quote an opaque tag value. Already-quoted / weak tags are kept (weak flag may add `W/`).
+ * @param {string} value
+ * @param {boolean} [weak=false]
+ * @returns {string}
+ */
+function formatEtag(value, weak = false) {
+  let tag = String(value).trim();
+  let isWeak = !!weak;
+  if (tag.startsWith("W/")) {
+    isWeak = true;
+    tag = tag.slice(2);
+  }
+  if (!(tag.length >= 2 && tag.startsWith('"') && tag.endsWith('"'))) {
+    tag = `"${tag.replace(/"/g, "")}"`;
+  }
+  return isWeak ? `W/${tag}` : tag;
+}
+
+/**
+ * Weak form of an entity tag (same opaque value).
+ * @param {string} etag
+ * @returns {string}
+ */
+function toWeakEtag(etag) {
+  return formatEtag(etag, true);
+}
+
+/**
+ * Opaque part of a tag for weak comparison (RFC 9110 §8.8.3.2).
+ * @private
+ */
+function opaqueTag(etag) {
+  const s = String(etag).trim();
+  return s.startsWith("W/") ? s.slice(2) : s;
+}
+
+/**
+ * Parse an If-None-Match header into tags (`*` returned as-is).
+ * @param {string|undefined} header
+ * @returns {string[]}
+ */
+function parseIfNoneMatch(header) {
+  if (header == null) return [];
+  const s = String(Array.isArray(header) ? header.join(",") : header).trim();
+  if (!s) return [];
+  if (s === "*") return ["*"];
+  const tags = s.match(/(?:W\/)?"[^"]*"/g);
+  return tags || [];
+}
+
+/**
+ * HTTP-date (IMF-fixdate) for a Date / epoch ms / date string; null if invalid.
+ * @param {Date|number|string} value
+ * @returns {string|null}
+ */
+function toHttpDate(value) {
+  if (value == null || value === "") return null;
+  const d = value instanceof Date ? value : new Date(value);
+  const t = d.getTime();
+  if (!Number.isFinite(t)) return null;
+  return d.toUTCString();
+}
+
+/**
+ * Whether a GET/HEAD request's validators match the current representation,
+ * i.e. a 304 Not Modified may be sent. If-None-Match takes precedence over
+ * If-Modified-Since (RFC 9110 §13.2.2).
+ *
+ * @param {object} reqHeaders - incoming request headers (lowercased keys)
+ * @param {object} validators
+ * @param {string} [validators.etag] - current ETag
+ * @param {string|Date|number} [validators.lastModified] - current Last-Modified
+ * @returns {boolean}
+ */
+function isNotModified(reqHeaders, validators) {
+  const headers = reqHeaders || {};
+  const v = validators || {};
+
+  const inm = headers["if-none-match"];
+  if (inm != null && String(inm).trim() !== "") {
+    if (!v.etag) return false;
+    const tags = parseIfNoneMatch(inm);
+    if (tags.includes("*")) return true;
+    const current = opaqueTag(v.etag);
+    return tags.some((t) => opaqueTag(t) === current);
+  }
+
+  const ims = headers["if-modified-since"];
+  if (ims != null && String(ims).trim() !== "" && v.lastModified != null) {
+    const since = Date.parse(String(ims));
+    const modified = new Date(v.lastModified).getTime();
+    if (!Number.isFinite(since) || !Number.isFinite(modified)) return false;
+    // HTTP dates have one-second resolution.
+    return Math.floor(modified / 1000) <= Math.floor(since / 1000);
+  }
+
+  return false;
+}
+
+/**
+ * Conditional GET applies only to safe retrievals.
+ * @param {string} method
+ * @returns {boolean}
+ */
+function isConditionalMethod(method) {
+  return method === "GET" || method === "HEAD";
+}
+
+module.exports = {
+  computeEtag,
+  formatEtag,
+  toWeakEtag,
+  parseIfNoneMatch,
+  toHttpDate,
+  isNotModified,
+  isConditionalMethod,
+};
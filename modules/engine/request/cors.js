@@ -0,0 +1,282 @@
+/**
+ * @module engine/request/cors
+ * @description Declarative CORS from app.json `cors`, overridable per routes.json entry.
+ * The engine answers preflight OPTIONS itself (before any box script runs) and adds
+ * Access-Control-* headers to every other response of the app. Engine-internal.
+ */
+
+const metrics = require("../../metrics.js");
+const { mergeVary } = require("./encoding.js");
+
+const DEFAULT_METHODS = ["GET", "HEAD", "PUT", "PATCH", "POST", "DELETE"];
+
+/**
+ * @param {*} value
+ * @returns {string[]|null} trimmed non-empty strings, or null when not a list/string
+ * @private
+ */
+function toList(value) {
+  if (typeof value === "string") {
+    return value
+      .split(",")
+      .map((s) => s.trim())
+      .filter(Boolean);
+  }
+  if (Array.isArray(value)) {
+    return value.map((s) => String(s).trim()).filter(Boolean);
+  }
+  return null;
+}
+
+/**
+ * Normalize an app.json / routes.json `cors` block.
+ * `false` / absent → null (CORS off). `true` → defaults (any origin).
+ * `credentials` is ignored with `origins: "*"`: echoing every origin with credentials would
+ * let any site make authenticated reads (`initApp` reports it at load).
+ *
+ * @param {object|boolean|undefined} raw
+ * @returns {{ origins: "*"|string[], methods: string[], headers: string[]|null,
+ *   exposedHeaders: string[], credentials: boolean, maxAge: number|null }|null}
+ */
+function normalizeCorsConfig(raw) {
+  if (!raw) return null;
+  const c = raw === true ? {} : raw;
+  if (typeof c !== "object" || c.enabled === false) return null;
+
+  const originList = c.origins === undefined ? "*" : c.origins;
+  const origins =
+    originList === "*" ||
+    (Array.isArray(originList) && originList.includes("*"))
+      ? "*"
+      : (toList(originList) || []).map((o) => o.toLowerCase());
+
+  const methods = (toList(c.methods) || DEFAULT_METHODS).map((m) =>
+    m.toUpperCase(),
+  );
+  const maxAge = Number(c.max_age);
+  return {
+    origins,
+    methods,
+    // null → reflect Access-Control-Request-Headers on preflight
+    headers: toList(c.headers),
+    exposedHeaders: toList(c.exposed_headers) || [],
+    credentials: c.credentials === true && origins !== "*",
+    maxAge:
+      c.max_age != null && Number.isFinite(maxAge) && maxAge >= 0
+        ? Math.floor(maxAge)
+        : null,
+  };
+}
+
+/**
+ * Effective policy for a request: the route's `cors` overrides app.json `cors` field by field;
+ * a route `cors: false` turns CORS off for that route.
+ *
+ * @param {object} app - live app (app.config.cors)
+ * @param {object|null} route - compiled routes.json entry (route.cors)
+ * @returns {object|null} normalized policy
+ */
+function resolveCorsPolicy(app, route) {
+  return normalizeCorsConfig(effectiveCorsConfig(app, route));
+}
+
+/**
+ * The raw `cors` block in force for a route (app.json merged with the route override).
+ * @private
+ */
+function effectiveCorsConfig(app, route) {
+  const appRaw = app && app.config ? app.config.cors : undefined;
+  const routeRaw = route ? route.cors : undefined;
+  if (routeRaw === false) return null;
+  if (routeRaw === undefined || routeRaw === null) return appRaw;
+  const base = appRaw && typeof appRaw === "object" ? appRaw : {};
+  const override = routeRaw === true ? {} : routeRaw;
+  return { ...base, ...override };
+}
+
+/**
+ * Log, once at app load, every policy (app.json or a routes.json override) that asks for
+ * `credentials` together with `origins: "*"`; those policies run without credentials.
+ * @param {object} app - app being initialized (config, compiledRoutes)
+ * @param {object} logger
+ */
+function initApp(app, logger) {
+  const scopes = [{ label: "cors", route: null }];
+  for (const route of app.compiledRoutes || []) {
+    if (route.cors !== undefined && route.cors !== null) {
+      scopes.push({ label: `route ${route.method} ${route.path} cors`, route });
+    }
+  }
+  for (const { label, route } of scopes) {
+    const raw = effectiveCorsConfig(app, route);
+    const policy = normalizeCorsConfig(raw);
+    if (policy && policy.origins === "*" && raw.credentials === true) {
+      logger.warn(
+        `[cors] App '${app.name}': ${label} sets credentials with origins "*"; credentials are ignored. List the trusted origins to allow credentialed requests.`,
+      );
+    }
+  }
+}
+
+/**
+ * Whether an Origin is allowed. Entries are exact origins or `scheme://*.domain` wildcards
+ * (any subdomain, not the apex).
+ * @param {object} policy
+ * @param {string} origin
+ * @returns {boolean}
+ */
+function isOriginAllowed(policy, origin) {
+  if (!policy || !origin) return false;
+  if (policy.origins === "*") return true;
+  const o = String(origin).trim().toLowerCase();
+  for (const allowed of policy.origins) {
+    if (allowed === o) return true;
+    const star = allowed.indexOf("://*.");
+    if (star !== -1) {
+      const scheme = allowed.slice(0, star + 3);
+      const suffix = allowed.slice(star + 4); // ".example.com"
+      if (
+        o.startsWith(scheme) &&
+        o.endsWith(suffix) &&
+        o.length > scheme.length + suffix.length
+      ) {
+        return true;
+      }
+    }
+  }
+  return false;
+}
+
+/**
+ * Access-Control-Allow-Origin value: `*` for public policies without credentials,
+ * otherwise the request origin echoed back.
+ * @private
+ */
+function allowOriginValue(policy, origin) {
+  return policy.origins === "*" && !policy.credentials ? "*" : origin;
+}
+
+/**
+ * Responses differ per Origin unless a bare `*` is sent.
+ * @private
+ */
+function variesByOrigin(policy) {
+  return policy.origins !== "*" || policy.credentials;
+}
+
+/**
+ * @private
+ */
+function addVary(res, value) {
+  const existing =
+    typeof res.getHeader === "function" ? res.getHeader("Vary") : undefined;
+  res.setHeader("Vary", mergeVary(existing, value));
+}
+
+/**
+ * Preflight = OPTIONS carrying Origin + Access-Control-Request-Method.
+ * @param {object} req
+ * @returns {boolean}
+ */
+function isPreflight(req) {
+  return (
+    req.method === "OPTIONS" &&
+    !!req.headers.origin &&
+    !!req.headers["access-control-request-method"]
+  );
+}
+
+/**
+ * Answer a preflight request. 204 with Access-Control-Allow-* when origin and method are
+ * allowed, else 403. Call only when a policy applies.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} policy - normalized policy
+ * @param {object} [meta]
+ * @param {string} [meta.appName] - for metrics
+ * @param {number} [meta.requestStartedAt]
+ */
+function answerPreflight(req, res, policy, meta) {
+  const origin = req.headers.origin;
+  const method = String(req.headers["access-control-request-method"])
+    .trim()
+    .toUpperCase();
+  let statusCode = 204;
+
+  if (variesByOrigin(policy)) addVary(res, "Origin");
+  addVary(res, "Access-Control-Request-Method");
+  addVary(res, "Access-Control-Request-Headers");
+
+  if (!isOriginAllowed(policy, origin) || !policy.methods.includes(method)) {
+    statusCode = 403;
+    res.writeHead(statusCode, { "Content-Type": "text/plain" });
+    res.end("CORS_PREFLIGHT_REJECTED");
+  } else {
+    const headers = {
+      "Access-Control-Allow-Origin": allowOriginValue(policy, origin),
+      "Access-Control-Allow-Methods": policy.methods.join(", "),
+      "Content-Length": "0",
+    };
+    const requested = req.headers["access-control-request-headers"];
+    const allowHeaders = policy.headers
+      ? policy.headers.join(", ")
+      : requested || "";
+    if (allowHeaders) headers["Access-Control-Allow-Headers"] = allowHeaders;
+    if (policy.credentials)
+      headers["Access-Control-Allow-Credentials"] = "true";
+    if (policy.maxAge != null) {
+      headers["Access-Control-Max-Age"] = String(policy.maxAge);
+    }
+    res.writeHead(statusCode, headers);
+    res.end();
+  }
+
+  const m = meta || {};
+  metrics.recordHttpRequest({
+    app: m.appName || "_none",
+    kind: "other",
+    statusCode,
+    durationSeconds: m.requestStartedAt
+      ? (Date.now() - m.requestStartedAt) / 1000
+      : 0,
+  });
+}
+
+/**
+ * Set CORS response headers for a simple / actual request (before static or script output).
+ * Disallowed origins get no Access-Control-* headers (the browser blocks the read).
+ * @param {object} req
+ * @param {object} res
+ * @param {object|null} policy
+ */
+function applyCorsHeaders(req, res, policy) {
+  if (!policy) return;
+  if (variesByOrigin(policy)) addVary(res, "Origin");
+  const origin = req.headers.origin;
+  if (!origin || !isOriginAllowed(policy, origin)) return;
+  res.setHeader(
+    "Access-Control-Allow-Origin",
+    allowOriginValue(policy, origin),
+  );
+  if (policy.credentials) {
+    res.setHeader("Access-Control-Allow-Credentials", "true");
+  }
+  if (policy.exposedHeaders.length > 0) {
+    res.setHeader(
+      "Access-Control-Expose-Headers",
+      policy.exposedHeaders.join(", "),
+    );
+  }
+}
+
+module.exports = {
+  DEFAULT_METHODS,
+  normalizeCorsConfig,
+  resolveCorsPolicy,
+  initApp,
+  isOriginAllowed,
+  isPreflight,
+  answerPreflight,
+  applyCorsHeaders,
+};
@@ -0,0 +1,221 @@
+/**
+ * @module engine/request/encoding
+ * @description Content-Encoding negotiation (Accept-Encoding q-values) and compression
+ * for static files and script responses: br, zstd (when the Node build has it) and gzip.
+ * Engine-internal.
+ */
+
+const zlib = require("zlib");
+
+/** Server preference order when the client rates several codings equally. */
+const DEFAULT_ENCODINGS = ["br", "zstd", "gzip"];
+
+/** Default Brotli quality (0–11). Mid-range keeps on-the-fly compression cheap. */
+const DEFAULT_BROTLI_QUALITY = 5;
+
+/** File suffix of precompressed siblings emitted by build tools (app.js → app.js.br). */
+const PRECOMPRESSED_SUFFIX = { br: ".br", zstd: ".zst", gzip: ".gz" };
+
+/**
+ * Whether this Node build can produce an encoding.
+ * @param {string} encoding
+ * @returns {boolean}
+ */
+function isEncodingSupported(encoding) {
+  if (encoding === "gzip") return true;
+  if (encoding === "br") return typeof zlib.brotliCompress === "function";
+  if (encoding === "zstd") return typeof zlib.zstdCompress === "function";
+  return false;
+}
+
+/**
+ * Effective content_encoding settings from gingee.json (defaults filled, unsupported codings dropped).
+ * @param {object|null|undefined} globalConfig
+ * @returns {{ enabled: boolean, encodings: string[], brotliQuality: number }}
+ */
+function resolveEncodingConfig(globalConfig) {
+  const ce =
+    globalConfig &&
+    globalConfig.content_encoding &&
+    typeof globalConfig.content_encoding === "object"
+      ? globalConfig.content_encoding
+      : {};
+  const list = Array.isArray(ce.encodings) ? ce.encodings : DEFAULT_ENCODINGS;
+  const encodings = [];
+  for (const e of list) {
+    const name = String(e).trim().toLowerCase();
+    if (isEncodingSupported(name) && !encodings.includes(name)) {
+      encodings.push(name);
+    }
+  }
+  const q = Number(ce.brotli_quality);
+  const brotliQuality =
+    ce.brotli_quality != null && Number.isInteger(q) && q >= 0 && q <= 11
+      ? q
+      : DEFAULT_BROTLI_QUALITY;
+  return { enabled: !!ce.enabled, encodings, brotliQuality };
+}
+
+/**
+ * Parse Accept-Encoding into coding → q (lowercased; `x-gzip` treated as gzip).
+ * @param {string|undefined} header
+ * @returns {Map<string, number>}
+ */
+function parseAcceptEncoding(header) {
+  const out = new Map();
+  if (header == null) return out;
+  for (const part of String(header).split(",")) {
+    const [rawName, ...params] = part.split(";");
+    let name = rawName.trim().toLowerCase();
+    if (!name) continue;
+    if (name === "x-gzip") name = "gzip";
+    let q = 1;
+    for (const p of params) {
+      const m = /^\s*q\s*=\s*([0-9.]+)\s*$/i.exec(p);
+      if (m) {
+        const n = parseFloat(m[1]);
+        q = Number.isFinite(n) ? Math.min(Math.max(n, 0), 1) : 0;
+      }
+    }
+    // First occurrence wins (duplicates are malformed).
+    if (!out.has(name)) out.set(name, q);
+  }
+  return out;
+}
+
+/**
+ * Acceptable encodings from `available`, best first: higher q, then server order.
+ * Codings with q=0 (explicitly or via `*;q=0`) are excluded.
+ *
+ * @param {string|undefined} acceptEncoding - request header
+ * @param {string[]} available - server-side candidates in preference order
+ * @returns {Array<{ encoding: string, q: number }>}
+ */
+function rankEncodings(acceptEncoding, available) {
+  const accepted = parseAcceptEncoding(acceptEncoding);
+  const star = accepted.has("*") ? accepted.get("*") : 0;
+  const ranked = [];
+  (available || []).forEach((encoding, index) => {
+    const q = accepted.has(encoding) ? accepted.get(encoding) : star;
+    if (q > 0) ranked.push({ encoding, q, index });
+  });
+  ranked.sort((a, b) => b.q - a.q || a.index - b.index);
+  return ranked.map(({ encoding, q }) => ({ encoding, q }));
+}
+
+/**
+ * Best encoding for a request, or null for identity.
+ * @param {string|undefined} acceptEncoding
+ * @param {string[]} available
+ * @returns {string|null}
+ */
+function negotiateEncoding(acceptEncoding, available) {
+  const ranked = rankEncodings(acceptEncoding, available);
+  return ranked.length > 0 ? ranked[0].encoding : null;
+}
+
+/**
+ * Whether content_encoding is on and the client accepts at least one enabled coding.
+ * Backs the `canCompress` flag on the request ALS store.
+ * @param {object|null|undefined} globalConfig
+ * @param {string|undefined} acceptEncoding
+ * @returns {boolean}
+ */
+function canNegotiateEncoding(globalConfig, acceptEncoding) {
+  const { enabled, encodings } = resolveEncodingConfig(globalConfig);
+  return enabled && negotiateEncoding(acceptEncoding, encodings) !== null;
+}
+
+/**
+ * Add a header name to a Vary value without duplicating it (case-insensitive).
+ * @param {string|string[]|undefined} existing - current Vary header
+ * @param {string} name
+ * @returns {string}
+ */
+function mergeVary(existing, name) {
+  const current = (
+    Array.isArray(existing) ? existing.join(",") : existing || ""
+  )
+    .split(",")
+    .map((s) => s.trim())
+    .filter(Boolean);
+  if (current.includes("*")) return "*";
+  if (current.some((v) => v.toLowerCase() === name.toLowerCase())) {
+    return current.join(", ");
+  }
+  return [...current, name].join(", ");
+}
+
+/**
+ * @private
+ */
+function compressOptions(encoding, options) {
+  if (encoding === "br") {
+    const quality =
+      options && Number.isInteger(options.brotliQuality)
+        ? options.brotliQuality
+        : DEFAULT_BROTLI_QUALITY;
+    return { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: quality } };
+  }
+  return {};
+}
+
+/**
+ * Compress a buffer asynchronously. Resolves null on failure or unknown encoding.
+ * @param {string} encoding - br | zstd | gzip
+ * @param {Buffer} data
+ * @param {{ brotliQuality?: number }} [options]
+ * @returns {Promise<Buffer|null>}
+ */
+function compressBuffer(encoding, data, options) {
+  const fn =
+    encoding === "gzip"
+      ? zlib.gzip
+      : encoding === "br"
+        ? zlib.brotliCompress
+        : encoding === "zstd"
+          ? zlib.zstdCompress
+          : null;
+  if (typeof fn !== "function") return Promise.resolve(null);
+  return new Promise((resolve) => {
+    fn(data, compressOptions(encoding, options), (err, compressed) => {
+      resolve(err || !compressed ? null : compressed);
+    });
+  });
+}
+
+/**
+ * Compress a buffer synchronously (script responses). Throws on failure.
+ * @param {string} encoding
+ * @param {Buffer} data
+ * @param {{ brotliQuality?: number }} [options]
+ * @returns {Buffer}
+ */
+function compressSync(encoding, data, options) {
+  const fn =
+    encoding === "gzip"
+      ? zlib.gzipSync
+      : encoding === "br"
+        ? zlib.brotliCompressSync
+        : encoding === "zstd"
+          ? zlib.zstdCompressSync
+          : null;
+  if (typeof fn !== "function") {
+    throw new Error(`Unsupported content encoding: ${encoding}`);
+  }
+  return fn(data, compressOptions(encoding, options));
+}
+
+module.exports = {
+  DEFAULT_ENCODINGS,
+  PRECOMPRESSED_SUFFIX,
+  isEncodingSupported,
+  resolveEncodingConfig,
+  parseAcceptEncoding,
+  rankEncodings,
+  negotiateEncoding,
+  canNegotiateEncoding,
+  mergeVary,
+  compressBuffer,
+  compressSync,
+};
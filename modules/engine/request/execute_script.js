@@ -43,6 +43,10 @@ async function executeScriptLocal(opts) {
     }
   }
 
+  if (store) {
+    // routes.json `schema` is enforced for the main script's handler, not default_include ones.
+    store.mainScriptStarted = true;
+  }
   const script = runInGBox(scriptPath, gBoxConfig);
   if (typeof script === "function") {
     await script();
@@ -76,6 +80,11 @@ async function executeScriptRemote(opts) {
   }
 
   const routeParams = store && store.routeParams ? store.routeParams : {};
+  const routeSchema = store && store.routeSchema ? store.routeSchema : null;
+  const uploadPolicy = store && store.uploadPolicy ? store.uploadPolicy : null;
+  const tusUpload = store && store.tusUpload ? store.tusUpload : null;
+  const oidcLogin = store && store.oidcLogin ? store.oidcLogin : null;
+  const apiKey = store && store.apiKey ? store.apiKey : null;
   const maxBodySize =
     (store && store.maxBodySize) ||
     (gBoxConfig.globalConfig && gBoxConfig.globalConfig.max_body_size) ||
@@ -88,6 +97,11 @@ async function executeScriptRemote(opts) {
     res,
     scriptPath,
     routeParams,
+    routeSchema,
+    uploadPolicy,
+    tusUpload,
+    oidcLogin,
+    apiKey,
     maxBodySize,
     useCache: useCache !== false,
     logger,
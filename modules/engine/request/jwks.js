@@ -0,0 +1,73 @@
+/**
+ * @module engine/request/jwks
+ * @description Public JWK Set for an app's `jwt.keys`, served at app.json `jwt.jwks_path`
+ * (default `/.well-known/jwks.json`) so other services can verify the app's tokens.
+ * Only public key material is ever written. Engine-internal.
+ */
+
+const metrics = require("../../metrics.js");
+const conditional = require("./conditional.js");
+const jwtKeys = require("../jwt_keys.js");
+
+/** Relying parties may cache the set briefly; keep retired keys listed longer than this. */
+const JWKS_MAX_AGE_SECONDS = 300;
+
+/**
+ * @param {object} app
+ * @param {object} req
+ * @param {string} requestPath - path inside the app (no app prefix)
+ * @returns {boolean}
+ */
+function isJwksRequest(app, req, requestPath) {
+  if (req.method !== "GET" && req.method !== "HEAD") return false;
+  const jwksPath = jwtKeys.resolveJwksPath(app && app.config);
+  return jwksPath !== null && requestPath === jwksPath;
+}
+
+/**
+ * Send the app's JWKS (ETag / 304 aware).
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} app
+ * @param {object} meta
+ * @param {string} meta.appName
+ * @param {number} [meta.requestStartedAt]
+ * @throws {Error} If `jwt.keys` cannot be read (the request handler answers 500).
+ */
+function serveJwks(req, res, app, meta) {
+  const keyring = jwtKeys.getKeyring(app.config.jwt);
+  const body = Buffer.from(
+    JSON.stringify(jwtKeys.toPublicJwks(keyring)),
+    "utf8",
+  );
+  const etag = conditional.computeEtag(body);
+  const cacheControl = `public, max-age=${JWKS_MAX_AGE_SECONDS}`;
+  let statusCode = 200;
+  if (conditional.isNotModified(req.headers, { etag })) {
+    statusCode = 304;
+    res.writeHead(statusCode, { ETag: etag, "Cache-Control": cacheControl });
+    res.end();
+  } else {
+    res.writeHead(statusCode, {
+      "Content-Type": "application/jwk-set+json",
+      "Content-Length": body.length,
+      ETag: etag,
+      "Cache-Control": cacheControl,
+    });
+    res.end(req.method === "HEAD" ? undefined : body);
+  }
+  metrics.recordHttpRequest({
+    app: meta.appName,
+    kind: "other",
+    statusCode,
+    durationSeconds: meta.requestStartedAt
+      ? (Date.now() - meta.requestStartedAt) / 1000
+      : 0,
+  });
+}
+
+module.exports = {
+  isJwksRequest,
+  serveJwks,
+};
@@ -0,0 +1,611 @@
+/**
+ * @module engine/request/oidc
+ * @description OpenID Connect / OAuth 2.0 login for an app (authorization code flow with PKCE).
+ * `GET <oidc.login_path>` sends the browser to the provider; `GET <oidc.callback_path>` checks
+ * `state`, exchanges the code, validates the ID token (signature via the provider's JWKS, `iss`,
+ * `aud`, `exp`, `nonce`) and hands a normalized profile to the `oidc.on_login` box script as
+ * `$g.oidc`. Pending logins are kept in the cache service for ten minutes, so any node can finish
+ * them. Provider calls go through `httpclient` (egress policy and outbound limits apply).
+ * Engine-internal.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const querystring = require("querystring");
+const metrics = require("../../metrics.js");
+const cacheService = require("../../cache_service.js");
+const httpclient = require("../../httpclient.js");
+const jwtKeys = require("../jwt_keys.js");
+const { confineScriptPath } = require("./path_confine.js");
+
+const DEFAULT_LOGIN_PATH = "/auth/login";
+const DEFAULT_CALLBACK_PATH = "/auth/callback";
+const DEFAULT_SCOPES = ["openid", "profile", "email"];
+const STATE_COOKIE = "gingee_oidc_state";
+const LOGIN_TTL_SECONDS = 10 * 60;
+const DISCOVERY_TTL_MS = 60 * 60 * 1000;
+/** Allowed difference between our clock and the provider's for `iat` / `nbf`. */
+const CLOCK_TOLERANCE_SECONDS = 60;
+const ENDPOINT_KEYS = [
+  "authorization_endpoint",
+  "token_endpoint",
+  "userinfo_endpoint",
+  "jwks_uri",
+];
+
+/** issuer -> { metadata, expiresAt } */
+const discoveryCache = new Map();
+
+/**
+ * @private
+ */
+function _appPath(value, fallback) {
+  let p = typeof value === "string" && value.trim() ? value.trim() : fallback;
+  p = p.replace(/\/+$/, "");
+  return p.startsWith("/") ? p : `/${p}`;
+}
+
+/**
+ * Effective app.json `oidc` settings (secrets are already resolved at app load).
+ * @param {object} appConfig - app.json
+ * @returns {{ enabled: boolean, issuer: string|null, clientId: string|null,
+ *   clientSecret: string|null, scopes: string[], loginPath: string, callbackPath: string,
+ *   redirectUri: string|null, afterLogin: string, onLogin: { script: string }|null,
+ *   endpoints: object, authParams: object, tokenAuthMethod: string }}
+ */
+function resolveOidcConfig(appConfig) {
+  const raw =
+    appConfig && appConfig.oidc && typeof appConfig.oidc === "object"
+      ? appConfig.oidc
+      : {};
+  const str = (v) => (typeof v === "string" && v.trim() ? v.trim() : null);
+
+  let scopes = DEFAULT_SCOPES;
+  if (Array.isArray(raw.scopes) && raw.scopes.length > 0) {
+    scopes = raw.scopes.map(String);
+  } else if (str(raw.scopes)) {
+    scopes = str(raw.scopes).split(/\s+/);
+  }
+
+  const endpoints = {};
+  for (const key of ENDPOINT_KEYS) {
+    if (str(raw[key])) endpoints[key] = str(raw[key]);
+  }
+
+  const hook = raw.on_login;
+  return {
+    enabled: raw.enabled === true,
+    issuer: str(raw.issuer) ? str(raw.issuer).replace(/\/+$/, "") : null,
+    clientId: str(raw.client_id),
+    clientSecret: raw.client_secret != null ? String(raw.client_secret) : null,
+    scopes,
+    loginPath: _appPath(raw.login_path, DEFAULT_LOGIN_PATH),
+    callbackPath: _appPath(raw.callback_path, DEFAULT_CALLBACK_PATH),
+    redirectUri: str(raw.redirect_uri),
+    afterLogin: safeReturnTo(raw.redirect_after_login) || "/",
+    onLogin:
+      hook && typeof hook === "object" && str(hook.script)
+        ? { script: str(hook.script) }
+        : null,
+    endpoints,
+    authParams:
+      raw.auth_params && typeof raw.auth_params === "object"
+        ? raw.auth_params
+        : {},
+    tokenAuthMethod:
+      raw.token_endpoint_auth_method === "client_secret_post"
+        ? "client_secret_post"
+        : "client_secret_basic",
+  };
+}
+
+/**
+ * Whether this request is the app's OIDC login or callback URL.
+ * @param {object} app
+ * @param {string} requestPath - path after `/{app}`
+ * @returns {boolean}
+ */
+function isOidcRequest(app, requestPath) {
+  const cfg = resolveOidcConfig(app && app.config);
+  if (!cfg.enabled) return false;
+  return requestPath === cfg.loginPath || requestPath === cfg.callbackPath;
+}
+
+/**
+ * An app-relative path to return to after login, or null. Absolute and protocol-relative
+ * URLs are refused so the login cannot be used as an open redirect.
+ * @param {*} value
+ * @returns {string|null}
+ */
+function safeReturnTo(value) {
+  if (typeof value !== "string") return null;
+  const v = value.trim();
+  if (!v.startsWith("/") || v.startsWith("//") || v.includes("\\")) {
+    return null;
+  }
+  if (/[\u0000-\u001f]/.test(v)) return null;
+  return v;
+}
+
+/**
+ * Profile fields the on_login script can rely on, whatever the provider calls them.
+ * @param {object} claims - ID token claims merged with the userinfo response
+ * @returns {{ id: string, email: string|null, emailVerified: boolean, name: string|null,
+ *   givenName: string|null, familyName: string|null, username: string|null,
+ *   picture: string|null, locale: string|null }}
+ */
+function normalizeProfile(claims) {
+  const pick = (...keys) => {
+    for (const k of keys) {
+      if (claims[k] != null && claims[k] !== "") return String(claims[k]);
+    }
+    return null;
+  };
+  const givenName = pick("given_name");
+  const familyName = pick("family_name");
+  return {
+    id: pick("sub", "id") || "",
+    email: pick("email"),
+    emailVerified:
+      claims.email_verified === true || claims.email_verified === "true",
+    name:
+      pick("name") || [givenName, familyName].filter(Boolean).join(" ") || null,
+    givenName,
+    familyName,
+    username: pick("preferred_username", "nickname", "login"),
+    picture: pick("picture", "avatar_url"),
+    locale: pick("locale"),
+  };
+}
+
+/**
+ * @private
+ */
+function _base64url(bytes) {
+  return Buffer.from(bytes).toString("base64url");
+}
+
+/**
+ * @private
+ */
+function _parseJson(body) {
+  return typeof body === "string" || Buffer.isBuffer(body)
+    ? JSON.parse(body.toString())
+    : body;
+}
+
+/**
+ * Provider endpoints: `<issuer>/.well-known/openid-configuration` (cached for an hour),
+ * overridden by any endpoint set in app.json.
+ * @private
+ */
+async function _providerMetadata(cfg) {
+  let discovered = {};
+  if (cfg.issuer) {
+    const cached = discoveryCache.get(cfg.issuer);
+    if (cached && cached.expiresAt > Date.now()) {
+      discovered = cached.metadata;
+    } else {
+      const url = `${cfg.issuer}/.well-known/openid-configuration`;
+      const res = await httpclient.get(url, {
+        headers: { Accept: "application/json" },
+      });
+      if (res.status !== 200) {
+        throw new Error(
+          `OIDC discovery failed for ${cfg.issuer}: HTTP ${res.status}${res.code ? ` (${res.code})` : ""}`,
+        );
+      }
+      discovered = _parseJson(res.body);
+      if (discovered.issuer !== cfg.issuer) {
+        throw new Error(
+          `OIDC discovery for ${cfg.issuer} returned issuer '${discovered.issuer}'.`,
+        );
+      }
+      discoveryCache.set(cfg.issuer, {
+        metadata: discovered,
+        expiresAt: Date.now() + DISCOVERY_TTL_MS,
+      });
+    }
+  }
+  const metadata = { ...discovered, ...cfg.endpoints };
+  if (!metadata.authorization_endpoint || !metadata.token_endpoint) {
+    throw new Error(
+      "oidc needs an 'issuer' (discovery) or 'authorization_endpoint' and 'token_endpoint'.",
+    );
+  }
+  return metadata;
+}
+
+/**
+ * Checks the ID token signature with the provider's JWKS and its claims.
+ * @private
+ * @returns {Promise<object>} the claims
+ */
+async function _validateIdToken(idToken, cfg, metadata, nonce, logger) {
+  const [encodedHeader, encodedPayload, signature, extra] =
+    String(idToken).split(".");
+  if (!encodedHeader || !encodedPayload || !signature || extra !== undefined) {
+    throw new Error("malformed id_token");
+  }
+  const header = JSON.parse(Buffer.from(encodedHeader, "base64url"));
+  if (!jwtKeys.ALGORITHMS[header.alg]) {
+    throw new Error(`id_token alg '${header.alg}' is not supported`);
+  }
+  if (!metadata.jwks_uri || header.kid == null) {
+    throw new Error("id_token cannot be checked (no jwks_uri or kid)");
+  }
+  const key = await jwtKeys.getRemoteKey(
+    metadata.jwks_uri,
+    String(header.kid),
+    { logger },
+  );
+  if (
+    !key ||
+    key.alg !== header.alg ||
+    !jwtKeys.verify(
+      header.alg,
+      `${encodedHeader}.${encodedPayload}`,
+      signature,
+      key.key,
+    )
+  ) {
+    throw new Error("id_token signature is invalid");
+  }
+
+  const claims = JSON.parse(Buffer.from(encodedPayload, "base64url"));
+  const now = Math.floor(Date.now() / 1000);
+  const expectedIssuer = metadata.issuer || cfg.issuer;
+  if (expectedIssuer && claims.iss !== expectedIssuer) {
+    throw new Error(
+      `id_token issuer '${claims.iss}' is not '${expectedIssuer}'`,
+    );
+  }
+  const aud = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+  if (!aud.includes(cfg.clientId)) {
+    throw new Error("id_token audience does not include client_id");
+  }
+  if (aud.length > 1 && claims.azp !== cfg.clientId) {
+    throw new Error("id_token azp is not client_id");
+  }
+  if (claims.exp == null || claims.exp < now) {
+    throw new Error("id_token has expired");
+  }
+  if (claims.iat != null && claims.iat > now + CLOCK_TOLERANCE_SECONDS) {
+    throw new Error("id_token is issued in the future");
+  }
+  if (claims.nonce !== nonce) {
+    throw new Error("id_token nonce does not match");
+  }
+  return claims;
+}
+
+/**
+ * @private
+ */
+function _reply(res, statusCode, headers, body, meta) {
+  if (!res.headersSent) {
+    const out = { ...headers };
+    if (body !== undefined) {
+      out["Content-Type"] = "text/plain";
+      out["Content-Length"] = Buffer.byteLength(body);
+    }
+    res.writeHead(statusCode, out);
+    res.end(body);
+  }
+  metrics.recordHttpRequest({
+    app: meta.appName,
+    kind: "other",
+    statusCode,
+    durationSeconds: meta.requestStartedAt
+      ? (Date.now() - meta.requestStartedAt) / 1000
+      : 0,
+  });
+}
+
+/**
+ * @private
+ */
+function _stateCookie(value, cookiePath, secure, maxAge) {
+  return (
+    `${STATE_COOKIE}=${value}; Path=${cookiePath}; Max-Age=${maxAge}; HttpOnly; SameSite=Lax` +
+    (secure ? "; Secure" : "")
+  );
+}
+
+/**
+ * @private
+ */
+function _readCookie(req, name) {
+  const header = (req.headers && req.headers.cookie) || "";
+  for (const part of header.split(";")) {
+    const [k, ...rest] = part.split("=");
+    if (k && k.trim() === name) return rest.join("=").trim();
+  }
+  return null;
+}
+
+/**
+ * @private
+ */
+function _isHttps(req) {
+  if (req.socket && req.socket.encrypted) return true;
+  const xf = req.headers && req.headers["x-forwarded-proto"];
+  return !!xf && String(xf).split(",")[0].trim().toLowerCase() === "https";
+}
+
+/**
+ * @private
+ */
+function _loginKey(appName, state) {
+  return `_oidc:${appName}:${state}`;
+}
+
+/**
+ * @private
+ */
+async function _startLogin(req, res, cfg, query, ctx, meta) {
+  const metadata = await _providerMetadata(cfg);
+  const secure = _isHttps(req);
+  const redirectUri =
+    cfg.redirectUri ||
+    `${secure ? "https" : "http"}://${req.headers.host}${ctx.baseUrl}${cfg.callbackPath}`;
+
+  const state = _base64url(crypto.randomBytes(32));
+  const nonce = _base64url(crypto.randomBytes(32));
+  const codeVerifier = _base64url(crypto.randomBytes(32));
+  const codeChallenge = _base64url(
+    crypto.createHash("sha256").update(codeVerifier).digest(),
+  );
+  await cacheService.set(
+    _loginKey(ctx.appName, state),
+    {
+      nonce,
+      codeVerifier,
+      redirectUri,
+      returnTo: safeReturnTo(query.return_to) || cfg.afterLogin,
+    },
+    LOGIN_TTL_SECONDS,
+  );
+
+  const location = new URL(metadata.authorization_endpoint);
+  const params = {
+    ...cfg.authParams,
+    response_type: "code",
+    client_id: cfg.clientId,
+    redirect_uri: redirectUri,
+    scope: cfg.scopes.join(" "),
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  };
+  for (const [k, v] of Object.entries(params)) {
+    location.searchParams.set(k, String(v));
+  }
+  _reply(
+    res,
+    302,
+    {
+      Location: location.toString(),
+      "Set-Cookie": _stateCookie(
+        state,
+        `${ctx.baseUrl}${cfg.callbackPath}`,
+        secure,
+        LOGIN_TTL_SECONDS,
+      ),
+      "Cache-Control": "no-store",
+    },
+    undefined,
+    meta,
+  );
+}
+
+/**
+ * @private
+ */
+async function _exchangeCode(cfg, metadata, code, pending) {
+  const body = {
+    grant_type: "authorization_code",
+    code,
+    redirect_uri: pending.redirectUri,
+    code_verifier: pending.codeVerifier,
+    client_id: cfg.clientId,
+  };
+  const headers = { Accept: "application/json" };
+  if (cfg.clientSecret && cfg.tokenAuthMethod === "client_secret_post") {
+    body.client_secret = cfg.clientSecret;
+  } else if (cfg.clientSecret) {
+    const basic = `${querystring.escape(cfg.clientId)}:${querystring.escape(cfg.clientSecret)}`;
+    headers.Authorization = `Basic ${Buffer.from(basic).toString("base64")}`;
+  }
+  const res = await httpclient.post(metadata.token_endpoint, body, {
+    postType: httpclient.FORM,
+    headers,
+  });
+  let tokens = null;
+  try {
+    tokens = _parseJson(res.body);
+  } catch (_) {
+    tokens = null;
+  }
+  if (res.status !== 200 || !tokens || !tokens.access_token) {
+    const reason =
+      tokens && tokens.error
+        ? `${tokens.error}${tokens.error_description ? `: ${tokens.error_description}` : ""}`
+        : `HTTP ${res.status}${res.code ? ` (${res.code})` : ""}`;
+    throw new Error(`token exchange failed: ${reason}`);
+  }
+  return tokens;
+}
+
+/**
+ * @private
+ */
+async function _fetchUserinfo(metadata, accessToken) {
+  if (!metadata.userinfo_endpoint) return {};
+  const res = await httpclient.get(metadata.userinfo_endpoint, {
+    headers: {
+      Accept: "application/json",
+      Authorization: `Bearer ${accessToken}`,
+    },
+  });
+  if (res.status !== 200) {
+    throw new Error(`userinfo failed: HTTP ${res.status}`);
+  }
+  return _parseJson(res.body) || {};
+}
+
+/**
+ * @private
+ */
+async function _finishLogin(req, res, cfg, query, ctx, meta) {
+  const secure = _isHttps(req);
+  const cookiePath = `${ctx.baseUrl}${cfg.callbackPath}`;
+  const clearCookie = { "Set-Cookie": _stateCookie("", cookiePath, secure, 0) };
+  const fail = (status, message, detail) => {
+    ctx.logger.warn(`OIDC login failed: ${detail || message}`);
+    _reply(res, status, clearCookie, message, meta);
+  };
+
+  const state = typeof query.state === "string" ? query.state : "";
+  if (!state || state !== _readCookie(req, STATE_COOKIE)) {
+    return fail(400, "Invalid login state", "state does not match the cookie");
+  }
+  const key = _loginKey(ctx.appName, state);
+  const pending = await cacheService.get(key);
+  await cacheService.del(key);
+  if (!pending) {
+    return fail(400, "Login expired, please try again", "unknown state");
+  }
+  if (query.error) {
+    return fail(
+      401,
+      "Login was not completed",
+      `provider returned ${query.error}${query.error_description ? `: ${query.error_description}` : ""}`,
+    );
+  }
+  if (typeof query.code !== "string" || !query.code) {
+    return fail(400, "Invalid login response", "no authorization code");
+  }
+
+  let login;
+  try {
+    const metadata = await _providerMetadata(cfg);
+    const tokens = await _exchangeCode(cfg, metadata, query.code, pending);
+    let claims = {};
+    if (cfg.scopes.includes("openid")) {
+      if (!tokens.id_token) throw new Error("no id_token in token response");
+      claims = await _validateIdToken(
+        tokens.id_token,
+        cfg,
+        metadata,
+        pending.nonce,
+        ctx.logger,
+      );
+    }
+    const userinfo = await _fetchUserinfo(metadata, tokens.access_token);
+    if (claims.sub && userinfo.sub && userinfo.sub !== claims.sub) {
+      throw new Error("userinfo sub does not match the id_token");
+    }
+    claims = { ...userinfo, ...claims };
+    login = {
+      provider: cfg.issuer || new URL(metadata.authorization_endpoint).origin,
+      user: normalizeProfile(claims),
+      claims,
+      tokens: {
+        accessToken: tokens.access_token,
+        idToken: tokens.id_token || null,
+        refreshToken: tokens.refresh_token || null,
+        expiresIn: tokens.expires_in != null ? Number(tokens.expires_in) : null,
+        scope: tokens.scope || cfg.scopes.join(" "),
+      },
+      returnTo: `${ctx.baseUrl}${pending.returnTo}`,
+    };
+  } catch (err) {
+    return fail(502, "Login failed", err.message);
+  }
+  if (!login.user.id) {
+    return fail(502, "Login failed", "the provider returned no subject");
+  }
+
+  res.setHeader("Set-Cookie", clearCookie["Set-Cookie"]);
+  res.setHeader("Cache-Control", "no-store");
+  await ctx.runScript(ctx.scriptPath, login);
+  if (!res.headersSent) {
+    _reply(res, 302, { Location: login.returnTo }, undefined, meta);
+  }
+}
+
+/**
+ * Handle the login or callback request.
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} app - live app
+ * @param {string} requestPath - path after `/{app}`
+ * @param {object} ctx
+ * @param {string} ctx.appName
+ * @param {string} ctx.baseUrl - URL prefix of the app (`/<app>`, or empty when host-mapped)
+ * @param {object} ctx.logger
+ * @param {number} [ctx.requestStartedAt]
+ * @param {function(string, object): Promise<void>} ctx.runScript - run the on_login script
+ *   for this request with `$g.oidc` (it normally sets a session and redirects)
+ * @returns {Promise<void>}
+ */
+async function handleOidc(req, res, app, requestPath, ctx) {
+  const cfg = resolveOidcConfig(app.config);
+  const meta = { appName: ctx.appName, requestStartedAt: ctx.requestStartedAt };
+  if (req.method !== "GET") {
+    _reply(res, 405, { Allow: "GET" }, "Method Not Allowed", meta);
+    return;
+  }
+
+  const scriptPath =
+    cfg.onLogin &&
+    confineScriptPath(
+      app.appBoxPath,
+      path.extname(cfg.onLogin.script)
+        ? cfg.onLogin.script
+        : `${cfg.onLogin.script}.js`,
+    );
+  if (!cfg.clientId || !scriptPath || !fs.existsSync(scriptPath)) {
+    ctx.logger.error(
+      "oidc needs 'client_id' and an existing 'on_login.script' in the box.",
+    );
+    _reply(res, 500, {}, "Login is not configured", meta);
+    return;
+  }
+
+  const query = querystring.parse(
+    new URL(req.url, "http://localhost").search.slice(1),
+  );
+  if (requestPath === cfg.loginPath) {
+    try {
+      await _startLogin(req, res, cfg, query, ctx, meta);
+    } catch (err) {
+      ctx.logger.error(`OIDC login could not start: ${err.message}`);
+      _reply(res, 502, {}, "Login provider unavailable", meta);
+    }
+    return;
+  }
+  await _finishLogin(req, res, cfg, query, { ...ctx, scriptPath }, meta);
+}
+
+/**
+ * @private
+ */
+function _resetForTests() {
+  discoveryCache.clear();
+}
+
+module.exports = {
+  DEFAULT_LOGIN_PATH,
+  DEFAULT_CALLBACK_PATH,
+  resolveOidcConfig,
+  isOidcRequest,
+  safeReturnTo,
+  normalizeProfile,
+  handleOidc,
+  _resetForTests,
+};
@@ -0,0 +1,395 @@
+/**
+ * @module engine/request/openapi
+ * @description OpenAPI 3.1 document built from an app's compiled routes.json: paths, methods,
+ * path params, `schema` (params/query/body) and optional doc metadata (summary, description,
+ * tags, operationId, deprecated, responses, auth). Served at app.json `openapi.path` when
+ * `openapi.enabled` is true; Glade exports it for any app. Engine-internal.
+ */
+
+const { parse } = require("path-to-regexp");
+const metrics = require("../../metrics.js");
+const conditional = require("./conditional.js");
+
+const OPENAPI_VERSION = "3.1.0";
+const DEFAULT_OPENAPI_PATH = "/openapi.json";
+
+/** Methods an `ALL` route is documented under. */
+const ALL_METHODS = ["get", "post", "put", "patch", "delete"];
+
+/** Built-in security schemes a route `auth` may name. */
+const BUILTIN_SECURITY_SCHEMES = {
+  bearer: { type: "http", scheme: "bearer", bearerFormat: "JWT" },
+  basic: { type: "http", scheme: "basic" },
+  api_key: { type: "apiKey", in: "header", name: "X-API-Key" },
+};
+
+/** Body of the engine's schema-validation 400 (see engine/request/schema). */
+const VALIDATION_ERROR_SCHEMA = {
+  type: "object",
+  properties: {
+    error: { const: "VALIDATION_FAILED" },
+    message: { type: "string" },
+    violations: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          in: { enum: ["params", "query", "body"] },
+          path: { type: "string" },
+          keyword: { type: "string" },
+          message: { type: "string" },
+          params: { type: "object" },
+        },
+      },
+    },
+  },
+  required: ["error", "violations"],
+};
+
+/**
+ * Effective app.json `openapi` settings.
+ * @param {object} appConfig - app.json
+ * @returns {{ enabled: boolean, path: string, title: string|null, description: string|null,
+ *   securitySchemes: object }}
+ */
+function resolveOpenApiConfig(appConfig) {
+  const raw =
+    appConfig && appConfig.openapi && typeof appConfig.openapi === "object"
+      ? appConfig.openapi
+      : {};
+  let docPath =
+    typeof raw.path === "string" && raw.path.trim()
+      ? raw.path.trim()
+      : DEFAULT_OPENAPI_PATH;
+  if (!docPath.startsWith("/")) docPath = `/${docPath}`;
+  return {
+    enabled: raw.enabled === true,
+    path: docPath,
+    title: typeof raw.title === "string" ? raw.title : null,
+    description: typeof raw.description === "string" ? raw.description : null,
+    securitySchemes:
+      raw.security_schemes && typeof raw.security_schemes === "object"
+        ? raw.security_schemes
+        : {},
+  };
+}
+
+/**
+ * Flatten path-to-regexp tokens; optional `{...}` groups yield one variant with and one without.
+ * @private
+ */
+function expandTokens(tokens) {
+  let variants = [[]];
+  for (const token of tokens) {
+    if (token.type === "group") {
+      const inner = expandTokens(token.tokens);
+      const next = [];
+      for (const v of variants) {
+        next.push(v);
+        for (const g of inner) next.push([...v, ...g]);
+      }
+      variants = next;
+    } else {
+      variants = variants.map((v) => [...v, token]);
+    }
+  }
+  return variants;
+}
+
+/**
+ * OpenAPI path templates for a routes.json path (`/users/:id{/:format}` → `/users/{id}` and
+ * `/users/{id}/{format}`).
+ *
+ * @param {string} routePath
+ * @returns {Array<{ path: string, params: string[] }>}
+ */
+function toOpenApiPaths(routePath) {
+  let tokens;
+  try {
+    tokens = parse(routePath).tokens;
+  } catch (_) {
+    return [];
+  }
+  return expandTokens(tokens).map((variant) => {
+    const params = [];
+    let out = "";
+    for (const token of variant) {
+      if (token.type === "text") {
+        out += token.value;
+      } else {
+        params.push(token.name);
+        out += `{${token.name}}`;
+      }
+    }
+    return { path: out || "/", params };
+  });
+}
+
+/**
+ * Security requirement list for a route `auth` value: a scheme name, a list of alternatives,
+ * or an object whose truthy keys are schemes (array values are scopes). `false` → public.
+ * @private
+ * @returns {Array<object>|undefined}
+ */
+function securityFor(auth, schemes) {
+  if (auth === undefined || auth === null) return undefined;
+  if (auth === false) return [];
+  let entries = [];
+  if (typeof auth === "string") {
+    entries = [[auth, []]];
+  } else if (Array.isArray(auth)) {
+    entries = auth.map((name) => [String(name), []]);
+  } else if (typeof auth === "object") {
+    entries = Object.entries(auth)
+      .filter(([, v]) => v)
+      .map(([name, v]) => [name, Array.isArray(v) ? v.map(String) : []]);
+  }
+  const out = [];
+  for (const [name, scopes] of entries) {
+    if (!schemes[name] && BUILTIN_SECURITY_SCHEMES[name]) {
+      schemes[name] = BUILTIN_SECURITY_SCHEMES[name];
+    }
+    if (schemes[name]) out.push({ [name]: scopes });
+  }
+  return out.length > 0 ? out : undefined;
+}
+
+/**
+ * routes.json `responses` → OpenAPI responses. Each value is a response object
+ * (`description` / `schema` / `content`) or a bare JSON Schema for an application/json body.
+ * @private
+ */
+function responsesFor(route) {
+  const out = {};
+  const declared =
+    route.doc && route.doc.responses && typeof route.doc.responses === "object"
+      ? route.doc.responses
+      : null;
+  if (declared) {
+    for (const [status, value] of Object.entries(declared)) {
+      const v = value && typeof value === "object" ? value : {};
+      const isResponseObject =
+        "description" in v || "schema" in v || "content" in v;
+      const response = {
+        description:
+          isResponseObject && typeof v.description === "string"
+            ? v.description
+            : "Response",
+      };
+      if (!isResponseObject) {
+        response.content = { "application/json": { schema: v } };
+      } else if (v.content) {
+        response.content = v.content;
+      } else if (v.schema !== undefined) {
+        response.content = { "application/json": { schema: v.schema } };
+      }
+      out[String(status)] = response;
+    }
+  }
+  if (Object.keys(out).length === 0) {
+    out["200"] = { description: "Successful response" };
+  }
+  if (route.schema && !out["400"]) {
+    out["400"] = {
+      description: "Request failed schema validation",
+      content: {
+        "application/json": { schema: VALIDATION_ERROR_SCHEMA },
+      },
+    };
+  }
+  return out;
+}
+
+/**
+ * @private
+ */
+function defaultOperationId(method, docPath) {
+  const words = docPath
+    .replace(/[{}]/g, "")
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean);
+  return [method, ...words].join("_");
+}
+
+/**
+ * One OpenAPI operation for a compiled route at one path template.
+ * @private
+ */
+function operationFor(route, method, variant, schemes, usedIds) {
+  const doc = route.doc || {};
+  const schema = route.schema || {};
+  const op = {};
+  if (doc.summary) op.summary = String(doc.summary);
+  if (doc.description) op.description = String(doc.description);
+  if (Array.isArray(doc.tags) && doc.tags.length > 0) {
+    op.tags = doc.tags.map(String);
+  }
+
+  let operationId = doc.operationId
+    ? String(doc.operationId)
+    : defaultOperationId(method, variant.path);
+  if (usedIds.has(operationId)) {
+    let n = 2;
+    while (usedIds.has(`${operationId}_${n}`)) n++;
+    operationId = `${operationId}_${n}`;
+  }
+  usedIds.add(operationId);
+  op.operationId = operationId;
+  if (doc.deprecated === true) op.deprecated = true;
+
+  const parameters = [];
+  const paramProps = (schema.params && schema.params.properties) || {};
+  for (const name of variant.params) {
+    parameters.push({
+      name,
+      in: "path",
+      required: true,
+      schema: paramProps[name] || { type: "string" },
+    });
+  }
+  const query = schema.query;
+  if (query && query.properties && typeof query.properties === "object") {
+    const required = Array.isArray(query.required) ? query.required : [];
+    for (const [name, propSchema] of Object.entries(query.properties)) {
+      parameters.push({
+        name,
+        in: "query",
+        required: required.includes(name),
+        schema: propSchema,
+      });
+    }
+  }
+  if (parameters.length > 0) op.parameters = parameters;
+
+  if (schema.body !== undefined && method !== "get" && method !== "head") {
+    op.requestBody = {
+      required: true,
+      content: { "application/json": { schema: schema.body } },
+    };
+  }
+
+  op.responses = responsesFor(route);
+
+  const security = securityFor(route.auth, schemes);
+  if (security !== undefined) op.security = security;
+  return op;
+}
+
+/**
+ * Build the OpenAPI 3.1 document for an app from its compiled routes.json.
+ * File-based routes (no routes.json entry) are not listed.
+ *
+ * @param {object} app - live app (config, compiledRoutes)
+ * @param {object} [options]
+ * @param {string} [options.serverUrl] - base URL of the app (default `/<app name>`)
+ * @returns {object} OpenAPI document
+ */
+function buildOpenApiDocument(app, options) {
+  const appConfig = (app && app.config) || {};
+  const appName = (app && app.name) || appConfig.name || "app";
+  const cfg = resolveOpenApiConfig(appConfig);
+  const serverUrl =
+    options && typeof options.serverUrl === "string"
+      ? options.serverUrl
+      : `/${appName}`;
+
+  const schemes = { ...cfg.securitySchemes };
+  const usedIds = new Set();
+  const paths = {};
+
+  for (const route of (app && app.compiledRoutes) || []) {
+    const methods =
+      route.method === "ALL" ? ALL_METHODS : [route.method.toLowerCase()];
+    for (const variant of toOpenApiPaths(route.path)) {
+      const item = paths[variant.path] || (paths[variant.path] = {});
+      for (const method of methods) {
+        // First matching routes.json entry wins at request time; document that one.
+        if (item[method]) continue;
+        item[method] = operationFor(route, method, variant, schemes, usedIds);
+      }
+    }
+  }
+
+  const info = {
+    title: cfg.title || appConfig.name || appName,
+    version: String(appConfig.version || "0.0.0"),
+  };
+  const description = cfg.description || appConfig.description;
+  if (description) info.description = String(description);
+
+  const doc = {
+    openapi: OPENAPI_VERSION,
+    info,
+    servers: [{ url: serverUrl }],
+    paths,
+  };
+  if (Object.keys(schemes).length > 0) {
+    doc.components = { securitySchemes: schemes };
+  }
+  return doc;
+}
+
+/**
+ * Whether this request targets the app's served OpenAPI document.
+ * @param {object} app
+ * @param {object} req
+ * @param {string} requestPath - path after `/{app}`
+ * @returns {boolean}
+ */
+function isOpenApiRequest(app, req, requestPath) {
+  if (req.method !== "GET" && req.method !== "HEAD") return false;
+  const cfg = resolveOpenApiConfig(app && app.config);
+  return cfg.enabled && requestPath === cfg.path;
+}
+
+/**
+ * Send the OpenAPI document (ETag / 304 aware).
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} app
+ * @param {object} meta
+ * @param {string} meta.appName
+ * @param {string} meta.serverUrl - base URL the client used to reach the app
+ * @param {number} [meta.requestStartedAt]
+ */
+function serveOpenApi(req, res, app, meta) {
+  const body = Buffer.from(
+    JSON.stringify(buildOpenApiDocument(app, { serverUrl: meta.serverUrl })),
+    "utf8",
+  );
+  const etag = conditional.computeEtag(body);
+  let statusCode = 200;
+  if (conditional.isNotModified(req.headers, { etag })) {
+    statusCode = 304;
+    res.writeHead(statusCode, { ETag: etag, "Cache-Control": "no-cache" });
+    res.end();
+  } else {
+    res.writeHead(statusCode, {
+      "Content-Type": "application/json",
+      "Content-Length": body.length,
+      ETag: etag,
+      "Cache-Control": "no-cache",
+    });
+    res.end(req.method === "HEAD" ? undefined : body);
+  }
+  metrics.recordHttpRequest({
+    app: meta.appName,
+    kind: "other",
+    statusCode,
+    durationSeconds: meta.requestStartedAt
+      ? (Date.now() - meta.requestStartedAt) / 1000
+      : 0,
+  });
+}
+
+module.exports = {
+  OPENAPI_VERSION,
+  DEFAULT_OPENAPI_PATH,
+  BUILTIN_SECURITY_SCHEMES,
+  resolveOpenApiConfig,
+  toOpenApiPaths,
+  buildOpenApiDocument,
+  isOpenApiRequest,
+  serveOpenApi,
+};
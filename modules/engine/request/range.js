@@ -0,0 +1,163 @@
+/**
+ * @module engine/request/range
+ * @description HTTP Range (bytes) parsing, If-Range evaluation and multipart/byteranges framing
+ * for static files. Engine-internal.
+ */
+
+const crypto = require("crypto");
+
+/** Default cap on ranges honored in one request (more → full 200, avoids abuse). */
+const DEFAULT_MAX_RANGES = 20;
+
+/**
+ * Parse a `Range: bytes=…` header against a representation length.
+ * Overlapping/adjacent ranges are coalesced; order is preserved otherwise.
+ *
+ * @param {string|undefined} header
+ * @param {number} size - full length in bytes
+ * @param {{ maxRanges?: number }} [options]
+ * @returns {Array<{start:number,end:number}>|null|-1}
+ *   ranges (inclusive ends), null when the header should be ignored (absent, malformed,
+ *   other unit, too many ranges), or -1 when no range is satisfiable (416).
+ */
+function parseRange(header, size, options) {
+  if (header == null) return null;
+  const s = String(header).trim();
+  const eq = s.indexOf("=");
+  if (eq === -1 || s.slice(0, eq).trim().toLowerCase() !== "bytes") {
+    return null;
+  }
+  const specs = s
+    .slice(eq + 1)
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  if (specs.length === 0) return null;
+  const maxRanges =
+    options && Number.isFinite(options.maxRanges) && options.maxRanges > 0
+      ? options.maxRanges
+      : DEFAULT_MAX_RANGES;
+  if (specs.length > maxRanges) return null;
+
+  const ranges = [];
+  for (const spec of specs) {
+    const m = /^(\d*)\s*-\s*(\d*)$/.exec(spec);
+    if (!m || (m[1] === "" && m[2] === "")) return null;
+    let start;
+    let end;
+    if (m[1] === "") {
+      // Suffix range: last N bytes.
+      const suffix = Number(m[2]);
+      if (suffix === 0) continue;
+      start = Math.max(0, size - suffix);
+      end = size - 1;
+    } else {
+      start = Number(m[1]);
+      end = m[2] === "" ? size - 1 : Math.min(Number(m[2]), size - 1);
+      if (m[2] !== "" && Number(m[2]) < start) return null;
+    }
+    if (start >= size || start > end) continue;
+    ranges.push({ start, end });
+  }
+  if (ranges.length === 0) return -1;
+  return coalesceRanges(ranges);
+}
+
+/**
+ * Merge overlapping or adjacent ranges (keeps first-seen order of merged groups).
+ * @private
+ */
+function coalesceRanges(ranges) {
+  if (ranges.length < 2) return ranges;
+  const indexed = ranges
+    .map((r, i) => ({ ...r, index: i }))
+    .sort((a, b) => a.start - b.start);
+  const merged = [indexed[0]];
+  for (let i = 1; i < indexed.length; i++) {
+    const cur = indexed[i];
+    const last = merged[merged.length - 1];
+    if (cur.start <= last.end + 1) {
+      last.end = Math.max(last.end, cur.end);
+      last.index = Math.min(last.index, cur.index);
+    } else {
+      merged.push(cur);
+    }
+  }
+  return merged
+    .sort((a, b) => a.index - b.index)
+    .map(({ start, end }) => ({ start, end }));
+}
+
+/**
+ * Whether a Range request may be honored given If-Range (RFC 9110 §13.1.5).
+ * An entity-tag must match strongly; a date must equal Last-Modified (second resolution).
+ *
+ * @param {string|undefined} ifRange
+ * @param {{ etag?: string, lastModified?: number|Date|string }} validators
+ * @returns {boolean}
+ */
+function isRangeFresh(ifRange, validators) {
+  if (ifRange == null || String(ifRange).trim() === "") return true;
+  const value = String(ifRange).trim();
+  const v = validators || {};
+  if (value.startsWith('"') || value.startsWith("W/")) {
+    return (
+      !value.startsWith("W/") &&
+      !!v.etag &&
+      !String(v.etag).startsWith("W/") &&
+      value === v.etag
+    );
+  }
+  if (v.lastModified == null) return false;
+  const date = Date.parse(value);
+  const modified = new Date(v.lastModified).getTime();
+  if (!Number.isFinite(date) || !Number.isFinite(modified)) return false;
+  return Math.floor(date / 1000) === Math.floor(modified / 1000);
+}
+
+/**
+ * `Content-Range` value for one range.
+ * @param {{start:number,end:number}} range
+ * @param {number} size
+ * @returns {string}
+ */
+function contentRange(range, size) {
+  return `bytes ${range.start}-${range.end}/${size}`;
+}
+
+/**
+ * Framing for a multipart/byteranges body. Part bodies are written between
+ * `partHeader(i)` and the closing delimiter by the caller.
+ *
+ * @param {Array<{start:number,end:number}>} ranges
+ * @param {number} size
+ * @param {string} contentType - type of the full representation
+ * @returns {{ contentType: string, partHeader: (i:number) => string, trailer: string, length: number }}
+ *   length is the exact body length (for Content-Length).
+ */
+function multipartByteranges(ranges, size, contentType) {
+  const boundary = crypto.randomBytes(12).toString("hex");
+  const partHeader = (i) =>
+    `${i === 0 ? "" : "\r\n"}--${boundary}\r\n` +
+    `Content-Type: ${contentType}\r\n` +
+    `Content-Range: ${contentRange(ranges[i], size)}\r\n\r\n`;
+  const trailer = `\r\n--${boundary}--\r\n`;
+  let length = Buffer.byteLength(trailer);
+  ranges.forEach((r, i) => {
+    length += Buffer.byteLength(partHeader(i)) + (r.end - r.start + 1);
+  });
+  return {
+    contentType: `multipart/byteranges; boundary=${boundary}`,
+    partHeader,
+    trailer,
+    length,
+  };
+}
+
+module.exports = {
+  DEFAULT_MAX_RANGES,
+  parseRange,
+  isRangeFresh,
+  contentRange,
+  multipartByteranges,
+};
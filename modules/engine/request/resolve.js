@@ -9,6 +9,9 @@ const path = require("path");
 const { URL } = require("url");
 const metrics = require("../../metrics.js");
 const { confineScriptPath } = require("./path_confine.js");
+const { matchRoute } = require("./routes.js");
+const { isPathInside } = require("../../internal_utils.js");
+const { MIGRATIONS_DIR } = require("../migrations.js");
 
 /**
  * Apply default_app rewrite for `/`.
@@ -31,31 +34,245 @@ function applyDefaultAppRoute(req, apps, config, logger) {
     }
   }
 
-  const urlWithoutQuery = req.url.split("?")[0];
-  const qIdx = req.url.indexOf("?");
+  return splitRequestUrl(req.url);
+}
+
+/**
+ * Split a request URL into path, query string, and non-empty path segments.
+ * @param {string} url
+ * @returns {{ urlWithoutQuery: string, queryString: string, urlParts: string[] }}
+ */
+function splitRequestUrl(url) {
+  const urlWithoutQuery = url.split("?")[0];
+  const qIdx = url.indexOf("?");
   return {
     urlWithoutQuery,
-    queryString: qIdx !== -1 ? req.url.substring(qIdx) : "",
+    queryString: qIdx !== -1 ? url.substring(qIdx) : "",
     urlParts: urlWithoutQuery.split("/").filter(Boolean),
   };
 }
 
 /**
- * Resolve app from first path segment or SPA Referer.
- * @returns {{ appName: string, app: object|null, urlWithoutQuery: string, urlParts: string[], queryString: string }}
+ * Lowercased host name from a Host header value (port and IPv6 brackets stripped).
+ * @param {string|string[]|undefined} hostHeader
+ * @returns {string}
+ */
+function normalizeHostName(hostHeader) {
+  const raw = Array.isArray(hostHeader) ? hostHeader[0] : hostHeader;
+  if (raw == null) return "";
+  const s = String(raw).trim().toLowerCase();
+  if (!s) return "";
+  if (s.startsWith("[")) {
+    const end = s.indexOf("]");
+    return end === -1 ? s : s.slice(1, end);
+  }
+  // Bare IPv6 without brackets has several colons — never a port suffix.
+  const firstColon = s.indexOf(":");
+  const name =
+    firstColon !== -1 && firstColon === s.lastIndexOf(":")
+      ? s.slice(0, firstColon)
+      : s;
+  // Fully-qualified form ("example.com.") names the same host.
+  return name.replace(/\.$/, "");
+}
+
+/**
+ * Match a configured host pattern against a normalized host name.
+ * Exact names, or a leading `*.` wildcard that matches any subdomain (not the apex).
+ * @param {string} pattern
+ * @param {string} hostName
+ * @returns {boolean}
+ */
+function hostPatternMatches(pattern, hostName) {
+  if (typeof pattern !== "string" || !pattern || !hostName) return false;
+  const p = normalizeHostName(pattern);
+  if (!p) return false;
+  if (p.startsWith("*.")) {
+    const suffix = p.slice(1); // ".example.com"
+    return hostName.length > suffix.length && hostName.endsWith(suffix);
+  }
+  return p === hostName;
+}
+
+/**
+ * Whether gingee.json `app_hosts` lets an app claim a host pattern in its app.json `hosts`.
+ * An allowed exact name covers only itself; an allowed `*.example.com` also covers
+ * `shop.example.com` and `*.shop.example.com`.
+ * @param {string} pattern - app.json `hosts` entry
+ * @param {object} config - server config
+ * @returns {boolean}
+ */
+function isAppHostAllowed(pattern, config) {
+  const allowList = config && config.app_hosts;
+  if (!Array.isArray(allowList) || typeof pattern !== "string") return false;
+  const p = normalizeHostName(pattern);
+  if (!p) return false;
+  return allowList.some((allowed) => {
+    const a = normalizeHostName(allowed);
+    if (!a) return false;
+    if (a === p) return true;
+    if (!a.startsWith("*.")) return false;
+    return hostPatternMatches(a, p.startsWith("*.") ? p.slice(2) : p);
+  });
+}
+
+/**
+ * Collect [pattern, appName] pairs: gingee.json `hosts` map first, then each app.json `hosts`
+ * entry that gingee.json `app_hosts` allows. Exact names are listed before wildcards within
+ * each source so they take precedence.
+ * @private
+ */
+function collectHostMappings(apps, config) {
+  const server = [];
+  const serverHosts = config && config.hosts;
+  if (
+    serverHosts &&
+    typeof serverHosts === "object" &&
+    !Array.isArray(serverHosts)
+  ) {
+    for (const [pattern, appName] of Object.entries(serverHosts)) {
+      if (typeof appName === "string" && appName)
+        server.push([pattern, appName]);
+    }
+  }
+  const fromApps = [];
+  for (const [appName, app] of Object.entries(apps || {})) {
+    const list = app && app.config && app.config.hosts;
+    if (!Array.isArray(list)) continue;
+    for (const pattern of list) {
+      if (isAppHostAllowed(pattern, config)) fromApps.push([pattern, appName]);
+    }
+  }
+  const byPrecedence = (list) => [
+    ...list.filter(([p]) => !String(p).trim().startsWith("*.")),
+    ...list.filter(([p]) => String(p).trim().startsWith("*.")),
+  ];
+  return [...byPrecedence(server), ...byPrecedence(fromApps)];
+}
+
+/**
+ * Resolve the app mounted at `/` for a Host header (virtual host routing).
+ * gingee.json `hosts` wins over app.json `hosts`; mappings to unknown apps are ignored.
+ *
+ * @param {string|string[]|undefined} hostHeader - raw Host header
+ * @param {object} apps - live app registry
+ * @param {object} config - server config
+ * @returns {string|null} app name, or null when the host is not mapped
+ */
+function resolveHostApp(hostHeader, apps, config) {
+  const hostName = normalizeHostName(hostHeader);
+  if (!hostName || !apps) return null;
+  for (const [pattern, appName] of collectHostMappings(apps, config)) {
+    if (apps[appName] && hostPatternMatches(pattern, hostName)) {
+      return appName;
+    }
+  }
+  return null;
+}
+
+/**
+ * Prefix a host-relative URL with the mapped app's folder so the rest of the
+ * pipeline (static, scripts, routes.json, SPA, WebSockets) sees `/{app}/...`.
+ * URLs that already start with `/{app}/` are left alone, so absolute asset links
+ * written for path-prefix routing keep working on the mapped host.
+ *
+ * @param {string} url - req.url (path + optional query)
+ * @param {string} appName
+ * @returns {string}
+ */
+function mountUrlOnApp(url, appName) {
+  const raw = url || "/";
+  const qIdx = raw.indexOf("?");
+  const urlPath = qIdx === -1 ? raw : raw.substring(0, qIdx);
+  const queryString = qIdx === -1 ? "" : raw.substring(qIdx);
+  const first = urlPath.split("/").filter(Boolean)[0];
+  if (first === appName) return raw;
+  const rest = urlPath.startsWith("/") ? urlPath : `/${urlPath}`;
+  return `/${appName}${rest}${queryString}`;
+}
+
+/**
+ * Apply host-based routing. Mutates req.url when the Host header maps to an app.
+ * @returns {string|null} mapped app name
+ */
+function applyHostAppRoute(req, apps, config, logger) {
+  const appName = resolveHostApp(req.headers && req.headers.host, apps, config);
+  if (!appName) return null;
+  const before = req.url;
+  req.url = mountUrlOnApp(req.url, appName);
+  if (before !== req.url && typeof logger.debug === "function") {
+    logger.debug(
+      `[Host] Routing '${req.headers.host}' to app '${appName}'. New URL: ${req.url}`,
+    );
+  }
+  return appName;
+}
+
+/**
+ * Log host names claimed by more than one app (first registered app wins at request time).
+ * @param {object} apps
+ * @param {object} config
+ * @param {object} logger
+ * @returns {string[]} conflicting host patterns
+ */
+function warnHostConflicts(apps, config, logger) {
+  const owners = new Map();
+  for (const [pattern, appName] of collectHostMappings(apps, config)) {
+    const key = normalizeHostName(pattern);
+    if (!key) continue;
+    if (!owners.has(key)) owners.set(key, new Set());
+    owners.get(key).add(appName);
+  }
+  const conflicts = [];
+  for (const [host, names] of owners.entries()) {
+    if (names.size > 1) {
+      conflicts.push(host);
+      logger.warn(
+        `[Host] '${host}' is mapped to several apps (${[...names].join(", ")}); the first mapping wins.`,
+      );
+    }
+  }
+  return conflicts;
+}
+
+/**
+ * Log app.json `hosts` entries that gingee.json `app_hosts` does not allow (they are ignored).
+ * @param {object} apps
+ * @param {object} config
+ * @param {object} logger
+ * @returns {string[]} refused entries as `<app>: <pattern>`
+ */
+function warnRefusedAppHosts(apps, config, logger) {
+  const refused = [];
+  for (const [appName, app] of Object.entries(apps || {})) {
+    const list = app && app.config && app.config.hosts;
+    if (!Array.isArray(list)) continue;
+    for (const pattern of list) {
+      if (isAppHostAllowed(pattern, config)) continue;
+      refused.push(`${appName}: ${pattern}`);
+      logger.warn(
+        `[Host] App '${appName}' claims '${pattern}', which gingee.json app_hosts does not allow; ignored.`,
+      );
+    }
+  }
+  return refused;
+}
+
+/**
+ * Resolve app from Host mapping, first path segment, or SPA Referer.
+ * `mountedByHost` is true when the Host header mapped the request onto the app (served at `/`).
+ * @returns {{ appName: string, app: object|null, urlWithoutQuery: string, urlParts: string[], queryString: string, mountedByHost: boolean }}
  */
 function resolveApp(req, apps, config, logger) {
-  const { urlWithoutQuery, queryString, urlParts } = applyDefaultAppRoute(
-    req,
-    apps,
-    config,
-    logger,
-  );
+  const hostApp = applyHostAppRoute(req, apps, config, logger);
+  const { urlWithoutQuery, queryString, urlParts } = hostApp
+    ? splitRequestUrl(req.url)
+    : applyDefaultAppRoute(req, apps, config, logger);
 
   let appName = urlParts[0];
   let app = apps[appName];
 
-  if (!app && req.headers.referer) {
+  if (!app && !hostApp && req.headers.referer) {
     try {
       const refererUrl = new URL(req.headers.referer);
       const refererPathParts = refererUrl.pathname.split("/").filter(Boolean);
@@ -76,39 +293,42 @@ function resolveApp(req, apps, config, logger) {
     }
   }
 
-  return { appName, app, urlWithoutQuery, urlParts, queryString };
+  return {
+    appName,
+    app,
+    urlWithoutQuery,
+    urlParts,
+    queryString,
+    mountedByHost: !!hostApp,
+  };
 }
 
 /**
  * Resolve script path via routes.json or file-based routing.
  * Scripts must resolve under app.appBoxPath (path confinement).
+ * `route` is the matched compiled routes.json entry (null for file-based routing).
  */
 function resolveScriptTarget(req, app, appName, urlWithoutQuery, urlParts) {
   let routeParams = null;
   let targetScriptFolder = null;
   let targetScriptPath = null;
+  let route = null;
   const requestPath = urlWithoutQuery.substring(appName.length + 1);
 
-  if (app && app.compiledRoutes) {
-    for (const route of app.compiledRoutes) {
-      if (req.method === route.method || route.method === "ALL") {
-        const matchResult = route.matcher(requestPath);
-        if (matchResult) {
-          // Prefer pre-resolved absolute path from app_registry when present
-          const confined =
-            route.scriptPath ||
-            confineScriptPath(app.appBoxPath, route.script, {
-              rootReal: app.appBoxPathReal,
-            });
-          if (confined) {
-            targetScriptPath = confined;
-            routeParams = matchResult.params;
-            targetScriptFolder = path.dirname(targetScriptPath);
-          }
-          // If route script escapes the box, treat as no match (do not run outside box)
-          break;
-        }
-      }
+  const matched = matchRoute(app, req.method, requestPath);
+  if (matched) {
+    // Prefer pre-resolved absolute path from compileRoutes when present
+    const confined =
+      matched.route.scriptPath ||
+      confineScriptPath(app.appBoxPath, matched.route.script, {
+        rootReal: app.appBoxPathReal,
+      });
+    // If route script escapes the box, treat as no match (do not run outside box)
+    if (confined && !isMigrationScript(app, confined)) {
+      route = matched.route;
+      targetScriptPath = confined;
+      routeParams = matched.params;
+      targetScriptFolder = path.dirname(targetScriptPath);
     }
   }
 
@@ -119,13 +339,32 @@ function resolveScriptTarget(req, app, appName, urlWithoutQuery, urlParts) {
       urlParts.slice(1),
       { appendJs: true, rootReal: app.appBoxPathReal },
     );
-    if (potentialScriptPath && fs.existsSync(potentialScriptPath)) {
+    if (
+      potentialScriptPath &&
+      !isMigrationScript(app, potentialScriptPath) &&
+      fs.existsSync(potentialScriptPath)
+    ) {
       targetScriptPath = potentialScriptPath;
       targetScriptFolder = path.dirname(targetScriptPath);
     }
   }
 
-  return { routeParams, targetScriptFolder, targetScriptPath, requestPath };
+  return {
+    routeParams,
+    targetScriptFolder,
+    targetScriptPath,
+    requestPath,
+    route,
+  };
+}
+
+/**
+ * Migration scripts (`box/migrations/`) run only through the migration runner, never by URL:
+ * their top-level code would otherwise run on any request.
+ * @private
+ */
+function isMigrationScript(app, scriptPath) {
+  return isPathInside(scriptPath, path.join(app.appBoxPath, MIGRATIONS_DIR));
 }
 
 /**
@@ -187,6 +426,14 @@ function privilegeScope(config, appName, app, apps) {
 
 module.exports = {
   applyDefaultAppRoute,
+  normalizeHostName,
+  hostPatternMatches,
+  isAppHostAllowed,
+  resolveHostApp,
+  mountUrlOnApp,
+  applyHostAppRoute,
+  warnHostConflicts,
+  warnRefusedAppHosts,
   resolveApp,
   resolveScriptTarget,
   rejectIfMaintenance,
@@ -0,0 +1,140 @@
+/**
+ * @module engine/request/routes
+ * @description Compile routes.json entries and match them against request paths.
+ * Shared by the app registry (boot / register) and platform route reloads so both
+ * produce the same compiled shape. Engine-internal.
+ */
+
+const { match } = require("path-to-regexp");
+const { confineScriptPath } = require("./path_confine.js");
+const { compileRouteSchema } = require("./schema.js");
+const { compileRouteRule } = require("../api_keys.js");
+
+/** Optional routes.json fields that only feed the generated OpenAPI document. */
+const DOC_FIELDS = [
+  "summary",
+  "description",
+  "tags",
+  "operationId",
+  "deprecated",
+  "responses",
+];
+
+/**
+ * @param {object} route - routes.json entry
+ * @returns {object|null} doc fields present on the entry
+ * @private
+ */
+function pickDocFields(route) {
+  const doc = {};
+  for (const key of DOC_FIELDS) {
+    if (route[key] !== undefined) doc[key] = route[key];
+  }
+  return Object.keys(doc).length > 0 ? doc : null;
+}
+
+/**
+ * Compile routes.json into matcher entries. Routes whose script escapes the box, or whose
+ * `schema` or API key `auth` does not compile, are skipped. Optional per-route metadata (`cors`,
+ * `schema`, `uploads`, `auth` and the OpenAPI doc fields) is carried through for the request
+ * pipeline; `apiKey` is the engine-enforced part of `auth`.
+ *
+ * @param {object} routesConfig - parsed routes.json (`{ routes: [...] }`)
+ * @param {object} ctx
+ * @param {string} ctx.appName
+ * @param {string} ctx.appBoxPath
+ * @param {object} ctx.logger
+ * @returns {object[]} compiled routes
+ */
+function compileRoutes(routesConfig, ctx) {
+  const { appName, appBoxPath, logger } = ctx;
+  const compiled = [];
+  if (!routesConfig || !Array.isArray(routesConfig.routes)) {
+    return compiled;
+  }
+  for (const route of routesConfig.routes) {
+    const scriptPath = confineScriptPath(appBoxPath, route.script);
+    if (!scriptPath) {
+      logger.error(
+        `Skipping route '${route.path || "?"}' for app '${appName}': ` +
+          `script path escapes box or is invalid (${route.script}).`,
+      );
+      continue;
+    }
+    let schema;
+    try {
+      schema = compileRouteSchema(route.schema);
+    } catch (err) {
+      logger.error(
+        `Skipping route '${route.path || "?"}' for app '${appName}': ` +
+          `invalid schema (${err.message}).`,
+      );
+      continue;
+    }
+    let apiKey;
+    try {
+      apiKey = compileRouteRule(route.auth);
+    } catch (err) {
+      logger.error(
+        `Skipping route '${route.path || "?"}' for app '${appName}': ` +
+          `invalid auth (${err.message}).`,
+      );
+      continue;
+    }
+    compiled.push({
+      method: route.method ? route.method.toUpperCase() : "GET",
+      path: route.path,
+      script: route.script,
+      scriptPath,
+      matcher: match(route.path, { decode: decodeURIComponent }),
+      cors: route.cors,
+      schema,
+      uploads: route.uploads,
+      auth: route.auth,
+      apiKey,
+      doc: pickDocFields(route),
+    });
+  }
+  return compiled;
+}
+
+/**
+ * First compiled route matching method + app-relative path.
+ * @param {object} app - live app (uses app.compiledRoutes)
+ * @param {string} method - HTTP method (upper case)
+ * @param {string} requestPath - path after `/{app}`
+ * @returns {{ route: object, params: object }|null}
+ */
+function matchRoute(app, method, requestPath) {
+  if (!app || !Array.isArray(app.compiledRoutes)) return null;
+  for (const route of app.compiledRoutes) {
+    if (method === route.method || route.method === "ALL") {
+      const matchResult = route.matcher(requestPath);
+      if (matchResult) {
+        return { route, params: matchResult.params };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * API key rule of the first routes.json entry that runs `scriptPath` with `auth.api_key`, so
+ * file-based routing cannot reach a protected script without a key.
+ * @param {object} app - live app (uses app.compiledRoutes)
+ * @param {string} scriptPath - absolute, confined box script path
+ * @returns {{ scopes: string[] }|null}
+ */
+function apiKeyRuleForScript(app, scriptPath) {
+  if (!app || !Array.isArray(app.compiledRoutes) || !scriptPath) return null;
+  const route = app.compiledRoutes.find(
+    (r) => r.apiKey && r.scriptPath === scriptPath,
+  );
+  return route ? route.apiKey : null;
+}
+
+module.exports = {
+  compileRoutes,
+  matchRoute,
+  apiKeyRuleForScript,
+};
@@ -0,0 +1,156 @@
+/**
+ * @module engine/request/schema
+ * @description routes.json `schema` (JSON Schema for `body`, `query` and `params`), compiled
+ * with Ajv and checked after body parsing, before the main script handler runs.
+ * Engine-internal.
+ */
+
+/** Request parts a route schema may describe, in report order. */
+const SCHEMA_PARTS = ["params", "query", "body"];
+
+/** Compiled validators kept per schema (workers receive schemas as plain JSON). */
+const MAX_CACHED_VALIDATORS = 500;
+
+let ajvInstances = null;
+
+/**
+ * Ajv instances, created on first use (apps without route schemas never load Ajv).
+ * query/params arrive as strings and are coerced: "42" → 42, "true" → true, "a" → ["a"].
+ * @returns {{ coercing: object, body: object }}
+ * @private
+ */
+function getAjv() {
+  if (!ajvInstances) {
+    const Ajv = require("ajv");
+    const addFormats = require("ajv-formats");
+    const create = (options) => {
+      const ajv = new Ajv({ allErrors: true, strict: false, ...options });
+      addFormats(ajv);
+      return ajv;
+    };
+    ajvInstances = {
+      coercing: create({ coerceTypes: "array" }),
+      body: create({}),
+    };
+  }
+  return ajvInstances;
+}
+
+const validatorCache = new Map();
+
+/**
+ * Compiled validator for one part, cached by schema text.
+ * @param {string} part - params | query | body
+ * @param {object|boolean} schema
+ * @returns {function}
+ * @private
+ */
+function getValidator(part, schema) {
+  const key = `${part}:${JSON.stringify(schema)}`;
+  let validate = validatorCache.get(key);
+  if (!validate) {
+    const ajv = getAjv();
+    validate = (part === "body" ? ajv.body : ajv.coercing).compile(schema);
+    if (validatorCache.size >= MAX_CACHED_VALIDATORS) validatorCache.clear();
+    validatorCache.set(key, validate);
+  }
+  return validate;
+}
+
+/**
+ * Check a routes.json `schema` block and compile its parts.
+ * Returns the block (only known parts kept) or null when absent. Throws on an invalid schema
+ * so the route compiler can report it at load time.
+ *
+ * @param {object|undefined} schema - `{ body?, query?, params? }`
+ * @returns {object|null}
+ */
+function compileRouteSchema(schema) {
+  if (schema === undefined || schema === null) return null;
+  if (typeof schema !== "object" || Array.isArray(schema)) {
+    throw new Error("schema must be an object with body, query and/or params");
+  }
+  const out = {};
+  for (const part of SCHEMA_PARTS) {
+    if (schema[part] === undefined) continue;
+    try {
+      getValidator(part, schema[part]);
+    } catch (err) {
+      throw new Error(`schema.${part}: ${err.message}`);
+    }
+    out[part] = schema[part];
+  }
+  return Object.keys(out).length > 0 ? out : null;
+}
+
+/**
+ * Validate request parts against a route schema. `query` and `params` are coerced in place
+ * (the script sees the coerced values).
+ *
+ * @param {object} schema - compiled route schema (compileRouteSchema output)
+ * @param {{ body: *, query: object, params: object }} data
+ * @returns {Array<{ in: string, path: string, keyword: string, message: string, params: object }>}
+ *   every violation; empty when valid
+ */
+function validateRequestParts(schema, data) {
+  const violations = [];
+  if (!schema) return violations;
+  for (const part of SCHEMA_PARTS) {
+    if (schema[part] === undefined) continue;
+    let value = data[part];
+    if ((part === "query" || part === "params") && value == null) {
+      value = {};
+      data[part] = value;
+    }
+    const validate = getValidator(part, schema[part]);
+    if (validate(value)) continue;
+    for (const e of validate.errors || []) {
+      let at = e.instancePath || "";
+      if (e.keyword === "required" && e.params && e.params.missingProperty) {
+        at = `${at}/${e.params.missingProperty}`;
+      }
+      violations.push({
+        in: part,
+        path: at || "/",
+        keyword: e.keyword,
+        message: e.message,
+        params: e.params,
+      });
+    }
+  }
+  return violations;
+}
+
+/**
+ * Validate $g.request against the route schema on the ALS store and send the 400 when it fails.
+ * Runs once per request, for the main script only (default_include handlers run first).
+ *
+ * @param {object} store - ALS store (`routeSchema`, `mainScriptStarted`, `$g`)
+ * @returns {boolean} true when the request may proceed to the handler
+ */
+function enforceRouteSchema(store) {
+  if (!store.routeSchema || !store.mainScriptStarted || store.schemaChecked) {
+    return true;
+  }
+  store.schemaChecked = true;
+  const request = store.$g.request;
+  const violations = validateRequestParts(store.routeSchema, request);
+  if (violations.length === 0) return true;
+
+  store.$g.response.send(
+    {
+      error: "VALIDATION_FAILED",
+      message: `Request failed schema validation (${violations.length} violation${violations.length === 1 ? "" : "s"}).`,
+      violations,
+    },
+    400,
+  );
+  return false;
+}
+
+module.exports = {
+  SCHEMA_PARTS,
+  compileRouteSchema,
+  validateRequestParts,
+  enforceRouteSchema,
+};
@@ -1,33 +1,125 @@
 /**
  * @module engine/request/static
- * @description Serve static files with optional cache + pre-gzip.
- * Engine-internal. Server cache entries store raw + gzip (base64 for cache_service JSON).
- * Pre-gzip entries are dropped on app reload via staticFileCache.clear(`static:${appWebPath}`).
- * no_cache_regex (precompiled on the app) skips cache read/write; response may still gzip on the fly.
+ * @description Serve static files with optional cache + precompressed variants.
+ * Engine-internal. Server cache entries store raw bytes plus each encoded variant produced so far
+ * (gzipContent / brContent / zstdContent, base64 for cache_service JSON). Variants come from
+ * precompressed siblings (`app.js.br`, `.gz`, `.zst`) when present, else on-the-fly compression.
+ * Entries are dropped on app reload via staticFileCache.clear(`static:${appWebPath}`).
+ * no_cache_regex (precompiled on the app) skips cache read/write; response may still compress on the fly.
+ * Responses carry ETag (content hash; weak when an encoding is negotiated) + Last-Modified (file mtime) and
+ * GET/HEAD conditional requests get 304. Disable with app.json cache.client.etag: false.
+ * Byte ranges (incl. multipart/byteranges) are served from identity bytes. Files at or above
+ * gingee.json static.stream_threshold are streamed from disk and never enter the server cache.
  */
 
 const fs = require("fs");
 const path = require("path");
-const zlib = require("zlib");
 const mimeTypes = require("mime-types");
+const { parseSize } = require("../request_context/parse_size.js");
 const {
   matchesNoCache,
   resolveCompiledCacheRegex,
 } = require("./cache_config.js");
+const {
+  computeEtag,
+  toWeakEtag,
+  toHttpDate,
+  isNotModified,
+  isConditionalMethod,
+} = require("./conditional.js");
+const {
+  DEFAULT_MAX_RANGES,
+  parseRange,
+  isRangeFresh,
+  contentRange,
+  multipartByteranges,
+} = require("./range.js");
+const {
+  PRECOMPRESSED_SUFFIX,
+  resolveEncodingConfig,
+  rankEncodings,
+  compressBuffer,
+  mergeVary,
+} = require("./encoding.js");
+
+/** Default size (bytes) at which static files are streamed instead of buffered. */
+const DEFAULT_STREAM_THRESHOLD = 1024 * 1024;
 
 /**
- * @param {Buffer} data
- * @returns {Promise<Buffer|null>}
+ * Cache entry field holding one encoded variant (base64): gzipContent, brContent, zstdContent.
+ * @param {string} encoding
+ * @returns {string}
+ * @private
  */
-function gzipBuffer(data) {
+function variantKey(encoding) {
+  return `${encoding}Content`;
+}
+
+/**
+ * Resolve gingee.json `static` options (stream threshold in bytes, max ranges).
+ * @param {object|null|undefined} staticConfig
+ * @returns {{ streamThreshold: number, maxRanges: number }}
+ * @private
+ */
+function resolveStaticOptions(staticConfig) {
+  const sc =
+    staticConfig && typeof staticConfig === "object" ? staticConfig : {};
+  let streamThreshold = DEFAULT_STREAM_THRESHOLD;
+  const raw = sc.stream_threshold;
+  if (typeof raw === "number" && Number.isFinite(raw) && raw >= 0) {
+    streamThreshold = raw;
+  } else if (typeof raw === "string" && raw.trim() !== "") {
+    try {
+      streamThreshold = parseSize(raw);
+    } catch (_) {
+      /* keep default */
+    }
+  }
+  const maxRanges =
+    Number.isInteger(sc.max_ranges) && sc.max_ranges > 0
+      ? sc.max_ranges
+      : DEFAULT_MAX_RANGES;
+  return { streamThreshold, maxRanges };
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Promise<fs.Stats|null>} stats for a regular file, else null
+ * @private
+ */
+function statFile(filePath) {
   return new Promise((resolve) => {
-    zlib.gzip(data, (err, compressed) => {
-      if (err || !compressed) {
-        resolve(null);
-      } else {
-        resolve(compressed);
-      }
+    fs.stat(filePath, (err, stats) => {
+      resolve(!err && stats && stats.isFile() ? stats : null);
+    });
+  });
+}
+
+/**
+ * Pipe bytes [start, end] of a file into res without ending it (backpressure via pipe).
+ * @returns {Promise<void>}
+ * @private
+ */
+function pipeFileRange(filePath, res, start, end) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createReadStream(filePath, { start, end });
+    const onClose = () => stream.destroy();
+    res.once("close", onClose);
+    stream.once("error", (err) => {
+      res.removeListener("close", onClose);
+      reject(err);
     });
+    stream.once("end", () => {
+      res.removeListener("close", onClose);
+      resolve();
+    });
+    stream.once("close", () => {
+      res.removeListener("close", onClose);
+      // Destroyed (client went away) before end: stop writing further parts.
+      if (!stream.readableEnded)
+        reject(new Error("Static stream closed early"));
+    });
+    stream.pipe(res, { end: false });
   });
 }
 
@@ -46,14 +138,28 @@ async function serveStaticFile(opts) {
     logger,
     headers,
     app,
+    staticConfig,
+    encodingConfig,
   } = opts;
 
   if (!path.extname(filePath)) {
     return false;
   }
 
+  const stats = await statFile(filePath);
+  if (!stats) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("FILE_NOT_FOUND");
+    return true;
+  }
+  const { streamThreshold, maxRanges } = resolveStaticOptions(staticConfig);
+  const isHead = req.method === "HEAD";
+
   const serverCacheConfig = cacheConfig.server;
-  let useCache = !!(serverCacheConfig && serverCacheConfig.enabled);
+  const streamed = stats.size >= streamThreshold;
+  // Large files are streamed; never buffered into the server cache.
+  let useCache =
+    !streamed && !!(serverCacheConfig && serverCacheConfig.enabled);
   const cacheKey = `static:${filePath}`;
   const compiled = resolveCompiledCacheRegex(app, cacheConfig);
 
@@ -69,6 +175,17 @@ async function serveStaticFile(opts) {
     }
   }
 
+  // Keep Vary entries already set on res (e.g. Origin from CORS); writeHead would replace them.
+  const varyAcceptEncoding = () =>
+    mergeVary(
+      typeof res.getHeader === "function" ? res.getHeader("Vary") : undefined,
+      "Accept-Encoding",
+    );
+
+  const etagEnabled = !(
+    cacheConfig.client && cacheConfig.client.etag === false
+  );
+
   const applyClientCacheControl = (hdrs) => {
     if (
       cacheConfig.client &&
@@ -76,41 +193,295 @@ async function serveStaticFile(opts) {
       !matchesNoCache(compiled.clientNoCache, req.url)
     ) {
       hdrs["Cache-Control"] = "public, max-age=31536000";
+    } else if (etagEnabled) {
+      // Browser may store but must revalidate (cheap 304 via ETag / Last-Modified).
+      hdrs["Cache-Control"] = "no-cache";
     } else {
       hdrs["Cache-Control"] = "no-store";
     }
   };
 
   /**
+   * Set validators on outHeaders and answer 304 when the request's conditionals match.
+   * @param {object} outHeaders
+   * @param {string} etag
+   * @param {number|null} lastModified - epoch ms
+   * @param {boolean} negotiated - body may be content-encoded (weak ETag)
+   * @returns {boolean} true if a 304 was sent
+   */
+  const applyValidators = (outHeaders, etag, lastModified, negotiated) => {
+    outHeaders["Accept-Ranges"] = "bytes";
+    if (!etagEnabled) return false;
+    outHeaders["ETag"] = negotiated ? toWeakEtag(etag) : etag;
+    const httpDate = lastModified != null ? toHttpDate(lastModified) : null;
+    if (httpDate) outHeaders["Last-Modified"] = httpDate;
+    if (
+      !isConditionalMethod(req.method) ||
+      !isNotModified(req.headers, { etag, lastModified })
+    ) {
+      return false;
+    }
+    const notModifiedHeaders = { ...outHeaders };
+    delete notModifiedHeaders["Content-Type"];
+    if (negotiated) notModifiedHeaders["Vary"] = varyAcceptEncoding();
+    res.writeHead(304, notModifiedHeaders);
+    res.end();
+    return true;
+  };
+
+  /**
+   * Ranges to serve for this request: null → full body, -1 → 416 already sent.
+   * If-Range is checked against the strong (identity) validators.
+   * @returns {Array<{start:number,end:number}>|null|-1}
+   */
+  const resolveRanges = (size, etag, lastModified) => {
+    if (req.method !== "GET" && !isHead) return null;
+    const rangeHeader = req.headers && req.headers["range"];
+    if (!rangeHeader) return null;
+    if (
+      !isRangeFresh(req.headers["if-range"], {
+        etag: etagEnabled ? etag : null,
+        lastModified,
+      })
+    ) {
+      return null;
+    }
+    const ranges = parseRange(rangeHeader, size, { maxRanges });
+    if (ranges === -1) {
+      res.writeHead(416, {
+        "Content-Range": `bytes */${size}`,
+        "Content-Type": "text/plain",
+      });
+      res.end("RANGE_NOT_SATISFIABLE");
+    }
+    return ranges;
+  };
+
+  /**
+   * 206 from an in-memory identity body (single range or multipart/byteranges).
    * @param {Buffer} raw
-   * @param {Buffer|null|undefined} gzipped
+   * @param {Array<{start:number,end:number}>} ranges
    * @param {object} outHeaders
+   * @param {string} etag - strong tag of the identity body
+   */
+  const sendRangesFromBuffer = (raw, ranges, outHeaders, etag) => {
+    // Parts are identity bytes: advertise the strong tag so If-Range can match later.
+    if (outHeaders["ETag"]) outHeaders["ETag"] = etag;
+    if (ranges.length === 1) {
+      const r = ranges[0];
+      outHeaders["Content-Range"] = contentRange(r, raw.length);
+      outHeaders["Content-Length"] = r.end - r.start + 1;
+      res.writeHead(206, outHeaders);
+      res.end(isHead ? undefined : raw.subarray(r.start, r.end + 1));
+      return;
+    }
+    const mp = multipartByteranges(
+      ranges,
+      raw.length,
+      outHeaders["Content-Type"],
+    );
+    const parts = [];
+    ranges.forEach((r, i) => {
+      parts.push(
+        Buffer.from(mp.partHeader(i)),
+        raw.subarray(r.start, r.end + 1),
+      );
+    });
+    parts.push(Buffer.from(mp.trailer));
+    outHeaders["Content-Type"] = mp.contentType;
+    outHeaders["Content-Length"] = mp.length;
+    res.writeHead(206, outHeaders);
+    res.end(isHead ? undefined : Buffer.concat(parts));
+  };
+
+  const encodingOptions =
+    encodingConfig ||
+    resolveEncodingConfig({ content_encoding: { enabled: !!canCompress } });
+  // Acceptable codings for this client, best first (empty → identity only).
+  const ranked = canCompress
+    ? rankEncodings(
+        req.headers && req.headers["accept-encoding"],
+        encodingOptions.encodings,
+      )
+    : [];
+
+  /**
+   * Pick the coding to send. Among codings the client rates highest, prefer one that
+   * already has bytes (cache variant / precompressed sibling) to avoid compressing.
+   * @param {(encoding: string) => boolean} hasBytes
+   * @returns {string|null}
+   */
+  const pickEncoding = (hasBytes) => {
+    if (ranked.length === 0) return null;
+    const topQ = ranked[0].q;
+    const ready = ranked.find((r) => r.q === topQ && hasBytes(r.encoding));
+    return (ready || ranked[0]).encoding;
+  };
+
+  /**
+   * Precompressed sibling (`file.js.br`, `.gz`, `.zst`) not older than the file itself.
+   * @param {string} encoding
+   * @returns {Promise<{ path: string, stats: fs.Stats }|null>}
+   */
+  const findSibling = async (encoding) => {
+    const suffix = PRECOMPRESSED_SUFFIX[encoding];
+    if (!suffix) return null;
+    const siblingPath = `${filePath}${suffix}`;
+    const siblingStats = await statFile(siblingPath);
+    if (!siblingStats || siblingStats.mtimeMs < stats.mtimeMs) return null;
+    return { path: siblingPath, stats: siblingStats };
+  };
+
+  /**
+   * Encoded bytes for a coding: precompressed sibling when present, else compress raw.
+   * @param {string} encoding
+   * @param {Buffer} raw
+   * @returns {Promise<Buffer|null>}
+   */
+  const produceVariant = async (encoding, raw) => {
+    const sibling = await findSibling(encoding);
+    if (sibling) {
+      try {
+        return await fs.promises.readFile(sibling.path);
+      } catch (_) {
+        /* fall through to on-the-fly compression */
+      }
+    }
+    return compressBuffer(encoding, raw, encodingOptions);
+  };
+
+  /**
+   * Stream a large file from disk (full body or ranges). Never cached; full-body
+   * responses may use a precompressed sibling, everything else is identity.
+   * @returns {Promise<boolean>}
    */
-  const sendBody = (raw, gzipped, outHeaders) => {
-    if (canCompress) {
-      const usePre = gzipped && Buffer.isBuffer(gzipped) ? gzipped : null;
-      if (usePre) {
-        outHeaders["Content-Encoding"] = "gzip";
-        outHeaders["Vary"] = "Accept-Encoding";
-        res.writeHead(200, outHeaders);
-        res.end(usePre);
-        return Promise.resolve();
+  const serveStreamed = async () => {
+    const contentType =
+      mimeTypes.contentType(path.extname(filePath)) ||
+      "application/octet-stream";
+    const outHeaders = { "Content-Type": contentType };
+    applyClientCacheControl(outHeaders);
+    if (canCompress) outHeaders["Vary"] = varyAcceptEncoding();
+    // Size + mtime tag (no full-file hash for large files).
+    const etag = `"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+    const lastModified = stats.mtimeMs;
+
+    let sibling = null;
+    let siblingEncoding = null;
+    if (!(req.headers && req.headers["range"])) {
+      for (const { encoding } of ranked) {
+        const found = await findSibling(encoding);
+        if (found && found.stats.size < stats.size) {
+          sibling = found;
+          siblingEncoding = encoding;
+          break;
+        }
       }
-      return gzipBuffer(raw).then((compressed) => {
-        if (compressed && compressed.length < raw.length) {
-          outHeaders["Content-Encoding"] = "gzip";
-          outHeaders["Vary"] = "Accept-Encoding";
-          res.writeHead(200, outHeaders);
-          res.end(compressed);
-        } else {
-          res.writeHead(200, outHeaders);
-          res.end(raw);
+    }
+
+    if (applyValidators(outHeaders, etag, lastModified, !!sibling)) {
+      return true;
+    }
+
+    const ranges = sibling
+      ? null
+      : resolveRanges(stats.size, etag, lastModified);
+    if (ranges === -1) return true;
+
+    if (typeof logger.debug === "function") {
+      logger.debug(
+        `[STREAM] Serving static file${ranges ? " (range)" : ""}${sibling ? ` (${siblingEncoding})` : ""}: ${filePath}`,
+      );
+    }
+
+    let mp = null;
+    if (sibling) {
+      outHeaders["Content-Encoding"] = siblingEncoding;
+      outHeaders["Content-Length"] = sibling.stats.size;
+      res.writeHead(200, outHeaders);
+    } else if (!ranges) {
+      outHeaders["Content-Length"] = stats.size;
+      res.writeHead(200, outHeaders);
+    } else if (ranges.length === 1) {
+      outHeaders["Content-Range"] = contentRange(ranges[0], stats.size);
+      outHeaders["Content-Length"] = ranges[0].end - ranges[0].start + 1;
+      res.writeHead(206, outHeaders);
+    } else {
+      mp = multipartByteranges(ranges, stats.size, contentType);
+      outHeaders["Content-Type"] = mp.contentType;
+      outHeaders["Content-Length"] = mp.length;
+      res.writeHead(206, outHeaders);
+    }
+    if (isHead) {
+      res.end();
+      return true;
+    }
+
+    try {
+      if (sibling) {
+        await pipeFileRange(
+          sibling.path,
+          res,
+          0,
+          Math.max(0, sibling.stats.size - 1),
+        );
+      } else if (!ranges) {
+        await pipeFileRange(filePath, res, 0, Math.max(0, stats.size - 1));
+      } else {
+        for (let i = 0; i < ranges.length; i++) {
+          if (mp) res.write(mp.partHeader(i));
+          await pipeFileRange(filePath, res, ranges[i].start, ranges[i].end);
         }
-      });
+        if (mp) res.write(mp.trailer);
+      }
+      res.end();
+    } catch (e) {
+      if (typeof logger.warn === "function" && !res.destroyed) {
+        logger.warn(`Static stream failed for ${filePath}: ${e.message}`);
+      }
+      // Headers (and Content-Length) are already out; abort the connection.
+      if (typeof res.destroy === "function") res.destroy();
+    }
+    return true;
+  };
+
+  if (streamed) {
+    return serveStreamed();
+  }
+
+  /**
+   * Full 200 body: the encoded variant only when it is smaller than the raw bytes.
+   * @param {Buffer} raw
+   * @param {string|null} encoding
+   * @param {Buffer|null} encoded
+   * @param {object} outHeaders
+   */
+  const sendBody = (raw, encoding, encoded, outHeaders) => {
+    if (encoding && encoded && encoded.length < raw.length) {
+      outHeaders["Content-Encoding"] = encoding;
+      res.writeHead(200, outHeaders);
+      res.end(encoded);
+      return;
     }
     res.writeHead(200, outHeaders);
     res.end(raw);
-    return Promise.resolve();
+  };
+
+  /**
+   * Store the entry; failures only log (the response is still served).
+   * @param {object} entry
+   */
+  const writeCacheEntry = async (entry) => {
+    try {
+      await cache.set(cacheKey, entry);
+      if (typeof logger.debug === "function") {
+        logger.debug(`[CACHE SET] Caching static file: ${filePath}`);
+      }
+    } catch (e) {
+      if (typeof logger.warn === "function") {
+        logger.warn(`Failed to cache static file ${filePath}: ${e.message}`);
+      }
+    }
   };
 
   if (useCache && cacheEntry && cacheEntry.content) {
@@ -122,59 +493,99 @@ async function serveStaticFile(opts) {
       logger.debug(`[CACHE HIT] Serving static file: ${filePath}`);
     }
     applyClientCacheControl(headers);
+    if (canCompress) headers["Vary"] = varyAcceptEncoding();
 
     const content = Buffer.from(cacheEntry.content, "base64");
-    let gzipped = null;
-    if (cacheEntry.gzipContent) {
-      gzipped = Buffer.from(cacheEntry.gzipContent, "base64");
+    // Entries written before validators existed: hash on the fly.
+    const etag = cacheEntry.etag || computeEtag(content);
+    const lastModified = cacheEntry.lastModified ?? null;
+    if (applyValidators(headers, etag, lastModified, canCompress)) {
+      return true;
+    }
+    const ranges = resolveRanges(content.length, etag, lastModified);
+    if (ranges === -1) return true;
+    if (ranges) {
+      sendRangesFromBuffer(content, ranges, headers, etag);
+      return true;
     }
-    await sendBody(content, gzipped, headers);
+    const encoding = pickEncoding((e) => !!cacheEntry[variantKey(e)]);
+    let encoded = null;
+    if (encoding) {
+      const stored = cacheEntry[variantKey(encoding)];
+      if (stored) {
+        encoded = Buffer.from(stored, "base64");
+      } else {
+        // First request for this coding: produce it once and add it to the entry.
+        encoded = await produceVariant(encoding, content);
+        if (encoded) {
+          await writeCacheEntry({
+            ...cacheEntry,
+            [variantKey(encoding)]: encoded.toString("base64"),
+          });
+        }
+      }
+    }
+    sendBody(content, encoding, encoded, headers);
     return true;
   }
 
   // Static file from disk
-  return new Promise((resolve) => {
-    fs.readFile(filePath, async (err, data) => {
-      if (err) {
-        res.writeHead(404, { "Content-Type": "text/plain" });
-        res.end("FILE_NOT_FOUND");
-        resolve(true);
-        return;
-      }
-      const ext = path.extname(filePath);
-      const contentType =
-        mimeTypes.contentType(ext) || "application/octet-stream";
-      const outHeaders = { "Content-Type": contentType };
-      applyClientCacheControl(outHeaders);
-
-      const gzipped = await gzipBuffer(data);
-
-      if (useCache) {
-        const entry = {
-          contentType,
-          content: data.toString("base64"),
-        };
-        if (gzipped) {
-          entry.gzipContent = gzipped.toString("base64");
-        }
-        try {
-          await cache.set(cacheKey, entry);
-          if (typeof logger.debug === "function") {
-            logger.debug(`[CACHE SET] Caching static file: ${filePath}`);
-          }
-        } catch (e) {
-          if (typeof logger.warn === "function") {
-            logger.warn(
-              `Failed to cache static file ${filePath}: ${e.message}`,
-            );
-          }
-        }
-      }
+  let data;
+  try {
+    data = await fs.promises.readFile(filePath);
+  } catch (_) {
+    res.writeHead(404, { "Content-Type": "text/plain" });
+    res.end("FILE_NOT_FOUND");
+    return true;
+  }
+  const contentType =
+    mimeTypes.contentType(path.extname(filePath)) || "application/octet-stream";
+  const outHeaders = { "Content-Type": contentType };
+  applyClientCacheControl(outHeaders);
+  if (canCompress) outHeaders["Vary"] = varyAcceptEncoding();
 
-      await sendBody(data, gzipped, outHeaders);
-      resolve(true);
-    });
-  });
+  const etag = computeEtag(data);
+  const lastModified = stats.mtimeMs;
+  const entry = useCache
+    ? { contentType, content: data.toString("base64"), etag, lastModified }
+    : null;
+
+  // 304 and byte ranges never need an encoded variant: cache the raw bytes and answer.
+  const notModified = applyValidators(
+    outHeaders,
+    etag,
+    lastModified,
+    canCompress,
+  );
+  const ranges = notModified
+    ? null
+    : resolveRanges(data.length, etag, lastModified);
+  if (notModified || ranges) {
+    if (entry) await writeCacheEntry(entry);
+    if (ranges && ranges !== -1) {
+      sendRangesFromBuffer(data, ranges, outHeaders, etag);
+    }
+    return true;
+  }
+
+  let encoding = null;
+  let encoded = null;
+  if (ranked.length > 0) {
+    const siblings = {};
+    for (const { encoding: e } of ranked) {
+      siblings[e] = !!(await findSibling(e));
+    }
+    encoding = pickEncoding((e) => siblings[e]);
+    encoded = await produceVariant(encoding, data);
+  }
+  if (entry) {
+    if (encoding && encoded) {
+      entry[variantKey(encoding)] = encoded.toString("base64");
+    }
+    await writeCacheEntry(entry);
+  }
+  sendBody(data, encoding, encoded, outHeaders);
+  return true;
 }
 
 /**
@@ -0,0 +1,263 @@
+/**
+ * @module engine/request/storage
+ * @description Presigned URLs for local storage buckets at app.json `storage.presign_path`
+ * (`<presign_path>/<bucket>/<key>?expires=…&signature=…`): GET / HEAD download the object,
+ * PUT uploads it. URLs are created by `storage.presign()`; S3 buckets are signed for the
+ * service itself and never reach this handler.
+ * Engine-internal.
+ */
+
+const { Transform } = require("stream");
+const mime = require("mime-types");
+const metrics = require("../../metrics.js");
+const storageBuckets = require("../storage_buckets.js");
+const { formatEtag, toHttpDate, isNotModified } = require("./conditional.js");
+
+/**
+ * Types a browser may render inline from the app origin. Anything else (HTML, SVG, XML,
+ * scripts…) is served as an attachment: an unsigned PUT keeps the uploader's Content-Type.
+ */
+const INLINE_TYPE_RE =
+  /^(image\/(png|jpeg|gif|webp|avif|bmp)|audio\/[\w.+-]+|video\/[\w.+-]+|text\/plain|application\/octet-stream)$/;
+
+/**
+ * Whether a request is for a local-bucket presigned URL.
+ * @param {object} app - live app
+ * @param {string} requestPath - path after `/{app}`
+ * @returns {boolean}
+ */
+function isStorageRequest(app, requestPath) {
+  const cfg = storageBuckets.resolveStorageConfig(app && app.config);
+  const hasLocal = Object.values(cfg.buckets).some((b) => b.driver === "local");
+  return hasLocal && requestPath.startsWith(`${cfg.presignPath}/`);
+}
+
+/**
+ * Send a plain-text or empty response and record it.
+ * @private
+ */
+function reply(res, statusCode, headers, body, meta) {
+  if (!res.headersSent) {
+    const out = { ...headers };
+    if (body !== undefined) {
+      out["Content-Type"] = "text/plain";
+      out["Content-Length"] = Buffer.byteLength(body);
+    }
+    res.writeHead(statusCode, out);
+    res.end(body);
+  }
+  record(statusCode, meta);
+}
+
+/** @private */
+function record(statusCode, meta) {
+  metrics.recordHttpRequest({
+    app: meta.appName,
+    kind: "other",
+    statusCode,
+    durationSeconds: meta.requestStartedAt
+      ? (Date.now() - meta.requestStartedAt) / 1000
+      : 0,
+  });
+}
+
+/** @private */
+function objectHeaders(info) {
+  const baseType = String(info.contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  const headers = {
+    "Content-Type": info.contentType,
+    "Content-Length": String(info.size),
+    "Cache-Control": "private, no-cache",
+    "X-Content-Type-Options": "nosniff",
+  };
+  if (!INLINE_TYPE_RE.test(baseType)) {
+    headers["Content-Disposition"] = "attachment";
+  }
+  if (info.etag) headers.ETag = formatEtag(info.etag);
+  const lastModified = toHttpDate(info.lastModified);
+  if (lastModified) headers["Last-Modified"] = lastModified;
+  return headers;
+}
+
+/**
+ * `<bucket>/<key>` after the presign path, or null when malformed.
+ * @private
+ */
+function parseTarget(rest) {
+  const slash = rest.indexOf("/");
+  if (slash <= 0) return null;
+  try {
+    const bucket = decodeURIComponent(rest.slice(0, slash));
+    const key = rest
+      .slice(slash + 1)
+      .split("/")
+      .map(decodeURIComponent)
+      .join("/");
+    storageBuckets.validateKey(key);
+    return { bucket, key };
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Handle one presigned-URL request (GET, HEAD, PUT).
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} app - live app
+ * @param {string} requestPath - path after `/{app}`
+ * @param {object} ctx
+ * @param {string} ctx.appName
+ * @param {number} [ctx.requestStartedAt]
+ * @returns {Promise<void>}
+ */
+async function handleStorage(req, res, app, requestPath, ctx) {
+  const cfg = storageBuckets.resolveStorageConfig(app.config);
+  const meta = { appName: ctx.appName, requestStartedAt: ctx.requestStartedAt };
+  const method = String(req.method).toUpperCase();
+  if (method !== "GET" && method !== "HEAD" && method !== "PUT") {
+    reply(res, 405, { Allow: "GET, HEAD, PUT" }, "Method Not Allowed", meta);
+    return;
+  }
+
+  const target = parseTarget(requestPath.slice(cfg.presignPath.length + 1));
+  const bucketCfg = target && cfg.buckets[target.bucket];
+  if (!bucketCfg || bucketCfg.driver !== "local") {
+    reply(res, 404, {}, "Not Found", meta);
+    return;
+  }
+
+  const query = new URL(req.url, "http://localhost").searchParams;
+  const grant = {
+    method: method === "HEAD" ? "GET" : method,
+    bucket: target.bucket,
+    key: target.key,
+    expires: query.get("expires"),
+    contentType: query.get("content_type") || undefined,
+    signature: query.get("signature"),
+  };
+  const valid = await storageBuckets.verifyLocalUrl(
+    ctx.appName,
+    app.config,
+    grant,
+  );
+  if (!valid) {
+    reply(res, 403, {}, "Invalid or expired URL", meta);
+    return;
+  }
+
+  const driver = storageBuckets.openBucket(
+    ctx.appName,
+    app.config,
+    target.bucket,
+  );
+
+  if (method === "PUT") {
+    await handlePut(req, res, driver, cfg, grant, target.key, meta);
+    return;
+  }
+
+  const info = await driver.head(target.key);
+  if (!info) {
+    reply(res, 404, {}, "Not Found", meta);
+    return;
+  }
+  const headers = objectHeaders(info);
+  if (
+    isNotModified(req.headers, {
+      etag: headers.ETag,
+      lastModified: info.lastModified,
+    })
+  ) {
+    delete headers["Content-Type"];
+    delete headers["Content-Length"];
+    reply(res, 304, headers, undefined, meta);
+    return;
+  }
+  if (method === "HEAD") {
+    res.writeHead(200, headers);
+    res.end();
+    record(200, meta);
+    return;
+  }
+  const object = await driver.getStream(target.key);
+  if (!object) {
+    reply(res, 404, {}, "Not Found", meta);
+    return;
+  }
+  res.writeHead(200, headers);
+  object.stream.on("error", () => res.destroy());
+  object.stream.pipe(res);
+  res.on("close", () => object.stream.destroy());
+  record(200, meta);
+}
+
+/**
+ * Store a presigned PUT body, enforcing the signed Content-Type and `storage.max_upload_size`.
+ * @private
+ */
+async function handlePut(req, res, driver, cfg, grant, key, meta) {
+  const sent = String(req.headers["content-type"] || "").trim();
+  if (grant.contentType && sent !== grant.contentType) {
+    reply(res, 403, {}, `Content-Type must be ${grant.contentType}`, meta);
+    return;
+  }
+  const declared = req.headers["content-length"];
+  if (declared !== undefined && Number(declared) > cfg.maxUploadSize) {
+    res.on("finish", () => req.destroy());
+    reply(
+      res,
+      413,
+      { Connection: "close" },
+      "Body exceeds storage.max_upload_size",
+      meta,
+    );
+    return;
+  }
+
+  let received = 0;
+  let exceeded = false;
+  const limiter = new Transform({
+    transform(chunk, _enc, cb) {
+      received += chunk.length;
+      if (received > cfg.maxUploadSize) {
+        exceeded = true;
+        cb(new Error("Body exceeds storage.max_upload_size"));
+        return;
+      }
+      cb(null, chunk);
+    },
+  });
+  // The limit may trip before driver.put starts reading; the error still reaches it.
+  limiter.on("error", () => req.unpipe(limiter));
+  let info;
+  try {
+    info = await driver.put(key, req.pipe(limiter), {
+      contentType: sent || mime.lookup(key) || "application/octet-stream",
+      metadata: {},
+    });
+  } catch (err) {
+    if (exceeded) {
+      res.on("finish", () => req.destroy());
+      reply(res, 413, { Connection: "close" }, err.message, meta);
+      return;
+    }
+    throw err;
+  }
+  reply(
+    res,
+    200,
+    info.etag ? { ETag: formatEtag(info.etag) } : {},
+    undefined,
+    meta,
+  );
+}
+
+module.exports = {
+  isStorageRequest,
+  handleStorage,
+};
@@ -0,0 +1,931 @@
+/**
+ * @module engine/request/tus
+ * @description tus 1.0.0 resumable uploads (core protocol plus the creation,
+ * creation-with-upload, termination and expiration extensions) at app.json `tus.path`.
+ * Partial uploads live in the app temp dir (`tus/partial/<id>` + `<id>.json`); finished files
+ * are moved to `tus.target` and handed to `tus.on_complete` (a box script or a queue job).
+ * Every request except OPTIONS passes `tus.auth` first, and unfinished uploads are capped per
+ * client and in total.
+ * Engine-internal.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const metrics = require("../../metrics.js");
+const { parseSize } = require("../request_context/parse_size.js");
+const { appTempPath } = require("../paths.js");
+const { compileRouteRule, enforceRouteRule } = require("../api_keys.js");
+const { resolveConfinedPath, confineScriptPath } = require("./path_confine.js");
+
+const TUS_VERSION = "1.0.0";
+const TUS_EXTENSIONS = [
+  "creation",
+  "creation-with-upload",
+  "termination",
+  "expiration",
+];
+const DEFAULT_TUS_PATH = "/tus";
+const DEFAULT_MAX_SIZE = "100MB";
+const DEFAULT_MAX_TOTAL_SIZE = "1GB";
+const DEFAULT_MAX_UPLOADS_PER_CLIENT = 5;
+const DEFAULT_EXPIRY_SECONDS = 24 * 60 * 60;
+const DEFAULT_TARGET = { scope: "TEMP", path: "tus/complete" };
+const TARGET_SCOPES = ["BOX", "WEB", "TEMP"];
+const PATCH_CONTENT_TYPE = "application/offset+octet-stream";
+
+/** Extensions a finished file may keep when `tus.allowed_extensions` is not set. */
+const DEFAULT_ALLOWED_EXTENSIONS = [
+  "jpg",
+  "jpeg",
+  "png",
+  "gif",
+  "webp",
+  "avif",
+  "mp3",
+  "wav",
+  "ogg",
+  "m4a",
+  "mp4",
+  "mov",
+  "webm",
+  "pdf",
+  "txt",
+  "csv",
+  "zip",
+];
+/** Extensions a browser would run as a page or script; never kept for a `WEB` target. */
+const WEB_UNSAFE_EXTENSIONS = [
+  "html",
+  "htm",
+  "xhtml",
+  "shtml",
+  "svg",
+  "svgz",
+  "xml",
+  "xsl",
+  "js",
+  "mjs",
+];
+/** Extensions the engine would run as a box script; never kept for a `BOX` target. */
+const BOX_UNSAFE_EXTENSIONS = [
+  "js",
+  "mjs",
+  "cjs",
+  "jsx",
+  "ts",
+  "mts",
+  "cts",
+  "tsx",
+];
+/** Extensions never kept, per target scope. */
+const UNSAFE_EXTENSIONS = {
+  WEB: WEB_UNSAFE_EXTENSIONS,
+  BOX: BOX_UNSAFE_EXTENSIONS,
+  TEMP: [],
+};
+const EXTENSION_RE = /^[a-z0-9]{1,10}$/;
+
+/** Response headers a browser client must be able to read. */
+const EXPOSED_HEADERS = [
+  "Location",
+  "Tus-Resumable",
+  "Tus-Version",
+  "Tus-Extension",
+  "Tus-Max-Size",
+  "Upload-Offset",
+  "Upload-Length",
+  "Upload-Metadata",
+  "Upload-Expires",
+];
+
+const UPLOAD_ID_RE =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/** Uploads with a PATCH / DELETE in flight (`<app>/<id>`). */
+const locks = new Set();
+
+/** Resolved settings per raw app.json `tus` object, so sizes are parsed once. */
+const resolved = new WeakMap();
+const NO_TUS = {};
+
+/**
+ * A size setting in bytes, or the default (with a problem) when it is not a positive size.
+ * @private
+ */
+function sizeSetting(raw, name, fallback, problems) {
+  if (raw[name] != null) {
+    let size = NaN;
+    try {
+      size =
+        typeof raw[name] === "number"
+          ? raw[name]
+          : parseSize(String(raw[name]));
+    } catch (_) {
+      /* reported below */
+    }
+    if (Number.isFinite(size) && size > 0) return size;
+    problems.push(
+      `tus.${name} '${raw[name]}' is not a size; using ${fallback}.`,
+    );
+  }
+  return parseSize(fallback);
+}
+
+/**
+ * Effective app.json `tus` settings. The endpoint stays off until `tus.auth` is set (an API key
+ * rule, or `false` for anonymous uploads); invalid values fall back to their defaults. Problems are
+ * reported once by `initApp`. Never throws, so it is safe on every request.
+ * @param {object} appConfig - app.json
+ * @returns {{ enabled: boolean, path: string, auth: { scopes: string[] }|null, maxSize: number,
+ *   maxTotalSize: number, maxUploadsPerClient: number, allowedExtensions: string[],
+ *   expirySeconds: number, target: { scope: string, path: string },
+ *   onComplete: { script?: string, queue?: string }|null, problems: string[] }}
+ */
+function resolveTusConfig(appConfig) {
+  const raw =
+    appConfig &&
+    appConfig.tus &&
+    typeof appConfig.tus === "object" &&
+    !Array.isArray(appConfig.tus)
+      ? appConfig.tus
+      : NO_TUS;
+  const cached = resolved.get(raw);
+  if (cached) return cached;
+
+  const problems = [];
+  let tusPath =
+    typeof raw.path === "string" && raw.path.trim()
+      ? raw.path.trim().replace(/\/+$/, "")
+      : DEFAULT_TUS_PATH;
+  if (!tusPath.startsWith("/")) tusPath = `/${tusPath}`;
+
+  let enabled = raw.enabled === true;
+  let auth = null;
+  if (enabled && raw.auth !== false) {
+    let reason =
+      'tus.auth must be an API key rule ({ "api_key": true }) or false for anonymous uploads';
+    try {
+      auth = compileRouteRule(raw.auth);
+    } catch (err) {
+      reason = `tus.auth: ${err.message.replace(/\.$/, "")}`;
+    }
+    if (!auth) {
+      enabled = false;
+      problems.push(`${reason}; the endpoint is off.`);
+    }
+  }
+
+  const maxSize = sizeSetting(raw, "max_size", DEFAULT_MAX_SIZE, problems);
+  const maxTotalSize = sizeSetting(
+    raw,
+    "max_total_size",
+    DEFAULT_MAX_TOTAL_SIZE,
+    problems,
+  );
+  let maxUploadsPerClient = DEFAULT_MAX_UPLOADS_PER_CLIENT;
+  if (raw.max_uploads_per_client != null) {
+    const n = Number(raw.max_uploads_per_client);
+    if (Number.isInteger(n) && n > 0) {
+      maxUploadsPerClient = n;
+    } else {
+      problems.push(
+        `tus.max_uploads_per_client '${raw.max_uploads_per_client}' is not a positive integer; using ${DEFAULT_MAX_UPLOADS_PER_CLIENT}.`,
+      );
+    }
+  }
+
+  const expiry = Number(raw.expiry_seconds);
+  const rawTarget =
+    raw.target && typeof raw.target === "object" ? raw.target : {};
+  const scope = String(rawTarget.scope || DEFAULT_TARGET.scope).toUpperCase();
+  const target = {
+    scope: TARGET_SCOPES.includes(scope) ? scope : DEFAULT_TARGET.scope,
+    path:
+      typeof rawTarget.path === "string" && rawTarget.path.trim()
+        ? rawTarget.path.trim()
+        : DEFAULT_TARGET.path,
+  };
+
+  let allowedExtensions = DEFAULT_ALLOWED_EXTENSIONS;
+  if (raw.allowed_extensions != null) {
+    if (Array.isArray(raw.allowed_extensions)) {
+      allowedExtensions = raw.allowed_extensions
+        .map((e) => String(e).trim().toLowerCase().replace(/^\./, ""))
+        .filter((e) => EXTENSION_RE.test(e));
+    } else {
+      problems.push(
+        "tus.allowed_extensions must be an array of extensions; using the default list.",
+      );
+    }
+  }
+  const unsafe = allowedExtensions.filter((e) =>
+    UNSAFE_EXTENSIONS[target.scope].includes(e),
+  );
+  if (unsafe.length > 0) {
+    problems.push(
+      `tus.allowed_extensions ${unsafe.join(", ")} are not kept for a ${target.scope} target.`,
+    );
+    allowedExtensions = allowedExtensions.filter((e) => !unsafe.includes(e));
+  }
+
+  let onComplete = null;
+  const hook = raw.on_complete;
+  if (hook && typeof hook === "object") {
+    if (typeof hook.script === "string" && hook.script.trim()) {
+      onComplete = { script: hook.script.trim() };
+    } else if (typeof hook.queue === "string" && hook.queue.trim()) {
+      onComplete = { queue: hook.queue.trim() };
+    }
+  }
+
+  const settings = {
+    enabled,
+    path: tusPath,
+    auth,
+    maxSize,
+    maxTotalSize,
+    maxUploadsPerClient,
+    allowedExtensions,
+    expirySeconds:
+      Number.isFinite(expiry) && expiry > 0 ? expiry : DEFAULT_EXPIRY_SECONDS,
+    target,
+    onComplete,
+    problems,
+  };
+  resolved.set(raw, settings);
+  return settings;
+}
+
+/**
+ * Resolve an app's `tus` settings at load and log anything that turned the endpoint off or was
+ * replaced by a default.
+ * @param {object} app - `{ name, config }`
+ * @param {object} logger
+ */
+function initApp(app, logger) {
+  for (const problem of resolveTusConfig(app.config).problems) {
+    logger.error(`[tus] App '${app.name}': ${problem}`);
+  }
+}
+
+/**
+ * Whether this request targets the app's tus endpoint (the collection or one upload).
+ * @param {object} app
+ * @param {string} requestPath - path after `/{app}`
+ * @returns {boolean}
+ */
+function isTusRequest(app, requestPath) {
+  const cfg = resolveTusConfig(app && app.config);
+  if (!cfg.enabled) return false;
+  return requestPath === cfg.path || requestPath.startsWith(`${cfg.path}/`);
+}
+
+/**
+ * Parse an `Upload-Metadata` header (`key base64value,key2 base64value2`).
+ * @param {string|undefined} header
+ * @returns {object|null} decoded pairs, or null when malformed
+ */
+function parseUploadMetadata(header) {
+  const out = {};
+  if (header === undefined || header === null || header === "") return out;
+  for (const pair of String(header).split(",")) {
+    const [key, value, extra] = pair.trim().split(" ");
+    if (!key || extra !== undefined) return null;
+    if (value === undefined || value === "") {
+      out[key] = "";
+      continue;
+    }
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(value)) return null;
+    out[key] = Buffer.from(value, "base64").toString("utf8");
+  }
+  return out;
+}
+
+/**
+ * @private
+ */
+function partialDir(projectRoot, appName) {
+  return path.join(appTempPath(projectRoot, appName), "tus", "partial");
+}
+
+/**
+ * @private
+ */
+function readInfo(dir, id) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, `${id}.json`), "utf8"));
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * @private
+ */
+function writeInfo(dir, info) {
+  fs.writeFileSync(path.join(dir, `${info.id}.json`), JSON.stringify(info));
+}
+
+/**
+ * @private
+ */
+function removeUpload(dir, id) {
+  fs.rmSync(path.join(dir, id), { force: true });
+  fs.rmSync(path.join(dir, `${id}.json`), { force: true });
+}
+
+/**
+ * Info records of the unfinished uploads in a partial dir.
+ * @private
+ */
+function listUploads(dir) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (_) {
+    return [];
+  }
+  return entries
+    .filter((entry) => entry.endsWith(".json"))
+    .map((entry) => readInfo(dir, entry.slice(0, -5)))
+    .filter(Boolean);
+}
+
+/**
+ * Remove partial uploads whose expiry has passed.
+ *
+ * @param {string} dir - an app's `tus/partial` folder
+ * @param {string} appName
+ * @returns {number} uploads removed
+ * @private
+ */
+function sweepExpiredIn(dir, appName) {
+  let entries;
+  try {
+    entries = fs.readdirSync(dir);
+  } catch (_) {
+    return 0;
+  }
+  const now = Date.now();
+  let removed = 0;
+  for (const entry of entries) {
+    if (!entry.endsWith(".json")) continue;
+    const id = entry.slice(0, -5);
+    const info = readInfo(dir, id);
+    if ((!info || info.expiresAt <= now) && !locks.has(`${appName}/${id}`)) {
+      removeUpload(dir, id);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Remove expired partial uploads for every app (boot).
+ *
+ * @param {string} projectRoot
+ * @param {object} [logger]
+ * @returns {number} uploads removed
+ */
+function sweepExpiredTusUploads(projectRoot, logger) {
+  const appsRoot = path.join(projectRoot, "temp", "apps");
+  let appDirs;
+  try {
+    appDirs = fs.readdirSync(appsRoot);
+  } catch (_) {
+    return 0;
+  }
+  let removed = 0;
+  for (const appName of appDirs) {
+    removed += sweepExpiredIn(partialDir(projectRoot, appName), appName);
+  }
+  if (removed > 0 && logger) {
+    logger.info(`Removed ${removed} expired tus upload(s).`);
+  }
+  return removed;
+}
+
+/**
+ * Send a tus response (every response carries `Tus-Resumable`).
+ * @private
+ */
+function reply(res, statusCode, headers, body, meta) {
+  if (!res.headersSent) {
+    const out = { "Tus-Resumable": TUS_VERSION, ...headers };
+    if (body !== undefined) {
+      out["Content-Type"] = "text/plain";
+      out["Content-Length"] = Buffer.byteLength(body);
+    }
+    res.writeHead(statusCode, out);
+    res.end(body);
+  }
+  metrics.recordHttpRequest({
+    app: meta.appName,
+    kind: "other",
+    statusCode,
+    durationSeconds: meta.requestStartedAt
+      ? (Date.now() - meta.requestStartedAt) / 1000
+      : 0,
+  });
+}
+
+/**
+ * Let browser clients read the tus headers when CORS is on for the app.
+ * @private
+ */
+function exposeTusHeaders(res) {
+  if (!res.getHeader || !res.getHeader("Access-Control-Allow-Origin")) return;
+  const current = String(res.getHeader("Access-Control-Expose-Headers") || "")
+    .split(",")
+    .map((h) => h.trim())
+    .filter(Boolean);
+  const lower = current.map((h) => h.toLowerCase());
+  for (const h of EXPOSED_HEADERS) {
+    if (!lower.includes(h.toLowerCase())) current.push(h);
+  }
+  res.setHeader("Access-Control-Expose-Headers", current.join(", "));
+}
+
+/**
+ * @private
+ */
+function nonNegativeInt(value) {
+  if (value === undefined || value === null || !/^\d+$/.test(String(value))) {
+    return null;
+  }
+  const n = Number(value);
+  return Number.isSafeInteger(n) ? n : null;
+}
+
+/**
+ * Stream the request body into the partial file at `offset`, never past `length`.
+ * Resolves with the new offset; bytes received before a client abort are kept.
+ * @private
+ * @returns {Promise<{ offset: number, aborted: boolean, exceeded: boolean, error?: Error }>}
+ */
+function appendBody(req, dataPath, offset, length) {
+  return new Promise((resolve) => {
+    const out = fs.createWriteStream(dataPath, { flags: "r+", start: offset });
+    let written = offset;
+    let exceeded = false;
+    let done = false;
+
+    const finish = (aborted) => {
+      if (done) return;
+      done = true;
+      req.removeListener("data", onData);
+      out.end(() => resolve({ offset: written, aborted, exceeded }));
+    };
+    const onData = (chunk) => {
+      const room = length - written;
+      let part = chunk;
+      if (part.length > room) {
+        exceeded = true;
+        part = part.subarray(0, room);
+      }
+      if (part.length > 0) {
+        written += part.length;
+        if (!out.write(part)) req.pause();
+      }
+      if (exceeded) finish(false);
+    };
+
+    out.on("drain", () => {
+      if (!done) req.resume();
+    });
+    out.on("error", (err) => {
+      if (done) return;
+      done = true;
+      req.removeListener("data", onData);
+      let onDisk = offset;
+      try {
+        onDisk = Math.min(fs.statSync(dataPath).size, length);
+      } catch (_) {
+        /* keep the previous offset */
+      }
+      resolve({ offset: onDisk, aborted: false, exceeded: false, error: err });
+    });
+    req.on("data", onData);
+    req.on("end", () => finish(false));
+    req.on("error", () => finish(true));
+    req.on("close", () => finish(true));
+  });
+}
+
+/**
+ * Move a finished upload to `tus.target` and run `tus.on_complete`.
+ * @private
+ */
+async function completeUpload(app, cfg, dir, info, ctx) {
+  const scopeRoot =
+    cfg.target.scope === "BOX"
+      ? app.appBoxPath
+      : cfg.target.scope === "WEB"
+        ? app.appWebPath
+        : appTempPath(ctx.projectRoot, app.name);
+  fs.mkdirSync(scopeRoot, { recursive: true });
+  const targetDir = resolveConfinedPath(scopeRoot, cfg.target.path);
+  if (!targetDir) {
+    throw new Error(`tus.target.path escapes the ${cfg.target.scope} scope.`);
+  }
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  const originalName = info.metadata.filename || info.metadata.name || "";
+  const ext = path.extname(originalName).toLowerCase().slice(1);
+  const fileName = cfg.allowedExtensions.includes(ext)
+    ? `${info.id}.${ext}`
+    : info.id;
+  const finalPath = path.join(targetDir, fileName);
+  const dataPath = path.join(dir, info.id);
+  try {
+    fs.renameSync(dataPath, finalPath);
+  } catch (err) {
+    if (err.code !== "EXDEV") throw err;
+    fs.copyFileSync(dataPath, finalPath);
+  }
+  removeUpload(dir, info.id);
+
+  const relative = path
+    .relative(path.resolve(scopeRoot), finalPath)
+    .split(path.sep)
+    .join("/");
+  const upload = {
+    id: info.id,
+    size: info.length,
+    metadata: info.metadata,
+    scope: cfg.target.scope,
+    path: `/${relative}`,
+    completedAt: new Date().toISOString(),
+  };
+  ctx.logger.info(
+    `tus upload ${info.id} complete (${info.length} bytes) → ${cfg.target.scope}:${upload.path}`,
+  );
+
+  if (cfg.onComplete && cfg.onComplete.queue) {
+    const perms = app.grantedPermissions || [];
+    if (!perms.includes("queue")) {
+      ctx.logger.error(
+        `tus.on_complete.queue requires the "queue" permission for app '${app.name}'.`,
+      );
+      return;
+    }
+    const queueService = require("../queue_service.js");
+    try {
+      await queueService.addJob(app, cfg.onComplete.queue, upload);
+    } catch (err) {
+      ctx.logger.error(
+        `tus upload ${info.id}: could not enqueue '${cfg.onComplete.queue}': ${err.message}`,
+      );
+    }
+    return;
+  }
+
+  if (cfg.onComplete && cfg.onComplete.script && ctx.runScript) {
+    const rel = path.extname(cfg.onComplete.script)
+      ? cfg.onComplete.script
+      : `${cfg.onComplete.script}.js`;
+    const scriptPath = confineScriptPath(app.appBoxPath, rel);
+    if (!scriptPath || !fs.existsSync(scriptPath)) {
+      ctx.logger.error(
+        `tus.on_complete.script not found in box: ${cfg.onComplete.script}`,
+      );
+      return;
+    }
+    await ctx.runScript(scriptPath, upload);
+  }
+}
+
+/**
+ * Handle one tus request (OPTIONS, POST, HEAD, PATCH, DELETE).
+ *
+ * @param {object} req
+ * @param {object} res
+ * @param {object} app - live app
+ * @param {string} requestPath - path after `/{app}`
+ * @param {object} ctx
+ * @param {string} ctx.appName
+ * @param {string} ctx.projectRoot
+ * @param {string} ctx.baseUrl - URL prefix of the app (`/<app>`, or empty when host-mapped)
+ * @param {object} ctx.logger
+ * @param {number} [ctx.requestStartedAt]
+ * @param {function(string, object): Promise<void>} [ctx.runScript] - run the completion
+ *   script for this request with `$g.upload` (it may send the final response itself)
+ * @returns {Promise<void>}
+ */
+async function handleTus(req, res, app, requestPath, ctx) {
+  const cfg = resolveTusConfig(app.config);
+  const meta = { appName: ctx.appName, requestStartedAt: ctx.requestStartedAt };
+  const dir = partialDir(ctx.projectRoot, app.name);
+  // Clients that cannot send PATCH / DELETE tunnel them through POST; other methods keep theirs.
+  const override = req.headers["x-http-method-override"];
+  const method = String(
+    String(req.method).toUpperCase() === "POST" && override
+      ? override
+      : req.method,
+  ).toUpperCase();
+  exposeTusHeaders(res);
+
+  if (method === "OPTIONS") {
+    reply(
+      res,
+      204,
+      {
+        "Tus-Version": TUS_VERSION,
+        "Tus-Extension": TUS_EXTENSIONS.join(","),
+        "Tus-Max-Size": String(cfg.maxSize),
+      },
+      undefined,
+      meta,
+    );
+    return;
+  }
+
+  let client = `ip:${(req.socket && req.socket.remoteAddress) || "-"}`;
+  if (cfg.auth) {
+    const apiKey = await enforceRouteRule(req, res, app, cfg.auth);
+    if (!apiKey) {
+      reply(res, res.statusCode, {}, undefined, meta);
+      return;
+    }
+    client = `key:${apiKey.id}`;
+  }
+
+  if (req.headers["tus-resumable"] !== TUS_VERSION) {
+    reply(
+      res,
+      412,
+      { "Tus-Version": TUS_VERSION },
+      "Unsupported Tus-Resumable version",
+      meta,
+    );
+    return;
+  }
+
+  const rest = requestPath.slice(cfg.path.length).replace(/^\/+/, "");
+
+  if (rest === "") {
+    if (method !== "POST") {
+      reply(res, 405, { Allow: "OPTIONS, POST" }, "Method Not Allowed", meta);
+      return;
+    }
+    await createUpload(req, res, app, cfg, dir, client, ctx, meta);
+    return;
+  }
+
+  const id = rest.toLowerCase();
+  if (!UPLOAD_ID_RE.test(id)) {
+    reply(res, 404, {}, "Not Found", meta);
+    return;
+  }
+  const info = readInfo(dir, id);
+  // With tus.auth, an upload belongs to the key that created it.
+  if (!info || (cfg.auth && info.owner !== client)) {
+    reply(res, 404, {}, "Not Found", meta);
+    return;
+  }
+  if (info.expiresAt <= Date.now() && !locks.has(`${app.name}/${id}`)) {
+    removeUpload(dir, id);
+    reply(res, 410, {}, "Gone", meta);
+    return;
+  }
+
+  if (method === "HEAD") {
+    const headers = {
+      "Upload-Offset": String(info.offset),
+      "Upload-Length": String(info.length),
+      "Upload-Expires": new Date(info.expiresAt).toUTCString(),
+      "Cache-Control": "no-store",
+    };
+    if (info.rawMetadata) headers["Upload-Metadata"] = info.rawMetadata;
+    reply(res, 200, headers, undefined, meta);
+    return;
+  }
+
+  if (method === "PATCH") {
+    const contentType = String(req.headers["content-type"] || "")
+      .split(";")[0]
+      .trim()
+      .toLowerCase();
+    if (contentType !== PATCH_CONTENT_TYPE) {
+      reply(res, 415, {}, `Content-Type must be ${PATCH_CONTENT_TYPE}`, meta);
+      return;
+    }
+    const offset = nonNegativeInt(req.headers["upload-offset"]);
+    if (offset === null) {
+      reply(res, 400, {}, "Missing or invalid Upload-Offset", meta);
+      return;
+    }
+    if (offset !== info.offset) {
+      reply(
+        res,
+        409,
+        { "Upload-Offset": String(info.offset) },
+        "Upload-Offset does not match",
+        meta,
+      );
+      return;
+    }
+    await writeChunk(req, res, app, cfg, dir, info, ctx, meta, 204);
+    return;
+  }
+
+  if (method === "DELETE") {
+    if (locks.has(`${app.name}/${id}`)) {
+      reply(res, 423, {}, "Upload in progress", meta);
+      return;
+    }
+    removeUpload(dir, id);
+    reply(res, 204, {}, undefined, meta);
+    return;
+  }
+
+  reply(
+    res,
+    405,
+    { Allow: "OPTIONS, HEAD, PATCH, DELETE" },
+    "Method Not Allowed",
+    meta,
+  );
+}
+
+/**
+ * POST: create an upload (creation), optionally with its first chunk (creation-with-upload).
+ * @private
+ */
+async function createUpload(req, res, app, cfg, dir, client, ctx, meta) {
+  if (req.headers["upload-defer-length"] !== undefined) {
+    reply(res, 400, {}, "Upload-Defer-Length is not supported", meta);
+    return;
+  }
+  const length = nonNegativeInt(req.headers["upload-length"]);
+  if (length === null) {
+    reply(res, 400, {}, "Missing or invalid Upload-Length", meta);
+    return;
+  }
+  if (length > cfg.maxSize) {
+    reply(
+      res,
+      413,
+      { "Tus-Max-Size": String(cfg.maxSize) },
+      "Upload-Length exceeds Tus-Max-Size",
+      meta,
+    );
+    return;
+  }
+  const rawMetadata = req.headers["upload-metadata"] || "";
+  const metadata = parseUploadMetadata(rawMetadata);
+  if (!metadata) {
+    reply(res, 400, {}, "Invalid Upload-Metadata", meta);
+    return;
+  }
+
+  fs.mkdirSync(dir, { recursive: true });
+  sweepExpiredIn(dir, app.name);
+  const pending = listUploads(dir);
+  if (
+    pending.filter((p) => p.owner === client).length >= cfg.maxUploadsPerClient
+  ) {
+    reply(res, 429, {}, "Too many unfinished uploads", meta);
+    return;
+  }
+  const reserved = pending.reduce((sum, p) => sum + (p.length || 0), 0);
+  if (reserved + length > cfg.maxTotalSize) {
+    reply(res, 507, {}, "Upload space for this app is full", meta);
+    return;
+  }
+
+  const now = Date.now();
+  const info = {
+    id: crypto.randomUUID(),
+    owner: client,
+    length,
+    offset: 0,
+    metadata,
+    rawMetadata,
+    createdAt: now,
+    expiresAt: now + cfg.expirySeconds * 1000,
+  };
+  fs.writeFileSync(path.join(dir, info.id), "");
+  writeInfo(dir, info);
+
+  const location = `${ctx.baseUrl}${cfg.path}/${info.id}`;
+  const contentType = String(req.headers["content-type"] || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (contentType === PATCH_CONTENT_TYPE || length === 0) {
+    await writeChunk(req, res, app, cfg, dir, info, ctx, meta, 201, {
+      Location: location,
+    });
+    return;
+  }
+  reply(
+    res,
+    201,
+    {
+      Location: location,
+      "Upload-Offset": "0",
+      "Upload-Expires": new Date(info.expiresAt).toUTCString(),
+    },
+    undefined,
+    meta,
+  );
+}
+
+/**
+ * Append the request body, persist the new offset and complete the upload when it is full.
+ * @private
+ */
+async function writeChunk(
+  req,
+  res,
+  app,
+  cfg,
+  dir,
+  info,
+  ctx,
+  meta,
+  statusCode,
+  extraHeaders = {},
+) {
+  const key = `${app.name}/${info.id}`;
+  if (locks.has(key)) {
+    reply(res, 423, {}, "Upload in progress", meta);
+    return;
+  }
+  locks.add(key);
+  let result;
+  try {
+    result =
+      info.offset < info.length
+        ? await appendBody(
+            req,
+            path.join(dir, info.id),
+            info.offset,
+            info.length,
+          )
+        : { offset: info.offset, aborted: false, exceeded: false };
+    info.offset = result.offset;
+    writeInfo(dir, info);
+  } finally {
+    locks.delete(key);
+  }
+
+  if (result.error) {
+    ctx.logger.error(
+      `tus upload ${info.id}: write failed: ${result.error.message}`,
+    );
+    reply(res, 500, {}, "Upload write failed", meta);
+    return;
+  }
+  if (result.aborted) return;
+
+  const headers = {
+    ...extraHeaders,
+    "Upload-Offset": String(info.offset),
+    "Upload-Expires": new Date(info.expiresAt).toUTCString(),
+  };
+  if (result.exceeded) {
+    res.on("finish", () => req.destroy());
+    reply(
+      res,
+      413,
+      { ...headers, Connection: "close" },
+      "Body exceeds Upload-Length",
+      meta,
+    );
+    return;
+  }
+  if (info.offset < info.length) {
+    reply(res, statusCode, headers, undefined, meta);
+    return;
+  }
+
+  for (const [name, value] of Object.entries(headers))
+    res.setHeader(name, value);
+  res.setHeader("Tus-Resumable", TUS_VERSION);
+  try {
+    await completeUpload(app, cfg, dir, info, ctx);
+  } catch (err) {
+    ctx.logger.error(
+      `tus upload ${info.id}: completion failed: ${err.message}`,
+    );
+    reply(res, 500, {}, "Upload completion failed", meta);
+    return;
+  }
+  if (!res.headersSent) {
+    reply(res, statusCode, headers, undefined, meta);
+  }
+}
+
+module.exports = {
+  TUS_VERSION,
+  DEFAULT_TUS_PATH,
+  resolveTusConfig,
+  initApp,
+  isTusRequest,
+  parseUploadMetadata,
+  handleTus,
+  sweepExpiredTusUploads,
+};
@@ -10,6 +10,8 @@ const path = require("path");
 const querystring = require("querystring");
 const { formidable } = require("formidable");
 const { parseSize } = require("./parse_size.js");
+const { enforceRouteSchema } = require("../request/schema.js");
+const { isMimeAllowed, createRequestUploadDir } = require("./uploads.js");
 
 /**
  * First Content-Type header value (Node may give a string or string[]).
@@ -151,6 +153,11 @@ function runInAls(als, store, bodyResolve, fn) {
  */
 async function parseBodyAndRunHandler(store, handler, als) {
   const req = store.req;
+  // routes.json `schema`: validate the parsed request before the main script handler runs.
+  const run = async ($g) => {
+    if (!enforceRouteSchema(store)) return;
+    await handler($g);
+  };
 
   const contentTypeHeader = getContentTypeHeader(req);
   const mediaType = parseMediaType(contentTypeHeader);
@@ -158,13 +165,13 @@ async function parseBodyAndRunHandler(store, handler, als) {
   if (req.method === "GET" || req.method === "HEAD" || !mediaType) {
     // body is not present in GET/HEAD, or no Content-Type → skip parse
     store.$g.request.body = null;
-    await handler(store.$g);
+    await run(store.$g);
     return;
   }
 
   if (!requestLikelyHasBody(req)) {
     store.$g.request.body = null;
-    await handler(store.$g);
+    await run(store.$g);
     return;
   }
 
@@ -173,7 +180,7 @@ async function parseBodyAndRunHandler(store, handler, als) {
     store.$g.log.info(
       `Body already processed, skipping for ${path.basename(store.scriptPath)}`,
     );
-    await handler(store.$g);
+    await run(store.$g);
     return;
   }
 
@@ -187,7 +194,7 @@ async function parseBodyAndRunHandler(store, handler, als) {
   if (mediaType === "application/x-www-form-urlencoded") {
     await parseBufferedBody(
       store,
-      handler,
+      run,
       als,
       req,
       maxBodySize,
@@ -197,19 +204,21 @@ async function parseBodyAndRunHandler(store, handler, als) {
   } else if (mediaType === "application/json") {
     await parseBufferedBody(
       store,
-      handler,
+      run,
       als,
       req,
       maxBodySize,
       bodyResolve,
       "json",
     );
+  } else if (mediaType === "multipart/form-data" && store.uploadPolicy) {
+    await parseMultipartToDisk(store, run, als, req, maxBodySize, bodyResolve);
   } else if (mediaType === "multipart/form-data") {
-    await parseMultipart(store, handler, als, req, maxBodySize, bodyResolve);
+    await parseMultipart(store, run, als, req, maxBodySize, bodyResolve);
   } else {
     await parseBufferedBody(
       store,
-      handler,
+      run,
       als,
       req,
       maxBodySize,
@@ -495,6 +504,143 @@ async function parseMultipart(
   }
 }
 
+/**
+ * Respond 415 Unsupported Media Type once (upload part outside `allowed_types`).
+ * @private
+ */
+function respondUnsupportedType(store, mimetype) {
+  if (!store || !store.res || store.res.headersSent) {
+    if (store && store.$g) store.$g.isCompleted = true;
+    return;
+  }
+  try {
+    store.res.writeHead(415, { "Content-Type": "text/plain" });
+    store.res.end(`Unsupported Media Type: ${mimetype || "unknown"}`);
+  } catch (_) {
+    /* response may already be half-closed */
+  }
+  if (store.$g) store.$g.isCompleted = true;
+}
+
+/**
+ * Streaming multipart (app.json / route `uploads.stream`): files are written to this request's
+ * folder under fs.TEMP and exposed as `files[field] = [{ name, type, size, path }]`.
+ * Limits are enforced while streaming: size / count → 413, `allowed_types` → 415.
+ * @private
+ */
+async function parseMultipartToDisk(
+  store,
+  handler,
+  als,
+  req,
+  maxBodySize,
+  bodyResolve,
+) {
+  const policy = store.uploadPolicy;
+  let settled = false;
+  let rejected = false;
+  const settle = () => {
+    if (settled) return;
+    settled = true;
+    try {
+      bodyResolve();
+    } catch (_) {
+      /* ignore */
+    }
+  };
+  const reject = (respond) => {
+    if (rejected) return;
+    rejected = true;
+    respond();
+    destroyRequest(req);
+    // The parse callback may never run once the request is destroyed.
+    setImmediate(settle);
+  };
+
+  try {
+    const uploadDir = createRequestUploadDir(store);
+    const maxTotalSize = policy.maxTotalSize || maxBodySize;
+    const form = formidable({
+      uploadDir: uploadDir.dir,
+      keepExtensions: true,
+      maxTotalFileSize: maxTotalSize,
+      maxFileSize: policy.maxFileSize || maxTotalSize,
+      maxFiles: policy.maxFiles || Infinity,
+      filter: (part) => {
+        if (rejected) return false;
+        if (isMimeAllowed(policy, part.mimetype)) return true;
+        store.logger.warn(
+          `Upload of type '${part.mimetype}' rejected for ${req.url} (allowed_types).`,
+        );
+        reject(() => respondUnsupportedType(store, part.mimetype));
+        return false;
+      },
+    });
+
+    form.on("error", (err) => {
+      // 1009 total size, 1015 file count, 1016 single file size
+      if (err && err.httpCode === 413) {
+        store.logger.warn(
+          `Multipart upload limit exceeded for ${req.url}: ${err.message}`,
+        );
+        reject(() => respondPayloadTooLarge(store));
+      }
+    });
+
+    req.on("close", () => {
+      if (rejected) settle();
+    });
+
+    form.parse(req, (err, fields, uploadedFiles) => {
+      if (rejected || (store.$g && store.$g.isCompleted)) {
+        if (!rejected) {
+          store.logger.info(
+            `Handler skipped for script '${path.basename(store.scriptPath)}' because response was already sent.`,
+          );
+        }
+        settle();
+        return;
+      }
+
+      runInAls(als, store, settle, async () => {
+        if (err) {
+          store.$g.log.error(
+            `Error parsing multipart/form-data: ${err.message} for ${store.$g.request.path}`,
+          );
+        }
+
+        const files = {};
+        for (const [fileField, list] of Object.entries(uploadedFiles || {})) {
+          files[fileField] = (Array.isArray(list) ? list : [list])
+            .filter(Boolean)
+            .map((file) => ({
+              name: file.originalFilename,
+              type: file.mimetype,
+              size: file.size,
+              path: `${uploadDir.scopePath}/${path.basename(file.filepath)}`,
+            }));
+        }
+        store.$g.request.body = { ...fields, files };
+        store.req.body = store.$g.request.body;
+        await handler(store.$g);
+      });
+    });
+  } catch (err) {
+    store.logger.error(
+      `Error processing multipart/form-data: ${err.message} for ${store.$g.request.path}`,
+      { stack: err.stack },
+    );
+    if (store.$g && !store.$g.isCompleted && !store.res.headersSent) {
+      store.res.writeHead(500, { "Content-Type": "text/plain" });
+      store.res.end(
+        `INTERNAL SERVER ERROR - ${err.message} - check logs for more details`,
+      );
+      store.$g.isCompleted = true;
+    }
+    settle();
+  }
+}
+
 module.exports = {
   parseBodyAndRunHandler,
   parseMediaType,
@@ -7,9 +7,15 @@
  */
 
 const path = require("path");
-const zlib = require("zlib");
 const { URL } = require("url");
 const limits = require("../../limits.js");
+const conditional = require("../request/conditional.js");
+const {
+  resolveEncodingConfig,
+  negotiateEncoding,
+  compressSync,
+  mergeVary,
+} = require("../request/encoding.js");
 
 /** Default raw body size threshold (bytes) for script-response gzip. */
 const DEFAULT_GZIP_SIZE_THRESHOLD = 1024;
@@ -43,6 +49,19 @@ function resolveGzipSizeThreshold(globalConfig) {
   return Math.floor(n);
 }
 
+/**
+ * Case-insensitive header lookup on a plain headers object.
+ * @param {object} headers
+ * @param {string} name - lowercase header name
+ * @returns {*}
+ * @private
+ */
+function findHeader(headers, name) {
+  if (!headers) return undefined;
+  const key = Object.keys(headers).find((k) => k.toLowerCase() === name);
+  return key === undefined ? undefined : headers[key];
+}
+
 /**
  * Populate store.$g with log, app, limits, and either schedule or HTTP request/response.
  * Does not parse HTTP body — that remains in body.js / gingee().
@@ -150,6 +169,21 @@ function initializeGContext(store) {
     };
   }
 
+  // Finished tus upload handed to app.json `tus.on_complete.script`.
+  if (store.tusUpload) {
+    store.$g.upload = store.tusUpload;
+  }
+
+  // Provider login handed to app.json `oidc.on_login.script`.
+  if (store.oidcLogin) {
+    store.$g.oidc = store.oidcLogin;
+  }
+
+  // Key that passed a routes.json `auth.api_key` check.
+  if (store.apiKey) {
+    store.$g.apiKey = store.apiKey;
+  }
+
   if (store.isPrivileged) {
     store.$g.appNames = store.appNames;
     store.$g.apps = store.allApps;
@@ -368,6 +402,65 @@ function attachHttpContext(store) {
         },
         cookies: {},
         body: null,
+        // Set by etag() with no value: hash the payload at send() time.
+        autoEtag: null,
+
+        /**
+         * Set the ETag validator. No value (or `true`) hashes the sent payload;
+         * a string is used as the tag; a Buffer/object is hashed now.
+         * @param {string|Buffer|object|boolean} [value]
+         * @param {{ weak?: boolean }} [options]
+         */
+        etag: (value, options) => {
+          const weak = !!(options && options.weak);
+          if (value === undefined || value === true) {
+            response.autoEtag = { weak };
+            return;
+          }
+          response.autoEtag = null;
+          if (value === false || value === null) {
+            delete response.headers["ETag"];
+            return;
+          }
+          let tag;
+          if (Buffer.isBuffer(value)) {
+            tag = conditional.computeEtag(value, weak);
+          } else if (typeof value === "object") {
+            tag = conditional.computeEtag(JSON.stringify(value), weak);
+          } else {
+            tag = conditional.formatEtag(value, weak);
+          }
+          response.headers["ETag"] = tag;
+        },
+
+        /**
+         * Set the Last-Modified validator (Date, epoch ms or date string).
+         * @param {Date|number|string} date
+         */
+        lastModified: (date) => {
+          const httpDate = conditional.toHttpDate(date);
+          if (httpDate) {
+            response.headers["Last-Modified"] = httpDate;
+          } else {
+            delete response.headers["Last-Modified"];
+          }
+        },
+
+        /**
+         * True when the request's If-None-Match / If-Modified-Since match the
+         * validators set so far (GET/HEAD only). Lets a script skip expensive work.
+         * @returns {boolean}
+         */
+        isFresh: () => {
+          const req = store.req;
+          if (!req || !conditional.isConditionalMethod(req.method)) {
+            return false;
+          }
+          return conditional.isNotModified(req.headers, {
+            etag: findHeader(response.headers, "etag"),
+            lastModified: findHeader(response.headers, "last-modified"),
+          });
+        },
 
         /**
          * Begin a streamed HTTP response (e.g. SSE for AI chat).
@@ -519,7 +612,30 @@ function attachHttpContext(store) {
             }
           }
 
-          // Gzip script responses when enabled + client accepts gzip + body ≥ size_threshold.
+          // Conditional GET: answer 304 with no body when the client's validators match.
+          if (payload && response.autoEtag) {
+            resInner.setHeader(
+              "ETag",
+              conditional.computeEtag(payload, response.autoEtag.weak),
+            );
+          }
+          if (
+            resInner.statusCode === 200 &&
+            store.req &&
+            conditional.isConditionalMethod(store.req.method) &&
+            conditional.isNotModified(store.req.headers, {
+              etag: resInner.getHeader("ETag"),
+              lastModified: resInner.getHeader("Last-Modified"),
+            })
+          ) {
+            resInner.statusCode = 304;
+            resInner.removeHeader("Content-Type");
+            resInner.removeHeader("Content-Length");
+            resInner.end();
+            return;
+          }
+
+          // Compress script responses when enabled + client accepts a coding + body ≥ size_threshold.
           // Threshold avoids compressing (and CPU) on every tiny JSON response.
           const gzipSizeThreshold = resolveGzipSizeThreshold(store.globalConfig);
           if (
@@ -528,16 +644,37 @@ function attachHttpContext(store) {
             store.canCompress &&
             !resInner.getHeader("Content-Encoding")
           ) {
+            const encodingConfig = resolveEncodingConfig(store.globalConfig);
+            const coding = negotiateEncoding(
+              store.req && store.req.headers
+                ? store.req.headers["accept-encoding"]
+                : undefined,
+              encodingConfig.encodings,
+            );
             try {
-              const compressed = zlib.gzipSync(payload);
-              resInner.setHeader("Content-Encoding", "gzip");
-              resInner.setHeader("Vary", "Accept-Encoding");
-              resInner.setHeader("Content-Length", compressed.length);
-              resInner.end(compressed);
-              return;
+              if (coding) {
+                const compressed = compressSync(
+                  coding,
+                  payload,
+                  encodingConfig,
+                );
+                const etag = resInner.getHeader("ETag");
+                if (etag) {
+                  // Encoded bytes differ from the identity body the tag was computed on.
+                  resInner.setHeader("ETag", conditional.toWeakEtag(etag));
+                }
+                resInner.setHeader("Content-Encoding", coding);
+                resInner.setHeader(
+                  "Vary",
+                  mergeVary(resInner.getHeader("Vary"), "Accept-Encoding"),
+                );
+                resInner.setHeader("Content-Length", compressed.length);
+                resInner.end(compressed);
+                return;
+              }
             } catch (e) {
               store.logger.warn(
-                `response.send gzip failed; sending uncompressed: ${e.message}`,
+                `response.send ${coding} failed; sending uncompressed: ${e.message}`,
               );
             }
           }
@@ -578,6 +715,9 @@ function attachHttpContext(store) {
   response.write = response.write.bind(response);
   response.writeSSE = response.writeSSE.bind(response);
   response.endStream = response.endStream.bind(response);
+  response.etag = response.etag.bind(response);
+  response.lastModified = response.lastModified.bind(response);
+  response.isFresh = response.isFresh.bind(response);
 }
 
 module.exports = {
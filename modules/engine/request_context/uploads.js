@@ -0,0 +1,178 @@
+/**
+ * @module engine/request_context/uploads
+ * @description Opt-in streaming multipart uploads: files go straight to an app-scoped temp
+ * folder (fs.TEMP `uploads/<request id>/`) instead of `files[field].data` Buffers, with
+ * size / count / MIME limits from app.json `uploads` (per-route override in routes.json)
+ * and removal of the request folder when the response ends. Engine-internal.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { parseSize } = require("./parse_size.js");
+const { appTempPath } = require("../paths.js");
+
+/** Folder under the app temp root that holds per-request upload folders. */
+const UPLOADS_DIR = "uploads";
+
+/**
+ * @private
+ */
+function sizeOrNull(value) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value === "number") {
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+  try {
+    const n = parseSize(String(value));
+    return Number.isFinite(n) && n > 0 ? n : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Effective upload policy: the route's `uploads` overrides app.json `uploads` field by field;
+ * a route `uploads: false` turns streaming off. Null unless `stream` is true.
+ *
+ * @param {object} app - live app (app.config.uploads)
+ * @param {object|null} route - compiled routes.json entry (route.uploads)
+ * @returns {{ stream: true, maxFileSize: number|null, maxFiles: number|null,
+ *   maxTotalSize: number|null, allowedTypes: string[]|null }|null}
+ */
+function resolveUploadPolicy(app, route) {
+  const appRaw =
+    app &&
+    app.config &&
+    app.config.uploads &&
+    typeof app.config.uploads === "object"
+      ? app.config.uploads
+      : {};
+  const routeRaw = route ? route.uploads : undefined;
+  if (routeRaw === false) return null;
+  const raw =
+    routeRaw && typeof routeRaw === "object"
+      ? { ...appRaw, ...routeRaw }
+      : appRaw;
+  if (raw.stream !== true) return null;
+
+  const maxFiles = Number(raw.max_files);
+  const types = Array.isArray(raw.allowed_types)
+    ? raw.allowed_types
+        .map((t) => String(t).trim().toLowerCase())
+        .filter(Boolean)
+    : null;
+  return {
+    stream: true,
+    maxFileSize: sizeOrNull(raw.max_file_size),
+    maxFiles: Number.isInteger(maxFiles) && maxFiles > 0 ? maxFiles : null,
+    maxTotalSize: sizeOrNull(raw.max_total_size),
+    allowedTypes: types && types.length > 0 ? types : null,
+  };
+}
+
+/**
+ * Whether a part's MIME type is allowed (`type/subtype`, `type/*` or `*\/*`).
+ * @param {object} policy
+ * @param {string|null|undefined} mimetype
+ * @returns {boolean}
+ */
+function isMimeAllowed(policy, mimetype) {
+  if (!policy || !policy.allowedTypes) return true;
+  const mt = String(mimetype || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  if (!mt) return false;
+  return policy.allowedTypes.some((allowed) => {
+    if (allowed === "*/*" || allowed === mt) return true;
+    return allowed.endsWith("/*") && mt.startsWith(allowed.slice(0, -1));
+  });
+}
+
+/**
+ * Create this request's upload folder and remove it once the response is done.
+ *
+ * @param {object} store - ALS store (projectRoot, appName, res, logger)
+ * @returns {{ dir: string, scopePath: string }} absolute folder and its fs.TEMP path
+ */
+function createRequestUploadDir(store) {
+  const id = crypto.randomUUID();
+  const root = appTempPath(store.projectRoot || process.cwd(), store.appName);
+  const dir = path.join(root, UPLOADS_DIR, id);
+  fs.mkdirSync(dir, { recursive: true });
+
+  let removed = false;
+  const cleanup = () => {
+    if (removed) return;
+    removed = true;
+    fs.rm(dir, { recursive: true, force: true }, (err) => {
+      if (err && store.logger) {
+        store.logger.warn(
+          `Could not remove upload folder ${dir}: ${err.message}`,
+        );
+      }
+    });
+  };
+  if (store.res && typeof store.res.on === "function") {
+    store.res.on("finish", cleanup);
+    store.res.on("close", cleanup);
+  }
+  return { dir, scopePath: `/${UPLOADS_DIR}/${id}` };
+}
+
+/**
+ * Remove per-request upload folders left behind by a crash (older than `maxAgeMs`).
+ *
+ * @param {string} projectRoot
+ * @param {object} [logger]
+ * @param {number} [maxAgeMs=3600000]
+ * @returns {number} folders removed
+ */
+function sweepStaleUploads(projectRoot, logger, maxAgeMs = 60 * 60 * 1000) {
+  const appsRoot = path.join(projectRoot, "temp", "apps");
+  let removed = 0;
+  let appDirs;
+  try {
+    appDirs = fs.readdirSync(appsRoot);
+  } catch (_) {
+    return 0;
+  }
+  const cutoff = Date.now() - maxAgeMs;
+  for (const appName of appDirs) {
+    const uploadsRoot = path.join(appsRoot, appName, UPLOADS_DIR);
+    let entries;
+    try {
+      entries = fs.readdirSync(uploadsRoot);
+    } catch (_) {
+      continue;
+    }
+    for (const entry of entries) {
+      const dir = path.join(uploadsRoot, entry);
+      try {
+        if (fs.statSync(dir).mtimeMs < cutoff) {
+          fs.rmSync(dir, { recursive: true, force: true });
+          removed++;
+        }
+      } catch (err) {
+        if (logger) {
+          logger.warn(
+            `Could not remove stale upload folder ${dir}: ${err.message}`,
+          );
+        }
+      }
+    }
+  }
+  if (removed > 0 && logger) {
+    logger.info(`Removed ${removed} stale upload folder(s) from ${appsRoot}.`);
+  }
+  return removed;
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  resolveUploadPolicy,
+  isMimeAllowed,
+  createRequestUploadDir,
+  sweepStaleUploads,
+};
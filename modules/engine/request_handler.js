@@ -24,6 +24,24 @@ const {
 const { handleSpa } = require("./request/spa.js");
 const { serveStaticFile, serveDirectoryOr404 } = require("./request/static.js");
 const { runServerScript } = require("./request/script_runner.js");
+const { matchRoute, apiKeyRuleForScript } = require("./request/routes.js");
+const {
+  resolveCorsPolicy,
+  isPreflight,
+  answerPreflight,
+  applyCorsHeaders,
+} = require("./request/cors.js");
+const { isOpenApiRequest, serveOpenApi } = require("./request/openapi.js");
+const { isJwksRequest, serveJwks } = require("./request/jwks.js");
+const { resolveUploadPolicy } = require("./request_context/uploads.js");
+const { isTusRequest, handleTus } = require("./request/tus.js");
+const { isOidcRequest, handleOidc } = require("./request/oidc.js");
+const { isStorageRequest, handleStorage } = require("./request/storage.js");
+const { enforceRouteRule } = require("./api_keys.js");
+const {
+  canNegotiateEncoding,
+  resolveEncodingConfig,
+} = require("./request/encoding.js");
 const {
   resolveConfinedPath,
   isInsideAppBox,
@@ -50,8 +68,14 @@ function createRequestHandler(deps) {
         return;
       }
 
-      const { appName, app, urlWithoutQuery, urlParts, queryString } =
-        resolveApp(req, apps, config, logger);
+      const {
+        appName,
+        app,
+        urlWithoutQuery,
+        urlParts,
+        queryString,
+        mountedByHost,
+      } = resolveApp(req, apps, config, logger);
 
       if (
         rejectIfMaintenance(res, app, appName, req, logger, requestStartedAt)
@@ -70,15 +94,61 @@ function createRequestHandler(deps) {
         return;
       }
 
-      const { routeParams, targetScriptFolder, targetScriptPath } =
-        resolveScriptTarget(req, app, appName, urlWithoutQuery, urlParts);
+      const {
+        routeParams,
+        targetScriptFolder,
+        targetScriptPath,
+        requestPath,
+        route,
+      } = resolveScriptTarget(req, app, appName, urlWithoutQuery, urlParts);
+
+      // CORS: preflight is answered here (policy of the route the real request would hit);
+      // other requests get Access-Control-* headers before static/script output.
+      if (isPreflight(req)) {
+        const requestedMethod = String(
+          req.headers["access-control-request-method"],
+        )
+          .trim()
+          .toUpperCase();
+        const target = matchRoute(app, requestedMethod, requestPath);
+        const preflightPolicy = resolveCorsPolicy(
+          app,
+          target ? target.route : null,
+        );
+        if (preflightPolicy) {
+          answerPreflight(req, res, preflightPolicy, {
+            appName,
+            requestStartedAt,
+          });
+          return;
+        }
+      } else {
+        applyCorsHeaders(req, res, resolveCorsPolicy(app, route));
+      }
+
+      // app.json `openapi.enabled`: generated document from routes.json.
+      if (isOpenApiRequest(app, req, requestPath)) {
+        serveOpenApi(req, res, app, {
+          appName,
+          serverUrl: mountedByHost ? "/" : `/${appName}`,
+          requestStartedAt,
+        });
+        return;
+      }
+
+      // app.json `jwt.keys`: public JWKS for the app's signing keys.
+      if (isJwksRequest(app, req, requestPath)) {
+        serveJwks(req, res, app, { appName, requestStartedAt });
+        return;
+      }
 
       // Await ALS so async errors surface to this try/catch (M3) instead of
       // becoming unhandled rejections after requestHandler has returned.
       const acceptEncodingEarly = req.headers["accept-encoding"] || "";
-      const canCompressEarly =
-        !!(config.content_encoding && config.content_encoding.enabled) &&
-        acceptEncodingEarly.includes("gzip");
+      const canCompressEarly = canNegotiateEncoding(
+        config,
+        acceptEncodingEarly,
+      );
 
       await als.run(
         {
@@ -94,12 +164,15 @@ function createRequestHandler(deps) {
           appNames,
           logger: app.logger,
           routeParams,
+          routeSchema: route ? route.schema : null,
+          uploadPolicy: resolveUploadPolicy(app, route),
           scriptPath: targetScriptPath,
           scriptFolder: targetScriptFolder,
           staticFileCache: cache,
           transpileCache,
           maxBodySize: config.max_body_size,
           canCompress: canCompressEarly,
+          appBaseUrl: mountedByHost ? "" : `/${appName}`,
         },
         async () => {
           // Early string check (fast path); resolved-path checks below are authoritative.
@@ -143,6 +216,77 @@ function createRequestHandler(deps) {
           cacheConfig.client = cacheConfig.client || defaultCacheConfig.client;
           cacheConfig.server = cacheConfig.server || defaultCacheConfig.server;
 
+          // app.json `oidc.enabled`: login / callback; the on_login script runs with `$g.oidc`.
+          if (isOidcRequest(app, requestPath)) {
+            await handleOidc(req, res, app, requestPath, {
+              appName,
+              baseUrl: mountedByHost ? "" : `/${appName}`,
+              logger: app.logger,
+              requestStartedAt,
+              runScript: async (scriptPath, login) => {
+                const store = als.getStore();
+                store.oidcLogin = login;
+                store.scriptPath = scriptPath;
+                store.scriptFolder = path.dirname(scriptPath);
+                await runServerScript({
+                  req,
+                  res,
+                  app,
+                  appName,
+                  scriptPath,
+                  webPath,
+                  engineRoot,
+                  config,
+                  logger,
+                  cacheConfig,
+                  requestStartedAt,
+                });
+              },
+            });
+            return;
+          }
+
+          // app.json `tus.enabled`: resumable uploads; the completion script runs for the
+          // final PATCH with `$g.upload`.
+          if (isTusRequest(app, requestPath)) {
+            await handleTus(req, res, app, requestPath, {
+              appName,
+              projectRoot,
+              baseUrl: mountedByHost ? "" : `/${appName}`,
+              logger: app.logger,
+              requestStartedAt,
+              runScript: async (scriptPath, upload) => {
+                const store = als.getStore();
+                store.tusUpload = upload;
+                store.scriptPath = scriptPath;
+                store.scriptFolder = path.dirname(scriptPath);
+                await runServerScript({
+                  req,
+                  res,
+                  app,
+                  appName,
+                  scriptPath,
+                  webPath,
+                  engineRoot,
+                  config,
+                  logger,
+                  cacheConfig,
+                  requestStartedAt,
+                });
+              },
+            });
+            return;
+          }
+
+          // app.json `storage.buckets`: presigned GET / PUT URLs for local buckets.
+          if (isStorageRequest(app, requestPath)) {
+            await handleStorage(req, res, app, requestPath, {
+              appName,
+              requestStartedAt,
+            });
+            return;
+          }
+
           const isDevelopment = app.config.mode === "development";
           if (!targetScriptPath) {
             const spaResult = handleSpa({
@@ -196,6 +340,8 @@ function createRequestHandler(deps) {
               logger,
               headers,
               app,
+              staticConfig: config.static,
+              encodingConfig: resolveEncodingConfig(config),
             });
             return;
           }
@@ -210,6 +356,28 @@ function createRequestHandler(deps) {
             return;
           }
 
+          // routes.json `auth: { api_key: true }`: the key is checked before any box script runs,
+          // also when file-based routing reaches a protected script by its own path.
+          let apiKeyRule = null;
+          if (targetScriptPath) {
+            apiKeyRule = route
+              ? route.apiKey
+              : apiKeyRuleForScript(app, targetScriptPath);
+          }
+          if (apiKeyRule) {
+            const apiKey = await enforceRouteRule(req, res, app, apiKeyRule);
+            if (!apiKey) {
+              metrics.recordHttpRequest({
+                app: appName,
+                kind: "script",
+                statusCode: res.statusCode,
+                durationSeconds: (Date.now() - requestStartedAt) / 1000,
+              });
+              return;
+            }
+            als.getStore().apiKey = apiKey;
+          }
+
           const ran = await runServerScript({
             req,
             res,
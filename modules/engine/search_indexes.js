@@ -0,0 +1,292 @@
+/**
+ * @module engine/search_indexes
+ * @description Indexes behind the `search` module: app.json `search.indexes` settings, the
+ * driver for each app, and request validation. The default `sqlite` driver keeps every app's
+ * indexes in `<gingee.json search.path>/<app>.sqlite` (SQLite FTS5, no external service).
+ * Engine-internal — apps reach only their own indexes through `require('search')`.
+ *
+ * A driver is a class constructed with `(file, settings)` that implements
+ * `ensureIndex(name, schema)`, `upsert(name, schema, [{ id, doc }])`, `remove(name, ids)`,
+ * `get(name, id)`, `count(name)`, `clear(name)`, `query(name, schema, request)` and `close()`
+ * (see search_drivers/sqlite.js). Highlighted spans in query results are delimited with
+ * `\u0001` … `\u0002` around unescaped text.
+ */
+
+const path = require("path");
+const { projectRoot: defaultProjectRoot } = require("./paths.js");
+
+const DRIVERS = {
+  sqlite: () => require("../search_drivers/sqlite.js"),
+};
+const DEFAULT_DRIVER = "sqlite";
+const DEFAULT_PATH = "./data/search";
+const INDEX_NAME_RE = /^[a-z][a-z0-9_]{0,62}$/;
+const FIELD_NAME_RE = /^[A-Za-z_][A-Za-z0-9_]{0,62}$/;
+const MAX_ID_LENGTH = 512;
+const MAX_PER_PAGE = 100;
+const DEFAULT_PER_PAGE = 20;
+const DEFAULT_FACET_LIMIT = 20;
+const DEFAULT_SNIPPET_TOKENS = 32;
+const RANGE_OPS = ["gt", "gte", "lt", "lte"];
+
+/** Server settings (gingee.json → search). */
+let serverSettings = {
+  driver: DEFAULT_DRIVER,
+  dir: path.resolve(defaultProjectRoot, DEFAULT_PATH),
+};
+
+/** appName → open driver */
+const drivers = new Map();
+
+/**
+ * Store gingee.json `search` settings. Called once at boot.
+ * @param {object} [searchConfig]
+ * @param {object} logger
+ * @param {string} [root] - project root
+ */
+function initServer(searchConfig, logger, root = defaultProjectRoot) {
+  const c =
+    searchConfig &&
+    typeof searchConfig === "object" &&
+    !Array.isArray(searchConfig)
+      ? searchConfig
+      : {};
+  let driver = String(c.driver || DEFAULT_DRIVER).toLowerCase();
+  if (!DRIVERS[driver]) {
+    logger.warn(
+      `[search] Unknown driver '${c.driver}'; using '${DEFAULT_DRIVER}'.`,
+    );
+    driver = DEFAULT_DRIVER;
+  }
+  const dir = String(c.path || DEFAULT_PATH);
+  closeAll();
+  serverSettings = {
+    driver,
+    dir: path.isAbsolute(dir) ? dir : path.resolve(root, dir),
+  };
+  logger.info(`[search] ${driver} indexes under ${serverSettings.dir}`);
+}
+
+/**
+ * app.json `search` with defaults filled in. Invalid index entries are left out.
+ * @param {object} appConfig - app.json
+ * @returns {{ indexes: Object<string, { fields: Array<{ name: string, weight: number }>,
+ *   filters: string[], stemming: boolean }> }}
+ */
+function resolveSearchConfig(appConfig) {
+  const raw =
+    appConfig &&
+    appConfig.search &&
+    typeof appConfig.search === "object" &&
+    !Array.isArray(appConfig.search)
+      ? appConfig.search
+      : {};
+  const indexes = {};
+  const declared =
+    raw.indexes && typeof raw.indexes === "object" ? raw.indexes : {};
+  for (const [name, entry] of Object.entries(declared)) {
+    if (!INDEX_NAME_RE.test(name) || !entry || typeof entry !== "object") {
+      continue;
+    }
+    const rawFields = Array.isArray(entry.fields)
+      ? entry.fields.map((f) => [f, {}])
+      : Object.entries(entry.fields || {});
+    const fields = [];
+    for (const [field, opts] of rawFields) {
+      if (!FIELD_NAME_RE.test(field) || field === "id") continue;
+      const weight = Number(opts && opts.weight);
+      fields.push({
+        name: field,
+        weight: Number.isFinite(weight) && weight > 0 ? weight : 1,
+      });
+    }
+    if (!fields.length) continue;
+    const filters = (Array.isArray(entry.filters) ? entry.filters : []).filter(
+      (f) => typeof f === "string" && FIELD_NAME_RE.test(f),
+    );
+    indexes[name] = { fields, filters, stemming: entry.stemming === true };
+  }
+  return { indexes };
+}
+
+/** @private */
+function _driverFor(appName) {
+  let driver = drivers.get(appName);
+  if (!driver) {
+    const Driver = DRIVERS[serverSettings.driver]();
+    driver = new Driver(
+      path.join(serverSettings.dir, `${appName}.sqlite`),
+      serverSettings,
+    );
+    drivers.set(appName, driver);
+  }
+  return driver;
+}
+
+/**
+ * The driver and schema for one of an app's indexes (created or rebuilt as needed).
+ * @param {string} appName
+ * @param {object} appConfig - app.json
+ * @param {string} index - name under app.json `search.indexes`
+ * @returns {{ driver: object, schema: object }}
+ * @throws {Error} When the app declares no such index.
+ */
+function openIndex(appName, appConfig, index) {
+  const schema = resolveSearchConfig(appConfig).indexes[index];
+  if (!schema) {
+    throw new Error(
+      `Search index '${index}' is not declared in app.json search.indexes for app '${appName}'.`,
+    );
+  }
+  const driver = _driverFor(appName);
+  driver.ensureIndex(index, schema);
+  return { driver, schema };
+}
+
+/**
+ * @param {string|number} id
+ * @returns {string}
+ * @throws {Error} Unless a non-empty string or finite number of at most 512 characters.
+ */
+function normalizeId(id) {
+  if (!(
+    typeof id === "string" ||
+    (typeof id === "number" && Number.isFinite(id))
+  )) {
+    throw new Error("Search document id must be a string or a number.");
+  }
+  const s = String(id);
+  if (s === "" || s.length > MAX_ID_LENGTH) {
+    throw new Error(
+      `Search document id must be 1-${MAX_ID_LENGTH} characters.`,
+    );
+  }
+  return s;
+}
+
+/**
+ * @param {object} schema
+ * @param {object} [filter] - `{ field: value | [values] | { gt, gte, lt, lte } }`
+ * @returns {object}
+ * @throws {Error} On fields not listed in the index `filters`, or unknown operators.
+ */
+function normalizeFilter(schema, filter) {
+  if (filter == null) return {};
+  if (typeof filter !== "object" || Array.isArray(filter)) {
+    throw new Error("Search filter must be an object.");
+  }
+  for (const [field, spec] of Object.entries(filter)) {
+    if (!schema.filters.includes(field)) {
+      throw new Error(
+        `Search filter '${field}' is not listed in the index filters.`,
+      );
+    }
+    if (spec && typeof spec === "object" && !Array.isArray(spec)) {
+      const ops = Object.keys(spec);
+      if (!ops.length || ops.some((op) => !RANGE_OPS.includes(op))) {
+        throw new Error(
+          `Search filter '${field}' accepts a value, an array of values, or ${RANGE_OPS.join(" / ")}.`,
+        );
+      }
+    }
+  }
+  return filter;
+}
+
+/**
+ * Validated driver request for `search.query`.
+ * @param {object} schema
+ * @param {string} text
+ * @param {object} [options] - see the search module
+ * @returns {object} request plus `page` and `perPage`
+ * @throws {Error} On unknown fields or facets.
+ */
+function buildQuery(schema, text, options = {}) {
+  const fieldNames = schema.fields.map((f) => f.name);
+  const known = (list, what) => {
+    for (const name of list) {
+      if (!fieldNames.includes(name)) {
+        throw new Error(`Search ${what} '${name}' is not an index field.`);
+      }
+    }
+    return list;
+  };
+  const fields = options.fields ? known([...options.fields], "field") : null;
+  const weights = {};
+  for (const [name, w] of Object.entries(options.weights || {})) {
+    known([name], "weight");
+    const weight = Number(w);
+    if (!Number.isFinite(weight) || weight < 0) {
+      throw new Error(`Search weight for '${name}' must be a number >= 0.`);
+    }
+    weights[name] = weight;
+  }
+  const facets = [...(options.facets || [])];
+  for (const facet of facets) {
+    if (!schema.filters.includes(facet)) {
+      throw new Error(
+        `Search facet '${facet}' is not listed in the index filters.`,
+      );
+    }
+  }
+  let highlight = null;
+  if (options.highlight) {
+    const h = options.highlight === true ? {} : options.highlight;
+    highlight = {
+      fields: h.fields
+        ? known([...h.fields], "highlight field")
+        : fields || fieldNames,
+      tokens: Math.max(
+        1,
+        Math.floor(Number(h.tokens)) || DEFAULT_SNIPPET_TOKENS,
+      ),
+    };
+  }
+  const perPage = Math.min(
+    Math.max(1, Math.floor(Number(options.perPage)) || DEFAULT_PER_PAGE),
+    MAX_PER_PAGE,
+  );
+  const page = Math.max(1, Math.floor(Number(options.page)) || 1);
+  return {
+    text: text == null ? "" : String(text).trim(),
+    match: options.match === "any" ? "any" : "all",
+    fields,
+    weights,
+    filter: normalizeFilter(schema, options.filter),
+    facets,
+    facetLimit: Math.max(
+      1,
+      Math.floor(Number(options.facetLimit)) || DEFAULT_FACET_LIMIT,
+    ),
+    highlight,
+    offset: (page - 1) * perPage,
+    limit: perPage,
+    page,
+    perPage,
+  };
+}
+
+/**
+ * Close every open driver (shutdown, tests, a changed server config).
+ */
+function closeAll() {
+  for (const driver of drivers.values()) {
+    try {
+      driver.close();
+    } catch (_) {
+      /* ignore */
+    }
+  }
+  drivers.clear();
+}
+
+module.exports = {
+  initServer,
+  resolveSearchConfig,
+  openIndex,
+  normalizeId,
+  normalizeFilter,
+  buildQuery,
+  closeAll,
+  MAX_PER_PAGE,
+};
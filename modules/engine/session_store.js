@@ -0,0 +1,225 @@
+/**
+ * @module engine/session_store
+ * @description Server-side session records, the access-token deny-list and revocation cut-offs
+ * behind `auth.sessions`, kept in `cache_service` (memory or redis) under an engine-private
+ * `_auth:<app>:` prefix. App `cache` keys all live under `app:<app>:`, so no app — whatever
+ * its name — can read or forge them.
+ * Keys expire with their record, but cache TTLs are whole seconds, so every record also
+ * carries its exact expiry and is checked on read. Engine-internal.
+ */
+
+const nodeCrypto = require("crypto");
+const cacheService = require("../cache_service.js");
+
+/** Upper bound for a session lifetime; cut-offs are kept this long so they outlive what they revoke. */
+const MAX_SESSION_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+/** @private */
+function _prefix(appName) {
+  if (!appName) {
+    throw new Error("auth.sessions needs an app context.");
+  }
+  return `_auth:${appName}:`;
+}
+
+/** @private */
+function _ttlSeconds(expiresAtMs) {
+  return Math.max(1, Math.ceil((expiresAtMs - Date.now()) / 1000));
+}
+
+/** @private */
+function _mac(secret, input) {
+  return nodeCrypto
+    .createHmac("sha256", Buffer.from(secret, "base64url"))
+    .update(input)
+    .digest("base64url");
+}
+
+/**
+ * New opaque session id (also the bearer value for cookie sessions).
+ * @returns {string}
+ */
+function newSessionId() {
+  return nodeCrypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * @returns {string} A random token id for the `jti` claim.
+ */
+function newTokenId() {
+  return nodeCrypto.randomBytes(16).toString("base64url");
+}
+
+/**
+ * Persist a session record until its `expiresAt`.
+ * @param {string} appName
+ * @param {object} session - `{ id, userId, createdAt, expiresAt, ... }` (times in ms)
+ * @returns {Promise<void>}
+ */
+async function save(appName, session) {
+  await cacheService.set(
+    `${_prefix(appName)}s:${session.id}`,
+    session,
+    _ttlSeconds(session.expiresAt),
+  );
+}
+
+/**
+ * Revocation cut-off (ms) for a user and for the whole app; the later of the two wins.
+ * @param {string} appName
+ * @param {string|null} userId
+ * @returns {Promise<number>} 0 when nothing was revoked
+ */
+async function cutoff(appName, userId) {
+  const prefix = _prefix(appName);
+  const [appCut, userCut] = await Promise.all([
+    cacheService.get(`${prefix}cut:app`),
+    userId == null ? null : cacheService.get(`${prefix}cut:user:${userId}`),
+  ]);
+  return Math.max(Number(appCut) || 0, Number(userCut) || 0);
+}
+
+/**
+ * Live session by id, or null when missing, expired or created before a revocation cut-off.
+ * @param {string} appName
+ * @param {string} sessionId
+ * @returns {Promise<object|null>}
+ */
+async function load(appName, sessionId) {
+  if (!sessionId || typeof sessionId !== "string") return null;
+  const key = `${_prefix(appName)}s:${sessionId}`;
+  const session = await cacheService.get(key);
+  if (!session) return null;
+  if (
+    session.expiresAt <= Date.now() ||
+    session.createdAt <= (await cutoff(appName, session.userId))
+  ) {
+    await cacheService.del(key);
+    return null;
+  }
+  return session;
+}
+
+/**
+ * @param {string} appName
+ * @param {string} sessionId
+ * @returns {Promise<void>}
+ */
+async function destroy(appName, sessionId) {
+  await cacheService.del(`${_prefix(appName)}s:${sessionId}`);
+}
+
+/**
+ * Revoke everything issued so far for one user (`userId`) or, with `userId` null, for the app.
+ * @param {string} appName
+ * @param {string|null} userId
+ * @returns {Promise<void>}
+ */
+async function revokeBefore(appName, userId) {
+  const prefix = _prefix(appName);
+  const key =
+    userId == null ? `${prefix}cut:app` : `${prefix}cut:user:${userId}`;
+  await cacheService.set(key, Date.now(), MAX_SESSION_TTL_SECONDS);
+  if (userId == null) {
+    // Cut-off alone is enough; dropping the records just frees the store.
+    await cacheService.clear(`${prefix}s:`);
+  }
+}
+
+/**
+ * Deny-list a token id until the token would have expired anyway.
+ * @param {string} appName
+ * @param {string} jti
+ * @param {number} expSeconds - the token's `exp`
+ * @returns {Promise<void>}
+ */
+async function deny(appName, jti, expSeconds) {
+  const expiresAt = expSeconds * 1000;
+  if (expiresAt <= Date.now()) return;
+  await cacheService.set(
+    `${_prefix(appName)}deny:${jti}`,
+    expiresAt,
+    _ttlSeconds(expiresAt),
+  );
+}
+
+/**
+ * @param {string} appName
+ * @param {string} jti
+ * @returns {Promise<boolean>}
+ */
+async function isDenied(appName, jti) {
+  const expiresAt = await cacheService.get(`${_prefix(appName)}deny:${jti}`);
+  return expiresAt != null && Number(expiresAt) > Date.now();
+}
+
+/**
+ * Start a refresh-token family on the session (mutates it; caller saves).
+ * @param {object} session
+ */
+function startRefreshFamily(session) {
+  session.refresh = {
+    secret: nodeCrypto.randomBytes(32).toString("base64url"),
+    generation: 0,
+  };
+}
+
+/**
+ * The refresh token for the session's current generation: `<sessionId>.<generation>.<mac>`.
+ * Only the server-side secret can mint one, so an id seen in an access token is not enough.
+ * @param {object} session
+ * @returns {string}
+ */
+function refreshTokenFor(session) {
+  const input = `${session.id}.${session.refresh.generation}`;
+  return `${input}.${_mac(session.refresh.secret, input)}`;
+}
+
+/**
+ * @param {string} token
+ * @returns {{sessionId: string, generation: number, mac: string}|null}
+ */
+function parseRefreshToken(token) {
+  const parts = String(token || "").split(".");
+  if (parts.length !== 3 || !/^\d+$/.test(parts[1])) return null;
+  return {
+    sessionId: parts[0],
+    generation: Number(parts[1]),
+    mac: parts[2],
+  };
+}
+
+/**
+ * Whether a parsed refresh token was minted for this session (any generation).
+ * @param {object} session
+ * @param {{sessionId: string, generation: number, mac: string}} parsed
+ * @returns {boolean}
+ */
+function isGenuineRefreshToken(session, parsed) {
+  if (!session.refresh) return false;
+  const expected = Buffer.from(
+    _mac(session.refresh.secret, `${parsed.sessionId}.${parsed.generation}`),
+  );
+  const given = Buffer.from(parsed.mac);
+  return (
+    expected.length === given.length &&
+    nodeCrypto.timingSafeEqual(expected, given)
+  );
+}
+
+module.exports = {
+  MAX_SESSION_TTL_SECONDS,
+  newSessionId,
+  newTokenId,
+  save,
+  load,
+  destroy,
+  cutoff,
+  revokeBefore,
+  deny,
+  isDenied,
+  startRefreshFamily,
+  refreshTokenFor,
+  parseRefreshToken,
+  isGenuineRefreshToken,
+};
@@ -0,0 +1,181 @@
+/**
+ * @module engine/slow_queries
+ * @description Database timing for the `db` facade: a duration histogram per app, db and
+ * operation, a warning in the app log for statements over `db[].slow_query_ms`, and a small
+ * per-app table of the slowest statements for Glade. Counts are per process.
+ * Engine-internal — not for sandboxed app require.
+ */
+
+const metrics = require("../metrics.js");
+
+const DEFAULT_SLOW_QUERY_MS = 1000;
+/** Distinct statements kept per app; the one with the lowest max duration is dropped first. */
+const MAX_STATEMENTS_PER_APP = 100;
+const MAX_SQL_LENGTH = 2000;
+
+/** appName -> Map(statementKey -> entry) */
+const slowByApp = new Map();
+
+/**
+ * Threshold for one app.json `db` entry. `0` turns slow-query logging off.
+ * @param {object} dbConfig
+ * @returns {number}
+ * @throws {Error} If `slow_query_ms` is not a non-negative number.
+ */
+function resolveSlowQueryMs(dbConfig) {
+  const raw = dbConfig && dbConfig.slow_query_ms;
+  if (raw === undefined || raw === null) return DEFAULT_SLOW_QUERY_MS;
+  const n = Number(raw);
+  if (!Number.isFinite(n) || n < 0) {
+    throw new Error("db 'slow_query_ms' must be a non-negative number.");
+  }
+  return n;
+}
+
+/**
+ * Parameter values never reach the log; only their types do.
+ * @private
+ */
+function redactParams(params) {
+  if (!Array.isArray(params)) return [];
+  return params.map((value) => {
+    if (value === null || value === undefined) return "<null>";
+    if (value instanceof Date) return "<date>";
+    if (Buffer.isBuffer(value)) return "<binary>";
+    return `<${typeof value}>`;
+  });
+}
+
+/**
+ * @private
+ */
+function normalizeSql(sql) {
+  const text = String(sql || "")
+    .replace(/\s+/g, " ")
+    .trim();
+  return text.length > MAX_SQL_LENGTH
+    ? `${text.slice(0, MAX_SQL_LENGTH)}…`
+    : text;
+}
+
+/**
+ * @private
+ */
+function rememberSlowStatement(app, db, operation, sql, durationMs) {
+  if (!slowByApp.has(app)) slowByApp.set(app, new Map());
+  const statements = slowByApp.get(app);
+  const key = `${db}\u0000${operation}\u0000${sql}`;
+  let entry = statements.get(key);
+  if (!entry) {
+    if (statements.size >= MAX_STATEMENTS_PER_APP) {
+      let weakest = null;
+      for (const [k, e] of statements) {
+        if (!weakest || e.maxMs < weakest[1].maxMs) weakest = [k, e];
+      }
+      if (weakest[1].maxMs > durationMs) return;
+      statements.delete(weakest[0]);
+    }
+    entry = { db, operation, sql, count: 0, totalMs: 0, maxMs: 0 };
+    statements.set(key, entry);
+  }
+  entry.count += 1;
+  entry.totalMs += durationMs;
+  entry.maxMs = Math.max(entry.maxMs, durationMs);
+  entry.lastMs = durationMs;
+  entry.lastAt = new Date().toISOString();
+}
+
+/**
+ * Records one timed db operation. Called by the db facade after every query, execute,
+ * transaction and stream, whether it succeeded or not.
+ * @param {object} timing
+ * @param {string} timing.app
+ * @param {string} timing.db - The app.json db name.
+ * @param {string} timing.operation - query | execute | transaction | stream
+ * @param {string} [timing.sql] - Absent for transactions.
+ * @param {Array} [timing.params]
+ * @param {number} timing.durationMs
+ * @param {number} timing.slowQueryMs - From {@link resolveSlowQueryMs}; 0 = off.
+ * @param {object} [timing.logger] - The app logger.
+ */
+function recordDbTiming(timing) {
+  const { app, db, operation, durationMs, slowQueryMs, logger } = timing;
+  try {
+    metrics.observe(
+      "gingee_db_query_duration_seconds",
+      { app, db, operation },
+      durationMs / 1000,
+    );
+  } catch (_) {
+    /* ignore */
+  }
+
+  // A stream's duration is mostly the script consuming rows, so it is never "slow".
+  if (!slowQueryMs || durationMs < slowQueryMs || operation === "stream") {
+    return;
+  }
+  const ms = Math.round(durationMs);
+  if (operation === "transaction") {
+    if (logger) {
+      logger.warn(`Slow transaction on db '${db}': ${ms} ms`, {
+        db,
+        operation,
+        duration_ms: ms,
+      });
+    }
+    return;
+  }
+  const sql = normalizeSql(timing.sql);
+  if (logger) {
+    logger.warn(`Slow ${operation} on db '${db}': ${ms} ms: ${sql}`, {
+      db,
+      operation,
+      duration_ms: ms,
+      params: redactParams(timing.params),
+    });
+  }
+  rememberSlowStatement(app, db, operation, sql, durationMs);
+}
+
+/**
+ * The slowest statements recorded for an app since start (or the last clear), slowest first.
+ * @param {string} appName
+ * @param {object} [options]
+ * @param {number} [options.limit=20]
+ * @returns {Array<{db: string, operation: string, sql: string, count: number, maxMs: number,
+ *   avgMs: number, lastMs: number, lastAt: string}>}
+ */
+function getSlowQueries(appName, options = {}) {
+  const limit = Math.max(1, Math.min(Number(options.limit) || 20, 100));
+  const statements = slowByApp.get(appName);
+  if (!statements) return [];
+  return [...statements.values()]
+    .sort((a, b) => b.maxMs - a.maxMs)
+    .slice(0, limit)
+    .map((e) => ({
+      db: e.db,
+      operation: e.operation,
+      sql: e.sql,
+      count: e.count,
+      maxMs: Math.round(e.maxMs),
+      avgMs: Math.round(e.totalMs / e.count),
+      lastMs: Math.round(e.lastMs),
+      lastAt: e.lastAt,
+    }));
+}
+
+/**
+ * Forgets an app's slow statements (Glade "Clear", app delete).
+ * @param {string} appName
+ */
+function clearSlowQueries(appName) {
+  slowByApp.delete(appName);
+}
+
+module.exports = {
+  DEFAULT_SLOW_QUERY_MS,
+  resolveSlowQueryMs,
+  recordDbTiming,
+  getSlowQueries,
+  clearSlowQueries,
+};
@@ -0,0 +1,334 @@
+/**
+ * @module engine/storage_buckets
+ * @description Buckets behind the `storage` module: app.json `storage` settings, key and metadata
+ * rules, the driver for a bucket, and signed URLs for local buckets (served by
+ * engine/request/storage). Local buckets live in `<gingee.json storage.root>/<app>/<bucket>`.
+ * Engine-internal — apps reach only their own buckets through `require('storage')`.
+ */
+
+const path = require("path");
+const nodeCrypto = require("crypto");
+const cacheService = require("../cache_service.js");
+const { parseSize } = require("./request_context/parse_size.js");
+const { projectRoot: defaultProjectRoot } = require("./paths.js");
+const LocalStorageDriver = require("../storage_drivers/local.js");
+const S3StorageDriver = require("../storage_drivers/s3.js");
+
+const DRIVERS = ["local", "s3"];
+const DEFAULT_ROOT = "./storage";
+const DEFAULT_PRESIGN_PATH = "/_storage";
+const DEFAULT_MAX_UPLOAD_SIZE = "100MB";
+const BUCKET_NAME_RE = /^[a-z0-9][a-z0-9._-]{0,62}$/;
+const META_NAME_RE = /^[a-z0-9][a-z0-9_-]{0,63}$/;
+const MAX_KEY_BYTES = 1024;
+/** S3's limit for all user metadata on one object. */
+const MAX_METADATA_BYTES = 2048;
+const DEFAULT_PRESIGN_SECONDS = 900;
+const MAX_PRESIGN_SECONDS = 7 * 24 * 60 * 60;
+/** Generated local-URL signing keys are kept this long in the server cache. */
+const SIGNING_KEY_TTL = 365 * 24 * 60 * 60;
+
+/** Server settings (gingee.json → storage). */
+let serverSettings = {
+  root: path.resolve(defaultProjectRoot, DEFAULT_ROOT),
+};
+
+/**
+ * Store gingee.json `storage` settings. Called once at boot.
+ * @param {object} [storageConfig]
+ * @param {object} logger
+ * @param {string} [root] - project root
+ */
+function initServer(storageConfig, logger, root = defaultProjectRoot) {
+  const c =
+    storageConfig &&
+    typeof storageConfig === "object" &&
+    !Array.isArray(storageConfig)
+      ? storageConfig
+      : {};
+  const dir = String(c.root || DEFAULT_ROOT);
+  serverSettings = {
+    root: path.isAbsolute(dir) ? dir : path.resolve(root, dir),
+  };
+  logger.info(`[storage] Local buckets under ${serverSettings.root}`);
+}
+
+/** Resolved settings per raw app.json `storage` object, so sizes are parsed once. */
+const resolved = new WeakMap();
+const NO_STORAGE = {};
+
+/**
+ * app.json `storage` with defaults filled in. Invalid bucket entries are left out and an invalid
+ * `max_upload_size` falls back to the default; both are reported once by `initApp`. Never throws,
+ * so it is safe on every request.
+ * @param {object} appConfig - app.json
+ * @returns {{ presignPath: string, signingSecret: string|null, maxUploadSize: number,
+ *   buckets: Object<string, object>, problems: string[] }}
+ */
+function resolveStorageConfig(appConfig) {
+  const raw =
+    appConfig &&
+    appConfig.storage &&
+    typeof appConfig.storage === "object" &&
+    !Array.isArray(appConfig.storage)
+      ? appConfig.storage
+      : NO_STORAGE;
+  const cached = resolved.get(raw);
+  if (cached) return cached;
+
+  const problems = [];
+  let presignPath =
+    typeof raw.presign_path === "string" && raw.presign_path.trim()
+      ? raw.presign_path.trim().replace(/\/+$/, "")
+      : DEFAULT_PRESIGN_PATH;
+  if (!presignPath.startsWith("/")) presignPath = `/${presignPath}`;
+
+  let maxUploadSize = parseSize(DEFAULT_MAX_UPLOAD_SIZE);
+  if (raw.max_upload_size != null) {
+    let size = NaN;
+    try {
+      size =
+        typeof raw.max_upload_size === "number"
+          ? raw.max_upload_size
+          : parseSize(String(raw.max_upload_size));
+    } catch (_) {
+      /* reported below */
+    }
+    if (Number.isFinite(size) && size > 0) {
+      maxUploadSize = size;
+    } else {
+      problems.push(
+        `storage.max_upload_size '${raw.max_upload_size}' is not a size; using ${DEFAULT_MAX_UPLOAD_SIZE}.`,
+      );
+    }
+  }
+
+  const buckets = {};
+  const declared =
+    raw.buckets && typeof raw.buckets === "object" ? raw.buckets : {};
+  for (const [name, entry] of Object.entries(declared)) {
+    if (!BUCKET_NAME_RE.test(name) || !entry || typeof entry !== "object") {
+      problems.push(`storage bucket '${name}' is invalid and was skipped.`);
+      continue;
+    }
+    const driver = String(entry.driver || "local").toLowerCase();
+    if (!DRIVERS.includes(driver)) {
+      problems.push(
+        `storage bucket '${name}' has unknown driver '${entry.driver}' and was skipped.`,
+      );
+      continue;
+    }
+    buckets[name] = { ...entry, driver };
+  }
+
+  const settings = {
+    presignPath,
+    signingSecret: raw.signing_secret ? String(raw.signing_secret) : null,
+    maxUploadSize,
+    buckets,
+    problems,
+  };
+  resolved.set(raw, settings);
+  return settings;
+}
+
+/**
+ * Resolve an app's `storage` settings at load and log anything that had to be skipped or
+ * replaced by a default.
+ * @param {object} app - `{ name, config }`
+ * @param {object} logger
+ */
+function initApp(app, logger) {
+  for (const problem of resolveStorageConfig(app.config).problems) {
+    logger.error(`[storage] App '${app.name}': ${problem}`);
+  }
+}
+
+/**
+ * @param {string} key
+ * @returns {string} the key
+ * @throws {Error} Unless the key is 1–1024 bytes of `/`-separated segments without `.` / `..`,
+ *   empty segments, backslashes or control characters.
+ */
+function validateKey(key) {
+  if (typeof key !== "string" || key === "") {
+    throw new Error("Storage key must be a non-empty string.");
+  }
+  if (Buffer.byteLength(key) > MAX_KEY_BYTES) {
+    throw new Error(`Storage key is longer than ${MAX_KEY_BYTES} bytes.`);
+  }
+  // eslint-disable-next-line no-control-regex
+  if (/[\u0000-\u001f\u007f\\]/.test(key)) {
+    throw new Error(
+      `Storage key '${key}' contains a backslash or control character.`,
+    );
+  }
+  if (key.split("/").some((s) => s === "" || s === "." || s === "..")) {
+    throw new Error(
+      `Storage key '${key}' has an empty, '.' or '..' segment (or a leading / trailing '/').`,
+    );
+  }
+  return key;
+}
+
+/**
+ * @param {object} [metadata]
+ * @returns {Object<string, string>} with lower-cased names
+ * @throws {Error} On names other than `a-z0-9_-`, non-ASCII values, or more than 2 KB in total.
+ */
+function normalizeMetadata(metadata) {
+  if (metadata == null) return {};
+  if (typeof metadata !== "object" || Array.isArray(metadata)) {
+    throw new Error("Storage metadata must be an object of strings.");
+  }
+  const out = {};
+  let bytes = 0;
+  for (const [rawName, rawValue] of Object.entries(metadata)) {
+    const name = rawName.toLowerCase();
+    if (!META_NAME_RE.test(name)) {
+      throw new Error(
+        `Storage metadata name '${rawName}' may only use letters, digits, '_' and '-'.`,
+      );
+    }
+    const value = String(rawValue);
+    if (!/^[\x20-\x7e]*$/.test(value)) {
+      throw new Error(
+        `Storage metadata '${rawName}' must be printable ASCII (encode other text first).`,
+      );
+    }
+    bytes += name.length + value.length;
+    out[name] = value;
+  }
+  if (bytes > MAX_METADATA_BYTES) {
+    throw new Error(
+      `Storage metadata is larger than ${MAX_METADATA_BYTES} bytes.`,
+    );
+  }
+  return out;
+}
+
+/**
+ * The driver for one of an app's buckets.
+ * @param {string} appName
+ * @param {object} appConfig - app.json
+ * @param {string} bucket - name under app.json `storage.buckets`
+ * @returns {LocalStorageDriver|S3StorageDriver}
+ * @throws {Error} When the app declares no such bucket.
+ */
+function openBucket(appName, appConfig, bucket) {
+  const entry = resolveStorageConfig(appConfig).buckets[bucket];
+  if (!entry) {
+    throw new Error(
+      `Storage bucket '${bucket}' is not declared in app.json storage.buckets for app '${appName}'.`,
+    );
+  }
+  if (entry.driver === "s3") return new S3StorageDriver(entry, bucket);
+  return new LocalStorageDriver(
+    path.join(serverSettings.root, appName, bucket),
+  );
+}
+
+/**
+ * Seconds a presigned URL stays valid.
+ * @param {number} [expiresIn]
+ * @returns {number}
+ * @throws {Error} Outside 1 second – 7 days.
+ */
+function resolveExpiresIn(expiresIn) {
+  if (expiresIn == null) return DEFAULT_PRESIGN_SECONDS;
+  const seconds = Number(expiresIn);
+  if (
+    !Number.isInteger(seconds) ||
+    seconds < 1 ||
+    seconds > MAX_PRESIGN_SECONDS
+  ) {
+    throw new Error(
+      `Presigned URL expiresIn must be a whole number of seconds between 1 and ${MAX_PRESIGN_SECONDS}.`,
+    );
+  }
+  return seconds;
+}
+
+/**
+ * Key for local presigned URLs: app.json `storage.signing_secret`, else a random key kept in
+ * the server cache (so URLs stop working if a memory cache restarts). The cache key is outside
+ * the `app:` namespace of the `cache` module, so no app can read it.
+ * @private
+ */
+async function _signingKey(appName, settings) {
+  if (settings.signingSecret) return settings.signingSecret;
+  const cacheKey = `_storage:${appName}:signing_key`;
+  await cacheService.setIfAbsent(
+    cacheKey,
+    nodeCrypto.randomBytes(32).toString("base64url"),
+    SIGNING_KEY_TTL,
+  );
+  return cacheService.get(cacheKey);
+}
+
+/** @private */
+function _localSignature(secret, { method, bucket, key, expires, contentType }) {
+  return nodeCrypto
+    .createHmac("sha256", secret)
+    .update([method, bucket, key, expires, contentType || ""].join("\n"))
+    .digest("base64url");
+}
+
+/**
+ * Query string for a local presigned URL (path: `<presign_path>/<bucket>/<key>`).
+ * @param {string} appName
+ * @param {object} appConfig
+ * @param {{ method: string, bucket: string, key: string, expires: number, contentType?: string }} grant
+ *   `expires` in Unix seconds
+ * @returns {Promise<string>}
+ */
+async function signLocalUrl(appName, appConfig, grant) {
+  const settings = resolveStorageConfig(appConfig);
+  const signature = _localSignature(
+    await _signingKey(appName, settings),
+    grant,
+  );
+  const query = new URLSearchParams({ expires: String(grant.expires) });
+  if (grant.contentType) query.set("content_type", grant.contentType);
+  query.set("signature", signature);
+  return query.toString();
+}
+
+/**
+ * Whether a local presigned URL is authentic and unexpired.
+ * @param {string} appName
+ * @param {object} appConfig
+ * @param {{ method: string, bucket: string, key: string, expires: string, contentType?: string,
+ *   signature: string }} grant
+ * @returns {Promise<boolean>}
+ */
+async function verifyLocalUrl(appName, appConfig, grant) {
+  const expires = Number(grant.expires);
+  if (!Number.isInteger(expires) || expires * 1000 < Date.now()) return false;
+  const settings = resolveStorageConfig(appConfig);
+  const expected = Buffer.from(
+    _localSignature(await _signingKey(appName, settings), {
+      ...grant,
+      expires,
+    }),
+  );
+  const given = Buffer.from(String(grant.signature || ""));
+  return (
+    given.length === expected.length &&
+    nodeCrypto.timingSafeEqual(given, expected)
+  );
+}
+
+module.exports = {
+  initServer,
+  resolveStorageConfig,
+  initApp,
+  validateKey,
+  normalizeMetadata,
+  openBucket,
+  resolveExpiresIn,
+  signLocalUrl,
+  verifyLocalUrl,
+  DEFAULT_PRESIGN_SECONDS,
+  MAX_PRESIGN_SECONDS,
+};
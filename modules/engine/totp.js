@@ -0,0 +1,242 @@
+/**
+ * @module engine/totp
+ * @description RFC 6238 time-based one-time passwords (RFC 4226 HOTP underneath) for
+ * `auth.totp`: base32 secrets, `otpauth://` URIs, code generation, and the last-used time step
+ * per secret in `cache_service` so a code cannot be accepted twice. Engine-internal.
+ */
+
+const nodeCrypto = require("crypto");
+const cacheService = require("../cache_service.js");
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+const ALGORITHMS = { SHA1: "sha1", SHA256: "sha256", SHA512: "sha512" };
+/** Authenticator-app defaults; most apps only understand these. */
+const DEFAULTS = { digits: 6, period: 30, algorithm: "SHA1" };
+
+/**
+ * @param {Buffer} buf
+ * @returns {string} RFC 4648 base32 without padding
+ */
+function base32Encode(buf) {
+  let bits = 0;
+  let value = 0;
+  let out = "";
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return out;
+}
+
+/**
+ * Lenient decode: case, spaces, dashes and `=` padding are ignored (secrets are often typed in groups).
+ * @param {string} text
+ * @returns {Buffer}
+ * @throws {Error} On characters outside the base32 alphabet.
+ */
+function base32Decode(text) {
+  const clean = String(text || "")
+    .toUpperCase()
+    .replace(/[\s=-]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const ch of clean) {
+    const idx = BASE32_ALPHABET.indexOf(ch);
+    if (idx === -1) {
+      throw new Error("TOTP secret is not valid base32.");
+    }
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  if (bytes.length === 0) {
+    throw new Error("TOTP secret is empty.");
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * @param {number} [bytes=20] - 160 bits, the RFC 4226 recommendation for SHA1
+ * @returns {string} a new random base32 secret
+ */
+function generateSecret(bytes = 20) {
+  return base32Encode(nodeCrypto.randomBytes(bytes));
+}
+
+/**
+ * A recovery code: 10 base32 characters (50 bits) shown as `xxxxx-xxxxx`.
+ * @returns {string}
+ */
+function generateRecoveryCode() {
+  const raw = base32Encode(nodeCrypto.randomBytes(7))
+    .slice(0, 10)
+    .toLowerCase();
+  return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+}
+
+/**
+ * What is hashed and compared for a recovery code: case, spaces and dashes do not matter.
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeRecoveryCode(code) {
+  return String(code || "")
+    .toLowerCase()
+    .replace(/[\s-]/g, "");
+}
+
+/**
+ * Fills in and validates `{ digits, period, algorithm }`.
+ * @param {object} [options]
+ * @returns {{digits: number, period: number, algorithm: string}}
+ */
+function resolveOptions(options = {}) {
+  const o = { ...DEFAULTS };
+  if (options.digits != null) o.digits = Number(options.digits);
+  if (options.period != null) o.period = Number(options.period);
+  if (options.algorithm != null) {
+    o.algorithm = String(options.algorithm).toUpperCase();
+  }
+  if (!Number.isInteger(o.digits) || o.digits < 6 || o.digits > 8) {
+    throw new Error("TOTP digits must be 6, 7 or 8.");
+  }
+  if (!Number.isInteger(o.period) || o.period < 1) {
+    throw new Error("TOTP period must be a positive number of seconds.");
+  }
+  if (!ALGORITHMS[o.algorithm]) {
+    throw new Error(`Unsupported TOTP algorithm '${o.algorithm}'.`);
+  }
+  return o;
+}
+
+/**
+ * RFC 4226 HOTP value for one counter.
+ * @param {Buffer} key
+ * @param {number} counter
+ * @param {{digits: number, algorithm: string}} options - resolved
+ * @returns {string} zero-padded code
+ */
+function hotp(key, counter, options) {
+  const msg = Buffer.alloc(8);
+  msg.writeBigUInt64BE(BigInt(counter));
+  const mac = nodeCrypto
+    .createHmac(ALGORITHMS[options.algorithm], key)
+    .update(msg)
+    .digest();
+  const offset = mac[mac.length - 1] & 0x0f;
+  const binary = mac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** options.digits).padStart(options.digits, "0");
+}
+
+/**
+ * @param {number} timeMs
+ * @param {number} period - seconds
+ * @returns {number} the RFC 6238 time step
+ */
+function counterAt(timeMs, period) {
+  return Math.floor(timeMs / 1000 / period);
+}
+
+/**
+ * The time step within `window` steps of `timeMs` whose code matches, or -1.
+ * @param {string} secret - base32
+ * @param {string} code
+ * @param {number} timeMs
+ * @param {number} window
+ * @param {object} options - resolved
+ * @returns {number}
+ */
+function matchCounter(secret, code, timeMs, window, options) {
+  const given = String(code || "").replace(/\s/g, "");
+  if (given.length !== options.digits || !/^\d+$/.test(given)) return -1;
+  const key = base32Decode(secret);
+  const now = counterAt(timeMs, options.period);
+  const givenBuf = Buffer.from(given);
+  let found = -1;
+  // Check every step (no early exit) so timing does not reveal which step matched.
+  for (let step = now - window; step <= now + window; step += 1) {
+    if (step < 0) continue;
+    const expected = Buffer.from(hotp(key, step, options));
+    if (nodeCrypto.timingSafeEqual(expected, givenBuf) && found === -1) {
+      found = step;
+    }
+  }
+  return found;
+}
+
+/**
+ * `otpauth://totp/...` URI that authenticator apps import (usually from a QR code).
+ * @param {string} secret - base32
+ * @param {object} options - `{ account, issuer, digits, period, algorithm }`
+ * @returns {string}
+ */
+function buildUri(secret, options) {
+  const o = resolveOptions(options);
+  if (!options || !options.account) {
+    throw new Error("TOTP uri needs an account name (e.g. the user's email).");
+  }
+  const issuer = options.issuer ? String(options.issuer) : "";
+  const label = issuer
+    ? `${encodeURIComponent(issuer)}:${encodeURIComponent(options.account)}`
+    : encodeURIComponent(options.account);
+  const params = new URLSearchParams({
+    secret: base32Encode(base32Decode(secret)),
+  });
+  if (issuer) params.set("issuer", issuer);
+  params.set("algorithm", o.algorithm);
+  params.set("digits", String(o.digits));
+  params.set("period", String(o.period));
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Records `counter` as used for `replayId` unless it (or a later step) already was.
+ * Each step is claimed with an atomic set-if-absent on its own key, so concurrent requests
+ * with the same code cannot both succeed; the last claimed step is kept alongside to turn
+ * away older steps still inside the window.
+ * @param {string} appName
+ * @param {string} replayId - identifies the secret (hashed before use as a key)
+ * @param {number} counter
+ * @param {number} ttlSeconds - how long a used step must be remembered
+ * @returns {Promise<boolean>} false when the step was already used
+ */
+async function claimCounter(appName, replayId, counter, ttlSeconds) {
+  const digest = nodeCrypto
+    .createHash("sha256")
+    .update(String(replayId))
+    .digest("base64url");
+  const key = `_auth:${appName}:totp:${digest}`;
+  const last = await cacheService.get(key);
+  if (last != null && Number(last) >= counter) return false;
+  if (!(await cacheService.setIfAbsent(`${key}:${counter}`, 1, ttlSeconds))) {
+    return false;
+  }
+  await cacheService.set(key, counter, ttlSeconds);
+  return true;
+}
+
+module.exports = {
+  DEFAULTS,
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  generateRecoveryCode,
+  normalizeRecoveryCode,
+  resolveOptions,
+  hotp,
+  counterAt,
+  matchCounter,
+  buildUri,
+  claimCounter,
+};
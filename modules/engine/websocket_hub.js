@@ -13,6 +13,7 @@ const { als } = require("../gingee.js");
 const { runInGBox, resolveAllowDynamicCodeForApp } = require("../gbox.js");
 const { isPathInside } = require("../internal_utils.js");
 const metrics = require("../metrics.js");
+const { resolveHostApp, mountUrlOnApp } = require("./request/resolve.js");
 const {
   FANOUT_DEFAULTS,
   REDIS_DEFAULTS,
@@ -424,7 +425,16 @@ async function handleUpgrade(req, socket, head) {
     return;
   }
 
-  const parsed = parseUpgradeUrl(req.url || "/");
+  // Host-mapped apps serve WebSockets at `{path}` as well as `/{appName}{path}`.
+  const hostApp = resolveHostApp(
+    req.headers && req.headers.host,
+    S.appsRegistry,
+    S.globalConfigRef,
+  );
+  const upgradeUrl = hostApp
+    ? mountUrlOnApp(req.url || "/", hostApp)
+    : req.url || "/";
+  const parsed = parseUpgradeUrl(upgradeUrl);
   if (!parsed) {
     socket.write("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
     socket.destroy();
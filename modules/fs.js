@@ -44,6 +44,7 @@ function _walkOptions(options) {
  * @module fs
  * @description A secure file system module for Gingee that provides secure sandboxed synchronous and asynchronous file operations.
  * <b>NOTE:</b> A path with a leading <code>/</code> is relative to the scope root (<code>box/</code> or <code>web/</code>).
+ * <code>fs.TEMP</code> paths are always relative to the app's temp root.
  * A path without a leading slash is relative to the <b>currently executing</b> gbox script directory
  * (aligned with <code>require('./…')</code>). Module-override fs wrappers keep the caller's base so
  * transparent facades resolve paths as the request/entry script intended.
@@ -193,9 +194,9 @@ function deleteFileSync(scope, filePath) {
  * @function moveFileSync
  * @memberof module:fs
  * @description Synchronously moves a file from one location to another within the same scope.
- * @param {string} sourceScope - The scope of the source file (fs.BOX or fs.WEB).
+ * @param {string} sourceScope - The scope of the source file (fs.BOX, fs.WEB or fs.TEMP).
  * @param {string} sourcePath - The path to the source file, relative to the source scope.
- * @param {string} destScope - The scope of the destination file (fs.BOX or fs.WEB).
+ * @param {string} destScope - The scope of the destination file (fs.BOX, fs.WEB or fs.TEMP).
  * @param {string} destPath - The path to the destination file, relative to the destination scope.
  * @returns {string} The new absolute path of the moved file.
  * @throws {Error} if the source file does not exist.
@@ -860,6 +861,15 @@ module.exports = {
    * It represents the web directory, typically used for web assets.
    */
   WEB: SCOPES.WEB,
+  /**
+   * @constant TEMP
+   * @memberof module:fs
+   * @description Constant for the TEMP scope.
+   * It represents the app's private temp directory (outside the web root, never packaged),
+   * where streamed multipart uploads land. Paths are always relative to the temp root.
+   * Move files you want to keep into BOX or WEB; request upload folders are removed when the request ends.
+   */
+  TEMP: SCOPES.TEMP,
 
   // Synchronous versions
   readFileSync,
@@ -42,6 +42,35 @@ function loadPermissionsForApp(app) {
   );
 }
 
+/**
+ * Builds the gbox config used for app lifecycle scripts (startup scripts, migrations)
+ * that run outside of an HTTP request.
+ * @param {object} app - The application object from the main `apps` registry.
+ * @param {object} globalConfig - The resolved server config.
+ * @returns {object} gbox config for `runInGBox`.
+ * @private
+ */
+function createLifecycleGBoxConfig(app, globalConfig) {
+  return {
+    appName: app.name,
+    app: app,
+    appBoxPath: app.appBoxPath,
+    globalModulesPath: path.join(engineRoot, "modules"),
+    localModulesPaths:
+      (globalConfig.box && globalConfig.box.localModulesPaths) || [],
+    allowedBuiltinModules:
+      (globalConfig.box && globalConfig.box.allowed_modules) || [],
+    privilegedApps: globalConfig.privileged_apps || [],
+    useCache: true, // Lifecycle script transpilation can be cached
+    logger: app.logger,
+    globalConfig,
+    allowDynamicCode: resolveAllowDynamicCodeForApp(
+      globalConfig.box,
+      app.config,
+    ),
+  };
+}
+
 /**
  * Executes the configured startup scripts for a given application.
  * This is an internal function used by the server engine during boot and by the
@@ -88,25 +117,7 @@ async function runStartupScripts(app) {
         async () => {
           app.logger.info(`Executing startup script: ${scriptPath}`);
 
-          const gBoxConfig = {
-            appName: app.name,
-            app: app,
-            appBoxPath: app.appBoxPath,
-            globalModulesPath: path.join(engineRoot, "modules"),
-            localModulesPaths:
-              (globalConfig.box && globalConfig.box.localModulesPaths) || [],
-            allowedBuiltinModules:
-              (globalConfig.box && globalConfig.box.allowed_modules) || [],
-            privilegedApps: globalConfig.privileged_apps || [],
-            useCache: true, // Startup script transpilation can be cached
-            logger: app.logger,
-            globalConfig,
-            allowDynamicCode: resolveAllowDynamicCodeForApp(
-              globalConfig.box,
-              app.config,
-            ),
-          };
-
+          const gBoxConfig = createLifecycleGBoxConfig(app, globalConfig);
           const scriptModule = runInGBox(fullScriptPath, gBoxConfig);
           if (typeof scriptModule === "function") {
             await scriptModule();
@@ -128,4 +139,8 @@ async function runStartupScripts(app) {
   return true;
 }
 
-module.exports = { loadPermissionsForApp, runStartupScripts };
+module.exports = {
+  loadPermissionsForApp,
+  runStartupScripts,
+  createLifecycleGBoxConfig,
+};
@@ -1,6 +1,7 @@
 const nodeFs = require("fs");
 const path = require("path");
 const vm = require("vm");
+const nodeCrypto = require("crypto");
 const sucrase = require("sucrase");
 const { isPathInside } = require("./internal_utils.js");
 
@@ -18,6 +19,8 @@ const PROTECTED_MODULES = [
   "image",
   "websockets",
   "queue",
+  "storage",
+  "search",
   // Note: 'scheduler' is engine-internal (restricted). Apps declare jobs in app.json;
   // they do not require('scheduler') in v1. The "scheduler" permission gates registration.
 ];
@@ -71,8 +74,62 @@ const restrictedGlobalModules = [
 ];
 
 const gingee = require("./gingee.js");
+const cacheService = require("./cache_service.js");
 const transpileCache = new Map();
 
+/**
+ * ESM transpile output is also kept in the server cache when the provider offers synchronous
+ * access (sqlite), keyed by a hash of the source, so a restart does not re-run sucrase over
+ * every script. Module instances stay in-process. The key is engine-private (app cache keys
+ * live under `app:`, so no app can write one); entries are trusted like the rest of the server
+ * cache and only checked to be for this source.
+ */
+const TRANSPILE_STORE_PREFIX = "_gbox:transpile:";
+const TRANSPILE_STORE_TTL = 7 * 24 * 3600;
+
+/** @private */
+function sha256Hex(text) {
+  return nodeCrypto.createHash("sha256").update(text).digest("hex");
+}
+
+/**
+ * sucrase output for an ES module source, via the persistent transpile store when available.
+ * @private
+ * @param {string} code
+ * @param {boolean} useCache
+ * @returns {string}
+ */
+function transpileModule(code, useCache) {
+  const store = useCache ? cacheService.syncStore() : null;
+  const source = store ? sha256Hex(code) : null;
+  const key = store ? TRANSPILE_STORE_PREFIX + source : null;
+  if (store) {
+    try {
+      const stored = store.get(key);
+      if (
+        stored &&
+        stored.source === source &&
+        typeof stored.code === "string"
+      ) {
+        return stored.code;
+      }
+    } catch (_) {
+      /* fall through to transpiling */
+    }
+  }
+  const transformed = sucrase.transform(code, {
+    transforms: ["imports", "jsx", "typescript"],
+  });
+  if (store) {
+    try {
+      store.set(key, { source, code: transformed.code }, TRANSPILE_STORE_TTL);
+    } catch (_) {
+      /* the in-process transpile cache still has it */
+    }
+  }
+  return transformed.code;
+}
+
 /**
  * Sandboxed module instance cache (Node require.cache semantics inside gbox).
  * Keyed by appName + absolute script path so shared local_modules paths do not
@@ -536,10 +593,13 @@ function createGRequire(callingScriptPath, gBoxConfig) {
     const normalized = rawName.startsWith("node:") ? rawName.slice(5) : rawName;
 
     // Restricted / engine / forbidden: never overridable (check restricted before overrides).
+    // storage_drivers/* and search_drivers/* take any path / credentials: reachable only via
+    // require('storage') / require('search').
     const isEngineInternal =
       normalized === "engine" ||
       normalized.startsWith("engine/") ||
-      normalized.startsWith("engine\\");
+      normalized.startsWith("engine\\") ||
+      /^(storage|search)_drivers[/\\]/.test(normalized);
     if (
       restrictedGlobalModules.includes(moduleName) ||
       restrictedGlobalModules.includes(normalized) ||
@@ -923,10 +983,7 @@ function runInGBox(scriptPath, gBoxConfig) {
             `ESM detected, transpiling: ${path.basename(absScriptPath)}`,
           );
         }
-        const transformed = sucrase.transform(originalCode, {
-          transforms: ["imports", "jsx", "typescript"],
-        });
-        scriptCode = transformed.code;
+        scriptCode = transpileModule(originalCode, gBoxConfig.useCache);
       } else {
         // Otherwise, assume it's CommonJS and use the code as-is.
         scriptCode = originalCode;
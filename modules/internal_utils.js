@@ -1,10 +1,12 @@
 const path = require("path");
 const fs = require("fs");
 const { getContext } = require("./gingee.js");
+const { appTempPath } = require("./engine/paths.js");
 
 const SCOPES = {
   BOX: "BOX",
   WEB: "WEB",
+  TEMP: "TEMP",
 };
 
 /**
@@ -150,7 +152,8 @@ function isPathInside(candidatePath, boundaryPath, options) {
 
 /**
  * A secure, internal-only path resolver.
- * Resolves BOX/WEB scoped paths and rejects anything outside the app boundary.
+ * Resolves BOX/WEB/TEMP scoped paths and rejects anything outside the app boundary.
+ * TEMP paths are always relative to the app temp root (with or without a leading `/`).
  * Returns a realpath-expanded absolute path so subsequent I/O cannot re-follow
  * intermediate symlinks differently from the jail check.
  * @private
@@ -166,8 +169,15 @@ function resolveSecurePath(scope, userPath) {
 
   let basePath;
   let finalUserPath = userPath;
+  const appTempRoot =
+    scope === SCOPES.TEMP
+      ? appTempPath(ctx.projectRoot || process.cwd(), appName)
+      : null;
 
-  if (userPath.startsWith("/")) {
+  if (scope === SCOPES.TEMP) {
+    basePath = appTempRoot;
+    finalUserPath = userPath.replace(/^\/+/, "");
+  } else if (userPath.startsWith("/")) {
     const pathSegments = userPath.split("/").filter(Boolean);
     const firstSegment = pathSegments[0];
 
@@ -188,7 +198,12 @@ function resolveSecurePath(scope, userPath) {
   }
 
   const requestedPath = path.join(basePath, finalUserPath);
-  const secureBoundary = scope === SCOPES.BOX ? appBoxPath : appWebPath;
+  const secureBoundary =
+    scope === SCOPES.TEMP
+      ? appTempRoot
+      : scope === SCOPES.BOX
+        ? appBoxPath
+        : appWebPath;
 
   const resolved = path.resolve(requestedPath);
   if (!isPathInside(resolved, secureBoundary)) {
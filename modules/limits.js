@@ -332,7 +332,13 @@ function attachRequestContext(store, token, res) {
       clearTimer("streamIdle");
     };
     res.on("finish", cleanup);
-    res.on("close", cleanup);
+    res.on("close", () => {
+      cleanup();
+      // Client went away mid-response: cancel cooperative work (httpclient, db.stream).
+      if (!res.writableFinished && !ac.signal.aborted) {
+        ac.abort("client_closed");
+      }
+    });
   }
 }
 
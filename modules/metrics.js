@@ -251,7 +251,7 @@ function authorizeRequest(req) {
 
 /**
  * Refresh gauges that are polled at scrape time.
- * @param {object} [hooks] - { limitsStats, appsCount, schedulerJobs }
+ * @param {object} [hooks] - { limitsStats, appsCount, schedulerJobs, dbPools }
  */
 function refreshDynamicGauges(hooks = {}) {
   setGauge("gingee_up", {}, 1);
@@ -286,6 +286,20 @@ function refreshDynamicGauges(hooks = {}) {
   if (typeof hooks.schedulerJobs === "number") {
     setGauge("gingee_scheduler_jobs_registered", {}, hooks.schedulerJobs);
   }
+  if (Array.isArray(hooks.dbPools)) {
+    const gaugesByField = {
+      total: "gingee_db_pool_connections",
+      idle: "gingee_db_pool_idle_connections",
+      waiting: "gingee_db_pool_waiting_requests",
+      max: "gingee_db_pool_max_connections",
+    };
+    for (const p of hooks.dbPools) {
+      const labels = { app: p.app, db: p.db, target: p.target };
+      for (const [field, name] of Object.entries(gaugesByField)) {
+        if (typeof p[field] === "number") setGauge(name, labels, p[field]);
+      }
+    }
+  }
   setGauge(
     "gingee_process_start_time_seconds",
     {},
@@ -13,6 +13,7 @@ const email = require("./email.js");
 const ai = require("./ai.js");
 const scheduler = require("./scheduler.js");
 const secrets = require("./secrets.js");
+const cacheService = require("./cache_service.js");
 const audit = require("./audit.js");
 const appLogger = require("./logger.js");
 const workerManager = require("./engine/isolation/worker_manager.js");
@@ -20,7 +21,10 @@ const websocketHub = require("./engine/websocket_hub.js");
 const queueService = require("./engine/queue_service.js");
 const logViewer = require("./log_viewer.js");
 
-const { match } = require("path-to-regexp");
+const { compileRoutes } = require("./engine/request/routes.js");
+const { buildOpenApiDocument } = require("./engine/request/openapi.js");
+const migrations = require("./engine/migrations.js");
+const slowQueries = require("./engine/slow_queries.js");
 const { loadPermissionsForApp, runStartupScripts } = require("./gapp_start.js");
 const gdev = require("./gdev.js");
 const { isPathInside, loadJsonFile } = require("./internal_utils.js");
@@ -48,6 +52,10 @@ const ALL_PERMISSIONS = {
   image: "Allows the app to manipulate image files.",
   websockets:
     "Allows the app to accept WebSocket connections and use require('websockets') for rooms/broadcast.",
+  search:
+    "Allows the app to index and query documents in the full-text search indexes declared in its app.json.",
+  storage:
+    "Allows the app to read and write objects in the storage buckets declared in its app.json (local disk or S3-compatible).",
   queue:
     "Allows the app to enqueue background jobs via require('queue') and run box/jobs handlers.",
   module_override:
@@ -235,7 +243,7 @@ function _loadAndCacheAppConfig(appConfigPath) {
       jwt_secret: null,
       jwt_iss: null,
       cache: {
-        client: { enabled: false, no_cache_regex: [] },
+        client: { enabled: false, etag: true, no_cache_regex: [] },
         server: { enabled: false, no_cache_regex: [] },
       },
       logging: {
@@ -489,16 +497,11 @@ async function _reloadRoutes(appName) {
   if (nodeFs.existsSync(routesPath)) {
     try {
       const routesConfig = require(routesPath);
-      const compiledRoutes = [];
-      if (routesConfig && routesConfig.routes) {
-        for (const route of routesConfig.routes) {
-          compiledRoutes.push({
-            method: route.method ? route.method.toUpperCase() : "GET",
-            script: route.script,
-            matcher: match(route.path, { decode: decodeURIComponent }),
-          });
-        }
-      }
+      const compiledRoutes = compileRoutes(routesConfig, {
+        appName,
+        appBoxPath: app.appBoxPath,
+        logger,
+      });
       app.compiledRoutes = compiledRoutes;
       logger.info(
         `Routes for '${appName}' reloaded. ${compiledRoutes.length} routes active.`,
@@ -663,6 +666,16 @@ async function registerNewApp(appName, permissionsArray) {
     await email.reinitApp(appName, app, logger);
     await ai.reinitApp(appName, app, logger);
 
+    const migrationsOk = await als.run(
+      { app, logger, globalConfig },
+      async () => migrations.runPendingMigrations(app),
+    );
+    if (migrationsOk === false) {
+      delete allApps[appName];
+      logger.error(`App '${appName}' was not registered: migrations failed.`);
+      return false;
+    }
+
     const startupOk = await als.run({ app, logger, globalConfig }, async () =>
       runStartupScripts(app),
     );
@@ -775,7 +788,16 @@ async function reloadApp(appName) {
     await email.reinitApp(appName, app, logger);
     await ai.reinitApp(appName, app, logger);
 
-    // Run startup scripts for this app — failure aborts the reload
+    // Apply pending migrations, then run startup scripts — failure aborts the reload
+    const migrationsOk = await als.run(
+      { app, logger, globalConfig },
+      async () => migrations.runPendingMigrations(app),
+    );
+    if (migrationsOk === false) {
+      throw new Error(
+        `Migrations failed for app '${appName}'. Reload aborted.`,
+      );
+    }
     const startupOk = await als.run({ app, logger, globalConfig }, async () =>
       runStartupScripts(app),
     );
@@ -867,6 +889,7 @@ async function deleteApp(appName, options = {}) {
       `Shutting down database connections for app '${appName}' before deletion.`,
     );
     await db.shutdownApp(appName, logger);
+    slowQueries.clearSlowQueries(appName);
 
     logger.info(`Shutting down email for app '${appName}' before deletion.`);
     await email.shutdownApp(appName, logger);
@@ -1385,7 +1408,7 @@ async function rollbackApp(appName, grantedPermissions) {
   if (backups.length === 0)
     throw new Error(`No backups found for app '${appName}'.`);
 
-  const { projectRoot, logger } = getContext();
+  const { projectRoot, logger, allApps, globalConfig } = getContext();
   const latestBackupFile = backups[0];
   const latestBackupPath = path.join(
     projectRoot,
@@ -1395,6 +1418,22 @@ async function rollbackApp(appName, grantedPermissions) {
   );
   const backupBuffer = nodeFs.readFileSync(latestBackupPath);
 
+  // Revert migrations the backup does not ship while their `down` scripts are still on disk.
+  const app = allApps[appName];
+  if (app) {
+    const { packageFiles } = await _scanPackage(backupBuffer);
+    const keep = migrations.migrationVersionsInFileList(packageFiles);
+    const reverted = await als.run({ app, logger, globalConfig }, async () =>
+      migrations.migrateDown(app, { keep }),
+    );
+    if (reverted.length > 0) {
+      logger.info(
+        `Reverted ${reverted.length} migration(s) for app '${appName}' before rollback.`,
+      );
+      audit.emit("migrations.down", { migrations: reverted }, { app: appName });
+    }
+  }
+
   await upgradeApp(appName, backupBuffer, grantedPermissions, {
     backup: false,
   }); // Don't re-backup when rolling back
@@ -1491,6 +1530,24 @@ async function getAppPermissions(appName) {
   };
 }
 
+/**
+ * @function getAppOpenApi
+ * @description Generates the OpenAPI 3.1 document for an application from its routes.json
+ * (regardless of the app's `openapi.enabled` flag). Used by the Glade export.
+ * @param {string} appName - The name of the application.
+ * @returns {object} The OpenAPI document.
+ * @throws {Error} If the app is not found.
+ */
+function getAppOpenApi(appName) {
+  const { allApps } = getContext();
+  appName = assertSafeAppName(appName);
+  const app = allApps[appName];
+  if (!app) {
+    throw new Error(`App '${appName}' not found.`);
+  }
+  return buildOpenApiDocument(app);
+}
+
 /**
  * @function setAppPermissions
  * @description Sets the permissions for a specific application.
@@ -1864,6 +1921,234 @@ async function runSchedulerJob(appName, jobName) {
   return result;
 }
 
+/**
+ * @function getMigrationStatus
+ * @memberof module:platform
+ * @description Lists applied, pending and missing schema migrations for each of an app's databases
+ * that has a `box/migrations/<dbName>/` folder.
+ * @param {string} appName - The name of the application.
+ * @returns {Promise<Array<object>>} One entry per database: `{ dbName, type, applied, pending, missing }`.
+ * `applied` entries carry `{ version, name, batch, appliedAt }`; `missing` lists applied versions whose
+ * script is no longer in the app.
+ * @throws {Error} If the app is not found or a database cannot be reached.
+ * @example
+ * const status = await platform.getMigrationStatus('myApp');
+ * console.log(status[0].pending); // [{ version: '3', name: 'add_orders_index' }]
+ */
+async function getMigrationStatus(appName) {
+  const { allApps, logger, globalConfig } = getContext();
+  appName = assertSafeAppName(appName);
+  const app = allApps[appName];
+  if (!app) throw new Error(`App '${appName}' not found.`);
+  return als.run({ app, logger, globalConfig }, async () =>
+    migrations.getMigrationStatus(app),
+  );
+}
+
+/**
+ * @function runMigrations
+ * @memberof module:platform
+ * @description Applies an app's pending schema migrations (oldest first) as a new batch.
+ * @param {string} appName - The name of the application.
+ * @param {object} [options]
+ * @param {string} [options.dbName] - Only migrate this database.
+ * @returns {Promise<Array<object>>} The applied migrations `{ dbName, version, name }`.
+ * @throws {Error} If the app is not found or a migration fails (earlier ones in the run stay applied).
+ * @example
+ * const applied = await platform.runMigrations('myApp');
+ */
+async function runMigrations(appName, options = {}) {
+  const { allApps, logger, globalConfig } = getContext();
+  appName = assertSafeAppName(appName);
+  const app = allApps[appName];
+  if (!app) throw new Error(`App '${appName}' not found.`);
+  const applied = await als.run({ app, logger, globalConfig }, async () =>
+    migrations.migrateUp(app, { dbName: options.dbName }),
+  );
+  audit.emit("migrations.up", { migrations: applied }, { app: appName });
+  return applied;
+}
+
+/**
+ * @function rollbackMigrations
+ * @memberof module:platform
+ * @description Reverts an app's most recent migration batch (or the last `steps` migrations) using
+ * each script's `down` function.
+ * @param {string} appName - The name of the application.
+ * @param {object} [options]
+ * @param {string} [options.dbName] - Only roll back this database.
+ * @param {number} [options.steps] - Revert this many migrations instead of the last batch.
+ * @returns {Promise<Array<object>>} The reverted migrations `{ dbName, version, name }`, newest first.
+ * @throws {Error} If the app is not found, a script is missing, or a `down` function fails.
+ * @example
+ * const reverted = await platform.rollbackMigrations('myApp', { steps: 1 });
+ */
+async function rollbackMigrations(appName, options = {}) {
+  const { allApps, logger, globalConfig } = getContext();
+  appName = assertSafeAppName(appName);
+  const app = allApps[appName];
+  if (!app) throw new Error(`App '${appName}' not found.`);
+  const reverted = await als.run({ app, logger, globalConfig }, async () =>
+    migrations.migrateDown(app, {
+      dbName: options.dbName,
+      steps: options.steps,
+    }),
+  );
+  audit.emit("migrations.down", { migrations: reverted }, { app: appName });
+  return reverted;
+}
+
+/**
+ * @function getSlowQueries
+ * @memberof module:platform
+ * @description Lists the slowest statements an app has run on this server process since start (or
+ * the last clear), slowest first. Only statements over their database's `slow_query_ms` are kept.
+ * @param {string} appName - The name of the application.
+ * @param {object} [options]
+ * @param {number} [options.limit=20] - At most this many statements (max 100).
+ * @returns {Array<object>} `{ db, operation, sql, count, maxMs, avgMs, lastMs, lastAt }` entries.
+ * @throws {Error} If the app is not found.
+ * @example
+ * const [slowest] = platform.getSlowQueries('myApp', { limit: 5 });
+ */
+function getSlowQueries(appName, options = {}) {
+  const { allApps } = getContext();
+  appName = assertSafeAppName(appName);
+  if (!allApps[appName]) throw new Error(`App '${appName}' not found.`);
+  return slowQueries.getSlowQueries(appName, options);
+}
+
+/**
+ * @function clearSlowQueries
+ * @memberof module:platform
+ * @description Forgets the slow statements recorded for an app.
+ * @param {string} appName - The name of the application.
+ * @throws {Error} If the app is not found.
+ */
+function clearSlowQueries(appName) {
+  const { allApps } = getContext();
+  appName = assertSafeAppName(appName);
+  if (!allApps[appName]) throw new Error(`App '${appName}' not found.`);
+  slowQueries.clearSlowQueries(appName);
+  audit.emit("slow_queries.clear", {}, { app: appName });
+}
+
+/** Keys inspected per round trip by getCacheKeys. */
+const CACHE_INSPECT_BATCH = 500;
+
+/** @private */
+function _appCachePattern(appName, pattern) {
+  return (
+    cacheService.escapeGlob(`${cacheService.APP_KEY_PREFIX}${appName}:`) +
+    cacheService.wildcardGlob(pattern == null || pattern === "" ? "*" : pattern)
+  );
+}
+
+/**
+ * @function getCacheKeys
+ * @memberof module:platform
+ * @description Inspects an app's entries in the shared cache (the keys it stores through the `cache`
+ * module): how many there are, roughly how much memory they use, and the matching keys with their
+ * size and remaining TTL. Values are not returned. At most 10000 keys are examined.
+ * @param {string} appName - The name of the application.
+ * @param {object} [options]
+ * @param {string} [options.pattern="*"] - Key pattern; `*` and `?` are wildcards.
+ * @param {number} [options.limit=100] - At most this many entries in `entries` (max 1000).
+ * @returns {Promise<object>} `{ provider, keys, bytes, truncated, entries }`; `bytes` counts stored keys and
+ * values, `entries` are `{ key, bytes, ttlMs }` sorted by key (`ttlMs` -1 = no expiry).
+ * @throws {Error} If the app is not found or the cache cannot be reached.
+ * @example
+ * const { keys, bytes, entries } = await platform.getCacheKeys('myApp', { pattern: 'user:*' });
+ */
+async function getCacheKeys(appName, options = {}) {
+  const { allApps } = getContext();
+  appName = assertSafeAppName(appName);
+  if (!allApps[appName]) throw new Error(`App '${appName}' not found.`);
+  const limit = Math.min(
+    Math.max(1, Math.floor(Number(options.limit) || 100)),
+    1000,
+  );
+  const prefix = `${cacheService.APP_KEY_PREFIX}${appName}:`;
+  const found = await cacheService.scan(
+    _appCachePattern(appName, options.pattern),
+    { limit: cacheService.SCAN_MAX },
+  );
+  const entries = [];
+  for (let i = 0; i < found.length; i += CACHE_INSPECT_BATCH) {
+    entries.push(
+      ...(await cacheService.inspect(found.slice(i, i + CACHE_INSPECT_BATCH))),
+    );
+  }
+  entries.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+  return {
+    provider: cacheService.getProvider(),
+    keys: entries.length,
+    bytes: entries.reduce((n, e) => n + e.bytes + Buffer.byteLength(e.key), 0),
+    truncated: found.length >= cacheService.SCAN_MAX,
+    entries: entries.slice(0, limit).map((e) => ({
+      key: e.key.slice(prefix.length),
+      bytes: e.bytes,
+      ttlMs: e.ttlMs,
+    })),
+  };
+}
+
+/**
+ * @function deleteCacheKeys
+ * @memberof module:platform
+ * @description Deletes an app's cache entries by key, by pattern, or by tag, e.g. to drop stale data
+ * without restarting. Give exactly one of `keys`, `pattern` or `tag`.
+ * @param {string} appName - The name of the application.
+ * @param {object} target
+ * @param {string[]} [target.keys] - Keys as the app names them (without the app prefix).
+ * @param {string} [target.pattern] - Key pattern; `*` and `?` are wildcards (at most 10000 keys).
+ * @param {string} [target.tag] - A tag the app used with `cache.set(key, value, { tags })`.
+ * @returns {Promise<{ deleted: number }>}
+ * @throws {Error} If the app is not found or the target is missing or ambiguous.
+ * @example
+ * await platform.deleteCacheKeys('myApp', { pattern: 'product:*' });
+ */
+async function deleteCacheKeys(appName, target = {}) {
+  const { allApps } = getContext();
+  appName = assertSafeAppName(appName);
+  if (!allApps[appName]) throw new Error(`App '${appName}' not found.`);
+  const given = ["keys", "pattern", "tag"].filter(
+    (k) => target[k] != null && target[k] !== "",
+  );
+  if (given.length !== 1) {
+    throw new Error("Give exactly one of keys, pattern or tag.");
+  }
+
+  let deleted;
+  if (target.tag != null) {
+    deleted = await cacheService.invalidateTag(
+      `_tag:${appName}:${String(target.tag)}`,
+    );
+  } else {
+    let keys;
+    if (target.pattern != null) {
+      keys = await cacheService.scan(
+        _appCachePattern(appName, String(target.pattern)),
+        { limit: cacheService.SCAN_MAX },
+      );
+    } else {
+      if (!Array.isArray(target.keys)) {
+        throw new Error("keys must be an array of key names.");
+      }
+      keys = target.keys.map(
+        (k) => `${cacheService.APP_KEY_PREFIX}${appName}:${String(k)}`,
+      );
+    }
+    const live = await cacheService.inspect(keys);
+    for (const { key } of live) await cacheService.del(key);
+    deleted = live.length;
+  }
+  const details = { by: given[0], deleted };
+  if (given[0] !== "keys") details[given[0]] = String(target[given[0]]);
+  audit.emit("cache.delete", details, { app: appName });
+  return { deleted };
+}
+
 module.exports = {
   listApps,
   assertSafeAppName,
@@ -1882,12 +2167,20 @@ module.exports = {
   analyzeAppBackup,
   getAppPermissions,
   setAppPermissions,
+  getAppOpenApi,
   installApp,
   installFromBackup,
   upgradeApp,
   mockUpgrade,
   rollbackApp,
   mockRollback,
+  getMigrationStatus,
+  runMigrations,
+  rollbackMigrations,
+  getSlowQueries,
+  clearSlowQueries,
+  getCacheKeys,
+  deleteCacheKeys,
   getQueueStats,
   listQueueLiveJobs,
   listQueueDlq,
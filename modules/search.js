@@ -0,0 +1,203 @@
+const { getContext } = require("./gingee.js");
+const he = require("he");
+const searchIndexes = require("./engine/search_indexes.js");
+
+/**
+ * @module search
+ * @description Full-text search for Gingee apps, with no external service. Indexes are declared in
+ * <code>app.json</code> → <code>search.indexes</code> (text fields with weights, plus filter fields
+ * used for filtering and facets) and stored by the server's embedded engine (SQLite FTS5).
+ * Documents are plain objects with an <code>id</code>; they are stored whole and returned with each hit.
+ * Changing an index's fields in app.json rebuilds it from the stored documents on next use.
+ * <b>IMPORTANT:</b> Requires explicit permission to use the module. See docs/permissions-guide for more details.
+ */
+
+/** Highlight delimiters used by search drivers (see engine/search_indexes). */
+const MARK_START = "\u0001";
+const MARK_END = "\u0002";
+
+/**
+ * The calling app's driver and schema for one of its indexes.
+ * @private
+ */
+function _open(index) {
+  const { appName, app } = getContext();
+  if (!appName || !app) {
+    throw new Error("Search module cannot determine app context.");
+  }
+  return searchIndexes.openIndex(appName, app.config, String(index));
+}
+
+/**
+ * HTML-escape a driver snippet and replace its delimiters with the caller's tags.
+ * @private
+ */
+function _markup(snippet, pre, post) {
+  return snippet
+    .split(MARK_START)
+    .map((part, i) => {
+      if (i === 0) return he.escape(part);
+      const end = part.indexOf(MARK_END);
+      if (end === -1) return he.escape(part);
+      return `${pre}${he.escape(part.slice(0, end))}${post}${he.escape(part.slice(end + 1))}`;
+    })
+    .join("");
+}
+
+/**
+ * @function index
+ * @memberof module:search
+ * @description Adds documents to an index, replacing any with the same `id`.
+ * Text fields may be strings, numbers or arrays of them; filter fields strings, numbers, booleans
+ * or arrays of them. Other properties are stored and returned but not searched.
+ * @param {string} index - An index declared in app.json `search.indexes`.
+ * @param {object|object[]} docs - One document or an array; each needs an `id` (string or number).
+ * @returns {Promise<number>} the number of documents written
+ * @throws {Error} On an undeclared index or a document without a valid `id`.
+ * @example
+ * const search = require('search');
+ * await search.index('products', [
+ *   { id: 1, title: 'Trail running shoes', body: 'Light and grippy.', category: 'shoes', price: 89 },
+ *   { id: 2, title: 'Rain jacket', body: 'Packs into its pocket.', category: 'outerwear', price: 120 },
+ * ]);
+ */
+async function indexDocuments(index, docs) {
+  const { driver, schema } = _open(index);
+  const list = Array.isArray(docs) ? docs : [docs];
+  const entries = list.map((doc) => {
+    if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+      throw new Error("Search documents must be objects.");
+    }
+    return { id: searchIndexes.normalizeId(doc.id), doc };
+  });
+  if (!entries.length) return 0;
+  return driver.upsert(String(index), schema, entries);
+}
+
+/**
+ * @function get
+ * @memberof module:search
+ * @description Reads a stored document.
+ * @param {string} index
+ * @param {string|number} id
+ * @returns {Promise<object|null>} null when there is no such document
+ */
+async function get(index, id) {
+  const { driver } = _open(index);
+  return driver.get(String(index), searchIndexes.normalizeId(id));
+}
+
+/**
+ * @function delete
+ * @memberof module:search
+ * @description Removes documents from an index.
+ * @param {string} index
+ * @param {string|number|Array<string|number>} ids
+ * @returns {Promise<number>} the number of documents removed
+ * @example
+ * await search.delete('products', [1, 2]);
+ */
+async function del(index, ids) {
+  const { driver } = _open(index);
+  const list = (Array.isArray(ids) ? ids : [ids]).map(
+    searchIndexes.normalizeId,
+  );
+  return driver.remove(String(index), list);
+}
+
+/**
+ * @function clear
+ * @memberof module:search
+ * @description Removes every document from an index (for a full reindex).
+ * @param {string} index
+ * @returns {Promise<number>} the number of documents removed
+ */
+async function clear(index) {
+  const { driver } = _open(index);
+  return driver.clear(String(index));
+}
+
+/**
+ * @function count
+ * @memberof module:search
+ * @description The number of documents in an index.
+ * @param {string} index
+ * @returns {Promise<number>}
+ */
+async function count(index) {
+  const { driver } = _open(index);
+  return driver.count(String(index));
+}
+
+/**
+ * @function query
+ * @memberof module:search
+ * @description Searches an index. Words must all match (or any, with `match: "any"`), the last word
+ * also matches as a prefix (`run` finds "running"), and `"quoted phrases"` match as phrases. Case and
+ * accents are ignored. Results are ranked by relevance (BM25) using the field weights; with empty
+ * `text` every document matching the filter is returned, most recently indexed first.
+ * @param {string} index
+ * @param {string} text - What the user typed.
+ * @param {object} [options]
+ * @param {string[]} [options.fields] - Search only these text fields.
+ * @param {Object<string, number>} [options.weights] - Override app.json weights for this query.
+ * @param {string} [options.match="all"] - `all` or `any`.
+ * @param {object} [options.filter] - Filter fields: `{ category: 'shoes' }`, any of
+ *   `{ category: ['shoes', 'socks'] }`, or a range `{ price: { gte: 50, lt: 100 } }`.
+ *   An array-valued document field matches when any of its values does.
+ * @param {string[]} [options.facets] - Filter fields to count values of across all matches.
+ * @param {number} [options.facetLimit=20] - Values per facet, most frequent first.
+ * @param {boolean|object} [options.highlight] - `true`, or `{ fields, pre, post, tokens }`:
+ *   HTML-escaped snippets (up to `tokens` words, default 32) with matches wrapped in
+ *   `pre` / `post` (default `<mark>` / `</mark>`).
+ * @param {number} [options.page=1]
+ * @param {number} [options.perPage=20] - At most 100.
+ * @returns {Promise<{ hits: Array<{ id: string, score: number, document: object,
+ *   highlights: Object<string, string> }>, total: number, page: number, perPage: number,
+ *   totalPages: number, facets: Object<string, Array<{ value: *, count: number }>> }>}
+ *   `highlights` only lists fields with a match
+ * @throws {Error} On an undeclared index, or unknown fields, filters or facets.
+ * @example
+ * const result = await search.query('products', $g.request.query.q, {
+ *   filter: { price: { lte: 100 } },
+ *   facets: ['category'],
+ *   highlight: true,
+ *   page: Number($g.request.query.page) || 1,
+ * });
+ * // result.hits[0].highlights.title → 'Trail <mark>running</mark> shoes'
+ * // result.facets.category → [{ value: 'shoes', count: 12 }, ...]
+ */
+async function query(index, text, options = {}) {
+  const { driver, schema } = _open(index);
+  const request = searchIndexes.buildQuery(schema, text, options);
+  const result = await driver.query(String(index), schema, request);
+  const h =
+    options.highlight && options.highlight !== true ? options.highlight : {};
+  const pre = h.pre != null ? String(h.pre) : "<mark>";
+  const post = h.post != null ? String(h.post) : "</mark>";
+  return {
+    hits: result.hits.map((hit) => ({
+      ...hit,
+      highlights: Object.fromEntries(
+        Object.entries(hit.highlights).map(([field, snippet]) => [
+          field,
+          _markup(snippet, pre, post),
+        ]),
+      ),
+    })),
+    total: result.total,
+    page: request.page,
+    perPage: request.perPage,
+    totalPages: Math.ceil(result.total / request.perPage),
+    facets: result.facets,
+  };
+}
+
+module.exports = {
+  index: indexDocuments,
+  get,
+  delete: del,
+  clear,
+  count,
+  query,
+};
@@ -0,0 +1,432 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+
+/** Highlight delimiters of the driver interface; the search module escapes the text and swaps them. */
+const MARK_START = "\u0001";
+const MARK_END = "\u0002";
+const ELLIPSIS = "…";
+/** FTS5 snippets are at most 64 tokens. */
+const MAX_SNIPPET_TOKENS = 64;
+
+const META_SCHEMA = `
+CREATE TABLE IF NOT EXISTS search_indexes (
+  name TEXT PRIMARY KEY,
+  signature TEXT NOT NULL
+);
+`;
+
+const RANGE_OPS = { gt: ">", gte: ">=", lt: "<", lte: "<=" };
+
+/** @private */
+function _quote(identifier) {
+  return `"${identifier.replace(/"/g, '""')}"`;
+}
+
+/**
+ * Attribute values as SQLite can bind them (booleans as 1 / 0).
+ * @private
+ */
+function _bindable(value) {
+  if (typeof value === "boolean") return value ? 1 : 0;
+  if (typeof value === "number" || typeof value === "string") return value;
+  return null;
+}
+
+/** @private */
+function _text(value) {
+  if (value == null) return "";
+  if (Array.isArray(value)) return value.map(_text).join("\n");
+  if (typeof value === "object") return "";
+  return String(value);
+}
+
+/**
+ * FTS5 MATCH expression for user text: bare words and "quoted phrases", each quoted so FTS5
+ * syntax in the input is never interpreted; the last bare word also matches as a prefix.
+ * @private
+ * @returns {string|null} null when the text has no searchable words
+ */
+function _matchExpression(text, { match, fields }) {
+  const parts = [];
+  const re = /"([^"]*)"|([\p{L}\p{N}_]+)/gu;
+  let lastBare = -1;
+  for (const m of text.matchAll(re)) {
+    if (m[1] !== undefined) {
+      const words = m[1].match(/[\p{L}\p{N}_]+/gu);
+      if (words) parts.push(`"${words.join(" ")}"`);
+      continue;
+    }
+    parts.push(`"${m[2]}"`);
+    lastBare = m.index + m[0].length === text.length ? parts.length - 1 : -1;
+  }
+  if (!parts.length) return null;
+  if (lastBare !== -1) parts[lastBare] += "*";
+  const expr = parts.join(match === "any" ? " OR " : " AND ");
+  return fields ? `{${fields.join(" ")}} : (${expr})` : expr;
+}
+
+/**
+ * Embedded full-text search on SQLite FTS5: one database file per app, three tables per index
+ * (`<index>_docs` with the stored documents, `<index>_fts` with the text fields, `<index>_attrs`
+ * with one row per filter value). Implements the driver interface used by engine/search_indexes.
+ * @private
+ */
+class SqliteSearchDriver {
+  /**
+   * @param {string} file - absolute database path
+   */
+  constructor(file) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    this.db = new Database(file);
+    this.db.pragma("journal_mode = WAL");
+    this.db.pragma("synchronous = NORMAL");
+    this.db.pragma("busy_timeout = 5000");
+    this.db.exec(META_SCHEMA);
+    /** index name → schema signature already ensured by this process */
+    this.ready = new Map();
+  }
+
+  /** @private */
+  _tables(name) {
+    return {
+      docs: _quote(`${name}_docs`),
+      fts: _quote(`${name}_fts`),
+      attrs: _quote(`${name}_attrs`),
+    };
+  }
+
+  /**
+   * Create an index, or rebuild it from the stored documents when its fields, filters or
+   * stemming changed. Weights apply at query time and never need a rebuild.
+   * @param {string} name
+   * @param {{ fields: Array<{ name: string, weight: number }>, filters: string[], stemming: boolean }} schema
+   */
+  ensureIndex(name, schema) {
+    const signature = JSON.stringify({
+      fields: schema.fields.map((f) => f.name),
+      filters: schema.filters,
+      stemming: schema.stemming,
+    });
+    if (this.ready.get(name) === signature) return;
+    const t = this._tables(name);
+    const row = this.db
+      .prepare("SELECT signature FROM search_indexes WHERE name = ?")
+      .get(name);
+    this.db.transaction(() => {
+      this.db.exec(
+        `CREATE TABLE IF NOT EXISTS ${t.docs} (
+           rowid INTEGER PRIMARY KEY,
+           id TEXT NOT NULL UNIQUE,
+           doc TEXT NOT NULL,
+           updated_at INTEGER NOT NULL
+         )`,
+      );
+      if (row && row.signature === signature) return;
+      this.db.exec(
+        `DROP TABLE IF EXISTS ${t.fts}; DROP TABLE IF EXISTS ${t.attrs};`,
+      );
+      const tokenize = schema.stemming
+        ? "porter unicode61 remove_diacritics 2"
+        : "unicode61 remove_diacritics 2";
+      this.db.exec(
+        `CREATE VIRTUAL TABLE ${t.fts} USING fts5(${schema.fields
+          .map((f) => _quote(f.name))
+          .join(", ")}, tokenize = '${tokenize}');
+         CREATE TABLE ${t.attrs} (doc INTEGER NOT NULL, field TEXT NOT NULL, value);
+         CREATE INDEX ${_quote(`${name}_attrs_value`)} ON ${t.attrs} (field, value, doc);
+         CREATE INDEX ${_quote(`${name}_attrs_doc`)} ON ${t.attrs} (doc);`,
+      );
+      const all = this.db.prepare(`SELECT rowid, doc FROM ${t.docs}`).all();
+      for (const { rowid, doc } of all) {
+        this._write(t, schema, rowid, JSON.parse(doc));
+      }
+      this.db
+        .prepare(
+          "INSERT INTO search_indexes (name, signature) VALUES (?, ?) ON CONFLICT (name) DO UPDATE SET signature = excluded.signature",
+        )
+        .run(name, signature);
+    })();
+    this.ready.set(name, signature);
+  }
+
+  /**
+   * Text and filter rows for one stored document.
+   * @private
+   */
+  _write(t, schema, rowid, doc) {
+    this.db
+      .prepare(
+        `INSERT INTO ${t.fts} (rowid, ${schema.fields
+          .map((f) => _quote(f.name))
+          .join(", ")}) VALUES (?${", ?".repeat(schema.fields.length)})`,
+      )
+      .run(rowid, ...schema.fields.map((f) => _text(doc[f.name])));
+    const insert = this.db.prepare(
+      `INSERT INTO ${t.attrs} (doc, field, value) VALUES (?, ?, ?)`,
+    );
+    for (const field of schema.filters) {
+      const raw = doc[field];
+      const values = new Set(
+        (Array.isArray(raw) ? raw : [raw])
+          .map(_bindable)
+          .filter((v) => v !== null),
+      );
+      for (const value of values) insert.run(rowid, field, value);
+    }
+  }
+
+  /** @private */
+  _unlink(t, rowid) {
+    this.db.prepare(`DELETE FROM ${t.fts} WHERE rowid = ?`).run(rowid);
+    this.db.prepare(`DELETE FROM ${t.attrs} WHERE doc = ?`).run(rowid);
+  }
+
+  /**
+   * Insert or replace documents.
+   * @param {string} name
+   * @param {object} schema
+   * @param {Array<{ id: string, doc: object }>} docs
+   * @returns {Promise<number>}
+   */
+  async upsert(name, schema, docs) {
+    const t = this._tables(name);
+    const find = this.db.prepare(`SELECT rowid FROM ${t.docs} WHERE id = ?`);
+    const update = this.db.prepare(
+      `UPDATE ${t.docs} SET doc = ?, updated_at = ? WHERE rowid = ?`,
+    );
+    const insert = this.db.prepare(
+      `INSERT INTO ${t.docs} (id, doc, updated_at) VALUES (?, ?, ?)`,
+    );
+    this.db.transaction(() => {
+      const now = Date.now();
+      for (const { id, doc } of docs) {
+        const json = JSON.stringify(doc);
+        const existing = find.get(id);
+        let rowid;
+        if (existing) {
+          rowid = existing.rowid;
+          this._unlink(t, rowid);
+          update.run(json, now, rowid);
+        } else {
+          rowid = insert.run(id, json, now).lastInsertRowid;
+        }
+        this._write(t, schema, rowid, doc);
+      }
+    })();
+    return docs.length;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string[]} ids
+   * @returns {Promise<number>} documents removed
+   */
+  async remove(name, ids) {
+    const t = this._tables(name);
+    const find = this.db.prepare(`SELECT rowid FROM ${t.docs} WHERE id = ?`);
+    const del = this.db.prepare(`DELETE FROM ${t.docs} WHERE rowid = ?`);
+    let removed = 0;
+    this.db.transaction(() => {
+      for (const id of ids) {
+        const row = find.get(id);
+        if (!row) continue;
+        this._unlink(t, row.rowid);
+        del.run(row.rowid);
+        removed += 1;
+      }
+    })();
+    return removed;
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} id
+   * @returns {Promise<object|null>}
+   */
+  async get(name, id) {
+    const row = this.db
+      .prepare(`SELECT doc FROM ${this._tables(name).docs} WHERE id = ?`)
+      .get(id);
+    return row ? JSON.parse(row.doc) : null;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<number>}
+   */
+  async count(name) {
+    return this.db
+      .prepare(`SELECT COUNT(*) AS n FROM ${this._tables(name).docs}`)
+      .get().n;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<number>} documents removed
+   */
+  async clear(name) {
+    const t = this._tables(name);
+    let removed = 0;
+    this.db.transaction(() => {
+      removed = this.db.prepare(`DELETE FROM ${t.docs}`).run().changes;
+      this.db.exec(`DELETE FROM ${t.fts}; DELETE FROM ${t.attrs};`);
+    })();
+    return removed;
+  }
+
+  /**
+   * SQL condition and parameters for a validated filter object.
+   * @private
+   */
+  _filterSql(t, filter) {
+    const clauses = [];
+    const params = [];
+    const subquery = (cond, values) => {
+      clauses.push(
+        `d.rowid IN (SELECT doc FROM ${t.attrs} WHERE field = ? AND ${cond})`,
+      );
+      params.push(...values);
+    };
+    for (const [field, spec] of Object.entries(filter)) {
+      if (Array.isArray(spec)) {
+        const values = spec.map(_bindable).filter((v) => v !== null);
+        if (!values.length) {
+          clauses.push("0");
+          continue;
+        }
+        subquery(`value IN (${values.map(() => "?").join(", ")})`, [
+          field,
+          ...values,
+        ]);
+      } else if (spec && typeof spec === "object") {
+        const conds = [];
+        const values = [field];
+        for (const [op, value] of Object.entries(spec)) {
+          conds.push(`value ${RANGE_OPS[op]} ?`);
+          values.push(_bindable(value));
+        }
+        subquery(conds.join(" AND "), values);
+      } else {
+        subquery("value = ?", [field, _bindable(spec)]);
+      }
+    }
+    return { sql: clauses.join(" AND "), params };
+  }
+
+  /**
+   * Run a search.
+   * @param {string} name
+   * @param {object} schema
+   * @param {object} request
+   * @param {string} request.text - empty: every document, most recently indexed first
+   * @param {string} request.match - `all` or `any`
+   * @param {string[]|null} request.fields - text fields to search (null: all)
+   * @param {Object<string, number>} request.weights - per field
+   * @param {object} request.filter - validated filter
+   * @param {string[]} request.facets
+   * @param {number} request.facetLimit
+   * @param {{ fields: string[], tokens: number }|null} request.highlight
+   * @param {number} request.offset
+   * @param {number} request.limit
+   * @returns {Promise<{ total: number, hits: Array<{ id: string, score: number, document: object,
+   *   highlights: Object<string, string> }>, facets: Object<string, Array<{ value: *, count: number }>> }>}
+   */
+  async query(name, schema, request) {
+    const t = this._tables(name);
+    const where = [];
+    const params = [];
+    const expr = request.text
+      ? _matchExpression(request.text, request)
+      : undefined;
+    if (expr === null) {
+      return {
+        total: 0,
+        hits: [],
+        facets: Object.fromEntries(request.facets.map((f) => [f, []])),
+      };
+    }
+    let from = `${t.docs} d`;
+    if (expr) {
+      from = `${t.fts} f JOIN ${t.docs} d ON d.rowid = f.rowid`;
+      where.push(`${t.fts} MATCH ?`);
+      params.push(expr);
+    }
+    const filter = this._filterSql(t, request.filter);
+    if (filter.sql) {
+      where.push(filter.sql);
+      params.push(...filter.params);
+    }
+    const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
+
+    const total = this.db
+      .prepare(`SELECT COUNT(*) AS n FROM ${from} ${whereSql}`)
+      .get(...params).n;
+
+    const columns = ["d.id", "d.doc"];
+    if (expr) {
+      const weights = schema.fields.map((f) =>
+        Number(request.weights[f.name] ?? f.weight),
+      );
+      columns.push(`bm25(${t.fts}, ${weights.join(", ")}) AS score`);
+    } else {
+      columns.push("0 AS score");
+    }
+    const highlightFields =
+      expr && request.highlight ? request.highlight.fields : [];
+    const tokens = Math.min(
+      request.highlight ? request.highlight.tokens : 0,
+      MAX_SNIPPET_TOKENS,
+    );
+    highlightFields.forEach((field, i) => {
+      const col = schema.fields.findIndex((f) => f.name === field);
+      columns.push(
+        `snippet(${t.fts}, ${col}, '${MARK_START}', '${MARK_END}', '${ELLIPSIS}', ${tokens}) AS h${i}`,
+      );
+    });
+    const order = expr ? "score" : "d.updated_at DESC, d.rowid DESC";
+    const rows = this.db
+      .prepare(
+        `SELECT ${columns.join(", ")} FROM ${from} ${whereSql} ORDER BY ${order} LIMIT ? OFFSET ?`,
+      )
+      .all(...params, request.limit, request.offset);
+
+    const hits = rows.map((row) => {
+      const highlights = {};
+      highlightFields.forEach((field, i) => {
+        if (row[`h${i}`] && row[`h${i}`].includes(MARK_START)) {
+          highlights[field] = row[`h${i}`];
+        }
+      });
+      return {
+        id: row.id,
+        score: row.score === 0 ? 0 : -row.score,
+        document: JSON.parse(row.doc),
+        highlights,
+      };
+    });
+
+    const facets = {};
+    for (const field of request.facets) {
+      facets[field] = this.db
+        .prepare(
+          `SELECT value, COUNT(*) AS count FROM ${t.attrs}
+           WHERE field = ? AND doc IN (SELECT d.rowid FROM ${from} ${whereSql})
+           GROUP BY value ORDER BY count DESC, value LIMIT ?`,
+        )
+        .all(field, ...params, request.facetLimit)
+        .map(({ value, count }) => ({ value, count }));
+    }
+    return { total, hits, facets };
+  }
+
+  /**
+   * Close the database.
+   */
+  close() {
+    if (this.db.open) this.db.close();
+    this.ready.clear();
+  }
+}
+
+module.exports = SqliteSearchDriver;
@@ -0,0 +1,279 @@
+const { Readable } = require("stream");
+const mime = require("mime-types");
+const { getContext } = require("./gingee.js");
+const buckets = require("./engine/storage_buckets.js");
+
+/**
+ * @module storage
+ * @description Object storage for Gingee apps. Buckets are declared in <code>app.json</code> →
+ * <code>storage.buckets</code> and backed by local disk (<code>driver: "local"</code>, the default) or any
+ * S3-compatible service (<code>driver: "s3"</code>: AWS S3, MinIO, Cloudflare R2, ...). Every function takes
+ * the bucket name first, like the <code>fs</code> module takes a scope.
+ * S3 calls go through the server <code>egress</code> policy and outbound limits.
+ * Presigned URLs let browsers download or upload directly: S3 buckets sign for the service itself,
+ * local buckets get a URL served by the engine at <code>storage.presign_path</code>.
+ * <b>IMPORTANT:</b> Requires explicit permission to use the module. See docs/permissions-guide for more details.
+ */
+
+/**
+ * The calling app and the driver for one of its buckets.
+ * @private
+ */
+function _open(bucket) {
+  const { appName, app } = getContext();
+  if (!appName || !app) {
+    throw new Error("Storage module cannot determine app context.");
+  }
+  return {
+    appName,
+    app,
+    driver: buckets.openBucket(appName, app.config, String(bucket)),
+  };
+}
+
+/** @private */
+function _listEntry(info) {
+  return {
+    key: info.key,
+    size: info.size,
+    etag: info.etag,
+    lastModified: info.lastModified,
+  };
+}
+
+/**
+ * @function put
+ * @memberof module:storage
+ * @description Stores an object, replacing any object with the same key.
+ * @param {string} bucket - A bucket declared in app.json `storage.buckets`.
+ * @param {string} key - Object key, e.g. `avatars/42.png` (`/` separates folders).
+ * @param {string|Buffer|Uint8Array|Readable} body - The content.
+ * @param {object} [options]
+ * @param {string} [options.contentType] - Defaults to a type guessed from the key's extension.
+ * @param {Object<string, string>} [options.metadata] - Small ASCII string values (2 KB in total).
+ * @param {number} [options.contentLength] - Byte length of a stream body; lets S3 uploads stream
+ *   instead of being buffered in memory.
+ * @returns {Promise<{ key: string, size: number, contentType: string, etag: string,
+ *   lastModified: number, metadata: object }>}
+ * @throws {Error} On an undeclared bucket, an invalid key or metadata, or a storage failure.
+ * @example
+ * const storage = require('storage');
+ * await storage.put('uploads', 'reports/2026-10.csv', csvText, { metadata: { owner: 'ops' } });
+ */
+async function put(bucket, key, body, options = {}) {
+  const { driver } = _open(bucket);
+  buckets.validateKey(key);
+  let data = body;
+  if (typeof body === "string") data = Buffer.from(body, "utf8");
+  else if (body instanceof Uint8Array && !Buffer.isBuffer(body)) {
+    data = Buffer.from(body);
+  } else if (!Buffer.isBuffer(body) && !(body instanceof Readable)) {
+    throw new Error(
+      "storage.put body must be a string, Buffer, Uint8Array or readable stream.",
+    );
+  }
+  return driver.put(key, data, {
+    contentType:
+      options.contentType || mime.lookup(key) || "application/octet-stream",
+    metadata: buckets.normalizeMetadata(options.metadata),
+    contentLength:
+      options.contentLength != null ? Number(options.contentLength) : undefined,
+  });
+}
+
+/**
+ * @function get
+ * @memberof module:storage
+ * @description Reads a whole object into memory. Use {@link module:storage.getStream} for large objects.
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {Promise<{ body: Buffer, key: string, size: number, contentType: string, etag: string,
+ *   lastModified: number, metadata: object }|null>} null when there is no such object
+ * @example
+ * const file = await storage.get('uploads', 'reports/2026-10.csv');
+ * if (file) $g.response.send(file.body.toString('utf8'), 200, file.contentType);
+ */
+async function get(bucket, key) {
+  const { driver } = _open(bucket);
+  return driver.get(buckets.validateKey(key));
+}
+
+/**
+ * @function getStream
+ * @memberof module:storage
+ * @description Opens an object for streaming.
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {Promise<{ stream: Readable, key: string, size: number, contentType: string, etag: string,
+ *   lastModified: number, metadata: object }|null>} null when there is no such object. Read or
+ *   destroy the stream.
+ * @example
+ * const file = await storage.getStream('media', 'videos/intro.mp4');
+ * for await (const chunk of file.stream) { ... }
+ */
+async function getStream(bucket, key) {
+  const { driver } = _open(bucket);
+  return driver.getStream(buckets.validateKey(key));
+}
+
+/**
+ * @function head
+ * @memberof module:storage
+ * @description Object information without the content.
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {Promise<{ key: string, size: number, contentType: string, etag: string,
+ *   lastModified: number, metadata: object }|null>} null when there is no such object
+ */
+async function head(bucket, key) {
+  const { driver } = _open(bucket);
+  return driver.head(buckets.validateKey(key));
+}
+
+/**
+ * @function delete
+ * @memberof module:storage
+ * @description Deletes an object.
+ * @param {string} bucket
+ * @param {string} key
+ * @returns {Promise<boolean>} false when there was no such object
+ * @example
+ * await storage.delete('uploads', 'reports/2026-10.csv');
+ */
+async function del(bucket, key) {
+  const { driver } = _open(bucket);
+  return driver.delete(buckets.validateKey(key));
+}
+
+/**
+ * @function list
+ * @memberof module:storage
+ * @description Lists objects in key order, a page at a time.
+ * @param {string} bucket
+ * @param {object} [options]
+ * @param {string} [options.prefix=""] - Only keys starting with this.
+ * @param {string} [options.delimiter] - Usually `/`: keys with it after the prefix are rolled up
+ *   into `prefixes` (one entry per "folder").
+ * @param {number} [options.limit=1000] - Objects plus prefixes per page (at most 1000).
+ * @param {string} [options.cursor] - The `cursor` of the previous page.
+ * @returns {Promise<{ objects: Array<{ key: string, size: number, etag: string, lastModified: number }>,
+ *   prefixes: string[], cursor: string|null }>} `cursor` is null on the last page
+ * @example
+ * let page = await storage.list('uploads', { prefix: 'reports/', delimiter: '/' });
+ * while (page.cursor) page = await storage.list('uploads', { prefix: 'reports/', cursor: page.cursor });
+ */
+async function list(bucket, options = {}) {
+  const { driver } = _open(bucket);
+  const limit =
+    options.limit == null
+      ? 1000
+      : Math.min(Math.max(1, Math.floor(Number(options.limit)) || 1), 1000);
+  const page = await driver.list({
+    prefix: options.prefix != null ? String(options.prefix) : "",
+    delimiter: options.delimiter ? String(options.delimiter) : null,
+    limit,
+    cursor: options.cursor ? String(options.cursor) : null,
+  });
+  return { ...page, objects: page.objects.map(_listEntry) };
+}
+
+/**
+ * @function copy
+ * @memberof module:storage
+ * @description Copies an object, keeping its content type and metadata. Copies within one
+ * service are done by the service; across drivers the content is streamed through the server.
+ * @param {string} bucket - Source bucket.
+ * @param {string} fromKey
+ * @param {string} toKey
+ * @param {object} [options]
+ * @param {string} [options.toBucket] - Destination bucket (default: the source bucket).
+ * @returns {Promise<object|null>} the new object's information, or null when `fromKey` does not exist
+ * @example
+ * await storage.copy('uploads', 'tmp/photo.jpg', 'photos/42.jpg', { toBucket: 'media' });
+ */
+async function copy(bucket, fromKey, toKey, options = {}) {
+  const { appName, app, driver } = _open(bucket);
+  buckets.validateKey(fromKey);
+  buckets.validateKey(toKey);
+  const target =
+    options.toBucket != null && String(options.toBucket) !== String(bucket)
+      ? buckets.openBucket(appName, app.config, String(options.toBucket))
+      : driver;
+  if (driver.canCopyTo(target)) return driver.copy(fromKey, target, toKey);
+  const source = await driver.getStream(fromKey);
+  if (!source) return null;
+  return target.put(toKey, source.stream, {
+    contentType: source.contentType,
+    metadata: source.metadata,
+    contentLength: source.size,
+  });
+}
+
+/**
+ * @function presign
+ * @memberof module:storage
+ * @description A time-limited URL that lets a client download (`GET`) or upload (`PUT`) one object
+ * without credentials. For local buckets the URL is served by Gingee and is relative to the
+ * server (e.g. `/my_app/_storage/uploads/a.png?...`); S3 buckets return the service URL.
+ * @param {string} bucket
+ * @param {string} key
+ * @param {object} [options]
+ * @param {string} [options.method="GET"] - `GET` or `PUT`.
+ * @param {number} [options.expiresIn=900] - Seconds (at most 7 days).
+ * @param {string} [options.contentType] - For `PUT`: the Content-Type the client must send.
+ * @returns {Promise<{ url: string, method: string, expiresAt: number, headers: object }>}
+ *   `headers` lists request headers the client must send with the URL
+ * @example
+ * const { url, headers } = await storage.presign('uploads', `avatars/${userId}.png`, {
+ *   method: 'PUT', contentType: 'image/png', expiresIn: 300,
+ * });
+ */
+async function presign(bucket, key, options = {}) {
+  const { appName, app, driver } = _open(bucket);
+  buckets.validateKey(key);
+  const method = String(options.method || "GET").toUpperCase();
+  if (method !== "GET" && method !== "PUT") {
+    throw new Error("storage.presign method must be 'GET' or 'PUT'.");
+  }
+  const expiresIn = buckets.resolveExpiresIn(options.expiresIn);
+  const contentType =
+    method === "PUT" && options.contentType
+      ? String(options.contentType)
+      : undefined;
+  const expires = Math.floor(Date.now() / 1000) + expiresIn;
+
+  if (typeof driver.presign === "function") {
+    const signed = driver.presign(key, { method, expiresIn, contentType });
+    return { ...signed, method, expiresAt: expires * 1000 };
+  }
+
+  const { presignPath } = buckets.resolveStorageConfig(app.config);
+  const store = getContext();
+  const base =
+    typeof store.appBaseUrl === "string" ? store.appBaseUrl : `/${appName}`;
+  const query = await buckets.signLocalUrl(appName, app.config, {
+    method,
+    bucket: String(bucket),
+    key,
+    expires,
+    contentType,
+  });
+  const encodedKey = key.split("/").map(encodeURIComponent).join("/");
+  return {
+    url: `${base}${presignPath}/${encodeURIComponent(bucket)}/${encodedKey}?${query}`,
+    method,
+    expiresAt: expires * 1000,
+    headers: contentType ? { "Content-Type": contentType } : {},
+  };
+}
+
+module.exports = {
+  put,
+  get,
+  getStream,
+  head,
+  delete: del,
+  list,
+  copy,
+  presign,
+};
@@ -0,0 +1,285 @@
+const fs = require("fs");
+const fsp = require("fs/promises");
+const path = require("path");
+const crypto = require("crypto");
+const { Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+
+/**
+ * Local-disk object storage driver. One directory per bucket:
+ *   objects/<key>       — object bytes (key segments become folders)
+ *   meta/<key>.json     — { contentType, metadata, etag }
+ *   .tmp/               — in-progress writes, renamed into place when complete
+ * A key cannot also be used as a folder of other keys (`a` and `a/b`); such writes fail.
+ * @private
+ */
+class LocalStorageDriver {
+  /**
+   * @param {string} dir - absolute bucket directory
+   */
+  constructor(dir) {
+    this.dir = dir;
+    this.objectsDir = path.join(dir, "objects");
+    this.metaDir = path.join(dir, "meta");
+    this.tmpDir = path.join(dir, ".tmp");
+  }
+
+  /** @private */
+  _objectPath(key) {
+    return path.join(this.objectsDir, ...key.split("/"));
+  }
+
+  /** @private */
+  _metaPath(key) {
+    return `${path.join(this.metaDir, ...key.split("/"))}.json`;
+  }
+
+  /** @private */
+  async _readMeta(key) {
+    try {
+      return JSON.parse(await fsp.readFile(this._metaPath(key), "utf8"));
+    } catch (_) {
+      return {};
+    }
+  }
+
+  /** @private */
+  async _info(key) {
+    let st;
+    try {
+      st = await fsp.stat(this._objectPath(key));
+    } catch (err) {
+      if (err.code === "ENOENT" || err.code === "ENOTDIR") return null;
+      throw err;
+    }
+    if (!st.isFile()) return null;
+    const meta = await this._readMeta(key);
+    return {
+      key,
+      size: st.size,
+      contentType: meta.contentType || "application/octet-stream",
+      etag: meta.etag || null,
+      lastModified: st.mtimeMs,
+      metadata: meta.metadata || {},
+    };
+  }
+
+  /**
+   * Move a finished temp file into place.
+   * @private
+   */
+  async _place(tmpFile, target, key) {
+    try {
+      await fsp.mkdir(path.dirname(target), { recursive: true });
+      await fsp.rename(tmpFile, target);
+    } catch (err) {
+      await fsp.rm(tmpFile, { force: true });
+      if (["EEXIST", "ENOTDIR", "EISDIR", "ENOTEMPTY"].includes(err.code)) {
+        throw new Error(
+          `Object key '${key}' conflicts with another key in this bucket (a key cannot also be a folder).`,
+        );
+      }
+      throw err;
+    }
+  }
+
+  /** @private */
+  async _writeMeta(key, meta) {
+    const tmpFile = path.join(this.tmpDir, `${crypto.randomUUID()}.json`);
+    await fsp.writeFile(tmpFile, JSON.stringify(meta));
+    await this._place(tmpFile, this._metaPath(key), key);
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer|Readable} body
+   * @param {{ contentType: string, metadata: object }} options
+   * @returns {Promise<object>} object info
+   */
+  async put(key, body, options) {
+    await fsp.mkdir(this.tmpDir, { recursive: true });
+    const tmpFile = path.join(this.tmpDir, crypto.randomUUID());
+    const hash = crypto.createHash("md5");
+    const counter = new Transform({
+      transform(chunk, _enc, cb) {
+        hash.update(chunk);
+        cb(null, chunk);
+      },
+    });
+    const source = Buffer.isBuffer(body) ? Readable.from([body]) : body;
+    try {
+      await pipeline(source, counter, fs.createWriteStream(tmpFile));
+    } catch (err) {
+      await fsp.rm(tmpFile, { force: true });
+      throw err;
+    }
+    await this._place(tmpFile, this._objectPath(key), key);
+    await this._writeMeta(key, {
+      contentType: options.contentType,
+      metadata: options.metadata,
+      etag: hash.digest("hex"),
+    });
+    return this._info(key);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>}
+   */
+  async head(key) {
+    return this._info(key);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>} info plus `body` (Buffer)
+   */
+  async get(key) {
+    const info = await this._info(key);
+    if (!info) return null;
+    return { ...info, body: await fsp.readFile(this._objectPath(key)) };
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>} info plus `stream` (Readable)
+   */
+  async getStream(key) {
+    const info = await this._info(key);
+    if (!info) return null;
+    return { ...info, stream: fs.createReadStream(this._objectPath(key)) };
+  }
+
+  /**
+   * Remove now-empty folders above a deleted key.
+   * @private
+   */
+  async _prune(file, root) {
+    let dir = path.dirname(file);
+    while (dir.startsWith(root + path.sep)) {
+      try {
+        await fsp.rmdir(dir);
+      } catch (_) {
+        return;
+      }
+      dir = path.dirname(dir);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<boolean>} false when there was no such object
+   */
+  async delete(key) {
+    const info = await this._info(key);
+    if (!info) return false;
+    const objectPath = this._objectPath(key);
+    const metaPath = this._metaPath(key);
+    await fsp.rm(objectPath, { force: true });
+    await fsp.rm(metaPath, { force: true });
+    await this._prune(objectPath, this.objectsDir);
+    await this._prune(metaPath, this.metaDir);
+    return true;
+  }
+
+  /**
+   * Every key under a folder, as `/`-joined paths.
+   * @private
+   */
+  async _walk(dir, base, out) {
+    let entries;
+    try {
+      entries = await fsp.readdir(dir, { withFileTypes: true });
+    } catch (_) {
+      return out;
+    }
+    for (const entry of entries) {
+      const key = base ? `${base}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        await this._walk(path.join(dir, entry.name), key, out);
+      } else if (entry.isFile()) {
+        out.push(key);
+      }
+    }
+    return out;
+  }
+
+  /**
+   * Keys in lexical order after `cursor` (the last key or prefix of the previous page).
+   * @param {{ prefix: string, delimiter: string|null, limit: number, cursor: string|null }} options
+   * @returns {Promise<{ objects: object[], prefixes: string[], cursor: string|null }>}
+   */
+  async list({ prefix, delimiter, limit, cursor }) {
+    const slash = prefix.lastIndexOf("/");
+    const base = slash === -1 ? "" : prefix.slice(0, slash);
+    const startDir = base
+      ? path.join(this.objectsDir, ...base.split("/"))
+      : this.objectsDir;
+    const keys = (await this._walk(startDir, base, [])).sort();
+
+    const objects = [];
+    const prefixes = [];
+    let last = null;
+    let truncated = false;
+    for (const key of keys) {
+      if (!key.startsWith(prefix)) continue;
+      if (cursor) {
+        if (key <= cursor) continue;
+        // The previous page ended on a common prefix: skip the rest of it.
+        if (delimiter && cursor.endsWith(delimiter) && key.startsWith(cursor)) {
+          continue;
+        }
+      }
+      let common = null;
+      if (delimiter) {
+        const at = key.indexOf(delimiter, prefix.length);
+        if (at !== -1) common = key.slice(0, at + delimiter.length);
+      }
+      if (common && common === prefixes[prefixes.length - 1]) continue;
+      if (objects.length + prefixes.length >= limit) {
+        truncated = true;
+        break;
+      }
+      if (common) {
+        prefixes.push(common);
+        last = common;
+      } else {
+        const info = await this._info(key);
+        if (info) objects.push(info);
+        last = key;
+      }
+    }
+    return { objects, prefixes, cursor: truncated ? last : null };
+  }
+
+  /**
+   * @param {LocalStorageDriver} target
+   * @returns {boolean} whether copy() can write into `target` directly
+   */
+  canCopyTo(target) {
+    return target instanceof LocalStorageDriver;
+  }
+
+  /**
+   * @param {string} fromKey
+   * @param {LocalStorageDriver} target
+   * @param {string} toKey
+   * @returns {Promise<object|null>} the new object's info, or null when `fromKey` is missing
+   */
+  async copy(fromKey, target, toKey) {
+    const info = await this._info(fromKey);
+    if (!info) return null;
+    await fsp.mkdir(target.tmpDir, { recursive: true });
+    const tmpFile = path.join(target.tmpDir, crypto.randomUUID());
+    await fsp.copyFile(this._objectPath(fromKey), tmpFile);
+    await target._place(tmpFile, target._objectPath(toKey), toKey);
+    await target._writeMeta(toKey, {
+      contentType: info.contentType,
+      metadata: info.metadata,
+      etag: info.etag,
+    });
+    return target._info(toKey);
+  }
+}
+
+module.exports = LocalStorageDriver;
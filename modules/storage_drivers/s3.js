@@ -0,0 +1,595 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const { getContext } = require("../gingee.js");
+const egress = require("../egress.js");
+const limits = require("../limits.js");
+
+const EMPTY_SHA256 = crypto.createHash("sha256").update("").digest("hex");
+const UNSIGNED_PAYLOAD = "UNSIGNED-PAYLOAD";
+const META_PREFIX = "x-amz-meta-";
+
+/**
+ * RFC 3986 encoding, as SigV4 expects.
+ * @private
+ */
+function _encode(text) {
+  return encodeURIComponent(text).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+}
+
+/** @private */
+function _encodePath(key) {
+  return key.split("/").map(_encode).join("/");
+}
+
+/** @private */
+function _sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+/** @private */
+function _hmac(key, data) {
+  return crypto.createHmac("sha256", key).update(data).digest();
+}
+
+/** @private */
+function _amzDate(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+/** @private */
+function _canonicalQuery(searchParams) {
+  return [...searchParams.entries()]
+    .map(([k, v]) => [_encode(k), _encode(v)])
+    .sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : a[1] < b[1] ? -1 : 1))
+    .map(([k, v]) => `${k}=${v}`)
+    .join("&");
+}
+
+/**
+ * SigV4 signature for a canonical request.
+ * @private
+ */
+function _signature({
+  method,
+  url,
+  headers,
+  payloadHash,
+  credentials,
+  region,
+  amzDate,
+}) {
+  const names = Object.keys(headers)
+    .map((h) => h.toLowerCase())
+    .sort();
+  const lower = {};
+  for (const [k, v] of Object.entries(headers)) {
+    lower[k.toLowerCase()] = String(v).trim().replace(/\s+/g, " ");
+  }
+  const canonical = [
+    method,
+    url.pathname,
+    _canonicalQuery(url.searchParams),
+    names.map((h) => `${h}:${lower[h]}\n`).join(""),
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, _sha256(canonical)].join(
+    "\n",
+  );
+  let key = _hmac(`AWS4${credentials.secretAccessKey}`, day);
+  key = _hmac(key, region);
+  key = _hmac(key, "s3");
+  key = _hmac(key, "aws4_request");
+  return {
+    signature: crypto.createHmac("sha256", key).update(toSign).digest("hex"),
+    scope,
+    signedHeaders: names.join(";"),
+  };
+}
+
+/**
+ * Headers for an AWS Signature Version 4 signed request (Authorization, x-amz-date, ...).
+ * @param {object} request
+ * @param {string} request.method
+ * @param {URL} request.url - path already encoded
+ * @param {object} [request.headers] - extra headers to sign
+ * @param {string} request.payloadHash - hex SHA-256 of the body, or `UNSIGNED-PAYLOAD`
+ * @param {{ accessKeyId: string, secretAccessKey: string, sessionToken?: string }} request.credentials
+ * @param {string} request.region
+ * @param {Date} [request.date]
+ * @returns {object} every header to send, including the signed ones
+ */
+function signRequest({
+  method,
+  url,
+  headers = {},
+  payloadHash,
+  credentials,
+  region,
+  date = new Date(),
+}) {
+  const amzDate = _amzDate(date);
+  const signed = {
+    ...headers,
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  if (credentials.sessionToken) {
+    signed["x-amz-security-token"] = credentials.sessionToken;
+  }
+  const { signature, scope, signedHeaders } = _signature({
+    method,
+    url,
+    headers: signed,
+    payloadHash,
+    credentials,
+    region,
+    amzDate,
+  });
+  const out = { ...signed };
+  delete out.host;
+  out.Authorization =
+    `AWS4-HMAC-SHA256 Credential=${credentials.accessKeyId}/${scope}, ` +
+    `SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  return out;
+}
+
+/**
+ * A presigned (query-string authenticated) URL.
+ * @param {object} request
+ * @param {string} request.method
+ * @param {URL} request.url - path already encoded
+ * @param {object} [request.headers] - headers the client must send (signed), besides host
+ * @param {{ accessKeyId: string, secretAccessKey: string, sessionToken?: string }} request.credentials
+ * @param {string} request.region
+ * @param {number} request.expiresIn - seconds
+ * @param {Date} [request.date]
+ * @returns {string}
+ */
+function presignUrl({
+  method,
+  url,
+  headers = {},
+  credentials,
+  region,
+  expiresIn,
+  date = new Date(),
+}) {
+  const amzDate = _amzDate(date);
+  const signedHeaders = { ...headers, host: url.host };
+  const presigned = new URL(url.toString());
+  const q = presigned.searchParams;
+  q.set("X-Amz-Algorithm", "AWS4-HMAC-SHA256");
+  q.set(
+    "X-Amz-Credential",
+    `${credentials.accessKeyId}/${amzDate.slice(0, 8)}/${region}/s3/aws4_request`,
+  );
+  q.set("X-Amz-Date", amzDate);
+  q.set("X-Amz-Expires", String(expiresIn));
+  if (credentials.sessionToken) {
+    q.set("X-Amz-Security-Token", credentials.sessionToken);
+  }
+  q.set(
+    "X-Amz-SignedHeaders",
+    Object.keys(signedHeaders)
+      .map((h) => h.toLowerCase())
+      .sort()
+      .join(";"),
+  );
+  const { signature } = _signature({
+    method,
+    url: presigned,
+    headers: signedHeaders,
+    payloadHash: UNSIGNED_PAYLOAD,
+    credentials,
+    region,
+    amzDate,
+  });
+  return `${presigned.origin}${presigned.pathname}?${_canonicalQuery(q)}&X-Amz-Signature=${signature}`;
+}
+
+/**
+ * The URL to send, with the query encoded exactly as it was signed.
+ * @private
+ */
+function _href(url) {
+  const query = _canonicalQuery(url.searchParams);
+  return `${url.origin}${url.pathname}${query ? `?${query}` : ""}`;
+}
+
+/** @private */
+function _decodeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (m, e) => {
+    const named = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+    if (e[0] !== "#") return named[e.toLowerCase()];
+    const code =
+      e[1] === "x" || e[1] === "X"
+        ? parseInt(e.slice(2), 16)
+        : Number(e.slice(1));
+    return String.fromCodePoint(code);
+  });
+}
+
+/**
+ * Inner text of every `<tag>` in an XML fragment.
+ * @private
+ */
+function _xmlAll(xml, tag) {
+  const re = new RegExp(`<${tag}>([\\s\\S]*?)</${tag}>`, "g");
+  return [...xml.matchAll(re)].map((m) => _decodeXml(m[1]));
+}
+
+/** @private */
+function _xmlOne(xml, tag) {
+  const all = _xmlAll(xml, tag);
+  return all.length ? all[0] : null;
+}
+
+/** @private */
+function _unquote(etag) {
+  return etag ? String(etag).replace(/^"|"$/g, "") : null;
+}
+
+/** @private */
+async function _collect(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+  return Buffer.concat(chunks);
+}
+
+/**
+ * S3-compatible object storage driver (AWS S3, MinIO, Cloudflare R2, ...), signing requests with
+ * AWS Signature Version 4. Calls go through the server egress policy and outbound limits.
+ * @private
+ */
+class S3StorageDriver {
+  /**
+   * @param {object} config - the app.json bucket entry
+   * @param {string} name - the bucket's name in app.json
+   */
+  constructor(config, name) {
+    this.region = config.region || "us-east-1";
+    this.bucket = config.bucket || name;
+    if (!config.access_key_id || !config.secret_access_key) {
+      throw new Error(
+        `Storage bucket '${name}' (s3) needs access_key_id and secret_access_key.`,
+      );
+    }
+    this.credentials = {
+      accessKeyId: String(config.access_key_id),
+      secretAccessKey: String(config.secret_access_key),
+      sessionToken: config.session_token
+        ? String(config.session_token)
+        : undefined,
+    };
+    const endpoint = config.endpoint
+      ? String(config.endpoint).replace(/\/+$/, "")
+      : `https://s3.${this.region}.amazonaws.com`;
+    this.endpoint = endpoint;
+    this.pathStyle =
+      config.path_style != null
+        ? config.path_style === true
+        : !!config.endpoint;
+    const base = new URL(endpoint);
+    if (!this.pathStyle) base.hostname = `${this.bucket}.${base.hostname}`;
+    this.origin = base.origin;
+    this.basePath = this.pathStyle ? `/${_encode(this.bucket)}` : "";
+  }
+
+  /** @private */
+  _url(key, query = {}) {
+    const url = new URL(
+      `${this.origin}${this.basePath}/${key ? _encodePath(key) : ""}`,
+    );
+    for (const [k, v] of Object.entries(query)) {
+      if (v != null && v !== "") url.searchParams.set(k, String(v));
+    }
+    return url;
+  }
+
+  /**
+   * One signed call. Non-2xx answers are returned, not thrown.
+   * @private
+   */
+  async _request(
+    method,
+    key,
+    { query, headers = {}, body, responseType = "arraybuffer" } = {},
+  ) {
+    const url = this._url(key, query);
+    const allowed = await egress.assertUrlAllowed(_href(url));
+    if (!allowed.ok) {
+      const err = new Error(
+        `Storage endpoint blocked by egress policy: ${allowed.message}`,
+      );
+      err.code = "EGRESS_DENIED";
+      throw err;
+    }
+    const outbound = limits.tryAcquireOutbound();
+    if (!outbound.ok) {
+      const err = new Error(outbound.message);
+      err.code = "TOO_MANY_OUTBOUND";
+      throw err;
+    }
+    let released = false;
+    const release = () => {
+      if (!released) {
+        released = true;
+        outbound.release();
+      }
+    };
+
+    let store = null;
+    try {
+      store = getContext();
+    } catch (_) {
+      store = null;
+    }
+
+    try {
+      const payloadHash =
+        body == null
+          ? EMPTY_SHA256
+          : Buffer.isBuffer(body)
+            ? _sha256(body)
+            : UNSIGNED_PAYLOAD;
+      const signed = signRequest({
+        method,
+        url,
+        headers,
+        payloadHash,
+        credentials: this.credentials,
+        region: this.region,
+      });
+      const config = {
+        method,
+        url: _href(url),
+        headers: signed,
+        data: body == null ? undefined : body,
+        responseType,
+        timeout: limits.resolveOutboundTimeoutMs(undefined, store),
+        maxRedirects: 0,
+        maxBodyLength: Infinity,
+        maxContentLength: Infinity,
+        validateStatus: () => true,
+        transformResponse: (data) => data,
+        ...(store && store.requestAbortSignal
+          ? { signal: store.requestAbortSignal }
+          : {}),
+      };
+      egress.applyConnectPin(config, allowed);
+      const res = await axios.request(config);
+      if (responseType === "stream" && res.status < 300) {
+        res.data.once("close", release);
+        res.data.once("end", release);
+        res.data.once("error", release);
+      } else {
+        if (responseType === "stream") {
+          res.data = await _collect(res.data);
+        }
+        release();
+      }
+      return res;
+    } catch (err) {
+      release();
+      throw err;
+    }
+  }
+
+  /**
+   * Error for a non-2xx answer, with S3's code and message when the body has them.
+   * @private
+   */
+  _error(op, key, res) {
+    const xml = res.data ? Buffer.from(res.data).toString("utf8") : "";
+    const code = _xmlOne(xml, "Code");
+    const message = _xmlOne(xml, "Message");
+    const err = new Error(
+      `S3 ${op}${key ? ` '${key}'` : ""} failed: ${res.status}${code ? ` ${code}` : ""}${message ? ` — ${message}` : ""}`,
+    );
+    err.code = code || "STORAGE_ERROR";
+    err.status = res.status;
+    return err;
+  }
+
+  /** @private */
+  _info(key, headers) {
+    const metadata = {};
+    for (const [name, value] of Object.entries(headers)) {
+      if (name.toLowerCase().startsWith(META_PREFIX)) {
+        metadata[name.slice(META_PREFIX.length).toLowerCase()] = String(value);
+      }
+    }
+    const lastModified = Date.parse(headers["last-modified"]);
+    return {
+      key,
+      size: Number(headers["content-length"]) || 0,
+      contentType: headers["content-type"] || "application/octet-stream",
+      etag: _unquote(headers.etag),
+      lastModified: Number.isFinite(lastModified) ? lastModified : null,
+      metadata,
+    };
+  }
+
+  /**
+   * @param {string} key
+   * @param {Buffer|Readable} body
+   * @param {{ contentType: string, metadata: object, contentLength?: number }} options
+   * @returns {Promise<object>}
+   */
+  async put(key, body, options) {
+    let data = body;
+    if (!Buffer.isBuffer(body) && !(options.contentLength >= 0)) {
+      // S3 needs the length up front; without one, buffer the stream.
+      data = await _collect(body);
+    }
+    const headers = { "content-type": options.contentType };
+    for (const [name, value] of Object.entries(options.metadata)) {
+      headers[`${META_PREFIX}${name}`] = value;
+    }
+    const length = Buffer.isBuffer(data) ? data.length : options.contentLength;
+    if (!Buffer.isBuffer(data)) headers["content-length"] = String(length);
+    const res = await this._request("PUT", key, { headers, body: data });
+    if (res.status >= 300) throw this._error("put", key, res);
+    return {
+      key,
+      size: length,
+      contentType: options.contentType,
+      etag: _unquote(res.headers.etag),
+      lastModified: Date.now(),
+      metadata: { ...options.metadata },
+    };
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>}
+   */
+  async head(key) {
+    const res = await this._request("HEAD", key);
+    if (res.status === 404) return null;
+    if (res.status >= 300) throw this._error("head", key, res);
+    return this._info(key, res.headers);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>} info plus `body` (Buffer)
+   */
+  async get(key) {
+    const res = await this._request("GET", key);
+    if (res.status === 404) return null;
+    if (res.status >= 300) throw this._error("get", key, res);
+    return { ...this._info(key, res.headers), body: Buffer.from(res.data) };
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<object|null>} info plus `stream` (Readable)
+   */
+  async getStream(key) {
+    const res = await this._request("GET", key, { responseType: "stream" });
+    if (res.status === 404) return null;
+    if (res.status >= 300) throw this._error("get", key, res);
+    return { ...this._info(key, res.headers), stream: res.data };
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<boolean>} false when there was no such object
+   */
+  async delete(key) {
+    if (!(await this.head(key))) return false;
+    const res = await this._request("DELETE", key);
+    if (res.status >= 300 && res.status !== 404) {
+      throw this._error("delete", key, res);
+    }
+    return true;
+  }
+
+  /**
+   * @param {{ prefix: string, delimiter: string|null, limit: number, cursor: string|null }} options
+   * @returns {Promise<{ objects: object[], prefixes: string[], cursor: string|null }>}
+   */
+  async list({ prefix, delimiter, limit, cursor }) {
+    const res = await this._request("GET", null, {
+      query: {
+        "list-type": 2,
+        prefix,
+        delimiter,
+        "max-keys": limit,
+        "continuation-token": cursor,
+      },
+    });
+    if (res.status >= 300) throw this._error("list", null, res);
+    const xml = Buffer.from(res.data).toString("utf8");
+    const objects = [...xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)].map(
+      ([, entry]) => ({
+        key: _xmlOne(entry, "Key"),
+        size: Number(_xmlOne(entry, "Size")) || 0,
+        etag: _unquote(_xmlOne(entry, "ETag")),
+        lastModified: Date.parse(_xmlOne(entry, "LastModified")) || null,
+      }),
+    );
+    const prefixes = [
+      ...xml.matchAll(/<CommonPrefixes>([\s\S]*?)<\/CommonPrefixes>/g),
+    ].map(([, entry]) => _xmlOne(entry, "Prefix"));
+    const truncated = _xmlOne(xml, "IsTruncated") === "true";
+    return {
+      objects,
+      prefixes,
+      cursor: truncated ? _xmlOne(xml, "NextContinuationToken") : null,
+    };
+  }
+
+  /**
+   * @param {S3StorageDriver} target
+   * @returns {boolean} whether copy() can ask the service to copy into `target`
+   */
+  canCopyTo(target) {
+    return (
+      target instanceof S3StorageDriver &&
+      target.endpoint === this.endpoint &&
+      target.region === this.region &&
+      target.credentials.accessKeyId === this.credentials.accessKeyId
+    );
+  }
+
+  /**
+   * Server-side copy, keeping content type and metadata.
+   * @param {string} fromKey
+   * @param {S3StorageDriver} target
+   * @param {string} toKey
+   * @returns {Promise<object|null>} the new object's info, or null when `fromKey` is missing
+   */
+  async copy(fromKey, target, toKey) {
+    const res = await target._request("PUT", toKey, {
+      headers: {
+        "x-amz-copy-source": `/${_encode(this.bucket)}/${_encodePath(fromKey)}`,
+        "x-amz-metadata-directive": "COPY",
+      },
+    });
+    if (res.status === 404) return null;
+    const xml = res.data ? Buffer.from(res.data).toString("utf8") : "";
+    // S3 may report a failed copy inside a 200 response.
+    if (res.status >= 300 || xml.includes("<Error>")) {
+      throw this._error("copy", fromKey, res);
+    }
+    return target.head(toKey);
+  }
+
+  /**
+   * @param {string} key
+   * @param {{ method: string, expiresIn: number, contentType?: string }} options
+   * @returns {{ url: string, headers: object }}
+   */
+  presign(key, { method, expiresIn, contentType }) {
+    const headers =
+      method === "PUT" && contentType ? { "content-type": contentType } : {};
+    return {
+      url: presignUrl({
+        method,
+        url: this._url(key),
+        headers,
+        credentials: this.credentials,
+        region: this.region,
+        expiresIn,
+      }),
+      headers: headers["content-type"] ? { "Content-Type": contentType } : {},
+    };
+  }
+}
+
+S3StorageDriver.signRequest = signRequest;
+S3StorageDriver.presignUrl = presignUrl;
+
+module.exports = S3StorageDriver;
@@ -0,0 +1,191 @@
+/**
+ * In-memory stand-in for ioredis, with just enough of the API and of the cache adapter's Lua
+ * scripts to run cache tests against modules/cache_drivers/redis_adapter.js. Expiry follows
+ * Date.now(), so tests can move time with jest.spyOn(Date, "now").
+ *
+ * Use with: jest.mock("ioredis", () => require("../mocks/fake_ioredis.js"));
+ */
+const { EventEmitter } = require("events");
+
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === "*") source += ".*";
+    else if (ch === "?") source += ".";
+    else {
+      const literal = ch === "\\" && i + 1 < pattern.length ? pattern[++i] : ch;
+      source += literal.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`, "s");
+}
+
+class FakeRedis extends EventEmitter {
+  constructor() {
+    super();
+    /** key -> { value?: string, members?: Set<string>, expiresAt: number } */
+    this.data = new Map();
+    setImmediate(() => this.emit("ready"));
+  }
+
+  _live(key) {
+    const e = this.data.get(key);
+    if (e && e.expiresAt && e.expiresAt <= Date.now()) {
+      this.data.delete(key);
+      return null;
+    }
+    return e || null;
+  }
+
+  async get(key) {
+    const e = this._live(key);
+    return e && e.value != null ? e.value : null;
+  }
+
+  async set(key, value, ...args) {
+    let expiresAt = 0;
+    for (let i = 0; i < args.length; i++) {
+      if (args[i] === "EX") expiresAt = Date.now() + Number(args[++i]) * 1000;
+      else if (args[i] === "PX") expiresAt = Date.now() + Number(args[++i]);
+      else if (args[i] === "NX" && this._live(key)) return null;
+    }
+    this.data.set(key, { value: String(value), expiresAt });
+    return "OK";
+  }
+
+  async del(...keys) {
+    let n = 0;
+    keys.flat().forEach((k) => {
+      if (this._live(k)) n++;
+      this.data.delete(k);
+    });
+    return n;
+  }
+
+  async mget(keys) {
+    return Promise.all(keys.map((k) => this.get(k)));
+  }
+
+  async strlen(key) {
+    const e = this._live(key);
+    return e && e.value != null ? Buffer.byteLength(e.value) : 0;
+  }
+
+  async pttl(key) {
+    const e = this._live(key);
+    if (!e) return -2;
+    return e.expiresAt ? e.expiresAt - Date.now() : -1;
+  }
+
+  async scan(cursor, ...args) {
+    const re = globToRegExp(String(args[args.indexOf("MATCH") + 1] || "*"));
+    const keys = [...this.data.keys()].filter(
+      (k) => re.test(k) && this._live(k),
+    );
+    return ["0", keys];
+  }
+
+  _batch() {
+    const ops = [];
+    const batch = new Proxy(
+      {
+        exec: async () => {
+          const out = [];
+          for (const [name, args] of ops) {
+            out.push([null, await this[name](...args)]);
+          }
+          return out;
+        },
+      },
+      {
+        get: (target, name) =>
+          name in target
+            ? target[name]
+            : (...args) => {
+                ops.push([name, args]);
+                return batch;
+              },
+      },
+    );
+    return batch;
+  }
+
+  multi() {
+    return this._batch();
+  }
+
+  pipeline() {
+    return this._batch();
+  }
+
+  async eval(script, numKeys, ...rest) {
+    const keys = rest.slice(0, numKeys);
+    const args = rest.slice(numKeys);
+    if (script.includes("SADD")) {
+      const until = Date.now() + Number(args[1]) * 1000;
+      for (const key of keys) {
+        const set = this._live(key) || { members: new Set(), expiresAt: 0 };
+        set.members.add(String(args[0]));
+        if (set.expiresAt < until) set.expiresAt = until;
+        this.data.set(key, set);
+      }
+      return keys.length;
+    }
+    if (script.includes("SMEMBERS")) {
+      const set = this._live(keys[0]);
+      this.data.delete(keys[0]);
+      return set ? this.del([...set.members]) : 0;
+    }
+    const e = this._live(keys[0]);
+    if (script.includes("INCRBY")) {
+      if (e && !/^-?\d+$/.test(e.value)) {
+        throw new Error("ERR value is not an integer or out of range");
+      }
+      const next = (e ? Number(e.value) : 0) + Number(args[0]);
+      const expiresAt =
+        e && e.expiresAt
+          ? e.expiresAt
+          : Number(args[1]) > 0
+            ? Date.now() + Number(args[1]) * 1000
+            : 0;
+      this.data.set(keys[0], { value: String(next), expiresAt });
+      return next;
+    }
+    if (script.includes("'NX', 'PX'")) {
+      if (!(await this.set(keys[0], args[0], "PX", args[1], "NX"))) {
+        return null;
+      }
+      if (!keys[1]) return 1;
+      const fence = this._live(keys[1]);
+      const token = (fence ? Number(fence.value) : 0) + 1;
+      this.data.set(keys[1], { value: String(token), expiresAt: 0 });
+      return token;
+    }
+    if (!e || e.value !== String(args[0])) return 0;
+    if (script.includes("PEXPIRE")) {
+      e.expiresAt = Date.now() + Number(args[1]);
+      return 1;
+    }
+    this.data.delete(keys[0]);
+    return 1;
+  }
+
+  scanStream({ match }) {
+    const stream = new EventEmitter();
+    setImmediate(async () => {
+      const [, keys] = await this.scan("0", "MATCH", match);
+      stream.emit("data", keys);
+      stream.emit("end");
+    });
+    return stream;
+  }
+
+  async quit() {
+    return "OK";
+  }
+
+  disconnect() {}
+}
+
+module.exports = FakeRedis;
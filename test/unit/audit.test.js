@@ -73,5 +73,22 @@ describe("audit.js", () => {
     audit.emit("app.delete", {}, { app: "gone" });
     const rec = JSON.parse(fs.readFileSync(auditFile, "utf8").trim());
     expect(rec.actor).toBe("system");
+    expect(rec).not.toHaveProperty("user");
+  });
+
+  test("records the request's signed-in $g.user", () => {
+    // Required here so it is the same module instance audit.js resolves lazily.
+    const { als } = require("../../modules/gingee");
+    als.run({ app: { name: "glade" }, $g: { user: "dana" } }, () => {
+      audit.emit("app.reload", {}, { app: "shop" });
+      audit.emit("app.reload", {}, { app: "shop", user: "cli" });
+    });
+    const [first, second] = fs
+      .readFileSync(auditFile, "utf8")
+      .trim()
+      .split("\n")
+      .map((line) => JSON.parse(line));
+    expect(first).toMatchObject({ actor: "glade", user: "dana", app: "shop" });
+    expect(second.user).toBe("cli");
   });
 });
@@ -0,0 +1,283 @@
+/**
+ * auth.apiKeys: hashed, prefixed keys with scopes and expiry in the cache or db store, and the
+ * routes.json `auth: { api_key: true }` check the engine runs before a route's script.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { als } = require('../../modules/gingee');
+const auth = require('../../modules/auth');
+const cacheService = require('../../modules/cache_service');
+const db = require('../../modules/db');
+const metrics = require('../../modules/metrics');
+const apiKeys = require('../../modules/engine/api_keys');
+const { compileRoutes } = require('../../modules/engine/request/routes');
+const { createRequestHandler } = require('../../modules/engine/request_handler');
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+
+function fakeRes() {
+  return {
+    headersSent: false,
+    writeHead(status, headers) {
+      this.statusCode = status;
+      this.headers = headers;
+      this.headersSent = true;
+    },
+    end(body) {
+      this.body = body ? JSON.parse(body) : null;
+    },
+  };
+}
+
+const usage = (app, result) => {
+  const line = metrics
+    .renderPrometheus()
+    .split('\n')
+    .find(
+      (l) =>
+        l.startsWith('gingee_api_key_requests_total{') &&
+        l.includes(`app="${app}"`) &&
+        l.includes(`result="${result}"`),
+    );
+  return line ? Number(line.split(' ').pop()) : 0;
+};
+
+describe('auth.apiKeys (cache store)', () => {
+  const app = { name: 'shop', config: {} };
+  const inApp = (fn) => als.run({ appName: 'shop', app, globalConfig: {}, logger: quiet }, fn);
+
+  beforeAll(async () => {
+    await cacheService.init({ provider: 'memory' }, quiet);
+  });
+
+  beforeEach(async () => {
+    await cacheService.clear('');
+    metrics._resetForTests();
+  });
+
+  test('create shows the key once and stores only a hash', async () => {
+    await inApp(async () => {
+      const created = await auth.apiKeys.create({ name: 'billing sync', scopes: ['orders:read', 'orders:read'] });
+      expect(created.key).toMatch(/^gk_[0-9a-f]{16}_[A-Za-z0-9_-]{43}$/);
+      expect(created).toMatchObject({
+        name: 'billing sync',
+        prefix: 'gk',
+        scopes: ['orders:read'],
+        expiresAt: null,
+        revokedAt: null,
+      });
+      expect(created.key.startsWith(`gk_${created.id}_`)).toBe(true);
+
+      const stored = await cacheService.get(`_auth:shop:ak:${created.id}`);
+      expect(JSON.stringify(stored)).not.toContain(created.key.split('_').slice(2).join('_'));
+      expect(stored.hash).toMatch(/^[0-9a-f]{64}$/);
+
+      const listed = await auth.apiKeys.list();
+      const { key, ...publicView } = created;
+      expect(listed).toEqual([publicView]);
+      expect(await auth.apiKeys.get(created.id)).toEqual(listed[0]);
+      expect(await auth.apiKeys.get('0000000000000000')).toBeNull();
+
+      await expect(auth.apiKeys.create({})).rejects.toThrow(/name/);
+      await expect(auth.apiKeys.create({ name: 'x', scopes: 'orders:read' })).rejects.toThrow(/array/);
+    });
+  });
+
+  test('concurrent creates all show up in list, oldest first', async () => {
+    await inApp(async () => {
+      const created = await Promise.all(['a', 'b', 'c', 'd'].map((name) => auth.apiKeys.create({ name })));
+      const listed = await auth.apiKeys.list();
+      expect(listed.map((k) => k.id).sort()).toEqual(created.map((k) => k.id).sort());
+      const times = listed.map((k) => k.createdAt);
+      expect(times).toEqual([...times].sort());
+    });
+  });
+
+  test('verify checks secret, scopes, expiry and revocation', async () => {
+    await inApp(async () => {
+      const { key, id } = await auth.apiKeys.create({ name: 'sync', scopes: ['orders:read'], expiresIn: '1h' });
+      expect(await auth.apiKeys.verify(key)).toMatchObject({ id, name: 'sync' });
+      expect(await auth.apiKeys.verify(key, { scopes: ['orders:read'] })).not.toBeNull();
+      expect(await auth.apiKeys.verify(key, { scopes: ['orders:write'] })).toBeNull();
+      // Same id, wrong secret.
+      expect(await auth.apiKeys.verify(`gk_${id}_${'A'.repeat(43)}`)).toBeNull();
+      expect(await auth.apiKeys.verify('not-a-key')).toBeNull();
+
+      const later = Date.now() + 2 * 60 * 60 * 1000;
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(later);
+      expect(await auth.apiKeys.verify(key)).toBeNull();
+      spy.mockRestore();
+
+      expect(await auth.apiKeys.revoke(key)).toBe(true);
+      expect(await auth.apiKeys.revoke(id)).toBe(false);
+      expect(await auth.apiKeys.verify(key)).toBeNull();
+      expect((await auth.apiKeys.get(id)).revokedAt).toEqual(expect.any(String));
+    });
+    expect(usage('shop', 'ok')).toBe(2);
+    expect(usage('shop', 'scope')).toBe(1);
+    expect(usage('shop', 'invalid')).toBe(2);
+    expect(usage('shop', 'expired')).toBe(1);
+    expect(usage('shop', 'revoked')).toBe(1);
+  });
+
+  test('app.json api_keys settings are validated', () => {
+    expect(apiKeys.resolveSettings({ config: { api_keys: { prefix: 'Acme' } } })).toEqual({
+      store: 'cache',
+      db: null,
+      prefix: 'acme',
+    });
+    expect(() => apiKeys.resolveSettings({ config: { api_keys: { store: 'files' } } })).toThrow(/Unknown/);
+    expect(() => apiKeys.resolveSettings({ config: { api_keys: { store: 'db' } } })).toThrow(/api_keys.db/);
+    expect(() => apiKeys.resolveSettings({ config: { api_keys: { prefix: 'a_b' } } })).toThrow(/prefix/);
+  });
+});
+
+describe('auth.apiKeys (db store)', () => {
+  let tmp;
+  let app;
+  const inApp = (fn) => als.run({ appName: 'shop', app, globalConfig: {}, logger: quiet }, fn);
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-apikeys-'));
+    app = {
+      name: 'shop',
+      appBoxPath: path.join(tmp, 'box'),
+      config: {
+        db: [{ name: 'main', type: 'sqlite', database: 'data/shop.db' }],
+        api_keys: { store: 'db', db: 'main', prefix: 'shop' },
+      },
+      grantedPermissions: ['db'],
+      logger: quiet,
+    };
+    fs.mkdirSync(app.appBoxPath, { recursive: true });
+    db.init('main', app.config.db[0], app, quiet);
+  });
+
+  afterEach(async () => {
+    await db.shutdownApp('shop', quiet);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('keys live in the gingee_api_keys table', async () => {
+    await inApp(async () => {
+      const first = await auth.apiKeys.create({ name: 'one', scopes: ['a'] });
+      const second = await auth.apiKeys.create({ name: 'two' });
+      expect(first.key.startsWith('shop_')).toBe(true);
+
+      const rows = await db.query.many('main', 'SELECT id, hash FROM gingee_api_keys ORDER BY name');
+      expect(rows.map((r) => r.id)).toEqual([first.id, second.id]);
+      expect(rows[0].hash).toMatch(/^[0-9a-f]{64}$/);
+
+      expect((await auth.apiKeys.list()).map((k) => k.name).sort()).toEqual(['one', 'two']);
+      expect(await auth.apiKeys.verify(first.key, { scopes: ['a'] })).toMatchObject({ id: first.id, scopes: ['a'] });
+      expect(await auth.apiKeys.revoke(first.id)).toBe(true);
+      expect(await auth.apiKeys.revoke(first.id)).toBe(false);
+      expect(await auth.apiKeys.verify(first.key)).toBeNull();
+      expect(await auth.apiKeys.verify(second.key)).not.toBeNull();
+    });
+
+    app.grantedPermissions = [];
+    await expect(inApp(() => auth.apiKeys.list())).rejects.toThrow(/'db' permission/);
+  });
+});
+
+describe('routes.json auth.api_key', () => {
+  const app = { name: 'orders', config: {} };
+  const inApp = (fn) => als.run({ appName: 'orders', app, globalConfig: {}, logger: quiet }, fn);
+
+  beforeAll(async () => {
+    await cacheService.init({ provider: 'memory' }, quiet);
+  });
+
+  beforeEach(() => {
+    metrics._resetForTests();
+  });
+
+  test('compiles the enforced forms and skips malformed ones', () => {
+    const logger = { error: jest.fn() };
+    const routes = compileRoutes(
+      {
+        routes: [
+          { path: '/a', script: 'a.js', auth: { api_key: true, scopes: ['orders:read'] } },
+          { path: '/b', script: 'b.js', auth: { api_key: ['orders:write'] } },
+          { path: '/c', script: 'c.js', auth: ['bearer', 'api_key'] },
+          { path: '/d', script: 'd.js', auth: { api_key: true, scopes: 'orders:read' } },
+        ],
+      },
+      { appName: 'orders', appBoxPath: '/srv/web/orders/box', logger },
+    );
+    expect(routes.map((r) => [r.path, r.apiKey])).toEqual([
+      ['/a', { scopes: ['orders:read'] }],
+      ['/b', { scopes: ['orders:write'] }],
+      ['/c', null],
+    ]);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/Skipping route '\/d'.*invalid auth/));
+  });
+
+  test('answers 401 / 403 before the script and passes a valid key through', async () => {
+    const rule = { scopes: ['orders:read'] };
+    await inApp(async () => {
+      const reader = await auth.apiKeys.create({ name: 'reader', scopes: ['orders:read'] });
+      const other = await auth.apiKeys.create({ name: 'other', scopes: ['stock:read'] });
+
+      let res = fakeRes();
+      expect(await apiKeys.enforceRouteRule({ headers: {} }, res, app, rule)).toBeNull();
+      expect(res.statusCode).toBe(401);
+      expect(res.headers['WWW-Authenticate']).toMatch(/X-API-Key/);
+      expect(res.body.error).toBe('UNAUTHORIZED');
+
+      res = fakeRes();
+      expect(await apiKeys.enforceRouteRule({ headers: { 'x-api-key': other.key } }, res, app, rule)).toBeNull();
+      expect(res.statusCode).toBe(403);
+      expect(res.body.message).toMatch(/orders:read/);
+
+      res = fakeRes();
+      const passed = await apiKeys.enforceRouteRule({ headers: { 'x-api-key': reader.key } }, res, app, rule);
+      expect(passed).toMatchObject({ id: reader.id, name: 'reader', scopes: ['orders:read'] });
+      expect(passed.hash).toBeUndefined();
+      expect(res.headersSent).toBe(false);
+    });
+    expect(usage('orders', 'missing')).toBe(1);
+    expect(usage('orders', 'scope')).toBe(1);
+    expect(usage('orders', 'ok')).toBe(1);
+  });
+
+  test('file-based routing to a protected script still needs the key', async () => {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-apikey-'));
+    const webPath = path.join(tmp, 'web');
+    const appBox = path.join(webPath, 'orders', 'box');
+    fs.mkdirSync(path.join(appBox, 'orders'), { recursive: true });
+    fs.writeFileSync(path.join(appBox, 'orders', 'list.js'), 'module.exports = async () => {};');
+    const live = {
+      name: 'orders',
+      appWebPath: path.join(webPath, 'orders'),
+      appBoxPath: appBox,
+      logger: quiet,
+      config: { type: 'MPA', mode: 'production' },
+      in_maintenance: false,
+    };
+    live.compiledRoutes = compileRoutes(
+      { routes: [{ path: '/orders', method: 'GET', script: 'orders/list.js', auth: { api_key: true } }] },
+      { appName: 'orders', appBoxPath: appBox, logger: quiet },
+    );
+    const handler = createRequestHandler({ webPath, engineRoot: tmp });
+    const res = fakeRes();
+    res.setHeader = () => {};
+    res.on = () => res;
+    res.once = () => res;
+    try {
+      await handler(
+        { url: '/orders/orders/list', method: 'GET', headers: {} },
+        res,
+        { orders: live },
+        { content_encoding: { enabled: false }, privileged_apps: [] },
+        quiet,
+      );
+      expect(res.statusCode).toBe(401);
+      expect(res.body.error).toBe('UNAUTHORIZED');
+    } finally {
+      fs.rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * auth.sessions: access + refresh token pairs with rotation and reuse detection, cookie sessions,
+ * and revocation by token / user / app through the cache service.
+ */
+const { als } = require('../../modules/gingee');
+const auth = require('../../modules/auth');
+const cache = require('../../modules/cache');
+const cacheService = require('../../modules/cache_service');
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+
+describe('auth.sessions', () => {
+  let logger;
+  const inApp = (fn, appName = 'shop') =>
+    als.run({ appName, app: { config: { jwt_secret: 's3cret' } }, globalConfig: {}, logger }, fn);
+
+  beforeAll(async () => {
+    await cacheService.init({ provider: 'memory' }, quiet);
+  });
+
+  beforeEach(async () => {
+    logger = { error: jest.fn(), warn: jest.fn() };
+    await cacheService.clear('');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('issue / refresh rotate the pair; replaying a rotated refresh token ends the session', async () => {
+    await inApp(async () => {
+      const first = await auth.sessions.issue('u1', { role: 'admin' }, { accessTtl: '5m' });
+      expect(first).toMatchObject({ tokenType: 'Bearer', expiresIn: 300, refreshExpiresIn: 30 * 24 * 3600 });
+      const claims = await auth.sessions.verify(first.accessToken);
+      expect(claims).toMatchObject({ sub: 'u1', role: 'admin', sid: first.sessionId });
+      expect(claims.jti).toEqual(expect.any(String));
+
+      const second = await auth.sessions.refresh(first.refreshToken);
+      expect(second.sessionId).toBe(first.sessionId);
+      expect(second.refreshToken).not.toBe(first.refreshToken);
+      expect(await auth.sessions.verify(second.accessToken)).toMatchObject({ sub: 'u1' });
+
+      // A forged token for the same session is refused without touching the session.
+      const [sid, generation] = second.refreshToken.split('.');
+      expect(await auth.sessions.refresh(`${sid}.${generation}.forged`)).toBeNull();
+      expect(await auth.sessions.verify(second.accessToken)).not.toBeNull();
+
+      // The first refresh token was already used: treat it as stolen.
+      expect(await auth.sessions.refresh(first.refreshToken)).toBeNull();
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/reuse detected for user 'u1'/));
+      expect(await auth.sessions.refresh(second.refreshToken)).toBeNull();
+      expect(await auth.sessions.verify(second.accessToken)).toBeNull();
+      // Without checkRevoked the signature and exp alone still pass.
+      expect(auth.jwt.verify(second.accessToken)).toMatchObject({ sub: 'u1' });
+    });
+  });
+
+  test('revoke ends a session by either token and deny-lists plain JWTs by jti', async () => {
+    await inApp(async () => {
+      const a = await auth.sessions.issue('u1');
+      expect(await auth.sessions.revoke(a.accessToken)).toBe(true);
+      expect(await auth.sessions.refresh(a.refreshToken)).toBeNull();
+
+      const b = await auth.sessions.issue('u1');
+      expect(await auth.sessions.revoke(b.refreshToken)).toBe(true);
+      expect(await auth.sessions.verify(b.accessToken)).toBeNull();
+
+      const plain = auth.jwt.create({ sub: 'u2', jti: 'download-7' }, '1h');
+      expect(await auth.jwt.verify(plain, { checkRevoked: true })).toMatchObject({ sub: 'u2' });
+      expect(await auth.sessions.revoke(plain)).toBe(true);
+      expect(await auth.jwt.verify(plain, { checkRevoked: true })).toBeNull();
+      expect(await auth.jwt.verifyAsync(plain, { checkRevoked: true })).toBeNull();
+
+      // Tokens that do not verify for this app cannot revoke anything.
+      const other = auth.jwt.create({ sub: 'u3', jti: 'x' }, '1h', { secret: 'other' });
+      expect(await auth.sessions.revoke(other)).toBe(false);
+      expect(await auth.sessions.revoke('not-a-token')).toBe(false);
+    });
+  });
+
+  test('cookie sessions; revokeUser and revokeApp cut off everything issued before them', async () => {
+    await inApp(async () => {
+      const ada = await auth.sessions.create('ada', { ttl: 60, data: { csrfToken: 't1' } });
+      expect(ada).toMatchObject({ userId: 'ada', data: { csrfToken: 't1' } });
+      expect(ada.expiresAt - ada.createdAt).toBe(60000);
+      expect(await auth.sessions.update(ada.id, { theme: 'dark' })).toMatchObject({
+        data: { csrfToken: 't1', theme: 'dark' },
+      });
+      const bob = await auth.sessions.create('bob');
+      const adaTokens = await auth.sessions.issue('ada');
+      const adaPlain = auth.jwt.create({ sub: 'ada' }, '1h');
+
+      await auth.sessions.revokeUser('ada');
+      expect(await auth.sessions.get(ada.id)).toBeNull();
+      expect(await auth.sessions.verify(adaTokens.accessToken)).toBeNull();
+      expect(await auth.jwt.verify(adaPlain, { checkRevoked: true })).toBeNull();
+      expect(await auth.sessions.get(bob.id)).toMatchObject({ userId: 'bob' });
+
+      // Sessions started after the cut-off are fine.
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now + 1000);
+      const again = await auth.sessions.create('ada');
+      expect(await auth.sessions.get(again.id)).not.toBeNull();
+
+      await auth.sessions.destroy(bob.id);
+      expect(await auth.sessions.get(bob.id)).toBeNull();
+
+      const carol = await auth.sessions.create('carol');
+      await auth.sessions.revokeApp();
+      expect(await auth.sessions.get(carol.id)).toBeNull();
+      expect(await auth.sessions.get(again.id)).toBeNull();
+
+      // Past its ttl a session is gone even though the memory cache keeps the key.
+      Date.now.mockReturnValue(now + 2000);
+      const shortLived = await auth.sessions.create('dave', { ttl: '1m' });
+      Date.now.mockReturnValue(now + 2000 + 61 * 1000);
+      expect(await auth.sessions.get(shortLived.id)).toBeNull();
+    });
+  });
+
+  test('sessions are per app and lifetimes are validated', async () => {
+    const session = await inApp(() => auth.sessions.create('ada'));
+    expect(await inApp(() => auth.sessions.get(session.id), 'blog')).toBeNull();
+    expect(await inApp(() => auth.sessions.get(session.id))).not.toBeNull();
+
+    await inApp(async () => {
+      await expect(auth.sessions.create('ada', { ttl: '400d' })).rejects.toThrow(/longer than 365 days/);
+      await expect(auth.sessions.issue('ada', {}, { accessTtl: '10x' })).rejects.toThrow(/Invalid expiresIn/);
+    });
+  });
+
+  test("an app named like the engine prefix cannot read or forge another app's _auth keys", async () => {
+    const session = await inApp(() => auth.sessions.create('ada'));
+    const now = Date.now();
+    await inApp(async () => {
+      expect(await cache.keys('shop:*')).toEqual([]);
+      expect(await cache.get(`shop:s:${session.id}`)).toBeNull();
+      await cache.set('shop:s:forged', { id: 'forged', userId: 'admin', createdAt: now, expiresAt: now + 60000 });
+    }, '_auth');
+
+    expect(await cacheService.get(`_auth:shop:s:${session.id}`)).toMatchObject({ userId: 'ada' });
+    expect(await cacheService.get('_auth:shop:s:forged')).toBeNull();
+    expect(await inApp(() => auth.sessions.get('forged'))).toBeNull();
+    expect(await inApp(() => auth.sessions.get(session.id))).toMatchObject({ userId: 'ada' });
+  });
+});
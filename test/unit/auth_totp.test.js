@@ -0,0 +1,118 @@
+/**
+ * auth.totp: RFC 6238 codes, drift window, replay protection, recovery codes, and Glade's second factor.
+ */
+const { als } = require('../../modules/gingee');
+const auth = require('../../modules/auth');
+const cacheService = require('../../modules/cache_service');
+const mfa = require('../../web/glade/box/mfa.js');
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+// RFC 6238 appendix B seeds, base32-encoded.
+const SHA1_SEED = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const SHA256_SEED = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQGEZA';
+
+describe('auth.totp', () => {
+  const inApp = (fn) => als.run({ appName: 'shop', app: { config: {} }, globalConfig: {}, logger: quiet }, fn);
+
+  beforeAll(async () => {
+    await cacheService.init({ provider: 'memory' }, quiet);
+  });
+
+  beforeEach(async () => {
+    await cacheService.clear('');
+  });
+
+  test('matches the RFC 6238 test vectors', () => {
+    const at = (seconds, secret, algorithm) =>
+      auth.totp.generate(secret, { time: seconds * 1000, digits: 8, algorithm });
+    expect(at(59, SHA1_SEED)).toBe('94287082');
+    expect(at(1111111109, SHA1_SEED)).toBe('07081804');
+    expect(at(1234567890, SHA1_SEED)).toBe('89005924');
+    expect(at(59, SHA256_SEED, 'SHA256')).toBe('46119246');
+    expect(at(20000000000, SHA256_SEED, 'sha256')).toBe('77737706');
+    expect(() => auth.totp.generate(SHA1_SEED, { digits: 4 })).toThrow(/digits/);
+    expect(() => auth.totp.generate('not base32!')).toThrow(/base32/);
+  });
+
+  test('secret and otpauth uri', () => {
+    const secret = auth.totp.generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    const uri = new URL(auth.totp.uri(secret.toLowerCase(), { account: 'ada@example.com', issuer: 'Orders & Co' }));
+    expect(uri.protocol).toBe('otpauth:');
+    expect(uri.host).toBe('totp');
+    expect(decodeURIComponent(uri.pathname)).toBe('/Orders & Co:ada@example.com');
+    expect(Object.fromEntries(uri.searchParams)).toEqual({
+      secret,
+      issuer: 'Orders & Co',
+      algorithm: 'SHA1',
+      digits: '6',
+      period: '30',
+    });
+    expect(() => auth.totp.uri(secret, {})).toThrow(/account/);
+  });
+
+  test('verify allows one step of drift and accepts each code once', async () => {
+    const secret = auth.totp.generateSecret();
+    const now = 1_800_000_000_000;
+    const code = (offsetSteps) => auth.totp.generate(secret, { time: now + offsetSteps * 30000 });
+
+    await inApp(async () => {
+      expect(await auth.totp.verify(secret, '000000x', { time: now })).toBe(false);
+      expect(await auth.totp.verify(secret, code(-2), { time: now })).toBe(false);
+      expect(await auth.totp.verify(secret, code(-1), { time: now, window: 0 })).toBe(false);
+
+      expect(await auth.totp.verify(secret, code(-1), { time: now })).toBe(true);
+      // Replays, and codes older than the last accepted one, are refused.
+      expect(await auth.totp.verify(secret, code(-1), { time: now })).toBe(false);
+      expect(await auth.totp.verify(secret, ` ${code(0).slice(0, 3)} ${code(0).slice(3)} `, { time: now })).toBe(true);
+      expect(await auth.totp.verify(secret, code(-1), { time: now + 30000 })).toBe(false);
+      expect(await auth.totp.verify(secret, code(1), { time: now + 30000 })).toBe(true);
+
+      // replayKey tracks use per user instead of per secret.
+      expect(await auth.totp.verify(secret, code(1), { time: now + 30000, replayKey: 'user-7' })).toBe(true);
+      await expect(auth.totp.verify(secret, code(0), { window: 11 })).rejects.toThrow(/window/);
+    });
+  });
+
+  test('concurrent verifications of one code accept it once', async () => {
+    const secret = auth.totp.generateSecret();
+    const now = 1_800_000_000_000;
+    const code = auth.totp.generate(secret, { time: now });
+
+    await inApp(async () => {
+      const results = await Promise.all([1, 2, 3].map(() => auth.totp.verify(secret, code, { time: now })));
+      expect(results.filter(Boolean)).toHaveLength(1);
+    });
+  });
+
+  test('recovery codes are hashed and each one works once', async () => {
+    const { codes, hashes } = await auth.totp.generateRecoveryCodes(3);
+    expect(codes).toHaveLength(3);
+    codes.forEach((c) => expect(c).toMatch(/^[a-z2-7]{5}-[a-z2-7]{5}$/));
+    hashes.forEach((h) => expect(h).toMatch(/^\$argon2/));
+
+    const remaining = await auth.totp.useRecoveryCode(codes[1].toUpperCase().replace('-', ' '), hashes);
+    expect(remaining).toEqual([hashes[0], hashes[2]]);
+    expect(await auth.totp.useRecoveryCode(codes[1], remaining)).toBeNull();
+    expect(await auth.totp.useRecoveryCode('', hashes)).toBeNull();
+  });
+
+  test('Glade second factor: TOTP or an unused recovery code', async () => {
+    expect(mfa.resolveConfig({})).toEqual({ enabled: false, secret: null, recoveryHashes: [] });
+    const { codes, hashes } = await auth.totp.generateRecoveryCodes(2);
+    const secret = auth.totp.generateSecret();
+    const cfg = mfa.resolveConfig({ ADMIN_TOTP_SECRET: ` ${secret} `, ADMIN_RECOVERY_CODES: hashes.join(' ') });
+    expect(cfg).toEqual({ enabled: true, secret, recoveryHashes: hashes });
+
+    await inApp(async () => {
+      expect(await mfa.verifySecondFactor(auth, cacheService, auth.totp.generate(secret), cfg)).toEqual({ ok: true });
+      expect(await mfa.verifySecondFactor(auth, cacheService, codes[0], cfg)).toEqual({
+        ok: true,
+        recoveryCodesLeft: 1,
+      });
+      expect(await mfa.verifySecondFactor(auth, cacheService, codes[0], cfg)).toEqual({ ok: false });
+      expect(await mfa.verifySecondFactor(auth, cacheService, 'wrong-code', cfg)).toEqual({ ok: false });
+      expect(await mfa.verifySecondFactor(auth, cacheService, '', cfg)).toEqual({ ok: false });
+    });
+  });
+});
@@ -14,7 +14,7 @@ describe("cache.js - App Module Facade", () => {
     await als.run(mockStore, async () => {
       await cache.get("user:123");
     });
-    expect(cacheService.get).toHaveBeenCalledWith("my_app:user:123");
+    expect(cacheService.get).toHaveBeenCalledWith("app:my_app:user:123");
   });
 
   test("set() should call the service with a namespaced key and TTL", async () => {
@@ -22,7 +22,7 @@ describe("cache.js - App Module Facade", () => {
       await cache.set("user:123", { name: "test" }, 300);
     });
     expect(cacheService.set).toHaveBeenCalledWith(
-      "my_app:user:123",
+      "app:my_app:user:123",
       { name: "test" },
       300,
     );
@@ -32,6 +32,6 @@ describe("cache.js - App Module Facade", () => {
     await als.run(mockStore, async () => {
       await cache.clear();
     });
-    expect(cacheService.clear).toHaveBeenCalledWith("my_app:");
+    expect(cacheService.clear).toHaveBeenCalledWith("app:my_app:");
   });
 });
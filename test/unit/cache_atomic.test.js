@@ -0,0 +1,150 @@
+/**
+ * Atomic cache operations (incr/decr, setIfAbsent, getOrSet, mget/mset, lock) through the app
+ * facade, run against both the memory adapter and the redis adapter (on a fake ioredis).
+ */
+jest.mock("ioredis", () => require("../mocks/fake_ioredis.js"));
+
+const { als } = require("../../modules/gingee");
+const cacheService = require("../../modules/cache_service");
+const cache = require("../../modules/cache");
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+const inApp = (fn) => als.run({ appName: "shop" }, fn);
+
+describe.each([["memory"], ["redis"]])("cache atomic ops (%s)", (provider) => {
+  beforeAll(async () => {
+    await cacheService.init({ provider }, quiet);
+  });
+
+  beforeEach(async () => {
+    await cacheService.clear("");
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test("incr / decr count atomically and start their TTL on first use", async () => {
+    await inApp(async () => {
+      expect(await cache.incr("hits", 1, 60)).toBe(1);
+      expect(await cache.incr("hits", 5, 60)).toBe(6);
+      expect(await cache.decr("hits")).toBe(5);
+      expect(await cache.get("hits")).toBe(5);
+      expect(
+        await Promise.all([1, 2, 3].map(() => cache.incr("burst"))),
+      ).toEqual([1, 2, 3]);
+
+      // The window is not pushed back by later increments.
+      const now = Date.now();
+      jest.spyOn(Date, "now").mockReturnValue(now + 61 * 1000);
+      expect(await cache.incr("hits", 1, 60)).toBe(1);
+
+      await cache.set("name", "ada");
+      await expect(cache.incr("name")).rejects.toThrow(/not an integer/);
+      await expect(cache.incr("hits", 1.5)).rejects.toThrow(/integer/);
+      await expect(cache.decr("hits", "2")).rejects.toThrow(/integer/);
+    });
+  });
+
+  test("setIfAbsent stores only the first value until it expires", async () => {
+    await inApp(async () => {
+      expect(await cache.setIfAbsent("idem:abc", { order: 1 }, 30)).toBe(true);
+      expect(await cache.setIfAbsent("idem:abc", { order: 2 }, 30)).toBe(false);
+      expect(await cache.get("idem:abc")).toEqual({ order: 1 });
+
+      const now = Date.now();
+      jest.spyOn(Date, "now").mockReturnValue(now + 31 * 1000);
+      expect(await cache.get("idem:abc")).toBeNull();
+      expect(await cache.setIfAbsent("idem:abc", { order: 3 }, 30)).toBe(true);
+    });
+  });
+
+  test("mset / mget work on several namespaced keys at once", async () => {
+    await inApp(async () => {
+      await cache.mset({ "user:1": { n: "ada" }, "user:2": { n: "bob" } }, 60);
+      expect(await cache.mget(["user:2", "user:9", "user:1"])).toEqual([
+        { n: "bob" },
+        null,
+        { n: "ada" },
+      ]);
+      expect(await cacheService.get("app:shop:user:1")).toEqual({ n: "ada" });
+      expect(await cache.mget([])).toEqual([]);
+      await expect(cache.mget("user:1")).rejects.toThrow(/array/);
+      await expect(cache.mset([["a", 1]])).rejects.toThrow(/object/);
+    });
+  });
+
+  test("getOrSet runs the producer once for concurrent callers", async () => {
+    await inApp(async () => {
+      const producer = jest.fn(async () => {
+        await new Promise((r) => setTimeout(r, 20));
+        return { rate: 1.1 };
+      });
+      const results = await Promise.all(
+        [1, 2, 3, 4].map(() => cache.getOrSet("fx", 60, producer)),
+      );
+      expect(results).toEqual(Array(4).fill({ rate: 1.1 }));
+      expect(producer).toHaveBeenCalledTimes(1);
+      expect(await cache.getOrSet("fx", 60, producer)).toEqual({ rate: 1.1 });
+      expect(producer).toHaveBeenCalledTimes(1);
+
+      const empty = jest.fn(() => null);
+      expect(await cache.getOrSet("nothing", 60, empty)).toBeNull();
+      expect(await cache.getOrSet("nothing", 60, empty)).toBeNull();
+      expect(empty).toHaveBeenCalledTimes(2);
+      await expect(cache.getOrSet("fx2", 60)).rejects.toThrow(/producer/);
+    });
+  });
+
+  test("getOrSet waits for another node that is already filling the key", async () => {
+    // Another node holds the fill lock and stores the value shortly after.
+    expect(
+      await cacheService.acquireLock("_fill:app:shop:report", "node-b", 10000),
+    ).toBe(1);
+    setTimeout(() => {
+      cacheService.set("app:shop:report", { rows: 3 }, 60);
+    }, 120);
+
+    const producer = jest.fn(() => ({ rows: 0 }));
+    await inApp(async () => {
+      expect(await cache.getOrSet("report", 60, producer)).toEqual({
+        rows: 3,
+      });
+    });
+    expect(producer).not.toHaveBeenCalled();
+  });
+
+  test("lock is exclusive, expires, and hands out increasing fencing tokens", async () => {
+    await inApp(async () => {
+      const first = await cache.lock("report", 1000);
+      expect(first).toMatchObject({ name: "report", token: 1 });
+      expect(await cache.lock("report", 1000)).toBeNull();
+      expect(await first.extend(2000)).toBe(true);
+      expect(await first.release()).toBe(true);
+      expect(await first.release()).toBe(false);
+
+      const second = await cache.lock("report", 1000);
+      expect(second.token).toBe(2);
+      setTimeout(() => second.release(), 80);
+      const third = await cache.lock("report", 1000, { wait: 2000 });
+      expect(third.token).toBe(3);
+
+      // An expired holder can neither extend nor release the next holder's lock.
+      const now = Date.now();
+      jest.spyOn(Date, "now").mockReturnValue(now + 1500);
+      const fourth = await cache.lock("report", 1000);
+      expect(fourth.token).toBe(4);
+      expect(await third.extend()).toBe(false);
+      expect(await third.release()).toBe(false);
+      expect(await cache.lock("report", 1000)).toBeNull();
+
+      // clear() only touches app data; the fence keeps counting.
+      await cache.clear();
+      expect(await fourth.release()).toBe(true);
+      expect((await cache.lock("report", 1000)).token).toBe(5);
+
+      await expect(cache.lock("report", 0)).rejects.toThrow(/positive/);
+      await expect(cache.lock("", 1000)).rejects.toThrow(/name/);
+    });
+  });
+});
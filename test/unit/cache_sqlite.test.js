@@ -0,0 +1,174 @@
+/**
+ * The sqlite cache provider: persistence across restarts, TTL sweeping, LRU size caps, the
+ * shared atomic / tag operations, synchronous access, and fail-open / fail-closed init.
+ */
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { als } = require("../../modules/gingee");
+const cacheService = require("../../modules/cache_service");
+const cache = require("../../modules/cache");
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+// cache_service loads its adapter during init, from the registry of the running test.
+const adapter = () => require("../../modules/cache_drivers/sqlite_adapter");
+const inApp = (appName, fn) => als.run({ appName }, fn);
+
+describe("sqlite cache provider", () => {
+  let tmpRoot;
+  const start = (sqlite = {}, extra = {}) =>
+    cacheService.init({ provider: "sqlite", sqlite, ...extra }, quiet, {
+      projectRoot: tmpRoot,
+    });
+
+  beforeEach(() => {
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "gingee-cache-sqlite-"));
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    await cacheService.shutdown();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("entries survive a restart, in a file under the project root", async () => {
+    await start();
+    expect(cacheService.getProvider()).toBe("sqlite");
+    await inApp("shop", async () => {
+      await cache.set("config", { theme: "dark" }, 60);
+      await cache.set("product:1", 1, { tags: ["catalog"] });
+      expect(await cache.incr("visits")).toBe(1);
+    });
+    expect(fs.existsSync(path.join(tmpRoot, "data", "cache.sqlite"))).toBe(
+      true,
+    );
+
+    await cacheService.shutdown();
+    await start();
+    await inApp("shop", async () => {
+      expect(await cache.get("config")).toEqual({ theme: "dark" });
+      expect(await cache.incr("visits")).toBe(2);
+      expect(await cache.invalidateTag("catalog")).toBe(1);
+      expect(await cache.get("product:1")).toBeNull();
+    });
+    expect(adapter().stats().entries).toBe(2);
+  });
+
+  test("expired entries are never returned and are swept from the file", async () => {
+    await start({ sweep_interval_ms: 0 });
+    await cacheService.set("short", "a", 1);
+    await cacheService.set("long", "b", 60);
+    await cacheService.tag(["t"], "short", 1);
+
+    const now = Date.now();
+    jest.spyOn(Date, "now").mockReturnValue(now + 2000);
+    expect(await cacheService.get("short")).toBeNull();
+    await cacheService.set("other", "c", 1);
+    expect(await cacheService.scan("*")).toEqual(
+      expect.not.arrayContaining(["short"]),
+    );
+
+    jest.spyOn(Date, "now").mockReturnValue(now + 5000);
+    expect(adapter().sweep()).toBe(1);
+    expect(adapter().stats().entries).toBe(1);
+    expect(await cacheService.invalidateTag("t")).toBe(0);
+    expect(await cacheService.get("long")).toBe("b");
+  });
+
+  test("max_entries evicts the least recently read entries, never engine keys", async () => {
+    await start({ max_entries: 3 });
+    const now = Date.now();
+    const at = (ms) => jest.spyOn(Date, "now").mockReturnValue(now + ms);
+
+    at(1);
+    await cacheService.set("_auth:shop:s1", "session", 60);
+    at(2);
+    await cacheService.set("a", 1, 60);
+    at(3);
+    await cacheService.set("b", 2, 60);
+    at(4);
+    expect(await cacheService.get("a")).toBe(1);
+    at(5);
+    await cacheService.set("c", 3, 60);
+
+    expect(await cacheService.get("b")).toBeNull();
+    expect(await cacheService.mget(["_auth:shop:s1", "a", "c"])).toEqual([
+      "session",
+      1,
+      3,
+    ]);
+    expect(adapter().stats().entries).toBe(3);
+  });
+
+  test("apps named with a leading underscore and their tags are not exempt from the caps", async () => {
+    await start({ max_entries: 2 });
+    await inApp("_auth", async () => {
+      for (let i = 0; i < 5; i++) {
+        await cache.set(`k${i}`, i, { ttl: 60, tags: ["all"] });
+      }
+      expect(await cache.keys()).toHaveLength(2);
+    });
+    expect(adapter().stats().entries).toBe(2);
+  });
+
+  test("max_bytes caps the total size of keys and values", async () => {
+    await start({ max_bytes: 250, max_entries: 0 });
+    for (let i = 0; i < 5; i++) {
+      await cacheService.set(`k${i}`, "x".repeat(80), 60);
+    }
+    const { bytes, entries } = adapter().stats();
+    expect(bytes).toBeLessThanOrEqual(250);
+    expect(entries).toBe(2);
+    expect(await cacheService.get("k4")).toBe("x".repeat(80));
+    expect(await cacheService.get("k0")).toBeNull();
+  });
+
+  test("locks, setIfAbsent and key patterns behave as on the other providers", async () => {
+    await start();
+    await inApp("shop", async () => {
+      const lock = await cache.lock("nightly", 1000);
+      expect(lock.token).toBe(1);
+      expect(await cache.lock("nightly", 1000)).toBeNull();
+      expect(await lock.extend(2000)).toBe(true);
+      expect(await lock.release()).toBe(true);
+      expect((await cache.lock("nightly", 1000)).token).toBe(2);
+
+      expect(await cache.setIfAbsent("idem:1", { ok: true })).toBe(true);
+      expect(await cache.setIfAbsent("idem:1", { ok: false })).toBe(false);
+      await cache.set("word", "text");
+      await expect(cache.incr("word")).rejects.toThrow(/not an integer/);
+
+      await cache.mset({ "user:2": 1, "user:10": 1, "user:[x]": 1 });
+      expect(await cache.keys("user:?")).toEqual(["user:2"]);
+      expect(await cache.keys("user:[x]")).toEqual(["user:[x]"]);
+      expect(await cache.keys("user:*")).toHaveLength(3);
+      await cache.clear();
+      expect(await cache.keys()).toEqual([]);
+    });
+  });
+
+  test("syncStore reads and writes synchronously on sqlite only", async () => {
+    await start();
+    const store = cacheService.syncStore();
+    store.set("code", "module.exports = 1;", 60);
+    expect(store.get("code")).toBe("module.exports = 1;");
+    expect(await cacheService.get("code")).toBe("module.exports = 1;");
+
+    await cacheService.init({ provider: "memory" }, quiet);
+    expect(cacheService.syncStore()).toBeNull();
+  });
+
+  test("an unusable file fails closed by default, or falls back to memory", async () => {
+    fs.writeFileSync(path.join(tmpRoot, "blocker"), "");
+    const sqlite = { path: "./blocker/cache.sqlite" };
+
+    await expect(start(sqlite)).rejects.toMatchObject({
+      code: "CACHE_SQLITE_FAIL_CLOSED",
+    });
+    expect(cacheService.getProvider()).toBeNull();
+
+    await start(sqlite, { fail_closed: false });
+    expect(cacheService.getProvider()).toBe("memory");
+    expect(cacheService.resolveFailClosed({}, "sqlite")).toBe(true);
+  });
+});
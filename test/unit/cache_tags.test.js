@@ -0,0 +1,212 @@
+/**
+ * Tagged cache entries (cache.set with { tags } / cache.invalidateTag), pattern key listing
+ * (cache.keys), and the platform cache inspector behind Glade → Cache. Runs against the memory
+ * adapter and the redis adapter (on a fake ioredis).
+ */
+jest.mock("ioredis", () => require("../mocks/fake_ioredis.js"));
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { als } = require("../../modules/gingee");
+const audit = require("../../modules/audit");
+const cacheService = require("../../modules/cache_service");
+const cache = require("../../modules/cache");
+const platform = require("../../modules/platform");
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+const inApp = (appName, fn) => als.run({ appName }, fn);
+
+describe.each([["memory"], ["redis"]])(
+  "cache tags and keys (%s)",
+  (provider) => {
+    beforeAll(async () => {
+      await cacheService.init({ provider }, quiet);
+    });
+
+    beforeEach(async () => {
+      await cacheService.clear("");
+    });
+
+    test("invalidateTag deletes the keys stored with that tag, in this app only", async () => {
+      await inApp("shop", async () => {
+        await cache.set(
+          "product:1",
+          { n: 1 },
+          { ttl: 60, tags: ["catalog", "vendor:7"] },
+        );
+        await cache.set("product:2", { n: 2 }, { tags: ["catalog"] });
+        await cache.set("cart:9", { items: [] }, 60);
+      });
+      await inApp("blog", () =>
+        cache.set("post:1", { n: 1 }, { tags: ["catalog"] }),
+      );
+
+      await inApp("shop", async () => {
+        expect(await cache.invalidateTag("vendor:7")).toBe(1);
+        expect(await cache.get("product:1")).toBeNull();
+        expect(await cache.get("product:2")).toEqual({ n: 2 });
+
+        expect(await cache.invalidateTag("catalog")).toBe(1);
+        expect(await cache.invalidateTag("catalog")).toBe(0);
+        expect(await cache.get("cart:9")).toEqual({ items: [] });
+
+        await expect(cache.set("x", 1, { tags: "catalog" })).rejects.toThrow(
+          /array/,
+        );
+        await expect(cache.invalidateTag("")).rejects.toThrow(/non-empty/);
+      });
+      await inApp("blog", async () => {
+        expect(await cache.get("post:1")).toEqual({ n: 1 });
+      });
+    });
+
+    test("clear() also forgets the app's tags", async () => {
+      await inApp("shop", async () => {
+        await cache.set("product:1", 1, { tags: ["catalog"] });
+        await cache.clear();
+        await cache.set("product:1", 2);
+        expect(await cache.invalidateTag("catalog")).toBe(0);
+        expect(await cache.get("product:1")).toBe(2);
+      });
+    });
+
+    test("keys lists the app's keys matching a pattern", async () => {
+      await inApp("shop", async () => {
+        await cache.mset({
+          "user:2": 1,
+          "user:10": 1,
+          "user:[x]": 1,
+          order: 1,
+        });
+        await cache.set("tagged", 1, { tags: ["t"] });
+      });
+      await inApp("blog", () => cache.set("user:1", 1));
+
+      await inApp("shop", async () => {
+        expect(await cache.keys()).toEqual([
+          "order",
+          "tagged",
+          "user:10",
+          "user:2",
+          "user:[x]",
+        ]);
+        expect(await cache.keys("user:*")).toEqual([
+          "user:10",
+          "user:2",
+          "user:[x]",
+        ]);
+        expect(await cache.keys("user:?")).toEqual(["user:2"]);
+        expect(await cache.keys("user:[x]")).toEqual(["user:[x]"]);
+        expect(await cache.keys("user:*", { limit: 2 })).toHaveLength(2);
+        await expect(cache.keys("")).rejects.toThrow(/pattern/);
+      });
+    });
+  },
+);
+
+describe("platform cache inspector", () => {
+  let tmpRoot;
+  const inGlade = (fn) =>
+    als.run({ allApps: { shop: {}, blog: {} }, logger: quiet }, fn);
+
+  beforeAll(async () => {
+    await cacheService.init({ provider: "memory" }, quiet);
+  });
+
+  beforeEach(async () => {
+    await cacheService.clear("");
+    audit._resetForTests();
+    tmpRoot = fs.mkdtempSync(path.join(os.tmpdir(), "gingee-cache-inspect-"));
+    audit.initServer({ enabled: true, path: "./audit.jsonl" }, tmpRoot, quiet);
+    await inApp("shop", async () => {
+      await cache.set("user:1", { name: "ada" }, 60);
+      await cache.set(
+        "user:2",
+        { name: "bob" },
+        { ttl: 120, tags: ["people"] },
+      );
+      await cache.set("config", "x".repeat(100));
+    });
+    await inApp("blog", () => cache.set("user:1", 1));
+  });
+
+  afterEach(() => {
+    audit._resetForTests();
+    fs.rmSync(tmpRoot, { recursive: true, force: true });
+  });
+
+  test("getCacheKeys counts, sizes and lists an app's keys without values", async () => {
+    const all = await inGlade(() => platform.getCacheKeys("shop"));
+    expect(all).toMatchObject({
+      provider: "memory",
+      keys: 3,
+      truncated: false,
+    });
+    expect(all.entries.map((e) => e.key)).toEqual([
+      "config",
+      "user:1",
+      "user:2",
+    ]);
+    expect(all.entries[0].bytes).toBe(102);
+    expect(all.entries[1].ttlMs).toBeGreaterThan(0);
+    expect(all.entries[1].ttlMs).toBeLessThanOrEqual(60000);
+    expect(all.entries[1].value).toBeUndefined();
+    // Stored JSON plus the stored (namespaced) keys.
+    expect(all.bytes).toBe(102 + 14 + 14 + 3 * "app:shop:config".length);
+
+    const users = await inGlade(() =>
+      platform.getCacheKeys("shop", { pattern: "user:*", limit: 1 }),
+    );
+    expect(users.keys).toBe(2);
+    expect(users.entries.map((e) => e.key)).toEqual(["user:1"]);
+
+    await expect(inGlade(() => platform.getCacheKeys("nope"))).rejects.toThrow(
+      /not found/,
+    );
+  });
+
+  test("deleteCacheKeys removes by key, pattern or tag and audits it", async () => {
+    expect(
+      await inGlade(() =>
+        platform.deleteCacheKeys("shop", { keys: ["config", "missing"] }),
+      ),
+    ).toEqual({
+      deleted: 1,
+    });
+    expect(
+      await inGlade(() => platform.deleteCacheKeys("shop", { tag: "people" })),
+    ).toEqual({ deleted: 1 });
+    expect(
+      await inGlade(() =>
+        platform.deleteCacheKeys("shop", { pattern: "user:*" }),
+      ),
+    ).toEqual({ deleted: 1 });
+    expect((await inGlade(() => platform.getCacheKeys("shop"))).keys).toBe(0);
+    expect((await inGlade(() => platform.getCacheKeys("blog"))).keys).toBe(1);
+
+    await expect(
+      inGlade(() => platform.deleteCacheKeys("shop", {})),
+    ).rejects.toThrow(/exactly one/);
+    await expect(
+      inGlade(() =>
+        platform.deleteCacheKeys("shop", { keys: ["a"], tag: "t" }),
+      ),
+    ).rejects.toThrow(/exactly one/);
+
+    const events = fs
+      .readFileSync(path.join(tmpRoot, "audit.jsonl"), "utf8")
+      .trim()
+      .split("\n")
+      .map((l) => JSON.parse(l));
+    expect(events.map((e) => [e.event, e.app, e.details])).toEqual([
+      ["cache.delete", "shop", { by: "keys", deleted: 1 }],
+      ["cache.delete", "shop", { by: "tag", deleted: 1, tag: "people" }],
+      [
+        "cache.delete",
+        "shop",
+        { by: "pattern", deleted: 1, pattern: "user:*" },
+      ],
+    ]);
+  });
+});
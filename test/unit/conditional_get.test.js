@@ -0,0 +1,301 @@
+/**
+ * ETag / Last-Modified validators and 304 Not Modified for static files and $g.response.
+ */
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const conditional = require('../../modules/engine/request/conditional');
+const { serveStaticFile } = require('../../modules/engine/request/static');
+const { attachCompiledCacheRegex } = require('../../modules/engine/request/cache_config');
+const { als } = require('../../modules/gingee');
+const { initializeGContext } = require('../../modules/engine/request_context/build_g');
+
+describe('conditional helpers', () => {
+  test('computeEtag is a stable quoted hash; weak flag prefixes W/', () => {
+    const a = conditional.computeEtag(Buffer.from('hello'));
+    expect(a).toMatch(/^"[A-Za-z0-9_-]+"$/);
+    expect(conditional.computeEtag('hello')).toBe(a);
+    expect(conditional.computeEtag('hello', true)).toBe(`W/${a}`);
+    expect(conditional.computeEtag('other')).not.toBe(a);
+  });
+
+  test('formatEtag quotes bare values and keeps weak/quoted forms', () => {
+    expect(conditional.formatEtag('v1')).toBe('"v1"');
+    expect(conditional.formatEtag('"v1"')).toBe('"v1"');
+    expect(conditional.formatEtag('W/"v1"')).toBe('W/"v1"');
+    expect(conditional.formatEtag('v1', true)).toBe('W/"v1"');
+  });
+
+  test('If-None-Match uses weak comparison, lists and *', () => {
+    const etag = '"abc"';
+    expect(conditional.isNotModified({ 'if-none-match': '"abc"' }, { etag })).toBe(true);
+    expect(conditional.isNotModified({ 'if-none-match': 'W/"abc"' }, { etag })).toBe(true);
+    expect(conditional.isNotModified({ 'if-none-match': '"x", "abc"' }, { etag })).toBe(true);
+    expect(conditional.isNotModified({ 'if-none-match': '*' }, { etag })).toBe(true);
+    expect(conditional.isNotModified({ 'if-none-match': '"x"' }, { etag })).toBe(false);
+  });
+
+  test('If-Modified-Since is ignored when If-None-Match is present', () => {
+    const lastModified = Date.UTC(2024, 0, 1);
+    const later = new Date(Date.UTC(2024, 0, 2)).toUTCString();
+    expect(
+      conditional.isNotModified({ 'if-modified-since': later }, { lastModified }),
+    ).toBe(true);
+    expect(
+      conditional.isNotModified(
+        { 'if-modified-since': later, 'if-none-match': '"x"' },
+        { etag: '"abc"', lastModified },
+      ),
+    ).toBe(false);
+  });
+
+  test('If-Modified-Since compares at one-second resolution', () => {
+    const lastModified = Date.UTC(2024, 0, 1, 0, 0, 0, 750);
+    const sameSecond = new Date(Date.UTC(2024, 0, 1)).toUTCString();
+    const before = new Date(Date.UTC(2023, 11, 31)).toUTCString();
+    expect(
+      conditional.isNotModified({ 'if-modified-since': sameSecond }, { lastModified }),
+    ).toBe(true);
+    expect(
+      conditional.isNotModified({ 'if-modified-since': before }, { lastModified }),
+    ).toBe(false);
+    expect(
+      conditional.isNotModified({ 'if-modified-since': 'garbage' }, { lastModified }),
+    ).toBe(false);
+  });
+});
+
+describe('static files conditional GET', () => {
+  let tmpDir;
+  let filePath;
+  let mem;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-cond-'));
+    filePath = path.join(tmpDir, 'site.css');
+    fs.writeFileSync(filePath, 'body { color: red; }\n');
+    mem = new Map();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function mockCache() {
+    return {
+      async get(key) {
+        return mem.has(key) ? mem.get(key) : null;
+      },
+      async set(key, value) {
+        mem.set(key, value);
+      },
+    };
+  }
+
+  function mockRes() {
+    const out = {
+      statusCode: 0,
+      headers: {},
+      body: null,
+      writeHead(code, headers) {
+        out.statusCode = code;
+        out.headers = { ...headers };
+      },
+      end(buf) {
+        out.body = buf;
+      },
+    };
+    return out;
+  }
+
+  function makeApp(client, serverEnabled = false) {
+    const app = {
+      config: {
+        cache: {
+          client: { enabled: false, no_cache_regex: [], ...client },
+          server: { enabled: serverEnabled, no_cache_regex: [] },
+        },
+      },
+    };
+    attachCompiledCacheRegex(app);
+    return app;
+  }
+
+  async function serve(app, reqHeaders, method = 'GET') {
+    const res = mockRes();
+    await serveStaticFile({
+      req: { method, url: '/demo/site.css', headers: reqHeaders },
+      res,
+      filePath,
+      cacheConfig: app.config.cache,
+      cache: mockCache(),
+      canCompress: false,
+      logger: { info: jest.fn(), debug: jest.fn(), warn: jest.fn() },
+      headers: {},
+      app,
+    });
+    return res;
+  }
+
+  test('200 carries ETag + Last-Modified; matching If-None-Match gets 304 with no body', async () => {
+    const app = makeApp({});
+    const first = await serve(app, {});
+    expect(first.statusCode).toBe(200);
+    expect(first.headers['ETag']).toBe(
+      conditional.computeEtag(fs.readFileSync(filePath)),
+    );
+    expect(first.headers['Last-Modified']).toBe(
+      new Date(fs.statSync(filePath).mtimeMs).toUTCString(),
+    );
+    // Client caching off: revalidate instead of no-store while validators are on.
+    expect(first.headers['Cache-Control']).toBe('no-cache');
+
+    const second = await serve(app, { 'if-none-match': first.headers['ETag'] });
+    expect(second.statusCode).toBe(304);
+    expect(second.body).toBeUndefined();
+    expect(second.headers['ETag']).toBe(first.headers['ETag']);
+    expect(second.headers['Content-Type']).toBeUndefined();
+
+    const head = await serve(app, { 'if-none-match': first.headers['ETag'] }, 'HEAD');
+    expect(head.statusCode).toBe(304);
+  });
+
+  test('If-Modified-Since alone gets 304; changed content gets 200', async () => {
+    const app = makeApp({});
+    const first = await serve(app, {});
+    const notModified = await serve(app, {
+      'if-modified-since': first.headers['Last-Modified'],
+    });
+    expect(notModified.statusCode).toBe(304);
+
+    fs.writeFileSync(filePath, 'body { color: blue; }\n');
+    const changed = await serve(app, { 'if-none-match': first.headers['ETag'] });
+    expect(changed.statusCode).toBe(200);
+    expect(changed.headers['ETag']).not.toBe(first.headers['ETag']);
+  });
+
+  test('non-GET methods never get 304', async () => {
+    const app = makeApp({});
+    const first = await serve(app, {});
+    const post = await serve(app, { 'if-none-match': first.headers['ETag'] }, 'POST');
+    expect(post.statusCode).toBe(200);
+  });
+
+  test('server cache entry stores validators and hit path answers 304', async () => {
+    const app = makeApp({ enabled: true }, true);
+    const first = await serve(app, {});
+    const entry = mem.get(`static:${filePath}`);
+    expect(entry.etag).toBe(first.headers['ETag']);
+    expect(typeof entry.lastModified).toBe('number');
+    expect(first.headers['Cache-Control']).toBe('public, max-age=31536000');
+
+    const hit = await serve(app, { 'if-none-match': entry.etag });
+    expect(hit.statusCode).toBe(304);
+  });
+
+  test('cache.client.etag false keeps no-store and sends no validators', async () => {
+    const app = makeApp({ etag: false });
+    const res = await serve(app, { 'if-none-match': '*' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Cache-Control']).toBe('no-store');
+    expect(res.headers['ETag']).toBeUndefined();
+    expect(res.headers['Last-Modified']).toBeUndefined();
+  });
+});
+
+describe('$g.response validators', () => {
+  function makeStore(reqHeaders = {}, method = 'GET') {
+    const chunks = [];
+    const headers = {};
+    const res = {
+      statusCode: 200,
+      setHeader(k, v) {
+        headers[k] = v;
+      },
+      getHeader(k) {
+        return headers[k];
+      },
+      removeHeader(k) {
+        delete headers[k];
+      },
+      end(buf) {
+        chunks.push(buf);
+      },
+    };
+    return {
+      req: {
+        method,
+        url: '/app/api',
+        headers: { host: 'localhost', ...reqHeaders },
+        connection: {},
+      },
+      res,
+      canCompress: false,
+      app: {
+        config: { name: 't', version: '1', description: '', env: {} },
+        name: 't',
+        grantedPermissions: [],
+      },
+      appName: 't',
+      isPrivileged: false,
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+      scriptPath: '/tmp/box/item.js',
+      routeParams: null,
+      globalConfig: {},
+      _chunks: chunks,
+      _headers: headers,
+    };
+  }
+
+  test('etag() with no value hashes the payload; matching request gets 304', () => {
+    const body = { id: 1, name: 'x' };
+    const expected = conditional.computeEtag(JSON.stringify(body));
+
+    const first = makeStore();
+    als.run(first, () => {
+      initializeGContext(first);
+      first.$g.response.etag();
+      first.$g.response.send(body);
+    });
+    expect(first._headers['ETag']).toBe(expected);
+    expect(first.res.statusCode).toBe(200);
+
+    const second = makeStore({ 'if-none-match': expected });
+    als.run(second, () => {
+      initializeGContext(second);
+      second.$g.response.etag();
+      second.$g.response.send(body);
+    });
+    expect(second.res.statusCode).toBe(304);
+    expect(second._chunks[0]).toBeUndefined();
+    expect(second._headers['Content-Type']).toBeUndefined();
+  });
+
+  test('explicit etag + lastModified; isFresh lets scripts skip work', () => {
+    const updatedAt = new Date(Date.UTC(2024, 4, 1));
+    const store = makeStore({ 'if-modified-since': updatedAt.toUTCString() });
+    als.run(store, () => {
+      initializeGContext(store);
+      store.$g.response.lastModified(updatedAt);
+      expect(store.$g.response.headers['Last-Modified']).toBe(updatedAt.toUTCString());
+      expect(store.$g.response.isFresh()).toBe(true);
+
+      store.$g.response.etag('v42', { weak: true });
+      expect(store.$g.response.headers['ETag']).toBe('W/"v42"');
+      // If-None-Match absent → If-Modified-Since decides.
+      store.$g.response.send('unchanged');
+    });
+    expect(store.res.statusCode).toBe(304);
+  });
+
+  test('non-200 statuses and POST are sent normally', () => {
+    const post = makeStore({ 'if-none-match': '*' }, 'POST');
+    als.run(post, () => {
+      initializeGContext(post);
+      post.$g.response.etag('v1');
+      post.$g.response.send('created', 201);
+    });
+    expect(post.res.statusCode).toBe(201);
+    expect(String(post._chunks[0])).toBe('created');
+  });
+});
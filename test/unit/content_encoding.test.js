@@ -0,0 +1,300 @@
+/**
+ * Accept-Encoding negotiation (q-values), br/zstd/gzip, precompressed siblings and
+ * per-encoding static cache variants.
+ */
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const zlib = require('zlib');
+const encoding = require('../../modules/engine/request/encoding');
+const { serveStaticFile } = require('../../modules/engine/request/static');
+const { attachCompiledCacheRegex } = require('../../modules/engine/request/cache_config');
+const { als } = require('../../modules/gingee');
+const { initializeGContext } = require('../../modules/engine/request_context/build_g');
+
+const hasZstd = typeof zlib.zstdCompress === 'function';
+
+describe('Accept-Encoding negotiation', () => {
+  const all = ['br', 'zstd', 'gzip'];
+
+  test('parses q-values and x-gzip alias', () => {
+    const m = encoding.parseAcceptEncoding('gzip;q=0.8, br, x-gzip;q=0.1, identity;q=0');
+    expect(m.get('gzip')).toBe(0.8);
+    expect(m.get('br')).toBe(1);
+    expect(m.get('identity')).toBe(0);
+  });
+
+  test('highest q wins; server order breaks ties', () => {
+    expect(encoding.negotiateEncoding('gzip, br', all)).toBe('br');
+    expect(encoding.negotiateEncoding('gzip;q=1, br;q=0.5', all)).toBe('gzip');
+    expect(encoding.negotiateEncoding('gzip, deflate', all)).toBe('gzip');
+    expect(encoding.negotiateEncoding('zstd, gzip', ['br', 'gzip'])).toBe('gzip');
+  });
+
+  test('q=0 and *;q=0 exclude codings; * admits unlisted ones', () => {
+    expect(encoding.negotiateEncoding('br;q=0, gzip', all)).toBe('gzip');
+    expect(encoding.negotiateEncoding('*;q=0', all)).toBeNull();
+    expect(encoding.negotiateEncoding('*', ['br', 'gzip'])).toBe('br');
+    expect(encoding.negotiateEncoding('', all)).toBeNull();
+    expect(encoding.negotiateEncoding('gzip;q=0', ['gzip'])).toBeNull();
+  });
+
+  test('resolveEncodingConfig drops unsupported codings and defaults brotli quality', () => {
+    const cfg = encoding.resolveEncodingConfig({
+      content_encoding: { enabled: true, encodings: ['zstd', 'BR', 'deflate', 'gzip'] },
+    });
+    expect(cfg.encodings).toEqual(hasZstd ? ['zstd', 'br', 'gzip'] : ['br', 'gzip']);
+    expect(cfg.brotliQuality).toBe(5);
+    expect(encoding.canNegotiateEncoding({ content_encoding: { enabled: true } }, 'gzip;q=0')).toBe(
+      false,
+    );
+    expect(encoding.canNegotiateEncoding({ content_encoding: { enabled: true } }, 'br')).toBe(true);
+  });
+
+  (hasZstd ? test : test.skip)('zstd round-trips when the Node build supports it', () => {
+    const data = Buffer.from('z'.repeat(2000));
+    const out = encoding.compressSync('zstd', data);
+    expect(zlib.zstdDecompressSync(out).equals(data)).toBe(true);
+  });
+});
+
+describe('static encoding variants', () => {
+  let tmpDir;
+  let filePath;
+  let raw;
+  let mem;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-enc-'));
+    filePath = path.join(tmpDir, 'app.js');
+    raw = Buffer.from(`${'console.log("gingee");\n'.repeat(200)}`);
+    fs.writeFileSync(filePath, raw);
+    mem = new Map();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  const cache = {
+    async get(key) {
+      return mem.has(key) ? mem.get(key) : null;
+    },
+    async set(key, value) {
+      mem.set(key, value);
+    },
+  };
+
+  function mockRes() {
+    const out = {
+      statusCode: 0,
+      headers: {},
+      body: null,
+      writeHead(code, headers) {
+        out.statusCode = code;
+        out.headers = { ...headers };
+      },
+      end(buf) {
+        out.body = buf;
+      },
+    };
+    return out;
+  }
+
+  const app = (() => {
+    const a = {
+      config: {
+        cache: {
+          client: { enabled: false, no_cache_regex: [] },
+          server: { enabled: true, no_cache_regex: [] },
+        },
+      },
+    };
+    attachCompiledCacheRegex(a);
+    return a;
+  })();
+
+  async function serve(acceptEncoding, encodings = ['br', 'gzip'], extra = {}) {
+    const res = mockRes();
+    await serveStaticFile({
+      req: {
+        method: extra.method || 'GET',
+        url: '/demo/app.js',
+        headers: { 'accept-encoding': acceptEncoding, ...extra.headers },
+      },
+      res,
+      filePath,
+      cacheConfig: app.config.cache,
+      cache,
+      canCompress: true,
+      logger: { info: jest.fn(), debug: jest.fn(), warn: jest.fn() },
+      headers: {},
+      app,
+      staticConfig: extra.staticConfig,
+      encodingConfig: encoding.resolveEncodingConfig({
+        content_encoding: { enabled: true, encodings },
+      }),
+    });
+    return res;
+  }
+
+  test('brotli preferred; cache entry gains a variant per coding served', async () => {
+    const first = await serve('gzip, deflate, br');
+    expect(first.headers['Content-Encoding']).toBe('br');
+    expect(first.headers['Vary']).toBe('Accept-Encoding');
+    expect(zlib.brotliDecompressSync(first.body).equals(raw)).toBe(true);
+
+    const key = `static:${filePath}`;
+    expect(mem.get(key).brContent).toBeTruthy();
+    expect(mem.get(key).gzipContent).toBeUndefined();
+
+    const second = await serve('gzip');
+    expect(second.headers['Content-Encoding']).toBe('gzip');
+    expect(zlib.gunzipSync(second.body).equals(raw)).toBe(true);
+    const entry = mem.get(key);
+    expect(entry.brContent).toBeTruthy();
+    expect(entry.gzipContent).toBeTruthy();
+
+    // Hit: stored variant served as-is.
+    const third = await serve('br');
+    expect(Buffer.compare(third.body, Buffer.from(entry.brContent, 'base64'))).toBe(0);
+  });
+
+  test('identity when the client excludes every enabled coding', async () => {
+    const res = await serve('br;q=0, gzip;q=0');
+    expect(res.headers['Content-Encoding']).toBeUndefined();
+    expect(Buffer.compare(res.body, raw)).toBe(0);
+  });
+
+  test('precompressed sibling is used instead of compressing', async () => {
+    // Distinctive bytes prove the sibling (not on-the-fly output) was sent.
+    const prebuilt = zlib.gzipSync(raw, { level: 1 });
+    fs.writeFileSync(`${filePath}.gz`, prebuilt);
+    const res = await serve('gzip');
+    expect(res.headers['Content-Encoding']).toBe('gzip');
+    expect(Buffer.compare(res.body, prebuilt)).toBe(0);
+    expect(Buffer.from(mem.get(`static:${filePath}`).gzipContent, 'base64').equals(prebuilt)).toBe(
+      true,
+    );
+  });
+
+  test('among equally rated codings a sibling wins over on-the-fly compression', async () => {
+    const prebuilt = zlib.gzipSync(raw, { level: 1 });
+    fs.writeFileSync(`${filePath}.gz`, prebuilt);
+    const res = await serve('br, gzip');
+    expect(res.headers['Content-Encoding']).toBe('gzip');
+    expect(Buffer.compare(res.body, prebuilt)).toBe(0);
+  });
+
+  test('an encoding that does not shrink the file is not sent, but Vary still is', async () => {
+    raw = Buffer.from('x');
+    fs.writeFileSync(filePath, raw);
+    const first = await serve('gzip');
+    expect(first.headers['Content-Encoding']).toBeUndefined();
+    expect(first.headers['Vary']).toBe('Accept-Encoding');
+    expect(Buffer.compare(first.body, raw)).toBe(0);
+    // Cache hit: the stored variant is still bigger than the raw bytes.
+    const hit = await serve('gzip');
+    expect(hit.headers['Content-Encoding']).toBeUndefined();
+    expect(Buffer.compare(hit.body, raw)).toBe(0);
+  });
+
+  test('304 and range answers are sent before anything is compressed', async () => {
+    const etag = (await serve('identity')).headers['ETag'];
+    mem.clear();
+    const notModified = await serve('br', undefined, { headers: { 'if-none-match': etag } });
+    expect(notModified.statusCode).toBe(304);
+    expect(notModified.headers['Vary']).toBe('Accept-Encoding');
+    const key = `static:${filePath}`;
+    expect(mem.get(key).content).toBeTruthy();
+    expect(mem.get(key).brContent).toBeUndefined();
+
+    mem.clear();
+    const partial = await serve('br', undefined, { headers: { range: 'bytes=0-9' } });
+    expect(partial.statusCode).toBe(206);
+    expect(partial.headers['Content-Encoding']).toBeUndefined();
+    expect(mem.get(key).brContent).toBeUndefined();
+  });
+
+  test('streamed files send Vary without a sibling and skip siblings that are not smaller', async () => {
+    // HEAD: headers only, nothing is piped into the mock response.
+    const streamed = { method: 'HEAD', staticConfig: { stream_threshold: 0 } };
+    const plain = await serve('br, gzip', undefined, streamed);
+    expect(plain.headers['Content-Encoding']).toBeUndefined();
+    expect(plain.headers['Vary']).toBe('Accept-Encoding');
+
+    fs.writeFileSync(`${filePath}.gz`, Buffer.alloc(raw.length + 10));
+    const bigSibling = await serve('gzip', undefined, streamed);
+    expect(bigSibling.headers['Content-Encoding']).toBeUndefined();
+    expect(bigSibling.headers['Content-Length']).toBe(raw.length);
+  });
+
+  test('stale sibling (older than the file) is ignored', async () => {
+    const stale = `${filePath}.br`;
+    fs.writeFileSync(stale, Buffer.from('not brotli'));
+    const past = new Date(Date.now() - 60000);
+    fs.utimesSync(stale, past, past);
+    const res = await serve('br');
+    expect(res.headers['Content-Encoding']).toBe('br');
+    expect(zlib.brotliDecompressSync(res.body).equals(raw)).toBe(true);
+  });
+});
+
+describe('$g.response.send negotiation', () => {
+  function makeStore(acceptEncoding) {
+    const chunks = [];
+    const headers = {};
+    return {
+      req: {
+        method: 'GET',
+        url: '/app/api',
+        headers: { 'accept-encoding': acceptEncoding, host: 'localhost' },
+        connection: {},
+      },
+      res: {
+        statusCode: 200,
+        setHeader(k, v) {
+          headers[k] = v;
+        },
+        getHeader(k) {
+          return headers[k];
+        },
+        end(buf) {
+          chunks.push(buf);
+        },
+      },
+      canCompress: true,
+      app: {
+        config: { name: 't', version: '1', description: '', env: {} },
+        name: 't',
+        grantedPermissions: [],
+      },
+      appName: 't',
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+      scriptPath: '/tmp/box/echo.js',
+      routeParams: null,
+      globalConfig: { content_encoding: { enabled: true, size_threshold: 0 } },
+      _chunks: chunks,
+      _headers: headers,
+    };
+  }
+
+  test('brotli when accepted; gzip when brotli is rated lower', () => {
+    const payload = { ok: true, pad: 'y'.repeat(500) };
+
+    const br = makeStore('gzip, br');
+    als.run(br, () => {
+      initializeGContext(br);
+      br.$g.response.send(payload);
+    });
+    expect(br._headers['Content-Encoding']).toBe('br');
+    expect(JSON.parse(zlib.brotliDecompressSync(br._chunks[0]).toString())).toEqual(payload);
+
+    const gz = makeStore('br;q=0.2, gzip');
+    als.run(gz, () => {
+      initializeGContext(gz);
+      gz.$g.response.send(payload);
+    });
+    expect(gz._headers['Content-Encoding']).toBe('gzip');
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * Declarative CORS: app.json policy, per-route overrides, preflight answers and
+ * Access-Control-* headers on actual responses.
+ */
+const cors = require('../../modules/engine/request/cors');
+const { compileRoutes, matchRoute } = require('../../modules/engine/request/routes');
+
+function mockRes() {
+  const headers = {};
+  const res = {
+    statusCode: 0,
+    body: undefined,
+    setHeader(k, v) {
+      headers[k] = v;
+    },
+    getHeader(k) {
+      return headers[k];
+    },
+    writeHead(code, h) {
+      res.statusCode = code;
+      Object.assign(headers, h || {});
+    },
+    end(buf) {
+      res.body = buf;
+    },
+    headers,
+  };
+  return res;
+}
+
+function preflight(origin, method, requestHeaders) {
+  const headers = { origin, 'access-control-request-method': method };
+  if (requestHeaders) headers['access-control-request-headers'] = requestHeaders;
+  return { method: 'OPTIONS', headers };
+}
+
+describe('normalizeCorsConfig / resolveCorsPolicy', () => {
+  test('absent, false and enabled:false mean no policy; true means defaults', () => {
+    expect(cors.normalizeCorsConfig(undefined)).toBeNull();
+    expect(cors.normalizeCorsConfig(false)).toBeNull();
+    expect(cors.normalizeCorsConfig({ enabled: false, origins: '*' })).toBeNull();
+    const p = cors.normalizeCorsConfig(true);
+    expect(p.origins).toBe('*');
+    expect(p.methods).toEqual(cors.DEFAULT_METHODS);
+    expect(p.headers).toBeNull();
+    expect(p.credentials).toBe(false);
+    expect(p.maxAge).toBeNull();
+  });
+
+  test('normalizes origins, methods and max_age', () => {
+    const p = cors.normalizeCorsConfig({
+      origins: ['https://App.Example.com'],
+      methods: 'get, post',
+      exposed_headers: ['X-Request-Id'],
+      max_age: '600',
+    });
+    expect(p.origins).toEqual(['https://app.example.com']);
+    expect(p.methods).toEqual(['GET', 'POST']);
+    expect(p.exposedHeaders).toEqual(['X-Request-Id']);
+    expect(p.maxAge).toBe(600);
+  });
+
+  test('route cors overrides app fields; false disables for the route', () => {
+    const app = { config: { cors: { origins: ['https://a.com'], credentials: true } } };
+    expect(cors.resolveCorsPolicy(app, null).origins).toEqual(['https://a.com']);
+    const overridden = cors.resolveCorsPolicy(app, { cors: { origins: ['https://b.com'] } });
+    expect(overridden.origins).toEqual(['https://b.com']);
+    expect(overridden.credentials).toBe(true);
+    expect(cors.resolveCorsPolicy(app, { cors: false })).toBeNull();
+    expect(cors.resolveCorsPolicy({ config: {} }, { cors: { origins: '*' } }).origins).toBe('*');
+    expect(cors.resolveCorsPolicy({ config: {} }, {})).toBeNull();
+  });
+
+  test('credentials are dropped with origins "*" and reported once at load', () => {
+    expect(cors.normalizeCorsConfig({ credentials: true }).credentials).toBe(false);
+    expect(cors.normalizeCorsConfig({ origins: ['*', 'https://a.com'], credentials: true }).credentials).toBe(false);
+
+    const app = {
+      name: 'shop',
+      config: { cors: { origins: ['https://a.com'], credentials: true } },
+      compiledRoutes: [
+        { method: 'GET', path: '/feed', cors: { origins: '*' } },
+        { method: 'GET', path: '/private', cors: { origins: ['https://b.com'] } },
+        { method: 'GET', path: '/plain' },
+      ],
+    };
+    expect(cors.resolveCorsPolicy(app, app.compiledRoutes[0]).credentials).toBe(false);
+    const res = mockRes();
+    cors.applyCorsHeaders({ method: 'GET', headers: { origin: 'https://evil.com' } }, res, cors.resolveCorsPolicy(app, app.compiledRoutes[0]));
+    expect(res.headers['Access-Control-Allow-Origin']).toBe('*');
+    expect(res.headers['Access-Control-Allow-Credentials']).toBeUndefined();
+
+    const logger = { warn: jest.fn() };
+    cors.initApp(app, logger);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+    expect(logger.warn.mock.calls[0][0]).toContain("[cors] App 'shop': route GET /feed cors sets credentials");
+
+    logger.warn.mockClear();
+    cors.initApp({ name: 'shop', config: { cors: { credentials: true } } }, logger);
+    expect(logger.warn.mock.calls[0][0]).toContain("[cors] App 'shop': cors sets credentials");
+  });
+
+  test('isOriginAllowed matches exact origins and subdomain wildcards', () => {
+    const p = cors.normalizeCorsConfig({ origins: ['https://a.com', 'https://*.example.com'] });
+    expect(cors.isOriginAllowed(p, 'https://a.com')).toBe(true);
+    expect(cors.isOriginAllowed(p, 'https://api.example.com')).toBe(true);
+    expect(cors.isOriginAllowed(p, 'https://example.com')).toBe(false);
+    expect(cors.isOriginAllowed(p, 'http://api.example.com')).toBe(false);
+    expect(cors.isOriginAllowed(p, 'https://evil-example.com')).toBe(false);
+    expect(cors.isOriginAllowed(p, undefined)).toBe(false);
+  });
+});
+
+describe('preflight', () => {
+  test('isPreflight needs OPTIONS + Origin + Access-Control-Request-Method', () => {
+    expect(cors.isPreflight(preflight('https://a.com', 'POST'))).toBe(true);
+    expect(cors.isPreflight({ method: 'OPTIONS', headers: { origin: 'https://a.com' } })).toBe(
+      false,
+    );
+    expect(cors.isPreflight({ method: 'GET', headers: preflight('x', 'GET').headers })).toBe(false);
+  });
+
+  test('allowed origin and method get 204 with Allow-* headers', () => {
+    const policy = cors.normalizeCorsConfig({
+      origins: ['https://a.com'],
+      methods: ['GET', 'POST'],
+      credentials: true,
+      max_age: 600,
+    });
+    const res = mockRes();
+    cors.answerPreflight(preflight('https://a.com', 'post', 'Content-Type, X-Token'), res, policy);
+    expect(res.statusCode).toBe(204);
+    expect(res.headers['Access-Control-Allow-Origin']).toBe('https://a.com');
+    expect(res.headers['Access-Control-Allow-Methods']).toBe('GET, POST');
+    expect(res.headers['Access-Control-Allow-Headers']).toBe('Content-Type, X-Token');
+    expect(res.headers['Access-Control-Allow-Credentials']).toBe('true');
+    expect(res.headers['Access-Control-Max-Age']).toBe('600');
+    expect(res.headers['Vary']).toBe(
+      'Origin, Access-Control-Request-Method, Access-Control-Request-Headers',
+    );
+  });
+
+  test('configured headers replace the reflected request headers', () => {
+    const policy = cors.normalizeCorsConfig({ headers: ['Content-Type'] });
+    const res = mockRes();
+    cors.answerPreflight(preflight('https://a.com', 'GET', 'X-Other'), res, policy);
+    expect(res.statusCode).toBe(204);
+    expect(res.headers['Access-Control-Allow-Origin']).toBe('*');
+    expect(res.headers['Access-Control-Allow-Headers']).toBe('Content-Type');
+  });
+
+  test('disallowed origin or method is 403 CORS_PREFLIGHT_REJECTED', () => {
+    const policy = cors.normalizeCorsConfig({ origins: ['https://a.com'], methods: ['GET'] });
+    const badOrigin = mockRes();
+    cors.answerPreflight(preflight('https://b.com', 'GET'), badOrigin, policy);
+    expect(badOrigin.statusCode).toBe(403);
+    expect(badOrigin.body).toBe('CORS_PREFLIGHT_REJECTED');
+    expect(badOrigin.headers['Access-Control-Allow-Origin']).toBeUndefined();
+
+    const badMethod = mockRes();
+    cors.answerPreflight(preflight('https://a.com', 'DELETE'), badMethod, policy);
+    expect(badMethod.statusCode).toBe(403);
+  });
+});
+
+describe('applyCorsHeaders', () => {
+  test('public policy sends * without Vary: Origin', () => {
+    const res = mockRes();
+    cors.applyCorsHeaders(
+      { method: 'GET', headers: { origin: 'https://a.com' } },
+      res,
+      cors.normalizeCorsConfig(true),
+    );
+    expect(res.headers['Access-Control-Allow-Origin']).toBe('*');
+    expect(res.headers['Vary']).toBeUndefined();
+  });
+
+  test('credentials echo the origin, expose headers and merge Vary', () => {
+    const res = mockRes();
+    res.setHeader('Vary', 'Accept-Encoding');
+    cors.applyCorsHeaders(
+      { method: 'GET', headers: { origin: 'https://a.com' } },
+      res,
+      cors.normalizeCorsConfig({
+        origins: ['https://a.com'],
+        credentials: true,
+        exposed_headers: ['X-Request-Id'],
+      }),
+    );
+    expect(res.headers['Access-Control-Allow-Origin']).toBe('https://a.com');
+    expect(res.headers['Access-Control-Allow-Credentials']).toBe('true');
+    expect(res.headers['Access-Control-Expose-Headers']).toBe('X-Request-Id');
+    expect(res.headers['Vary']).toBe('Accept-Encoding, Origin');
+  });
+
+  test('disallowed origin gets no Access-Control-* headers but still Vary: Origin', () => {
+    const res = mockRes();
+    cors.applyCorsHeaders(
+      { method: 'GET', headers: { origin: 'https://b.com' } },
+      res,
+      cors.normalizeCorsConfig({ origins: ['https://a.com'] }),
+    );
+    expect(res.headers['Access-Control-Allow-Origin']).toBeUndefined();
+    expect(res.headers['Vary']).toBe('Origin');
+  });
+});
+
+describe('routes.json cors metadata', () => {
+  test('compileRoutes carries cors; matchRoute finds the route by method', () => {
+    const compiledRoutes = compileRoutes(
+      {
+        routes: [
+          { path: '/feed', method: 'GET', script: 'feed.js', cors: { origins: '*' } },
+          { path: '/feed', method: 'POST', script: 'post.js', cors: false },
+        ],
+      },
+      { appName: 'demo', appBoxPath: '/srv/web/demo/box', logger: { error: jest.fn() } },
+    );
+    const app = { config: { cors: { origins: ['https://a.com'] } }, compiledRoutes };
+    const get = matchRoute(app, 'GET', '/feed');
+    expect(get.route.script).toBe('feed.js');
+    expect(cors.resolveCorsPolicy(app, get.route).origins).toBe('*');
+    expect(cors.resolveCorsPolicy(app, matchRoute(app, 'POST', '/feed').route)).toBeNull();
+    expect(matchRoute(app, 'DELETE', '/feed')).toBeNull();
+  });
+});
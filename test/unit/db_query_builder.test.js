@@ -0,0 +1,172 @@
+/**
+ * db.table() query builder: per-dialect SQL, and db.paginate() against a real SQLite database.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { als } = require('../../modules/gingee');
+const db = require('../../modules/db');
+const { QueryBuilder } = require('../../modules/dbproviders/query_builder');
+
+const build = (type, table = 'users') => new QueryBuilder(table, { type, runner: null });
+
+describe('QueryBuilder compilation', () => {
+  test('select with where, order and limit per dialect', () => {
+    const q = (type) =>
+      build(type)
+        .select('id', 'name')
+        .where({ active: true, deleted_at: null })
+        .where('age', '>=', 18)
+        .orderBy('id', 'desc')
+        .limit(10)
+        .offset(20)
+        .toSQL();
+
+    expect(q('postgres')).toEqual({
+      sql: 'SELECT "id", "name" FROM "users" WHERE "active" = $1 AND "deleted_at" IS NULL AND "age" >= $2 ORDER BY "id" DESC LIMIT 10 OFFSET 20',
+      params: [true, 18],
+    });
+    expect(q('mysql').sql).toBe(
+      'SELECT `id`, `name` FROM `users` WHERE `active` = $1 AND `deleted_at` IS NULL AND `age` >= $2 ORDER BY `id` DESC LIMIT 10 OFFSET 20',
+    );
+    expect(q('sqlite').params).toEqual([1, 18]);
+    expect(q('mssql').sql).toBe(
+      'SELECT [id], [name] FROM [users] WHERE [active] = $1 AND [deleted_at] IS NULL AND [age] >= $2 ORDER BY [id] DESC OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY',
+    );
+    expect(q('oracle').sql).toBe(
+      'SELECT id, name FROM users WHERE active = $1 AND deleted_at IS NULL AND age >= $2 ORDER BY id DESC OFFSET 20 ROWS FETCH NEXT 10 ROWS ONLY',
+    );
+  });
+
+  test('offset without limit, mssql without order, groups and IN lists', () => {
+    expect(build('sqlite').offset(5).toSQL().sql).toBe('SELECT * FROM "users" LIMIT -1 OFFSET 5');
+    expect(build('mssql').limit(3).toSQL().sql).toBe(
+      'SELECT * FROM [users] ORDER BY (SELECT NULL) OFFSET 0 ROWS FETCH NEXT 3 ROWS ONLY',
+    );
+    const { sql, params } = build('postgres')
+      .where((q) => q.where('role', 'admin').orWhere('role', 'owner'))
+      .whereIn('team_id', [1, 2])
+      .whereIn('id', [])
+      .toSQL();
+    expect(sql).toBe(
+      'SELECT * FROM "users" WHERE ("role" = $1 OR "role" = $2) AND "team_id" IN ($3, $4) AND 1 = 0',
+    );
+    expect(params).toEqual(['admin', 'owner', 1, 2]);
+  });
+
+  test('rejects unsafe identifiers, operators and unfiltered writes', async () => {
+    expect(() => build('postgres', 'users; DROP TABLE x')).toThrow(/Invalid SQL identifier/);
+    expect(() => build('postgres').select('name"--')).not.toThrow();
+    expect(() => build('postgres').select('name"--').toSQL()).toThrow(/Invalid SQL identifier/);
+    expect(() => build('postgres').where('id', 'between', 1)).toThrow(/Invalid where operator/);
+    expect(() => build('postgres').orderBy('id', 'sideways')).toThrow(/direction/);
+    await expect(build('postgres').delete()).rejects.toThrow(/all: true/);
+    expect(() => build('db2')).toThrow(/does not support/);
+  });
+
+  test('an undefined where value throws instead of matching NULL rows', async () => {
+    const input = {};
+    expect(() => build('postgres').where('id', input.id)).toThrow("where() value for 'id' is undefined; pass null");
+    expect(() => build('postgres').where({ id: input.id })).toThrow(/undefined/);
+    expect(() => build('postgres').where('id', '!=', undefined)).toThrow(/undefined/);
+    expect(() => build('postgres').where((q) => q.orWhere('id', undefined))).toThrow(/undefined/);
+    expect(build('postgres').where('id', null).toSQL().sql).toBe('SELECT * FROM "users" WHERE "id" IS NULL');
+  });
+
+  test('upsert compiles to each dialect', () => {
+    const row = { id: 1, name: 'a' };
+    const upsert = (type) => build(type)._compileUpsert(row, 'id');
+    expect(upsert('postgres').sql).toBe(
+      'INSERT INTO "users" ("id", "name") VALUES ($1, $2) ON CONFLICT ("id") DO UPDATE SET "name" = EXCLUDED."name"',
+    );
+    expect(upsert('mysql').sql).toBe(
+      'INSERT INTO `users` (`id`, `name`) VALUES ($1, $2) ON DUPLICATE KEY UPDATE `name` = VALUES(`name`)',
+    );
+    expect(upsert('mssql').sql).toBe(
+      'MERGE INTO [users] AS target USING (VALUES ($1, $2)) AS source ([id], [name]) ON (target.[id] = source.[id]) WHEN MATCHED THEN UPDATE SET target.[name] = source.[name] WHEN NOT MATCHED THEN INSERT ([id], [name]) VALUES (source.[id], source.[name]);',
+    );
+    expect(upsert('oracle').sql).toBe(
+      'MERGE INTO users target USING (SELECT $1 id, $2 name FROM dual) source ON (target.id = source.id) WHEN MATCHED THEN UPDATE SET target.name = source.name WHEN NOT MATCHED THEN INSERT (id, name) VALUES (source.id, source.name)',
+    );
+    expect(build('oracle')._compileInsert([row, row]).sql).toBe(
+      'INSERT ALL INTO users (id, name) VALUES ($1, $2) INTO users (id, name) VALUES ($3, $4) SELECT 1 FROM dual',
+    );
+  });
+});
+
+describe('db.table() / db.paginate() on SQLite', () => {
+  let tmp;
+  const app = { name: 'qb' };
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const inApp = (fn) => als.run({ appName: 'qb' }, fn);
+
+  beforeAll(async () => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-qb-'));
+    app.appBoxPath = tmp;
+    db.init('main', { name: 'main', type: 'sqlite', database: 'qb.db' }, app, logger);
+    await inApp(() =>
+      db.execute('main', 'CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT, score INTEGER)'),
+    );
+  });
+
+  afterAll(async () => {
+    await db.shutdownApp('qb', logger);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('insert, upsert, update, delete and count', () =>
+    inApp(async () => {
+      const items = () => db.table('main', 'items');
+      const rows = Array.from({ length: 7 }, (_, i) => ({ id: i + 1, name: `n${i + 1}`, score: i % 3 }));
+      expect(await items().insert(rows)).toBe(7);
+      await items().upsert({ id: 7, name: 'seven', score: 9 }, 'id');
+      expect(await items().where('id', 7).first()).toEqual({ id: 7, name: 'seven', score: 9 });
+      expect(await items().where({ score: 0 }).update({ score: 5 })).toBe(2);
+      expect(await items().where('score', 5).count()).toBe(2);
+      await items().upsert({ id: 8, name: 'n8', score: 1 }, 'id');
+      expect(await items().whereIn('id', [8]).delete()).toBe(1);
+      expect(await items().count()).toBe(7);
+    }));
+
+  test('keyset pagination walks forward and back', () =>
+    inApp(async () => {
+      const base = () => db.table('main', 'items').select('id', 'name').orderBy('id');
+      const p1 = await db.paginate(base(), { limit: 3 });
+      expect(p1.rows.map((r) => r.id)).toEqual([1, 2, 3]);
+      expect(p1.total).toBe(7);
+      expect(p1.prevCursor).toBeNull();
+
+      const p2 = await db.paginate(base(), { limit: 3, cursor: p1.nextCursor });
+      expect(p2.rows.map((r) => r.id)).toEqual([4, 5, 6]);
+      const p3 = await db.paginate(base(), { limit: 3, cursor: p2.nextCursor, total: false });
+      expect(p3.rows.map((r) => r.id)).toEqual([7]);
+      expect(p3.nextCursor).toBeNull();
+      expect(p3.total).toBeNull();
+
+      const back = await db.paginate(base(), { limit: 3, cursor: p2.prevCursor });
+      expect(back.rows.map((r) => r.id)).toEqual([1, 2, 3]);
+      expect(back.prevCursor).toBeNull();
+      expect(back.nextCursor).not.toBeNull();
+
+      await expect(db.paginate(db.table('main', 'items'), {})).rejects.toThrow(/orderBy/);
+      await expect(db.paginate(base(), { cursor: 'garbage' })).rejects.toThrow(/cursor/);
+    }));
+
+  test('keyset pagination rejects NULL orderBy values with a clear error', () =>
+    inApp(async () => {
+      await db.table('main', 'items').insert({ id: 20, name: null, score: 1 });
+      const byName = () => db.table('main', 'items').select('id', 'name').orderBy('name').orderBy('id');
+      await expect(db.paginate(byName(), { limit: 50 })).rejects.toThrow(
+        "orderBy column 'name' is NULL in a matching row",
+      );
+
+      const p1 = await db.paginate(byName().whereNotNull('name'), { limit: 2 });
+      expect(p1.rows.every((r) => r.name !== null)).toBe(true);
+      const p2 = await db.paginate(byName().whereNotNull('name'), { limit: 2, cursor: p1.nextCursor });
+      expect(p2.rows).toHaveLength(2);
+
+      const nullCursor = Buffer.from(JSON.stringify({ d: 'next', v: [null, 1] })).toString('base64url');
+      await expect(db.paginate(byName(), { cursor: nullCursor })).rejects.toThrow('Invalid pagination cursor.');
+      await db.table('main', 'items').where('id', 20).delete();
+    }));
+});
@@ -0,0 +1,165 @@
+/**
+ * app.json db[].replicas routing and db[].pool normalization, plus pool gauges in /metrics.
+ */
+const mockInstances = [];
+
+jest.mock('../../modules/dbproviders/postgres.js', () => {
+  return class FakeAdapter {
+    constructor(config) {
+      this.config = config;
+      this.calls = [];
+      this.fail = false;
+      this.logger = { warn: jest.fn() };
+      this.shutdown = jest.fn(async () => {});
+      mockInstances.push(this);
+    }
+    async query(sql, params) {
+      this.calls.push(['query', sql]);
+      if (this.fail) throw this.fail;
+      return { rows: [{ host: this.config.host }], rowCount: 1 };
+    }
+    async execute(sql) {
+      this.calls.push(['execute', sql]);
+      return 1;
+    }
+    async transaction(cb) {
+      this.calls.push(['transaction']);
+      return cb({ query: this.query.bind(this), execute: this.execute.bind(this) });
+    }
+    poolStats() {
+      return { total: 3, idle: 1, waiting: 0, max: this.config.pool.max };
+    }
+  };
+});
+
+const { als } = require('../../modules/gingee');
+const db = require('../../modules/db');
+const metrics = require('../../modules/metrics');
+const { getPoolStats } = require('../../modules/engine/db_registry');
+const { resolvePoolOptions } = require('../../modules/dbproviders/pool_options');
+
+describe('resolvePoolOptions', () => {
+  test('defaults, pool object, and legacy top-level keys', () => {
+    expect(resolvePoolOptions({})).toEqual({ min: 0, max: 10, idleTimeoutMs: 30000 });
+    expect(resolvePoolOptions({ pool: { min: 2, max: 20, idle_timeout_ms: 5000 } })).toEqual({
+      min: 2,
+      max: 20,
+      idleTimeoutMs: 5000,
+    });
+    expect(resolvePoolOptions({ max: 4, idleTimeoutMillis: 1000, pool: { min: 1 } })).toEqual({
+      min: 1,
+      max: 4,
+      idleTimeoutMs: 1000,
+    });
+  });
+
+  test('rejects invalid values', () => {
+    expect(() => resolvePoolOptions({ pool: { max: 0 } })).toThrow(/at least 1/);
+    expect(() => resolvePoolOptions({ pool: { min: 5, max: 2 } })).toThrow(/greater than/);
+    expect(() => resolvePoolOptions({ pool: { min: -1 } })).toThrow(/non-negative/);
+  });
+});
+
+describe('db replicas', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const app = { name: 'reports' };
+  const inApp = (fn) => als.run({ appName: 'reports' }, fn);
+  let primary;
+  let replicas;
+
+  beforeEach(() => {
+    mockInstances.length = 0;
+    db.init(
+      'main',
+      {
+        name: 'main',
+        type: 'postgres',
+        host: 'primary',
+        user: 'app',
+        pool: { max: 8 },
+        replicas: [{ host: 'r1' }, { host: 'r2', pool: { max: 4 } }],
+      },
+      app,
+      logger,
+    );
+    [primary, ...replicas] = mockInstances;
+  });
+
+  afterEach(async () => {
+    await db.shutdownApp('reports', logger);
+  });
+
+  test('replicas inherit the primary config and override per entry', () => {
+    expect(replicas.map((r) => [r.config.host, r.config.user, r.config.pool.max])).toEqual([
+      ['r1', 'app', 8],
+      ['r2', 'app', 4],
+    ]);
+    expect(replicas[0].config.replicas).toBeUndefined();
+  });
+
+  test('reads go round-robin to replicas; writes, transactions and { primary } to the primary', () =>
+    inApp(async () => {
+      const hosts = [];
+      for (let i = 0; i < 3; i++) {
+        hosts.push((await db.query.one('main', 'SELECT 1')).host);
+      }
+      expect(hosts).toEqual(['r1', 'r2', 'r1']);
+
+      expect((await db.query.one('main', 'SELECT 1', [], { primary: true })).host).toBe('primary');
+      expect((await db.query.one('main', 'SELECT * FROM t FOR UPDATE')).host).toBe('primary');
+      expect((await db.query.one('main', 'WITH x AS (DELETE FROM t RETURNING *) SELECT * FROM x')).host).toBe(
+        'primary',
+      );
+      expect((await db.query.one('main', 'INSERT INTO t VALUES (1) RETURNING id')).host).toBe('primary');
+
+      await db.execute('main', 'UPDATE t SET a = 1');
+      await db.transaction('main', async (tx) => tx.query('SELECT 1'));
+      expect(replicas.flatMap((r) => r.calls).every(([, sql]) => /^SELECT 1$/.test(sql))).toBe(true);
+      expect(primary.calls.map(([kind]) => kind)).toEqual(expect.arrayContaining(['execute', 'transaction']));
+
+      expect((await db.table('main', 'users', { primary: true }).first()).host).toBe('primary');
+    }));
+
+  test('a failing replica falls back to the primary', () =>
+    inApp(async () => {
+      replicas[0].fail = Object.assign(new Error('connect ECONNREFUSED 10.0.0.2:5432'), { code: 'ECONNREFUSED' });
+      expect((await db.query.one('main', 'SELECT 1')).host).toBe('primary');
+      expect(replicas[0].logger.warn).toHaveBeenCalledWith(expect.stringMatching(/retrying on primary/));
+    }));
+
+  test('query errors from a reachable replica are not retried on the primary', () =>
+    inApp(async () => {
+      const syntax = Object.assign(new Error('syntax error at or near "SELEC"'), { code: '42601' });
+      replicas.forEach((r) => (r.fail = syntax));
+      const before = primary.calls.length;
+      try {
+        await expect(db.query('main', 'SELECT oops')).rejects.toBe(syntax);
+        expect(primary.calls.length).toBe(before);
+      } finally {
+        replicas.forEach((r) => (r.fail = false));
+      }
+    }));
+
+  test('pool stats cover primary and replicas and render as gauges; shutdown closes replicas', async () => {
+    expect(db.getPoolStats).toBeUndefined();
+    const stats = getPoolStats().filter((s) => s.app === 'reports');
+    expect(stats.map((s) => [s.target, s.max])).toEqual([
+      ['primary', 8],
+      ['replica-0', 8],
+      ['replica-1', 4],
+    ]);
+    const text = metrics.renderPrometheus({ dbPools: stats });
+    expect(text).toContain('gingee_db_pool_connections{app="reports",db="main",target="replica-1"} 3');
+    expect(text).toContain('gingee_db_pool_max_connections{app="reports",db="main",target="primary"} 8');
+
+    await db.shutdownApp('reports', logger);
+    expect(replicas.every((r) => r.shutdown.mock.calls.length === 1)).toBe(true);
+    expect(getPoolStats().filter((s) => s.app === 'reports')).toEqual([]);
+  });
+
+  test('sqlite databases cannot declare replicas', () => {
+    expect(() =>
+      db.init('local', { name: 'local', type: 'sqlite', database: 'x.db', replicas: [{}] }, app, logger),
+    ).toThrow(/do not support replicas/);
+  });
+});
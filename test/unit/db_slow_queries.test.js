@@ -0,0 +1,102 @@
+/**
+ * db facade timing: duration histogram, slow-query log with redacted params, Glade top list.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { als } = require('../../modules/gingee');
+const db = require('../../modules/db');
+const metrics = require('../../modules/metrics');
+const { getSlowQueries, clearSlowQueries } = require('../../modules/engine/slow_queries');
+
+describe('db timing and slow queries', () => {
+  let tmp;
+  let logger;
+  const inApp = (fn) => als.run({ appName: 'slowapp' }, fn);
+  const setup = (extra) => {
+    db.init(
+      'main',
+      { name: 'main', type: 'sqlite', database: 'data/slow.db', ...extra },
+      { name: 'slowapp', appBoxPath: tmp },
+      logger,
+    );
+  };
+  const countOf = (operation) => {
+    const line = metrics
+      .renderPrometheus()
+      .split('\n')
+      .find((l) =>
+        l.startsWith(`gingee_db_query_duration_seconds_count{app="slowapp",db="main",operation="${operation}"}`),
+      );
+    return line ? Number(line.split(' ').pop()) : 0;
+  };
+
+  beforeEach(() => {
+    metrics._resetForTests();
+    clearSlowQueries('slowapp');
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-slow-'));
+    logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  });
+
+  afterEach(async () => {
+    await db.shutdownApp('slowapp', logger);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('every query, execute and transaction is timed by operation', () => {
+    setup({ slow_query_ms: 0 });
+    return inApp(async () => {
+      await db.execute('main', 'CREATE TABLE t (id INTEGER, secret TEXT)');
+      await db.query('main', 'SELECT * FROM t');
+      await db.query.one('main', 'SELECT * FROM t');
+      await db.transaction('main', async (tx) => {
+        await tx.execute('INSERT INTO t VALUES ($1, $2)', [1, 'x']);
+        await db.table('main', 't').using(tx).count();
+      });
+      await expect(db.query('main', 'SELECT * FROM missing')).rejects.toMatchObject({ code: 'SQLITE_ERROR' });
+
+      expect(countOf('execute')).toBe(2);
+      expect(countOf('query')).toBe(4);
+      expect(countOf('transaction')).toBe(1);
+      expect(logger.warn).not.toHaveBeenCalled();
+      expect(getSlowQueries('slowapp')).toEqual([]);
+    });
+  });
+
+  test('statements over slow_query_ms are logged with params redacted and listed for Glade', () => {
+    setup({ slow_query_ms: 0.000001 });
+    return inApp(async () => {
+      await db.execute('main', 'CREATE TABLE t (id INTEGER, secret TEXT)');
+      for (let i = 0; i < 3; i++) {
+        await db.execute('main', 'INSERT INTO t\n   VALUES ($1, $2)', [i, 'hunter2']);
+      }
+      await db.transaction('main', async (tx) => tx.query('SELECT secret FROM t WHERE id = $1', [null]));
+
+      const insertLog = logger.warn.mock.calls.find(([msg]) => msg.includes('INSERT'));
+      expect(insertLog[0]).toMatch(/^Slow execute on db 'main': \d+ ms: INSERT INTO t VALUES \(\$1, \$2\)$/);
+      expect(insertLog[1]).toMatchObject({ db: 'main', operation: 'execute', params: ['<number>', '<string>'] });
+      expect(JSON.stringify(logger.warn.mock.calls)).not.toContain('hunter2');
+      expect(logger.warn.mock.calls.some(([msg]) => /^Slow transaction on db 'main'/.test(msg))).toBe(true);
+
+      const slow = getSlowQueries('slowapp');
+      expect(slow.map((q) => [q.operation, q.sql, q.count])).toEqual(
+        expect.arrayContaining([
+          ['execute', 'INSERT INTO t VALUES ($1, $2)', 3],
+          ['query', 'SELECT secret FROM t WHERE id = $1', 1],
+        ]),
+      );
+      expect(slow.some((q) => q.operation === 'transaction')).toBe(false);
+      expect(slow[0]).toEqual(
+        expect.objectContaining({ maxMs: expect.any(Number), avgMs: expect.any(Number), lastAt: expect.any(String) }),
+      );
+      expect(getSlowQueries('slowapp', { limit: 1 })).toHaveLength(1);
+
+      clearSlowQueries('slowapp');
+      expect(getSlowQueries('slowapp')).toEqual([]);
+    });
+  });
+
+  test('rejects an invalid slow_query_ms', () => {
+    expect(() => setup({ slow_query_ms: -5 })).toThrow(/slow_query_ms/);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * db.stream: batched async iteration over large results, early exit and abort handling (SQLite).
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { als } = require('../../modules/gingee');
+const db = require('../../modules/db');
+
+describe('db.stream on SQLite', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  let tmp;
+  let app;
+  const inApp = (fn, store = {}) => als.run({ appName: 'exports', ...store }, fn);
+  const collect = async (iterable) => {
+    const rows = [];
+    for await (const row of iterable) rows.push(row);
+    return rows;
+  };
+
+  beforeEach(async () => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-stream-'));
+    app = { name: 'exports', appBoxPath: tmp };
+    db.init('main', { name: 'main', type: 'sqlite', database: 'data/exports.db' }, app, logger);
+    await inApp(async () => {
+      await db.execute('main', 'CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)');
+      await db.transaction('main', async (tx) => {
+        for (let i = 1; i <= 1200; i++) await tx.execute('INSERT INTO items VALUES ($1, $2)', [i, `item ${i}`]);
+      });
+    });
+  });
+
+  afterEach(async () => {
+    await db.shutdownApp('exports', logger);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('yields every row in order, with parameters', () =>
+    inApp(async () => {
+      const rows = await collect(
+        db.stream('main', 'SELECT * FROM items WHERE id > $1 ORDER BY id', [200], { batchSize: 64 }),
+      );
+      expect(rows).toHaveLength(1000);
+      expect(rows[0]).toEqual({ id: 201, name: 'item 201' });
+      expect(rows[999].id).toBe(1200);
+    }));
+
+  test('the main connection stays usable while streaming (WAL for writes), and break closes the stream', () =>
+    inApp(async () => {
+      await db.query('main', 'PRAGMA journal_mode = WAL');
+      let seen = 0;
+      for await (const row of db.stream('main', 'SELECT id FROM items ORDER BY id', [], { batchSize: 10 })) {
+        seen = row.id;
+        if (row.id === 3) expect(await db.query.one('main', 'SELECT COUNT(*) AS n FROM items')).toEqual({ n: 1200 });
+        if (row.id === 5) await db.execute('main', 'UPDATE items SET name = $1 WHERE id = $2', ['touched', 1]);
+        if (row.id === 25) break;
+      }
+      expect(seen).toBe(25);
+      expect((await db.query.one('main', 'SELECT name FROM items WHERE id = 1')).name).toBe('touched');
+      // A second stream after an early exit starts fresh.
+      expect(await collect(db.stream('main', 'SELECT id FROM items WHERE id <= 3'))).toHaveLength(3);
+    }));
+
+  test('an aborted request signal stops iteration with an AbortError', async () => {
+    const controller = new AbortController();
+    const rows = [];
+    const err = await inApp(
+      async () => {
+        try {
+          for await (const row of db.stream('main', 'SELECT id FROM items', [], { batchSize: 50 })) {
+            rows.push(row);
+            if (rows.length === 120) controller.abort(new Error('Request timeout'));
+          }
+        } catch (e) {
+          return e;
+        }
+        return null;
+      },
+      { requestAbortSignal: controller.signal },
+    );
+    expect(err).toMatchObject({ name: 'AbortError', code: 'ABORT_ERR' });
+    expect(err.message).toMatch(/aborted: Request timeout/);
+    expect(rows.length).toBeLessThanOrEqual(150);
+  });
+
+  test('options.signal works alongside the request signal; an already aborted one never queries', () =>
+    inApp(
+      async () => {
+        const controller = new AbortController();
+        controller.abort();
+        await expect(
+          collect(db.stream('main', 'SELECT id FROM items', [], { signal: controller.signal })),
+        ).rejects.toThrow(/db.stream aborted/);
+      },
+      { requestAbortSignal: new AbortController().signal },
+    ));
+
+  test('rejects bad batch sizes and reports query errors', () =>
+    inApp(async () => {
+      await expect(collect(db.stream('main', 'SELECT 1', [], { batchSize: 0 }))).rejects.toThrow(/batchSize/);
+      // SqliteError comes from the first test file's realm when suites share a worker, so match by message.
+      await expect(collect(db.stream('main', 'SELECT * FROM missing'))).rejects.toMatchObject({
+        message: expect.stringMatching(/no such table/),
+      });
+    }));
+});
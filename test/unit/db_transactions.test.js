@@ -0,0 +1,89 @@
+/**
+ * db.transaction on SQLite: nested transactions become savepoints, and statements from other
+ * requests wait until the open transaction ends instead of running inside it.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { als } = require('../../modules/gingee');
+const db = require('../../modules/db');
+
+describe('db.transaction on SQLite', () => {
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  let tmp;
+  const inApp = (fn) => als.run({ appName: 'ledger' }, fn);
+  const names = async () => (await db.query.many('main', 'SELECT name FROM items ORDER BY id')).map((r) => r.name);
+
+  beforeEach(async () => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-tx-'));
+    const app = { name: 'ledger', appBoxPath: tmp };
+    db.init('main', { name: 'main', type: 'sqlite', database: 'data/ledger.db' }, app, logger);
+    await inApp(() => db.execute('main', 'CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)'));
+  });
+
+  afterEach(async () => {
+    await db.shutdownApp('ledger', logger);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('a nested transaction is a savepoint that commits or rolls back on its own', () =>
+    inApp(async () => {
+      const result = await db.transaction('main', async (tx) => {
+        await tx.execute("INSERT INTO items (name) VALUES ('outer')");
+        await db.transaction('main', async (inner) => {
+          await inner.execute("INSERT INTO items (name) VALUES ('kept')");
+        });
+        await expect(
+          db.transaction('main', async (inner) => {
+            await inner.execute("INSERT INTO items (name) VALUES ('dropped')");
+            throw new Error('inner failed');
+          }),
+        ).rejects.toThrow('inner failed');
+        return 'done';
+      });
+      expect(result).toBe('done');
+      expect(await names()).toEqual(['outer', 'kept']);
+
+      await expect(
+        db.transaction('main', async (tx) => {
+          await tx.execute("INSERT INTO items (name) VALUES ('lost')");
+          await db.transaction('main', (inner) => inner.execute("INSERT INTO items (name) VALUES ('lost too')"));
+          throw new Error('outer failed');
+        }),
+      ).rejects.toThrow('outer failed');
+      expect(await names()).toEqual(['outer', 'kept']);
+    }));
+
+  test('statements from other requests wait for the open transaction and survive its rollback', async () => {
+    let release;
+    const gate = new Promise((resolve) => {
+      release = resolve;
+    });
+    let entered;
+    const started = new Promise((resolve) => {
+      entered = resolve;
+    });
+    const failing = inApp(() =>
+      db.transaction('main', async (tx) => {
+        await tx.execute("INSERT INTO items (name) VALUES ('rolled back')");
+        entered();
+        await gate;
+        throw new Error('abort');
+      }),
+    );
+    await started;
+
+    const other = inApp(() => db.execute('main', "INSERT INTO items (name) VALUES ('other request')"));
+    let otherDone = false;
+    other.then(() => {
+      otherDone = true;
+    });
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(otherDone).toBe(false);
+
+    release();
+    await expect(failing).rejects.toThrow('abort');
+    await other;
+    expect(await inApp(names)).toEqual(['other request']);
+  });
+});
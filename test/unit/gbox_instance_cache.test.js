@@ -6,6 +6,8 @@ const path = require('path');
 const os = require('os');
 const fs = require('fs');
 const vm = require('vm');
+const nodeCrypto = require('crypto');
+const cacheService = require('../../modules/cache_service');
 const { als } = require('../../modules/gingee');
 const {
   runInGBox,
@@ -326,4 +328,34 @@ describe('gbox instance cache', () => {
       expect(infoMsgs.some((m) => /CACHE SET/i.test(m))).toBe(false);
     });
   });
+
+  test('persistent transpile entries are used only for their own source', async () => {
+    await cacheService.init({ provider: 'sqlite' }, logger, { projectRoot: tmpRoot });
+    try {
+      const cfg = makeConfig({ useCache: true });
+      const scriptPath = path.join(appBoxPath, 'esm.js');
+      const source = 'export default async function () { return { genuine: true }; }\n';
+      fs.writeFileSync(scriptPath, source);
+      const key = `_gbox:transpile:${nodeCrypto.createHash('sha256').update(source).digest('hex')}`;
+      const run = () =>
+        als.run(alsStoreFor(cfg), async () => {
+          clearInstanceCache();
+          transpileCache.clear();
+          const mod = runInGBox(scriptPath, cfg);
+          return (mod.default || mod)();
+        });
+
+      expect(await run()).toEqual({ genuine: true });
+      const stored = await cacheService.get(key);
+      expect(stored.code).toMatch(/genuine/);
+
+      const forged = 'module.exports = async () => ({ genuine: false });';
+      for (const entry of [forged, { ...stored, source: 'x', code: forged }]) {
+        await cacheService.set(key, entry, 60);
+        expect(await run()).toEqual({ genuine: true });
+      }
+    } finally {
+      await cacheService.shutdown();
+    }
+  });
 });
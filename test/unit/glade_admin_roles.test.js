@@ -0,0 +1,129 @@
+/**
+ * Glade admin users (ADMIN_USERS + legacy single admin) and per-endpoint roles.
+ */
+const fs = require("fs");
+const path = require("path");
+const adminUsers = require("../../web/glade/box/admin_users.js");
+
+describe("glade admin_users.js", () => {
+  const env = {
+    ADMIN_USERNAME: "admin",
+    ADMIN_PASSWORD_HASH: "$argon2id$legacy",
+    ADMIN_TOTP_SECRET: "JBSWY3DPEHPK3PXP",
+    ADMIN_USERS: [
+      { username: "dana", password_hash: "$argon2id$dana", role: "Operator" },
+      {
+        username: "lee",
+        password_hash: "$argon2id$lee",
+        totp_secret: "KRSXG5CTMVRXEZLU",
+        recovery_codes: ["$argon2id$r1", "$argon2id$r2"],
+      },
+    ],
+  };
+
+  test("legacy ADMIN_USERNAME is an admin; ADMIN_USERS entries carry their own role and factor", () => {
+    const users = adminUsers.loadUsers(env);
+    expect([...users.keys()]).toEqual(["admin", "dana", "lee"]);
+    expect(adminUsers.findUser(env, "admin")).toEqual({
+      username: "admin",
+      passwordHash: "$argon2id$legacy",
+      role: "admin",
+      mfa: { enabled: true, secret: "JBSWY3DPEHPK3PXP", recoveryHashes: [] },
+    });
+    expect(adminUsers.findUser(env, "dana")).toMatchObject({
+      role: "operator",
+      mfa: { enabled: false },
+    });
+    expect(adminUsers.findUser(env, "lee")).toMatchObject({
+      role: "viewer",
+      mfa: {
+        enabled: true,
+        secret: "KRSXG5CTMVRXEZLU",
+        recoveryHashes: ["$argon2id$r1", "$argon2id$r2"],
+      },
+    });
+    expect(adminUsers.findUser(env, "nobody")).toBeNull();
+    expect(adminUsers.findUser(env, "")).toBeNull();
+  });
+
+  test("an ADMIN_USERS entry overrides the legacy account of the same name", () => {
+    const users = adminUsers.loadUsers({
+      ...env,
+      ADMIN_USERS: [
+        { username: "admin", password_hash: "$argon2id$new", role: "viewer" },
+      ],
+    });
+    expect(users.get("admin")).toMatchObject({
+      passwordHash: "$argon2id$new",
+      role: "viewer",
+    });
+    expect(adminUsers.loadUsers({}).size).toBe(0);
+  });
+
+  test("rejects malformed ADMIN_USERS", () => {
+    expect(() => adminUsers.loadUsers({ ADMIN_USERS: {} })).toThrow(/array/);
+    expect(() =>
+      adminUsers.loadUsers({ ADMIN_USERS: [{ username: "x" }] }),
+    ).toThrow(/ADMIN_USERS\[0\].*password_hash/);
+    expect(() =>
+      adminUsers.loadUsers({
+        ADMIN_USERS: [{ username: "x", password_hash: "h", role: "root" }],
+      }),
+    ).toThrow(/unknown role 'root'/);
+  });
+
+  test("endpoint roles: viewers read, operators operate, admins change code and permissions", () => {
+    const can = (role, endpoint) =>
+      adminUsers.hasRole(
+        role,
+        adminUsers.requiredRole(`/glade/api/${endpoint}`),
+      );
+
+    expect(can("viewer", "apps")).toBe(true);
+    expect(can("viewer", "logs-read")).toBe(true);
+    expect(can("viewer", "queue-dlq-list")).toBe(true);
+    expect(can("viewer", "reload-app")).toBe(false);
+    expect(can("operator", "reload-app")).toBe(true);
+    expect(can("operator", "schedule-run")).toBe(true);
+    expect(can("operator", "queue-dlq-retry")).toBe(true);
+    expect(can("operator", "install")).toBe(false);
+    expect(can("operator", "set-permissions")).toBe(false);
+    expect(can("admin", "delete")).toBe(true);
+    expect(can(null, "apps")).toBe(false);
+
+    // Unlisted endpoints fail closed; non-API paths are not role-gated here.
+    expect(adminUsers.requiredRole("/glade/api/something-new")).toBe("admin");
+    expect(adminUsers.requiredRole("/glade/api/apps?x=1")).toBe("viewer");
+    expect(adminUsers.requiredRole("/glade/index.html")).toBeNull();
+  });
+
+  test("paths that file-based routing still maps to an API script keep their role", () => {
+    expect(adminUsers.requiredRole("/glade//api/install")).toBe("admin");
+    expect(adminUsers.requiredRole("/glade/api//install")).toBe("admin");
+    expect(adminUsers.requiredRole("//glade/api/./install/")).toBe("admin");
+    expect(adminUsers.requiredRole("/glade/x/../api/reload-app")).toBe(
+      "operator",
+    );
+    expect(adminUsers.requiredRole("/glade/api/apps/../delete")).toBe("admin");
+    expect(adminUsers.requiredRole("/glade/api/apps/nested")).toBe("admin");
+    expect(adminUsers.requiredRole("/glade/api")).toBe("admin");
+    expect(
+      adminUsers.hasRole(
+        "viewer",
+        adminUsers.requiredRole("/glade//api/install"),
+      ),
+    ).toBe(false);
+  });
+
+  test("every Glade API script has an explicit role", () => {
+    const apiDir = path.join(__dirname, "../../web/glade/box/api");
+    const endpoints = fs
+      .readdirSync(apiDir)
+      .filter((f) => f.endsWith(".js"))
+      .map((f) => f.replace(/\.js$/, ""));
+    const missing = endpoints.filter(
+      (name) => !adminUsers.ENDPOINT_ROLES[name],
+    );
+    expect(missing).toEqual([]);
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Host-based (virtual host) routing: gingee.json hosts + app.json hosts.
+ */
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const {
+  normalizeHostName,
+  hostPatternMatches,
+  isAppHostAllowed,
+  resolveHostApp,
+  mountUrlOnApp,
+  resolveApp,
+  resolveScriptTarget,
+  warnHostConflicts,
+  warnRefusedAppHosts,
+} = require('../../modules/engine/request/resolve');
+
+function makeLogger() {
+  return { debug: jest.fn(), info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+}
+
+describe('host routing helpers', () => {
+  test('normalizeHostName strips port, brackets, case and trailing dot', () => {
+    expect(normalizeHostName('Shop.Example.com:8443')).toBe('shop.example.com');
+    expect(normalizeHostName('shop.example.com.')).toBe('shop.example.com');
+    expect(normalizeHostName('[::1]:7070')).toBe('::1');
+    expect(normalizeHostName('::1')).toBe('::1');
+    expect(normalizeHostName(undefined)).toBe('');
+  });
+
+  test('hostPatternMatches supports exact and leading wildcard', () => {
+    expect(hostPatternMatches('shop.example.com', 'shop.example.com')).toBe(true);
+    expect(hostPatternMatches('*.example.com', 'a.example.com')).toBe(true);
+    expect(hostPatternMatches('*.example.com', 'a.b.example.com')).toBe(true);
+    expect(hostPatternMatches('*.example.com', 'example.com')).toBe(false);
+    expect(hostPatternMatches('*.example.com', 'badexample.com')).toBe(false);
+  });
+
+  test('mountUrlOnApp prefixes app folder and keeps already-prefixed URLs', () => {
+    expect(mountUrlOnApp('/', 'shop')).toBe('/shop/');
+    expect(mountUrlOnApp('/api/x?y=1', 'shop')).toBe('/shop/api/x?y=1');
+    expect(mountUrlOnApp('/shop/css/a.css', 'shop')).toBe('/shop/css/a.css');
+  });
+
+  test('gingee.json hosts win over app.json hosts; exact beats wildcard', () => {
+    const apps = {
+      shop: { config: { hosts: ['*.example.com'] } },
+      admin: { config: { hosts: ['admin.example.com'] } },
+      blog: { config: {} },
+    };
+    const config = {
+      hosts: { 'blog.example.com': 'blog', 'gone.example.com': 'missing' },
+      app_hosts: ['*.example.com'],
+    };
+    expect(resolveHostApp('blog.example.com', apps, config)).toBe('blog');
+    expect(resolveHostApp('admin.example.com:80', apps, config)).toBe('admin');
+    expect(resolveHostApp('www.example.com', apps, config)).toBe('shop');
+    // Mapping to an app that is not installed is ignored (falls through to wildcard).
+    expect(resolveHostApp('gone.example.com', apps, config)).toBe('shop');
+    expect(resolveHostApp('localhost:7070', apps, config)).toBeNull();
+  });
+
+  test('warnHostConflicts reports hosts claimed by several apps', () => {
+    const logger = makeLogger();
+    const apps = {
+      a: { config: { hosts: ['same.example.com'] } },
+      b: { config: { hosts: ['SAME.example.com'] } },
+    };
+    expect(warnHostConflicts(apps, { app_hosts: ['same.example.com'] }, logger)).toEqual(['same.example.com']);
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('app.json hosts count only where gingee.json app_hosts allows them', () => {
+    const config = { app_hosts: ['*.apps.example.com', 'shop.example.com'] };
+    expect(isAppHostAllowed('shop.example.com', config)).toBe(true);
+    expect(isAppHostAllowed('Blog.Apps.Example.com', config)).toBe(true);
+    expect(isAppHostAllowed('*.blog.apps.example.com', config)).toBe(true);
+    expect(isAppHostAllowed('*.apps.example.com', config)).toBe(true);
+    expect(isAppHostAllowed('apps.example.com', config)).toBe(false);
+    expect(isAppHostAllowed('*.example.com', config)).toBe(false);
+    expect(isAppHostAllowed('www.shop.example.com', config)).toBe(false);
+    expect(isAppHostAllowed('shop.example.com', {})).toBe(false);
+
+    // Without an allow-list entry an app cannot take over the server's own host (Glade, default_app).
+    const logger = makeLogger();
+    const apps = {
+      glade: { config: {} },
+      evil: { config: { hosts: ['admin.example.com', '*.example.com', 'x.apps.example.com'] } },
+    };
+    expect(resolveHostApp('admin.example.com', apps, config)).toBeNull();
+    expect(resolveHostApp('www.example.com', apps, config)).toBeNull();
+    expect(resolveHostApp('x.apps.example.com', apps, config)).toBe('evil');
+    expect(warnRefusedAppHosts(apps, config, logger)).toEqual(['evil: admin.example.com', 'evil: *.example.com']);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/'admin\.example\.com', which gingee\.json app_hosts/));
+  });
+});
+
+describe('resolveApp with host mapping', () => {
+  const app_hosts = ['shop.example.com'];
+  let tmpDir;
+  let apps;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-hosts-'));
+    const boxPath = path.join(tmpDir, 'shop', 'box');
+    fs.mkdirSync(path.join(boxPath, 'api'), { recursive: true });
+    fs.writeFileSync(path.join(boxPath, 'api', 'items.js'), 'module.exports = () => {};');
+    apps = {
+      glade: { config: {} },
+      shop: {
+        config: { hosts: ['shop.example.com'] },
+        appWebPath: path.join(tmpDir, 'shop'),
+        appBoxPath: boxPath,
+      },
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  test('root on a mapped host goes to the mapped app, not default_app', () => {
+    const req = { url: '/?a=1', headers: { host: 'shop.example.com' } };
+    const r = resolveApp(req, apps, { default_app: 'glade', app_hosts }, makeLogger());
+    expect(r.appName).toBe('shop');
+    expect(req.url).toBe('/shop/?a=1');
+    expect(r.queryString).toBe('?a=1');
+  });
+
+  test('unmapped host keeps path-prefix routing and default_app', () => {
+    const req = { url: '/', headers: { host: 'localhost:7070' } };
+    const r = resolveApp(req, apps, { default_app: 'glade', app_hosts }, makeLogger());
+    expect(r.appName).toBe('glade');
+  });
+
+  test('file-based script resolves against the host-mapped app', () => {
+    const req = { url: '/api/items', method: 'GET', headers: { host: 'shop.example.com' } };
+    const r = resolveApp(req, apps, { app_hosts }, makeLogger());
+    const target = resolveScriptTarget(req, r.app, r.appName, r.urlWithoutQuery, r.urlParts);
+    expect(target.targetScriptPath).toBe(
+      path.join(apps.shop.appBoxPath, 'api', 'items.js'),
+    );
+  });
+
+  test('other apps are not reachable through a mapped host', () => {
+    const req = { url: '/glade/index.html', headers: { host: 'shop.example.com' } };
+    const r = resolveApp(req, apps, { app_hosts }, makeLogger());
+    expect(r.appName).toBe('shop');
+    expect(r.urlParts).toEqual(['shop', 'glade', 'index.html']);
+  });
+});
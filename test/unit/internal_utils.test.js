@@ -225,6 +225,22 @@ describe("internal_utils.js - resolveSecurePath", () => {
     });
   });
 
+  // TEMP scope: always relative to <project>/temp/apps/<app>, with or without a leading '/'
+  test("should resolve TEMP paths from the app temp root and keep them inside it", () => {
+    als.run({ ...mockStore, projectRoot: path.resolve("/project") }, () => {
+      const tempRoot = path.resolve("/project/temp/apps/app1");
+      expect(resolveSecurePath(SCOPES.TEMP, "/uploads/x/a.png")).toBe(
+        path.join(tempRoot, "uploads/x/a.png"),
+      );
+      expect(resolveSecurePath(SCOPES.TEMP, "uploads/x/a.png")).toBe(
+        path.join(tempRoot, "uploads/x/a.png"),
+      );
+      expect(() => resolveSecurePath(SCOPES.TEMP, "/../app2/secret")).toThrow(
+        "Path Traversal Error",
+      );
+    });
+  });
+
   // Test Case 5: Path Traversal Security
   test("should throw a Path Traversal Error for paths escaping the boundary", () => {
     als.run(mockStore, () => {
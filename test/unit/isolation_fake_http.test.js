@@ -1,3 +1,6 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
 const {
   FakeIncomingMessage,
   FakeServerResponse,
@@ -32,6 +35,25 @@ describe("isolation fake_http", () => {
     });
   });
 
+  test("FakeIncomingMessage streams the body from bodyPath", (done) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "gingee-fake-"));
+    const bodyPath = path.join(dir, "req.body");
+    fs.writeFileSync(bodyPath, "from disk");
+    const req = new FakeIncomingMessage({
+      method: "POST",
+      url: "/x",
+      headers: { "content-type": "multipart/form-data; boundary=b" },
+      bodyPath,
+    });
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      expect(Buffer.concat(chunks).toString()).toBe("from disk");
+      fs.rmSync(dir, { recursive: true, force: true });
+      done();
+    });
+  });
+
   test("stream hooks fire on flushHeaders/write/end", () => {
     const started = [];
     const chunks = [];
@@ -5,6 +5,9 @@
 const fs = require("fs");
 const os = require("os");
 const path = require("path");
+const { EventEmitter } = require("events");
+const { PassThrough } = require("stream");
+const { appTempPath } = require("../../modules/engine/paths");
 const workerManager = require("../../modules/engine/isolation/worker_manager");
 
 function writeApp(root, name, scripts) {
@@ -400,6 +403,95 @@ module.exports = async function() {
     expect(stats.find((s) => s.workerKey === "app:demo")).toBeUndefined();
   }, 15000);
 
+  test("multipart bodies reach the worker through a spool file, not IPC", async () => {
+    const app = writeApp(tmpRoot, "isoupload", {
+      "upload.js": `
+module.exports = async function() {
+  gingee(async ($g) => {
+    const { title, files } = $g.request.body;
+    const f = files.doc[0];
+    $g.response.send({ title, name: f.name, size: f.size }, 200, 'application/json');
+  });
+};
+`,
+    });
+    const spoolDir = path.join(
+      appTempPath(process.cwd(), "isoupload"),
+      "uploads",
+    );
+    const cfg = baseConfig({ apps: ["isoupload"] });
+    workerManager.init(
+      cfg,
+      { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+      path.join(tmpRoot, "web"),
+    );
+    workerManager.setAppsRegistry({ isoupload: app });
+    await workerManager.startWorker(app, cfg);
+    const handle = workerManager._workers.get("app:isoupload");
+    const sendSpy = jest.spyOn(handle.child, "send");
+
+    const boundary = "----gingeeIsoBoundary";
+    const payload = Buffer.from(
+      `--${boundary}\r\nContent-Disposition: form-data; name="title"\r\n\r\nreport\r\n` +
+        `--${boundary}\r\nContent-Disposition: form-data; name="doc"; filename="r.txt"\r\n` +
+        `Content-Type: text/plain\r\n\r\n${"x".repeat(5000)}\r\n--${boundary}--\r\n`,
+    );
+    const req = new PassThrough();
+    Object.assign(req, {
+      method: "POST",
+      url: "/isoupload/upload",
+      headers: {
+        host: "localhost",
+        "content-type": `multipart/form-data; boundary=${boundary}`,
+        "content-length": String(payload.length),
+      },
+    });
+    req.end(payload);
+    const { res, chunks } = mockRes();
+    const events = new EventEmitter();
+    res.on = events.on.bind(events);
+
+    try {
+      await workerManager.executeOnWorker({
+        app,
+        config: cfg,
+        req,
+        res,
+        scriptPath: path.join(app.appBoxPath, "upload.js"),
+        routeParams: {},
+        uploadPolicy: {
+          stream: true,
+          maxFileSize: null,
+          maxFiles: null,
+          maxTotalSize: null,
+          allowedTypes: null,
+        },
+        maxBodySize: "1mb",
+        useCache: false,
+        logger: { error: jest.fn(), info: jest.fn(), warn: jest.fn() },
+      });
+
+      expect(JSON.parse(Buffer.concat(chunks).toString("utf8"))).toEqual({
+        title: ["report"],
+        name: "r.txt",
+        size: 5000,
+      });
+      const sent = sendSpy.mock.calls
+        .map((c) => c[0])
+        .find((m) => m && m.type === "http_script");
+      expect(sent.bodyBase64).toBe("");
+      expect(path.dirname(sent.bodyPath)).toBe(spoolDir);
+      expect(fs.existsSync(sent.bodyPath)).toBe(true);
+
+      events.emit("finish");
+      await new Promise((r) => setTimeout(r, 50));
+      expect(fs.existsSync(sent.bodyPath)).toBe(false);
+    } finally {
+      sendSpy.mockRestore();
+      fs.rmSync(path.dirname(spoolDir), { recursive: true, force: true });
+    }
+  }, 30000);
+
   // --- M4: request timeout cancels worker work ---
   test("request timeout sends cancel_request and returns 504 without hanging", async () => {
     const app = writeApp(tmpRoot, "slow", {
@@ -0,0 +1,235 @@
+/**
+ * auth.jwt with asymmetric keys: RS256 / ES256 / EdDSA signing with kid, rotation, the per-app
+ * JWKS endpoint and verifyAsync against a cached remote JWKS.
+ */
+const nodeCrypto = require('crypto');
+const { als } = require('../../modules/gingee');
+const auth = require('../../modules/auth');
+const jwtKeys = require('../../modules/engine/jwt_keys');
+const { isJwksRequest, serveJwks } = require('../../modules/engine/request/jwks');
+
+jest.mock('../../modules/httpclient');
+const httpclient = require('../../modules/httpclient');
+
+function pemPair(type, options) {
+  return nodeCrypto.generateKeyPairSync(type, {
+    ...options,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+  });
+}
+
+const rsa = pemPair('rsa', { modulusLength: 2048 });
+const ec = pemPair('ec', { namedCurve: 'P-256' });
+const ed = pemPair('ed25519');
+
+function mockRes() {
+  const res = {
+    statusCode: 0,
+    headers: {},
+    body: undefined,
+    writeHead(code, headers) {
+      res.statusCode = code;
+      res.headers = { ...headers };
+    },
+    end(buf) {
+      res.body = buf;
+    },
+  };
+  return res;
+}
+
+const b64url = (obj) => Buffer.from(JSON.stringify(obj)).toString('base64url');
+const headerOf = (token) => JSON.parse(Buffer.from(token.split('.')[0], 'base64url').toString());
+
+describe('auth.jwt with asymmetric keys', () => {
+  let logger;
+  const inApp = (jwt, fn, appConfig = {}) =>
+    als.run({ app: { config: { jwt, ...appConfig } }, globalConfig: {}, logger }, fn);
+
+  beforeEach(() => {
+    logger = { error: jest.fn(), warn: jest.fn() };
+    httpclient.get.mockReset();
+    jwtKeys._resetForTests();
+  });
+
+  test.each([
+    ['RS256', rsa],
+    ['ES256', ec],
+    ['EdDSA', ed],
+  ])('%s: signs with the kid header and verifies; tampering and alg none are rejected', (alg, pair) => {
+    const jwt = { keys: [{ kid: 'k1', private_key: pair.privateKey }] };
+    inApp(jwt, () => {
+      const token = auth.jwt.create({ sub: 'u1' }, '1h');
+      expect(headerOf(token)).toEqual({ alg, typ: 'JWT', kid: 'k1' });
+      expect(auth.jwt.verify(token)).toMatchObject({ sub: 'u1' });
+
+      const [h, , s] = token.split('.');
+      const forgedPayload = b64url({ sub: 'admin', exp: Math.floor(Date.now() / 1000) + 60 });
+      expect(auth.jwt.verify(`${h}.${forgedPayload}.${s}`)).toBeNull();
+      expect(auth.jwt.verify(`${b64url({ alg: 'none', kid: 'k1' })}.${forgedPayload}.x`)).toBeNull();
+    });
+  });
+
+  test('a public key is never usable as an HS256 secret', () => {
+    const jwt = { keys: [{ kid: 'k1', private_key: rsa.privateKey }] };
+    inApp(jwt, () => {
+      const input = `${b64url({ alg: 'HS256', typ: 'JWT', kid: 'k1' })}.${b64url({
+        sub: 'admin',
+        exp: Math.floor(Date.now() / 1000) + 60,
+      })}`;
+      const sig = nodeCrypto.createHmac('sha256', rsa.publicKey).update(input).digest('base64url');
+      expect(auth.jwt.verify(`${input}.${sig}`)).toBeNull();
+      expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/no jwt secret configured/));
+    });
+  });
+
+  test('rotation: active_kid signs, retired public keys still verify, JWKS lists both without private parts', () => {
+    let oldToken;
+    inApp({ keys: [{ kid: 'old', private_key: rsa.privateKey }] }, () => {
+      oldToken = auth.jwt.create({ sub: 'u1' }, '1h');
+    });
+
+    const jwt = {
+      active_kid: 'new',
+      keys: [
+        { kid: 'old', public_key: rsa.publicKey },
+        { kid: 'new', private_key: ec.privateKey },
+      ],
+    };
+    inApp(jwt, () => {
+      const token = auth.jwt.create({ sub: 'u2' }, '1h');
+      expect(headerOf(token).kid).toBe('new');
+      expect(auth.jwt.verify(token)).toMatchObject({ sub: 'u2' });
+      expect(auth.jwt.verify(oldToken)).toMatchObject({ sub: 'u1' });
+      expect(() => auth.jwt.create({}, '1h', { kid: 'old' })).toThrow(/no private key/);
+      // An explicit secret still means HS256.
+      expect(headerOf(auth.jwt.create({}, '1h', { secret: 's3cret' })).alg).toBe('HS256');
+    });
+
+    const app = { config: { jwt } };
+    expect(isJwksRequest(app, { method: 'GET' }, '/.well-known/jwks.json')).toBe(true);
+    expect(isJwksRequest({ config: {} }, { method: 'GET' }, '/.well-known/jwks.json')).toBe(false);
+    expect(
+      isJwksRequest({ config: { jwt: { ...jwt, jwks_path: false } } }, { method: 'GET' }, '/.well-known/jwks.json'),
+    ).toBe(false);
+
+    const res = mockRes();
+    serveJwks({ method: 'GET', headers: {} }, res, app, { appName: 'shop' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('application/jwk-set+json');
+    const jwks = JSON.parse(res.body.toString());
+    expect(jwks.keys.map((k) => [k.kid, k.alg, k.kty, k.use])).toEqual([
+      ['old', 'RS256', 'RSA', 'sig'],
+      ['new', 'ES256', 'EC', 'sig'],
+    ]);
+    expect(jwks.keys.some((k) => 'd' in k)).toBe(false);
+
+    const again = mockRes();
+    serveJwks({ method: 'GET', headers: { 'if-none-match': res.headers.ETag } }, again, app, { appName: 'shop' });
+    expect(again.statusCode).toBe(304);
+  });
+
+  test('verifyAsync checks IdP tokens against a cached remote JWKS and refetches on an unknown kid', async () => {
+    const idpJwks = (entries) => ({
+      status: 200,
+      headers: {},
+      body: JSON.stringify({
+        keys: entries.map(([kid, pair]) => ({
+          ...nodeCrypto.createPublicKey(pair.publicKey).export({ format: 'jwk' }),
+          kid,
+        })),
+      }),
+    });
+    const idpToken = (kid, pair, claims) => {
+      const alg = pair === rsa ? 'RS256' : 'EdDSA';
+      const input = `${b64url({ alg, kid })}.${b64url({ exp: Math.floor(Date.now() / 1000) + 60, ...claims })}`;
+      return `${input}.${jwtKeys.sign(alg, input, nodeCrypto.createPrivateKey(pair.privateKey))}`;
+    };
+    const jwt = { jwks_uri: 'https://idp.example.com/jwks', iss: 'https://idp.example.com', audience: 'orders' };
+    httpclient.get.mockResolvedValueOnce(idpJwks([['idp-1', rsa]]));
+
+    await inApp(jwt, async () => {
+      const claims = { sub: 'u1', iss: 'https://idp.example.com', aud: ['orders', 'other'] };
+      const token = idpToken('idp-1', rsa, claims);
+      expect(auth.jwt.verify(token)).toBeNull(); // sync verify has no remote keys
+      expect(await auth.jwt.verifyAsync(token)).toMatchObject({ sub: 'u1' });
+      expect(await auth.jwt.verifyAsync(token)).toMatchObject({ sub: 'u1' });
+      expect(httpclient.get).toHaveBeenCalledTimes(1);
+      expect(httpclient.get).toHaveBeenCalledWith('https://idp.example.com/jwks', expect.any(Object));
+
+      expect(await auth.jwt.verifyAsync(idpToken('idp-1', rsa, { ...claims, aud: 'billing' }))).toBeNull();
+      expect(await auth.jwt.verifyAsync(idpToken('idp-1', rsa, { ...claims, iss: 'https://evil.example' }))).toBeNull();
+
+      // The IdP rotated: an unknown kid refreshes the set (once the refetch cooldown has passed).
+      const now = Date.now();
+      const spy = jest.spyOn(Date, 'now').mockReturnValue(now + 31 * 1000);
+      httpclient.get.mockResolvedValueOnce(
+        idpJwks([
+          ['idp-1', rsa],
+          ['idp-2', ed],
+        ]),
+      );
+      expect(await auth.jwt.verifyAsync(idpToken('idp-2', ed, claims))).toMatchObject({ sub: 'u1' });
+      expect(httpclient.get).toHaveBeenCalledTimes(2);
+
+      // A failed refresh keeps the last good set (stale-on-error).
+      spy.mockReturnValue(now + 11 * 60 * 1000);
+      httpclient.get.mockResolvedValueOnce({ status: 403, code: 'EGRESS_DENIED', headers: {}, body: '' });
+      const longLived = idpToken('idp-1', rsa, { ...claims, exp: Math.floor(now / 1000) + 86400 });
+      expect(await auth.jwt.verifyAsync(longLived)).toMatchObject({ sub: 'u1' });
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/JWKS fetch failed.*EGRESS_DENIED/));
+      spy.mockRestore();
+    });
+  });
+
+  test('IdP tokens need jwt.audience: checked at app load and again on verifyAsync', async () => {
+    expect(() => jwtKeys.assertJwksAudience({ jwt: { jwks_uri: 'https://idp.example.com/jwks' } }, {})).toThrow(
+      /jwt\.audience/,
+    );
+    expect(() =>
+      jwtKeys.assertJwksAudience({ jwt: { iss: 'https://idp.example.com' } }, { jwt: { jwks_uri: 'https://idp.example.com/jwks' } }),
+    ).toThrow(/jwt\.audience/);
+    expect(() =>
+      jwtKeys.assertJwksAudience({ jwt: { jwks_uri: 'https://idp.example.com/jwks', audience: 'orders' } }, {}),
+    ).not.toThrow();
+    expect(() => jwtKeys.assertJwksAudience({}, { jwt: { audience: 'orders' } })).not.toThrow();
+
+    const input = `${b64url({ alg: 'RS256', kid: 'idp-1' })}.${b64url({
+      sub: 'u1',
+      aud: 'someone-else',
+      exp: Math.floor(Date.now() / 1000) + 60,
+    })}`;
+    const token = `${input}.${jwtKeys.sign('RS256', input, nodeCrypto.createPrivateKey(rsa.privateKey))}`;
+    httpclient.get.mockResolvedValueOnce({
+      status: 200,
+      headers: {},
+      body: JSON.stringify({
+        keys: [{ ...nodeCrypto.createPublicKey(rsa.publicKey).export({ format: 'jwk' }), kid: 'idp-1' }],
+      }),
+    });
+    await inApp({ jwks_uri: 'https://idp.example.com/no-audience' }, async () => {
+      expect(await auth.jwt.verifyAsync(token)).toBeNull();
+      expect(await auth.jwt.verifyAsync(token, { aud: '' })).toBeNull();
+    });
+    expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/jwt\.audience is required/));
+  });
+
+  test('rejects unusable key configuration', () => {
+    expect(() =>
+      jwtKeys.getKeyring({
+        keys: [
+          { kid: 'a', private_key: rsa.privateKey },
+          { kid: 'a', private_key: ec.privateKey },
+        ],
+      }),
+    ).toThrow(/duplicate kid/);
+    expect(() => jwtKeys.getKeyring({ keys: [{ kid: 'a', alg: 'ES256', public_key: rsa.publicKey }] })).toThrow(
+      /cannot sign ES256/,
+    );
+    expect(() => jwtKeys.getKeyring({ keys: [{ kid: 'a', private_key: 'not a pem' }] })).toThrow(/cannot read key 'a'/);
+    expect(() => jwtKeys.getKeyring({ active_kid: 'b', keys: [{ kid: 'a', private_key: ed.privateKey }] })).toThrow(
+      /active_kid 'b'/,
+    );
+  });
+});
@@ -117,4 +117,22 @@ describe("limits.js", () => {
     limits.clearRequestTimers(store);
     limits.releaseRequest(acq.token);
   });
+
+  test("client disconnect before the response finishes aborts the signal", () => {
+    const { EventEmitter } = require("events");
+    const app = { name: "t", config: {} };
+    const run = (writableFinished) => {
+      const acq = limits.tryAcquireRequest("t", app);
+      const store = { appName: "t", app, logger, req: { url: "/t/x" } };
+      const res = Object.assign(new EventEmitter(), { headersSent: true, writableFinished });
+      limits.attachRequestContext(store, acq.token, res);
+      res.emit("close");
+      limits.releaseRequest(acq.token);
+      return store.requestAbortSignal;
+    };
+    const dropped = run(false);
+    expect(dropped.aborted).toBe(true);
+    expect(dropped.reason).toBe("client_closed");
+    expect(run(true).aborted).toBe(false);
+  });
 });
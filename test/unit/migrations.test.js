@@ -0,0 +1,148 @@
+/**
+ * box/migrations/<db>/<version>_<name>.js: ledger, batches, up/down, rollback to a package's set.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { als } = require('../../modules/gingee');
+const db = require('../../modules/db');
+const {
+  parseMigrationFiles,
+  migrationVersionsInFileList,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown,
+  runPendingMigrations,
+} = require('../../modules/engine/migrations');
+
+describe('migration file discovery', () => {
+  test('sorts numerically, ignores other files and rejects duplicate versions', () => {
+    const list = parseMigrationFiles(['10_c.js', '002_b.js', 'README.md', '1_a.js', 'x_y.js']);
+    expect(list.map((m) => [m.version, m.name])).toEqual([
+      ['1', 'a'],
+      ['2', 'b'],
+      ['10', 'c'],
+    ]);
+    expect(() => parseMigrationFiles(['1_a.js', '001_b.js'])).toThrow(/Duplicate migration version 1/);
+  });
+
+  test('reads versions per db from a package file list', () => {
+    const byDb = migrationVersionsInFileList([
+      'box/app.json',
+      'box/migrations/main/001_init.js',
+      'box/migrations/main/002_more.js',
+      'box/migrations/audit/1_start.js',
+      'box/migrations/main/nested/3_x.js',
+    ]);
+    expect([...byDb.get('main')]).toEqual(['1', '2']);
+    expect([...byDb.get('audit')]).toEqual(['1']);
+  });
+});
+
+describe('migrations on SQLite', () => {
+  let tmp;
+  let app;
+  const logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+  const globalConfig = { box: {}, privileged_apps: [] };
+  const migrationsDir = () => path.join(app.appBoxPath, 'migrations', 'main');
+  const inApp = (fn) => als.run({ appName: 'shop', app, logger, globalConfig }, fn);
+  const write = (file, up, down) =>
+    fs.writeFileSync(
+      path.join(migrationsDir(), file),
+      `module.exports = {\n  up: async (db) => { ${up} },\n  down: async (db) => { ${down} },\n};\n`,
+    );
+  const tables = () =>
+    inApp(() =>
+      db.query.many('main', "SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name"),
+    ).then((rows) => rows.map((r) => r.name));
+
+  beforeEach(() => {
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-migrations-'));
+    app = {
+      name: 'shop',
+      appBoxPath: path.join(tmp, 'box'),
+      config: { db: [{ name: 'main', type: 'sqlite', database: 'data/shop.db' }] },
+      grantedPermissions: ['db'],
+      logger,
+    };
+    fs.mkdirSync(path.join(tmp, 'box', 'migrations', 'main'), { recursive: true });
+    db.init('main', app.config.db[0], app, logger);
+    write(
+      '001_create_items.js',
+      'await db.execute("CREATE TABLE items (id INTEGER PRIMARY KEY, name TEXT)");',
+      'await db.execute("DROP TABLE items");',
+    );
+    write(
+      '002_seed_items.js',
+      "await db.table('items').insert([{ id: 1, name: 'a' }, { id: 2, name: 'b' }]);",
+      "await db.table('items').whereIn('id', [1, 2]).delete();",
+    );
+  });
+
+  afterEach(async () => {
+    await db.shutdownApp('shop', logger);
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('applies pending migrations in batches and reports status', async () => {
+    expect(await inApp(() => migrateUp(app))).toEqual([
+      { dbName: 'main', version: '1', name: 'create_items' },
+      { dbName: 'main', version: '2', name: 'seed_items' },
+    ]);
+    expect(await inApp(() => migrateUp(app))).toEqual([]);
+    expect(await inApp(() => db.table('main', 'items').count())).toBe(2);
+
+    write('003_add_sku.js', 'await db.execute("ALTER TABLE items ADD COLUMN sku TEXT");', '');
+    await inApp(() => migrateUp(app));
+
+    const [status] = await inApp(() => getMigrationStatus(app));
+    expect(status.dbName).toBe('main');
+    expect(status.pending).toEqual([]);
+    expect(status.applied.map((m) => [m.version, m.batch])).toEqual([
+      ['1', 1],
+      ['2', 1],
+      ['3', 2],
+    ]);
+    expect(status.applied[0].appliedAt).toEqual(expect.any(String));
+  });
+
+  test('down reverts the last batch by default, or whatever a package does not ship', async () => {
+    await inApp(() => migrateUp(app));
+    write('003_tags.js', 'await db.execute("CREATE TABLE tags (id INTEGER)");', 'await db.execute("DROP TABLE tags");');
+    await inApp(() => migrateUp(app));
+    expect(await tables()).toEqual(['gingee_migrations', 'items', 'tags']);
+
+    expect(await inApp(() => migrateDown(app))).toEqual([
+      { dbName: 'main', version: '3', name: 'tags' },
+    ]);
+    expect(await tables()).toEqual(['gingee_migrations', 'items']);
+
+    const keep = migrationVersionsInFileList(['box/migrations/main/001_create_items.js']);
+    expect((await inApp(() => migrateDown(app, { keep }))).map((m) => m.version)).toEqual(['2']);
+    expect(await inApp(() => db.table('main', 'items').count())).toBe(0);
+
+    const [status] = await inApp(() => getMigrationStatus(app));
+    expect(status.applied.map((m) => m.version)).toEqual(['1']);
+    expect(status.pending.map((m) => m.version)).toEqual(['2', '3']);
+  });
+
+  test('a failing migration is rolled back and blocks registration', async () => {
+    write(
+      '003_broken.js',
+      'await db.execute("CREATE TABLE half (id INTEGER)"); throw new Error("boom");',
+      '',
+    );
+    expect(await inApp(() => runPendingMigrations(app))).toBe(false);
+    const [status] = await inApp(() => getMigrationStatus(app));
+    expect(status.applied.map((m) => m.version)).toEqual(['1', '2']);
+    expect(status.pending.map((m) => m.name)).toEqual(['broken']);
+    expect(await tables()).not.toContain('half');
+  });
+
+  test('needs the db permission; auto: false skips the boot hook', async () => {
+    app.grantedPermissions = [];
+    await expect(inApp(() => migrateUp(app))).rejects.toThrow(/'db' permission/);
+    app.config.migrations = { auto: false };
+    expect(await inApp(() => runPendingMigrations(app))).toBe(true);
+  });
+});
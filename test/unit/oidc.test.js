@@ -0,0 +1,303 @@
+/**
+ * app.json `oidc`: authorization code + PKCE login against a local stand-in OIDC provider.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const nodeCrypto = require('crypto');
+const { EventEmitter } = require('events');
+const egress = require('../../modules/egress');
+const cacheService = require('../../modules/cache_service');
+const jwtKeys = require('../../modules/engine/jwt_keys');
+const {
+  resolveOidcConfig,
+  isOidcRequest,
+  normalizeProfile,
+  handleOidc,
+  _resetForTests,
+} = require('../../modules/engine/request/oidc');
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+
+function makeRes() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 0,
+    headers: {},
+    headersSent: false,
+    body: '',
+    setHeader(k, v) {
+      res.headers[k.toLowerCase()] = v;
+    },
+    getHeader(k) {
+      return res.headers[k.toLowerCase()];
+    },
+    writeHead(code, headers) {
+      res.statusCode = code;
+      for (const [k, v] of Object.entries(headers || {})) res.setHeader(k, v);
+      res.headersSent = true;
+    },
+    end(body) {
+      if (body) res.body += body.toString();
+      res.emit('finish');
+    },
+  });
+  return res;
+}
+
+/** A minimal OIDC provider: discovery, JWKS, token (checks PKCE and client auth) and userinfo. */
+function startProvider() {
+  const { privateKey, publicKey } = nodeCrypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+  const grants = new Map();
+  const provider = { grants, nonceOverride: null, issuer: null };
+  const json = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+  const sign = (claims) => {
+    const input = [{ alg: 'RS256', kid: 'idp-1', typ: 'JWT' }, claims]
+      .map((part) => Buffer.from(JSON.stringify(part)).toString('base64url'))
+      .join('.');
+    return `${input}.${jwtKeys.sign('RS256', input, privateKey)}`;
+  };
+  provider.server = http.createServer((req, res) => {
+    const url = new URL(req.url, provider.issuer);
+    if (url.pathname === '/.well-known/openid-configuration') {
+      return json(res, 200, {
+        issuer: provider.issuer,
+        authorization_endpoint: `${provider.issuer}/authorize`,
+        token_endpoint: `${provider.issuer}/token`,
+        userinfo_endpoint: `${provider.issuer}/userinfo`,
+        jwks_uri: `${provider.issuer}/jwks`,
+      });
+    }
+    if (url.pathname === '/jwks') {
+      return json(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: 'idp-1', alg: 'RS256' }] });
+    }
+    if (url.pathname === '/userinfo') {
+      if (req.headers.authorization !== 'Bearer at-123') return json(res, 401, { error: 'invalid_token' });
+      return json(res, 200, {
+        sub: 'user-7',
+        email: 'ada@example.com',
+        email_verified: true,
+        picture: 'https://p/a.png',
+      });
+    }
+    if (url.pathname === '/token' && req.method === 'POST') {
+      let raw = '';
+      req.on('data', (c) => (raw += c));
+      req.on('end', () => {
+        const form = new URLSearchParams(raw);
+        const grant = grants.get(form.get('code'));
+        grants.delete(form.get('code'));
+        const basic = Buffer.from('orders:s3cret').toString('base64');
+        if (req.headers.authorization !== `Basic ${basic}`) return json(res, 401, { error: 'invalid_client' });
+        const challenge = nodeCrypto
+          .createHash('sha256')
+          .update(form.get('code_verifier') || '')
+          .digest('base64url');
+        if (!grant || grant.challenge !== challenge || grant.redirectUri !== form.get('redirect_uri')) {
+          return json(res, 400, { error: 'invalid_grant', error_description: 'PKCE or redirect_uri mismatch' });
+        }
+        const now = Math.floor(Date.now() / 1000);
+        return json(res, 200, {
+          access_token: 'at-123',
+          token_type: 'Bearer',
+          expires_in: 3600,
+          id_token: sign({
+            iss: provider.issuer,
+            aud: 'orders',
+            sub: 'user-7',
+            name: 'Ada Lovelace',
+            preferred_username: 'ada',
+            nonce: provider.nonceOverride || grant.nonce,
+            iat: now,
+            exp: now + 300,
+          }),
+        });
+      });
+      return undefined;
+    }
+    return json(res, 404, {});
+  });
+  return new Promise((resolve) => {
+    provider.server.listen(0, '127.0.0.1', () => {
+      provider.issuer = `http://127.0.0.1:${provider.server.address().port}`;
+      resolve(provider);
+    });
+  });
+}
+
+/** What the provider's /authorize page does once the user has signed in. */
+function consent(provider, location) {
+  const url = new URL(location);
+  const code = nodeCrypto.randomBytes(8).toString('hex');
+  provider.grants.set(code, {
+    challenge: url.searchParams.get('code_challenge'),
+    nonce: url.searchParams.get('nonce'),
+    redirectUri: url.searchParams.get('redirect_uri'),
+  });
+  return { code, state: url.searchParams.get('state') };
+}
+
+describe('oidc config helpers', () => {
+  test('defaults, path matching and profile normalization', () => {
+    expect(isOidcRequest({ config: {} }, '/auth/login')).toBe(false);
+    const cfg = resolveOidcConfig({
+      oidc: { enabled: true, client_id: 'x', callback_path: 'sso/cb', redirect_after_login: '//evil.example' },
+    });
+    expect(cfg).toMatchObject({
+      loginPath: '/auth/login',
+      callbackPath: '/sso/cb',
+      scopes: ['openid', 'profile', 'email'],
+      afterLogin: '/',
+      tokenAuthMethod: 'client_secret_basic',
+    });
+    expect(isOidcRequest({ config: { oidc: { enabled: true } } }, '/auth/callback')).toBe(true);
+    // GitHub-style userinfo (plain OAuth 2.0, no id_token)
+    expect(normalizeProfile({ id: 42, login: 'octo', avatar_url: 'https://a/o.png', name: null })).toEqual({
+      id: '42',
+      email: null,
+      emailVerified: false,
+      name: null,
+      givenName: null,
+      familyName: null,
+      username: 'octo',
+      picture: 'https://a/o.png',
+      locale: null,
+    });
+  });
+});
+
+describe('handleOidc against a local provider', () => {
+  let provider;
+  let tmp;
+  let app;
+  let logger;
+  let runScript;
+
+  const request = async (url, cookie) => {
+    const req = { method: 'GET', url, headers: { host: 'shop.test', ...(cookie ? { cookie } : {}) } };
+    const res = makeRes();
+    const requestPath = new URL(url, 'http://x').pathname.replace(/^\/shop/, '');
+    await handleOidc(req, res, app, requestPath, { appName: 'shop', baseUrl: '/shop', logger, runScript });
+    return res;
+  };
+  const login = async (returnTo) => {
+    const res = await request(`/shop/auth/login${returnTo ? `?return_to=${encodeURIComponent(returnTo)}` : ''}`);
+    const cookie = res.headers['set-cookie'].split(';')[0];
+    return { res, cookie, ...consent(provider, res.headers.location) };
+  };
+
+  beforeAll(async () => {
+    egress.initServer({ mode: 'off' }, quiet);
+    await cacheService.init({ provider: 'memory' }, quiet);
+    provider = await startProvider();
+  });
+
+  afterAll(async () => {
+    egress.initServer({}, quiet);
+    await new Promise((resolve) => provider.server.close(resolve));
+  });
+
+  beforeEach(() => {
+    _resetForTests();
+    jwtKeys._resetForTests();
+    provider.nonceOverride = null;
+    tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-oidc-'));
+    fs.mkdirSync(path.join(tmp, 'auth'));
+    fs.writeFileSync(path.join(tmp, 'auth', 'on_login.js'), 'module.exports = async () => {};');
+    app = {
+      appBoxPath: tmp,
+      config: {
+        oidc: {
+          enabled: true,
+          issuer: provider.issuer,
+          client_id: 'orders',
+          client_secret: 's3cret',
+          on_login: { script: 'auth/on_login' },
+        },
+      },
+    };
+    logger = { info: jest.fn(), warn: jest.fn(), error: jest.fn() };
+    runScript = jest.fn(async () => {});
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmp, { recursive: true, force: true });
+  });
+
+  test('login redirects with PKCE, the callback hands a validated profile to on_login', async () => {
+    const { res, cookie, code, state } = await login('/orders?tab=open');
+    expect(res.statusCode).toBe(302);
+    const authorize = new URL(res.headers.location);
+    expect(`${authorize.origin}${authorize.pathname}`).toBe(`${provider.issuer}/authorize`);
+    expect(Object.fromEntries(authorize.searchParams)).toMatchObject({
+      response_type: 'code',
+      client_id: 'orders',
+      redirect_uri: 'http://shop.test/shop/auth/callback',
+      scope: 'openid profile email',
+      code_challenge_method: 'S256',
+    });
+    expect(authorize.searchParams.get('code_challenge')).toMatch(/^[A-Za-z0-9_-]{43}$/);
+    expect(res.headers['set-cookie']).toMatch(
+      /^gingee_oidc_state=.+; Path=\/shop\/auth\/callback; .*HttpOnly; SameSite=Lax/,
+    );
+
+    const done = await request(`/shop/auth/callback?code=${code}&state=${state}`, cookie);
+    expect(runScript).toHaveBeenCalledTimes(1);
+    const [scriptPath, result] = runScript.mock.calls[0];
+    expect(scriptPath).toBe(path.join(tmp, 'auth', 'on_login.js'));
+    expect(result).toMatchObject({
+      provider: provider.issuer,
+      user: {
+        id: 'user-7',
+        email: 'ada@example.com',
+        emailVerified: true,
+        name: 'Ada Lovelace',
+        username: 'ada',
+        picture: 'https://p/a.png',
+      },
+      claims: { aud: 'orders', iss: provider.issuer },
+      tokens: { accessToken: 'at-123', expiresIn: 3600, refreshToken: null },
+      returnTo: '/shop/orders?tab=open',
+    });
+    // on_login did not answer, so the engine redirects back into the app.
+    expect(done.statusCode).toBe(302);
+    expect(done.headers.location).toBe('/shop/orders?tab=open');
+
+    // A state is good for one callback only.
+    const replay = await request(`/shop/auth/callback?code=${code}&state=${state}`, cookie);
+    expect(replay.statusCode).toBe(400);
+  });
+
+  test('rejects a callback without the state cookie, provider errors and a wrong nonce', async () => {
+    const first = await login('//evil.example/phish');
+    expect((await request(`/shop/auth/callback?code=${first.code}&state=${first.state}`)).statusCode).toBe(400);
+
+    const denied = await login();
+    const deniedRes = await request(`/shop/auth/callback?error=access_denied&state=${denied.state}`, denied.cookie);
+    expect(deniedRes.statusCode).toBe(401);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/access_denied/));
+
+    provider.nonceOverride = 'replayed-nonce';
+    const replayed = await login();
+    const res = await request(`/shop/auth/callback?code=${replayed.code}&state=${replayed.state}`, replayed.cookie);
+    expect(res.statusCode).toBe(502);
+    expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/nonce does not match/));
+    expect(runScript).not.toHaveBeenCalled();
+  });
+
+  test('an unsafe return_to falls back to redirect_after_login; a bad setup answers 500', async () => {
+    app.config.oidc.redirect_after_login = '/home';
+    const { cookie, code, state } = await login('https://evil.example/');
+    const done = await request(`/shop/auth/callback?code=${code}&state=${state}`, cookie);
+    expect(runScript.mock.calls[0][1].returnTo).toBe('/shop/home');
+    expect(done.headers.location).toBe('/shop/home');
+
+    app.config.oidc.on_login.script = 'auth/missing';
+    expect((await request('/shop/auth/login')).statusCode).toBe(500);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringMatching(/on_login\.script/));
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * OpenAPI 3.1 generation from routes.json and the served document.
+ */
+const { compileRoutes } = require('../../modules/engine/request/routes');
+const openapi = require('../../modules/engine/request/openapi');
+
+function makeApp(routes, openapiConfig) {
+  return {
+    name: 'shop',
+    config: {
+      name: 'shop',
+      version: '2.1.0',
+      description: 'Shop API',
+      openapi: openapiConfig,
+    },
+    compiledRoutes: compileRoutes(
+      { routes },
+      { appName: 'shop', appBoxPath: '/srv/web/shop/box', logger: { error: jest.fn() } },
+    ),
+  };
+}
+
+function mockRes() {
+  const res = {
+    statusCode: 0,
+    headers: {},
+    body: undefined,
+    writeHead(code, headers) {
+      res.statusCode = code;
+      res.headers = { ...headers };
+    },
+    end(buf) {
+      res.body = buf;
+    },
+  };
+  return res;
+}
+
+describe('toOpenApiPaths', () => {
+  test('params, wildcards and optional groups', () => {
+    expect(openapi.toOpenApiPaths('/users/:id')).toEqual([{ path: '/users/{id}', params: ['id'] }]);
+    expect(openapi.toOpenApiPaths('/files/*rest')).toEqual([
+      { path: '/files/{rest}', params: ['rest'] },
+    ]);
+    expect(openapi.toOpenApiPaths('/items{/:format}').map((v) => v.path)).toEqual([
+      '/items',
+      '/items/{format}',
+    ]);
+  });
+});
+
+describe('buildOpenApiDocument', () => {
+  const routes = [
+    {
+      path: '/orders/:id',
+      method: 'GET',
+      script: 'orders/get.js',
+      summary: 'Get an order',
+      tags: ['orders'],
+      auth: 'bearer',
+      schema: {
+        params: { type: 'object', properties: { id: { type: 'integer' } } },
+        query: {
+          type: 'object',
+          properties: { expand: { type: 'boolean' } },
+          required: ['expand'],
+        },
+      },
+      responses: {
+        200: { description: 'The order', schema: { type: 'object' } },
+        404: { description: 'Not found' },
+      },
+    },
+    {
+      path: '/orders',
+      method: 'POST',
+      script: 'orders/create.js',
+      operationId: 'createOrder',
+      auth: { oauth: ['orders:write'] },
+      schema: { body: { type: 'object', required: ['sku'] } },
+    },
+    { path: '/health', script: 'health.js', auth: false },
+    { path: '/hook', method: 'ALL', script: 'hook.js' },
+  ];
+
+  test('info, servers, paths and operations', () => {
+    const doc = openapi.buildOpenApiDocument(
+      makeApp(routes, {
+        title: 'Shop',
+        security_schemes: {
+          oauth: { type: 'oauth2', flows: { clientCredentials: { tokenUrl: '/t', scopes: {} } } },
+        },
+      }),
+    );
+    expect(doc.openapi).toBe('3.1.0');
+    expect(doc.info).toEqual({ title: 'Shop', version: '2.1.0', description: 'Shop API' });
+    expect(doc.servers).toEqual([{ url: '/shop' }]);
+
+    const get = doc.paths['/orders/{id}'].get;
+    expect(get.summary).toBe('Get an order');
+    expect(get.tags).toEqual(['orders']);
+    expect(get.operationId).toBe('get_orders_id');
+    expect(get.parameters).toEqual([
+      { name: 'id', in: 'path', required: true, schema: { type: 'integer' } },
+      { name: 'expand', in: 'query', required: true, schema: { type: 'boolean' } },
+    ]);
+    expect(get.responses['200'].content['application/json'].schema).toEqual({ type: 'object' });
+    expect(get.responses['404']).toEqual({ description: 'Not found' });
+    expect(get.responses['400'].description).toMatch(/validation/);
+    expect(get.security).toEqual([{ bearer: [] }]);
+
+    const post = doc.paths['/orders'].post;
+    expect(post.operationId).toBe('createOrder');
+    expect(post.requestBody.content['application/json'].schema).toEqual({
+      type: 'object',
+      required: ['sku'],
+    });
+    expect(post.security).toEqual([{ oauth: ['orders:write'] }]);
+
+    expect(doc.paths['/health'].get.security).toEqual([]);
+    expect(doc.paths['/health'].get.responses).toEqual({
+      200: { description: 'Successful response' },
+    });
+    expect(Object.keys(doc.paths['/hook'])).toEqual(['get', 'post', 'put', 'patch', 'delete']);
+    expect(Object.keys(doc.components.securitySchemes).sort()).toEqual(['bearer', 'oauth']);
+  });
+
+  test('unknown auth scheme names are left out', () => {
+    const doc = openapi.buildOpenApiDocument(
+      makeApp([{ path: '/x', script: 'x.js', auth: 'mystery' }]),
+    );
+    expect(doc.paths['/x'].get.security).toBeUndefined();
+    expect(doc.components).toBeUndefined();
+  });
+});
+
+describe('served document', () => {
+  const routes = [{ path: '/ping', script: 'ping.js' }];
+
+  test('only when enabled, at the configured path, for GET/HEAD', () => {
+    const off = makeApp(routes, undefined);
+    expect(openapi.isOpenApiRequest(off, { method: 'GET' }, '/openapi.json')).toBe(false);
+
+    const on = makeApp(routes, { enabled: true, path: 'docs/api.json' });
+    expect(openapi.isOpenApiRequest(on, { method: 'GET' }, '/docs/api.json')).toBe(true);
+    expect(openapi.isOpenApiRequest(on, { method: 'POST' }, '/docs/api.json')).toBe(false);
+    expect(openapi.isOpenApiRequest(on, { method: 'GET' }, '/openapi.json')).toBe(false);
+  });
+
+  test('serves JSON with an ETag and answers 304 on a match', () => {
+    const app = makeApp(routes, { enabled: true });
+    const res = mockRes();
+    openapi.serveOpenApi({ method: 'GET', headers: {} }, res, app, {
+      appName: 'shop',
+      serverUrl: '/',
+    });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe('application/json');
+    const doc = JSON.parse(res.body.toString());
+    expect(doc.servers).toEqual([{ url: '/' }]);
+    expect(doc.paths['/ping'].get).toBeDefined();
+
+    const again = mockRes();
+    openapi.serveOpenApi(
+      { method: 'GET', headers: { 'if-none-match': res.headers.ETag } },
+      again,
+      app,
+      { appName: 'shop', serverUrl: '/' },
+    );
+    expect(again.statusCode).toBe(304);
+    expect(again.body).toBeUndefined();
+  });
+});
@@ -154,6 +154,33 @@ describe("resolveScriptTarget confinement", () => {
     expect(result.targetScriptPath).toBeNull();
   });
 
+  test("migration scripts are never dispatched by URL", () => {
+    fs.mkdirSync(path.join(appBox, "migrations", "main"), { recursive: true });
+    fs.writeFileSync(
+      path.join(appBox, "migrations", "main", "001_init.js"),
+      "module.exports = { up: async () => {} };",
+    );
+    const app = makeApp([
+      { path: "/init", script: "migrations/main/001_init.js", method: "GET" },
+    ]);
+    const byFile = resolveScriptTarget(
+      { method: "GET" },
+      app,
+      "demo",
+      "/demo/migrations/main/001_init",
+      ["demo", "migrations", "main", "001_init"],
+    );
+    expect(byFile.targetScriptPath).toBeNull();
+    const byRoute = resolveScriptTarget(
+      { method: "GET" },
+      app,
+      "demo",
+      "/demo/init",
+      ["demo", "init"],
+    );
+    expect(byRoute.targetScriptPath).toBeNull();
+  });
+
   test("routes.json script inside box works when scriptPath precomputed", () => {
     const app = makeApp([
       { path: "/api/ok", script: "api/ok.js", method: "GET" },
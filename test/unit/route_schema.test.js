@@ -0,0 +1,189 @@
+/**
+ * routes.json `schema`: compile-time checks, body/query/params validation and the engine 400.
+ */
+const { EventEmitter } = require('events');
+const { als, gingee } = require('../../modules/gingee');
+const {
+  compileRouteSchema,
+  validateRequestParts,
+} = require('../../modules/engine/request/schema');
+const { compileRoutes } = require('../../modules/engine/request/routes');
+
+const userSchema = {
+  params: {
+    type: 'object',
+    properties: { id: { type: 'integer', minimum: 1 } },
+    required: ['id'],
+  },
+  query: {
+    type: 'object',
+    properties: { verbose: { type: 'boolean' } },
+    additionalProperties: false,
+  },
+  body: {
+    type: 'object',
+    properties: {
+      email: { type: 'string', format: 'email' },
+      age: { type: 'integer', minimum: 0 },
+    },
+    required: ['email', 'age'],
+  },
+};
+
+describe('compileRouteSchema', () => {
+  test('absent schema is null; unknown parts are dropped', () => {
+    expect(compileRouteSchema(undefined)).toBeNull();
+    expect(compileRouteSchema({ headers: { type: 'object' } })).toBeNull();
+    expect(compileRouteSchema({ body: { type: 'object' } })).toEqual({ body: { type: 'object' } });
+  });
+
+  test('invalid schemas throw with the part name', () => {
+    expect(() => compileRouteSchema('nope')).toThrow(/schema must be an object/);
+    expect(() => compileRouteSchema({ body: { type: 'not-a-type' } })).toThrow(/^schema\.body:/);
+  });
+
+  test('compileRoutes carries the schema and skips routes with a broken one', () => {
+    const logger = { error: jest.fn() };
+    const compiled = compileRoutes(
+      {
+        routes: [
+          { path: '/users/:id', method: 'PUT', script: 'users/update.js', schema: userSchema },
+          { path: '/bad', script: 'bad.js', schema: { query: { type: 42 } } },
+        ],
+      },
+      { appName: 'demo', appBoxPath: '/srv/web/demo/box', logger },
+    );
+    expect(compiled).toHaveLength(1);
+    expect(compiled[0].schema.body).toEqual(userSchema.body);
+    expect(logger.error).toHaveBeenCalledWith(expect.stringContaining("Skipping route '/bad'"));
+  });
+});
+
+describe('validateRequestParts', () => {
+  test('valid request passes and query/params are coerced in place', () => {
+    const data = {
+      params: { id: '7' },
+      query: { verbose: 'true' },
+      body: { email: 'a@example.com', age: 30 },
+    };
+    expect(validateRequestParts(userSchema, data)).toEqual([]);
+    expect(data.params.id).toBe(7);
+    expect(data.query.verbose).toBe(true);
+  });
+
+  test('reports every violation with its location', () => {
+    const violations = validateRequestParts(userSchema, {
+      params: { id: '0' },
+      query: { verbose: 'yes', extra: '1' },
+      body: { email: 'not-an-email' },
+    });
+    const where = violations.map((v) => `${v.in}:${v.path}:${v.keyword}`);
+    expect(where).toEqual(
+      expect.arrayContaining([
+        'params:/id:minimum',
+        'query:/verbose:type',
+        'query:/:additionalProperties',
+        'body:/age:required',
+        'body:/email:format',
+      ]),
+    );
+    expect(violations.every((v) => typeof v.message === 'string')).toBe(true);
+  });
+
+  test('body is not coerced; missing body fails an object schema', () => {
+    const schema = compileRouteSchema({ body: userSchema.body });
+    expect(
+      validateRequestParts(schema, { body: { email: 'a@example.com', age: '3' } })[0],
+    ).toMatchObject({ in: 'body', path: '/age', keyword: 'type' });
+    expect(validateRequestParts(schema, { body: null })[0]).toMatchObject({
+      in: 'body',
+      path: '/',
+      keyword: 'type',
+    });
+  });
+});
+
+describe('gingee() enforcement', () => {
+  function makeStore(body) {
+    const req = new EventEmitter();
+    req.url = '/demo/users/5?verbose=true';
+    req.method = 'PUT';
+    req.headers = {
+      host: 'localhost',
+      'content-type': 'application/json',
+      'content-length': String(Buffer.byteLength(body)),
+    };
+    req.connection = {};
+    const res = {
+      statusCode: 200,
+      headers: {},
+      writeHead: jest.fn(),
+      setHeader(k, v) {
+        res.headers[k] = v;
+      },
+      getHeader(k) {
+        return res.headers[k];
+      },
+      end: jest.fn(),
+    };
+    return {
+      req,
+      res,
+      maxBodySize: '1mb',
+      appName: 'demo',
+      app: { config: { name: 'demo', version: '1', env: {} } },
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+      scriptPath: '/srv/web/demo/box/users/update.js',
+      routeParams: { id: '5' },
+      routeSchema: compileRouteSchema(userSchema),
+      mainScriptStarted: true,
+    };
+  }
+
+  async function run(store, body, handler) {
+    await als.run(store, async () => {
+      const done = gingee(handler);
+      store.req.emit('data', Buffer.from(body));
+      store.req.emit('end');
+      await done;
+    });
+  }
+
+  test('invalid body is a 400 listing violations; the handler never runs', async () => {
+    const body = JSON.stringify({ email: 'x' });
+    const store = makeStore(body);
+    const handler = jest.fn();
+    await run(store, body, handler);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(store.res.statusCode).toBe(400);
+    expect(store.res.headers['Content-Type']).toBe('application/json');
+    const payload = JSON.parse(store.res.end.mock.calls[0][0].toString());
+    expect(payload.error).toBe('VALIDATION_FAILED');
+    expect(payload.violations.map((v) => v.path)).toEqual(
+      expect.arrayContaining(['/email', '/age']),
+    );
+  });
+
+  test('valid request reaches the handler with coerced params and query', async () => {
+    const body = JSON.stringify({ email: 'a@example.com', age: 4 });
+    const store = makeStore(body);
+    const handler = jest.fn();
+    await run(store, body, handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    const $g = handler.mock.calls[0][0];
+    expect($g.request.params.id).toBe(5);
+    expect($g.request.query.verbose).toBe(true);
+    expect($g.request.body.age).toBe(4);
+  });
+
+  test('default_include handlers (before the main script) are not validated', async () => {
+    const body = JSON.stringify({});
+    const store = makeStore(body);
+    store.mainScriptStarted = false;
+    const handler = jest.fn();
+    await run(store, body, handler);
+    expect(handler).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * The search module: app.json indexes on the embedded SQLite FTS5 driver — indexing, ranking with
+ * field weights, filters, facets, highlighting, pagination, rebuilds and the permission gate.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { als } = require('../../modules/gingee');
+const search = require('../../modules/search');
+const searchIndexes = require('../../modules/engine/search_indexes');
+const { createGRequire } = require('../../modules/gbox');
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+
+const PRODUCTS = [
+  {
+    id: 1,
+    title: 'Trail running shoes',
+    body: 'Light, grippy and made for mud.',
+    category: 'shoes',
+    tags: ['outdoor', 'running'],
+    price: 89,
+    in_stock: true,
+  },
+  {
+    id: 2,
+    title: 'Rain jacket',
+    body: 'Packs into its pocket. Great for running in the rain.',
+    category: 'outerwear',
+    tags: ['outdoor'],
+    price: 120,
+    in_stock: false,
+  },
+  {
+    id: 3,
+    title: 'Café socks',
+    body: 'Wool socks for <cold> days & running.',
+    category: 'socks',
+    tags: ['wool'],
+    price: 15,
+    in_stock: true,
+  },
+  {
+    id: 'sku-4',
+    title: 'Road shoes',
+    body: 'Stiff and fast on tarmac.',
+    category: 'shoes',
+    tags: ['road', 'running'],
+    price: 140,
+    in_stock: true,
+  },
+];
+
+describe('search module', () => {
+  let root;
+  let app;
+  const inApp = (fn, appName = 'shop') => als.run({ appName, app: { name: appName, config: app.config } }, fn);
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-search-'));
+    searchIndexes.initServer({}, quiet, root);
+    app = {
+      config: {
+        search: {
+          indexes: {
+            products: {
+              fields: { title: { weight: 5 }, body: {} },
+              filters: ['category', 'tags', 'price', 'in_stock'],
+            },
+          },
+        },
+      },
+    };
+  });
+
+  afterEach(() => {
+    searchIndexes.closeAll();
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('resolveSearchConfig accepts field lists or weights and skips invalid indexes', () => {
+    const { indexes } = searchIndexes.resolveSearchConfig({
+      search: {
+        indexes: {
+          notes: { fields: ['title', 'body', 'bad-name', 'id'], stemming: true },
+          posts: { fields: { title: { weight: 3 }, body: { weight: -1 } } },
+          'Bad Index': { fields: ['title'] },
+          empty: { fields: [] },
+        },
+      },
+    });
+    expect(indexes).toEqual({
+      notes: {
+        fields: [
+          { name: 'title', weight: 1 },
+          { name: 'body', weight: 1 },
+        ],
+        filters: [],
+        stemming: true,
+      },
+      posts: {
+        fields: [
+          { name: 'title', weight: 3 },
+          { name: 'body', weight: 1 },
+        ],
+        filters: [],
+        stemming: false,
+      },
+    });
+  });
+
+  test('documents are indexed, replaced, read and removed', async () => {
+    await inApp(async () => {
+      expect(await search.index('products', PRODUCTS)).toBe(4);
+      expect(await search.count('products')).toBe(4);
+      expect(await search.get('products', 'sku-4')).toEqual(PRODUCTS[3]);
+      expect(await search.get('products', 99)).toBeNull();
+      expect(fs.existsSync(path.join(root, 'data', 'search', 'shop.sqlite'))).toBe(true);
+
+      await search.index('products', { ...PRODUCTS[1], title: 'Waterproof shell' });
+      expect((await search.query('products', 'jacket')).total).toBe(0);
+      expect((await search.query('products', 'waterproof')).hits[0].id).toBe('2');
+
+      expect(await search.delete('products', [2, 99])).toBe(1);
+      expect(await search.count('products')).toBe(3);
+      expect(await search.clear('products')).toBe(3);
+      expect((await search.query('products', 'shoes')).total).toBe(0);
+
+      await expect(search.index('products', { title: 'no id' })).rejects.toThrow(/id must be/);
+      await expect(search.index('articles', PRODUCTS)).rejects.toThrow(/not declared/);
+    });
+  });
+
+  test('queries rank by field weight and support prefixes, phrases, accents and any-word matching', async () => {
+    await inApp(async () => {
+      await search.index('products', PRODUCTS);
+
+      const shoes = await search.query('products', 'shoes');
+      expect(shoes.hits.map((h) => h.id).sort()).toEqual(['1', 'sku-4']);
+      expect(shoes.hits[0].score).toBeGreaterThan(0);
+      expect(shoes.hits[0].document.title).toMatch(/shoes/);
+
+      // A title match outranks a body match; the weights can be changed per query.
+      expect((await search.query('products', 'rain')).hits.map((h) => h.id)).toEqual(['2']);
+      const running = await search.query('products', 'running');
+      expect(running.hits[0].id).toBe('1');
+      const bodyFirst = await search.query('products', 'running', { weights: { title: 0, body: 1 } });
+      expect(bodyFirst.hits[0].id).not.toBe('1');
+
+      expect((await search.query('products', 'tarm')).hits.map((h) => h.id)).toEqual(['sku-4']);
+      expect((await search.query('products', 'tarm fast')).total).toBe(0);
+      expect((await search.query('products', 'cafe')).hits.map((h) => h.id)).toEqual(['3']);
+      expect((await search.query('products', '"running shoes"')).hits.map((h) => h.id)).toEqual(['1']);
+      expect((await search.query('products', 'mud tarmac', { match: 'any' })).total).toBe(2);
+      expect((await search.query('products', 'running', { fields: ['title'] })).total).toBe(1);
+
+      // FTS5 syntax in user input is treated as plain words.
+      expect((await search.query('products', 'title:shoes OR "unclosed NEAR(')).total).toBe(0);
+      expect((await search.query('products', '!!!')).total).toBe(0);
+      await expect(search.query('products', 'x', { fields: ['price'] })).rejects.toThrow(/not an index field/);
+
+      const all = await search.query('products', '');
+      expect(all.total).toBe(4);
+      expect(all.hits.every((h) => h.score === 0)).toBe(true);
+    });
+  });
+
+  test('filters and facets', async () => {
+    await inApp(async () => {
+      await search.index('products', PRODUCTS);
+      const ids = (r) => r.hits.map((h) => h.id).sort();
+
+      expect(ids(await search.query('products', '', { filter: { category: 'shoes' } }))).toEqual(['1', 'sku-4']);
+      expect(ids(await search.query('products', '', { filter: { category: ['socks', 'outerwear'] } }))).toEqual([
+        '2',
+        '3',
+      ]);
+      expect(ids(await search.query('products', '', { filter: { price: { gte: 89, lt: 140 } } }))).toEqual(['1', '2']);
+      expect(ids(await search.query('products', 'shoes', { filter: { tags: 'road', in_stock: true } }))).toEqual([
+        'sku-4',
+      ]);
+      expect((await search.query('products', '', { filter: { category: [] } })).total).toBe(0);
+
+      const faceted = await search.query('products', 'running', { facets: ['category', 'tags'] });
+      expect(faceted.facets.category).toEqual([
+        { value: 'outerwear', count: 1 },
+        { value: 'shoes', count: 1 },
+        { value: 'socks', count: 1 },
+      ]);
+      expect(faceted.facets.tags).toEqual([
+        { value: 'outdoor', count: 2 },
+        { value: 'running', count: 1 },
+        { value: 'wool', count: 1 },
+      ]);
+      const allFacets = await search.query('products', '', { facets: ['tags', 'in_stock'], facetLimit: 2 });
+      expect(allFacets.facets).toEqual({
+        tags: [
+          { value: 'outdoor', count: 2 },
+          { value: 'running', count: 2 },
+        ],
+        in_stock: [
+          { value: 1, count: 3 },
+          { value: 0, count: 1 },
+        ],
+      });
+
+      await expect(search.query('products', '', { filter: { title: 'x' } })).rejects.toThrow(/not listed/);
+      await expect(search.query('products', '', { filter: { price: { near: 3 } } })).rejects.toThrow(/gt \/ gte/);
+      await expect(search.query('products', '', { facets: ['body'] })).rejects.toThrow(/not listed/);
+    });
+  });
+
+  test('highlights are HTML-escaped snippets with configurable tags', async () => {
+    await inApp(async () => {
+      await search.index('products', PRODUCTS);
+      const [hit] = (await search.query('products', 'cold', { highlight: true })).hits;
+      expect(hit.highlights).toEqual({
+        body: 'Wool socks for &lt;<mark>cold</mark>&gt; days &amp; running.',
+      });
+      const custom = await search.query('products', 'running', {
+        fields: ['title'],
+        highlight: { pre: '[', post: ']' },
+      });
+      expect(custom.hits[0].highlights).toEqual({ title: 'Trail [running] shoes' });
+      const long = { id: 9, title: 'Long', body: `${'filler '.repeat(100)}needle ${'filler '.repeat(100)}` };
+      await search.index('products', long);
+      const snippet = (await search.query('products', 'needle', { highlight: { tokens: 5 } })).hits[0].highlights.body;
+      expect(snippet).toMatch(/^….*<mark>needle<\/mark>.*…$/);
+    });
+  });
+
+  test('pagination', async () => {
+    await inApp(async () => {
+      const docs = Array.from({ length: 25 }, (_, i) => ({ id: i, title: `item ${i}`, body: '' }));
+      await search.index('products', docs);
+      const first = await search.query('products', 'item', { perPage: 10 });
+      expect(first).toMatchObject({ total: 25, page: 1, perPage: 10, totalPages: 3 });
+      expect(first.hits).toHaveLength(10);
+      const last = await search.query('products', 'item', { perPage: 10, page: 3 });
+      expect(last.hits).toHaveLength(5);
+      const seen = new Set([...first.hits, ...last.hits].map((h) => h.id));
+      expect(seen.size).toBe(15);
+      expect((await search.query('products', 'item', { perPage: 1000 })).perPage).toBe(100);
+      expect((await search.query('products', '')).hits[0].id).toBe('24');
+    });
+  });
+
+  test('indexes persist, rebuild when their fields change, and are separate per app', async () => {
+    await inApp(async () => {
+      await search.index('products', PRODUCTS);
+    });
+    searchIndexes.closeAll();
+
+    app.config.search.indexes.products = {
+      fields: ['title', 'body'],
+      filters: ['category'],
+      stemming: true,
+    };
+    await inApp(async () => {
+      expect(await search.count('products')).toBe(4);
+      expect((await search.query('products', 'shoe')).total).toBe(2);
+      expect((await search.query('products', 'run', { fields: ['title'] })).total).toBe(1);
+      await expect(search.query('products', '', { filter: { price: 15 } })).rejects.toThrow(/not listed/);
+    });
+    await inApp(async () => {
+      expect(await search.count('products')).toBe(0);
+    }, 'blog');
+  });
+
+  test('sandboxed apps need the search permission and cannot reach the drivers directly', () => {
+    const gRequire = createGRequire('/project/web/shop/box/x.js', {
+      app: { name: 'shop', grantedPermissions: [] },
+      appBoxPath: '/project/web/shop/box',
+      globalModulesPath: path.resolve(__dirname, '../../modules'),
+      applyModuleOverrides: false,
+    });
+    expect(() => gRequire('search')).toThrow(/not been granted permission to access the 'search' module/);
+    expect(() => gRequire('search_drivers/sqlite')).toThrow(/not available to application scripts/);
+  });
+});
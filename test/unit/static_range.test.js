@@ -0,0 +1,235 @@
+/**
+ * Static Range requests (206 / multipart/byteranges / 416) and streamed large files.
+ */
+const path = require('path');
+const os = require('os');
+const fs = require('fs');
+const { Writable } = require('stream');
+const { serveStaticFile } = require('../../modules/engine/request/static');
+const { parseRange, isRangeFresh } = require('../../modules/engine/request/range');
+const { attachCompiledCacheRegex } = require('../../modules/engine/request/cache_config');
+
+describe('parseRange', () => {
+  test('single, open-ended and suffix ranges', () => {
+    expect(parseRange('bytes=0-9', 100)).toEqual([{ start: 0, end: 9 }]);
+    expect(parseRange('bytes=90-', 100)).toEqual([{ start: 90, end: 99 }]);
+    expect(parseRange('bytes=-10', 100)).toEqual([{ start: 90, end: 99 }]);
+    expect(parseRange('bytes=95-200', 100)).toEqual([{ start: 95, end: 99 }]);
+  });
+
+  test('coalesces overlapping/adjacent ranges', () => {
+    expect(parseRange('bytes=0-9,10-19,50-59,55-70', 100)).toEqual([
+      { start: 0, end: 19 },
+      { start: 50, end: 70 },
+    ]);
+  });
+
+  test('malformed, other units and too many ranges are ignored (null)', () => {
+    expect(parseRange(undefined, 100)).toBeNull();
+    expect(parseRange('items=0-1', 100)).toBeNull();
+    expect(parseRange('bytes=abc', 100)).toBeNull();
+    expect(parseRange('bytes=9-1', 100)).toBeNull();
+    expect(parseRange('bytes=0-1,3-4,6-7', 100, { maxRanges: 2 })).toBeNull();
+  });
+
+  test('unsatisfiable ranges return -1', () => {
+    expect(parseRange('bytes=100-', 100)).toBe(-1);
+    expect(parseRange('bytes=-0', 100)).toBe(-1);
+  });
+
+  test('If-Range needs a strong ETag match or exact Last-Modified', () => {
+    const lastModified = Date.UTC(2024, 0, 1);
+    expect(isRangeFresh(undefined, {})).toBe(true);
+    expect(isRangeFresh('"a"', { etag: '"a"' })).toBe(true);
+    expect(isRangeFresh('W/"a"', { etag: 'W/"a"' })).toBe(false);
+    expect(isRangeFresh('"b"', { etag: '"a"' })).toBe(false);
+    expect(isRangeFresh(new Date(lastModified).toUTCString(), { lastModified })).toBe(true);
+    expect(isRangeFresh(new Date(lastModified + 5000).toUTCString(), { lastModified })).toBe(
+      false,
+    );
+  });
+});
+
+describe('static range + streaming', () => {
+  let tmpDir;
+  let smallPath;
+  let bigPath;
+  let bigData;
+  let mem;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-range-'));
+    smallPath = path.join(tmpDir, 'small.txt');
+    fs.writeFileSync(smallPath, '0123456789abcdefghij');
+    bigPath = path.join(tmpDir, 'big.bin');
+    bigData = Buffer.alloc(200 * 1024);
+    for (let i = 0; i < bigData.length; i++) bigData[i] = i % 251;
+    fs.writeFileSync(bigPath, bigData);
+    mem = new Map();
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  function mockCache() {
+    return {
+      get: jest.fn(async (key) => (mem.has(key) ? mem.get(key) : null)),
+      set: jest.fn(async (key, value) => {
+        mem.set(key, value);
+      }),
+    };
+  }
+
+  /** Writable response capturing status, headers and body bytes. */
+  function mockRes() {
+    const chunks = [];
+    const res = new Writable({
+      write(chunk, enc, cb) {
+        chunks.push(Buffer.from(chunk));
+        cb();
+      },
+    });
+    res.statusCode = 0;
+    res.headers = {};
+    res.writeHead = (code, headers) => {
+      res.statusCode = code;
+      res.headers = { ...headers };
+    };
+    const end = res.end.bind(res);
+    res.end = (buf) => {
+      if (buf) chunks.push(Buffer.from(buf));
+      return end();
+    };
+    res.body = () => Buffer.concat(chunks);
+    return res;
+  }
+
+  const app = (() => {
+    const a = {
+      config: {
+        cache: {
+          client: { enabled: false, no_cache_regex: [] },
+          server: { enabled: true, no_cache_regex: [] },
+        },
+      },
+    };
+    attachCompiledCacheRegex(a);
+    return a;
+  })();
+
+  async function serve(filePath, reqHeaders, opts = {}) {
+    const res = mockRes();
+    const cache = opts.cache || mockCache();
+    await serveStaticFile({
+      req: { method: opts.method || 'GET', url: '/demo/f', headers: reqHeaders },
+      res,
+      filePath,
+      cacheConfig: app.config.cache,
+      cache,
+      canCompress: !!opts.canCompress,
+      logger: { info: jest.fn(), debug: jest.fn(), warn: jest.fn() },
+      headers: {},
+      app,
+      staticConfig: { stream_threshold: '100kib' },
+    });
+    return res;
+  }
+
+  test('small file: single range is a 206 slice of identity bytes', async () => {
+    const res = await serve(smallPath, { range: 'bytes=2-5', 'accept-encoding': 'gzip' }, {
+      canCompress: true,
+    });
+    expect(res.statusCode).toBe(206);
+    expect(res.headers['Content-Range']).toBe('bytes 2-5/20');
+    expect(res.headers['Content-Length']).toBe(4);
+    expect(res.headers['Content-Encoding']).toBeUndefined();
+    expect(res.headers['ETag']).not.toMatch(/^W\//);
+    expect(res.body().toString()).toBe('2345');
+  });
+
+  test('small file: multi-range returns multipart/byteranges', async () => {
+    const res = await serve(smallPath, { range: 'bytes=0-1,-2' });
+    expect(res.statusCode).toBe(206);
+    const ct = res.headers['Content-Type'];
+    expect(ct).toMatch(/^multipart\/byteranges; boundary=/);
+    const boundary = ct.split('boundary=')[1];
+    const body = res.body().toString();
+    expect(res.headers['Content-Length']).toBe(res.body().length);
+    expect(body).toContain(`--${boundary}\r\nContent-Type: text/plain; charset=utf-8\r\nContent-Range: bytes 0-1/20\r\n\r\n01`);
+    expect(body).toContain('Content-Range: bytes 18-19/20\r\n\r\nij');
+    expect(body.endsWith(`\r\n--${boundary}--\r\n`)).toBe(true);
+  });
+
+  test('unsatisfiable range is 416 with Content-Range */size', async () => {
+    const res = await serve(smallPath, { range: 'bytes=50-60' });
+    expect(res.statusCode).toBe(416);
+    expect(res.headers['Content-Range']).toBe('bytes */20');
+  });
+
+  test('stale If-Range falls back to the full 200 body', async () => {
+    const res = await serve(smallPath, { range: 'bytes=0-1', 'if-range': '"stale"' });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Accept-Ranges']).toBe('bytes');
+    expect(res.body().toString()).toBe('0123456789abcdefghij');
+  });
+
+  test('large file streams full body without touching the server cache', async () => {
+    const cache = mockCache();
+    const res = await serve(bigPath, { 'accept-encoding': 'gzip' }, { cache, canCompress: true });
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Length']).toBe(bigData.length);
+    expect(res.headers['Content-Encoding']).toBeUndefined();
+    expect(res.headers['Accept-Ranges']).toBe('bytes');
+    expect(res.body().equals(bigData)).toBe(true);
+    expect(cache.get).not.toHaveBeenCalled();
+    expect(cache.set).not.toHaveBeenCalled();
+  });
+
+  test('large file: ranges stream from disk; If-Range with its ETag is honored', async () => {
+    const first = await serve(bigPath, {}, { method: 'HEAD' });
+    expect(first.statusCode).toBe(200);
+    expect(first.body().length).toBe(0);
+    const etag = first.headers['ETag'];
+
+    const single = await serve(bigPath, { range: 'bytes=1000-1999', 'if-range': etag });
+    expect(single.statusCode).toBe(206);
+    expect(single.headers['Content-Range']).toBe(`bytes 1000-1999/${bigData.length}`);
+    expect(single.body().equals(bigData.subarray(1000, 2000))).toBe(true);
+
+    const multi = await serve(bigPath, { range: 'bytes=0-9,-10' });
+    expect(multi.statusCode).toBe(206);
+    expect(multi.body().length).toBe(multi.headers['Content-Length']);
+    expect(multi.body().includes(bigData.subarray(0, 10))).toBe(true);
+    expect(multi.body().includes(bigData.subarray(bigData.length - 10))).toBe(true);
+
+    const notModified = await serve(bigPath, { 'if-none-match': etag });
+    expect(notModified.statusCode).toBe(304);
+  });
+
+  test('large file: full-body request streams a precompressed sibling; ranges stay identity', async () => {
+    const zlib = require('zlib');
+    const prebuilt = zlib.gzipSync(bigData);
+    fs.writeFileSync(`${bigPath}.gz`, prebuilt);
+
+    const full = await serve(bigPath, { 'accept-encoding': 'gzip' }, { canCompress: true });
+    expect(full.statusCode).toBe(200);
+    expect(full.headers['Content-Encoding']).toBe('gzip');
+    expect(full.headers['Content-Length']).toBe(prebuilt.length);
+    expect(full.body().equals(prebuilt)).toBe(true);
+
+    const ranged = await serve(
+      bigPath,
+      { 'accept-encoding': 'gzip', range: 'bytes=0-99' },
+      { canCompress: true },
+    );
+    expect(ranged.statusCode).toBe(206);
+    expect(ranged.headers['Content-Encoding']).toBeUndefined();
+    expect(ranged.body().equals(bigData.subarray(0, 100))).toBe(true);
+  });
+
+  test('missing file is 404', async () => {
+    const res = await serve(path.join(tmpDir, 'nope.txt'), {});
+    expect(res.statusCode).toBe(404);
+  });
+});
@@ -0,0 +1,221 @@
+/**
+ * app.json / routes.json `uploads`: streaming multipart to the app temp dir, limits, cleanup.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const { als, gingee } = require('../../modules/gingee');
+const {
+  resolveUploadPolicy,
+  isMimeAllowed,
+  sweepStaleUploads,
+} = require('../../modules/engine/request_context/uploads');
+const { appTempPath } = require('../../modules/engine/paths');
+
+const BOUNDARY = '----gingeeTestBoundary';
+
+function multipartBody(parts) {
+  const chunks = [];
+  for (const part of parts) {
+    chunks.push(`--${BOUNDARY}\r\n`);
+    if (part.filename) {
+      chunks.push(
+        `Content-Disposition: form-data; name="${part.name}"; filename="${part.filename}"\r\n` +
+          `Content-Type: ${part.type}\r\n\r\n`,
+      );
+    } else {
+      chunks.push(`Content-Disposition: form-data; name="${part.name}"\r\n\r\n`);
+    }
+    chunks.push(part.value, '\r\n');
+  }
+  chunks.push(`--${BOUNDARY}--\r\n`);
+  return Buffer.from(chunks.join(''));
+}
+
+describe('resolveUploadPolicy', () => {
+  const app = { config: { uploads: { stream: true, max_file_size: '1KB', max_files: 2 } } };
+
+  test('off unless stream is true', () => {
+    expect(resolveUploadPolicy({ config: {} }, null)).toBeNull();
+    expect(resolveUploadPolicy({ config: { uploads: { max_files: 3 } } }, null)).toBeNull();
+  });
+
+  test('parses sizes and merges the route override field by field', () => {
+    expect(resolveUploadPolicy(app, null)).toEqual({
+      stream: true,
+      maxFileSize: 1000,
+      maxFiles: 2,
+      maxTotalSize: null,
+      allowedTypes: null,
+    });
+    const route = { uploads: { max_files: 1, allowed_types: ['Image/*'] } };
+    expect(resolveUploadPolicy(app, route)).toMatchObject({
+      maxFileSize: 1000,
+      maxFiles: 1,
+      allowedTypes: ['image/*'],
+    });
+    expect(resolveUploadPolicy(app, { uploads: false })).toBeNull();
+    expect(resolveUploadPolicy({ config: {} }, { uploads: { stream: true } })).toMatchObject({
+      stream: true,
+    });
+  });
+
+  test('isMimeAllowed supports exact types and type/* families', () => {
+    const policy = { allowedTypes: ['image/*', 'application/pdf'] };
+    expect(isMimeAllowed(policy, 'image/png')).toBe(true);
+    expect(isMimeAllowed(policy, 'application/pdf; charset=binary')).toBe(true);
+    expect(isMimeAllowed(policy, 'text/plain')).toBe(false);
+    expect(isMimeAllowed(policy, '')).toBe(false);
+    expect(isMimeAllowed({ allowedTypes: null }, 'text/plain')).toBe(true);
+  });
+});
+
+describe('gingee() streaming multipart', () => {
+  let projectRoot;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-uploads-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  function makeStore(body, uploads) {
+    const req = new PassThrough();
+    req.url = '/demo/upload';
+    req.method = 'POST';
+    req.headers = {
+      host: 'localhost',
+      'content-type': `multipart/form-data; boundary=${BOUNDARY}`,
+      'content-length': String(body.length),
+    };
+    req.connection = {};
+    const res = new EventEmitter();
+    Object.assign(res, {
+      statusCode: 200,
+      headers: {},
+      headersSent: false,
+      writeHead: jest.fn((code) => {
+        res.statusCode = code;
+        res.headersSent = true;
+      }),
+      setHeader(k, v) {
+        res.headers[k] = v;
+      },
+      getHeader(k) {
+        return res.headers[k];
+      },
+      end: jest.fn(() => {
+        res.headersSent = true;
+        res.emit('finish');
+      }),
+    });
+    const app = { config: { name: 'demo', version: '1', env: {}, uploads } };
+    return {
+      req,
+      res,
+      projectRoot,
+      maxBodySize: '1mb',
+      appName: 'demo',
+      app,
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+      scriptPath: '/srv/web/demo/box/upload.js',
+      routeParams: {},
+      uploadPolicy: resolveUploadPolicy(app, null),
+      mainScriptStarted: true,
+    };
+  }
+
+  async function run(store, body, handler) {
+    await als.run(store, async () => {
+      const done = gingee(handler);
+      store.req.end(body);
+      await done;
+    });
+  }
+
+  const uploadsRoot = () => path.join(appTempPath(projectRoot, 'demo'), 'uploads');
+
+  test('files land in the request temp folder and are removed when the response ends', async () => {
+    const body = multipartBody([
+      { name: 'title', value: 'holiday' },
+      { name: 'photos', filename: 'a.png', type: 'image/png', value: 'AAAA' },
+      { name: 'photos', filename: 'b.png', type: 'image/png', value: 'BBBBBB' },
+    ]);
+    const store = makeStore(body, { stream: true });
+    let seen = null;
+    const handler = jest.fn(($g) => {
+      const { files } = $g.request.body;
+      seen = files.photos.map((f) => ({
+        ...f,
+        onDisk: fs.readFileSync(path.join(appTempPath(projectRoot, 'demo'), f.path), 'utf8'),
+      }));
+      expect($g.request.body.title).toEqual(['holiday']);
+      $g.response.send('ok');
+    });
+    await run(store, body, handler);
+
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(seen.map((f) => [f.name, f.type, f.size, f.onDisk])).toEqual([
+      ['a.png', 'image/png', 4, 'AAAA'],
+      ['b.png', 'image/png', 6, 'BBBBBB'],
+    ]);
+    expect(seen[0].path).toMatch(/^\/uploads\/[0-9a-f-]{36}\/[^/]+\.png$/);
+    expect(seen[0].data).toBeUndefined();
+
+    await new Promise((r) => setTimeout(r, 50));
+    expect(fs.readdirSync(uploadsRoot())).toEqual([]);
+  });
+
+  test('too many files is a 413 and the handler is skipped', async () => {
+    const body = multipartBody([
+      { name: 'f', filename: 'a.txt', type: 'text/plain', value: 'a' },
+      { name: 'f', filename: 'b.txt', type: 'text/plain', value: 'b' },
+    ]);
+    const store = makeStore(body, { stream: true, max_files: 1 });
+    const handler = jest.fn();
+    await run(store, body, handler);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(store.res.writeHead).toHaveBeenCalledWith(413, expect.any(Object));
+  });
+
+  test('a file larger than max_file_size is a 413', async () => {
+    const body = multipartBody([
+      { name: 'f', filename: 'big.txt', type: 'text/plain', value: 'x'.repeat(2000) },
+    ]);
+    const store = makeStore(body, { stream: true, max_file_size: '1KB' });
+    const handler = jest.fn();
+    await run(store, body, handler);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(store.res.writeHead).toHaveBeenCalledWith(413, expect.any(Object));
+  });
+
+  test('a type outside allowed_types is a 415', async () => {
+    const body = multipartBody([
+      { name: 'f', filename: 'run.sh', type: 'application/x-sh', value: 'echo' },
+    ]);
+    const store = makeStore(body, { stream: true, allowed_types: ['image/*'] });
+    const handler = jest.fn();
+    await run(store, body, handler);
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(store.res.writeHead).toHaveBeenCalledWith(415, expect.any(Object));
+  });
+
+  test('sweepStaleUploads removes only folders older than the cutoff', () => {
+    const oldDir = path.join(uploadsRoot(), 'old');
+    const freshDir = path.join(uploadsRoot(), 'fresh');
+    fs.mkdirSync(oldDir, { recursive: true });
+    fs.mkdirSync(freshDir, { recursive: true });
+    const past = new Date(Date.now() - 2 * 60 * 60 * 1000);
+    fs.utimesSync(oldDir, past, past);
+
+    expect(sweepStaleUploads(projectRoot)).toBe(1);
+    expect(fs.readdirSync(uploadsRoot())).toEqual(['fresh']);
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * app.json `tus`: resumable uploads (creation, HEAD, PATCH, termination, expiration).
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
+const {
+  resolveTusConfig,
+  isTusRequest,
+  initApp,
+  parseUploadMetadata,
+  handleTus,
+  sweepExpiredTusUploads,
+} = require('../../modules/engine/request/tus');
+const { appTempPath } = require('../../modules/engine/paths');
+const { als } = require('../../modules/gingee');
+const auth = require('../../modules/auth');
+const cacheService = require('../../modules/cache_service');
+
+const quiet = { info: () => {}, warn: () => {}, error: () => {} };
+
+function makeRes() {
+  const res = new EventEmitter();
+  Object.assign(res, {
+    statusCode: 0,
+    headers: {},
+    headersSent: false,
+    body: '',
+    setHeader(k, v) {
+      res.headers[k.toLowerCase()] = v;
+    },
+    getHeader(k) {
+      return res.headers[k.toLowerCase()];
+    },
+    writeHead(code, headers) {
+      res.statusCode = code;
+      for (const [k, v] of Object.entries(headers || {})) res.setHeader(k, v);
+      res.headersSent = true;
+    },
+    end(body) {
+      if (body) res.body += body.toString();
+      res.emit('finish');
+    },
+  });
+  return res;
+}
+
+function makeReq(method, headers, body) {
+  const req = new PassThrough();
+  req.method = method;
+  req.headers = { 'tus-resumable': '1.0.0', ...headers };
+  if (body !== undefined) req.end(body);
+  else req.end();
+  return req;
+}
+
+describe('tus config and helpers', () => {
+  test('disabled by default; defaults when enabled', () => {
+    expect(isTusRequest({ config: {} }, '/tus')).toBe(false);
+    const cfg = resolveTusConfig({ tus: { enabled: true, auth: false, max_size: '10MB' } });
+    expect(cfg).toMatchObject({
+      enabled: true,
+      path: '/tus',
+      auth: null,
+      maxSize: 10 * 1000 * 1000,
+      maxTotalSize: 1000 * 1000 * 1000,
+      maxUploadsPerClient: 5,
+      expirySeconds: 86400,
+      target: { scope: 'TEMP', path: 'tus/complete' },
+      onComplete: null,
+      problems: [],
+    });
+    expect(cfg.allowedExtensions).toEqual(expect.arrayContaining(['jpg', 'mp4', 'pdf']));
+    expect(cfg.allowedExtensions).not.toContain('html');
+    const app = { config: { tus: { enabled: true, auth: false, path: 'files/' } } };
+    expect(isTusRequest(app, '/files')).toBe(true);
+    expect(isTusRequest(app, '/files/abc')).toBe(true);
+    expect(isTusRequest(app, '/filesystem')).toBe(false);
+  });
+
+  test('invalid settings are reported once at load and never fail a request', () => {
+    const logger = { error: jest.fn() };
+    const app = {
+      name: 'media',
+      config: {
+        tus: {
+          enabled: true,
+          auth: { api_key: 'yes', scopes: 'upload' },
+          max_size: 'lots',
+          max_uploads_per_client: 0,
+          target: { scope: 'WEB', path: 'uploads' },
+          allowed_extensions: ['.PNG', 'html', 'svg', 'bad ext'],
+        },
+      },
+    };
+    expect(isTusRequest(app, '/tus')).toBe(false);
+    const cfg = resolveTusConfig(app.config);
+    expect(cfg).toMatchObject({ enabled: false, maxSize: 100 * 1000 * 1000, maxUploadsPerClient: 5 });
+    expect(cfg.allowedExtensions).toEqual(['png']);
+    initApp(app, logger);
+    expect(logger.error.mock.calls.map(([m]) => m)).toEqual([
+      "[tus] App 'media': tus.auth: API key scopes must be an array of strings; the endpoint is off.",
+      "[tus] App 'media': tus.max_size 'lots' is not a size; using 100MB.",
+      "[tus] App 'media': tus.max_uploads_per_client '0' is not a positive integer; using 5.",
+      "[tus] App 'media': tus.allowed_extensions html, svg are not kept for a WEB target.",
+    ]);
+
+    // Script extensions are never kept for a BOX target, where they would run by URL.
+    const box = resolveTusConfig({
+      tus: { enabled: true, auth: false, target: { scope: 'BOX' }, allowed_extensions: ['js', 'CJS', 'ts', 'png'] },
+    });
+    expect(box.allowedExtensions).toEqual(['png']);
+    expect(box.problems).toEqual(['tus.allowed_extensions js, cjs, ts are not kept for a BOX target.']);
+    expect(
+      resolveTusConfig({ tus: { enabled: true, auth: false, allowed_extensions: ['js'] } }).allowedExtensions,
+    ).toEqual(['js']);
+
+    // Without tus.auth the endpoint stays off.
+    const open = resolveTusConfig({ tus: { enabled: true } });
+    expect(open.enabled).toBe(false);
+    expect(open.problems).toEqual([expect.stringMatching(/tus\.auth must be an API key rule/)]);
+    expect(resolveTusConfig({ tus: { enabled: true, auth: { api_key: ['upload'] } } }).auth).toEqual({
+      scopes: ['upload'],
+    });
+  });
+
+  test('parseUploadMetadata decodes base64 pairs and rejects malformed input', () => {
+    const header = `filename ${Buffer.from('clip.mp4').toString('base64')},is_private`;
+    expect(parseUploadMetadata(header)).toEqual({ filename: 'clip.mp4', is_private: '' });
+    expect(parseUploadMetadata('')).toEqual({});
+    expect(parseUploadMetadata('a b c')).toBeNull();
+    expect(parseUploadMetadata('a !!!')).toBeNull();
+  });
+});
+
+describe('handleTus', () => {
+  let projectRoot;
+  let app;
+  let ctx;
+
+  beforeEach(() => {
+    projectRoot = fs.mkdtempSync(path.join(os.tmpdir(), 'gingee-tus-'));
+    app = {
+      name: 'media',
+      appBoxPath: path.join(projectRoot, 'web', 'media', 'box'),
+      appWebPath: path.join(projectRoot, 'web', 'media'),
+      config: {
+        tus: {
+          enabled: true,
+          auth: false,
+          path: '/files',
+          max_size: 100,
+          target: { scope: 'BOX', path: 'data/media' },
+        },
+      },
+    };
+    ctx = {
+      appName: 'media',
+      projectRoot,
+      baseUrl: '/media',
+      logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn() },
+    };
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectRoot, { recursive: true, force: true });
+  });
+
+  async function call(method, urlPath, headers, body) {
+    const res = makeRes();
+    await handleTus(makeReq(method, headers, body), res, app, urlPath, ctx);
+    return res;
+  }
+
+  async function create(length, extra = {}) {
+    const res = await call('POST', '/files', {
+      'upload-length': String(length),
+      'upload-metadata': `filename ${Buffer.from('clip.MP4').toString('base64')}`,
+      ...extra,
+    });
+    expect(res.statusCode).toBe(201);
+    return res.headers.location.split('/').pop();
+  }
+
+  test('OPTIONS advertises version, extensions and max size', async () => {
+    const res = await call('OPTIONS', '/files', {});
+    expect(res.statusCode).toBe(204);
+    expect(res.headers['tus-version']).toBe('1.0.0');
+    expect(res.headers['tus-extension']).toBe(
+      'creation,creation-with-upload,termination,expiration',
+    );
+    expect(res.headers['tus-max-size']).toBe('100');
+  });
+
+  test('requests without a matching Tus-Resumable get 412', async () => {
+    const res = await call('POST', '/files', { 'tus-resumable': '0.2.2', 'upload-length': '5' });
+    expect(res.statusCode).toBe(412);
+  });
+
+  test('creation validates Upload-Length against max_size', async () => {
+    expect((await call('POST', '/files', {})).statusCode).toBe(400);
+    expect((await call('POST', '/files', { 'upload-length': '101' })).statusCode).toBe(413);
+  });
+
+  test('upload in chunks, resume from HEAD offset, move to target on completion', async () => {
+    const id = await create(10);
+    const patch = (offset, body) =>
+      call(
+        'PATCH',
+        `/files/${id}`,
+        { 'content-type': 'application/offset+octet-stream', 'upload-offset': String(offset) },
+        body,
+      );
+
+    const first = await patch(0, Buffer.from('hello'));
+    expect(first.statusCode).toBe(204);
+    expect(first.headers['upload-offset']).toBe('5');
+
+    const head = await call('HEAD', `/files/${id}`, {});
+    expect(head.statusCode).toBe(200);
+    expect(head.headers['upload-offset']).toBe('5');
+    expect(head.headers['upload-length']).toBe('10');
+    expect(head.headers['cache-control']).toBe('no-store');
+
+    expect((await patch(3, Buffer.from('xx'))).statusCode).toBe(409);
+
+    const last = await patch(5, Buffer.from('world'));
+    expect(last.statusCode).toBe(204);
+    expect(last.headers['upload-offset']).toBe('10');
+
+    const finalPath = path.join(app.appBoxPath, 'data', 'media', `${id}.mp4`);
+    expect(fs.readFileSync(finalPath, 'utf8')).toBe('helloworld');
+    expect((await call('HEAD', `/files/${id}`, {})).statusCode).toBe(404);
+  });
+
+  test('creation-with-upload and the on_complete script hook', async () => {
+    app.config.tus.on_complete = { script: 'media/uploaded' };
+    fs.mkdirSync(path.join(app.appBoxPath, 'media'), { recursive: true });
+    fs.writeFileSync(path.join(app.appBoxPath, 'media', 'uploaded.js'), '');
+    ctx.runScript = jest.fn(async () => {});
+
+    const res = await call(
+      'POST',
+      '/files',
+      { 'upload-length': '3', 'content-type': 'application/offset+octet-stream' },
+      Buffer.from('abc'),
+    );
+    expect(res.statusCode).toBe(201);
+    expect(res.headers['upload-offset']).toBe('3');
+    expect(ctx.runScript).toHaveBeenCalledTimes(1);
+    const [scriptPath, upload] = ctx.runScript.mock.calls[0];
+    expect(scriptPath).toMatch(/media[\\/]uploaded\.js$/);
+    expect(upload).toMatchObject({ size: 3, scope: 'BOX', path: `/data/media/${upload.id}` });
+  });
+
+  test('PATCH needs the offset+octet-stream content type; DELETE terminates', async () => {
+    const id = await create(4);
+    const wrongType = await call(
+      'PATCH',
+      `/files/${id}`,
+      { 'content-type': 'text/plain', 'upload-offset': '0' },
+      Buffer.from('data'),
+    );
+    expect(wrongType.statusCode).toBe(415);
+
+    expect((await call('DELETE', `/files/${id}`, {})).statusCode).toBe(204);
+    expect((await call('HEAD', `/files/${id}`, {})).statusCode).toBe(404);
+    expect((await call('HEAD', '/files/not-an-id', {})).statusCode).toBe(404);
+  });
+
+  test('expired uploads answer 410 and are swept at boot', async () => {
+    const id = await create(4);
+    const other = await create(4);
+    const dir = path.join(appTempPath(projectRoot, 'media'), 'tus', 'partial');
+    for (const uploadId of [id, other]) {
+      const infoPath = path.join(dir, `${uploadId}.json`);
+      const info = JSON.parse(fs.readFileSync(infoPath, 'utf8'));
+      fs.writeFileSync(infoPath, JSON.stringify({ ...info, expiresAt: Date.now() - 1000 }));
+    }
+
+    expect((await call('HEAD', `/files/${id}`, {})).statusCode).toBe(410);
+    expect(sweepExpiredTusUploads(projectRoot)).toBe(1);
+    expect(fs.readdirSync(dir)).toEqual([]);
+  });
+
+  test('finished files keep only allow-listed extensions', async () => {
+    app.config.tus.allowed_extensions = ['png'];
+    const upload = async (filename) => {
+      const res = await call(
+        'POST',
+        '/files',
+        {
+          'upload-length': '2',
+          'upload-metadata': `filename ${Buffer.from(filename).toString('base64')}`,
+          'content-type': 'application/offset+octet-stream',
+        },
+        Buffer.from('ok'),
+      );
+      expect(res.statusCode).toBe(201);
+      return res.headers.location.split('/').pop();
+    };
+    const png = await upload('cat.PNG');
+    const html = await upload('page.html');
+    expect(fs.readdirSync(path.join(app.appBoxPath, 'data', 'media')).sort()).toEqual([`${png}.png`, html].sort());
+  });
+
+  test('X-HTTP-Method-Override is honoured only on POST', async () => {
+    const id = await create(4);
+    const patch = await call('PATCH', `/files/${id}`, {
+      'x-http-method-override': 'DELETE',
+      'content-type': 'text/plain',
+      'upload-offset': '0',
+    });
+    expect(patch.statusCode).toBe(415);
+    expect((await call('HEAD', `/files/${id}`, { 'x-http-method-override': 'DELETE' })).statusCode).toBe(200);
+    expect((await call('POST', `/files/${id}`, { 'x-http-method-override': 'DELETE' })).statusCode).toBe(204);
+    expect((await call('HEAD', `/files/${id}`, {})).statusCode).toBe(404);
+  });
+
+  test('unfinished uploads are capped per client and in total', async () => {
+    Object.assign(app.config.tus, { max_uploads_per_client: 2, max_total_size: 150 });
+    const first = await create(60);
+    await create(60);
+    expect((await call('POST', '/files', { 'upload-length': '1' })).statusCode).toBe(429);
+
+    expect((await call('DELETE', `/files/${first}`, {})).statusCode).toBe(204);
+    const full = await call('POST', '/files', { 'upload-length': '91' });
+    expect(full.statusCode).toBe(507);
+    await create(90);
+  });
+
+  describe('with tus.auth', () => {
+    beforeAll(async () => {
+      await cacheService.init({ provider: 'memory' }, quiet);
+    });
+
+    test('requests need an API key and uploads belong to the key that created them', async () => {
+      app.config.tus.auth = { api_key: ['upload'] };
+      const newKey = (scopes) =>
+        als.run({ appName: 'media', app, globalConfig: {}, logger: quiet }, () =>
+          auth.apiKeys.create({ name: 'uploader', scopes }),
+        );
+      const owner = (await newKey(['upload'])).key;
+      const other = (await newKey(['upload'])).key;
+      const readOnly = (await newKey([])).key;
+
+      expect((await call('OPTIONS', '/files', {})).statusCode).toBe(204);
+      const anonymous = await call('POST', '/files', { 'upload-length': '4' });
+      expect(anonymous.statusCode).toBe(401);
+      expect(JSON.parse(anonymous.body)).toMatchObject({ error: 'UNAUTHORIZED' });
+      expect((await call('POST', '/files', { 'upload-length': '4', 'x-api-key': readOnly })).statusCode).toBe(403);
+
+      const id = await create(4, { 'x-api-key': owner });
+      expect((await call('HEAD', `/files/${id}`, { 'x-api-key': owner })).statusCode).toBe(200);
+      expect((await call('HEAD', `/files/${id}`, { 'x-api-key': other })).statusCode).toBe(404);
+      expect((await call('DELETE', `/files/${id}`, { 'x-api-key': other })).statusCode).toBe(404);
+      expect((await call('HEAD', `/files/${id}`, {})).statusCode).toBe(401);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Glade admin accounts and roles.
+ *
+ * Accounts come from Glade app.json env:
+ *   ADMIN_USERS — [{ "username", "password_hash", "role", "totp_secret"?, "recovery_codes"? }]
+ *   ADMIN_USERNAME / ADMIN_PASSWORD_HASH (+ ADMIN_TOTP_SECRET, ADMIN_RECOVERY_CODES) — the
+ *   original single account; always role "admin". An ADMIN_USERS entry with the same name wins.
+ *
+ * Roles are ordered: viewer < operator < admin. Every /glade/api/* endpoint names the lowest
+ * role that may call it; endpoints missing from the table need "admin".
+ */
+
+const mfa = require("./mfa.js");
+
+const ROLES = ["viewer", "operator", "admin"];
+
+/** Lowest role per API endpoint (path under /glade/api/). */
+const ENDPOINT_ROLES = {
+  // Read-only views
+  apps: "viewer",
+  "analyze-backup": "viewer",
+  "cache-keys": "viewer",
+  "get-permissions": "viewer",
+  "list-backups": "viewer",
+  "logs-list": "viewer",
+  "logs-read": "viewer",
+  "migrations-status": "viewer",
+  openapi: "viewer",
+  "queue-dlq-list": "viewer",
+  "queue-live-list": "viewer",
+  "queue-stats": "viewer",
+  "schedule-list": "viewer",
+  "slow-queries": "viewer",
+  whoami: "viewer",
+  // Only returns a new secret for the caller to configure; changes nothing on the server.
+  "mfa-setup": "viewer",
+  // Day-to-day operations
+  "reload-app": "operator",
+  "cache-delete": "operator",
+  "schedule-run": "operator",
+  "queue-dlq-retry": "operator",
+  "queue-dlq-discard": "operator",
+  "slow-queries-clear": "operator",
+  // Code, data and permission changes
+  install: "admin",
+  upgrade: "admin",
+  rollback: "admin",
+  delete: "admin",
+  package: "admin",
+  "set-permissions": "admin",
+  "migrations-run": "admin",
+};
+
+/**
+ * @param {*} role
+ * @returns {number} rank (0 for unknown roles)
+ */
+function roleRank(role) {
+  return ROLES.indexOf(String(role || "").toLowerCase()) + 1;
+}
+
+/**
+ * @param {string} role - the signed-in admin's role
+ * @param {string} required
+ * @returns {boolean}
+ */
+function hasRole(role, required) {
+  const rank = roleRank(role);
+  return rank > 0 && rank >= roleRank(required);
+}
+
+/**
+ * Request path as file-based routing sees it: query and fragment dropped, empty and `.`
+ * segments removed, `..` applied. `/glade//api/./install` → `/glade/api/install`.
+ * @param {string} requestPath
+ * @returns {string}
+ */
+function normalizePath(requestPath) {
+  const segments = [];
+  for (const segment of String(requestPath || "")
+    .split(/[?#]/)[0]
+    .split("/")) {
+    if (!segment || segment === ".") continue;
+    if (segment === "..") segments.pop();
+    else segments.push(segment);
+  }
+  return `/${segments.join("/")}`;
+}
+
+/**
+ * Lowest role allowed to call a Glade API path, or null for non-API paths.
+ * Anything under /glade/api that is not a listed endpoint needs "admin".
+ * @param {string} requestPath - e.g. /glade/api/reload-app
+ * @returns {string|null}
+ */
+function requiredRole(requestPath) {
+  const normalized = normalizePath(requestPath);
+  if (normalized !== "/glade/api" && !normalized.startsWith("/glade/api/")) {
+    return null;
+  }
+  const name = normalized.slice("/glade/api/".length).replace(/\.js$/, "");
+  return Object.prototype.hasOwnProperty.call(ENDPOINT_ROLES, name)
+    ? ENDPOINT_ROLES[name]
+    : "admin";
+}
+
+/**
+ * All configured accounts, keyed by username.
+ * @param {object} [appEnv]
+ * @returns {Map<string, { username: string, passwordHash: string, role: string, mfa: object }>}
+ * @throws {Error} On an ADMIN_USERS entry without username/password_hash or with an unknown role.
+ */
+function loadUsers(appEnv) {
+  const env = appEnv && typeof appEnv === "object" ? appEnv : {};
+  const users = new Map();
+  if (env.ADMIN_USERNAME && env.ADMIN_PASSWORD_HASH) {
+    users.set(String(env.ADMIN_USERNAME), {
+      username: String(env.ADMIN_USERNAME),
+      passwordHash: String(env.ADMIN_PASSWORD_HASH),
+      role: "admin",
+      mfa: mfa.resolveConfig(env),
+    });
+  }
+  const list = env.ADMIN_USERS == null ? [] : env.ADMIN_USERS;
+  if (!Array.isArray(list)) {
+    throw new Error("ADMIN_USERS must be an array of accounts.");
+  }
+  list.forEach((entry, i) => {
+    const u = entry && typeof entry === "object" ? entry : {};
+    if (!u.username || !u.password_hash) {
+      throw new Error(
+        `ADMIN_USERS[${i}] needs a username and a password_hash.`,
+      );
+    }
+    const role = String(u.role || "viewer").toLowerCase();
+    if (!roleRank(role)) {
+      throw new Error(
+        `ADMIN_USERS[${i}] has unknown role '${u.role}' (use ${ROLES.join(", ")}).`,
+      );
+    }
+    users.set(String(u.username), {
+      username: String(u.username),
+      passwordHash: String(u.password_hash),
+      role,
+      mfa: mfa.factorConfig(u.totp_secret, u.recovery_codes),
+    });
+  });
+  return users;
+}
+
+/**
+ * @param {object} appEnv
+ * @param {string} username
+ * @returns {{ username: string, passwordHash: string, role: string, mfa: object }|null}
+ */
+function findUser(appEnv, username) {
+  if (!username) return null;
+  return loadUsers(appEnv).get(String(username)) || null;
+}
+
+module.exports = {
+  ROLES,
+  ENDPOINT_ROLES,
+  roleRank,
+  hasRole,
+  normalizePath,
+  requiredRole,
+  loadUsers,
+  findUser,
+};
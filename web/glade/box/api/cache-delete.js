@@ -0,0 +1,23 @@
+module.exports = async function () {
+  await gingee(async ($g) => {
+    try {
+      const platform = require("platform");
+      const { appName, keys, pattern, tag } = $g.request.body || {};
+      if (!appName) {
+        $g.response.send(
+          { status: "error", error: "appName is required" },
+          400,
+        );
+        return;
+      }
+      const { deleted } = await platform.deleteCacheKeys(appName, {
+        keys,
+        pattern,
+        tag,
+      });
+      $g.response.send({ status: "success", deleted });
+    } catch (e) {
+      $g.response.send({ status: "error", error: e.message }, 500);
+    }
+  });
+};
@@ -0,0 +1,23 @@
+module.exports = async function () {
+  await gingee(async ($g) => {
+    try {
+      const platform = require("platform");
+      const appName = $g.request.query.app;
+      if (!appName) {
+        return $g.response.send(
+          { status: "error", error: "An `app` query parameter is required." },
+          400,
+        );
+      }
+      const result = await platform.getCacheKeys(appName, {
+        pattern: $g.request.query.pattern,
+        limit: $g.request.query.limit
+          ? Number($g.request.query.limit)
+          : undefined,
+      });
+      $g.response.send({ status: "success", ...result });
+    } catch (e) {
+      $g.response.send({ status: "error", error: e.message }, 500);
+    }
+  });
+};
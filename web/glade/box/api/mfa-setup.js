@@ -0,0 +1,38 @@
+module.exports = async function () {
+  await gingee(async ($g) => {
+    try {
+      const auth = require("auth");
+      // New values only: nothing is stored until the admin puts them in app.json and restarts.
+      const secret = auth.totp.generateSecret();
+      const uri = auth.totp.uri(secret, {
+        account: String($g.user || "admin"),
+        issuer: "Gingee Glade",
+      });
+      let qrCode = null;
+      try {
+        qrCode = await auth.totp.qrCode(uri);
+      } catch (e) {
+        // The QR library is optional; the secret can be typed in instead.
+        $g.log.warn(`Two-factor setup: no QR code (${e.message})`);
+      }
+      const { codes, hashes } = await auth.totp.generateRecoveryCodes();
+      // Accounts listed in ADMIN_USERS keep their factor on their own entry.
+      const listed = ($g.app.env.ADMIN_USERS || []).some(
+        (u) => u && String(u.username) === String($g.user),
+      );
+      $g.response.headers["Cache-Control"] = "no-store";
+      $g.response.send({
+        status: "success",
+        secret,
+        uri,
+        qrCode,
+        recoveryCodes: codes,
+        env: listed
+          ? { totp_secret: secret, recovery_codes: hashes }
+          : { ADMIN_TOTP_SECRET: secret, ADMIN_RECOVERY_CODES: hashes },
+      });
+    } catch (e) {
+      $g.response.send({ status: "error", error: e.message }, 500);
+    }
+  });
+};
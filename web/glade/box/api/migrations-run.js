@@ -0,0 +1,30 @@
+module.exports = async function () {
+  await gingee(async ($g) => {
+    try {
+      const platform = require("platform");
+      const body = $g.request.body || {};
+      const { appName, direction, dbName } = body;
+      if (!appName || (direction !== "up" && direction !== "down")) {
+        $g.response.send(
+          {
+            status: "error",
+            error: "appName and direction ('up' or 'down') are required",
+          },
+          400,
+        );
+        return;
+      }
+      const options = { dbName: dbName || undefined };
+      const migrations =
+        direction === "up"
+          ? await platform.runMigrations(appName, options)
+          : await platform.rollbackMigrations(appName, {
+              ...options,
+              steps: body.steps ? Number(body.steps) : undefined,
+            });
+      $g.response.send({ status: "success", migrations });
+    } catch (e) {
+      $g.response.send({ status: "error", error: e.message }, 500);
+    }
+  });
+};
@@ -0,0 +1,18 @@
+module.exports = async function () {
+  await gingee(async ($g) => {
+    try {
+      const platform = require("platform");
+      const appName = $g.request.query.app;
+      if (!appName) {
+        return $g.response.send(
+          { status: "error", error: "An `app` query parameter is required." },
+          400,
+        );
+      }
+      const databases = await platform.getMigrationStatus(appName);
+      $g.response.send({ status: "success", databases });
+    } catch (e) {
+      $g.response.send({ status: "error", error: e.message }, 500);
+    }
+  });
+};
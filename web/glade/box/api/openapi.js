@@ -0,0 +1,35 @@
+module.exports = async function () {
+  await gingee(async ($g) => {
+    const platform = require("platform");
+    try {
+      const appName = $g.request.query.app;
+      if (!appName) {
+        return $g.response.send(
+          { error: "An `app` query parameter is required." },
+          400,
+        );
+      }
+
+      const document = platform.getAppOpenApi(appName);
+
+      // ?download=1 from the dashboard; plain JSON for gingee-cli / scripts.
+      if ($g.request.query.download) {
+        $g.response.headers["Content-Disposition"] =
+          `attachment; filename="${appName}_openapi.json"`;
+      }
+      $g.response.send(document);
+    } catch (err) {
+      $g.log.error(
+        `Failed to generate OpenAPI document for app '${$g.request.query.app}'`,
+        { error: err.message },
+      );
+      $g.response.send(
+        {
+          error: "Failed to generate the OpenAPI document.",
+          message: err.message,
+        },
+        500,
+      );
+    }
+  });
+};
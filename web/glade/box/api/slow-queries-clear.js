@@ -0,0 +1,19 @@
+module.exports = async function () {
+  await gingee(async ($g) => {
+    try {
+      const platform = require("platform");
+      const { appName } = $g.request.body || {};
+      if (!appName) {
+        $g.response.send(
+          { status: "error", error: "appName is required" },
+          400,
+        );
+        return;
+      }
+      platform.clearSlowQueries(appName);
+      $g.response.send({ status: "success" });
+    } catch (e) {
+      $g.response.send({ status: "error", error: e.message }, 500);
+    }
+  });
+};
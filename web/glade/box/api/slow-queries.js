@@ -0,0 +1,21 @@
+module.exports = async function () {
+  await gingee(async ($g) => {
+    try {
+      const platform = require("platform");
+      const appName = $g.request.query.app;
+      if (!appName) {
+        return $g.response.send(
+          { status: "error", error: "An `app` query parameter is required." },
+          400,
+        );
+      }
+      const limit = $g.request.query.limit
+        ? Number($g.request.query.limit)
+        : undefined;
+      const queries = platform.getSlowQueries(appName, { limit });
+      $g.response.send({ status: "success", queries });
+    } catch (e) {
+      $g.response.send({ status: "error", error: e.message }, 500);
+    }
+  });
+};
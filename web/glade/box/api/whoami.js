@@ -0,0 +1,10 @@
+module.exports = async function () {
+  await gingee(async ($g) => {
+    // Set by auth_middleware.js from the session and the admin's ADMIN_USERS entry.
+    $g.response.send({
+      status: "success",
+      user: $g.user,
+      role: $g.userRole,
+    });
+  });
+};
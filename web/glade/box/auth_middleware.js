@@ -2,34 +2,45 @@ module.exports = async function () {
   // IMPORTANT: if the include script is a middleware and requires sequential execution prior to further scripts,
   // it should await on the gingee function as done below
   await gingee(async ($g) => {
-    const cacheService = require("cache_service");
+    const auth = require("auth");
     const crypto = require("crypto");
-    const sessionCookie = require("./session_cookie.js");
     const csrf = require("./csrf.js");
+    const adminUsers = require("./admin_users.js");
     const { request, response, log } = $g;
 
     const sessionId = request.cookies.sessionId;
     let isSessionValid = false;
     /** @type {object|null} */
     let sessionData = null;
-    let sessionCacheKey = null;
+    /** @type {string|null} */
+    let role = null;
 
     if (sessionId) {
-      sessionCacheKey = `session:${sessionId}`;
-      sessionData = await cacheService.get(sessionCacheKey);
-      if (sessionData) {
+      const session = await auth.sessions.get(sessionId);
+      // Role is read from app.json on every request, so removing an admin ends their sessions.
+      const admin = session
+        ? adminUsers.findUser(($g.app && $g.app.env) || {}, session.userId)
+        : null;
+      if (session && !admin) {
+        log.warn(
+          `Glade session of '${session.userId}' ended: no such admin user.`,
+        );
+        await auth.sessions.destroy(sessionId);
+      }
+      if (admin) {
         isSessionValid = true;
-        // Attach user $g for later scripts
-        $g.user = sessionData.user;
+        sessionData = session.data;
+        role = admin.role;
+        // Attach user $g for later scripts (audit.emit records it as `user`)
+        $g.user = session.userId;
+        $g.userRole = role;
 
-        // Ensure session has a CSRF token (upgrade path for sessions created before H9).
+        // Ensure session has a CSRF token.
         if (!sessionData.csrfToken) {
           sessionData.csrfToken = csrf.createCsrfToken(crypto);
-          await cacheService.set(
-            sessionCacheKey,
-            sessionData,
-            sessionCookie.SESSION_MAX_AGE_SEC,
-          );
+          await auth.sessions.update(sessionId, {
+            csrfToken: sessionData.csrfToken,
+          });
         }
         // Refresh double-submit cookie so Glade UI can always read a token.
         response.cookies[csrf.CSRF_COOKIE_NAME] = csrf.setCsrfCookie(
@@ -57,7 +68,8 @@ module.exports = async function () {
 
       // H9: mutating Glade operations require CSRF (+ Origin when present).
       // Covers /glade/api/* and logout (session-changing).
-      const path = request.path || "";
+      // Normalized the way file-based routing resolves it (`/glade//api/x` runs api/x.js).
+      const path = adminUsers.normalizePath(request.path);
       const needsCsrf =
         csrf.isUnsafeMethod(request.method) &&
         (path.startsWith("/glade/api/") || isLogoutApi);
@@ -83,6 +95,28 @@ module.exports = async function () {
           return;
         }
       }
+
+      // Roles: viewer < operator < admin (see admin_users.js for the per-endpoint table).
+      const required = adminUsers.requiredRole(path);
+      if (required && !adminUsers.hasRole(role, required)) {
+        log.warn(
+          `Glade user '${$g.user}' (${role}) denied ${request.method} ${path}: needs ${required}.`,
+        );
+        require("audit").emit("glade.forbidden", {
+          path,
+          role,
+          required,
+        });
+        response.send(
+          {
+            error: "Forbidden",
+            code: "ROLE_FORBIDDEN",
+            message: `Requires the '${required}' role.`,
+          },
+          403,
+        );
+        return;
+      }
       // If session is valid and not the login page, we do nothing.
       // The middleware finishes, and the main handler will be allowed to run.
     } else {
@@ -2,13 +2,15 @@ module.exports = async function () {
   gingee(async ($g) => {
     const crypto = require("crypto");
     const cacheService = require("cache_service");
+    const auth = require("auth");
     const sessionCookie = require("./session_cookie.js");
     const csrf = require("./csrf.js");
     const loginRateLimit = require("./login_rate_limit.js");
+    const mfa = require("./mfa.js");
+    const adminUsers = require("./admin_users.js");
 
     try {
-      const { username, password } = $g.request.body || {};
-      const { ADMIN_USERNAME, ADMIN_PASSWORD_HASH } = $g.app.env;
+      const { username, password, otp } = $g.request.body || {};
       const rateCfg = loginRateLimit.resolveConfig($g.app.env);
 
       // Raw socket IP when available (ALS store) for rate keys without proxy headers.
@@ -26,6 +28,30 @@ module.exports = async function () {
         username: username || "",
       };
 
+      // A failed attempt counts towards the lockout; the lock itself answers 429.
+      const rejectAttempt = async (body) => {
+        const fail = await loginRateLimit.recordFailure(
+          cacheService,
+          identity,
+          rateCfg,
+        );
+        if (fail.locked) {
+          $g.response.headers["Retry-After"] = String(
+            fail.retryAfterSec || rateCfg.lockoutSec,
+          );
+          return $g.response.send(
+            {
+              code: 429,
+              message: `Too many failed login attempts. Try again in ${fail.retryAfterSec || rateCfg.lockoutSec} seconds.`,
+              reason: "LOGIN_RATE_LIMITED",
+              retryAfterSec: fail.retryAfterSec || rateCfg.lockoutSec,
+            },
+            429,
+          );
+        }
+        return $g.response.send(body, 401);
+      };
+
       // M19: throttle before expensive Argon2 verify.
       const allowed = await loginRateLimit.assertLoginAllowed(
         cacheService,
@@ -54,85 +80,70 @@ module.exports = async function () {
         );
       }
 
-      // 1. Verify username (same error path as bad password — no user enumeration)
-      if (username !== ADMIN_USERNAME) {
-        const fail = await loginRateLimit.recordFailure(
-          cacheService,
-          identity,
-          rateCfg,
-        );
-        if (fail.locked) {
-          $g.response.headers["Retry-After"] = String(
-            fail.retryAfterSec || rateCfg.lockoutSec,
-          );
-          return $g.response.send(
-            {
-              code: 429,
-              message: `Too many failed login attempts. Try again in ${fail.retryAfterSec || rateCfg.lockoutSec} seconds.`,
-              reason: "LOGIN_RATE_LIMITED",
-              retryAfterSec: fail.retryAfterSec || rateCfg.lockoutSec,
-            },
-            429,
-          );
-        }
-        return $g.response.send(
-          { code: 401, message: "Invalid credentials." },
-          401,
-        );
+      // 1. Look up the admin (same error path as bad password — no user enumeration)
+      const admin = adminUsers.findUser($g.app.env, username);
+      if (!admin) {
+        return rejectAttempt({ code: 401, message: "Invalid credentials." });
       }
 
       // 2. Verify password hash
       const isPasswordCorrect = await crypto.verifyPassword(
         password,
-        ADMIN_PASSWORD_HASH,
+        admin.passwordHash,
       );
       if (!isPasswordCorrect) {
-        const fail = await loginRateLimit.recordFailure(
-          cacheService,
-          identity,
-          rateCfg,
-        );
-        if (fail.locked) {
-          $g.response.headers["Retry-After"] = String(
-            fail.retryAfterSec || rateCfg.lockoutSec,
-          );
+        return rejectAttempt({ code: 401, message: "Invalid credentials." });
+      }
+
+      // 3. Second factor, when the admin has a TOTP secret configured
+      const mfaCfg = admin.mfa;
+      if (mfaCfg.enabled) {
+        if (!otp) {
+          // Password was right; the client asks for the code and sends all three again.
           return $g.response.send(
             {
-              code: 429,
-              message: `Too many failed login attempts. Try again in ${fail.retryAfterSec || rateCfg.lockoutSec} seconds.`,
-              reason: "LOGIN_RATE_LIMITED",
-              retryAfterSec: fail.retryAfterSec || rateCfg.lockoutSec,
+              code: 401,
+              mfaRequired: true,
+              message:
+                "Enter the code from your authenticator app or a recovery code.",
             },
-            429,
+            401,
           );
         }
-        return $g.response.send(
-          { code: 401, message: "Invalid credentials." },
-          401,
+        const second = await mfa.verifySecondFactor(
+          auth,
+          cacheService,
+          otp,
+          mfaCfg,
         );
+        if (!second.ok) {
+          return rejectAttempt({
+            code: 401,
+            mfaRequired: true,
+            message: "Invalid authentication code.",
+          });
+        }
+        if (second.recoveryCodesLeft != null) {
+          $g.log.warn(
+            `Glade login of '${admin.username}' used a recovery code; ${second.recoveryCodesLeft} left.`,
+          );
+        }
       }
 
       // Success: clear rate-limit counters for this IP/user
       await loginRateLimit.clearFailures(cacheService, identity);
 
-      // 3. Create a session + CSRF token (H9)
-      const sessionId = crypto.generateSecureRandomString(32);
+      // 4. Create a session + CSRF token (H9)
       const csrfToken = csrf.createCsrfToken(crypto);
-      const sessionData = {
-        user: username,
-        loggedInAt: new Date().toISOString(),
-        csrfToken,
-      };
-      // Session expires in 8 hours (28800 seconds) — keep cache TTL and Max-Age aligned
-      await cacheService.set(
-        `session:${sessionId}`,
-        sessionData,
-        sessionCookie.SESSION_MAX_AGE_SEC,
-      );
+      // Session expires in 8 hours (28800 seconds) — keep session TTL and Max-Age aligned
+      const session = await auth.sessions.create(admin.username, {
+        ttl: sessionCookie.SESSION_MAX_AGE_SEC,
+        data: { loggedInAt: new Date().toISOString(), csrfToken },
+      });
 
-      // 4. Set the session cookie (Path=/glade; Secure when HTTPS) + CSRF double-submit cookie
+      // 5. Set the session cookie (Path=/glade; Secure when HTTPS) + CSRF double-submit cookie
       $g.response.cookies.sessionId = sessionCookie.setSessionCookie(
-        sessionId,
+        session.id,
         $g.request,
       );
       $g.response.cookies[csrf.CSRF_COOKIE_NAME] = csrf.setCsrfCookie(
@@ -140,6 +151,12 @@ module.exports = async function () {
         $g.request,
       );
 
+      require("audit").emit(
+        "glade.login",
+        { role: admin.role },
+        { user: admin.username },
+      );
+
       $g.response.send({
         code: 200,
         status: "success",
@@ -1,13 +1,13 @@
 module.exports = async function () {
   gingee(async ($g) => {
-    const cacheService = require("cache_service");
+    const auth = require("auth");
     const sessionCookie = require("./session_cookie.js");
     const csrf = require("./csrf.js");
 
     try {
       const sessionId = $g.request.cookies.sessionId;
       if (sessionId) {
-        await cacheService.del(`session:${sessionId}`);
+        await auth.sessions.destroy(sessionId);
       }
 
       // Clear cookies with the same Path (/glade) and Secure flag as login so the browser removes them.
@@ -0,0 +1,90 @@
+/**
+ * Glade two-factor login (TOTP + recovery codes).
+ *
+ * Enabled when Glade app.json env sets ADMIN_TOTP_SECRET (base32; env:/file: refs work).
+ * Generate the values from Glade → Two-factor (api/mfa-setup), then restart:
+ *   ADMIN_TOTP_SECRET     — authenticator secret
+ *   ADMIN_RECOVERY_CODES  — Argon2 hashes of one-time recovery codes (array, or one string separated by spaces)
+ *
+ * app.json is not rewritten at runtime, so used recovery codes are remembered in the
+ * platform cache. With the memory cache that list is lost on restart: replace the codes
+ * after using one.
+ */
+
+const USED_RECOVERY_KEY = "glade:mfa:used-recovery";
+/** Keep the used list as long as recovery codes are expected to live. */
+const USED_RECOVERY_TTL_SEC = 365 * 24 * 60 * 60;
+
+/**
+ * @param {*} secretRaw - base32 secret (empty → two-factor off)
+ * @param {*} codesRaw - recovery code hashes: array, or one string separated by spaces
+ * @returns {{ enabled: boolean, secret: string|null, recoveryHashes: string[] }}
+ */
+function factorConfig(secretRaw, codesRaw) {
+  const secret =
+    secretRaw != null && String(secretRaw).trim()
+      ? String(secretRaw).trim()
+      : null;
+  // Argon2 hashes contain commas, so a string form is split on whitespace.
+  const list = Array.isArray(codesRaw)
+    ? codesRaw
+    : codesRaw
+      ? String(codesRaw).split(/\s+/)
+      : [];
+  const recoveryHashes = list.map((h) => String(h).trim()).filter(Boolean);
+  return { enabled: !!secret, secret, recoveryHashes };
+}
+
+/**
+ * Two-factor settings of the single legacy admin (ADMIN_TOTP_SECRET / ADMIN_RECOVERY_CODES).
+ * @param {object} [appEnv]
+ * @returns {{ enabled: boolean, secret: string|null, recoveryHashes: string[] }}
+ */
+function resolveConfig(appEnv) {
+  const env = appEnv && typeof appEnv === "object" ? appEnv : {};
+  return factorConfig(env.ADMIN_TOTP_SECRET, env.ADMIN_RECOVERY_CODES);
+}
+
+/**
+ * True when the input looks like an authenticator code rather than a recovery code.
+ * @param {string} code
+ * @returns {boolean}
+ */
+function isTotpCode(code) {
+  return /^\d{6}$/.test(String(code || "").replace(/\s/g, ""));
+}
+
+/**
+ * Check the second factor: a TOTP code, or a recovery code that has not been used yet.
+ *
+ * @param {object} auth - require('auth')
+ * @param {object} cacheService
+ * @param {string} code
+ * @param {{ secret: string, recoveryHashes: string[] }} cfg
+ * @returns {Promise<{ ok: boolean, recoveryCodesLeft?: number }>}
+ */
+async function verifySecondFactor(auth, cacheService, code, cfg) {
+  if (!code || !cfg || !cfg.secret) return { ok: false };
+  if (isTotpCode(code)) {
+    return { ok: await auth.totp.verify(cfg.secret, code) };
+  }
+  const used = (await cacheService.get(USED_RECOVERY_KEY)) || [];
+  const available = cfg.recoveryHashes.filter((h) => !used.includes(h));
+  const remaining = await auth.totp.useRecoveryCode(code, available);
+  if (!remaining) return { ok: false };
+  const consumed = available.find((h) => !remaining.includes(h));
+  await cacheService.set(
+    USED_RECOVERY_KEY,
+    [...used, consumed],
+    USED_RECOVERY_TTL_SEC,
+  );
+  return { ok: true, recoveryCodesLeft: remaining.length };
+}
+
+module.exports = {
+  USED_RECOVERY_KEY,
+  factorConfig,
+  resolveConfig,
+  isTotpCode,
+  verifySecondFactor,
+};
@@ -6,7 +6,7 @@
 
 const SESSION_COOKIE_NAME = "sessionId";
 const SESSION_PATH = "/glade";
-/** Match cache session TTL used at login (8 hours). */
+/** Match the auth.sessions TTL used at login (8 hours). */
 const SESSION_MAX_AGE_SEC = 28800;
 
 /**
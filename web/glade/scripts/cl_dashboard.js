@@ -144,6 +144,18 @@ document.addEventListener("DOMContentLoaded", () => {
                                 <li title="Download App Package (.gin)"><a class="dropdown-item action-package" href="#" data-app="${safeName}">
                                     <div class="btn-mark bg-info"></div>Download
                                 </a></li>
+                                <li title="Export OpenAPI 3.1 document generated from routes.json"><a class="dropdown-item action-openapi" href="#" data-app="${safeName}">
+                                    <div class="btn-mark bg-info"></div>Export OpenAPI
+                                </a></li>
+                                <li title="Applied and pending schema migrations"><a class="dropdown-item action-migrations" href="#" data-app="${safeName}">
+                                    <div class="btn-mark bg-info"></div>Migrations
+                                </a></li>
+                                <li title="Slowest database statements"><a class="dropdown-item action-slow-queries" href="#" data-app="${safeName}">
+                                    <div class="btn-mark bg-info"></div>Slow Queries
+                                </a></li>
+                                <li title="Inspect and delete cached keys"><a class="dropdown-item action-cache" href="#" data-app="${safeName}">
+                                    <div class="btn-mark bg-info"></div>Cache
+                                </a></li>
                                 <li title="Upgrade App"><a class="dropdown-item action-upgrade" href="#" data-bs-toggle="modal" data-bs-target="#installModal" data-app="${safeName}">
                                     <div class="btn-mark bg-success"></div>Upgrade
                                 </a></li>
@@ -167,6 +179,61 @@ document.addEventListener("DOMContentLoaded", () => {
     window.open("https://gingerhome.github.io/gingee-docs/", "_blank");
   });
 
+  async function showCurrentUser() {
+    const el = document.getElementById("currentUser");
+    if (!el) return;
+    try {
+      const response = await GladeCsrf.fetch("/glade/api/whoami", {
+        credentials: "include",
+      });
+      if (!response.ok) return;
+      const data = await response.json();
+      el.textContent = `${data.user} (${data.role})`;
+    } catch (_) {
+      // Cosmetic only.
+    }
+  }
+
+  const mfaSetupGenerate = document.getElementById("mfa-setup-generate");
+  if (mfaSetupGenerate) {
+    mfaSetupGenerate.addEventListener("click", async () => {
+      const errorEl = document.getElementById("mfa-setup-error");
+      const resultEl = document.getElementById("mfa-setup-result");
+      errorEl.classList.add("d-none");
+      mfaSetupGenerate.disabled = true;
+      try {
+        const response = await GladeCsrf.fetch("/glade/api/mfa-setup", {
+          method: "POST",
+        });
+        const data = await response.json();
+        if (!response.ok) {
+          throw new Error(data.error || "Could not generate a secret.");
+        }
+        const qr = document.getElementById("mfa-setup-qr");
+        if (data.qrCode) {
+          qr.src = data.qrCode;
+          qr.classList.remove("d-none");
+        } else {
+          qr.classList.add("d-none");
+        }
+        document.getElementById("mfa-setup-secret").textContent = data.secret;
+        document.getElementById("mfa-setup-codes").textContent =
+          data.recoveryCodes.join("\n");
+        document.getElementById("mfa-setup-env").textContent = JSON.stringify(
+          data.env,
+          null,
+          2,
+        );
+        resultEl.classList.remove("d-none");
+      } catch (error) {
+        errorEl.textContent = error.message;
+        errorEl.classList.remove("d-none");
+      } finally {
+        mfaSetupGenerate.disabled = false;
+      }
+    });
+  }
+
   logoutButton.addEventListener("click", async () => {
     await GladeCsrf.fetch("/glade/logout", {
       method: "POST",
@@ -210,6 +277,17 @@ document.addEventListener("DOMContentLoaded", () => {
       confirmationModal.show();
     } else if (target.classList.contains("action-package")) {
       window.location.href = `/glade/api/package?app=${appName}`;
+    } else if (target.classList.contains("action-openapi")) {
+      window.location.href = `/glade/api/openapi?app=${encodeURIComponent(appName)}&download=1`;
+    } else if (target.classList.contains("action-migrations")) {
+      event.preventDefault();
+      openMigrationsModal(appName);
+    } else if (target.classList.contains("action-slow-queries")) {
+      event.preventDefault();
+      openSlowQueriesModal(appName);
+    } else if (target.classList.contains("action-cache")) {
+      event.preventDefault();
+      openCacheInspector(appName);
     } else if (target.classList.contains("action-rollback")) {
       openRollbackModal(appName);
     } else if (target.classList.contains("action-delete")) {
@@ -1275,6 +1353,426 @@ document.addEventListener("DOMContentLoaded", () => {
     });
   }
 
+  // --- Schema Migrations ---
+  const migrationsModalEl = document.getElementById("migrationsModal");
+  const migrationsModal = migrationsModalEl
+    ? new bootstrap.Modal(migrationsModalEl)
+    : null;
+  const migrationsTitle = document.getElementById("migrationsModalLabel");
+  const migrationsSummary = document.getElementById("migrations-summary");
+  const migrationsTableBody = document.getElementById("migrations-table-body");
+  const migrationsError = document.getElementById("migrations-error");
+  const migrationsInfo = document.getElementById("migrations-info");
+  const migrationsUpBtn = document.getElementById("migrations-up-btn");
+  const migrationsDownBtn = document.getElementById("migrations-down-btn");
+  const migrationsRefreshBtn = document.getElementById(
+    "migrations-refresh-btn",
+  );
+  let migrationsApp = null;
+
+  function showMigrationsError(msg) {
+    if (!migrationsError) return;
+    migrationsError.textContent = msg || "";
+    migrationsError.classList.toggle("d-none", !msg);
+  }
+
+  function showMigrationsInfo(msg) {
+    if (!migrationsInfo) return;
+    migrationsInfo.textContent = msg || "";
+    migrationsInfo.classList.toggle("d-none", !msg);
+  }
+
+  function renderMigrations(databases) {
+    const rows = [];
+    let pendingCount = 0;
+    let appliedCount = 0;
+    for (const d of databases) {
+      const entries = [
+        ...d.applied.map((m) => ({
+          ...m,
+          status: d.missing.some((x) => x.version === m.version)
+            ? "missing"
+            : "applied",
+        })),
+        ...d.pending.map((m) => ({ ...m, status: "pending" })),
+      ];
+      appliedCount += d.applied.length;
+      pendingCount += d.pending.length;
+      for (const m of entries) {
+        const statusClass =
+          m.status === "applied"
+            ? "text-success"
+            : m.status === "missing"
+              ? "text-danger"
+              : "text-primary";
+        rows.push(`<tr>
+                        <td>${escapeHtml(d.dbName)} <span class="text-muted small">${escapeHtml(d.type)}</span></td>
+                        <td class="font-monospace small">${escapeHtml(m.version)}</td>
+                        <td class="font-monospace small">${escapeHtml(m.name)}</td>
+                        <td class="small ${statusClass}">${m.status}</td>
+                        <td class="small">${m.batch != null ? escapeHtml(m.batch) : "—"}</td>
+                        <td class="small">${m.appliedAt ? escapeHtml(new Date(m.appliedAt).toLocaleString()) : "—"}</td>
+                    </tr>`);
+      }
+    }
+    if (migrationsSummary) {
+      migrationsSummary.innerHTML = [
+        `<strong>Databases:</strong> ${databases.length}`,
+        `<strong>Applied:</strong> ${appliedCount}`,
+        `<strong>Pending:</strong> ${pendingCount}`,
+      ].join(" &nbsp;·&nbsp; ");
+    }
+    if (migrationsUpBtn) migrationsUpBtn.disabled = pendingCount === 0;
+    if (migrationsDownBtn) migrationsDownBtn.disabled = appliedCount === 0;
+    migrationsTableBody.innerHTML =
+      rows.join("") ||
+      '<tr><td colspan="6" class="text-center text-muted">No migrations in box/migrations/</td></tr>';
+  }
+
+  async function loadMigrations() {
+    showMigrationsError("");
+    try {
+      const res = await GladeCsrf.fetch(
+        `/glade/api/migrations-status?app=${encodeURIComponent(migrationsApp)}`,
+        { credentials: "include" },
+      );
+      if (res.status === 401) {
+        window.location.href = "/glade/login.html";
+        return;
+      }
+      const data = await res.json();
+      if (data.status !== "success")
+        throw new Error(data.error || "Failed to load migrations");
+      renderMigrations(data.databases || []);
+    } catch (e) {
+      showMigrationsError(e.message);
+    }
+  }
+
+  async function runMigrations(direction) {
+    showMigrationsError("");
+    showMigrationsInfo("");
+    try {
+      const res = await GladeCsrf.fetch("/glade/api/migrations-run", {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ appName: migrationsApp, direction }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.status !== "success") {
+        throw new Error(data.error || `Migration run failed (${res.status})`);
+      }
+      const list = (data.migrations || [])
+        .map((m) => `${m.dbName}/${m.version}_${m.name}`)
+        .join(", ");
+      showMigrationsInfo(
+        `${direction === "up" ? "Applied" : "Reverted"} ${(data.migrations || []).length} migration(s)` +
+          (list ? `: ${list}` : "."),
+      );
+    } catch (err) {
+      showMigrationsError(err.message);
+    }
+    await loadMigrations();
+  }
+
+  function openMigrationsModal(appName) {
+    migrationsApp = appName;
+    if (migrationsTitle) {
+      migrationsTitle.textContent = `Schema Migrations: ${appName}`;
+    }
+    showMigrationsInfo("");
+    migrationsTableBody.innerHTML =
+      '<tr><td colspan="6" class="text-center text-muted">Loading…</td></tr>';
+    migrationsModal.show();
+    loadMigrations();
+  }
+
+  if (migrationsRefreshBtn) {
+    migrationsRefreshBtn.addEventListener("click", () => loadMigrations());
+  }
+  if (migrationsUpBtn) {
+    migrationsUpBtn.addEventListener("click", () => runMigrations("up"));
+  }
+  if (migrationsDownBtn) {
+    migrationsDownBtn.addEventListener("click", () => {
+      if (
+        window.confirm(
+          `Roll back the last migration batch of '${migrationsApp}'? Each script's down() will run.`,
+        )
+      ) {
+        runMigrations("down");
+      }
+    });
+  }
+
+  // --- Slow Queries ---
+  const slowQueriesModalEl = document.getElementById("slowQueriesModal");
+  const slowQueriesModal = slowQueriesModalEl
+    ? new bootstrap.Modal(slowQueriesModalEl)
+    : null;
+  const slowQueriesTitle = document.getElementById("slowQueriesModalLabel");
+  const slowQueriesSummary = document.getElementById("slow-queries-summary");
+  const slowQueriesTableBody = document.getElementById(
+    "slow-queries-table-body",
+  );
+  const slowQueriesError = document.getElementById("slow-queries-error");
+  const slowQueriesClearBtn = document.getElementById("slow-queries-clear-btn");
+  const slowQueriesRefreshBtn = document.getElementById(
+    "slow-queries-refresh-btn",
+  );
+  let slowQueriesApp = null;
+
+  function showSlowQueriesError(msg) {
+    if (!slowQueriesError) return;
+    slowQueriesError.textContent = msg || "";
+    slowQueriesError.classList.toggle("d-none", !msg);
+  }
+
+  function renderSlowQueries(queries) {
+    if (slowQueriesSummary) {
+      slowQueriesSummary.innerHTML = `<strong>Statements:</strong> ${queries.length}`;
+    }
+    if (slowQueriesClearBtn) {
+      slowQueriesClearBtn.disabled = queries.length === 0;
+    }
+    slowQueriesTableBody.innerHTML =
+      queries
+        .map(
+          (q) => `<tr>
+                        <td>${escapeHtml(q.db)}</td>
+                        <td class="small">${escapeHtml(q.operation)}</td>
+                        <td class="font-monospace small text-break">${escapeHtml(q.sql)}</td>
+                        <td class="small text-end">${escapeHtml(q.count)}</td>
+                        <td class="small text-end">${escapeHtml(q.maxMs)}</td>
+                        <td class="small text-end">${escapeHtml(q.avgMs)}</td>
+                        <td class="small">${q.lastAt ? escapeHtml(new Date(q.lastAt).toLocaleString()) : "—"}</td>
+                    </tr>`,
+        )
+        .join("") ||
+      '<tr><td colspan="7" class="text-center text-muted">No slow queries recorded</td></tr>';
+  }
+
+  async function loadSlowQueries() {
+    showSlowQueriesError("");
+    try {
+      const res = await GladeCsrf.fetch(
+        `/glade/api/slow-queries?app=${encodeURIComponent(slowQueriesApp)}&limit=50`,
+        { credentials: "include" },
+      );
+      if (res.status === 401) {
+        window.location.href = "/glade/login.html";
+        return;
+      }
+      const data = await res.json();
+      if (data.status !== "success")
+        throw new Error(data.error || "Failed to load slow queries");
+      renderSlowQueries(data.queries || []);
+    } catch (e) {
+      showSlowQueriesError(e.message);
+    }
+  }
+
+  async function clearSlowQueries() {
+    showSlowQueriesError("");
+    try {
+      const res = await GladeCsrf.fetch("/glade/api/slow-queries-clear", {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ appName: slowQueriesApp }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.status !== "success") {
+        throw new Error(data.error || `Clear failed (${res.status})`);
+      }
+    } catch (err) {
+      showSlowQueriesError(err.message);
+    }
+    await loadSlowQueries();
+  }
+
+  function openSlowQueriesModal(appName) {
+    slowQueriesApp = appName;
+    if (slowQueriesTitle) {
+      slowQueriesTitle.textContent = `Slow Queries: ${appName}`;
+    }
+    slowQueriesTableBody.innerHTML =
+      '<tr><td colspan="7" class="text-center text-muted">Loading…</td></tr>';
+    slowQueriesModal.show();
+    loadSlowQueries();
+  }
+
+  if (slowQueriesRefreshBtn) {
+    slowQueriesRefreshBtn.addEventListener("click", () => loadSlowQueries());
+  }
+  if (slowQueriesClearBtn) {
+    slowQueriesClearBtn.addEventListener("click", () => clearSlowQueries());
+  }
+
+  // --- Cache inspector ---
+  const cacheModalEl = document.getElementById("cacheInspectorModal");
+  const cacheModal = cacheModalEl ? new bootstrap.Modal(cacheModalEl) : null;
+  const cacheTitle = document.getElementById("cacheInspectorModalLabel");
+  const cacheSummary = document.getElementById("cache-summary");
+  const cacheTableBody = document.getElementById("cache-table-body");
+  const cacheError = document.getElementById("cache-error");
+  const cacheSearch = document.getElementById("cache-search");
+  const cacheTagInput = document.getElementById("cache-tag");
+  const cacheTagBtn = document.getElementById("cache-tag-btn");
+  const cacheDeleteMatchingBtn = document.getElementById(
+    "cache-delete-matching-btn",
+  );
+  const cacheRefreshBtn = document.getElementById("cache-refresh-btn");
+  let cacheApp = null;
+  let cacheSearchTimer = null;
+
+  function showCacheError(msg) {
+    if (!cacheError) return;
+    cacheError.textContent = msg || "";
+    cacheError.classList.toggle("d-none", !msg);
+  }
+
+  function formatBytes(n) {
+    if (n < 1024) return `${n} B`;
+    if (n < 1024 * 1024) return `${(n / 1024).toFixed(1)} KB`;
+    return `${(n / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  function formatTtl(ms) {
+    if (ms < 0) return "never";
+    const s = Math.round(ms / 1000);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.round(s / 60)}m`;
+    if (s < 86400) return `${Math.round(s / 3600)}h`;
+    return `${Math.round(s / 86400)}d`;
+  }
+
+  /** Plain text searches for keys containing it; `*` / `?` make it a pattern. */
+  function cachePattern() {
+    const text = cacheSearch ? cacheSearch.value.trim() : "";
+    if (!text) return "*";
+    return /[*?]/.test(text) ? text : `*${text}*`;
+  }
+
+  function renderCache(data) {
+    if (cacheSummary) {
+      const parts = [
+        `<strong>Keys:</strong> ${escapeHtml(data.keys)}${data.truncated ? "+" : ""}`,
+        `<strong>Size:</strong> ~${escapeHtml(formatBytes(data.bytes || 0))}`,
+        `<strong>Provider:</strong> ${escapeHtml(data.provider || "—")}`,
+      ];
+      if (data.entries.length < data.keys) {
+        parts.push(`showing first ${data.entries.length}`);
+      }
+      cacheSummary.innerHTML = parts.join(" · ");
+    }
+    if (cacheDeleteMatchingBtn) {
+      cacheDeleteMatchingBtn.disabled = data.keys === 0;
+    }
+    cacheTableBody.innerHTML =
+      data.entries
+        .map(
+          (e) => `<tr>
+                        <td class="font-monospace small text-break">${escapeHtml(e.key)}</td>
+                        <td class="small text-end">${escapeHtml(formatBytes(e.bytes))}</td>
+                        <td class="small">${escapeHtml(formatTtl(e.ttlMs))}</td>
+                        <td class="text-end text-nowrap">
+                            <button type="button" class="queue-action-link cache-delete-key" data-key="${escapeHtml(e.key)}" title="Delete this key">Delete</button>
+                        </td>
+                    </tr>`,
+        )
+        .join("") ||
+      '<tr><td colspan="4" class="text-center text-muted">No matching keys</td></tr>';
+  }
+
+  async function loadCache() {
+    showCacheError("");
+    try {
+      const res = await GladeCsrf.fetch(
+        `/glade/api/cache-keys?app=${encodeURIComponent(cacheApp)}&pattern=${encodeURIComponent(cachePattern())}&limit=200`,
+        { credentials: "include" },
+      );
+      if (res.status === 401) {
+        window.location.href = "/glade/login.html";
+        return;
+      }
+      const data = await res.json();
+      if (data.status !== "success")
+        throw new Error(data.error || "Failed to load cache keys");
+      renderCache(data);
+    } catch (e) {
+      showCacheError(e.message);
+    }
+  }
+
+  async function deleteCache(target, confirmText) {
+    if (!window.confirm(confirmText)) return;
+    showCacheError("");
+    try {
+      const res = await GladeCsrf.fetch("/glade/api/cache-delete", {
+        method: "POST",
+        credentials: "include",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ appName: cacheApp, ...target }),
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok || data.status !== "success") {
+        throw new Error(
+          data.message || data.error || `Delete failed (${res.status})`,
+        );
+      }
+    } catch (err) {
+      showCacheError(err.message);
+    }
+    await loadCache();
+  }
+
+  function openCacheInspector(appName) {
+    cacheApp = appName;
+    if (cacheTitle) cacheTitle.textContent = `Cache: ${appName}`;
+    if (cacheSearch) cacheSearch.value = "";
+    if (cacheTagInput) cacheTagInput.value = "";
+    cacheTableBody.innerHTML =
+      '<tr><td colspan="4" class="text-center text-muted">Loading…</td></tr>';
+    cacheModal.show();
+    loadCache();
+  }
+
+  if (cacheRefreshBtn) {
+    cacheRefreshBtn.addEventListener("click", () => loadCache());
+  }
+  if (cacheSearch) {
+    cacheSearch.addEventListener("input", () => {
+      clearTimeout(cacheSearchTimer);
+      cacheSearchTimer = setTimeout(loadCache, 300);
+    });
+  }
+  if (cacheDeleteMatchingBtn) {
+    cacheDeleteMatchingBtn.addEventListener("click", () => {
+      const pattern = cachePattern();
+      deleteCache(
+        { pattern },
+        `Delete every cached key of '${cacheApp}' matching ${pattern}?`,
+      );
+    });
+  }
+  if (cacheTagBtn) {
+    cacheTagBtn.addEventListener("click", () => {
+      const tag = cacheTagInput ? cacheTagInput.value.trim() : "";
+      if (!tag) return;
+      deleteCache({ tag }, `Delete every key tagged '${tag}'?`);
+    });
+  }
+  if (cacheTableBody) {
+    cacheTableBody.addEventListener("click", (event) => {
+      const btn = event.target.closest(".cache-delete-key");
+      if (!btn) return;
+      const key = btn.getAttribute("data-key");
+      deleteCache({ keys: [key] }, `Delete cached key '${key}'?`);
+    });
+  }
+
   // --- Queue live + DLQ Admin ---
   const queueStatsPanel = document.getElementById("queue-stats-panel");
   const queueLiveBody = document.getElementById("queue-live-body");
@@ -1536,4 +2034,5 @@ document.addEventListener("DOMContentLoaded", () => {
 
   // --- Initial Load ---
   fetchAndRenderApps();
+  showCurrentUser();
 });
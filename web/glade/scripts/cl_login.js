@@ -2,6 +2,8 @@ document.addEventListener("DOMContentLoaded", () => {
   const loginForm = document.getElementById("login-form");
   const usernameInput = document.getElementById("username");
   const passwordInput = document.getElementById("password");
+  const otpGroup = document.getElementById("otp-group");
+  const otpInput = document.getElementById("otp");
   const errorMessage = document.getElementById("error-message");
   const loginButton = document.getElementById("login-button");
 
@@ -11,17 +13,27 @@ document.addEventListener("DOMContentLoaded", () => {
 
     const username = usernameInput.value;
     const password = passwordInput.value;
+    const otp = otpInput.value.trim();
 
     try {
       const response = await fetch("/glade/login", {
         method: "POST",
         headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ username, password }),
+        body: JSON.stringify(
+          otp ? { username, password, otp } : { username, password },
+        ),
         credentials: "include",
       });
 
       const data = await response.json();
 
+      if (data.mfaRequired) {
+        // Second step: keep username/password and ask for the code.
+        otpGroup.classList.remove("d-none");
+        otpInput.required = true;
+        otpInput.focus();
+      }
+
       if (!response.ok) {
         throw new Error(data.message || "Login failed.");
       }